@@ -0,0 +1,162 @@
+/**
+ * ============================================
+ * CRON EXPRESSION HELPERS
+ * ============================================
+ *
+ * Minimal 5-field cron parser used by the job scheduler:
+ *   minute hour day-of-month month day-of-week
+ * Supports "*", lists (1,15), ranges (1-5), steps (*\/5, 10-50/10)
+ * and the shortcuts @hourly, @daily, @weekly, @monthly.
+ * Times are evaluated in the server's local timezone (the gym's clock).
+ */
+
+const SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const FIELD_RANGES = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Safety bound for the search loop (about 5 years of day jumps)
+const MAX_ITERATIONS = 5000;
+
+function createCronError(expression, detail) {
+    const err = new Error(`Invalid cron expression "${expression}": ${detail}`);
+    err.status = 400;
+    err.code = 'INVALID_CRON';
+    return err;
+}
+
+function parseField(part, range, expression) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+        const [rangePart, stepPart] = item.split('/');
+        const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+        if (!Number.isInteger(step) || step < 1) {
+            throw createCronError(expression, `bad step in ${range.name}`);
+        }
+
+        let start;
+        let end;
+        if (rangePart === '*') {
+            start = range.min;
+            end = range.max;
+        } else if (rangePart.includes('-')) {
+            [start, end] = rangePart.split('-').map((v) => parseInt(v, 10));
+        } else {
+            start = parseInt(rangePart, 10);
+            end = stepPart === undefined ? start : range.max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < range.min || end > range.max || start > end) {
+            throw createCronError(expression, `value out of range in ${range.name}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression into field sets
+ */
+function parseCron(expression) {
+    const normalized = SHORTCUTS[String(expression || '').trim()] || String(expression || '').trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== 5) {
+        throw createCronError(expression, 'expected 5 fields');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELD_RANGES[index], expression));
+
+    // Both 0 and 7 mean Sunday
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.delete(7);
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        dayOfMonthRestricted: parts[2] !== '*',
+        dayOfWeekRestricted: parts[4] !== '*'
+    };
+}
+
+function matchesDay(parsed, date) {
+    const domMatch = parsed.daysOfMonth.has(date.getDate());
+    const dowMatch = parsed.daysOfWeek.has(date.getDay());
+    // Standard cron semantics: when both day fields are restricted either may match
+    if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) return domMatch || dowMatch;
+    if (parsed.dayOfMonthRestricted) return domMatch;
+    if (parsed.dayOfWeekRestricted) return dowMatch;
+    return true;
+}
+
+/**
+ * Next occurrence strictly after `after`
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Reference time
+ * @returns {Date}
+ */
+function getNextRunAt(expression, after = new Date()) {
+    const parsed = parseCron(expression);
+    const candidate = new Date(after.getTime());
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+
+    for (let i = 0; i < MAX_ITERATIONS; i += 1) {
+        if (!parsed.months.has(candidate.getMonth() + 1)) {
+            candidate.setMonth(candidate.getMonth() + 1, 1);
+            candidate.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(parsed, candidate)) {
+            candidate.setDate(candidate.getDate() + 1);
+            candidate.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.hours.has(candidate.getHours())) {
+            candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.minutes.has(candidate.getMinutes())) {
+            candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return candidate;
+    }
+
+    throw createCronError(expression, 'no matching time found');
+}
+
+function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    parseCron,
+    getNextRunAt,
+    isValidCron
+};
@@ -0,0 +1,140 @@
+/**
+ * ============================================
+ * BACKGROUND JOBS
+ * ============================================
+ *
+ * Registers every scheduled job with the scheduler.
+ * Schedules are cron expressions in local time and can be
+ * overridden per job from the admin endpoints (/api/jobs).
+ */
+
+const scheduler = require('./scheduler');
+const AppointmentService = require('../services/appointmentService');
+const reminderService = require('../services/reminderService');
+const reminderDeliveryService = require('../services/reminderDeliveryService');
+const { runLifecycle } = require('../services/subscriptionLifecycleService');
+const { runAutomaticBackup } = require('../services/backupRotationService');
+const { pruneAccessLogs, ACCESS_LOG_RETENTION_DAYS } = require('../services/apiKeyService');
+const { processDueDeliveries, pruneDeliveries, DELIVERY_RETENTION_DAYS } = require('../services/webhookService');
+const { generateRecurringExpenses } = require('../services/expenseService');
+const { pruneDeviceEvents, EVENT_RETENTION_DAYS } = require('../services/accessControlService');
+
+const JOB_HISTORY_RETENTION_DAYS = 30;
+
+scheduler.registerJob({
+    name: 'session-auto-complete',
+    description: 'Auto-complete appointments whose end time has passed',
+    schedule: '* * * * *',
+    quiet: true,
+    handler: async () => {
+        const results = await AppointmentService.autoCompleteSessions();
+        return { processed: results?.length || 0 };
+    }
+});
+
+scheduler.registerJob({
+    name: 'tentative-no-show',
+    description: 'Mark past tentative bookings as no-show',
+    schedule: '0 * * * *',
+    quiet: true,
+    handler: async () => {
+        const updatedCount = await AppointmentService.autoMarkTentativeNoShows();
+        return { processed: updatedCount || 0 };
+    }
+});
+
+scheduler.registerJob({
+    name: 'reminder-delivery-retries',
+    description: 'Retry failed reminder deliveries whose backoff has elapsed',
+    schedule: '*/5 * * * *',
+    quiet: true,
+    handler: async ({ prisma }) => {
+        const summary = await reminderDeliveryService.processDueRetries(prisma);
+        return {
+            processed: summary.sent + summary.failed + summary.retrying,
+            sent: summary.sent,
+            failed: summary.failed,
+            retrying: summary.retrying
+        };
+    }
+});
+
+scheduler.registerJob({
+    name: 'subscription-lifecycle',
+    description: 'Activate scheduled subscriptions, start and end scheduled pauses, move ended ones to grace or expired',
+    schedule: '5 * * * *',
+    catchUp: true,
+    handler: async ({ prisma, now }) => runLifecycle(prisma, now)
+});
+
+scheduler.registerJob({
+    name: 'recurring-expenses',
+    description: 'Create the expenses of recurring expense templates that are due',
+    schedule: '15 0 * * *',
+    catchUp: true,
+    handler: async ({ prisma, now }) => generateRecurringExpenses(prisma, now)
+});
+
+scheduler.registerJob({
+    name: 'daily-reminders',
+    description: 'Generate payment reminders and staff notifications',
+    schedule: '0 8 * * *',
+    catchUp: true,
+    handler: async () => reminderService.ensureDailyReminders()
+});
+
+scheduler.registerJob({
+    name: 'database-backup',
+    description: 'Create automatic backups per backup policy and prune old ones',
+    schedule: '0 * * * *',
+    catchUp: true,
+    handler: async ({ prisma, userDataPath, now }) => runAutomaticBackup(prisma, { userDataPath, now })
+});
+
+scheduler.registerJob({
+    name: 'job-history-cleanup',
+    description: `Delete job run history older than ${JOB_HISTORY_RETENTION_DAYS} days`,
+    schedule: '30 3 * * *',
+    catchUp: true,
+    handler: async ({ prisma, now }) => {
+        const cutoff = new Date(now.getTime() - JOB_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const result = await prisma.jobRun.deleteMany({
+            where: { startedAt: { lt: cutoff }, status: { not: 'running' } }
+        });
+        return { processed: result.count };
+    }
+});
+
+scheduler.registerJob({
+    name: 'api-access-log-cleanup',
+    description: `Delete API access log entries older than ${ACCESS_LOG_RETENTION_DAYS} days`,
+    schedule: '45 3 * * *',
+    catchUp: true,
+    handler: async ({ prisma, now }) => pruneAccessLogs(prisma, now)
+});
+
+scheduler.registerJob({
+    name: 'webhook-delivery',
+    description: 'Send queued webhook deliveries and retry failed ones',
+    schedule: '* * * * *',
+    quiet: true,
+    handler: async ({ prisma, now }) => processDueDeliveries(prisma, { now })
+});
+
+scheduler.registerJob({
+    name: 'webhook-delivery-cleanup',
+    description: `Delete finished webhook deliveries older than ${DELIVERY_RETENTION_DAYS} days`,
+    schedule: '50 3 * * *',
+    catchUp: true,
+    handler: async ({ prisma, now }) => pruneDeliveries(prisma, now)
+});
+
+scheduler.registerJob({
+    name: 'access-event-cleanup',
+    description: `Delete access-control device events older than ${EVENT_RETENTION_DAYS} days`,
+    schedule: '55 3 * * *',
+    catchUp: true,
+    handler: async ({ prisma, now }) => pruneDeviceEvents(prisma, now)
+});
+
+module.exports = scheduler;
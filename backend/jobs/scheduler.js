@@ -0,0 +1,370 @@
+/**
+ * ============================================
+ * JOB SCHEDULER
+ * ============================================
+ *
+ * Runs registered background jobs on cron schedules and records every run
+ * in the JobRun table (start, end, outcome, error).
+ *
+ * - Schedules/enabled flags can be overridden per job via Setting `job_config_<name>`
+ * - Jobs with `catchUp: true` run once on startup when a scheduled run was missed
+ *   (e.g. the desktop app was closed overnight)
+ * - Quiet jobs (frequent scanners) only record runs that did work or failed
+ */
+
+const { getNextRunAt, isValidCron } = require('./cron');
+
+const TICK_INTERVAL_MS = 30 * 1000;
+const JOB_CONFIG_KEY_PREFIX = 'job_config_';
+
+const jobs = new Map();
+const running = new Set();
+const nextRunAtByJob = new Map();
+
+let context = null;
+let tickIntervalId = null;
+// Set while a tick (or the startup catch-up) is in progress so ticks never overlap
+let ticking = false;
+
+function createJobError(message, status = 400, code = 'JOB_ERROR') {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+}
+
+/**
+ * Register a job definition.
+ * @param {Object} definition - { name, description, schedule, handler(ctx), catchUp, quiet, enabled }
+ */
+function registerJob(definition) {
+    if (!definition?.name || typeof definition.handler !== 'function') {
+        throw new Error('Job name and handler are required');
+    }
+    if (!isValidCron(definition.schedule)) {
+        throw new Error(`Invalid schedule for job ${definition.name}: ${definition.schedule}`);
+    }
+    jobs.set(definition.name, {
+        description: '',
+        catchUp: false,
+        quiet: false,
+        enabled: true,
+        ...definition
+    });
+}
+
+/**
+ * A cron expression can parse yet never fire (e.g. "0 0 31 2 *"), so
+ * schedules are only accepted when a next run can be computed.
+ */
+function isSchedulable(expression) {
+    if (!isValidCron(expression)) return false;
+    try {
+        getNextRunAt(expression, new Date());
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getJob(name) {
+    return jobs.get(name) || null;
+}
+
+async function loadJobConfig(prisma, job) {
+    const setting = await prisma.setting.findUnique({
+        where: { key: `${JOB_CONFIG_KEY_PREFIX}${job.name}` }
+    });
+    let override = {};
+    if (setting?.value) {
+        try {
+            override = JSON.parse(setting.value) || {};
+        } catch (error) {
+            override = {};
+        }
+    }
+    const schedule = override.schedule && isSchedulable(override.schedule) ? override.schedule : job.schedule;
+    return {
+        schedule,
+        enabled: override.enabled === undefined ? job.enabled : Boolean(override.enabled)
+    };
+}
+
+async function saveJobConfig(prisma, name, input = {}) {
+    const job = getJob(name);
+    if (!job) throw createJobError('Job not found', 404, 'JOB_NOT_FOUND');
+    if (input.schedule !== undefined && !isValidCron(input.schedule)) {
+        throw createJobError(`Invalid cron expression: ${input.schedule}`, 400, 'INVALID_CRON');
+    }
+    if (input.schedule !== undefined && !isSchedulable(input.schedule)) {
+        throw createJobError(`Cron expression never runs: ${input.schedule}`, 400, 'INVALID_CRON');
+    }
+
+    const current = await loadJobConfig(prisma, job);
+    const next = {
+        schedule: input.schedule !== undefined ? String(input.schedule).trim() : current.schedule,
+        enabled: input.enabled !== undefined ? Boolean(input.enabled) : current.enabled
+    };
+
+    const key = `${JOB_CONFIG_KEY_PREFIX}${name}`;
+    await prisma.setting.upsert({
+        where: { key },
+        update: { value: JSON.stringify(next), type: 'json', group: 'jobs' },
+        create: { key, value: JSON.stringify(next), type: 'json', group: 'jobs' }
+    });
+
+    nextRunAtByJob.set(name, next.enabled ? getNextRunAt(next.schedule, new Date()) : null);
+    return next;
+}
+
+function summarizeResult(result) {
+    if (result === undefined || result === null) return null;
+    try {
+        const json = JSON.stringify(result);
+        return json.length > 4000 ? `${json.slice(0, 4000)}…` : json;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Execute a job once and record the run.
+ * @param {string} name - Job name
+ * @param {Object} options - { trigger: schedule|catch_up|manual, triggeredBy, prisma }
+ * @returns {Promise<Object>} JobRun-like record
+ */
+async function runJob(name, options = {}) {
+    const job = getJob(name);
+    if (!job) throw createJobError('Job not found', 404, 'JOB_NOT_FOUND');
+
+    const prisma = options.prisma || context?.prisma;
+    if (!prisma) throw createJobError('Scheduler is not started', 500, 'SCHEDULER_NOT_STARTED');
+
+    if (running.has(name)) {
+        throw createJobError('Job is already running', 409, 'JOB_ALREADY_RUNNING');
+    }
+
+    const trigger = options.trigger || 'schedule';
+    const startedAt = new Date();
+    const recordEveryRun = !job.quiet || trigger === 'manual';
+    running.add(name);
+
+    let runRecord = null;
+    try {
+        if (recordEveryRun) {
+            runRecord = await prisma.jobRun.create({
+                data: {
+                    jobName: name,
+                    trigger,
+                    status: 'running',
+                    startedAt,
+                    triggeredBy: options.triggeredBy || null
+                }
+            });
+        }
+
+        let status = 'success';
+        let result = null;
+        let errorMessage = null;
+        try {
+            result = await job.handler({
+                ...(context || {}),
+                prisma,
+                trigger,
+                now: startedAt
+            });
+            if (result?.skipped) status = 'skipped';
+        } catch (error) {
+            status = 'failed';
+            errorMessage = error?.message || String(error);
+            console.error(`[JOBS] ${name} failed:`, errorMessage);
+        }
+
+        const finishedAt = new Date();
+        const data = {
+            status,
+            finishedAt,
+            durationMs: finishedAt.getTime() - startedAt.getTime(),
+            resultJson: summarizeResult(result),
+            error: errorMessage
+        };
+
+        if (runRecord) {
+            return await prisma.jobRun.update({ where: { id: runRecord.id }, data });
+        }
+
+        const didWork = Number(result?.processed || 0) > 0;
+        if (status === 'failed' || didWork) {
+            return await prisma.jobRun.create({
+                data: { jobName: name, trigger, startedAt, triggeredBy: options.triggeredBy || null, ...data }
+            });
+        }
+        return { jobName: name, trigger, startedAt, ...data };
+    } finally {
+        running.delete(name);
+    }
+}
+
+async function getLastRun(prisma, name, statuses = null) {
+    return prisma.jobRun.findFirst({
+        where: {
+            jobName: name,
+            ...(statuses ? { status: { in: statuses } } : {})
+        },
+        orderBy: { startedAt: 'desc' }
+    });
+}
+
+/**
+ * Run catch-up for jobs whose last finished run is older than their latest scheduled slot
+ */
+async function runMissedJobs(now = new Date()) {
+    const prisma = context.prisma;
+    const caughtUp = [];
+
+    for (const job of jobs.values()) {
+        if (!job.catchUp) continue;
+        let missed = false;
+        try {
+            const config = await loadJobConfig(prisma, job);
+            if (!config.enabled) continue;
+
+            const lastRun = await getLastRun(prisma, job.name, ['success', 'skipped', 'failed']);
+            missed = !lastRun || getNextRunAt(config.schedule, new Date(lastRun.startedAt)) <= now;
+        } catch (error) {
+            console.error(`[JOBS] Catch-up check for ${job.name} failed:`, error.message);
+            continue;
+        }
+        if (!missed) continue;
+
+        try {
+            await runJob(job.name, { trigger: 'catch_up' });
+            caughtUp.push(job.name);
+        } catch (error) {
+            console.error(`[JOBS] Catch-up for ${job.name} failed:`, error.message);
+        }
+    }
+
+    return caughtUp;
+}
+
+async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+        await scheduleDueJobs();
+    } finally {
+        ticking = false;
+    }
+}
+
+async function scheduleDueJobs() {
+    const now = new Date();
+    for (const job of jobs.values()) {
+        try {
+            const config = await loadJobConfig(context.prisma, job);
+            if (!config.enabled) {
+                nextRunAtByJob.set(job.name, null);
+                continue;
+            }
+            let nextRunAt = nextRunAtByJob.get(job.name);
+            if (!nextRunAt) {
+                nextRunAt = getNextRunAt(config.schedule, now);
+                nextRunAtByJob.set(job.name, nextRunAt);
+            }
+            if (nextRunAt > now || running.has(job.name)) continue;
+
+            nextRunAtByJob.set(job.name, getNextRunAt(config.schedule, now));
+            runJob(job.name, { trigger: 'schedule' }).catch((error) => {
+                console.error(`[JOBS] ${job.name} run error:`, error.message);
+            });
+        } catch (error) {
+            console.error(`[JOBS] Scheduling error for ${job.name}:`, error.message);
+        }
+    }
+}
+
+async function catchUp() {
+    // Runs left "running" by a previous process were interrupted
+    try {
+        await context.prisma.jobRun.updateMany({
+            where: { status: 'running' },
+            data: { status: 'failed', finishedAt: new Date(), error: 'Interrupted (application stopped during run)' }
+        });
+    } catch (error) {
+        console.error('[JOBS] Failed to close interrupted runs:', error.message);
+    }
+
+    const caughtUp = await runMissedJobs();
+    if (caughtUp.length > 0) {
+        console.info(`[JOBS] Caught up missed runs: ${caughtUp.join(', ')}`);
+    }
+}
+
+/**
+ * Start the scheduler. Missed runs are caught up in the background; the
+ * returned promise settles once they and the first tick are done, so the
+ * server does not have to wait for it.
+ * @param {Object} ctx - { prisma, userDataPath } shared with every job handler
+ * @returns {Promise<void>}
+ */
+function start(ctx) {
+    if (tickIntervalId) return Promise.resolve();
+    context = ctx;
+
+    console.info(`[JOBS] Starting job scheduler (${jobs.size} jobs)`);
+
+    // Interval ticks wait until the catch-up is done
+    ticking = true;
+    tickIntervalId = setInterval(() => {
+        tick().catch((error) => console.error('[JOBS] Tick failed:', error.message));
+    }, TICK_INTERVAL_MS);
+
+    return catchUp()
+        .catch((error) => console.error('[JOBS] Catch-up failed:', error.message))
+        .finally(() => { ticking = false; })
+        .then(() => tick());
+}
+
+function stop() {
+    if (tickIntervalId) {
+        clearInterval(tickIntervalId);
+        tickIntervalId = null;
+    }
+}
+
+/**
+ * Describe all registered jobs (for the admin endpoints)
+ */
+async function listJobs(prisma) {
+    const rows = [];
+    for (const job of jobs.values()) {
+        const config = await loadJobConfig(prisma, job);
+        const lastRun = await getLastRun(prisma, job.name);
+        rows.push({
+            name: job.name,
+            description: job.description,
+            schedule: config.schedule,
+            defaultSchedule: job.schedule,
+            enabled: config.enabled,
+            catchUp: job.catchUp,
+            running: running.has(job.name),
+            nextRunAt: config.enabled
+                ? (nextRunAtByJob.get(job.name) || getNextRunAt(config.schedule, new Date()))
+                : null,
+            lastRun
+        });
+    }
+    return rows;
+}
+
+module.exports = {
+    registerJob,
+    getJob,
+    runJob,
+    runMissedJobs,
+    listJobs,
+    saveJobConfig,
+    start,
+    stop
+};
@@ -0,0 +1,113 @@
+/**
+ * ============================================
+ * API KEY MIDDLEWARE
+ * ============================================
+ *
+ * Authentication for the public API (/api/v1).
+ * Accepts the key in `X-API-Key` or `Authorization: Bearer <key>`,
+ * enforces the per-key rate limit and writes one access log row
+ * per request. Attaches the key to req.apiKey.
+ */
+
+const apiKeyService = require('../services/apiKeyService');
+
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+const readKey = (req) => {
+    const headerKey = req.headers['x-api-key'];
+    if (headerKey) return String(headerKey).trim();
+
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) return authHeader.substring(7).trim();
+    return '';
+};
+
+async function authenticateApiKey(req, res, next) {
+    const startedAt = Date.now();
+    const ip = getClientIp(req);
+
+    res.on('finish', () => {
+        apiKeyService.logAccess(req.prisma, {
+            apiKeyId: req.apiKey?.id ?? null,
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: res.statusCode,
+            durationMs: Date.now() - startedAt,
+            ip
+        }).catch((error) => {
+            console.error('[API] Failed to write access log:', error.message);
+        });
+    });
+
+    try {
+        const key = readKey(req);
+        if (!key) {
+            return res.status(401).json({
+                success: false,
+                code: 'API_KEY_REQUIRED',
+                message: 'API key required. Send it in the X-API-Key header.'
+            });
+        }
+
+        const apiKey = await apiKeyService.verifyApiKey(req.prisma, key);
+        if (!apiKey) {
+            return res.status(401).json({
+                success: false,
+                code: 'INVALID_API_KEY',
+                message: 'API key is invalid, revoked or expired'
+            });
+        }
+        req.apiKey = apiKey;
+
+        const limit = apiKey.rateLimitPerMinute || apiKeyService.DEFAULT_RATE_LIMIT_PER_MINUTE;
+        const { allowed, remaining, resetAt } = apiKeyService.rateLimiter.consume(apiKey.id, limit);
+        res.set('X-RateLimit-Limit', String(limit));
+        res.set('X-RateLimit-Remaining', String(remaining));
+        res.set('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)));
+
+        if (!allowed) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+            return res.status(429).json({
+                success: false,
+                code: 'RATE_LIMITED',
+                message: `Rate limit of ${limit} requests per minute exceeded`
+            });
+        }
+
+        apiKeyService.touchApiKey(req.prisma, apiKey, ip).catch((error) => {
+            console.error('[API] Failed to update key usage:', error.message);
+        });
+
+        next();
+    } catch (error) {
+        console.error('[API] Key authentication error:', error);
+        return res.status(500).json({
+            success: false,
+            code: 'INTERNAL_ERROR',
+            message: 'Authentication error'
+        });
+    }
+}
+
+/**
+ * Require a scope on the authenticated API key
+ * @param {string} scope - e.g. 'members:read'
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.apiKey?.scopeList?.includes(scope)) {
+            return res.status(403).json({
+                success: false,
+                code: 'INSUFFICIENT_SCOPE',
+                message: `API key is missing the required scope: ${scope}`,
+                requiredScope: scope
+            });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    authenticateApiKey,
+    requireScope
+};
@@ -0,0 +1,44 @@
+/**
+ * ============================================
+ * BRANCH SCOPE MIDDLEWARE
+ * ============================================
+ *
+ * Resolves the branch a request works on from `?branchId=` or the
+ * `X-Branch-Id` header and attaches it to the request:
+ * - req.branchId    - single branch for new records (or null)
+ * - req.branchScope - filter for queries (null = all branches)
+ * No-op unless the multi-branch feature is enabled.
+ * Must run after authenticate.
+ */
+
+const branchService = require('../services/branchService');
+
+async function resolveBranch(req, res, next) {
+    req.branchId = null;
+    req.branchScope = null;
+
+    if (!branchService.isMultiBranchEnabled()) {
+        return next();
+    }
+
+    try {
+        const requested = req.query.branchId ?? req.headers['x-branch-id'];
+        const { branchId, scope } = await branchService.resolveBranchScope(req.prisma, req.user, requested);
+        req.branchId = branchId;
+        req.branchScope = scope;
+        next();
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+        next(error);
+    }
+}
+
+module.exports = {
+    resolveBranch
+};
@@ -0,0 +1,10 @@
+-- Reminder delivery tracking (real SMS / WhatsApp / email providers)
+ALTER TABLE "Reminder" ADD COLUMN "provider" TEXT;
+ALTER TABLE "Reminder" ADD COLUMN "recipient" TEXT;
+ALTER TABLE "Reminder" ADD COLUMN "providerMessageId" TEXT;
+ALTER TABLE "Reminder" ADD COLUMN "lastAttemptAt" TIMESTAMP(3);
+ALTER TABLE "Reminder" ADD COLUMN "nextRetryAt" TIMESTAMP(3);
+ALTER TABLE "Reminder" ADD COLUMN "errorCode" TEXT;
+ALTER TABLE "Reminder" ADD COLUMN "errorMessage" TEXT;
+
+CREATE INDEX "Reminder_status_nextRetryAt_idx" ON "Reminder"("status", "nextRetryAt");
@@ -0,0 +1,18 @@
+-- Scheduled background job run history
+CREATE TABLE "JobRun" (
+    "id" SERIAL NOT NULL,
+    "jobName" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL DEFAULT 'schedule',
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "durationMs" INTEGER,
+    "resultJson" TEXT,
+    "error" TEXT,
+    "triggeredBy" INTEGER,
+
+    CONSTRAINT "JobRun_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "JobRun_jobName_startedAt_idx" ON "JobRun"("jobName", "startedAt");
+CREATE INDEX "JobRun_status_idx" ON "JobRun"("status");
@@ -0,0 +1,65 @@
+-- Multi-branch support
+CREATE TABLE "Branch" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "address" TEXT,
+    "phone" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Branch_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "Branch_code_key" ON "Branch"("code");
+
+CREATE TABLE "UserBranch" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "branchId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UserBranch_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "UserBranch_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "UserBranch_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE UNIQUE INDEX "UserBranch_userId_branchId_key" ON "UserBranch"("userId", "branchId");
+CREATE INDEX "UserBranch_branchId_idx" ON "UserBranch"("branchId");
+
+-- Member home branch and plan branch rules
+ALTER TABLE "Member" ADD COLUMN "homeBranchId" INTEGER;
+ALTER TABLE "Member" ADD CONSTRAINT "Member_homeBranchId_fkey" FOREIGN KEY ("homeBranchId") REFERENCES "Branch" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX "Member_homeBranchId_idx" ON "Member"("homeBranchId");
+
+ALTER TABLE "SubscriptionPlan" ADD COLUMN "branchAccess" TEXT NOT NULL DEFAULT 'all';
+ALTER TABLE "SubscriptionPlan" ADD COLUMN "allowedBranchIds" TEXT;
+
+-- Branch scoping of operational records
+ALTER TABLE "POSMachine" ADD COLUMN "branchId" INTEGER;
+ALTER TABLE "POSMachine" ADD CONSTRAINT "POSMachine_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "POSShift" ADD COLUMN "branchId" INTEGER;
+ALTER TABLE "POSShift" ADD CONSTRAINT "POSShift_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX "POSShift_branchId_idx" ON "POSShift"("branchId");
+
+ALTER TABLE "Payment" ADD COLUMN "branchId" INTEGER;
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX "Payment_branchId_idx" ON "Payment"("branchId");
+
+ALTER TABLE "CheckIn" ADD COLUMN "branchId" INTEGER;
+ALTER TABLE "CheckIn" ADD CONSTRAINT "CheckIn_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX "CheckIn_branchId_idx" ON "CheckIn"("branchId");
+
+ALTER TABLE "SaleTransaction" ADD COLUMN "branchId" INTEGER;
+ALTER TABLE "SaleTransaction" ADD CONSTRAINT "SaleTransaction_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX "SaleTransaction_branchId_idx" ON "SaleTransaction"("branchId");
+
+ALTER TABLE "StockMovement" ADD COLUMN "branchId" INTEGER;
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX "StockMovement_productId_branchId_idx" ON "StockMovement"("productId", "branchId");
+
+ALTER TABLE "Appointment" ADD COLUMN "branchId" INTEGER;
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX "Appointment_branchId_idx" ON "Appointment"("branchId");
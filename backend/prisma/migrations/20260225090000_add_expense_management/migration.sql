@@ -0,0 +1,69 @@
+-- Expense management: categories, recurring expenses, attachments and drawer pay-outs
+CREATE TABLE "ExpenseCategory" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExpenseCategory_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "ExpenseCategory_name_key" ON "ExpenseCategory"("name");
+
+INSERT INTO "ExpenseCategory" ("name", "sortOrder", "updatedAt") VALUES
+    ('rent', 1, CURRENT_TIMESTAMP),
+    ('utilities', 2, CURRENT_TIMESTAMP),
+    ('salaries', 3, CURRENT_TIMESTAMP),
+    ('equipment', 4, CURRENT_TIMESTAMP),
+    ('maintenance', 5, CURRENT_TIMESTAMP),
+    ('supplies', 6, CURRENT_TIMESTAMP),
+    ('marketing', 7, CURRENT_TIMESTAMP),
+    ('other', 8, CURRENT_TIMESTAMP);
+
+-- Categories already used by existing expenses (e.g. coach settlements)
+INSERT INTO "ExpenseCategory" ("name", "sortOrder", "updatedAt")
+SELECT DISTINCT "category", 100, CURRENT_TIMESTAMP FROM "Expense"
+ON CONFLICT ("name") DO NOTHING;
+
+CREATE TABLE "RecurringExpense" (
+    "id" SERIAL NOT NULL,
+    "category" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "description" TEXT,
+    "paymentMethod" TEXT NOT NULL DEFAULT 'transfer',
+    "frequency" TEXT NOT NULL DEFAULT 'monthly',
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "nextDueDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3),
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "branchId" INTEGER,
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RecurringExpense_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "RecurringExpense_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+CREATE INDEX "RecurringExpense_isActive_nextDueDate_idx" ON "RecurringExpense"("isActive", "nextDueDate");
+
+ALTER TABLE "Expense" ADD COLUMN "paymentMethod" TEXT NOT NULL DEFAULT 'cash';
+ALTER TABLE "Expense" ADD COLUMN "attachmentPath" TEXT;
+ALTER TABLE "Expense" ADD COLUMN "branchId" INTEGER;
+ALTER TABLE "Expense" ADD COLUMN "shiftId" INTEGER;
+ALTER TABLE "Expense" ADD COLUMN "cashMovementId" INTEGER;
+ALTER TABLE "Expense" ADD COLUMN "recurringExpenseId" INTEGER;
+ALTER TABLE "Expense" ADD COLUMN "createdBy" INTEGER;
+
+ALTER TABLE "Expense" ADD CONSTRAINT "Expense_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "Expense" ADD CONSTRAINT "Expense_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "POSShift" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "Expense" ADD CONSTRAINT "Expense_cashMovementId_fkey" FOREIGN KEY ("cashMovementId") REFERENCES "CashMovement" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "Expense" ADD CONSTRAINT "Expense_recurringExpenseId_fkey" FOREIGN KEY ("recurringExpenseId") REFERENCES "RecurringExpense" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+CREATE UNIQUE INDEX "Expense_cashMovementId_key" ON "Expense"("cashMovementId");
+CREATE UNIQUE INDEX "Expense_recurringExpenseId_date_key" ON "Expense"("recurringExpenseId", "date");
+CREATE INDEX "Expense_date_idx" ON "Expense"("date");
+CREATE INDEX "Expense_category_idx" ON "Expense"("category");
+CREATE INDEX "Expense_branchId_idx" ON "Expense"("branchId");
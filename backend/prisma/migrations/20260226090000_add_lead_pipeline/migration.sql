@@ -0,0 +1,65 @@
+-- Lead pipeline: sources, stages, assignment, follow-up tasks and activity timeline
+ALTER TABLE "Lead" ADD COLUMN "phoneNorm" TEXT;
+ALTER TABLE "Lead" ADD COLUMN "email" TEXT;
+ALTER TABLE "Lead" ADD COLUMN "source" TEXT NOT NULL DEFAULT 'walk_in';
+ALTER TABLE "Lead" ADD COLUMN "stage" TEXT NOT NULL DEFAULT 'new';
+ALTER TABLE "Lead" ADD COLUMN "lostReason" TEXT;
+ALTER TABLE "Lead" ADD COLUMN "lostFromStage" TEXT;
+ALTER TABLE "Lead" ADD COLUMN "interestedPlanId" INTEGER;
+ALTER TABLE "Lead" ADD COLUMN "assignedTo" INTEGER;
+ALTER TABLE "Lead" ADD COLUMN "createdBy" INTEGER;
+ALTER TABLE "Lead" ADD COLUMN "branchId" INTEGER;
+ALTER TABLE "Lead" ADD COLUMN "lastContactedAt" TIMESTAMP(3);
+
+ALTER TABLE "Lead" ADD CONSTRAINT "Lead_assignedTo_fkey" FOREIGN KEY ("assignedTo") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "Lead" ADD CONSTRAINT "Lead_interestedPlanId_fkey" FOREIGN KEY ("interestedPlanId") REFERENCES "SubscriptionPlan" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "Lead" ADD CONSTRAINT "Lead_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+CREATE INDEX "Lead_phoneNorm_idx" ON "Lead"("phoneNorm");
+CREATE INDEX "Lead_stage_idx" ON "Lead"("stage");
+CREATE INDEX "Lead_assignedTo_idx" ON "Lead"("assignedTo");
+CREATE INDEX "Lead_createdAt_idx" ON "Lead"("createdAt");
+
+-- Existing leads
+UPDATE "Lead" SET "phoneNorm" = NULLIF(regexp_replace("phone", '\D', '', 'g'), '') WHERE "phone" IS NOT NULL;
+UPDATE "Lead" SET "stage" = 'converted' WHERE "convertedMemberId" IS NOT NULL;
+
+CREATE TABLE "LeadTask" (
+    "id" SERIAL NOT NULL,
+    "leadId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "dueAt" TIMESTAMP(3) NOT NULL,
+    "assignedTo" INTEGER,
+    "completedAt" TIMESTAMP(3),
+    "completedBy" INTEGER,
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LeadTask_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "LeadTask_leadId_fkey" FOREIGN KEY ("leadId") REFERENCES "Lead" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "LeadTask_assignedTo_fkey" FOREIGN KEY ("assignedTo") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+CREATE INDEX "LeadTask_leadId_idx" ON "LeadTask"("leadId");
+CREATE INDEX "LeadTask_assignedTo_completedAt_dueAt_idx" ON "LeadTask"("assignedTo", "completedAt", "dueAt");
+
+CREATE TABLE "LeadActivity" (
+    "id" SERIAL NOT NULL,
+    "leadId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "message" TEXT,
+    "metadata" TEXT,
+    "userId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LeadActivity_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "LeadActivity_leadId_fkey" FOREIGN KEY ("leadId") REFERENCES "Lead" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "LeadActivity_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+CREATE INDEX "LeadActivity_leadId_createdAt_idx" ON "LeadActivity"("leadId", "createdAt");
+
+ALTER TABLE "Appointment" ADD COLUMN "leadId" INTEGER;
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_leadId_fkey" FOREIGN KEY ("leadId") REFERENCES "Lead" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX "Appointment_leadId_idx" ON "Appointment"("leadId");
@@ -0,0 +1,25 @@
+-- Subscription lifecycle: scheduled pauses, grace period and status history
+ALTER TABLE "Subscription" ADD COLUMN "pauseStartsAt" TIMESTAMP(3);
+ALTER TABLE "Subscription" ADD COLUMN "pauseEndsAt" TIMESTAMP(3);
+
+CREATE INDEX "Subscription_status_endDate_idx" ON "Subscription"("status", "endDate");
+
+CREATE TABLE "SubscriptionEvent" (
+    "id" SERIAL NOT NULL,
+    "subscriptionId" INTEGER NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "metadata" TEXT,
+    "userId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SubscriptionEvent_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "SubscriptionEvent_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "Subscription" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "SubscriptionEvent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+CREATE INDEX "SubscriptionEvent_subscriptionId_createdAt_idx" ON "SubscriptionEvent"("subscriptionId", "createdAt");
+
+-- Future-dated subscriptions wait for their start date
+UPDATE "Subscription" SET "status" = 'scheduled' WHERE "status" = 'active' AND "startDate" > CURRENT_TIMESTAMP;
@@ -0,0 +1,16 @@
+-- Plan access rules enforced at check-in
+ALTER TABLE "SubscriptionPlan" ADD COLUMN "accessRules" TEXT;
+
+-- Check-ins remember the subscription they were counted against (visit quotas)
+ALTER TABLE "CheckIn" ADD COLUMN "subscriptionId" INTEGER;
+ALTER TABLE "CheckIn" ADD CONSTRAINT "CheckIn_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "Subscription" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+CREATE INDEX "CheckIn_subscriptionId_checkInTime_idx" ON "CheckIn"("subscriptionId", "checkInTime");
+
+-- Link existing subscription visits to the subscription that covered them
+UPDATE "CheckIn" c SET "subscriptionId" = s."id"
+FROM "Subscription" s
+WHERE c."subscriptionId" IS NULL
+  AND c."notes" LIKE '%"visitType":"SUBSCRIPTION"%'
+  AND s."memberId" = c."memberId"
+  AND c."checkInTime" BETWEEN s."startDate" AND s."endDate";
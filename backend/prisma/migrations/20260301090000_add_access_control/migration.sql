@@ -0,0 +1,49 @@
+-- Access cards read by turnstile / door readers
+ALTER TABLE "Member" ADD COLUMN "accessCardNumber" TEXT;
+CREATE UNIQUE INDEX "Member_accessCardNumber_key" ON "Member"("accessCardNumber");
+
+-- Access-control devices
+CREATE TABLE "AccessDevice" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "driver" TEXT NOT NULL,
+    "config" TEXT NOT NULL,
+    "branchId" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "openOnCheckIn" BOOLEAN NOT NULL DEFAULT true,
+    "pulseMs" INTEGER NOT NULL DEFAULT 1000,
+    "readerTokenHash" TEXT,
+    "readerTokenHint" TEXT,
+    "lastSeenAt" TIMESTAMP(3),
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AccessDevice_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "AccessDevice_readerTokenHash_key" ON "AccessDevice"("readerTokenHash");
+CREATE INDEX "AccessDevice_branchId_idx" ON "AccessDevice"("branchId");
+ALTER TABLE "AccessDevice" ADD CONSTRAINT "AccessDevice_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Device event log
+CREATE TABLE "AccessDeviceEvent" (
+    "id" SERIAL NOT NULL,
+    "deviceId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "credential" TEXT,
+    "memberId" INTEGER,
+    "checkInId" INTEGER,
+    "reason" TEXT,
+    "message" TEXT,
+    "durationMs" INTEGER,
+    "userId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AccessDeviceEvent_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "AccessDeviceEvent_deviceId_createdAt_idx" ON "AccessDeviceEvent"("deviceId", "createdAt");
+CREATE INDEX "AccessDeviceEvent_createdAt_idx" ON "AccessDeviceEvent"("createdAt");
+ALTER TABLE "AccessDeviceEvent" ADD CONSTRAINT "AccessDeviceEvent_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "AccessDevice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- Member credentials (RFID / NFC cards, key fobs, wristbands)
+CREATE TABLE "MemberCredential" (
+    "id" SERIAL NOT NULL,
+    "memberId" INTEGER NOT NULL,
+    "uid" TEXT NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'rfid_card',
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "issuedBy" INTEGER,
+    "revokedAt" TIMESTAMP(3),
+    "revokedBy" INTEGER,
+    "revokedReason" TEXT,
+    "replacesId" INTEGER,
+    "replacementFee" DOUBLE PRECISION,
+    "paymentId" INTEGER,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MemberCredential_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "MemberCredential_uid_key" ON "MemberCredential"("uid");
+CREATE INDEX "MemberCredential_memberId_status_idx" ON "MemberCredential"("memberId", "status");
+CREATE INDEX "MemberCredential_status_type_idx" ON "MemberCredential"("status", "type");
+ALTER TABLE "MemberCredential" ADD CONSTRAINT "MemberCredential_memberId_fkey" FOREIGN KEY ("memberId") REFERENCES "Member"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Access card numbers become credentials
+INSERT INTO "MemberCredential" ("memberId", "uid", "type", "status", "updatedAt")
+SELECT "id", UPPER(REGEXP_REPLACE("accessCardNumber", '[\s:-]', '', 'g')), 'rfid_card', 'active', CURRENT_TIMESTAMP
+FROM "Member"
+WHERE "accessCardNumber" IS NOT NULL AND TRIM("accessCardNumber") <> ''
+ON CONFLICT ("uid") DO NOTHING;
+
+DROP INDEX "Member_accessCardNumber_key";
+ALTER TABLE "Member" DROP COLUMN "accessCardNumber";
@@ -0,0 +1,20 @@
+-- Self-service check-in kiosks
+CREATE TABLE "KioskDevice" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "branchId" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "tokenHash" TEXT NOT NULL,
+    "tokenHint" TEXT,
+    "exitPinHash" TEXT NOT NULL,
+    "lastSeenAt" TIMESTAMP(3),
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "KioskDevice_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "KioskDevice_tokenHash_key" ON "KioskDevice"("tokenHash");
+CREATE INDEX "KioskDevice_branchId_idx" ON "KioskDevice"("branchId");
+ALTER TABLE "KioskDevice" ADD CONSTRAINT "KioskDevice_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
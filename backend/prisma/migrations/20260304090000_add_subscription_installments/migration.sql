@@ -0,0 +1,26 @@
+-- Installment payment plans for subscriptions
+CREATE TABLE "SubscriptionInstallment" (
+    "id" SERIAL NOT NULL,
+    "subscriptionId" INTEGER NOT NULL,
+    "memberId" INTEGER NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "paidAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "paidAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SubscriptionInstallment_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "SubscriptionInstallment_subscriptionId_sequence_key" ON "SubscriptionInstallment"("subscriptionId", "sequence");
+CREATE INDEX "SubscriptionInstallment_status_dueDate_idx" ON "SubscriptionInstallment"("status", "dueDate");
+CREATE INDEX "SubscriptionInstallment_memberId_idx" ON "SubscriptionInstallment"("memberId");
+ALTER TABLE "SubscriptionInstallment" ADD CONSTRAINT "SubscriptionInstallment_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "Subscription"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Installment reminders point at their installment
+ALTER TABLE "Reminder" ADD COLUMN "installmentId" INTEGER;
+CREATE INDEX "Reminder_installmentId_idx" ON "Reminder"("installmentId");
+ALTER TABLE "Reminder" ADD CONSTRAINT "Reminder_installmentId_fkey" FOREIGN KEY ("installmentId") REFERENCES "SubscriptionInstallment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
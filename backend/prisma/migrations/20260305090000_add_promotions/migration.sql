@@ -0,0 +1,59 @@
+-- Referrals and family groups
+ALTER TABLE "Member" ADD COLUMN "referredById" INTEGER;
+ALTER TABLE "Member" ADD COLUMN "referralRewardedAt" TIMESTAMP(3);
+ALTER TABLE "Member" ADD COLUMN "familyHeadId" INTEGER;
+CREATE INDEX "Member_referredById_idx" ON "Member"("referredById");
+CREATE INDEX "Member_familyHeadId_idx" ON "Member"("familyHeadId");
+ALTER TABLE "Member" ADD CONSTRAINT "Member_referredById_fkey" FOREIGN KEY ("referredById") REFERENCES "Member"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "Member" ADD CONSTRAINT "Member_familyHeadId_fkey" FOREIGN KEY ("familyHeadId") REFERENCES "Member"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "MemberCreditLedger" ADD COLUMN "referredMemberId" INTEGER;
+CREATE INDEX "MemberCreditLedger_referredMemberId_idx" ON "MemberCreditLedger"("referredMemberId");
+ALTER TABLE "MemberCreditLedger" ADD CONSTRAINT "MemberCreditLedger_referredMemberId_fkey" FOREIGN KEY ("referredMemberId") REFERENCES "Member"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Promotions
+CREATE TABLE "Promotion" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "code" TEXT,
+    "ruleType" TEXT,
+    "ruleConfig" TEXT,
+    "discountType" TEXT NOT NULL DEFAULT 'percent',
+    "discountValue" DOUBLE PRECISION NOT NULL,
+    "maxDiscount" DOUBLE PRECISION,
+    "planIds" TEXT,
+    "validFrom" TIMESTAMP(3),
+    "validUntil" TIMESTAMP(3),
+    "maxUses" INTEGER,
+    "maxUsesPerMember" INTEGER,
+    "usedCount" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Promotion_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "Promotion_code_key" ON "Promotion"("code");
+CREATE INDEX "Promotion_isActive_ruleType_idx" ON "Promotion"("isActive", "ruleType");
+
+CREATE TABLE "PromotionRedemption" (
+    "id" SERIAL NOT NULL,
+    "promotionId" INTEGER NOT NULL,
+    "memberId" INTEGER NOT NULL,
+    "subscriptionId" INTEGER,
+    "code" TEXT,
+    "originalPrice" DOUBLE PRECISION NOT NULL,
+    "discountAmount" DOUBLE PRECISION NOT NULL,
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PromotionRedemption_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "PromotionRedemption_promotionId_createdAt_idx" ON "PromotionRedemption"("promotionId", "createdAt");
+CREATE INDEX "PromotionRedemption_memberId_idx" ON "PromotionRedemption"("memberId");
+ALTER TABLE "PromotionRedemption" ADD CONSTRAINT "PromotionRedemption_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "Promotion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "PromotionRedemption" ADD CONSTRAINT "PromotionRedemption_memberId_fkey" FOREIGN KEY ("memberId") REFERENCES "Member"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "PromotionRedemption" ADD CONSTRAINT "PromotionRedemption_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "Subscription"("id") ON DELETE SET NULL ON UPDATE CASCADE;
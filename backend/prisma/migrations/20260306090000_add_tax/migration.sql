@@ -0,0 +1,11 @@
+-- Per-item tax rates (null uses the default rate setting)
+ALTER TABLE "SubscriptionPlan" ADD COLUMN "taxRate" DOUBLE PRECISION;
+ALTER TABLE "Product" ADD COLUMN "taxRate" DOUBLE PRECISION;
+ALTER TABLE "Service" ADD COLUMN "taxRate" DOUBLE PRECISION;
+
+-- Rates locked at the time of sale
+ALTER TABLE "Subscription" ADD COLUMN "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0;
+ALTER TABLE "Payment" ADD COLUMN "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0;
+ALTER TABLE "SaleTransaction" ADD COLUMN "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+ALTER TABLE "SaleItem" ADD COLUMN "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0;
+ALTER TABLE "SaleItem" ADD COLUMN "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
@@ -0,0 +1,20 @@
+-- Split-tender payments and sales
+CREATE TABLE "PaymentTender" (
+    "id" SERIAL NOT NULL,
+    "paymentId" INTEGER,
+    "saleTransactionId" INTEGER,
+    "method" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "externalReference" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PaymentTender_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "PaymentTender_paymentId_idx" ON "PaymentTender"("paymentId");
+CREATE INDEX "PaymentTender_saleTransactionId_idx" ON "PaymentTender"("saleTransactionId");
+ALTER TABLE "PaymentTender" ADD CONSTRAINT "PaymentTender_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "PaymentTender" ADD CONSTRAINT "PaymentTender_saleTransactionId_fkey" FOREIGN KEY ("saleTransactionId") REFERENCES "SaleTransaction"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Tender a refund was paid out through
+ALTER TABLE "Refund" ADD COLUMN "method" TEXT;
@@ -0,0 +1,79 @@
+-- Group classes: class types, scheduled sessions, enrollments and waitlists
+CREATE TABLE "ClassType" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "nameAr" TEXT,
+    "description" TEXT,
+    "color" TEXT,
+    "durationMinutes" INTEGER NOT NULL DEFAULT 60,
+    "defaultCapacity" INTEGER NOT NULL DEFAULT 20,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ClassType_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE "ClassSession" (
+    "id" SERIAL NOT NULL,
+    "classTypeId" INTEGER NOT NULL,
+    "coachId" INTEGER,
+    "branchId" INTEGER,
+    "room" TEXT,
+    "start" TIMESTAMP(3) NOT NULL,
+    "end" TIMESTAMP(3) NOT NULL,
+    "capacity" INTEGER NOT NULL,
+    "waitlistCapacity" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'scheduled',
+    "cancelReason" TEXT,
+    "notes" TEXT,
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ClassSession_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "ClassSession_start_idx" ON "ClassSession"("start");
+CREATE INDEX "ClassSession_classTypeId_start_idx" ON "ClassSession"("classTypeId", "start");
+CREATE INDEX "ClassSession_coachId_start_idx" ON "ClassSession"("coachId", "start");
+CREATE INDEX "ClassSession_branchId_start_idx" ON "ClassSession"("branchId", "start");
+ALTER TABLE "ClassSession" ADD CONSTRAINT "ClassSession_classTypeId_fkey" FOREIGN KEY ("classTypeId") REFERENCES "ClassType"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "ClassSession" ADD CONSTRAINT "ClassSession_coachId_fkey" FOREIGN KEY ("coachId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "ClassSession" ADD CONSTRAINT "ClassSession_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+CREATE TABLE "ClassEnrollment" (
+    "id" SERIAL NOT NULL,
+    "sessionId" INTEGER NOT NULL,
+    "memberId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'enrolled',
+    "waitlistPosition" INTEGER,
+    "creditSource" TEXT,
+    "subscriptionId" INTEGER,
+    "memberPackageId" INTEGER,
+    "packageUsageId" INTEGER,
+    "checkInId" INTEGER,
+    "enrolledAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "promotedAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "attendedAt" TIMESTAMP(3),
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ClassEnrollment_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "ClassEnrollment_sessionId_memberId_key" ON "ClassEnrollment"("sessionId", "memberId");
+CREATE INDEX "ClassEnrollment_sessionId_status_idx" ON "ClassEnrollment"("sessionId", "status");
+CREATE INDEX "ClassEnrollment_memberId_status_idx" ON "ClassEnrollment"("memberId", "status");
+CREATE INDEX "ClassEnrollment_subscriptionId_creditSource_idx" ON "ClassEnrollment"("subscriptionId", "creditSource");
+ALTER TABLE "ClassEnrollment" ADD CONSTRAINT "ClassEnrollment_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "ClassSession"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ClassEnrollment" ADD CONSTRAINT "ClassEnrollment_memberId_fkey" FOREIGN KEY ("memberId") REFERENCES "Member"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ClassEnrollment" ADD CONSTRAINT "ClassEnrollment_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "Subscription"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "ClassEnrollment" ADD CONSTRAINT "ClassEnrollment_memberPackageId_fkey" FOREIGN KEY ("memberPackageId") REFERENCES "MemberPackage"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "ClassEnrollment" ADD CONSTRAINT "ClassEnrollment_packageUsageId_fkey" FOREIGN KEY ("packageUsageId") REFERENCES "PackageSessionUsage"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "ClassEnrollment" ADD CONSTRAINT "ClassEnrollment_checkInId_fkey" FOREIGN KEY ("checkInId") REFERENCES "CheckIn"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Group classes included in a membership plan
+ALTER TABLE "SubscriptionPlan" ADD COLUMN "classCredits" INTEGER;
@@ -0,0 +1,30 @@
+-- Recurring appointment series
+CREATE TABLE "AppointmentSeries" (
+    "id" SERIAL NOT NULL,
+    "coachId" INTEGER NOT NULL,
+    "memberId" INTEGER NOT NULL,
+    "frequency" TEXT NOT NULL,
+    "interval" INTEGER NOT NULL DEFAULT 1,
+    "weekdays" TEXT,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "untilDate" TIMESTAMP(3),
+    "count" INTEGER,
+    "durationMinutes" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AppointmentSeries_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "AppointmentSeries_coachId_idx" ON "AppointmentSeries"("coachId");
+CREATE INDEX "AppointmentSeries_memberId_idx" ON "AppointmentSeries"("memberId");
+
+ALTER TABLE "AppointmentSeries" ADD CONSTRAINT "AppointmentSeries_coachId_fkey" FOREIGN KEY ("coachId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "AppointmentSeries" ADD CONSTRAINT "AppointmentSeries_memberId_fkey" FOREIGN KEY ("memberId") REFERENCES "Member"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Occurrences point back at their series
+ALTER TABLE "Appointment" ADD COLUMN "seriesId" INTEGER;
+CREATE INDEX "Appointment_seriesId_idx" ON "Appointment"("seriesId");
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "AppointmentSeries"("id") ON DELETE SET NULL ON UPDATE CASCADE;
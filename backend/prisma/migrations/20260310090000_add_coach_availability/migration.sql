@@ -0,0 +1,51 @@
+-- Weekly working hours and breaks
+CREATE TABLE "CoachWorkingHours" (
+    "id" SERIAL NOT NULL,
+    "coachId" INTEGER NOT NULL,
+    "weekday" INTEGER NOT NULL,
+    "startTime" TEXT NOT NULL,
+    "endTime" TEXT NOT NULL,
+    "kind" TEXT NOT NULL DEFAULT 'work',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CoachWorkingHours_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "CoachWorkingHours_coachId_weekday_idx" ON "CoachWorkingHours"("coachId", "weekday");
+
+ALTER TABLE "CoachWorkingHours" ADD CONSTRAINT "CoachWorkingHours_coachId_fkey" FOREIGN KEY ("coachId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Vacation and other time off
+CREATE TABLE "CoachTimeOff" (
+    "id" SERIAL NOT NULL,
+    "coachId" INTEGER NOT NULL,
+    "start" TIMESTAMP(3) NOT NULL,
+    "end" TIMESTAMP(3) NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'vacation',
+    "reason" TEXT,
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CoachTimeOff_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "CoachTimeOff_coachId_start_idx" ON "CoachTimeOff"("coachId", "start");
+
+ALTER TABLE "CoachTimeOff" ADD CONSTRAINT "CoachTimeOff_coachId_fkey" FOREIGN KEY ("coachId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Gym holiday closures
+CREATE TABLE "GymClosure" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "branchId" INTEGER,
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GymClosure_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "GymClosure_startDate_idx" ON "GymClosure"("startDate");
+
+ALTER TABLE "GymClosure" ADD CONSTRAINT "GymClosure_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- Appointments booked against a session package
+ALTER TABLE "Appointment" ADD COLUMN "memberPackageId" INTEGER;
+ALTER TABLE "Appointment" ADD COLUMN "packageUsageId" INTEGER;
+
+CREATE INDEX "Appointment_memberPackageId_idx" ON "Appointment"("memberPackageId");
+
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_memberPackageId_fkey" FOREIGN KEY ("memberPackageId") REFERENCES "MemberPackage"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_packageUsageId_fkey" FOREIGN KEY ("packageUsageId") REFERENCES "PackageSessionUsage"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- No-show / late-cancellation fee policy per service
+ALTER TABLE "Service" ADD COLUMN "lateCancelWindowHours" INTEGER;
+ALTER TABLE "Service" ADD COLUMN "lateCancelFee" DOUBLE PRECISION NOT NULL DEFAULT 0;
+ALTER TABLE "Service" ADD COLUMN "noShowFee" DOUBLE PRECISION NOT NULL DEFAULT 0;
+ALTER TABLE "Service" ADD COLUMN "forfeitPackageSession" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "Service" ADD COLUMN "compensateCoachOnNoShow" BOOLEAN NOT NULL DEFAULT false;
+
+-- Charges raised against members for no-shows and late cancellations
+CREATE TABLE "AppointmentCharge" (
+    "id" SERIAL NOT NULL,
+    "appointmentId" INTEGER NOT NULL,
+    "memberId" INTEGER NOT NULL,
+    "coachId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "method" TEXT NOT NULL DEFAULT 'fee',
+    "amount" DOUBLE PRECISION NOT NULL,
+    "creditApplied" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "paidAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "dueAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "coachCompensation" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'due',
+    "paymentId" INTEGER,
+    "createdByUserId" INTEGER,
+    "waivedByUserId" INTEGER,
+    "waivedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AppointmentCharge_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "AppointmentCharge_appointmentId_key" ON "AppointmentCharge"("appointmentId");
+CREATE INDEX "AppointmentCharge_memberId_idx" ON "AppointmentCharge"("memberId");
+CREATE INDEX "AppointmentCharge_coachId_idx" ON "AppointmentCharge"("coachId");
+CREATE INDEX "AppointmentCharge_status_idx" ON "AppointmentCharge"("status");
+
+ALTER TABLE "AppointmentCharge" ADD CONSTRAINT "AppointmentCharge_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "AppointmentCharge" ADD CONSTRAINT "AppointmentCharge_memberId_fkey" FOREIGN KEY ("memberId") REFERENCES "Member"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "AppointmentCharge" ADD CONSTRAINT "AppointmentCharge_coachId_fkey" FOREIGN KEY ("coachId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "AppointmentCharge" ADD CONSTRAINT "AppointmentCharge_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
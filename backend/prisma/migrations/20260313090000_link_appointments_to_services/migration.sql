@@ -0,0 +1,16 @@
+-- Appointments keep the id of the service they were booked for
+ALTER TABLE "Appointment" ADD COLUMN "serviceId" INTEGER;
+
+CREATE INDEX "Appointment_serviceId_idx" ON "Appointment"("serviceId");
+
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "Service"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing appointments only stored the service name as their title
+UPDATE "Appointment" a
+SET "serviceId" = (
+    SELECT s."id" FROM "Service" s
+    WHERE s."name" = a."title"
+    ORDER BY s."isActive" DESC, s."id" ASC
+    LIMIT 1
+)
+WHERE a."title" IS NOT NULL;
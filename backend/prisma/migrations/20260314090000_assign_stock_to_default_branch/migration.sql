@@ -0,0 +1,6 @@
+-- Stock recorded before branches existed belongs to the default branch (the first one created).
+-- Without a branch yet this is a no-op; the stock service counts unassigned movements
+-- as the default branch's stock in that case.
+UPDATE "StockMovement"
+SET "branchId" = (SELECT MIN("id") FROM "Branch")
+WHERE "branchId" IS NULL;
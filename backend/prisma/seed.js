@@ -144,7 +144,29 @@ async function main() {
         // Check-in
         { key: 'checkin_qr_enabled', value: 'true', type: 'boolean', group: 'checkin' },
         { key: 'checkin_face_enabled', value: 'true', type: 'boolean', group: 'checkin' },
+        { key: 'checkin_face_threshold', value: '0.5', type: 'number', group: 'checkin' },
         { key: 'checkin_block_expired', value: 'true', type: 'boolean', group: 'checkin' },
+        { key: 'subscription_grace_days', value: '0', type: 'number', group: 'checkin' },
+        { key: 'checkin_debt_policy', value: 'allow', type: 'string', group: 'checkin' },
+        { key: 'checkin_debt_threshold', value: '0', type: 'number', group: 'checkin' },
+        { key: 'credential_replacement_fee', value: '0', type: 'number', group: 'checkin' },
+
+        // Promotions
+        { key: 'referral_reward_amount', value: '0', type: 'number', group: 'promotions' },
+
+        // Tax
+        { key: 'tax_enabled', value: 'false', type: 'boolean', group: 'tax' },
+        { key: 'tax_name', value: 'VAT', type: 'string', group: 'tax' },
+        { key: 'tax_default_rate', value: '0', type: 'number', group: 'tax' },
+        { key: 'tax_prices_inclusive', value: 'true', type: 'boolean', group: 'tax' },
+        { key: 'tax_registration_number', value: '', type: 'string', group: 'tax' },
+
+        // Group classes
+        { key: 'class_cancel_cutoff_hours', value: '2', type: 'number', group: 'classes' },
+
+        // Appointments booked on session packages
+        { key: 'appointment_package_restore_on_cancel', value: 'true', type: 'boolean', group: 'appointments' },
+        { key: 'appointment_package_restore_on_no_show', value: 'false', type: 'boolean', group: 'appointments' },
 
         // Notifications
         { key: 'notify_expiry_days', value: '7', type: 'number', group: 'notifications' },
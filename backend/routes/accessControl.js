@@ -0,0 +1,285 @@
+/**
+ * ============================================
+ * ACCESS CONTROL ROUTES
+ * ============================================
+ *
+ * Turnstile / door relay devices, their event log and the
+ * endpoint their card/QR readers post scans to.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const accessControl = require('../services/accessControlService');
+
+const sendServiceError = (res, error, fallbackMessage) => {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message
+        });
+    }
+    if (error.code === 'P2025') {
+        return res.status(404).json({
+            success: false,
+            message: 'Access device not found'
+        });
+    }
+    if (error.code === 'P2003') {
+        return res.status(400).json({
+            success: false,
+            code: 'INVALID_BRANCH',
+            message: 'Branch not found'
+        });
+    }
+    console.error(`[ACCESS] ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+// ============================================
+// READER SCANS (device token, no staff login)
+// ============================================
+
+/**
+ * POST /api/access-control/scan
+ * Header: X-Device-Token
+ * Body: { credential, type: card|qr }
+ * data.granted tells the reader whether the door was opened
+ */
+router.post('/scan', async (req, res) => {
+    try {
+        const device = await accessControl.findDeviceByToken(req.prisma, req.get('X-Device-Token'));
+        if (!device) {
+            return res.status(401).json({
+                success: false,
+                code: 'INVALID_DEVICE_TOKEN',
+                message: 'Invalid or missing device token'
+            });
+        }
+
+        const { credential, type } = req.body || {};
+        const result = await accessControl.handleScan(req.prisma, { device, credential, type: type || 'card' });
+
+        res.json({
+            success: true,
+            message: result.message,
+            data: result
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to process scan');
+    }
+});
+
+router.use(authenticate);
+router.use(authorize('admin'));
+
+// ============================================
+// DEVICES
+// ============================================
+
+/**
+ * GET /api/access-control/drivers
+ * Available device drivers
+ */
+router.get('/drivers', (req, res) => {
+    res.json({
+        success: true,
+        data: accessControl.getDriverNames()
+    });
+});
+
+/**
+ * GET /api/access-control/devices
+ * List devices (config secrets masked)
+ */
+router.get('/devices', async (req, res) => {
+    try {
+        const devices = await req.prisma.accessDevice.findMany({
+            include: { branch: { select: { id: true, name: true } } },
+            orderBy: { createdAt: 'asc' }
+        });
+
+        res.json({
+            success: true,
+            data: devices.map((device) => accessControl.serializeDevice(device))
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch access devices');
+    }
+});
+
+/**
+ * POST /api/access-control/devices
+ * Create a device. The reader token is returned once in data.readerToken.
+ */
+router.post('/devices', async (req, res) => {
+    try {
+        const { token, ...tokenData } = accessControl.generateReaderToken();
+        const device = await req.prisma.accessDevice.create({
+            data: {
+                ...accessControl.buildDeviceData(req.body),
+                ...tokenData,
+                createdBy: req.user.id
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Access device created',
+            data: { ...accessControl.serializeDevice(device), readerToken: token }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create access device');
+    }
+});
+
+/**
+ * PUT /api/access-control/devices/:id
+ * Update name, driver, config, branch, pulse length or flags
+ */
+router.put('/devices/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const existing = await req.prisma.accessDevice.findUnique({ where: { id } });
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Access device not found'
+            });
+        }
+
+        const device = await req.prisma.accessDevice.update({
+            where: { id },
+            data: accessControl.buildDeviceData(req.body, existing)
+        });
+
+        res.json({
+            success: true,
+            message: 'Access device updated',
+            data: accessControl.serializeDevice(device)
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update access device');
+    }
+});
+
+/**
+ * POST /api/access-control/devices/:id/rotate-token
+ * Replace the reader token (returned once in data.readerToken)
+ */
+router.post('/devices/:id/rotate-token', async (req, res) => {
+    try {
+        const { token, ...tokenData } = accessControl.generateReaderToken();
+        const device = await req.prisma.accessDevice.update({
+            where: { id: parseInt(req.params.id) },
+            data: tokenData
+        });
+
+        res.json({
+            success: true,
+            message: 'Reader token rotated',
+            data: { ...accessControl.serializeDevice(device), readerToken: token }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to rotate reader token');
+    }
+});
+
+/**
+ * POST /api/access-control/devices/:id/test
+ * Send an open command now (logged as a "test" event)
+ */
+router.post('/devices/:id/test', async (req, res) => {
+    try {
+        const device = await req.prisma.accessDevice.findUnique({
+            where: { id: parseInt(req.params.id) }
+        });
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Access device not found'
+            });
+        }
+
+        const result = await accessControl.openDevice(req.prisma, device, { type: 'test', userId: req.user.id });
+
+        res.json({
+            success: true,
+            message: result.ok ? 'Device opened' : 'Device did not open',
+            data: result
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to test access device');
+    }
+});
+
+/**
+ * DELETE /api/access-control/devices/:id
+ * Delete a device and its event log
+ */
+router.delete('/devices/:id', async (req, res) => {
+    try {
+        await req.prisma.accessDevice.delete({
+            where: { id: parseInt(req.params.id) }
+        });
+
+        res.json({
+            success: true,
+            message: 'Access device deleted'
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete access device');
+    }
+});
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * GET /api/access-control/events
+ * Device event log (query: deviceId, type, status, page, limit)
+ */
+router.get('/events', async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+        const where = {};
+        if (req.query.deviceId) where.deviceId = parseInt(req.query.deviceId);
+        if (req.query.type) where.type = String(req.query.type);
+        if (req.query.status) where.status = String(req.query.status);
+
+        const [events, total] = await Promise.all([
+            req.prisma.accessDeviceEvent.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                skip: (page - 1) * limit,
+                take: limit,
+                include: { device: { select: { name: true } } }
+            }),
+            req.prisma.accessDeviceEvent.count({ where })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                events,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch access events');
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { requireAnyPermission } = require('../middleware/auth');
+const { lapsedSubscriptionWhere } = require('../services/subscriptionLifecycleService');
 
 /**
  * GET /api/alerts/subscriptions/unack-count
@@ -12,12 +13,7 @@ router.get('/subscriptions/unack-count', requireAnyPermission('subscriptions.vie
         const now = new Date();
         const rawCount = await req.prisma.subscription.count({
             where: {
-                OR: [
-                    { status: 'expired' },
-                    { status: 'cancelled' },
-                    { status: 'ended' },
-                    { status: 'active', endDate: { lte: now } }
-                ],
+                ...lapsedSubscriptionWhere(now),
                 alertAcknowledged: false
             }
         });
@@ -43,12 +39,7 @@ router.post('/subscriptions/ack-all', requireAnyPermission('subscriptions.view',
         const now = new Date();
         await req.prisma.subscription.updateMany({
             where: {
-                OR: [
-                    { status: 'expired' },
-                    { status: 'cancelled' },
-                    { status: 'ended' },
-                    { status: 'active', endDate: { lte: now } }
-                ],
+                ...lapsedSubscriptionWhere(now),
                 alertAcknowledged: false
             },
             data: {
@@ -0,0 +1,171 @@
+/**
+ * ============================================
+ * API KEYS ROUTES
+ * ============================================
+ *
+ * Admin management of public API keys and their access log
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { requireFeature, FEATURES } = require('../middleware/featureGate');
+const apiKeyService = require('../services/apiKeyService');
+
+router.use(authenticate);
+router.use(authorize('admin'));
+router.use(requireFeature(FEATURES.API_ACCESS));
+
+const sendServiceError = (res, error, fallbackMessage) => {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message
+        });
+    }
+    if (error.code === 'P2025') {
+        return res.status(404).json({
+            success: false,
+            message: 'API key not found'
+        });
+    }
+    console.error(`[API KEYS] ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * GET /api/api-keys
+ * List API keys (never includes the key itself)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const keys = await req.prisma.apiKey.findMany({
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.json({
+            success: true,
+            data: keys.map(apiKeyService.serializeApiKey)
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch API keys');
+    }
+});
+
+/**
+ * GET /api/api-keys/scopes
+ * Scopes that can be granted to a key
+ */
+router.get('/scopes', (req, res) => {
+    res.json({
+        success: true,
+        data: apiKeyService.ALL_SCOPES
+    });
+});
+
+/**
+ * GET /api/api-keys/logs
+ * Access log (query: apiKeyId, status=error, page, limit)
+ */
+router.get('/logs', async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+        const where = {};
+        if (req.query.apiKeyId) where.apiKeyId = parseInt(req.query.apiKeyId);
+        if (req.query.status === 'error') where.statusCode = { gte: 400 };
+
+        const [logs, total] = await Promise.all([
+            req.prisma.apiAccessLog.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                skip: (page - 1) * limit,
+                take: limit,
+                include: { apiKey: { select: { name: true, prefix: true } } }
+            }),
+            req.prisma.apiAccessLog.count({ where })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                logs,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch API access log');
+    }
+});
+
+/**
+ * POST /api/api-keys
+ * Create a key. The plaintext key is returned once in data.key.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { apiKey, key } = await apiKeyService.createApiKey(req.prisma, req.body, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now - it will not be shown again.',
+            data: { ...apiKey, key }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create API key');
+    }
+});
+
+/**
+ * PUT /api/api-keys/:id
+ * Update name, scopes, rate limit or expiry
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const data = apiKeyService.buildApiKeyUpdate(req.body);
+        const apiKey = await req.prisma.apiKey.update({
+            where: { id: parseInt(req.params.id) },
+            data
+        });
+
+        res.json({
+            success: true,
+            message: 'API key updated',
+            data: apiKeyService.serializeApiKey(apiKey)
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update API key');
+    }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke a key (kept for the access log)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        await req.prisma.apiKey.update({
+            where: { id: parseInt(req.params.id) },
+            data: { isActive: false, revokedAt: new Date() }
+        });
+
+        res.json({
+            success: true,
+            message: 'API key revoked'
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to revoke API key');
+    }
+});
+
+module.exports = router;
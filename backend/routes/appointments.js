@@ -1,7 +1,12 @@
 ﻿const express = require('express');
 const router = express.Router();
 const AppointmentService = require('../services/appointmentService');
-const { authenticate, requirePermission } = require('../middleware/auth');
+const AppointmentSeriesService = require('../services/appointmentSeriesService');
+const CoachAvailabilityService = require('../services/coachAvailabilityService');
+const AppointmentPackageService = require('../services/appointmentPackageService');
+const AppointmentPolicyService = require('../services/appointmentPolicyService');
+const { authenticate, requirePermission, requireActiveShift } = require('../middleware/auth');
+const { resolveBranch } = require('../middleware/branch');
 const { PERMISSIONS } = require('../utils/permissions');
 const { parseDateRange } = require('../utils/dateParams');
 const { roundMoney } = require('../utils/money');
@@ -81,8 +86,30 @@ function buildAppointmentsMetaConfig(settingRows) {
     return config;
 }
 
+function sendSeriesError(res, error, fallbackMessage) {
+    if (error.status && error.code) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message,
+            arabicMessage: error.arabicMessage,
+            data: error.data
+        });
+    }
+    console.error('[APPOINTMENTS] Series error:', error);
+    return res.status(400).json({ success: false, message: error.message || fallbackMessage });
+}
+
+const seriesScope = (req) => String(req.body?.scope || req.query.scope || 'this').trim().toLowerCase();
+
+// Staff may book outside the coach's working hours on purpose
+const overrideHours = (req) => req.body?.overrideHours === true || req.body?.overrideHours === 'true';
+
+// 'gym' when the gym or coach cancels: no late-cancellation fee or forfeited session
+const cancelledBy = (req) => (String(req.body?.cancelledBy || req.query.cancelledBy || '').trim().toLowerCase() === 'gym' ? 'gym' : 'member');
+
 // Create
-router.post('/', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE), async (req, res) => {
+router.post('/', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE), resolveBranch, async (req, res) => {
     try {
         const { start } = req.body;
         if (!start) {
@@ -101,14 +128,37 @@ router.post('/', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE
             return res.status(400).json({ success: false, message });
         }
 
+        if (req.body.recurrence) {
+            const result = await AppointmentSeriesService.createSeries(req.prisma, req.body, {
+                coachId: req.user.id,
+                userId: req.user.id,
+                branchId: req.branchId,
+                allowOutsideHours: overrideHours(req)
+            });
+            const booked = result.appointments.length;
+            return res.json({
+                success: true,
+                message: result.conflicts.length > 0
+                    ? `${booked} appointments booked, ${result.conflicts.length} skipped because the time is not available`
+                    : `${booked} appointments booked`,
+                data: result
+            });
+        }
+
         const payload = {
             ...req.body,
             coachId: req.user?.id,
-            createdByEmployeeId: req.user?.id
+            createdByEmployeeId: req.user?.id,
+            branchId: req.branchId
         };
-        const appointment = await AppointmentService.createAppointment(payload);
+        const appointment = await AppointmentService.createAppointment(payload, {
+            allowOutsideHours: overrideHours(req)
+        });
         res.json({ success: true, data: appointment });
     } catch (error) {
+        if (error.code && error.status) {
+            return sendSeriesError(res, error, 'Failed to book series');
+        }
         res.status(400).json({
             success: false,
             message: error.message,
@@ -117,10 +167,20 @@ router.post('/', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE
     }
 });
 
+// Recurring series with its occurrences
+router.get('/series/:id', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_VIEW), async (req, res) => {
+    try {
+        const series = await AppointmentSeriesService.getSeries(req.prisma, req.params.id);
+        res.json({ success: true, data: series });
+    } catch (error) {
+        sendSeriesError(res, error, 'Failed to load series');
+    }
+});
+
 // List
-router.get('/', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_VIEW), async (req, res) => {
+router.get('/', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_VIEW), resolveBranch, async (req, res) => {
     try {
-        const appointments = await AppointmentService.getAppointments(req.query);
+        const appointments = await AppointmentService.getAppointments({ ...req.query, branchScope: req.branchScope });
         const normalized = Array.isArray(appointments) ? appointments : [appointments];
         res.json({ success: true, data: normalized });
     } catch (error) {
@@ -326,16 +386,43 @@ router.get('/pending-completion', authenticate, requirePermission(PERMISSIONS.AP
     }
 });
 
-// Update
+// Update (scope: this | following | all for series occurrences)
 router.put('/:id', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE), async (req, res) => {
+    const scope = seriesScope(req);
+    if (scope !== 'this') {
+        try {
+            const result = await AppointmentSeriesService.updateSeriesAppointments(req.prisma, req.params.id, req.body, {
+                scope,
+                allowOutsideHours: overrideHours(req)
+            });
+            return res.json({
+                success: true,
+                message: result.conflicts.length > 0
+                    ? `${result.updated.length} appointments updated, ${result.conflicts.length} left unchanged because the time is not available`
+                    : `${result.updated.length} appointments updated`,
+                data: result
+            });
+        } catch (error) {
+            return sendSeriesError(res, error, 'Failed to update series');
+        }
+    }
+
     try {
+        const { scope: _scope, overrideHours: _overrideHours, cancelledBy: _cancelledBy, ...body } = req.body;
         const payload = {
-            ...req.body,
+            ...body,
             coachId: req.user?.id
         };
-        const appointment = await AppointmentService.updateAppointment(req.params.id, payload);
+        const appointment = await AppointmentService.updateAppointment(req.params.id, payload, {
+            allowOutsideHours: overrideHours(req),
+            userId: req.user.id,
+            cancelledBy: cancelledBy(req)
+        });
         res.json({ success: true, data: appointment });
     } catch (error) {
+        if (error.code && error.status) {
+            return sendSeriesError(res, error, 'Failed to update appointment');
+        }
         res.status(400).json({ success: false, message: error.message });
     }
 });
@@ -344,7 +431,8 @@ router.put('/:id', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_MANA
 router.patch('/:id/status', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE), async (req, res) => {
     try {
         const updated = await AppointmentService.updateAppointmentStatus(req.params.id, req.body?.status, {
-            notes: req.body?.notes
+            notes: req.body?.notes,
+            userId: req.user.id
         });
         return res.json({ success: true, data: updated });
     } catch (error) {
@@ -352,6 +440,7 @@ router.patch('/:id/status', authenticate, requirePermission(PERMISSIONS.APPOINTM
         return res.status(statusCode).json({
             success: false,
             reason: statusCode === 404 ? 'NOT_FOUND' : 'BAD_REQUEST',
+            code: error.code,
             message: error.message || 'Failed to update status'
         });
     }
@@ -399,6 +488,7 @@ router.post('/:id/complete', authenticate, requirePermission(PERMISSIONS.APPOINT
             trainer,
             member,
             alreadyCompleted,
+            paidByPackage: Boolean(result?.paidByPackage),
             appliedCredit: result?.appliedCredit ?? 0,
             dueAmount: result?.dueAmount ?? appointment?.dueAmount,
             overpaidAmount: result?.overpaidAmount ?? appointment?.overpaidAmount
@@ -441,7 +531,7 @@ router.post('/:id/complete', authenticate, requirePermission(PERMISSIONS.APPOINT
             return res.status(error.status).json({
                 success: false,
                 ok: false,
-                reason: error.reason || (error.status === 404 ? 'NOT_FOUND' : 'BAD_REQUEST'),
+                reason: error.reason || error.code || (error.status === 404 ? 'NOT_FOUND' : 'BAD_REQUEST'),
                 message: error.message || 'Failed to complete session'
             });
         }
@@ -578,7 +668,16 @@ router.get('/:id/preview-completion', authenticate, requirePermission(PERMISSION
                 finalPrice: true,
                 paidAmount: true,
                 paymentStatus: true,
-                trainer: { select: { id: true, name: true, commissionPercent: true } }
+                trainer: { select: { id: true, name: true, commissionPercent: true } },
+                memberPackage: {
+                    select: {
+                        id: true,
+                        sessionName: true,
+                        totalSessions: true,
+                        remainingSessions: true,
+                        plan: { select: { name: true } }
+                    }
+                }
             }
         });
         if (!appointment) {
@@ -633,11 +732,13 @@ router.get('/:id/preview-completion', authenticate, requirePermission(PERMISSION
         const creditBalance = appointment.memberId
             ? await CreditService.getBalance(req.prisma, appointment.memberId)
             : 0;
-        const creditAppliedPreview = Math.min(creditBalance, priceValue);
-        const remainingAfterCredit = Math.max(0, priceValue - creditAppliedPreview - (preview.totalPaid || 0));
+        // Sessions booked on a package are paid by the package
+        const amountDue = appointment.memberPackage ? 0 : priceValue;
+        const creditAppliedPreview = Math.min(creditBalance, amountDue);
+        const remainingAfterCredit = Math.max(0, amountDue - creditAppliedPreview - (preview.totalPaid || 0));
         const paidAmount = roundMoney(appointment.paidAmount || 0);
-        const dueAmount = roundMoney(Math.max(0, priceValue - paidAmount));
-        const overpaidAmount = roundMoney(Math.max(0, paidAmount - priceValue));
+        const dueAmount = roundMoney(Math.max(0, amountDue - paidAmount));
+        const overpaidAmount = roundMoney(Math.max(0, paidAmount - amountDue));
         const responseData = {
             ...preview,
             defaultCommissionPercent,
@@ -653,7 +754,15 @@ router.get('/:id/preview-completion', authenticate, requirePermission(PERMISSION
             paymentStatus: appointment.paymentStatus || (dueAmount > 0 ? 'DUE' : 'PAID'),
             creditAvailable: roundMoney(creditBalance),
             creditAppliedPreview: roundMoney(creditAppliedPreview),
-            remainingAfterCredit: roundMoney(remainingAfterCredit)
+            remainingAfterCredit: roundMoney(remainingAfterCredit),
+            memberPackage: appointment.memberPackage
+                ? {
+                    id: appointment.memberPackage.id,
+                    name: appointment.memberPackage.sessionName || appointment.memberPackage.plan?.name || null,
+                    totalSessions: appointment.memberPackage.totalSessions,
+                    remainingSessions: appointment.memberPackage.remainingSessions
+                }
+                : null
         };
         res.json({ success: true, data: responseData });
     } catch (error) {
@@ -666,10 +775,31 @@ router.get('/:id/preview-completion', authenticate, requirePermission(PERMISSION
     }
 });
 
-// Delete/Cancel
+// Delete/Cancel (scope: this | following | all for series occurrences)
 router.delete('/:id', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE), async (req, res) => {
+    const scope = seriesScope(req);
+    if (scope !== 'this') {
+        try {
+            const result = await AppointmentSeriesService.cancelSeriesAppointments(req.prisma, req.params.id, {
+                scope,
+                userId: req.user.id,
+                cancelledBy: cancelledBy(req)
+            });
+            return res.json({
+                success: true,
+                message: `${result.cancelled.length} appointments cancelled`,
+                data: result
+            });
+        } catch (error) {
+            return sendSeriesError(res, error, 'Failed to cancel series');
+        }
+    }
+
     try {
-        const appointment = await AppointmentService.deleteAppointment(req.params.id);
+        const appointment = await AppointmentService.deleteAppointment(req.params.id, {
+            userId: req.user.id,
+            cancelledBy: cancelledBy(req)
+        });
         res.json({ success: true, data: appointment });
     } catch (error) {
         res.status(400).json({ success: false, message: error.message });
@@ -732,6 +862,80 @@ router.get('/availability', authenticate, requirePermission(PERMISSIONS.APPOINTM
     }
 });
 
+// Free bookable slots: coachId (default: you), from, to, serviceId or durationMinutes, step, excludeId
+router.get('/availability/slots', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_VIEW), resolveBranch, async (req, res) => {
+    try {
+        const data = await CoachAvailabilityService.getFreeSlots(req.prisma, {
+            coachId: req.query.coachId || req.user.id,
+            from: req.query.from,
+            to: req.query.to,
+            serviceId: req.query.serviceId,
+            durationMinutes: req.query.durationMinutes,
+            step: req.query.step,
+            branchId: req.branchId,
+            excludeAppointmentId: req.query.excludeId || null
+        });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendSeriesError(res, error, 'Failed to load free slots');
+    }
+});
+
+// Packages a member can book a session on: memberId, serviceId
+router.get('/packages', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_VIEW), async (req, res) => {
+    try {
+        const memberId = parseInt(req.query.memberId);
+        if (!Number.isInteger(memberId)) {
+            return res.status(400).json({ success: false, message: 'memberId is required' });
+        }
+        const data = await AppointmentPackageService.findBookablePackages(req.prisma, memberId, {
+            serviceId: req.query.serviceId || null
+        });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendSeriesError(res, error, 'Failed to load packages');
+    }
+});
+
+// No-show / late-cancellation charges: memberId, coachId, status (due | paid | waived)
+router.get('/charges', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_VIEW), async (req, res) => {
+    try {
+        const data = await AppointmentPolicyService.listCharges(req.prisma, {
+            memberId: req.query.memberId || null,
+            coachId: req.query.coachId || null,
+            status: req.query.status || null
+        });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendSeriesError(res, error, 'Failed to load charges');
+    }
+});
+
+// Collect what is still owed on a charge (needs an open shift)
+router.post('/charges/:id/pay', authenticate, requirePermission(PERMISSIONS.PAYMENTS_CREATE), requireActiveShift, async (req, res) => {
+    try {
+        const data = await req.prisma.$transaction((tx) => AppointmentPolicyService.payCharge(tx, req.params.id, {
+            method: req.body?.method || 'cash',
+            notes: req.body?.notes || null,
+            user: req.user,
+            shiftId: req.activeShift.id
+        }));
+        res.json({ success: true, message: 'Charge paid', data });
+    } catch (error) {
+        sendSeriesError(res, error, 'Failed to pay charge');
+    }
+});
+
+// Let the member off what is still owed on a charge
+router.post('/charges/:id/waive', authenticate, requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE), async (req, res) => {
+    try {
+        const data = await AppointmentPolicyService.waiveCharge(req.prisma, req.params.id, { userId: req.user.id });
+        res.json({ success: true, message: 'Charge waived', data });
+    } catch (error) {
+        sendSeriesError(res, error, 'Failed to waive charge');
+    }
+});
+
 module.exports = router;
 
 
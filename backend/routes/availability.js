@@ -0,0 +1,162 @@
+/**
+ * ============================================
+ * COACH AVAILABILITY ROUTES
+ * ============================================
+ *
+ * Weekly working hours and breaks, time off of coaches and gym holiday
+ * closures. Free slots are listed by GET /api/appointments/availability/slots.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveBranch } = require('../middleware/branch');
+const { PERMISSIONS } = require('../utils/permissions');
+const availabilityService = require('../services/coachAvailabilityService');
+
+router.use(authenticate);
+
+const sendServiceError = (res, error, fallbackMessage) => {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message
+        });
+    }
+    if (error.code === 'P2025') {
+        return res.status(404).json({
+            success: false,
+            message: 'Record not found'
+        });
+    }
+    console.error(`[AVAILABILITY] ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+// ============================================
+// WORKING HOURS
+// ============================================
+
+/**
+ * GET /api/availability/coaches/:coachId/hours
+ */
+router.get('/coaches/:coachId/hours', requirePermission(PERMISSIONS.APPOINTMENTS_VIEW), async (req, res) => {
+    try {
+        const hours = await availabilityService.getWeeklyHours(req.prisma, req.params.coachId);
+        res.json({ success: true, data: hours });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to load working hours');
+    }
+});
+
+/**
+ * PUT /api/availability/coaches/:coachId/hours
+ * Body: { hours: [{ weekday, startTime, endTime, kind }] } - replaces the week
+ */
+router.put('/coaches/:coachId/hours', requirePermission(PERMISSIONS.COACHES_MANAGE), async (req, res) => {
+    try {
+        const hours = await availabilityService.setWeeklyHours(req.prisma, req.params.coachId, req.body?.hours);
+        res.json({ success: true, message: 'Working hours saved', data: hours });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to save working hours');
+    }
+});
+
+// ============================================
+// TIME OFF
+// ============================================
+
+/**
+ * GET /api/availability/coaches/:coachId/time-off
+ * Query: from, to
+ */
+router.get('/coaches/:coachId/time-off', requirePermission(PERMISSIONS.APPOINTMENTS_VIEW), async (req, res) => {
+    try {
+        const entries = await availabilityService.listTimeOff(req.prisma, req.params.coachId, {
+            from: req.query.from,
+            to: req.query.to
+        });
+        res.json({ success: true, data: entries });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to load time off');
+    }
+});
+
+/**
+ * POST /api/availability/coaches/:coachId/time-off
+ * Body: { start, end, type, reason }
+ */
+router.post('/coaches/:coachId/time-off', requirePermission(PERMISSIONS.COACHES_MANAGE), async (req, res) => {
+    try {
+        const entry = await availabilityService.createTimeOff(req.prisma, req.params.coachId, req.body || {}, {
+            userId: req.user.id
+        });
+        res.status(201).json({ success: true, message: 'Time off added', data: entry });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to add time off');
+    }
+});
+
+/**
+ * DELETE /api/availability/time-off/:id
+ */
+router.delete('/time-off/:id', requirePermission(PERMISSIONS.COACHES_MANAGE), async (req, res) => {
+    try {
+        await req.prisma.coachTimeOff.delete({ where: { id: parseInt(req.params.id) } });
+        res.json({ success: true, message: 'Time off removed' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to remove time off');
+    }
+});
+
+// ============================================
+// GYM CLOSURES
+// ============================================
+
+/**
+ * GET /api/availability/closures
+ * Query: from, to
+ */
+router.get('/closures', resolveBranch, async (req, res) => {
+    try {
+        const closures = await availabilityService.listClosures(req.prisma, {
+            from: req.query.from,
+            to: req.query.to,
+            branchId: req.branchId
+        });
+        res.json({ success: true, data: closures });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to load closures');
+    }
+});
+
+/**
+ * POST /api/availability/closures
+ * Body: { name, startDate, endDate, branchId }
+ */
+router.post('/closures', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const closure = await availabilityService.createClosure(req.prisma, req.body || {}, { userId: req.user.id });
+        res.status(201).json({ success: true, message: 'Closure added', data: closure });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to add closure');
+    }
+});
+
+/**
+ * DELETE /api/availability/closures/:id
+ */
+router.delete('/closures/:id', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        await req.prisma.gymClosure.delete({ where: { id: parseInt(req.params.id) } });
+        res.json({ success: true, message: 'Closure removed' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to remove closure');
+    }
+});
+
+module.exports = router;
@@ -7,39 +7,27 @@
 const express = require('express');
 const router = express.Router();
 const fs = require('fs');
-const path = require('path');
 const { authenticate, authorize } = require('../middleware/auth');
+const backupService = require('../services/backupService');
+const backupRotationService = require('../services/backupRotationService');
 
 router.use(authenticate);
 router.use(authorize('admin'));
 
-const isSqliteDatabase = () => (process.env.DATABASE_URL || '').trim().startsWith('file:');
-
-const resolveDbPath = (userDataPath) => {
-    const candidates = [];
-    const defaultPath = path.join(userDataPath, 'data', 'gym.db');
-    candidates.push(defaultPath);
-
-    const dbUrl = process.env.DATABASE_URL || '';
-    if (dbUrl.startsWith('file:')) {
-        const rawPath = dbUrl.replace('file:', '');
-        if (path.isAbsolute(rawPath)) {
-            candidates.push(rawPath);
-        } else {
-            candidates.push(path.join(__dirname, '..', 'prisma', rawPath));
-            candidates.push(path.join(__dirname, '..', rawPath));
-        }
-    }
-
-    candidates.push(path.join(__dirname, '..', 'prisma', 'gym.db'));
-
-    for (const candidate of candidates) {
-        if (candidate && fs.existsSync(candidate)) {
-            return candidate;
-        }
+const sendBackupError = (res, error, fallbackMessage) => {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message,
+            details: error.details
+        });
     }
-
-    return { missing: true, candidates };
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
 };
 
 /**
@@ -48,31 +36,9 @@ const resolveDbPath = (userDataPath) => {
  */
 router.get('/list', async (req, res) => {
     try {
-        const backupDir = path.join(req.userDataPath, 'backups');
-
-        if (!fs.existsSync(backupDir)) {
-            return res.json({
-                success: true,
-                data: []
-            });
-        }
-
-        const files = fs.readdirSync(backupDir)
-            .filter(f => f.endsWith('.db'))
-            .map(f => {
-                const filePath = path.join(backupDir, f);
-                const stats = fs.statSync(filePath);
-                return {
-                    name: f,
-                    size: stats.size,
-                    createdAt: stats.birthtime
-                };
-            })
-            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
         res.json({
             success: true,
-            data: files
+            data: backupService.listBackups(req.userDataPath)
         });
 
     } catch (error) {
@@ -86,46 +52,18 @@ router.get('/list', async (req, res) => {
 
 /**
  * POST /api/backup/create
- * Create a new backup
+ * Create a new backup archive (logical export of every table)
  */
 router.post('/create', async (req, res) => {
     try {
-        if (!isSqliteDatabase()) {
-            return res.status(400).json({
-                success: false,
-                message: 'File backup is only supported for SQLite databases.'
-            });
-        }
-
-        const backupDir = path.join(req.userDataPath, 'backups');
-        const dbPathResult = resolveDbPath(req.userDataPath);
-
-        if (dbPathResult?.missing) {
-            return res.status(404).json({
-                success: false,
-                message: 'Database file not found',
-                details: dbPathResult.candidates
-            });
-        }
-        const dbPath = dbPathResult;
-
-        if (!fs.existsSync(backupDir)) {
-            fs.mkdirSync(backupDir, { recursive: true });
-        }
-
-        // Create backup with timestamp
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupName = `gym-backup-${timestamp}.db`;
-        const backupPath = path.join(backupDir, backupName);
-
-        fs.copyFileSync(dbPath, backupPath);
+        const backup = await backupService.createBackup(req.prisma, { userDataPath: req.userDataPath });
 
         // Log activity
         await req.prisma.activityLog.create({
             data: {
                 userId: req.user.id,
                 action: 'CREATE_BACKUP',
-                details: JSON.stringify({ fileName: backupName })
+                details: JSON.stringify({ fileName: backup.name, totalRows: backup.manifest.totalRows })
             }
         });
 
@@ -133,33 +71,23 @@ router.post('/create', async (req, res) => {
             success: true,
             message: 'Backup created successfully',
             data: {
-                name: backupName,
-                path: backupPath
+                name: backup.name,
+                size: backup.size,
+                manifest: backup.manifest
             }
         });
 
     } catch (error) {
-        console.error('Create backup error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to create backup'
-        });
+        sendBackupError(res, error, 'Failed to create backup');
     }
 });
 
 /**
  * POST /api/backup/restore
- * Restore from a backup
+ * Restore from a backup archive (replaces all data)
  */
 router.post('/restore', async (req, res) => {
     try {
-        if (!isSqliteDatabase()) {
-            return res.status(400).json({
-                success: false,
-                message: 'File restore is only supported for SQLite databases.'
-            });
-        }
-
         const { backupName } = req.body;
 
         if (!backupName) {
@@ -169,40 +97,101 @@ router.post('/restore', async (req, res) => {
             });
         }
 
-        const backupDir = path.join(req.userDataPath, 'backups');
-        const dataDir = path.join(req.userDataPath, 'data');
-        const backupPath = path.join(backupDir, backupName);
-        const dbPath = path.join(dataDir, 'gym.db');
+        const result = await backupService.restoreBackup(req.prisma, {
+            userDataPath: req.userDataPath,
+            name: backupName
+        });
 
-        if (!fs.existsSync(backupPath)) {
-            return res.status(404).json({
-                success: false,
-                message: 'Backup file not found'
-            });
-        }
+        // Log activity (the restored data replaced the previous activity log)
+        await req.prisma.activityLog.create({
+            data: {
+                userId: req.user.id,
+                action: 'RESTORE_BACKUP',
+                details: JSON.stringify({ fileName: backupName, totalRows: result.totalRows, safetyBackup: result.safetyBackup })
+            }
+        }).catch(() => null);
 
-        // Create a backup of current before restore
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const preRestoreBackup = path.join(backupDir, `pre-restore-${timestamp}.db`);
+        res.json({
+            success: true,
+            message: 'Backup restored successfully',
+            data: result
+        });
 
-        if (fs.existsSync(dbPath)) {
-            fs.copyFileSync(dbPath, preRestoreBackup);
-        }
+    } catch (error) {
+        sendBackupError(res, error, 'Failed to restore backup');
+    }
+});
 
-        // Restore
-        fs.copyFileSync(backupPath, dbPath);
+/**
+ * POST /api/backup/verify/:name
+ * Check hashes and test-restore the archive into a scratch schema
+ */
+router.post('/verify/:name', async (req, res) => {
+    try {
+        const report = await backupService.verifyBackup(req.prisma, {
+            userDataPath: req.userDataPath,
+            name: req.params.name
+        });
 
         res.json({
             success: true,
-            message: 'Backup restored successfully. Please restart the application.'
+            message: report.ok ? 'Backup verified' : 'Backup verification failed',
+            data: report
         });
 
     } catch (error) {
-        console.error('Restore backup error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to restore backup'
+        sendBackupError(res, error, 'Failed to verify backup');
+    }
+});
+
+/**
+ * GET /api/backup/status
+ * Last successful backup and whether it is older than the warning threshold
+ */
+router.get('/status', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await backupRotationService.getBackupStatus(req.prisma, req.userDataPath)
+        });
+
+    } catch (error) {
+        sendBackupError(res, error, 'Failed to fetch backup status');
+    }
+});
+
+/**
+ * GET /api/backup/policy
+ * Automatic backup schedule and retention
+ */
+router.get('/policy', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await backupRotationService.getBackupPolicy(req.prisma)
+        });
+
+    } catch (error) {
+        sendBackupError(res, error, 'Failed to fetch backup policy');
+    }
+});
+
+/**
+ * PUT /api/backup/policy
+ * Update schedule (frequency, time, weekday), retention and warning threshold
+ */
+router.put('/policy', async (req, res) => {
+    try {
+        const policy = await backupRotationService.saveBackupPolicy(req.prisma, req.body || {});
+
+        res.json({
+            success: true,
+            message: 'Backup policy updated',
+            data: policy
         });
+
+    } catch (error) {
+        sendBackupError(res, error, 'Failed to update backup policy');
     }
 });
 
@@ -212,17 +201,7 @@ router.post('/restore', async (req, res) => {
  */
 router.delete('/:name', async (req, res) => {
     try {
-        const backupDir = path.join(req.userDataPath, 'backups');
-        const backupPath = path.join(backupDir, req.params.name);
-
-        if (!fs.existsSync(backupPath)) {
-            return res.status(404).json({
-                success: false,
-                message: 'Backup not found'
-            });
-        }
-
-        fs.unlinkSync(backupPath);
+        backupService.deleteBackup(req.userDataPath, req.params.name);
 
         res.json({
             success: true,
@@ -230,11 +209,7 @@ router.delete('/:name', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Delete backup error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to delete backup'
-        });
+        sendBackupError(res, error, 'Failed to delete backup');
     }
 });
 
@@ -244,8 +219,7 @@ router.delete('/:name', async (req, res) => {
  */
 router.get('/download/:name', async (req, res) => {
     try {
-        const backupDir = path.join(req.userDataPath, 'backups');
-        const backupPath = path.join(backupDir, req.params.name);
+        const backupPath = backupService.resolveBackupPath(req.userDataPath, req.params.name);
 
         if (!fs.existsSync(backupPath)) {
             return res.status(404).json({
@@ -257,11 +231,7 @@ router.get('/download/:name', async (req, res) => {
         res.download(backupPath);
 
     } catch (error) {
-        console.error('Download backup error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to download backup'
-        });
+        sendBackupError(res, error, 'Failed to download backup');
     }
 });
 
@@ -0,0 +1,272 @@
+/**
+ * ============================================
+ * BRANCHES ROUTES
+ * ============================================
+ *
+ * Branch management and staff branch assignments (multi-branch feature)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { requireFeature, FEATURES } = require('../middleware/featureGate');
+const { getUserBranchIds } = require('../services/branchService');
+
+router.use(authenticate);
+router.use(requireFeature(FEATURES.MULTI_BRANCH));
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * GET /api/branches
+ * Branches the current user can work in (admins: all, including inactive with ?all=true)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const allowedIds = await getUserBranchIds(req.prisma, req.user);
+        const where = {};
+        if (allowedIds) where.id = { in: allowedIds };
+        if (!(req.user.role === 'admin' && req.query.all === 'true')) where.isActive = true;
+
+        const branches = await req.prisma.branch.findMany({
+            where,
+            orderBy: { name: 'asc' },
+            include: {
+                _count: { select: { homeMembers: true, posMachines: true, users: true } }
+            }
+        });
+
+        res.json({
+            success: true,
+            data: branches
+        });
+    } catch (error) {
+        console.error('[BRANCHES] List error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch branches'
+        });
+    }
+});
+
+/**
+ * POST /api/branches
+ * Create a branch
+ */
+router.post('/', authorize('admin'), async (req, res) => {
+    try {
+        const { name, address, phone } = req.body;
+        const code = normalizeCode(req.body.code);
+
+        if (!name || !String(name).trim() || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Branch name and code are required'
+            });
+        }
+
+        const branch = await req.prisma.branch.create({
+            data: {
+                name: String(name).trim(),
+                code,
+                address: address || null,
+                phone: phone || null
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Branch created successfully',
+            data: branch
+        });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(400).json({
+                success: false,
+                code: 'BRANCH_CODE_EXISTS',
+                message: 'Branch code already exists'
+            });
+        }
+        console.error('[BRANCHES] Create error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create branch'
+        });
+    }
+});
+
+/**
+ * PUT /api/branches/:id
+ * Update a branch
+ */
+router.put('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { name, address, phone, isActive } = req.body;
+
+        const data = {};
+        if (name !== undefined) data.name = String(name).trim();
+        if (req.body.code !== undefined) data.code = normalizeCode(req.body.code);
+        if (address !== undefined) data.address = address || null;
+        if (phone !== undefined) data.phone = phone || null;
+        if (isActive !== undefined) data.isActive = Boolean(isActive);
+
+        if (data.name === '' || data.code === '') {
+            return res.status(400).json({
+                success: false,
+                message: 'Branch name and code are required'
+            });
+        }
+
+        const branch = await req.prisma.branch.update({
+            where: { id: parseInt(req.params.id) },
+            data
+        });
+
+        res.json({
+            success: true,
+            message: 'Branch updated successfully',
+            data: branch
+        });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(400).json({
+                success: false,
+                code: 'BRANCH_CODE_EXISTS',
+                message: 'Branch code already exists'
+            });
+        }
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                message: 'Branch not found'
+            });
+        }
+        console.error('[BRANCHES] Update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update branch'
+        });
+    }
+});
+
+/**
+ * DELETE /api/branches/:id
+ * Deactivate a branch (soft delete; history keeps its branch)
+ */
+router.delete('/:id', authorize('admin'), async (req, res) => {
+    try {
+        await req.prisma.branch.update({
+            where: { id: parseInt(req.params.id) },
+            data: { isActive: false }
+        });
+
+        res.json({
+            success: true,
+            message: 'Branch deactivated successfully'
+        });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                message: 'Branch not found'
+            });
+        }
+        console.error('[BRANCHES] Delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deactivate branch'
+        });
+    }
+});
+
+/**
+ * GET /api/branches/assignments
+ * Staff branch assignments (users without rows can work in every branch)
+ */
+router.get('/assignments', authorize('admin'), async (req, res) => {
+    try {
+        const users = await req.prisma.user.findMany({
+            where: { isActive: true },
+            select: {
+                id: true,
+                firstName: true,
+                lastName: true,
+                role: true,
+                branches: { select: { branchId: true } }
+            },
+            orderBy: { firstName: 'asc' }
+        });
+
+        res.json({
+            success: true,
+            data: users.map(({ branches, ...user }) => ({
+                ...user,
+                branchIds: branches.map((b) => b.branchId)
+            }))
+        });
+    } catch (error) {
+        console.error('[BRANCHES] Assignments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch branch assignments'
+        });
+    }
+});
+
+/**
+ * PUT /api/branches/assignments/:userId
+ * Replace the branches a user is restricted to (empty list = all branches)
+ */
+router.put('/assignments/:userId', authorize('admin'), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+        const branchIds = Array.isArray(req.body.branchIds)
+            ? [...new Set(req.body.branchIds.map((id) => parseInt(id)).filter(Number.isInteger))]
+            : null;
+
+        if (!branchIds) {
+            return res.status(400).json({
+                success: false,
+                message: 'branchIds must be an array'
+            });
+        }
+
+        const [user, branchCount] = await Promise.all([
+            req.prisma.user.findUnique({ where: { id: userId }, select: { id: true } }),
+            req.prisma.branch.count({ where: { id: { in: branchIds } } })
+        ]);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        if (branchCount !== branchIds.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'One or more branches do not exist'
+            });
+        }
+
+        await req.prisma.$transaction([
+            req.prisma.userBranch.deleteMany({ where: { userId } }),
+            req.prisma.userBranch.createMany({
+                data: branchIds.map((branchId) => ({ userId, branchId }))
+            })
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Branch assignments updated',
+            data: { userId, branchIds }
+        });
+    } catch (error) {
+        console.error('[BRANCHES] Update assignments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update branch assignments'
+        });
+    }
+});
+
+module.exports = router;
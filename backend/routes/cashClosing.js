@@ -15,6 +15,7 @@ const { authenticate, authorize } = require('../middleware/auth');
 const { createAuditLog } = require('../services/auditService');
 const { calculateDailyRevenue, calculateNetRevenue, calculateCashClosingStats, calculateFinancialSnapshot } = require('../utils/financialCalculations');
 const { parseDateRange } = require('../utils/dateParams');
+const { tenderBreakdown, refundMethod } = require('../services/tenderService');
 const {
     CURRENCY_NUM_FMT,
     DEFAULT_BORDER,
@@ -419,16 +420,22 @@ function addCashCloseSummarySheet(workbook, payload) {
     autoFitWorksheetColumns(worksheet);
 }
 
+// "cash 300 + card 200" for split rows, blank otherwise
+const formatTenders = (tenders) => (Array.isArray(tenders) && tenders.length > 1
+    ? tenders.map((tender) => `${tender.method} ${toSafeNumber(tender.amount)}`).join(' + ')
+    : '');
+
 function buildCashCloseWorkbook(payload) {
     const workbook = createWorkbook();
     const breakdown = payload?.breakdown || {};
 
     addCashCloseSummarySheet(workbook, payload);
 
-    const paymentRows = Array.isArray(breakdown?.payments?.rows) ? breakdown.payments.rows : [];
+    const withTenders = (rows) => rows.map((row) => ({ ...row, tenders: formatTenders(row.tenders) }));
+    const paymentRows = withTenders(Array.isArray(breakdown?.payments?.rows) ? breakdown.payments.rows : []);
     const payoutRows = Array.isArray(breakdown?.payouts?.rows) ? breakdown.payouts.rows : [];
     const cashInRows = Array.isArray(breakdown?.cashIn?.rows) ? breakdown.cashIn.rows : [];
-    const salesRows = Array.isArray(breakdown?.sales?.rows) ? breakdown.sales.rows : [];
+    const salesRows = withTenders(Array.isArray(breakdown?.sales?.rows) ? breakdown.sales.rows : []);
 
     addTableSheet(workbook, {
         name: 'Payments',
@@ -437,6 +444,7 @@ function buildCashCloseWorkbook(payload) {
             { key: 'id', header: 'ID', type: 'text' },
             { key: 'paidAt', header: 'Paid At', type: 'date' },
             { key: 'method', header: 'Method', type: 'text' },
+            { key: 'tenders', header: 'Tenders', type: 'text' },
             { key: 'amount', header: 'Amount', type: 'currency' },
             { key: 'status', header: 'Status', type: 'text' },
             { key: 'memberName', header: 'Member Name', type: 'text' }
@@ -478,6 +486,7 @@ function buildCashCloseWorkbook(payload) {
             { key: 'id', header: 'ID', type: 'text' },
             { key: 'createdAt', header: 'Created At', type: 'date' },
             { key: 'method', header: 'Method', type: 'text' },
+            { key: 'tenders', header: 'Tenders', type: 'text' },
             { key: 'totalAmount', header: 'Total Amount', type: 'currency' }
         ],
         rows: salesRows
@@ -544,6 +553,7 @@ async function buildCloseSnapshot(prisma, start, end, stats, financialSnapshot)
                 amount: true,
                 method: true,
                 status: true,
+                tenders: { select: { method: true, amount: true } },
                 member: {
                     select: {
                         firstName: true,
@@ -589,7 +599,8 @@ async function buildCloseSnapshot(prisma, start, end, stats, financialSnapshot)
                 id: true,
                 createdAt: true,
                 totalAmount: true,
-                paymentMethod: true
+                paymentMethod: true,
+                tenders: { select: { method: true, amount: true } }
             },
             orderBy: { createdAt: 'asc' }
         })
@@ -601,19 +612,24 @@ async function buildCloseSnapshot(prisma, start, end, stats, financialSnapshot)
         method: String(item.method || 'cash').toLowerCase(),
         amount: toSafeNumber(item.amount),
         status: item.status,
-        memberName: item.member ? `${item.member.firstName || ''} ${item.member.lastName || ''}`.trim() : null
+        memberName: item.member ? `${item.member.firstName || ''} ${item.member.lastName || ''}`.trim() : null,
+        tenders: tenderBreakdown(item)
     }));
 
-    const paymentByMethod = paymentRows.reduce((acc, row) => {
-        const key = row.method || 'cash';
-        acc[key] = toSafeNumber(acc[key]) + toSafeNumber(row.amount);
+    // Split (mixed) transactions add each tender to its own method
+    const sumByTender = (rows) => rows.reduce((acc, row) => {
+        row.tenders.forEach((tender) => {
+            acc[tender.method] = toSafeNumber(acc[tender.method]) + toSafeNumber(tender.amount);
+        });
         return acc;
     }, {});
 
+    const paymentByMethod = sumByTender(paymentRows);
+
     const refundRows = refunds.map((item) => ({
         id: item.id,
         createdAt: item.createdAt,
-        method: String(item.payment?.method || 'cash').toLowerCase(),
+        method: refundMethod(item),
         amount: toSafeNumber(item.amount),
         reason: item.reason || null
     }));
@@ -652,14 +668,11 @@ async function buildCloseSnapshot(prisma, start, end, stats, financialSnapshot)
         id: item.id,
         createdAt: item.createdAt,
         method: String(item.paymentMethod || 'cash').toLowerCase(),
-        totalAmount: toSafeNumber(item.totalAmount)
+        totalAmount: toSafeNumber(item.totalAmount),
+        tenders: tenderBreakdown(item)
     }));
 
-    const salesByMethod = salesRows.reduce((acc, row) => {
-        const key = row.method || 'cash';
-        acc[key] = toSafeNumber(acc[key]) + toSafeNumber(row.totalAmount);
-        return acc;
-    }, {});
+    const salesByMethod = sumByTender(salesRows);
 
     return {
         version: CLOSE_EXPORT_VERSION,
@@ -746,6 +759,7 @@ router.get('/monthly-summary', async (req, res) => {
                 id: true,
                 amount: true,
                 method: true,
+                tenders: { select: { method: true, amount: true } },
                 createdBy: true,
                 creator: {
                     select: {
@@ -811,20 +825,20 @@ router.get('/monthly-summary', async (req, res) => {
             const employee = employeeMap.get(employeeId);
             employee.paymentsCount++;
 
-            if (payment.method === 'cash') {
-                employee.cashTotal += payment.amount;
-            } else {
-                employee.nonCashTotal += payment.amount;
-            }
+            // Split payments: only the cash tender counts as cash
+            const cashAmount = tenderBreakdown(payment)
+                .filter((tender) => tender.method === 'cash')
+                .reduce((sum, tender) => sum + tender.amount, 0);
+            const nonCashAmount = payment.amount - cashAmount;
+
+            employee.cashTotal += cashAmount;
+            employee.nonCashTotal += nonCashAmount;
             employee.total += payment.amount;
 
             // Update grand totals
             grandTotalPayments++;
-            if (payment.method === 'cash') {
-                grandTotalCash += payment.amount;
-            } else {
-                grandTotalNonCash += payment.amount;
-            }
+            grandTotalCash += cashAmount;
+            grandTotalNonCash += nonCashAmount;
         });
 
         // Process Refunds (Subtract from Grand Total, and maybe track by admin who did the refund?)
@@ -10,9 +10,17 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, requirePermission, requireActiveShift } = require('../middleware/auth');
-const { PERMISSIONS } = require('../utils/permissions');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { resolveBranch } = require('../middleware/branch');
+const { isMultiBranchEnabled, branchWhere } = require('../services/branchService');
+const { toPackageSummary, computeEligibility, recordCheckIn } = require('../services/checkInService');
+const { CURRENT_STATUSES } = require('../services/subscriptionLifecycleService');
+const { openForCheckIn } = require('../services/accessControlService');
+const { findCredential } = require('../services/credentialService');
+const { matchFace, getModelsPath, isFaceCheckInEnabled } = require('../services/faceService');
 
 router.use(authenticate);
+router.use(resolveBranch);
 
 // All write operations (except checkout) require an active shift
 router.use(['/'], (req, res, next) => {
@@ -28,6 +36,9 @@ router.use(['/'], (req, res, next) => {
     if (req.path === '/validate' && req.method === 'POST') {
         return next();
     }
+    if (req.path === '/face' && req.method === 'POST') {
+        return next();
+    }
 
     return requireActiveShift(req, res, next);
 });
@@ -47,6 +58,19 @@ const buildNameFilters = (term) => {
     return filters;
 };
 
+// Long card UIDs are all digits too; only smaller numbers can be a member primary key
+const toMemberPk = (value) => {
+    const id = Number.parseInt(value, 10);
+    return Number.isSafeInteger(id) && id > 0 && id <= 2147483647 ? id : null;
+};
+
+const credentialRevokedBody = {
+    success: false,
+    message: 'This card was revoked. Issue a new card to the member.',
+    reason: 'CREDENTIAL_REVOKED',
+    code: 'CREDENTIAL_REVOKED'
+};
+
 const normalizePhoneCandidates = (digits) => {
     const withoutZero = digits.replace(/^0/, '');
     return [
@@ -56,14 +80,6 @@ const normalizePhoneCandidates = (digits) => {
     ];
 };
 
-const getTodayRange = () => {
-    const start = new Date();
-    start.setHours(0, 0, 0, 0);
-    const end = new Date(start);
-    end.setDate(end.getDate() + 1);
-    return { start, end };
-};
-
 const parseIdempotencyKey = (req) => {
     const raw = String(
         req.header('Idempotency-Key')
@@ -84,30 +100,16 @@ const parseJsonSafely = (text, fallback = null) => {
     }
 };
 
-const toPackageSummary = (pkg) => {
-    if (!pkg) return null;
-    return {
-        id: pkg.id,
-        planName: pkg.plan?.name || '',
-        remainingSessions: pkg.remainingSessions,
-        totalSessions: pkg.totalSessions,
-        endDate: pkg.endDate,
-        status: pkg.status,
-        sessionName: pkg.sessionName || pkg.plan?.name || null,
-        sessionPrice: pkg.sessionPrice ?? null
-    };
-};
-
 const resolveMemberForValidation = async (prisma, identifier) => {
     const cleaned = (identifier ?? '').toString().trim();
     if (!cleaned) return null;
 
     if (/^\d+$/.test(cleaned)) {
-        const numericId = Number.parseInt(cleaned, 10);
+        const numericId = toMemberPk(cleaned);
         return prisma.member.findFirst({
             where: {
                 OR: [
-                    { id: Number.isNaN(numericId) ? -1 : numericId },
+                    { id: numericId ?? -1 },
                     { memberId: cleaned },
                     { phone: { contains: cleaned } }
                 ]
@@ -130,90 +132,20 @@ const resolveMemberForValidation = async (prisma, identifier) => {
     return null;
 };
 
-const findActivePackage = async (prisma, memberId) => {
-    const now = new Date();
-    await prisma.memberPackage.updateMany({
-        where: {
-            memberId,
-            status: 'ACTIVE',
-            endDate: { lt: now }
-        },
-        data: { status: 'EXPIRED' }
-    });
-    await prisma.memberPackage.updateMany({
-        where: {
-            memberId,
-            status: 'ACTIVE',
-            remainingSessions: { lte: 0 }
-        },
-        data: { status: 'COMPLETED' }
-    });
-
-    const baseWhere = {
-        memberId,
-        status: 'ACTIVE',
-        remainingSessions: { gt: 0 },
-        startDate: { lte: now },
-        plan: { type: 'PACKAGE' },
-        OR: [
-            { endDate: null },
-            { endDate: { gte: now } }
-        ]
-    };
-
-    const withEndDate = await prisma.memberPackage.findFirst({
-        where: { ...baseWhere, endDate: { not: null } },
-        include: { plan: true },
-        orderBy: { endDate: 'asc' }
-    });
-    if (withEndDate) return withEndDate;
-
-    return prisma.memberPackage.findFirst({
-        where: { ...baseWhere, endDate: null },
-        include: { plan: true },
-        orderBy: { createdAt: 'desc' }
-    });
-};
-
-const computeEligibility = async (prisma, member, mode) => {
-    const now = new Date();
-    const activeSubscription = await prisma.subscription.findFirst({
-        where: {
-            memberId: member.id,
-            status: 'active',
-            startDate: { lte: now },
-            endDate: { gte: now },
-            isPaused: false
-        },
-        orderBy: { endDate: 'desc' },
-        include: { plan: true }
-    });
-
-    const activePackage = await findActivePackage(prisma, member.id);
-    const hasActiveSubscription = Boolean(activeSubscription);
-    const hasActivePackage = Boolean(activePackage);
-    const { start, end } = getTodayRange();
-    const booking = await prisma.appointment.findFirst({
-        where: {
-            memberId: member.id,
-            start: { gte: start, lt: end },
-            status: { notIn: ['cancelled', 'no_show'] }
-        }
+/**
+ * Branch a check-in happens at: the selected branch, else the branch of the
+ * staff member's open shift (null when multi-branch is off)
+ */
+const getCheckInBranchId = async (req) => {
+    if (!isMultiBranchEnabled()) return null;
+    if (req.branchId) return req.branchId;
+    if (req.activeShift) return req.activeShift.branchId ?? null;
+
+    const openShift = await req.prisma.pOSShift.findFirst({
+        where: { openedBy: req.user.id, closedAt: null },
+        select: { branchId: true }
     });
-    const hasBookingToday = Boolean(booking);
-
-    let eligible = false;
-    let reason = 'NOT_ELIGIBLE';
-    if (mode === 'session') {
-        eligible = hasBookingToday;
-    } else {
-        eligible = hasActiveSubscription || hasActivePackage;
-    }
-    if (eligible) {
-        reason = 'ELIGIBLE';
-    }
-
-    return { eligible, reason, hasActiveSubscription, hasActivePackage, hasBookingToday, activeSubscription, activePackage };
+    return openShift?.branchId ?? null;
 };
 
 /**
@@ -227,6 +159,10 @@ router.get('/search', requirePermission(PERMISSIONS.CHECKINS_VIEW), async (req,
             return res.json({ success: true, data: [] });
         }
 
+        // An exact card UID match is listed first
+        const credential = await findCredential(req.prisma, q);
+        const cardMember = credential?.status === 'active' ? credential.member : null;
+
         const isNumeric = /^\d+$/.test(q);
         const where = isNumeric
             ? {
@@ -248,11 +184,16 @@ router.get('/search', requirePermission(PERMISSIONS.CHECKINS_VIEW), async (req,
             orderBy: { firstName: 'asc' }
         });
 
-        const data = members.map(m => ({
+        const results = cardMember
+            ? [cardMember, ...members.filter(m => m.id !== cardMember.id)]
+            : members;
+
+        const data = results.map(m => ({
             id: m.id,
             name: `${m.firstName} ${m.lastName}`.trim(),
             phone: m.phone,
-            code: m.memberId
+            code: m.memberId,
+            ...(cardMember?.id === m.id ? { matchedCredential: credential.uid } : {})
         }));
 
         return res.json({ success: true, data });
@@ -262,6 +203,60 @@ router.get('/search', requirePermission(PERMISSIONS.CHECKINS_VIEW), async (req,
     }
 });
 
+/**
+ * POST /api/checkin/face
+ * Identify a member from a webcam frame. Body: { image: PNG data URL }
+ * The check-in itself goes through POST /api/checkin with method "face".
+ */
+router.post('/face', requirePermission(PERMISSIONS.CHECKINS_VIEW), async (req, res) => {
+    try {
+        if (!(await isFaceCheckInEnabled(req.prisma))) {
+            return res.status(403).json({
+                success: false,
+                code: 'FACE_CHECKIN_DISABLED',
+                message: 'Face check-in is turned off'
+            });
+        }
+
+        const result = await matchFace(req.prisma, req.body?.image, {
+            modelsPath: getModelsPath(req.userDataPath)
+        });
+        const { member } = result;
+
+        return res.json({
+            success: true,
+            data: {
+                matched: Boolean(member),
+                member: member
+                    ? {
+                        id: member.id,
+                        name: `${member.firstName} ${member.lastName}`.trim(),
+                        phone: member.phone,
+                        code: member.memberId,
+                        isActive: member.isActive
+                    }
+                    : null,
+                distance: result.distance,
+                threshold: result.threshold,
+                confidence: result.confidence
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+        console.error('Face check-in error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Face recognition failed'
+        });
+    }
+});
+
 /**
  * POST /api/checkin/validate
  * Validate eligibility for check-in
@@ -270,7 +265,21 @@ router.post('/validate', requirePermission(PERMISSIONS.CHECKINS_VIEW), async (re
     try {
         const { memberId, query, mode } = req.body || {};
         const identifier = memberId ?? query ?? '';
-        const member = await resolveMemberForValidation(req.prisma, identifier);
+        const credential = memberId ? null : await findCredential(req.prisma, identifier);
+        if (credential?.status === 'revoked') {
+            return res.json({
+                success: true,
+                data: {
+                    eligible: false,
+                    reason: 'CREDENTIAL_REVOKED',
+                    hasActiveSubscription: false,
+                    hasBookingToday: false
+                }
+            });
+        }
+        const member = credential
+            ? credential.member
+            : await resolveMemberForValidation(req.prisma, identifier);
 
         if (!member) {
             return res.json({
@@ -285,16 +294,21 @@ router.post('/validate', requirePermission(PERMISSIONS.CHECKINS_VIEW), async (re
         }
 
         const modeToUse = mode === 'session' ? 'session' : 'membership';
-        const { eligible, reason, hasActiveSubscription, hasActivePackage, hasBookingToday, activePackage } = await computeEligibility(req.prisma, member, modeToUse);
+        const branchId = await getCheckInBranchId(req);
+        const { eligible, reason, accessDenial, debt, hasActiveSubscription, hasActivePackage, hasBookingToday, inGrace, activePackage } = await computeEligibility(req.prisma, member, modeToUse, branchId);
 
         return res.json({
             success: true,
             data: {
                 eligible,
                 reason,
+                accessDenial,
+                debt,
+                canOverrideDebt: hasPermission(req.user, PERMISSIONS.CHECKINS_DEBT_OVERRIDE),
                 hasActiveSubscription,
                 hasActivePackage,
                 hasBookingToday,
+                inGrace,
                 activePackage: toPackageSummary(activePackage)
             }
         });
@@ -311,8 +325,8 @@ router.post('/validate', requirePermission(PERMISSIONS.CHECKINS_VIEW), async (re
 router.post('/', requirePermission(PERMISSIONS.CHECKINS_MANAGE), async (req, res) => {
     let idempotencyKey = '';
     try {
-        const { memberId, query, method, source, mode, sessionName, sessionPrice } = req.body || {};
-        const methodToUse = method || source || 'manual';
+        const { memberId, query, method, source, mode, sessionName, sessionPrice, overrideDebt, overrideReason } = req.body || {};
+        let methodToUse = method || source || 'manual';
         idempotencyKey = parseIdempotencyKey(req);
 
         const identifier = (memberId ?? query ?? '').toString().trim();
@@ -326,7 +340,7 @@ router.post('/', requirePermission(PERMISSIONS.CHECKINS_MANAGE), async (req, res
         const searchOptions = {
             include: {
                 subscriptions: {
-                    where: { status: 'active' },
+                    where: { status: { in: CURRENT_STATUSES } },
                     orderBy: { endDate: 'desc' },
                     take: 1,
                     include: { plan: true }
@@ -346,8 +360,8 @@ router.post('/', requirePermission(PERMISSIONS.CHECKINS_MANAGE), async (req, res
         let member = null;
 
         if (memberId) {
-            const parsedId = Number.parseInt(memberId, 10);
-            if (!Number.isNaN(parsedId)) {
+            const parsedId = toMemberPk(memberId);
+            if (parsedId) {
                 member = await req.prisma.member.findUnique({
                     where: { id: parsedId },
                     ...searchOptions
@@ -358,6 +372,18 @@ router.post('/', requirePermission(PERMISSIONS.CHECKINS_MANAGE), async (req, res
             }
         }
 
+        if (!member && query) {
+            const credential = await findCredential(req.prisma, query, searchOptions);
+            if (credential?.status === 'revoked') {
+                return res.status(400).json(credentialRevokedBody);
+            }
+            if (credential) {
+                member = credential.member;
+                // Keyboard-wedge readers type the UID into the manual search box
+                if (methodToUse === 'manual') methodToUse = 'card';
+            }
+        }
+
         if (!member && query) {
             const cleanedQuery = query.trim();
             if (/^\d{11}$/.test(cleanedQuery)) {
@@ -372,7 +398,7 @@ router.post('/', requirePermission(PERMISSIONS.CHECKINS_MANAGE), async (req, res
             }
 
             if (!member && /^\d+$/.test(cleanedQuery)) {
-                const numericId = Number.parseInt(cleanedQuery, 10);
+                const numericId = toMemberPk(cleanedQuery);
                 member = await req.prisma.member.findFirst({
                     where: {
                         OR: [
@@ -447,244 +473,46 @@ router.post('/', requirePermission(PERMISSIONS.CHECKINS_MANAGE), async (req, res
             }
         }
 
-        // Check subscription status
-        const modeToUse = mode === 'session' ? 'session' : 'membership';
-        const { eligible, reason, activeSubscription, activePackage, hasActivePackage } = await computeEligibility(req.prisma, member, modeToUse);
-        let visitType = null;
-        let appointmentUsed = null;
-        let subscriptionResponse = null;
-
-        if (!eligible) {
-            return res.status(400).json({
-                success: false,
-                reason: 'NOT_ELIGIBLE',
-                message: 'Not eligible for check-in',
-                arabicMessage: 'غير مؤهل لتسجيل الدخول.'
+        const branchId = await getCheckInBranchId(req);
+        let responsePayload;
+        try {
+            responsePayload = await recordCheckIn(req.prisma, {
+                member,
+                mode,
+                method: methodToUse,
+                branchId,
+                userId: req.user?.id ?? null,
+                sessionName,
+                sessionPrice,
+                idempotencyKey,
+                overrideDebt: overrideDebt === true || overrideDebt === 'true',
+                canOverrideDebt: hasPermission(req.user, PERMISSIONS.CHECKINS_DEBT_OVERRIDE),
+                overrideReason: typeof overrideReason === 'string' && overrideReason.trim() ? overrideReason.trim() : null
             });
-        }
-
-        if (modeToUse === 'membership') {
-            if (activeSubscription) {
-                visitType = 'SUBSCRIPTION';
-                subscriptionResponse = activeSubscription;
-            } else if (activePackage) {
-                visitType = 'PACKAGE';
-            }
-        } else {
-            const { start, end } = getTodayRange();
-            appointmentUsed = await req.prisma.appointment.findFirst({
-                where: {
-                    memberId: member.id,
-                    start: { gte: start, lt: end },
-                    status: { notIn: ['cancelled', 'no_show'] }
-                },
-                orderBy: { start: 'asc' }
-            });
-            visitType = 'SESSION';
-        }
-
-        // Check if already checked in today
-        const todayStart = new Date();
-        todayStart.setHours(0, 0, 0, 0);
-
-        const existingCheckIn = await req.prisma.checkIn.findFirst({
-            where: {
-                memberId: member.id,
-                checkInTime: { gte: todayStart },
-                checkOutTime: null
-            }
-        });
-
-        if (existingCheckIn) {
-            return res.status(400).json({
-                success: false,
-                message: 'Already checked in. Please check out first.',
-                code: 'ALREADY_CHECKED_IN',
-                checkIn: existingCheckIn
-            });
-        }
-
-        let checkIn = null;
-        let packageSnapshot = null;
-        const metadata = { visitType };
-        if (appointmentUsed) {
-            metadata.appointmentId = appointmentUsed.id;
-        }
-
-        if (visitType === 'PACKAGE') {
-            // Consume package session in a single transaction
-            const result = await req.prisma.$transaction(async (tx) => {
-                const now = new Date();
-                const baseWhere = {
-                    memberId: member.id,
-                    status: 'ACTIVE',
-                    remainingSessions: { gt: 0 },
-                    startDate: { lte: now },
-                    plan: { type: 'PACKAGE' },
-                    OR: [
-                        { endDate: null },
-                        { endDate: { gte: now } }
-                    ]
-                };
-
-                const pkgWithEnd = await tx.memberPackage.findFirst({
-                    where: { ...baseWhere, endDate: { not: null } },
-                    include: { plan: true },
-                    orderBy: { endDate: 'asc' }
-                });
-                const pkg = pkgWithEnd || await tx.memberPackage.findFirst({
-                    where: { ...baseWhere, endDate: null },
-                    include: { plan: true },
-                    orderBy: { createdAt: 'desc' }
-                });
-
-                if (!pkg) {
-                    const err = new Error('No active package available');
-                    err.status = 400;
-                    throw err;
-                }
-
-                const explicitSessionName = typeof sessionName === 'string' && sessionName.trim()
-                    ? sessionName.trim()
-                    : null;
-                const parsedSessionPrice = sessionPrice !== undefined && sessionPrice !== null && sessionPrice !== ''
-                    ? Number(sessionPrice)
-                    : NaN;
-                const fallbackSessionPrice = Number(pkg.sessionPrice ?? (Number(pkg.plan?.price || 0) > 0 && Number(pkg.totalSessions || 0) > 0
-                    ? Number(pkg.plan.price) / Number(pkg.totalSessions)
-                    : 0));
-                const usedSessionName = explicitSessionName || pkg.sessionName || pkg.plan?.name || null;
-                const usedSessionPrice = Number.isFinite(parsedSessionPrice) && parsedSessionPrice >= 0
-                    ? parsedSessionPrice
-                    : fallbackSessionPrice;
-
-                const createdCheckIn = await tx.checkIn.create({
-                    data: {
-                        memberId: member.id,
-                        method: methodToUse,
-                        notes: JSON.stringify(metadata)
-                    }
-                });
-
-                await tx.packageSessionUsage.create({
-                    data: {
-                        memberId: member.id,
-                        memberPackageId: pkg.id,
-                        checkInId: createdCheckIn.id,
-                        sessionName: usedSessionName,
-                        sessionPrice: usedSessionPrice,
-                        source: 'CHECKIN',
-                        createdByEmployeeId: req.user?.id ?? null,
-                        notes: null
-                    }
+        } catch (error) {
+            // Eligibility denials (branch, plan access rules, debt policy) carry a reason code
+            if (error.reason && error.status < 500) {
+                return res.status(error.status).json({
+                    success: false,
+                    reason: error.reason,
+                    code: error.code,
+                    message: error.message,
+                    arabicMessage: error.arabicMessage,
+                    details: error.details,
+                    debt: error.debt
                 });
-
-                const nextRemaining = pkg.remainingSessions - 1;
-                const nextStatus = nextRemaining <= 0 ? 'COMPLETED' : 'ACTIVE';
-
-                const updatedPackage = await tx.memberPackage.update({
-                    where: { id: pkg.id },
-                    data: {
-                        remainingSessions: nextRemaining,
-                        status: nextStatus,
-                        sessionName: usedSessionName,
-                        sessionPrice: usedSessionPrice
-                    },
-                    include: { plan: true }
+            }
+            if (error.code === 'ALREADY_CHECKED_IN') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code,
+                    checkIn: error.checkIn
                 });
-
-                const payload = {
-                    checkIn: createdCheckIn,
-                    member: {
-                        id: member.id,
-                        memberId: member.memberId,
-                        firstName: member.firstName,
-                        lastName: member.lastName,
-                        photo: member.photo
-                    },
-                    visitType: 'PACKAGE',
-                    package: {
-                        id: updatedPackage.id,
-                        planName: updatedPackage.plan?.name || '',
-                        remainingSessions: updatedPackage.remainingSessions,
-                        totalSessions: updatedPackage.totalSessions,
-                        endDate: updatedPackage.endDate,
-                        status: updatedPackage.status,
-                        sessionName: usedSessionName,
-                        sessionPrice: usedSessionPrice
-                    }
-                };
-
-                if (idempotencyKey) {
-                    await tx.checkInIdempotency.create({
-                        data: {
-                            idempotencyKey,
-                            memberId: member.id,
-                            memberPackageId: updatedPackage.id,
-                            checkInId: createdCheckIn.id,
-                            responseJson: JSON.stringify(payload)
-                        }
-                    });
-                }
-
-                return { updatedPackage, createdCheckIn };
-            });
-
-            checkIn = result.createdCheckIn;
-            packageSnapshot = result.updatedPackage;
-        } else {
-            checkIn = await req.prisma.checkIn.create({
-                data: {
-                    memberId: member.id,
-                    method: methodToUse,
-                    notes: JSON.stringify(metadata)
-                }
-            });
-        }
-
-        const now = new Date();
-        const responsePayload = {
-            checkIn,
-            member: {
-                id: member.id,
-                memberId: member.memberId,
-                firstName: member.firstName,
-                lastName: member.lastName,
-                photo: member.photo
-            },
-            visitType
-        };
-
-        if (visitType === 'SUBSCRIPTION' && subscriptionResponse) {
-            const daysRemaining = Math.ceil((new Date(subscriptionResponse.endDate) - now) / (1000 * 60 * 60 * 24));
-            responsePayload.subscription = {
-                plan: subscriptionResponse.plan.name,
-                endDate: subscriptionResponse.endDate,
-                daysRemaining
-            };
-        }
-
-        if (visitType === 'SESSION' && appointmentUsed) {
-            responsePayload.appointment = {
-                id: appointmentUsed.id,
-                start: appointmentUsed.start,
-                end: appointmentUsed.end,
-                status: appointmentUsed.status
-            };
-        }
-
-        if (visitType === 'PACKAGE' && packageSnapshot) {
-            responsePayload.package = {
-                id: packageSnapshot.id,
-                planName: packageSnapshot.plan?.name || '',
-                remainingSessions: packageSnapshot.remainingSessions,
-                totalSessions: packageSnapshot.totalSessions,
-                endDate: packageSnapshot.endDate,
-                status: packageSnapshot.status,
-                sessionName: packageSnapshot.sessionName || packageSnapshot.plan?.name || null,
-                sessionPrice: packageSnapshot.sessionPrice ?? null
-            };
+            }
+            throw error;
         }
+        const { checkIn, visitType } = responsePayload;
 
         if (idempotencyKey && visitType !== 'PACKAGE') {
             try {
@@ -716,10 +544,18 @@ router.post('/', requirePermission(PERMISSIONS.CHECKINS_MANAGE), async (req, res
             }
         }
 
+        // Open the branch turnstiles / doors; failures only show in the device event log
+        const access = await openForCheckIn(req.prisma, {
+            branchId,
+            checkIn,
+            member,
+            userId: req.user?.id ?? null
+        });
+
         res.json({
             success: true,
             message: 'Check-in successful',
-            data: responsePayload
+            data: access.length > 0 ? { ...responsePayload, access } : responsePayload
         });
 
     } catch (error) {
@@ -871,7 +707,7 @@ router.get('/today', requirePermission(PERMISSIONS.CHECKINS_VIEW), async (req, r
         }
 
         const checkIns = await req.prisma.checkIn.findMany({
-            where,
+            where: { ...where, ...branchWhere(req.branchScope) },
             include: {
                 member: {
                     select: {
@@ -959,7 +795,8 @@ router.get('/active', async (req, res) => {
         const activeCheckIns = await req.prisma.checkIn.findMany({
             where: {
                 checkInTime: { gte: todayStart },
-                checkOutTime: null
+                checkOutTime: null,
+                ...branchWhere(req.branchScope)
             },
             include: {
                 member: {
@@ -0,0 +1,406 @@
+/**
+ * ============================================
+ * GROUP CLASS ROUTES
+ * ============================================
+ *
+ * Class types, the class schedule, enrollment with waitlists and
+ * attendance marking
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveBranch } = require('../middleware/branch');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { branchWhere } = require('../services/branchService');
+const { findActivePackage, toPackageSummary } = require('../services/checkInService');
+const classService = require('../services/classService');
+
+router.use(authenticate);
+router.use(resolveBranch);
+
+// ============================================
+// HELPERS
+// ============================================
+
+const sendServiceError = (res, error, fallbackMessage) => {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message
+        });
+    }
+    if (error.code === 'P2025') {
+        return res.status(404).json({
+            success: false,
+            message: 'Record not found'
+        });
+    }
+    console.error(`[CLASSES] ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+const memberSelect = { id: true, memberId: true, firstName: true, lastName: true, phone: true, photo: true };
+const coachSelect = { id: true, firstName: true, lastName: true };
+
+const sessionListInclude = {
+    classType: true,
+    coach: { select: coachSelect },
+    enrollments: { select: { status: true } }
+};
+
+// Sessions outside the user's branches are treated as missing
+const findScopedSession = (req, id) => req.prisma.classSession.findFirst({
+    where: { id, ...branchWhere(req.branchScope) }
+});
+
+const findScopedEnrollment = (req, id) => req.prisma.classEnrollment.findFirst({
+    where: { id, session: branchWhere(req.branchScope) }
+});
+
+const notFound = (res, message) => res.status(404).json({ success: false, message });
+
+// ============================================
+// CLASS TYPES
+// ============================================
+
+/**
+ * GET /api/classes/types
+ * Query: includeInactive
+ */
+router.get('/types', requirePermission(PERMISSIONS.CLASSES_VIEW), async (req, res) => {
+    try {
+        const types = await req.prisma.classType.findMany({
+            where: req.query.includeInactive === 'true' ? {} : { isActive: true },
+            orderBy: [{ isActive: 'desc' }, { name: 'asc' }]
+        });
+        res.json({ success: true, data: types });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch class types');
+    }
+});
+
+/**
+ * POST /api/classes/types
+ * Body: { name, nameAr, description, color, durationMinutes, defaultCapacity, isActive }
+ */
+router.post('/types', requirePermission(PERMISSIONS.CLASSES_MANAGE), async (req, res) => {
+    try {
+        const type = await req.prisma.classType.create({ data: classService.buildClassTypeData(req.body) });
+        res.status(201).json({ success: true, message: 'Class type created', data: type });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create class type');
+    }
+});
+
+/**
+ * PUT /api/classes/types/:id
+ */
+router.put('/types/:id', requirePermission(PERMISSIONS.CLASSES_MANAGE), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const existing = await req.prisma.classType.findUnique({ where: { id } });
+        if (!existing) return notFound(res, 'Class type not found');
+
+        const type = await req.prisma.classType.update({
+            where: { id },
+            data: classService.buildClassTypeData(req.body, existing)
+        });
+        res.json({ success: true, message: 'Class type updated', data: type });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update class type');
+    }
+});
+
+/**
+ * DELETE /api/classes/types/:id
+ * A type that already has sessions is deactivated instead.
+ */
+router.delete('/types/:id', requirePermission(PERMISSIONS.CLASSES_MANAGE), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const existing = await req.prisma.classType.findUnique({ where: { id } });
+        if (!existing) return notFound(res, 'Class type not found');
+
+        const sessions = await req.prisma.classSession.count({ where: { classTypeId: id } });
+        if (sessions > 0) {
+            await req.prisma.classType.update({ where: { id }, data: { isActive: false } });
+            return res.json({ success: true, message: 'Class type deactivated' });
+        }
+
+        await req.prisma.classType.delete({ where: { id } });
+        res.json({ success: true, message: 'Class type deleted' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete class type');
+    }
+});
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+/**
+ * GET /api/classes/sessions
+ * Query: from, to (dates, default: the next 7 days), classTypeId, coachId, includeCancelled
+ */
+router.get('/sessions', requirePermission(PERMISSIONS.CLASSES_VIEW), async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        from.setHours(0, 0, 0, 0);
+        const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 6 * 24 * 60 * 60 * 1000);
+        to.setHours(23, 59, 59, 999);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+            return res.status(400).json({ success: false, message: 'Invalid date range' });
+        }
+
+        const where = {
+            ...branchWhere(req.branchScope),
+            start: { gte: from, lte: to }
+        };
+        if (req.query.classTypeId) where.classTypeId = parseInt(req.query.classTypeId);
+        if (req.query.coachId) where.coachId = parseInt(req.query.coachId);
+        if (req.query.includeCancelled !== 'true') where.status = { not: 'cancelled' };
+
+        const sessions = await req.prisma.classSession.findMany({
+            where,
+            include: sessionListInclude,
+            orderBy: { start: 'asc' }
+        });
+
+        res.json({ success: true, data: sessions.map(classService.serializeSession) });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch class schedule');
+    }
+});
+
+/**
+ * GET /api/classes/sessions/:id
+ * Session with its roster and waitlist
+ */
+router.get('/sessions/:id', requirePermission(PERMISSIONS.CLASSES_VIEW), async (req, res) => {
+    try {
+        const session = await req.prisma.classSession.findFirst({
+            where: { id: parseInt(req.params.id), ...branchWhere(req.branchScope) },
+            include: {
+                classType: true,
+                coach: { select: coachSelect },
+                enrollments: {
+                    include: { member: { select: memberSelect } },
+                    orderBy: [{ waitlistPosition: 'asc' }, { enrolledAt: 'asc' }]
+                }
+            }
+        });
+        if (!session) return notFound(res, 'Class session not found');
+
+        const cutoffHours = await classService.getCancelCutoffHours(req.prisma);
+        res.json({
+            success: true,
+            data: {
+                ...classService.serializeSession(session),
+                roster: session.enrollments.filter((row) => classService.SEAT_STATUSES.includes(row.status)),
+                waitlist: session.enrollments.filter((row) => row.status === 'waitlisted'),
+                cancelled: session.enrollments.filter((row) => ['cancelled', 'late_cancelled'].includes(row.status)),
+                cancelCutoffHours: cutoffHours,
+                pastCancelCutoff: classService.isPastCancelCutoff(session, cutoffHours)
+            }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch class session');
+    }
+});
+
+/**
+ * POST /api/classes/sessions
+ * Body: { classTypeId, start, end, coachId, room, capacity, waitlistCapacity, notes, repeatWeeks }
+ * Creates one session per week for repeatWeeks weeks (default 1).
+ */
+router.post('/sessions', requirePermission(PERMISSIONS.CLASSES_MANAGE), async (req, res) => {
+    try {
+        const sessions = await classService.createSessions(req.prisma, req.body, {
+            userId: req.user.id,
+            branchId: req.branchId
+        });
+        res.status(201).json({
+            success: true,
+            message: sessions.length > 1 ? `${sessions.length} classes scheduled` : 'Class scheduled',
+            data: sessions
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to schedule class');
+    }
+});
+
+/**
+ * PUT /api/classes/sessions/:id
+ * Body: { start, end, coachId, room, capacity, waitlistCapacity, notes }
+ * Added seats are filled from the waitlist.
+ */
+router.put('/sessions/:id', requirePermission(PERMISSIONS.CLASSES_MANAGE), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        if (!await findScopedSession(req, id)) return notFound(res, 'Class session not found');
+
+        const { classTypeId: _ignored, ...changes } = req.body;
+        const result = await classService.updateSession(req.prisma, id, changes, { userId: req.user.id });
+        res.json({ success: true, message: 'Class updated', data: result });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update class');
+    }
+});
+
+/**
+ * POST /api/classes/sessions/:id/cancel
+ * Body: { reason }
+ * Cancels the session and gives every member their credit back.
+ */
+router.post('/sessions/:id/cancel', requirePermission(PERMISSIONS.CLASSES_MANAGE), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        if (!await findScopedSession(req, id)) return notFound(res, 'Class session not found');
+
+        const result = await classService.cancelSession(req.prisma, id, { reason: req.body.reason });
+        res.json({ success: true, message: 'Class cancelled', data: result });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to cancel class');
+    }
+});
+
+// ============================================
+// ENROLLMENT
+// ============================================
+
+/**
+ * POST /api/classes/sessions/:id/enrollments
+ * Body: { memberId, complimentary }
+ * Full classes put the member on the waitlist. Complimentary seats need classes.manage.
+ */
+router.post('/sessions/:id/enrollments', requirePermission(PERMISSIONS.CLASSES_BOOK), async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.id);
+        if (!await findScopedSession(req, sessionId)) return notFound(res, 'Class session not found');
+
+        const complimentary = req.body.complimentary === true || req.body.complimentary === 'true';
+        if (complimentary && !hasPermission(req.user, PERMISSIONS.CLASSES_MANAGE)) {
+            return res.status(403).json({
+                success: false,
+                code: 'COMPLIMENTARY_FORBIDDEN',
+                message: 'You are not allowed to give complimentary class seats'
+            });
+        }
+
+        const enrollment = await classService.enrollMember(req.prisma, {
+            sessionId,
+            memberId: parseInt(req.body.memberId) || 0,
+            userId: req.user.id,
+            complimentary
+        });
+        const waitlisted = enrollment.status === 'waitlisted';
+        res.status(201).json({
+            success: true,
+            message: waitlisted ? `Class is full - added to the waitlist (#${enrollment.waitlistPosition})` : 'Member enrolled',
+            data: enrollment
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to enroll member');
+    }
+});
+
+/**
+ * POST /api/classes/enrollments/:id/cancel
+ * Body: { waiveCutoff }
+ * After the cancellation cut-off the credit is kept, unless a user with
+ * classes.manage waives it.
+ */
+router.post('/enrollments/:id/cancel', requirePermission(PERMISSIONS.CLASSES_BOOK), async (req, res) => {
+    try {
+        const enrollmentId = parseInt(req.params.id);
+        if (!await findScopedEnrollment(req, enrollmentId)) return notFound(res, 'Enrollment not found');
+
+        const waiveCutoff = req.body.waiveCutoff === true || req.body.waiveCutoff === 'true';
+        if (waiveCutoff && !hasPermission(req.user, PERMISSIONS.CLASSES_MANAGE)) {
+            return res.status(403).json({
+                success: false,
+                code: 'WAIVE_FORBIDDEN',
+                message: 'You are not allowed to waive the cancellation cut-off'
+            });
+        }
+
+        const result = await classService.cancelEnrollment(req.prisma, {
+            enrollmentId,
+            waiveCutoff,
+            userId: req.user.id
+        });
+        res.json({
+            success: true,
+            message: result.late ? 'Cancelled after the cut-off - the class credit is used' : 'Enrollment cancelled',
+            data: result
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to cancel enrollment');
+    }
+});
+
+/**
+ * POST /api/classes/enrollments/:id/attendance
+ * Body: { status: attended | no_show, createCheckIn (default true) }
+ */
+router.post('/enrollments/:id/attendance', requirePermission(PERMISSIONS.CLASSES_BOOK), async (req, res) => {
+    try {
+        const enrollmentId = parseInt(req.params.id);
+        if (!await findScopedEnrollment(req, enrollmentId)) return notFound(res, 'Enrollment not found');
+
+        const result = await classService.markAttendance(req.prisma, {
+            enrollmentId,
+            status: req.body.status,
+            createCheckIn: req.body.createCheckIn !== false && req.body.createCheckIn !== 'false',
+            userId: req.user.id
+        });
+        res.json({ success: true, message: 'Attendance saved', data: result });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to save attendance');
+    }
+});
+
+/**
+ * GET /api/classes/members/:memberId
+ * Class credits, active package and upcoming classes of a member
+ */
+router.get('/members/:memberId', requirePermission(PERMISSIONS.CLASSES_VIEW), async (req, res) => {
+    try {
+        const memberId = parseInt(req.params.memberId);
+        const member = await req.prisma.member.findUnique({ where: { id: memberId }, select: memberSelect });
+        if (!member) return notFound(res, 'Member not found');
+
+        const [planCredits, activePackage, upcoming] = await Promise.all([
+            classService.getPlanClassCredits(req.prisma, memberId),
+            findActivePackage(req.prisma, memberId),
+            req.prisma.classEnrollment.findMany({
+                where: {
+                    memberId,
+                    status: { in: ['enrolled', 'waitlisted'] },
+                    session: { start: { gte: new Date() }, status: { not: 'cancelled' } }
+                },
+                include: { session: { include: { classType: true } } },
+                orderBy: { session: { start: 'asc' } }
+            })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                member,
+                planCredits,
+                package: toPackageSummary(activePackage),
+                upcoming
+            }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch member classes');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+/**
+ * ============================================
+ * MEMBER CREDENTIAL ROUTES
+ * ============================================
+ *
+ * RFID / NFC cards and key fobs: issue, replace, revoke and look up
+ * by the UID a reader sends.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const credentialService = require('../services/credentialService');
+
+router.use(authenticate);
+
+const sendServiceError = (res, error, fallbackMessage) => {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message
+        });
+    }
+    console.error(`[CREDENTIALS] ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+const memberSelect = { id: true, memberId: true, firstName: true, lastName: true, phone: true, isActive: true };
+
+/**
+ * GET /api/credentials
+ * List credentials (query: memberId, status, type, search)
+ */
+router.get('/', requirePermission(PERMISSIONS.MEMBERS_VIEW), async (req, res) => {
+    try {
+        const where = {};
+        if (req.query.memberId) where.memberId = parseInt(req.query.memberId) || 0;
+        if (req.query.status) where.status = String(req.query.status);
+        if (req.query.type) where.type = String(req.query.type);
+        if (req.query.search) {
+            const uid = credentialService.normalizeCredentialUid(req.query.search);
+            where.uid = { contains: uid || String(req.query.search).trim().toUpperCase() };
+        }
+
+        const credentials = await req.prisma.memberCredential.findMany({
+            where,
+            orderBy: [{ status: 'asc' }, { issuedAt: 'desc' }],
+            take: 200,
+            include: { member: { select: memberSelect } }
+        });
+
+        res.json({
+            success: true,
+            data: credentials
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch credentials');
+    }
+});
+
+/**
+ * GET /api/credentials/lookup/:uid
+ * Member a scanned card belongs to (revoked cards included)
+ */
+router.get('/lookup/:uid', requirePermission(PERMISSIONS.MEMBERS_VIEW), async (req, res) => {
+    try {
+        const credential = await credentialService.findCredential(req.prisma, req.params.uid);
+        if (!credential) {
+            return res.status(404).json({
+                success: false,
+                code: 'CREDENTIAL_NOT_FOUND',
+                message: 'Card not registered'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: credential
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to look up credential');
+    }
+});
+
+/**
+ * POST /api/credentials
+ * Body: { memberId, uid, type, notes, replacesId, replacementFee, paymentMethod }
+ * A replacement revokes the old card; a fee above zero needs an open shift.
+ */
+router.post('/', requirePermission(PERMISSIONS.MEMBERS_CREDENTIALS), async (req, res) => {
+    try {
+        const activeShift = await req.prisma.pOSShift.findFirst({
+            where: { openedBy: req.user.id, closedAt: null },
+            select: { id: true }
+        });
+
+        const result = await credentialService.issueCredential(req.prisma, {
+            ...req.body,
+            userId: req.user.id,
+            collectorName: `${req.user.firstName} ${req.user.lastName}`,
+            shiftId: activeShift?.id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: result.replaced ? 'Card replaced' : 'Card issued',
+            data: result
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to issue credential');
+    }
+});
+
+/**
+ * POST /api/credentials/:id/revoke
+ * Body: { reason: lost|damaged|returned, notes }
+ */
+router.post('/:id/revoke', requirePermission(PERMISSIONS.MEMBERS_CREDENTIALS), async (req, res) => {
+    try {
+        const credential = await req.prisma.memberCredential.findUnique({
+            where: { id: parseInt(req.params.id) || 0 }
+        });
+        if (!credential) {
+            return res.status(404).json({
+                success: false,
+                code: 'CREDENTIAL_NOT_FOUND',
+                message: 'Credential not found'
+            });
+        }
+
+        const updated = await credentialService.revokeCredential(req.prisma, credential, {
+            reason: req.body?.reason,
+            notes: req.body?.notes,
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Card revoked',
+            data: updated
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to revoke credential');
+    }
+});
+
+module.exports = router;
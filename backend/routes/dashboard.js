@@ -7,14 +7,21 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveBranch } = require('../middleware/branch');
+const { branchWhere, shiftBranchWhere } = require('../services/branchService');
 
+// Every dashboard figure can be limited to one branch with ?branchId=
 router.use(authenticate);
+router.use(resolveBranch);
 
 /**
  * GET /api/dashboard/stats
  * Get dashboard statistics
  */
 const { calculateNetRevenue } = require('../utils/financialCalculations');
+const { getBackupStatus } = require('../services/backupRotationService');
+const { CURRENT_STATUSES, getGraceDays, currentSubscriptionWhere } = require('../services/subscriptionLifecycleService');
+const { DEBT_STATUSES } = require('../services/debtPolicyService');
 
 router.get('/stats', async (req, res) => {
     try {
@@ -44,14 +51,16 @@ router.get('/stats', async (req, res) => {
 
         try {
             [todayStats, monthStats] = await Promise.all([
-                calculateNetRevenue(req.prisma, todayStart, now),
-                calculateNetRevenue(req.prisma, monthStart, now)
+                calculateNetRevenue(req.prisma, todayStart, now, req.branchScope),
+                calculateNetRevenue(req.prisma, monthStart, now, req.branchScope)
             ]);
         } catch (finError) {
             console.error('[DASHBOARD] Financial calculation error:', finError);
             // Continue with zeroStats
         }
 
+        const graceDays = await getGraceDays(req.prisma);
+
         const [
             totalMembers,
             activeMembers,
@@ -63,15 +72,12 @@ router.get('/stats', async (req, res) => {
             // Total members
             req.prisma.member.count(),
 
-            // Active members (Have valid active subscription)
+            // Active members (Have valid active subscription, grace period included)
             req.prisma.member.count({
                 where: {
                     isActive: true, // Account not deleted
                     subscriptions: {
-                        some: {
-                            status: 'active',
-                            endDate: { gte: now }
-                        }
+                        some: currentSubscriptionWhere(now, graceDays)
                     }
                 }
             }),
@@ -81,18 +87,15 @@ router.get('/stats', async (req, res) => {
                 where: { createdAt: { gte: monthStart } }
             }),
 
-            // Active subscriptions
+            // Active subscriptions (grace period counted as expired below)
             req.prisma.subscription.count({
-                where: {
-                    status: 'active',
-                    endDate: { gte: now }
-                }
+                where: currentSubscriptionWhere(now)
             }),
 
             // Subscriptions expiring in 7 days
             req.prisma.subscription.count({
                 where: {
-                    status: 'active',
+                    status: { in: CURRENT_STATUSES },
                     endDate: {
                         gte: now,
                         lte: new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000)
@@ -102,14 +105,14 @@ router.get('/stats', async (req, res) => {
 
             // Today's check-ins
             req.prisma.checkIn.count({
-                where: { checkInTime: { gte: todayStart } }
+                where: { checkInTime: { gte: todayStart }, ...branchWhere(req.branchScope) }
             })
         ]);
 
-        // Get expired subscriptions count
+        // Get expired subscriptions count (ended, not renewed yet: grace period)
         const expiredSubscriptions = await req.prisma.subscription.count({
             where: {
-                status: 'active',
+                status: { in: CURRENT_STATUSES },
                 endDate: { lt: now }
             }
         });
@@ -135,32 +138,47 @@ router.get('/stats', async (req, res) => {
             }),
             // Active Shifts
             req.prisma.pOSShift.count({
-                where: { status: 'open' }
+                where: { status: 'open', ...branchWhere(req.branchScope) }
             }),
             // Today's All Sessions
             req.prisma.appointment.count({
-                where: { start: { gte: todayStart, lt: new Date(todayStart.getTime() + 24 * 60 * 60 * 1000) } }
+                where: {
+                    start: { gte: todayStart, lt: new Date(todayStart.getTime() + 24 * 60 * 60 * 1000) },
+                    ...branchWhere(req.branchScope)
+                }
             }),
             // Today's Completed Sessions
             req.prisma.appointment.count({
                 where: {
                     start: { gte: todayStart, lt: new Date(todayStart.getTime() + 24 * 60 * 60 * 1000) },
-                    status: 'completed'
+                    status: 'completed',
+                    ...branchWhere(req.branchScope)
                 }
             }),
             req.prisma.payment.count({
                 where: {
                     paidAt: { gte: todayStart },
-                    method: { in: ['manual', 'cash'] }
+                    method: { in: ['manual', 'cash'] },
+                    ...branchWhere(req.branchScope)
                 }
             }),
             Promise.resolve(0)
         ]);
 
         const outstandingCount = await req.prisma.subscription.count({
-            where: { status: 'active', paymentStatus: { in: ['partial', 'unpaid'] } }
+            where: { status: { in: DEBT_STATUSES }, paymentStatus: { in: ['partial', 'unpaid'] } }
         });
 
+        // Backup health for the admin warning banner
+        let backupStatus = null;
+        if (req.user.role === 'admin') {
+            try {
+                backupStatus = await getBackupStatus(req.prisma, req.userDataPath);
+            } catch (e) {
+                console.error('Failed to load backup status for dashboard:', e);
+            }
+        }
+
         res.json({
             success: true,
             data: {
@@ -193,6 +211,7 @@ router.get('/stats', async (req, res) => {
                 checkIns: {
                     today: todayCheckIns
                 },
+                backup: backupStatus,
                 revenue: (req.user.role === 'admin') ? {
                     today: todayStats.netRevenue || 0,
                     thisMonth: monthStats.netRevenue || 0,
@@ -282,7 +301,8 @@ router.get('/chart/revenue', authenticate, requirePermission('dashboard.view_fin
         const payments = await req.prisma.payment.findMany({
             where: {
                 status: 'completed',
-                paidAt: { gte: startDate }
+                paidAt: { gte: startDate },
+                ...branchWhere(req.branchScope)
             },
             select: {
                 amount: true,
@@ -372,7 +392,8 @@ router.get('/chart/checkins', requirePermission('checkins.view'), async (req, re
 
         const checkIns = await req.prisma.checkIn.findMany({
             where: {
-                checkInTime: { gte: startDate }
+                checkInTime: { gte: startDate },
+                ...branchWhere(req.branchScope)
             },
             select: {
                 checkInTime: true
@@ -418,8 +439,8 @@ router.get('/chart/checkins', requirePermission('checkins.view'), async (req, re
 router.get('/recent', async (req, res) => {
     try {
         // RBAC: Staff can ONLY see recent activities for their current open shift
-        const paymentWhere = {};
-        const checkInWhere = {};
+        const paymentWhere = branchWhere(req.branchScope);
+        const checkInWhere = branchWhere(req.branchScope);
 
         if (req.user.role !== 'admin') {
             const posService = require('../services/posService');
@@ -539,7 +560,8 @@ router.get('/financials', authenticate, requirePermission('dashboard.view_financ
         const payments = await req.prisma.payment.findMany({
             where: {
                 status: 'completed',
-                paidAt: { gte: startDate, lte: now }
+                paidAt: { gte: startDate, lte: now },
+                ...branchWhere(req.branchScope)
             },
             select: { amount: true, method: true }
         });
@@ -547,7 +569,8 @@ router.get('/financials', authenticate, requirePermission('dashboard.view_financ
         // Get refunds
         const refunds = await req.prisma.refund.findMany({
             where: {
-                createdAt: { gte: startDate, lte: now }
+                createdAt: { gte: startDate, lte: now },
+                ...shiftBranchWhere(req.branchScope)
             },
             select: { amount: true }
         });
@@ -631,7 +654,8 @@ router.get('/chart/collections', authenticate, requirePermission('dashboard.view
         const payments = await req.prisma.payment.findMany({
             where: {
                 status: 'completed',
-                paidAt: { gte: startDate, lte: now }
+                paidAt: { gte: startDate, lte: now },
+                ...branchWhere(req.branchScope)
             },
             select: { amount: true, method: true, paidAt: true }
         });
@@ -714,7 +738,8 @@ router.get('/chart/refunds', authenticate, requirePermission('dashboard.view_fin
 
         const refunds = await req.prisma.refund.findMany({
             where: {
-                createdAt: { gte: startDate, lte: now }
+                createdAt: { gte: startDate, lte: now },
+                ...shiftBranchWhere(req.branchScope)
             },
             select: { amount: true, createdAt: true }
         });
@@ -794,13 +819,15 @@ router.get('/chart/net', authenticate, requirePermission('dashboard.view_financi
             req.prisma.payment.findMany({
                 where: {
                     status: { in: ['completed', 'refunded', 'Partial Refund'] },
-                    paidAt: { gte: startDate, lte: now }
+                    paidAt: { gte: startDate, lte: now },
+                    ...branchWhere(req.branchScope)
                 },
                 select: { amount: true, paidAt: true }
             }),
             req.prisma.refund.findMany({
                 where: {
-                    createdAt: { gte: startDate, lte: now }
+                    createdAt: { gte: startDate, lte: now },
+                    ...shiftBranchWhere(req.branchScope)
                 },
                 select: { amount: true, createdAt: true }
             })
@@ -0,0 +1,457 @@
+/**
+ * ============================================
+ * EXPENSE ROUTES
+ * ============================================
+ *
+ * Expenses, expense categories and recurring expenses
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveBranch } = require('../middleware/branch');
+const { PERMISSIONS } = require('../utils/permissions');
+const { parseDateRange } = require('../utils/dateParams');
+const { roundMoney } = require('../utils/money');
+const { branchWhere } = require('../services/branchService');
+const expenseService = require('../services/expenseService');
+const {
+    addTableSheet,
+    createWorkbook,
+    sendWorkbook,
+    toDateStamp
+} = require('../services/excelExportService');
+
+// ============================================
+// FILE UPLOAD CONFIGURATION
+// ============================================
+
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const uploadDir = path.join(req.userDataPath, 'uploads', 'expenses');
+        if (!fs.existsSync(uploadDir)) {
+            fs.mkdirSync(uploadDir, { recursive: true });
+        }
+        cb(null, uploadDir);
+    },
+    filename: (req, file, cb) => {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, 'expense-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+    }
+});
+
+const upload = multer({
+    storage,
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = /jpeg|jpg|png|gif|webp|pdf/;
+        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+        const mimetype = allowedTypes.test(file.mimetype);
+
+        if (extname && mimetype) {
+            return cb(null, true);
+        }
+        cb(new Error('Only image or PDF receipts are allowed'));
+    }
+});
+
+// Multer errors (size, type) as 400 instead of the global 500
+const uploadAttachment = (req, res, next) => {
+    upload.single('attachment')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_ATTACHMENT',
+                message: error.message
+            });
+        }
+        next();
+    });
+};
+
+router.use(authenticate);
+router.use(resolveBranch);
+
+// ============================================
+// HELPERS
+// ============================================
+
+const sendServiceError = (res, error, fallbackMessage) => {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message
+        });
+    }
+    if (error.code === 'P2025') {
+        return res.status(404).json({
+            success: false,
+            message: 'Record not found'
+        });
+    }
+    console.error(`[EXPENSES] ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+const attachmentUrl = (file) => (file ? `/uploads/expenses/${file.filename}` : null);
+
+const removeAttachment = (req, attachmentPath) => {
+    if (!attachmentPath) return;
+    try {
+        const filePath = path.join(req.userDataPath, 'uploads', 'expenses', path.basename(attachmentPath));
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    } catch (cleanupError) {
+        console.warn('[EXPENSES] Failed to remove attachment:', cleanupError.message);
+    }
+};
+
+const expenseInclude = {
+    shift: { select: { id: true, closedAt: true } },
+    recurringExpense: { select: { id: true, frequency: true } },
+    settlement: { select: { id: true, coachId: true } }
+};
+
+// ============================================
+// CATEGORIES
+// ============================================
+
+/**
+ * GET /api/expenses/categories
+ * Expense categories (query: includeInactive=true)
+ */
+router.get('/categories', requirePermission(PERMISSIONS.EXPENSES_VIEW), async (req, res) => {
+    try {
+        const categories = await req.prisma.expenseCategory.findMany({
+            where: req.query.includeInactive === 'true' ? {} : { isActive: true },
+            orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }]
+        });
+        res.json({ success: true, data: categories });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch expense categories');
+    }
+});
+
+/**
+ * POST /api/expenses/categories
+ */
+router.post('/categories', requirePermission(PERMISSIONS.EXPENSES_MANAGE), async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Category name is required' });
+        }
+
+        const category = await req.prisma.expenseCategory.create({
+            data: { name, sortOrder: parseInt(req.body.sortOrder) || 0 }
+        });
+        res.status(201).json({ success: true, message: 'Category created', data: category });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({ success: false, code: 'CATEGORY_EXISTS', message: 'Category already exists' });
+        }
+        sendServiceError(res, error, 'Failed to create expense category');
+    }
+});
+
+/**
+ * PUT /api/expenses/categories/:id
+ * Update sort order or active flag (names are kept so past expenses still match)
+ */
+router.put('/categories/:id', requirePermission(PERMISSIONS.EXPENSES_MANAGE), async (req, res) => {
+    try {
+        const data = {};
+        if (req.body.isActive !== undefined) data.isActive = Boolean(req.body.isActive);
+        if (req.body.sortOrder !== undefined) data.sortOrder = parseInt(req.body.sortOrder) || 0;
+
+        const category = await req.prisma.expenseCategory.update({
+            where: { id: parseInt(req.params.id) },
+            data
+        });
+        res.json({ success: true, message: 'Category updated', data: category });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update expense category');
+    }
+});
+
+// ============================================
+// RECURRING EXPENSES
+// ============================================
+
+/**
+ * GET /api/expenses/recurring
+ */
+router.get('/recurring', requirePermission(PERMISSIONS.EXPENSES_VIEW), async (req, res) => {
+    try {
+        const templates = await req.prisma.recurringExpense.findMany({
+            where: branchWhere(req.branchScope),
+            orderBy: [{ isActive: 'desc' }, { nextDueDate: 'asc' }]
+        });
+        res.json({ success: true, data: templates });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch recurring expenses');
+    }
+});
+
+/**
+ * POST /api/expenses/recurring
+ * Body: { category, amount, description, paymentMethod, frequency, startDate, endDate? }
+ * Expenses are generated by the recurring-expenses job from startDate on.
+ */
+router.post('/recurring', requirePermission(PERMISSIONS.EXPENSES_MANAGE), async (req, res) => {
+    try {
+        const data = await expenseService.buildRecurringData(req.prisma, req.body);
+        const template = await req.prisma.recurringExpense.create({
+            data: { ...data, branchId: req.branchId, createdBy: req.user.id }
+        });
+
+        // Create anything already due (e.g. a start date of today)
+        await expenseService.generateRecurringExpenses(req.prisma);
+
+        res.status(201).json({ success: true, message: 'Recurring expense created', data: template });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create recurring expense');
+    }
+});
+
+/**
+ * PUT /api/expenses/recurring/:id
+ */
+router.put('/recurring/:id', requirePermission(PERMISSIONS.EXPENSES_MANAGE), async (req, res) => {
+    try {
+        const data = await expenseService.buildRecurringData(req.prisma, req.body, { partial: true });
+        const template = await req.prisma.recurringExpense.update({
+            where: { id: parseInt(req.params.id) },
+            data
+        });
+        res.json({ success: true, message: 'Recurring expense updated', data: template });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update recurring expense');
+    }
+});
+
+/**
+ * DELETE /api/expenses/recurring/:id
+ * Stop a recurring expense. Expenses it already created are kept.
+ */
+router.delete('/recurring/:id', requirePermission(PERMISSIONS.EXPENSES_MANAGE), async (req, res) => {
+    try {
+        await req.prisma.recurringExpense.delete({
+            where: { id: parseInt(req.params.id) }
+        });
+        res.json({ success: true, message: 'Recurring expense deleted' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete recurring expense');
+    }
+});
+
+// ============================================
+// EXPENSES
+// ============================================
+
+/**
+ * GET /api/expenses
+ * Query: from, to, category, paymentMethod, shiftId, search, page, limit, format=excel
+ */
+router.get('/', requirePermission(PERMISSIONS.EXPENSES_VIEW), async (req, res) => {
+    try {
+        const { from, to, startDate: startDateParam, endDate: endDateParam } = req.query;
+        const { startDate, endDate, error } = parseDateRange(from || startDateParam, to || endDateParam);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const where = {
+            date: { gte: startDate, lte: endDate },
+            ...branchWhere(req.branchScope)
+        };
+        if (req.query.category && req.query.category !== 'all') where.category = String(req.query.category);
+        if (req.query.paymentMethod && req.query.paymentMethod !== 'all') where.paymentMethod = String(req.query.paymentMethod);
+        if (req.query.shiftId) where.shiftId = parseInt(req.query.shiftId);
+        if (req.query.search && String(req.query.search).trim()) {
+            where.description = { contains: String(req.query.search).trim(), mode: 'insensitive' };
+        }
+
+        if (req.query.format === 'excel') {
+            const expenses = await req.prisma.expense.findMany({ where, orderBy: { date: 'desc' } });
+            const workbook = createWorkbook();
+            addTableSheet(workbook, {
+                name: 'Expenses',
+                title: 'Expenses',
+                subtitle: `${toDateStamp(startDate)} to ${toDateStamp(endDate)}`,
+                columns: [
+                    { header: 'Date', key: 'date', width: 14, type: 'date' },
+                    { header: 'Category', key: 'category', width: 18 },
+                    { header: 'Description', key: 'description', width: 36 },
+                    { header: 'Method', key: 'paymentMethod', width: 12 },
+                    { header: 'Amount', key: 'amount', width: 14, type: 'currency' },
+                    { header: 'Shift', key: 'shiftId', width: 10 }
+                ],
+                rows: expenses
+            });
+            return sendWorkbook(res, workbook, `expenses-${toDateStamp()}.xlsx`);
+        }
+
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+        const [expenses, total, allInRange] = await Promise.all([
+            req.prisma.expense.findMany({
+                where,
+                include: expenseInclude,
+                orderBy: [{ date: 'desc' }, { id: 'desc' }],
+                skip: (page - 1) * limit,
+                take: limit
+            }),
+            req.prisma.expense.count({ where }),
+            req.prisma.expense.findMany({ where, select: { amount: true, category: true } })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                expenses,
+                summary: {
+                    total: roundMoney(allInRange.reduce((sum, expense) => sum + expense.amount, 0)),
+                    count: total,
+                    byCategory: expenseService.summarizeByCategory(allInRange)
+                },
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch expenses');
+    }
+});
+
+/**
+ * GET /api/expenses/:id
+ */
+router.get('/:id', requirePermission(PERMISSIONS.EXPENSES_VIEW), async (req, res) => {
+    try {
+        const expense = await req.prisma.expense.findUnique({
+            where: { id: parseInt(req.params.id) },
+            include: { ...expenseInclude, cashMovement: true }
+        });
+        if (!expense) {
+            return res.status(404).json({ success: false, message: 'Expense not found' });
+        }
+        res.json({ success: true, data: expense });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch expense');
+    }
+});
+
+/**
+ * POST /api/expenses
+ * Multipart or JSON: { category, amount, description, date, paymentMethod, paidFromDrawer } + attachment
+ * paidFromDrawer records a cash pay-out on the user's open shift.
+ */
+router.post('/', requirePermission(PERMISSIONS.EXPENSES_MANAGE), uploadAttachment, async (req, res) => {
+    try {
+        const expense = await expenseService.createExpense(req.prisma, {
+            ...req.body,
+            attachmentPath: attachmentUrl(req.file)
+        }, { userId: req.user.id, branchId: req.branchId });
+
+        await req.prisma.activityLog.create({
+            data: {
+                userId: req.user.id,
+                action: 'CREATE_EXPENSE',
+                entityType: 'Expense',
+                entityId: expense.id,
+                details: JSON.stringify({
+                    category: expense.category,
+                    amount: expense.amount,
+                    shiftId: expense.shiftId
+                })
+            }
+        });
+
+        res.status(201).json({ success: true, message: 'Expense recorded', data: expense });
+    } catch (error) {
+        if (req.file) removeAttachment(req, req.file.filename);
+        sendServiceError(res, error, 'Failed to record expense');
+    }
+});
+
+/**
+ * PUT /api/expenses/:id
+ * Same fields as create; a new attachment replaces the old one
+ */
+router.put('/:id', requirePermission(PERMISSIONS.EXPENSES_MANAGE), uploadAttachment, async (req, res) => {
+    try {
+        const previous = req.file
+            ? await req.prisma.expense.findUnique({ where: { id: parseInt(req.params.id) }, select: { attachmentPath: true } })
+            : null;
+
+        const expense = await expenseService.updateExpense(req.prisma, req.params.id, {
+            ...req.body,
+            attachmentPath: attachmentUrl(req.file)
+        });
+        if (previous?.attachmentPath) removeAttachment(req, previous.attachmentPath);
+
+        res.json({ success: true, message: 'Expense updated', data: expense });
+    } catch (error) {
+        if (req.file) removeAttachment(req, req.file.filename);
+        sendServiceError(res, error, 'Failed to update expense');
+    }
+});
+
+/**
+ * DELETE /api/expenses/:id/attachment
+ */
+router.delete('/:id/attachment', requirePermission(PERMISSIONS.EXPENSES_MANAGE), async (req, res) => {
+    try {
+        const expense = await req.prisma.expense.findUnique({ where: { id: parseInt(req.params.id) } });
+        if (!expense) {
+            return res.status(404).json({ success: false, message: 'Expense not found' });
+        }
+
+        await req.prisma.expense.update({ where: { id: expense.id }, data: { attachmentPath: null } });
+        removeAttachment(req, expense.attachmentPath);
+        res.json({ success: true, message: 'Attachment removed' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to remove attachment');
+    }
+});
+
+/**
+ * DELETE /api/expenses/:id
+ * Drawer expenses can only be deleted while their shift is open
+ */
+router.delete('/:id', requirePermission(PERMISSIONS.EXPENSES_MANAGE), async (req, res) => {
+    try {
+        const expense = await expenseService.deleteExpense(req.prisma, req.params.id);
+        removeAttachment(req, expense.attachmentPath);
+
+        await req.prisma.activityLog.create({
+            data: {
+                userId: req.user.id,
+                action: 'DELETE_EXPENSE',
+                entityType: 'Expense',
+                entityId: expense.id,
+                details: JSON.stringify({ category: expense.category, amount: expense.amount })
+            }
+        });
+
+        res.json({ success: true, message: 'Expense deleted' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete expense');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+/**
+ * ============================================
+ * BACKGROUND JOBS ROUTES
+ * ============================================
+ *
+ * Admin endpoints to inspect, configure and manually trigger scheduled jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const scheduler = require('../jobs');
+
+router.use(authenticate);
+router.use(authorize('admin'));
+
+const parseRun = (run) => {
+    if (!run) return run;
+    let result = null;
+    try {
+        result = run.resultJson ? JSON.parse(run.resultJson) : null;
+    } catch (error) {
+        result = run.resultJson;
+    }
+    const { resultJson, ...rest } = run;
+    return { ...rest, result };
+};
+
+/**
+ * GET /api/jobs
+ * List registered jobs with schedule, next run and last run
+ */
+router.get('/', async (req, res) => {
+    try {
+        const jobs = await scheduler.listJobs(req.prisma);
+
+        res.json({
+            success: true,
+            data: jobs.map((job) => ({ ...job, lastRun: parseRun(job.lastRun) }))
+        });
+    } catch (error) {
+        console.error('[JOBS] List error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch jobs'
+        });
+    }
+});
+
+/**
+ * GET /api/jobs/runs
+ * Recent job runs across all jobs (optional ?job=&status=&limit=)
+ */
+router.get('/runs', async (req, res) => {
+    try {
+        const { job, status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+        const where = {};
+        if (job) where.jobName = job;
+        if (status) where.status = status;
+
+        const runs = await req.prisma.jobRun.findMany({
+            where,
+            orderBy: { startedAt: 'desc' },
+            take: limit
+        });
+
+        res.json({
+            success: true,
+            data: runs.map(parseRun)
+        });
+    } catch (error) {
+        console.error('[JOBS] Runs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch job runs'
+        });
+    }
+});
+
+/**
+ * GET /api/jobs/:name/runs
+ * Last runs of a single job
+ */
+router.get('/:name/runs', async (req, res) => {
+    try {
+        if (!scheduler.getJob(req.params.name)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+        const runs = await req.prisma.jobRun.findMany({
+            where: { jobName: req.params.name },
+            orderBy: { startedAt: 'desc' },
+            take: limit
+        });
+
+        res.json({
+            success: true,
+            data: runs.map(parseRun)
+        });
+    } catch (error) {
+        console.error('[JOBS] Job runs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch job runs'
+        });
+    }
+});
+
+/**
+ * POST /api/jobs/:name/run
+ * Trigger a job manually and wait for the result
+ */
+router.post('/:name/run', async (req, res) => {
+    try {
+        const run = await scheduler.runJob(req.params.name, {
+            trigger: 'manual',
+            triggeredBy: req.user.id,
+            prisma: req.prisma
+        });
+
+        res.json({
+            success: run.status !== 'failed',
+            message: run.status === 'failed' ? `Job failed: ${run.error}` : 'Job completed',
+            data: parseRun(run)
+        });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+        console.error('[JOBS] Manual run error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run job'
+        });
+    }
+});
+
+/**
+ * PUT /api/jobs/:name
+ * Update a job's schedule (cron expression) or enable/disable it
+ */
+router.put('/:name', async (req, res) => {
+    try {
+        const { schedule, enabled } = req.body;
+        const config = await scheduler.saveJobConfig(req.prisma, req.params.name, { schedule, enabled });
+
+        res.json({
+            success: true,
+            message: 'Job updated',
+            data: config
+        });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+        console.error('[JOBS] Update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update job'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,256 @@
+/**
+ * ============================================
+ * KIOSK ROUTES
+ * ============================================
+ *
+ * Self-service check-in kiosks: the endpoints a kiosk calls with its
+ * device token, and their management by admins.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const kioskService = require('../services/kioskService');
+
+const sendServiceError = (res, error, fallbackMessage) => {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message
+        });
+    }
+    if (error.code === 'P2025') {
+        return res.status(404).json({
+            success: false,
+            message: 'Kiosk not found'
+        });
+    }
+    if (error.code === 'P2003') {
+        return res.status(400).json({
+            success: false,
+            code: 'INVALID_BRANCH',
+            message: 'Branch not found'
+        });
+    }
+    console.error(`[KIOSK] ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+// ============================================
+// KIOSK ENDPOINTS (device token, no staff login)
+// ============================================
+
+const requireKiosk = async (req, res, next) => {
+    try {
+        const kiosk = await kioskService.findKioskByToken(req.prisma, req.get('X-Kiosk-Token'));
+        if (!kiosk) {
+            return res.status(401).json({
+                success: false,
+                code: 'INVALID_KIOSK_TOKEN',
+                message: 'Invalid or missing kiosk token'
+            });
+        }
+        req.kiosk = kiosk;
+        next();
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to identify kiosk');
+    }
+};
+
+/**
+ * GET /api/kiosk/session
+ * Header: X-Kiosk-Token
+ * The kiosk's name and branch and the gym name shown on screen
+ */
+router.get('/session', requireKiosk, async (req, res) => {
+    try {
+        const settings = await req.prisma.setting.findMany({
+            where: { key: { in: ['gym_name', 'gym_name_ar'] } }
+        });
+        const byKey = Object.fromEntries(settings.map((row) => [row.key, row.value]));
+
+        res.json({
+            success: true,
+            data: {
+                kiosk: {
+                    id: req.kiosk.id,
+                    name: req.kiosk.name,
+                    branch: req.kiosk.branch || null
+                },
+                gymName: byKey.gym_name || '',
+                gymNameAr: byKey.gym_name_ar || ''
+            }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to load kiosk session');
+    }
+});
+
+/**
+ * POST /api/kiosk/checkin
+ * Header: X-Kiosk-Token
+ * Body: { code } - scanned QR / card UID or typed member code
+ * data.granted tells the kiosk whether to welcome the member
+ */
+router.post('/checkin', requireKiosk, async (req, res) => {
+    try {
+        const result = await kioskService.kioskCheckIn(req.prisma, {
+            kiosk: req.kiosk,
+            code: req.body?.code
+        });
+
+        res.json({
+            success: true,
+            message: result.message,
+            data: result
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to check in');
+    }
+});
+
+/**
+ * POST /api/kiosk/unlock
+ * Header: X-Kiosk-Token
+ * Body: { pin } - the kiosk's admin PIN, needed to leave kiosk mode
+ */
+router.post('/unlock', requireKiosk, async (req, res) => {
+    try {
+        await kioskService.verifyExitPin(req.prisma, req.kiosk, req.body?.pin);
+
+        res.json({
+            success: true,
+            message: 'Kiosk unlocked'
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to unlock kiosk');
+    }
+});
+
+// ============================================
+// KIOSK MANAGEMENT (admin)
+// ============================================
+
+router.use(authenticate);
+router.use(authorize('admin'));
+
+/**
+ * GET /api/kiosk/devices
+ * List kiosks
+ */
+router.get('/devices', async (req, res) => {
+    try {
+        const kiosks = await req.prisma.kioskDevice.findMany({
+            include: { branch: { select: { id: true, name: true } } },
+            orderBy: { createdAt: 'asc' }
+        });
+
+        res.json({
+            success: true,
+            data: kiosks.map((kiosk) => kioskService.serializeKiosk(kiosk))
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch kiosks');
+    }
+});
+
+/**
+ * POST /api/kiosk/devices
+ * Create a kiosk ({ name, branchId, pin }). The token is returned once in data.token.
+ */
+router.post('/devices', async (req, res) => {
+    try {
+        const { token, ...tokenData } = kioskService.generateKioskToken();
+        const kiosk = await req.prisma.kioskDevice.create({
+            data: {
+                ...(await kioskService.buildKioskData(req.body)),
+                ...tokenData,
+                createdBy: req.user.id
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Kiosk created',
+            data: { ...kioskService.serializeKiosk(kiosk), token }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create kiosk');
+    }
+});
+
+/**
+ * PUT /api/kiosk/devices/:id
+ * Update name, branch, active flag or the exit PIN
+ */
+router.put('/devices/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const existing = await req.prisma.kioskDevice.findUnique({ where: { id } });
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Kiosk not found'
+            });
+        }
+
+        const kiosk = await req.prisma.kioskDevice.update({
+            where: { id },
+            data: await kioskService.buildKioskData(req.body, existing)
+        });
+
+        res.json({
+            success: true,
+            message: 'Kiosk updated',
+            data: kioskService.serializeKiosk(kiosk)
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update kiosk');
+    }
+});
+
+/**
+ * POST /api/kiosk/devices/:id/rotate-token
+ * Replace the kiosk token (returned once in data.token)
+ */
+router.post('/devices/:id/rotate-token', async (req, res) => {
+    try {
+        const { token, ...tokenData } = kioskService.generateKioskToken();
+        const kiosk = await req.prisma.kioskDevice.update({
+            where: { id: parseInt(req.params.id) },
+            data: tokenData
+        });
+
+        res.json({
+            success: true,
+            message: 'Kiosk token rotated',
+            data: { ...kioskService.serializeKiosk(kiosk), token }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to rotate kiosk token');
+    }
+});
+
+/**
+ * DELETE /api/kiosk/devices/:id
+ */
+router.delete('/devices/:id', async (req, res) => {
+    try {
+        await req.prisma.kioskDevice.delete({
+            where: { id: parseInt(req.params.id) }
+        });
+
+        res.json({
+            success: true,
+            message: 'Kiosk deleted'
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete kiosk');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,396 @@
+/**
+ * ============================================
+ * LEAD ROUTES
+ * ============================================
+ *
+ * Prospect pipeline: leads, follow-up tasks, timeline and conversion
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveBranch } = require('../middleware/branch');
+const { PERMISSIONS } = require('../utils/permissions');
+const { branchWhere } = require('../services/branchService');
+const { emitEvent, WEBHOOK_EVENTS } = require('../services/webhookService');
+const { serializeMember, serializeSubscription } = require('../utils/apiSerializers');
+const leadService = require('../services/leadService');
+
+router.use(authenticate);
+router.use(resolveBranch);
+
+// ============================================
+// HELPERS
+// ============================================
+
+const sendServiceError = (res, error, fallbackMessage) => {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message,
+            ...(error.duplicates ? { data: { duplicates: error.duplicates } } : {})
+        });
+    }
+    if (error.code === 'P2025') {
+        return res.status(404).json({
+            success: false,
+            message: 'Record not found'
+        });
+    }
+    console.error(`[LEADS] ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+const userSelect = { select: { id: true, firstName: true, lastName: true } };
+
+const leadListInclude = {
+    assignedUser: userSelect,
+    interestedPlan: { select: { id: true, name: true } },
+    tasks: {
+        where: { completedAt: null },
+        orderBy: { dueAt: 'asc' },
+        take: 1,
+        select: { id: true, title: true, dueAt: true }
+    }
+};
+
+// ============================================
+// META & LOOKUPS
+// ============================================
+
+/**
+ * GET /api/leads/meta
+ * Stages, sources, assignable staff and the plans a lead can convert to
+ */
+router.get('/meta', requirePermission(PERMISSIONS.LEADS_VIEW), async (req, res) => {
+    try {
+        const [staff, plans] = await Promise.all([
+            req.prisma.user.findMany({
+                where: { isActive: true },
+                select: { id: true, firstName: true, lastName: true },
+                orderBy: { firstName: 'asc' }
+            }),
+            req.prisma.subscriptionPlan.findMany({
+                where: { isActive: true, type: 'MEMBERSHIP' },
+                select: { id: true, name: true, price: true, duration: true },
+                orderBy: { sortOrder: 'asc' }
+            })
+        ]);
+        res.json({
+            success: true,
+            data: {
+                stages: leadService.LEAD_STAGES,
+                sources: leadService.LEAD_SOURCES,
+                staff,
+                plans
+            }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch lead options');
+    }
+});
+
+/**
+ * GET /api/leads/duplicates?phone=
+ * Members and open leads with the same phone number
+ */
+router.get('/duplicates', requirePermission(PERMISSIONS.LEADS_VIEW), async (req, res) => {
+    try {
+        const duplicates = await leadService.findDuplicates(req.prisma, req.query.phone, {
+            excludeLeadId: req.query.excludeLeadId ? parseInt(req.query.excludeLeadId) : null
+        });
+        res.json({ success: true, data: duplicates });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to check duplicates');
+    }
+});
+
+// ============================================
+// TASKS
+// ============================================
+
+/**
+ * GET /api/leads/tasks
+ * Query: status=open|overdue|done, assignedTo (or mine=true)
+ */
+router.get('/tasks', requirePermission(PERMISSIONS.LEADS_VIEW), async (req, res) => {
+    try {
+        const where = {
+            ...leadService.taskWhere({
+                status: req.query.status || 'open',
+                assignedTo: req.query.mine === 'true' ? req.user.id : req.query.assignedTo
+            }),
+            lead: branchWhere(req.branchScope)
+        };
+        const tasks = await req.prisma.leadTask.findMany({
+            where,
+            include: {
+                lead: { select: { id: true, fullName: true, phone: true, stage: true } },
+                assignedUser: userSelect
+            },
+            orderBy: { dueAt: req.query.status === 'done' ? 'desc' : 'asc' },
+            take: 200
+        });
+        res.json({ success: true, data: tasks });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch tasks');
+    }
+});
+
+/**
+ * PATCH /api/leads/tasks/:taskId
+ * Body: { completed }
+ */
+router.patch('/tasks/:taskId', requirePermission(PERMISSIONS.LEADS_MANAGE), async (req, res) => {
+    try {
+        const task = await leadService.completeTask(req.prisma, req.params.taskId, {
+            completed: req.body.completed !== false,
+            userId: req.user.id
+        });
+        res.json({ success: true, message: 'Task updated', data: task });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update task');
+    }
+});
+
+// ============================================
+// LEADS
+// ============================================
+
+/**
+ * GET /api/leads
+ * Query: stage, source, assignedTo, search, page, limit
+ * Also returns lead counts per stage for the pipeline header.
+ */
+router.get('/', requirePermission(PERMISSIONS.LEADS_VIEW), async (req, res) => {
+    try {
+        const baseWhere = branchWhere(req.branchScope);
+        if (req.query.source && req.query.source !== 'all') baseWhere.source = String(req.query.source);
+        if (req.query.assignedTo && req.query.assignedTo !== 'all') {
+            baseWhere.assignedTo = req.query.assignedTo === 'me' ? req.user.id : parseInt(req.query.assignedTo);
+        }
+        const search = String(req.query.search || '').trim();
+        if (search) {
+            baseWhere.OR = [
+                { fullName: { contains: search, mode: 'insensitive' } },
+                { phone: { contains: search } },
+                { email: { contains: search, mode: 'insensitive' } }
+            ];
+        }
+        const where = { ...baseWhere };
+        if (req.query.stage && req.query.stage !== 'all') where.stage = String(req.query.stage);
+
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+        const [leads, total, stageGroups] = await Promise.all([
+            req.prisma.lead.findMany({
+                where,
+                include: leadListInclude,
+                orderBy: [{ updatedAt: 'desc' }, { id: 'desc' }],
+                skip: (page - 1) * limit,
+                take: limit
+            }),
+            req.prisma.lead.count({ where }),
+            req.prisma.lead.groupBy({ by: ['stage'], where: baseWhere, _count: { _all: true } })
+        ]);
+
+        const stageCounts = Object.fromEntries(leadService.LEAD_STAGES.map((stage) => [stage, 0]));
+        stageGroups.forEach((group) => {
+            stageCounts[group.stage] = group._count._all;
+        });
+
+        res.json({
+            success: true,
+            data: {
+                leads,
+                stageCounts,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch leads');
+    }
+});
+
+/**
+ * GET /api/leads/:id
+ * Lead with tasks, timeline and linked appointments
+ */
+router.get('/:id', requirePermission(PERMISSIONS.LEADS_VIEW), async (req, res) => {
+    try {
+        const lead = await req.prisma.lead.findUnique({
+            where: { id: parseInt(req.params.id) },
+            include: {
+                assignedUser: userSelect,
+                interestedPlan: { select: { id: true, name: true, price: true, duration: true } },
+                convertedMember: { select: { id: true, memberId: true, firstName: true, lastName: true } },
+                tasks: {
+                    include: { assignedUser: userSelect },
+                    orderBy: [{ completedAt: 'asc' }, { dueAt: 'asc' }]
+                },
+                activities: {
+                    include: { user: userSelect },
+                    orderBy: { createdAt: 'desc' }
+                },
+                appointments: {
+                    select: { id: true, start: true, status: true, title: true },
+                    orderBy: { start: 'desc' }
+                }
+            }
+        });
+        if (!lead) {
+            return res.status(404).json({ success: false, message: 'Lead not found' });
+        }
+        res.json({ success: true, data: lead });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch lead');
+    }
+});
+
+/**
+ * POST /api/leads
+ * Body: { fullName, phone, email, notes, source, interestedPlanId, assignedTo, allowDuplicate }
+ * A phone that matches a member or an open lead returns 409 with the matches
+ * in data.duplicates unless allowDuplicate is set.
+ */
+router.post('/', requirePermission(PERMISSIONS.LEADS_MANAGE), async (req, res) => {
+    try {
+        const lead = await leadService.createLead(req.prisma, req.body, {
+            userId: req.user.id,
+            branchId: req.branchId,
+            allowDuplicate: req.body.allowDuplicate === true || req.body.allowDuplicate === 'true'
+        });
+        res.status(201).json({ success: true, message: 'Lead created', data: lead });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create lead');
+    }
+});
+
+/**
+ * PUT /api/leads/:id
+ * Same fields as create; the stage is changed through POST /:id/stage
+ */
+router.put('/:id', requirePermission(PERMISSIONS.LEADS_MANAGE), async (req, res) => {
+    try {
+        const lead = await leadService.updateLead(req.prisma, req.params.id, req.body, { userId: req.user.id });
+        res.json({ success: true, message: 'Lead updated', data: lead });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update lead');
+    }
+});
+
+/**
+ * POST /api/leads/:id/stage
+ * Body: { stage, lostReason }
+ */
+router.post('/:id/stage', requirePermission(PERMISSIONS.LEADS_MANAGE), async (req, res) => {
+    try {
+        const lead = await leadService.changeStage(req.prisma, req.params.id, req.body.stage, {
+            userId: req.user.id,
+            lostReason: req.body.lostReason
+        });
+        res.json({ success: true, message: 'Stage updated', data: lead });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update stage');
+    }
+});
+
+/**
+ * POST /api/leads/:id/notes
+ * Body: { type: note|call, message }
+ */
+router.post('/:id/notes', requirePermission(PERMISSIONS.LEADS_MANAGE), async (req, res) => {
+    try {
+        const activity = await leadService.addNote(req.prisma, req.params.id, req.body, { userId: req.user.id });
+        res.status(201).json({ success: true, message: 'Note added', data: activity });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to add note');
+    }
+});
+
+/**
+ * POST /api/leads/:id/tasks
+ * Body: { title, dueAt, assignedTo }
+ */
+router.post('/:id/tasks', requirePermission(PERMISSIONS.LEADS_MANAGE), async (req, res) => {
+    try {
+        const task = await leadService.createTask(req.prisma, req.params.id, req.body, { userId: req.user.id });
+        res.status(201).json({ success: true, message: 'Task created', data: task });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create task');
+    }
+});
+
+/**
+ * POST /api/leads/:id/convert
+ * Body: { memberDetails?, planId?, startDate?, memberId? }
+ * Creates the member (or links memberId) and, with a plan, an unpaid
+ * subscription whose price is left as a pending invoice.
+ */
+router.post('/:id/convert', requirePermission(PERMISSIONS.LEADS_MANAGE), async (req, res) => {
+    try {
+        const result = await leadService.convertLead(req.prisma, req.params.id, req.body, req.user);
+
+        await req.prisma.activityLog.create({
+            data: {
+                userId: req.user.id,
+                action: 'CONVERT_LEAD',
+                entityType: 'Lead',
+                entityId: result.lead.id,
+                details: JSON.stringify({
+                    memberId: result.member.id,
+                    subscriptionId: result.subscription?.id ?? null
+                })
+            }
+        });
+
+        if (result.createdMember) {
+            await emitEvent(req.prisma, WEBHOOK_EVENTS.MEMBER_CREATED, { member: serializeMember(result.member) });
+        }
+        if (result.subscription) {
+            await emitEvent(req.prisma, WEBHOOK_EVENTS.SUBSCRIPTION_CREATED, {
+                subscription: serializeSubscription(result.subscription)
+            });
+        }
+
+        res.json({ success: true, message: 'Lead converted to member', data: result });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to convert lead');
+    }
+});
+
+/**
+ * DELETE /api/leads/:id
+ * Tasks and timeline are removed with the lead
+ */
+router.delete('/:id', requirePermission(PERMISSIONS.LEADS_MANAGE), async (req, res) => {
+    try {
+        const lead = await req.prisma.lead.delete({ where: { id: parseInt(req.params.id) } });
+
+        await req.prisma.activityLog.create({
+            data: {
+                userId: req.user.id,
+                action: 'DELETE_LEAD',
+                entityType: 'Lead',
+                entityId: lead.id,
+                details: JSON.stringify({ fullName: lead.fullName, stage: lead.stage })
+            }
+        });
+
+        res.json({ success: true, message: 'Lead deleted' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete lead');
+    }
+});
+
+module.exports = router;
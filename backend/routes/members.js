@@ -17,6 +17,15 @@ const { body, validationResult, query } = require('express-validator');
 const { authenticate, authorize, requireActiveShift, requirePermission } = require('../middleware/auth');
 const { PERMISSIONS } = require('../utils/permissions');
 const { createMemberWithUniqueness } = require('../services/memberService');
+const { resolveBranch } = require('../middleware/branch');
+const { parseBranchId } = require('../services/branchService');
+const { emitEvent, WEBHOOK_EVENTS } = require('../services/webhookService');
+const { serializeMember } = require('../utils/apiSerializers');
+const { CURRENT_STATUSES, getGraceDays, currentSubscriptionWhere } = require('../services/subscriptionLifecycleService');
+const { enrollFace, removeFace, getModelsPath, withoutFaceEncoding } = require('../services/faceService');
+const { serializeInstallment } = require('../services/installmentService');
+const { buildMemberLinks } = require('../services/promotionService');
+const CreditService = require('../services/creditService');
 const {
     formatDisplayName,
     normalizeDisplayName,
@@ -60,6 +69,7 @@ const upload = multer({
 
 // Apply authentication to all routes
 router.use(authenticate);
+router.use(resolveBranch);
 
 // ============================================
 // HELPER FUNCTIONS
@@ -117,7 +127,8 @@ router.get('/', requirePermission(PERMISSIONS.MEMBERS_VIEW), [
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('search').optional().trim(),
     query('status').optional().isIn(['active', 'inactive', 'all']),
-    query('gender').optional().isIn(['male', 'female', 'unknown'])
+    query('gender').optional().isIn(['male', 'female', 'unknown']),
+    query('homeBranchId').optional().isInt({ min: 1 })
 ], async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
@@ -145,33 +156,17 @@ router.get('/', requirePermission(PERMISSIONS.MEMBERS_VIEW), [
 
         if (status !== 'all') {
             const now = new Date();
+            const currentWhere = currentSubscriptionWhere(now, await getGraceDays(req.prisma));
 
             if (status === 'inactive') {
-                // "Inactive" = Has NO subscription OR (All subscriptions are expired/cancelled)
+                // "Inactive" = Has NO subscription that currently gives access
                 andConditions.push({
-                    OR: [
-                        { subscriptions: { none: {} } },
-                        {
-                            subscriptions: {
-                                every: {
-                                    OR: [
-                                        { status: { not: 'active' } },
-                                        { endDate: { lt: now } }
-                                    ]
-                                }
-                            }
-                        }
-                    ]
+                    subscriptions: { none: currentWhere }
                 });
             } else if (status === 'active') {
-                // "Active" = Has at least one active subscription that hasn't ended
+                // "Active" = Has at least one subscription that currently gives access (grace period included)
                 andConditions.push({
-                    subscriptions: {
-                        some: {
-                            status: 'active',
-                            endDate: { gte: now }
-                        }
-                    }
+                    subscriptions: { some: currentWhere }
                 });
             }
         }
@@ -189,6 +184,10 @@ router.get('/', requirePermission(PERMISSIONS.MEMBERS_VIEW), [
             }
         }
 
+        if (req.query.homeBranchId) {
+            andConditions.push({ homeBranchId: parseInt(req.query.homeBranchId) });
+        }
+
         if (andConditions.length > 0) {
             where.AND = andConditions;
         }
@@ -202,7 +201,7 @@ router.get('/', requirePermission(PERMISSIONS.MEMBERS_VIEW), [
                 orderBy: { createdAt: 'desc' },
                 include: {
                     subscriptions: {
-                        where: { status: 'active' },
+                        where: { status: { in: CURRENT_STATUSES } },
                         orderBy: { endDate: 'desc' },
                         take: 1,
                         include: {
@@ -260,7 +259,7 @@ router.get('/', requirePermission(PERMISSIONS.MEMBERS_VIEW), [
             }
 
             return {
-                ...member,
+                ...withoutFaceEncoding(member),
                 subscriptionStatus,
                 daysRemaining,
                 currentPlan: activeSubscription?.plan?.name || null,
@@ -326,7 +325,7 @@ router.get('/:id', requirePermission(PERMISSIONS.MEMBERS_VIEW), async (req, res)
 
         res.json({
             success: true,
-            data: member
+            data: withoutFaceEncoding(member)
         });
 
     } catch (error) {
@@ -372,9 +371,20 @@ router.post('/', requirePermission('members.create'), upload.single('photo'), [
             gender,
             emergencyContactName,
             emergencyContactPhone,
-            notes
+            notes,
+            homeBranchId
         } = req.body;
 
+        // New members default to the branch they sign up at
+        const parsedHomeBranchId = parseBranchId(homeBranchId);
+        if (Number.isNaN(parsedHomeBranchId)) {
+            return res.status(400).json({
+                ok: false,
+                reason: 'VALIDATION_ERROR',
+                message: 'Invalid home branch'
+            });
+        }
+
         const displayNameInput = req.body.displayName || `${firstName} ${lastName}`;
         const fullNameInput = req.body.fullName || null;
 
@@ -412,6 +422,7 @@ router.post('/', requirePermission('members.create'), upload.single('photo'), [
             fullName: fullNameInput || displayNameInput || null,
             displayName: displayNameInput,
             notes: notes || null,
+            homeBranchId: parsedHomeBranchId ?? req.branchId,
             isActive: true
         };
 
@@ -483,10 +494,12 @@ router.post('/', requirePermission('members.create'), upload.single('photo'), [
             console.warn('[MEMBERS][CREATE] Activity log failed:', logError.message);
         }
 
+        await emitEvent(req.prisma, WEBHOOK_EVENTS.MEMBER_CREATED, { member: serializeMember(member) });
+
         res.status(201).json({
             success: true,
             message: 'Member created successfully',
-            data: member
+            data: withoutFaceEncoding(member)
         });
 
     } catch (error) {
@@ -586,9 +599,18 @@ router.put('/:id', requirePermission(PERMISSIONS.MEMBERS_EDIT), upload.single('p
             emergencyContactName,
             emergencyContactPhone,
             notes,
-            isActive
+            isActive,
+            homeBranchId
         } = req.body;
 
+        const parsedHomeBranchId = parseBranchId(homeBranchId);
+        if (Number.isNaN(parsedHomeBranchId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid home branch'
+            });
+        }
+
         let nextDisplayName = existingMember.displayName;
         if (req.body.displayName || firstName || lastName) {
             const resolvedFirstName = firstName || existingMember.firstName;
@@ -650,6 +672,7 @@ router.put('/:id', requirePermission(PERMISSIONS.MEMBERS_EDIT), upload.single('p
                 emergencyContactName: emergencyContactName || null,
                 emergencyContactPhone: emergencyContactPhone || null,
                 notes: notes || null,
+                ...(homeBranchId !== undefined && { homeBranchId: parsedHomeBranchId }),
                 ...(isActive !== undefined && { isActive: isActive === 'true' || isActive === true })
             }
         });
@@ -667,7 +690,7 @@ router.put('/:id', requirePermission(PERMISSIONS.MEMBERS_EDIT), upload.single('p
         res.json({
             success: true,
             message: 'Member updated successfully',
-            data: member
+            data: withoutFaceEncoding(member)
         });
 
     } catch (error) {
@@ -767,6 +790,85 @@ router.get('/:id/qrcode', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/members/:id/face
+ * Enroll the member's face for check-in
+ * Body: { images: [PNG data URL, ...] } (1-5 webcam shots, one face each)
+ */
+router.post('/:id/face', requirePermission(PERMISSIONS.MEMBERS_EDIT), async (req, res) => {
+    try {
+        const member = await req.prisma.member.findUnique({
+            where: { id: parseInt(req.params.id) },
+            select: { id: true }
+        });
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        const images = req.body?.images || (req.body?.image ? [req.body.image] : []);
+        const result = await enrollFace(req.prisma, member, images, {
+            modelsPath: getModelsPath(req.userDataPath),
+            userDataPath: req.userDataPath,
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Face enrolled',
+            data: { hasFace: true, samples: result.samples }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+        console.error('Face enrollment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to enroll face'
+        });
+    }
+});
+
+/**
+ * DELETE /api/members/:id/face
+ * Remove the member's face enrollment
+ */
+router.delete('/:id/face', requirePermission(PERMISSIONS.MEMBERS_EDIT), async (req, res) => {
+    try {
+        const member = await req.prisma.member.findUnique({
+            where: { id: parseInt(req.params.id) },
+            select: { id: true }
+        });
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        await removeFace(req.prisma, member, { userDataPath: req.userDataPath, userId: req.user.id });
+
+        res.json({
+            success: true,
+            message: 'Face enrollment removed',
+            data: { hasFace: false }
+        });
+    } catch (error) {
+        console.error('Remove face error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove face enrollment'
+        });
+    }
+});
+
 /**
  * GET /api/members/search/:query
  * Quick search for members
@@ -774,6 +876,7 @@ router.get('/:id/qrcode', async (req, res) => {
 router.get('/search/:query', requirePermission(PERMISSIONS.MEMBERS_VIEW), async (req, res) => {
     try {
         const query = req.params.query;
+        const graceDays = await getGraceDays(req.prisma);
 
         const members = await req.prisma.member.findMany({
             where: {
@@ -802,10 +905,7 @@ router.get('/search/:query', requirePermission(PERMISSIONS.MEMBERS_VIEW), async
                 photo: true,
                 isActive: true, // Need this base flag
                 subscriptions: {
-                    where: {
-                        status: 'active',
-                        endDate: { gte: new Date() }
-                    },
+                    where: currentSubscriptionWhere(new Date(), graceDays),
                     take: 1,
                     select: { status: true, endDate: true, plan: { select: { name: true } } }
                 }
@@ -1080,6 +1180,109 @@ router.get('/:id/details', requirePermission(PERMISSIONS.MEMBERS_VIEW), async (r
     }
 });
 
+/**
+ * GET /api/members/:id/installments
+ * Installment schedules of the member's subscriptions, newest subscription first
+ */
+router.get('/:id/installments', requirePermission(PERMISSIONS.MEMBERS_VIEW), async (req, res) => {
+    try {
+        const installments = await req.prisma.subscriptionInstallment.findMany({
+            where: { memberId: parseInt(req.params.id) },
+            include: {
+                subscription: {
+                    select: { id: true, status: true, startDate: true, plan: { select: { name: true } } }
+                }
+            },
+            orderBy: [{ subscriptionId: 'desc' }, { sequence: 'asc' }]
+        });
+
+        res.json({
+            success: true,
+            data: installments.map((installment) => serializeInstallment(installment))
+        });
+    } catch (error) {
+        console.error('Get member installments error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch installments' });
+    }
+});
+
+const linkedMemberSelect = { id: true, memberId: true, firstName: true, lastName: true, phone: true };
+
+/**
+ * GET /api/members/:id/referrals
+ * Who referred the member, who they referred, their family group and credit balance
+ */
+router.get('/:id/referrals', requirePermission(PERMISSIONS.MEMBERS_VIEW), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const member = await req.prisma.member.findUnique({
+            where: { id },
+            select: {
+                id: true,
+                referralRewardedAt: true,
+                familyHeadId: true,
+                referredBy: { select: linkedMemberSelect },
+                familyHead: { select: linkedMemberSelect },
+                referrals: { select: { ...linkedMemberSelect, referralRewardedAt: true }, orderBy: { createdAt: 'desc' } }
+            }
+        });
+        if (!member) return res.status(404).json({ success: false, message: 'Member not found' });
+
+        const headId = member.familyHeadId || member.id;
+        const [familyMembers, rewards, creditBalance] = await Promise.all([
+            req.prisma.member.findMany({
+                where: { familyHeadId: headId, id: { not: member.id } },
+                select: linkedMemberSelect,
+                orderBy: { firstName: 'asc' }
+            }),
+            req.prisma.memberCreditLedger.aggregate({
+                where: { memberId: id, referredMemberId: { not: null } },
+                _sum: { amount: true }
+            }),
+            CreditService.getBalance(req.prisma, id)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                referredBy: member.referredBy,
+                referralRewardedAt: member.referralRewardedAt,
+                referrals: member.referrals,
+                referralCredit: rewards._sum.amount || 0,
+                familyHead: member.familyHead,
+                isFamilyHead: !member.familyHeadId && familyMembers.length > 0,
+                familyMembers,
+                creditBalance
+            }
+        });
+    } catch (error) {
+        console.error('Get member referrals error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch referrals' });
+    }
+});
+
+/**
+ * PUT /api/members/:id/links
+ * Body: { referredBy, familyOf } - member codes (GYM-0012) or ids; null clears the link
+ */
+router.put('/:id/links', requirePermission(PERMISSIONS.MEMBERS_EDIT), async (req, res) => {
+    try {
+        const member = await req.prisma.member.findUnique({ where: { id: parseInt(req.params.id) } });
+        if (!member) return res.status(404).json({ success: false, message: 'Member not found' });
+
+        const data = await buildMemberLinks(req.prisma, member, req.body);
+        await req.prisma.member.update({ where: { id: member.id }, data });
+
+        res.json({ success: true, message: 'Member links updated', data });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+        }
+        console.error('Update member links error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update member links' });
+    }
+});
+
 /**
  * GET /api/members/:memberId/active-package
  * Return active session package if exists
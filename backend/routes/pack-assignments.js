@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, requirePermission, requireActiveShift } = require('../middleware/auth');
 const { PERMISSIONS } = require('../utils/permissions');
+const { resolveBranch } = require('../middleware/branch');
 const { syncStatuses, performPackAssignmentCheckIn, resolveAmountPaid } = require('../services/packAssignmentsService');
 
 router.use(authenticate);
@@ -346,7 +347,7 @@ router.patch('/:id/status', requirePermission(PERMISSIONS.SUBSCRIPTIONS_CREATE),
     }
 });
 
-router.post('/:id/checkins', requirePermission(PERMISSIONS.CHECKINS_MANAGE), async (req, res) => {
+router.post('/:id/checkins', requirePermission(PERMISSIONS.CHECKINS_MANAGE), resolveBranch, async (req, res) => {
     const idempotencyKey = parseIdempotencyKey(req);
     try {
         const assignmentId = parseInteger(req.params.id);
@@ -363,6 +364,7 @@ router.post('/:id/checkins', requirePermission(PERMISSIONS.CHECKINS_MANAGE), asy
             sessionName: explicitSessionName,
             sessionPrice: explicitSessionPrice,
             actorUserId: req.user?.id || null,
+            branchId: req.branchId,
             formatAssignment
         });
 
@@ -20,6 +20,19 @@ const {
     sendWorkbook,
     toDateStamp
 } = require('../services/excelExportService');
+const { emitEvent, WEBHOOK_EVENTS } = require('../services/webhookService');
+const { serializeRefund } = require('../utils/apiSerializers');
+const { changeStatus } = require('../services/subscriptionLifecycleService');
+const { allocatePayments } = require('../services/installmentService');
+const { getTaxSettings, resolveServiceTaxRate, buildReceiptTax } = require('../services/taxService');
+const {
+    MIXED_METHOD,
+    parseTenders,
+    tendersTotal,
+    assertTendersTotal,
+    allocateRefund,
+    buildReceiptTenders
+} = require('../services/tenderService');
 
 const FINALIZED_PACKAGE_PAYMENT_STATUSES = ['paid', 'PAID', 'completed', 'COMPLETED'];
 
@@ -422,7 +435,7 @@ router.post('/verify-reference', async (req, res) => {
 router.post('/', requirePermission('payments.create'), [
     body('memberId').isInt().withMessage('Valid member ID is required'),
     body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
-    body('method').isIn(['cash', 'card', 'transfer', 'other']).withMessage('Invalid payment method')
+    body('method').isIn(['cash', 'card', 'transfer', 'other', MIXED_METHOD]).withMessage('Invalid payment method')
 ], async (req, res) => {
     let idempotencyKey = null;
     try {
@@ -440,7 +453,22 @@ router.post('/', requirePermission('payments.create'), [
         if (rawAmount !== null && !Number.isFinite(rawAmount)) {
             return res.status(400).json({ success: false, message: 'Invalid payment amount' });
         }
-        const amountValue = rawAmount !== null ? roundMoney(rawAmount) : null;
+
+        // Split tender: the amount defaults to the sum of the tenders
+        let tenders = null;
+        if (method === MIXED_METHOD) {
+            try {
+                tenders = parseTenders(req.body.tenders, {
+                    methods: ['cash', 'card', 'transfer'],
+                    requireReference: ['card']
+                });
+            } catch (tenderErr) {
+                return res.status(400).json({ success: false, message: tenderErr.message, code: tenderErr.code });
+            }
+        }
+        const amountValue = rawAmount !== null
+            ? roundMoney(rawAmount)
+            : (tenders ? tendersTotal(tenders) : null);
 
         idempotencyKey = String(req.header('Idempotency-Key') || '').trim();
         if (!idempotencyKey) {
@@ -573,7 +601,7 @@ router.post('/', requirePermission('payments.create'), [
         const safeRef = resolvePaymentReference(normalizedMethod, null, transactionRef);
 
         // Validate transaction reference for Card/Visa
-        if ((normalizedMethod === 'card' || normalizedMethod === 'visa') && !safeRef) {
+        if (!tenders && (normalizedMethod === 'card' || normalizedMethod === 'visa') && !safeRef) {
             console.error('[PAYMENTS POST] Missing transactionRef for card/visa');
             return res.status(400).json({
                 success: false,
@@ -585,6 +613,7 @@ router.post('/', requirePermission('payments.create'), [
         const result = await req.prisma.$transaction(async (prisma) => {
             let resolvedAmount = amountValue;
             let sessionCommission = null;
+            let taxRate = 0;
             // 1. Subscription validation (do not mutate until payment is confirmed)
             if (subscriptionId) {
                 const subIdInt = parseInt(subscriptionId);
@@ -596,11 +625,13 @@ router.post('/', requirePermission('payments.create'), [
                         id: true,
                         paidAmount: true,
                         price: true,
+                        taxRate: true,
                         plan: { select: { price: true } }
                     }
                 });
 
                 if (!subscription) throw new Error('SUBSCRIPTION_NOT_FOUND');
+                taxRate = subscription.taxRate || 0;
 
                 const planPrice = subscription.price ?? subscription.plan?.price ?? 0;
                 const currentPaid = roundMoney(subscription.paidAmount || 0);
@@ -630,12 +661,14 @@ router.post('/', requirePermission('payments.create'), [
             if (appointmentId && !subscriptionId) {
                 const appointment = await prisma.appointment.findUnique({
                     where: { id: parseInt(appointmentId) },
-                    select: { price: true, finalPrice: true }
+                    select: { serviceId: true, price: true, finalPrice: true }
                 });
                 if (!appointment) throw new Error('APPOINTMENT_NOT_FOUND');
                 const effectivePrice = appointment.finalPrice ?? appointment.price ?? 0;
                 sessionCommission = await CommissionService.getSessionCommissionBreakdown(effectivePrice, prisma);
+                taxRate = await resolveServiceTaxRate(prisma, appointment.serviceId);
             }
+            if (tenders) assertTendersTotal(tenders, resolvedAmount);
 
             // schema.prisma (Runtime mismatch workaround: transactionRef field unknown to client)
             // memberId Int
@@ -665,6 +698,8 @@ router.post('/', requirePermission('payments.create'), [
                 verificationMode,
                 posAmountVerified,
                 appointmentId,
+                taxRate,
+                tenders,
                 sessionPrice: sessionCommission?.sessionPrice,
                 commissionPercentUsed: sessionCommission?.commissionPercentUsed,
                 trainerPayout: sessionCommission?.trainerPayout,
@@ -709,6 +744,9 @@ router.post('/', requirePermission('payments.create'), [
                     }
                 });
 
+                // Installment plans: the payment goes to the oldest open installment
+                await allocatePayments(prisma, subscriptionId);
+
             }
 
             const paymentDetails = await prisma.payment.findUnique({
@@ -757,12 +795,15 @@ router.post('/', requirePermission('payments.create'), [
                 });
             }
 
+            const receiptTax = buildReceiptTax(await getTaxSettings(prisma), [{ amount: totalPrice, rate: payment.taxRate }]);
+
             let receiptError = null;
             try {
                 await createReceipt(prisma, {
                     transactionType: 'payment',
                     transactionId: payment.id,
                     paymentMethod: payment.method,
+                    branchId: payment.branchId,
                     customerId: member?.id,
                     customerName: member ? `${member.firstName} ${member.lastName}` : null,
                     customerPhone: member?.phone || null,
@@ -771,11 +812,12 @@ router.post('/', requirePermission('payments.create'), [
                     staffName,
                     items,
                     totals: {
-                        subtotal: totalPrice,
+                        subtotal: roundMoney(totalPrice - receiptTax.tax),
                         discount: subscription?.discount || 0,
-                        tax: 0,
+                        ...receiptTax,
                         total: totalPrice,
                         paid: paidNow,
+                        ...buildReceiptTenders(payment),
                         paidToDate,
                         remaining,
                         change: 0
@@ -828,6 +870,9 @@ router.post('/', requirePermission('payments.create'), [
         });
 
         // KNOWN ERRORS
+        if (error.code === 'TENDER_TOTAL_MISMATCH') {
+            return res.status(400).json({ success: false, message: error.message, code: error.code });
+        }
         if (error.message === 'APPOINTMENT_NOT_FOUND') {
             return res.status(404).json({ success: false, message: 'Appointment not found' });
         }
@@ -1023,7 +1068,8 @@ router.post('/refund', requirePermission('payments.create'), [
                     notes: `Refund: ${finalRefundAmount.toFixed(2)} EGP. Used ${usedDays} days. Rate: ${dailyRate.toFixed(2)}. Reason: ${reason || 'N/A'}`,
                     createdBy: req.user.id,
                     collectorName: `${req.user.firstName} ${req.user.lastName}`,
-                    shiftId: req.activeShift?.id
+                    shiftId: req.activeShift?.id,
+                    branchId: req.activeShift?.branchId ?? null
                 }
             });
 
@@ -1038,10 +1084,12 @@ router.post('/refund', requirePermission('payments.create'), [
             };
 
             if (shouldCancel) {
-                updateData.status = 'cancelled';
                 updateData.canceledAt = now;
                 updateData.cancelReason = reason || 'Refunded';
                 updateData.remainingAmount = 0; // Clear remaining if cancelled
+                updateData.isPaused = false;
+                updateData.pauseStartsAt = null;
+                updateData.pauseEndsAt = null;
             } else {
                 // If not cancelling, ensure it's active (or keep current status if not 'expired')
                 // If it was 'paid', it might become 'partial' or 'unpaid'
@@ -1057,14 +1105,36 @@ router.post('/refund', requirePermission('payments.create'), [
                 updateData.paymentStatus = newPayStatus;
             }
 
-            await prisma.subscription.update({
-                where: { id: sub.id },
-                data: updateData
-            });
+            if (shouldCancel) {
+                await changeStatus(prisma, sub, 'cancelled', {
+                    reason: 'refunded',
+                    userId: req.user.id,
+                    data: updateData,
+                    metadata: { paymentId: refundPayment.id, amount: finalRefundAmount },
+                    now
+                });
+            } else {
+                await prisma.subscription.update({
+                    where: { id: sub.id },
+                    data: updateData
+                });
+                await allocatePayments(prisma, sub.id);
+            }
 
             return { refundPayment, details: { totalPaid, usedDays, usedAmount, refundable: finalRefundAmount, status: shouldCancel ? 'cancelled' : 'active' } };
         });
 
+        // Subscription refunds are stored as a negative payment (no Refund row)
+        await emitEvent(req.prisma, WEBHOOK_EVENTS.REFUND_CREATED, {
+            refund: serializeRefund({
+                paymentId: result.refundPayment.id,
+                amount: Math.abs(result.refundPayment.amount),
+                reason: reason || null,
+                createdAt: result.refundPayment.createdAt,
+                payment: result.refundPayment
+            })
+        });
+
         res.json({ success: true, message: 'Refund processed successfully', data: result });
 
     } catch (error) {
@@ -1542,7 +1612,8 @@ router.get('/:id/receipt', async (req, res) => {
                 },
                 refunds: {
                     orderBy: { createdAt: 'desc' }
-                }
+                },
+                tenders: true
             }
         });
 
@@ -1662,6 +1733,9 @@ router.get('/:id/receipt', async (req, res) => {
         doc.moveDown(1);
         doc.fontSize(10).font('Helvetica').fillColor('gray')
             .text(`Payment Method: ${payment.method.toUpperCase()}`, { align: 'right' });
+        payment.tenders.forEach((tender) => {
+            doc.text(`${tender.method.toUpperCase()}: ${symbol}${tender.amount.toFixed(2)}`, { align: 'right' });
+        });
 
         doc.moveDown(2);
 
@@ -1698,7 +1772,7 @@ router.post('/:id/refund', requirePermission('payments.refund'), async (req, res
         // 1. Get Payment & Previous Refunds
         const payment = await req.prisma.payment.findUnique({
             where: { id: paymentId },
-            include: { refunds: true }
+            include: { refunds: true, tenders: true }
         });
 
         if (!payment) {
@@ -1776,6 +1850,14 @@ router.post('/:id/refund', requirePermission('payments.refund'), async (req, res
             });
         }
 
+        // Split payments: one refund row per tender the money goes back through
+        let allocations;
+        try {
+            allocations = allocateRefund(payment, refundAmount, req.body.method || null);
+        } catch (tenderErr) {
+            return res.status(400).json({ success: false, message: tenderErr.message, code: tenderErr.code });
+        }
+
         // 3. STRICT SHIFT CHECK
         let shiftId;
         shiftId = req.activeShift?.id;
@@ -1798,15 +1880,19 @@ router.post('/:id/refund', requirePermission('payments.refund'), async (req, res
 
         // 4. Create Refund Record (Transactional)
         const result = await req.prisma.$transaction(async (prisma) => {
-            const refund = await prisma.refund.create({
-                data: {
-                    paymentId: payment.id,
-                    amount: refundAmount,
-                    reason: reason || (req.body.goodwill ? 'Goodwill Refund' : 'Refund'),
-                    shiftId: shiftId,
-                    createdBy: req.user.id
-                }
-            });
+            const refunds = [];
+            for (const allocation of allocations) {
+                refunds.push(await prisma.refund.create({
+                    data: {
+                        paymentId: payment.id,
+                        amount: allocation.amount,
+                        method: allocation.method,
+                        reason: reason || (req.body.goodwill ? 'Goodwill Refund' : 'Refund'),
+                        shiftId: shiftId,
+                        createdBy: req.user.id
+                    }
+                }));
+            }
 
             // 5. Update Payment Status & Total Refunded
             const newTotalRefunded = (payment.refundedTotal || 0) + refundAmount;
@@ -1855,24 +1941,27 @@ router.post('/:id/refund', requirePermission('payments.refund'), async (req, res
                         const autoNote = ' [Auto-cancelled via Full Refund]';
                         const newNotes = (currentSub.notes || '') + autoNote;
 
-                        await prisma.subscription.update({
-                            where: { id: payment.subscriptionId },
+                        await changeStatus(prisma, { id: payment.subscriptionId, status: currentSub.status }, 'ended', {
+                            reason: 'refunded',
+                            userId: req.user.id,
+                            metadata: { paymentId: payment.id, refundId: refunds[0].id },
                             data: {
-                                status: 'ended',
                                 endDate: new Date(),
+                                isPaused: false,
+                                pauseStartsAt: null,
+                                pauseEndsAt: null,
                                 notes: (currentSub.notes || '') + `\n[System] Auto-cancelled due to full refund on ${new Date().toLocaleDateString()}`,
                                 canceledAt: new Date(),
                                 canceledById: req.user.id,
                                 cancelReason: 'Auto-cancelled due to full refund',
-                                cancelSource: 'auto_refund',
-                                remainingDays: 0
+                                cancelSource: 'auto_refund'
                             }
                         });
                     }
                 }
             }
 
-            return refund;
+            return refunds;
         });
 
         // 6. Log Activity
@@ -1884,6 +1973,7 @@ router.post('/:id/refund', requirePermission('payments.refund'), async (req, res
                 entityId: payment.id,
                 details: JSON.stringify({
                     amount: refundAmount,
+                    tenders: allocations,
                     reason,
                     shiftId,
                     goodwill: req.body.goodwill || false
@@ -1891,10 +1981,17 @@ router.post('/:id/refund', requirePermission('payments.refund'), async (req, res
             }
         });
 
+        for (const refund of result) {
+            await emitEvent(req.prisma, WEBHOOK_EVENTS.REFUND_CREATED, {
+                refund: serializeRefund({ ...refund, payment })
+            });
+        }
+
+        // A refund split over several tenders returns one row per tender
         res.json({
             success: true,
             message: 'Refund processed successfully',
-            data: result
+            data: result.length === 1 ? result[0] : result
         });
 
     } catch (error) {
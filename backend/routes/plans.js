@@ -8,6 +8,9 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, authorize, requirePermission } = require('../middleware/auth');
 const { PERMISSIONS } = require('../utils/permissions');
+const { normalizePlanBranchRules } = require('../services/branchService');
+const { normalizePlanAccessRules } = require('../services/planAccessService');
+const { parseTaxRate } = require('../services/taxService');
 
 router.use(authenticate);
 
@@ -70,9 +73,25 @@ router.post('/', requirePermission(PERMISSIONS.PLANS_MANAGE), async (req, res) =
             type,
             packageTotalSessions,
             packageValidityDays,
-            packageSessionServiceId
+            packageSessionServiceId,
+            branchAccess,
+            allowedBranchIds,
+            accessRules,
+            taxRate,
+            classCredits
         } = req.body;
 
+        let branchRules;
+        let normalizedAccessRules;
+        let parsedTaxRate;
+        try {
+            branchRules = normalizePlanBranchRules({ branchAccess, allowedBranchIds });
+            normalizedAccessRules = normalizePlanAccessRules(accessRules);
+            parsedTaxRate = parseTaxRate(taxRate);
+        } catch (error) {
+            return res.status(400).json({ success: false, code: error.code, message: error.message });
+        }
+
         const normalizedType = type ? String(type).toUpperCase() : 'MEMBERSHIP';
         if (!['MEMBERSHIP', 'PACKAGE'].includes(normalizedType)) {
             return res.status(400).json({ success: false, message: 'Invalid plan type' });
@@ -106,6 +125,13 @@ router.post('/', requirePermission(PERMISSIONS.PLANS_MANAGE), async (req, res) =
             }
         }
 
+        const parsedClassCredits = classCredits !== undefined && classCredits !== null && classCredits !== ''
+            ? Number.parseInt(classCredits, 10)
+            : null;
+        if (parsedClassCredits !== null && (!Number.isInteger(parsedClassCredits) || parsedClassCredits < 0)) {
+            return res.status(400).json({ success: false, message: 'Invalid class credits' });
+        }
+
         const plan = await req.prisma.subscriptionPlan.create({
             data: {
                 name: String(name).trim(),
@@ -114,6 +140,7 @@ router.post('/', requirePermission(PERMISSIONS.PLANS_MANAGE), async (req, res) =
                 duration: parsedDuration,
                 durationType: durationType || 'days',
                 price: parsedPrice,
+                taxRate: parsedTaxRate ?? null,
                 packageTotalSessions: normalizedType === 'PACKAGE' ? parsedTotalSessions : null,
                 packageValidityDays: normalizedType === 'PACKAGE'
                     ? (packageValidityDays === undefined || packageValidityDays === null || packageValidityDays === '' ? null : Number.parseInt(packageValidityDays, 10))
@@ -121,10 +148,13 @@ router.post('/', requirePermission(PERMISSIONS.PLANS_MANAGE), async (req, res) =
                 packageSessionServiceId: normalizedType === 'PACKAGE'
                     ? (packageSessionServiceId !== undefined && packageSessionServiceId !== null && packageSessionServiceId !== '' ? Number.parseInt(packageSessionServiceId, 10) : null)
                     : null,
+                classCredits: normalizedType === 'MEMBERSHIP' ? parsedClassCredits : null,
                 description: description || null,
                 descriptionAr: descriptionAr || null,
                 features: features || null,
                 sortOrder: sortOrder || 0,
+                ...branchRules,
+                accessRules: normalizedAccessRules,
                 isActive: true
             }
         });
@@ -165,7 +195,12 @@ router.put('/:id', requirePermission(PERMISSIONS.PLANS_MANAGE), async (req, res)
             type,
             packageTotalSessions,
             packageValidityDays,
-            packageSessionServiceId
+            packageSessionServiceId,
+            branchAccess,
+            allowedBranchIds,
+            accessRules,
+            taxRate,
+            classCredits
         } = req.body;
 
         const data = {};
@@ -229,6 +264,41 @@ router.put('/:id', requirePermission(PERMISSIONS.PLANS_MANAGE), async (req, res)
             }
         }
 
+        if (classCredits !== undefined) {
+            if (classCredits === null || classCredits === '') {
+                data.classCredits = null;
+            } else {
+                const parsedClassCredits = Number.parseInt(classCredits, 10);
+                if (!Number.isInteger(parsedClassCredits) || parsedClassCredits < 0) {
+                    return res.status(400).json({ success: false, message: 'Invalid class credits' });
+                }
+                data.classCredits = parsedClassCredits;
+            }
+        }
+
+        // allowedBranchIds is only meaningful together with branchAccess: 'selected'
+        if (branchAccess !== undefined) {
+            try {
+                Object.assign(data, normalizePlanBranchRules({ branchAccess, allowedBranchIds }));
+            } catch (error) {
+                return res.status(400).json({ success: false, code: error.code, message: error.message });
+            }
+        }
+        if (accessRules !== undefined) {
+            try {
+                data.accessRules = normalizePlanAccessRules(accessRules);
+            } catch (error) {
+                return res.status(400).json({ success: false, code: error.code, message: error.message });
+            }
+        }
+        if (taxRate !== undefined) {
+            try {
+                data.taxRate = parseTaxRate(taxRate);
+            } catch (error) {
+                return res.status(400).json({ success: false, code: error.code, message: error.message });
+            }
+        }
+
         const plan = await req.prisma.subscriptionPlan.update({
             where: { id: planId },
             data
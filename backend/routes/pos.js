@@ -11,6 +11,8 @@ const router = express.Router();
 const posService = require('../services/posService');
 const { authenticate, authorize, requirePermission } = require('../middleware/auth');
 const { PERMISSIONS } = require('../utils/permissions');
+const { resolveBranch } = require('../middleware/branch');
+const { branchWhere } = require('../services/branchService');
 
 router.use(authenticate);
 
@@ -119,7 +121,7 @@ router.get('/shift/:id/summary', async (req, res) => {
  * GET /api/pos/shifts
  * Get list of shifts (history)
  */
-router.get('/shifts', async (req, res) => {
+router.get('/shifts', resolveBranch, async (req, res) => {
     try {
         const { startDate, endDate, employeeId, limit = 50 } = req.query;
 
@@ -132,7 +134,8 @@ router.get('/shifts', async (req, res) => {
         }
 
         const where = {
-            status: 'closed'
+            status: 'closed',
+            ...branchWhere(req.branchScope)
         };
 
         if (startDate || endDate) {
@@ -171,6 +174,9 @@ router.get('/shifts', async (req, res) => {
                 },
                 machine: {
                     select: { name: true }
+                },
+                branch: {
+                    select: { id: true, name: true }
                 }
             }
         });
@@ -192,4 +198,52 @@ router.get('/shifts', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/pos/machines
+ * List registered terminals with their branch
+ */
+router.get('/machines', authorize('admin'), async (req, res) => {
+    try {
+        const machines = await req.prisma.pOSMachine.findMany({
+            include: { branch: { select: { id: true, name: true, code: true } } },
+            orderBy: { name: 'asc' }
+        });
+
+        res.json({ success: true, data: machines });
+    } catch (error) {
+        console.error('Fetch machines error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch machines' });
+    }
+});
+
+/**
+ * PUT /api/pos/machines/:id
+ * Rename a terminal or move it to a branch (shifts opened on it inherit the branch)
+ */
+router.put('/machines/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { name, branchId } = req.body;
+        const data = {};
+        if (name !== undefined) data.name = String(name).trim();
+        if (branchId !== undefined) data.branchId = branchId ? parseInt(branchId) : null;
+
+        const machine = await req.prisma.pOSMachine.update({
+            where: { id: parseInt(req.params.id) },
+            data,
+            include: { branch: { select: { id: true, name: true, code: true } } }
+        });
+
+        res.json({ success: true, message: 'Machine updated', data: machine });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ success: false, message: 'Machine not found' });
+        }
+        if (error.code === 'P2003') {
+            return res.status(400).json({ success: false, message: 'Branch not found' });
+        }
+        console.error('Update machine error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update machine' });
+    }
+});
+
 module.exports = router;
@@ -10,6 +10,10 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { authenticate, requireActiveShift } = require('../middleware/auth');
+const { resolveBranch } = require('../middleware/branch');
+const { resolveBranchScope } = require('../services/branchService');
+const { stockLevel, stockMovementWhere, transferStock } = require('../services/stockService');
+const { parseTaxRate } = require('../services/taxService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -52,6 +56,7 @@ const handleProductUpload = (req, res, next) => {
 };
 
 router.use(authenticate);
+router.use(resolveBranch);
 
 // Validation
 const productValidation = [
@@ -76,6 +81,7 @@ const restockValidation = [
 /**
  * GET /api/products
  * List all products with current stock calculated
+ * (stock of the selected branch when multi-branch is enabled)
  */
 router.get('/', async (req, res) => {
     try {
@@ -95,6 +101,7 @@ router.get('/', async (req, res) => {
             where,
             include: {
                 stockMovements: {
+                    where: await stockMovementWhere(req.prisma, req.branchId),
                     select: { type: true, quantity: true }
                 }
             },
@@ -103,40 +110,7 @@ router.get('/', async (req, res) => {
 
         // Calculate Stock for each product
         const productsWithStock = products.map(p => {
-            const stock = p.stockMovements.reduce((sum, m) => {
-                if (m.type === 'IN') return sum + m.quantity;
-                if (m.type === 'OUT') return sum - m.quantity;
-                if (m.type === 'ADJUST') return sum + m.quantity; // Adjust can be negative logic? 
-                // Wait, implementation plan said ADJUST quantity is Absolute Value?
-                // Depending on how we store it. Let's assume ADJUST stores +/- signed int?
-                // Or type ADJUST needs specific logic? 
-                // Let's stick to: IN (+), OUT (-). 
-                // ADJUST: The request might send negative quantity. 
-                // Database schema says quantity Int.
-                return sum + 0; // Handled below in logic if we want strict types
-            }, 0);
-
-            // Let's refine the specific logic:
-            // We'll store signed quantity for ADJUST in input, but DB stores unsigned Int usually?
-            // Schema has `quantity Int`. It CAN be negative in SQLite/Postgres Int.
-            // So let's store signed values in the DB for ease of sum?
-            // "quantity Int // Absolute value" comment in plan.
-            // If absolute, we need a sign flag or type logic.
-            // Let's strictly follow:
-            // IN: +qty
-            // OUT: -qty
-            // ADJUST: +/-qty (stored as is in DB?)
-
-            // Let's use the DB `quantity` as the signed impact if possible?
-            // Or better: use logic based on type. 
-            // Plan said: "sum(IN) - sum(OUT) + sum(ADJUST as signed)"
-
-            let currentStock = 0;
-            p.stockMovements.forEach(m => {
-                if (m.type === 'IN') currentStock += m.quantity;
-                else if (m.type === 'OUT') currentStock -= m.quantity;
-                else if (m.type === 'ADJUST') currentStock += m.quantity; // stored as signed
-            });
+            const currentStock = stockLevel(p.stockMovements);
 
             // Remove large relation data before sending
             const { stockMovements, ...productData } = p;
@@ -167,6 +141,12 @@ router.post('/', handleProductUpload, productValidation, async (req, res) => {
         if (!Number.isFinite(salePriceValue)) {
             return res.status(400).json({ success: false, message: 'Sale price must be a valid number' });
         }
+        let taxRate;
+        try {
+            taxRate = parseTaxRate(req.body.taxRate);
+        } catch (error) {
+            return res.status(400).json({ success: false, code: error.code, message: error.message });
+        }
         const quantityInput = req.body.quantity;
         const quantityValue = quantityInput === undefined || quantityInput === null || quantityInput === ''
             ? null
@@ -186,6 +166,7 @@ router.post('/', handleProductUpload, productValidation, async (req, res) => {
                     name,
                     description,
                     salePrice: salePriceValue,
+                    taxRate: taxRate ?? null,
                     sku: sku || null,
                     isActive: isActive === 'true' || isActive === true,
                     imageUrl
@@ -200,7 +181,8 @@ router.post('/', handleProductUpload, productValidation, async (req, res) => {
                         quantity: quantityValue,
                         reason: 'Initial Stock',
                         notes: 'Initial stock on create',
-                        employeeId: req.user.id
+                        employeeId: req.user.id,
+                        branchId: req.branchId
                     }
                 });
             }
@@ -230,6 +212,12 @@ router.put('/:id', handleProductUpload, productValidation, async (req, res) => {
         if (!Number.isFinite(salePriceValue)) {
             return res.status(400).json({ success: false, message: 'Sale price must be a valid number' });
         }
+        let taxRate;
+        try {
+            taxRate = parseTaxRate(req.body.taxRate);
+        } catch (error) {
+            return res.status(400).json({ success: false, code: error.code, message: error.message });
+        }
         const quantityInput = req.body.quantity;
         const quantityValue = quantityInput === undefined || quantityInput === null || quantityInput === ''
             ? null
@@ -243,6 +231,7 @@ router.put('/:id', handleProductUpload, productValidation, async (req, res) => {
                 where: { id: parseInt(id) },
                 include: {
                     stockMovements: {
+                        where: await stockMovementWhere(tx, req.branchId),
                         select: { type: true, quantity: true }
                     }
                 }
@@ -261,13 +250,7 @@ router.put('/:id', handleProductUpload, productValidation, async (req, res) => {
             }
 
             if (quantityValue !== null) {
-                let currentStock = 0;
-                product.stockMovements.forEach((m) => {
-                    if (m.type === 'IN') currentStock += m.quantity;
-                    else if (m.type === 'OUT') currentStock -= m.quantity;
-                    else if (m.type === 'ADJUST') currentStock += m.quantity;
-                });
-
+                const currentStock = stockLevel(product.stockMovements);
                 const delta = quantityValue - currentStock;
                 if (delta !== 0) {
                     await tx.stockMovement.create({
@@ -277,7 +260,8 @@ router.put('/:id', handleProductUpload, productValidation, async (req, res) => {
                             quantity: Math.abs(delta),
                             reason: 'Manual Update',
                             notes: `Set stock to ${quantityValue}`,
-                            employeeId: req.user.id
+                            employeeId: req.user.id,
+                            branchId: req.branchId
                         }
                     });
                 }
@@ -289,6 +273,7 @@ router.put('/:id', handleProductUpload, productValidation, async (req, res) => {
                     name,
                     description,
                     salePrice: salePriceValue,
+                    ...(taxRate !== undefined && { taxRate }),
                     sku: sku || null,
                     isActive: isActive === 'true' || isActive === true,
                     imageUrl
@@ -330,7 +315,8 @@ router.post('/:id/stock', restockValidation, async (req, res) => {
             reason: reason || 'Manual Update',
             notes,
             unitCost: unitCost ? parseFloat(unitCost) : null,
-            employeeId: req.user.id
+            employeeId: req.user.id,
+            branchId: req.branchId
         };
 
         // If active shift, link it? Restocking might not be shift bound, but good for audit.
@@ -350,6 +336,34 @@ router.post('/:id/stock', restockValidation, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/products/:id/transfer
+ * Move stock between branches (body: fromBranchId, toBranchId, quantity, notes)
+ */
+router.post('/:id/transfer', async (req, res) => {
+    try {
+        const { branchId: fromBranchId } = await resolveBranchScope(req.prisma, req.user, req.body.fromBranchId);
+        const { branchId: toBranchId } = await resolveBranchScope(req.prisma, req.user, req.body.toBranchId);
+
+        const movements = await transferStock(req.prisma, {
+            productId: parseInt(req.params.id, 10),
+            fromBranchId,
+            toBranchId,
+            quantity: req.body.quantity,
+            employeeId: req.user.id,
+            notes: req.body.notes || null
+        });
+
+        res.json({ success: true, data: movements });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+        }
+        console.error('Stock transfer error:', error);
+        res.status(500).json({ success: false, message: 'Failed to transfer stock' });
+    }
+});
+
 /**
  * GET /api/products/movements
  * Global stock movements report
@@ -357,6 +371,7 @@ router.post('/:id/stock', restockValidation, async (req, res) => {
 router.get('/movements/all', async (req, res) => {
     try {
         const movements = await req.prisma.stockMovement.findMany({
+            where: await stockMovementWhere(req.prisma, req.branchScope),
             take: 100,
             orderBy: { createdAt: 'desc' },
             include: {
@@ -0,0 +1,173 @@
+/**
+ * ============================================
+ * PROMOTION ROUTES
+ * ============================================
+ *
+ * Discount codes and automatic discount rules applied when a
+ * subscription is sold, plus a price quote for the sale form.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission, requireAnyPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { clampMoney } = require('../utils/money');
+const promotionService = require('../services/promotionService');
+const { getTaxSettings, resolveTaxRate, priceWithTax, taxIncluded } = require('../services/taxService');
+
+router.use(authenticate);
+
+const sendServiceError = (res, error, fallbackMessage) => {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message
+        });
+    }
+    if (error.code === 'P2002') {
+        return res.status(409).json({
+            success: false,
+            code: 'PROMOTION_CODE_TAKEN',
+            message: 'Another promotion already uses this code'
+        });
+    }
+    console.error(`[PROMOTIONS] ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * GET /api/promotions
+ * All promotions with their redemption counts
+ */
+router.get('/', requireAnyPermission(PERMISSIONS.PLANS_VIEW, PERMISSIONS.SUBSCRIPTIONS_CREATE), async (req, res) => {
+    try {
+        const promotions = await req.prisma.promotion.findMany({
+            orderBy: [{ isActive: 'desc' }, { createdAt: 'desc' }]
+        });
+
+        res.json({
+            success: true,
+            data: promotions.map(promotionService.serializePromotion)
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch promotions');
+    }
+});
+
+/**
+ * POST /api/promotions/quote
+ * Body: { memberId, planId, price, discount, code }
+ * The promotion a sale would get, without redeeming it. The total
+ * includes tax the same way the sale will charge it.
+ */
+router.post('/quote', requirePermission(PERMISSIONS.SUBSCRIPTIONS_CREATE), async (req, res) => {
+    try {
+        const member = await req.prisma.member.findUnique({ where: { id: parseInt(req.body.memberId) || 0 } });
+        if (!member) return res.status(404).json({ success: false, message: 'Member not found' });
+
+        const plan = await req.prisma.subscriptionPlan.findUnique({ where: { id: parseInt(req.body.planId) || 0 } });
+        if (!plan) return res.status(404).json({ success: false, message: 'Subscription plan not found' });
+
+        const rawPrice = req.body.price;
+        const basePrice = rawPrice !== undefined && rawPrice !== null && rawPrice !== '' ? parseFloat(rawPrice) : plan.price;
+        const price = clampMoney(basePrice - (parseFloat(req.body.discount) || 0));
+
+        const applied = await promotionService.resolvePromotion(req.prisma, {
+            member,
+            planId: plan.id,
+            price,
+            code: req.body.code
+        });
+
+        const taxSettings = await getTaxSettings(req.prisma);
+        const taxRate = resolveTaxRate(taxSettings, plan.taxRate);
+        const total = priceWithTax(clampMoney(price - (applied ? applied.discount : 0)), taxRate, taxSettings.inclusive);
+
+        res.json({
+            success: true,
+            data: {
+                price,
+                discount: applied ? applied.discount : 0,
+                taxRate,
+                tax: taxIncluded(total, taxRate),
+                total,
+                promotion: applied ? promotionService.serializePromotion(applied.promotion) : null
+            }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to check promotion');
+    }
+});
+
+/**
+ * POST /api/promotions
+ * Body: { name, code | ruleType, ruleConfig, discountType, discountValue, maxDiscount,
+ *         planIds, validFrom, validUntil, maxUses, maxUsesPerMember, isActive }
+ */
+router.post('/', requirePermission(PERMISSIONS.PLANS_MANAGE), async (req, res) => {
+    try {
+        const data = promotionService.buildPromotionData(req.body);
+        const promotion = await req.prisma.promotion.create({
+            data: { ...data, createdBy: req.user.id }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Promotion created',
+            data: promotionService.serializePromotion(promotion)
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create promotion');
+    }
+});
+
+/**
+ * PUT /api/promotions/:id
+ */
+router.put('/:id', requirePermission(PERMISSIONS.PLANS_MANAGE), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const existing = await req.prisma.promotion.findUnique({ where: { id } });
+        if (!existing) return res.status(404).json({ success: false, message: 'Promotion not found' });
+
+        const data = promotionService.buildPromotionData(req.body, existing);
+        const promotion = await req.prisma.promotion.update({ where: { id }, data });
+
+        res.json({
+            success: true,
+            message: 'Promotion updated',
+            data: promotionService.serializePromotion(promotion)
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update promotion');
+    }
+});
+
+/**
+ * DELETE /api/promotions/:id
+ * A promotion that was already used is deactivated instead, so the report keeps it.
+ */
+router.delete('/:id', requirePermission(PERMISSIONS.PLANS_MANAGE), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const existing = await req.prisma.promotion.findUnique({ where: { id } });
+        if (!existing) return res.status(404).json({ success: false, message: 'Promotion not found' });
+
+        const redemptions = await req.prisma.promotionRedemption.count({ where: { promotionId: id } });
+        if (redemptions > 0) {
+            await req.prisma.promotion.update({ where: { id }, data: { isActive: false } });
+            return res.json({ success: true, message: 'Promotion deactivated' });
+        }
+
+        await req.prisma.promotion.delete({ where: { id } });
+        res.json({ success: true, message: 'Promotion deleted' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete promotion');
+    }
+});
+
+module.exports = router;
@@ -14,6 +14,9 @@ const { PERMISSIONS } = require('../utils/permissions');
 const { parseDateRange } = require('../utils/dateParams');
 const { createReceipt, buildTransactionId, parseReceiptJson } = require('../services/receiptService');
 const { addTableSheet, buildColumnsFromRows, createWorkbook, sendWorkbook } = require('../services/excelExportService');
+const { getTaxSettings, buildReceiptTax } = require('../services/taxService');
+const { buildReceiptTenders } = require('../services/tenderService');
+const { roundMoney } = require('../utils/money');
 
 router.use(authenticate);
 
@@ -34,8 +37,9 @@ const normalizeReceipt = (receipt) => {
     return parsed;
 };
 
-const buildPaymentReceiptInput = (payment, member, subscription, plan, staffName) => {
+const buildPaymentReceiptInput = (payment, member, subscription, plan, staffName, taxSettings) => {
     const totalPrice = subscription?.price ?? plan?.price ?? payment.amount;
+    const receiptTax = buildReceiptTax(taxSettings, [{ amount: totalPrice, rate: payment.taxRate }]);
     const paidNow = Number(payment.amount || 0);
     const paidToDate = Number.isFinite(Number(subscription?.paidAmount)) ? Number(subscription.paidAmount) : paidNow;
     const remaining = Number.isFinite(Number(subscription?.remainingAmount)) ? Number(subscription.remainingAmount) : 0;
@@ -74,11 +78,12 @@ const buildPaymentReceiptInput = (payment, member, subscription, plan, staffName
         staffName,
         items,
         totals: {
-            subtotal: totalPrice,
+            subtotal: roundMoney(totalPrice - receiptTax.tax),
             discount: subscription?.discount || 0,
-            tax: 0,
+            ...receiptTax,
             total: totalPrice,
             paid: paidNow,
+            ...buildReceiptTenders(payment),
             paidToDate,
             remaining,
             change: 0
@@ -130,7 +135,8 @@ router.post('/from-transaction', requirePermission(PERMISSIONS.PAYMENTS_VIEW), a
                 },
                 creator: {
                     select: { id: true, firstName: true, lastName: true }
-                }
+                },
+                tenders: true
             }
         });
 
@@ -148,7 +154,8 @@ router.post('/from-transaction', requirePermission(PERMISSIONS.PAYMENTS_VIEW), a
                 payment.member,
                 payment.subscription,
                 payment.subscription?.plan,
-                staffName
+                staffName,
+                await getTaxSettings(req.prisma)
             ));
         } catch (receiptErr) {
             if (receiptErr?.code === 'RECEIPTS_NOT_READY') {
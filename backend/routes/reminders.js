@@ -10,7 +10,10 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, requirePermission } = require('../middleware/auth');
 const reminderService = require('../services/reminderService');
+const reminderDeliveryService = require('../services/reminderDeliveryService');
+const reminderChannels = require('../services/reminderChannels');
 const { calculateMemberFinancials } = require('../utils/financialCalculations');
+const { CURRENT_STATUSES } = require('../services/subscriptionLifecycleService');
 
 // All routes require authentication
 router.use(authenticate);
@@ -22,6 +25,9 @@ const PERMISSIONS = {
     REMINDERS_SETTINGS: 'reminders.settings'
 };
 
+// Delivery errors caused by configuration/data rather than the provider
+const CONFIG_ERROR_CODES = ['CHANNEL_DISABLED', 'CHANNEL_NOT_CONFIGURED', 'UNKNOWN_PROVIDER', 'INVALID_CHANNEL', 'NO_RECIPIENT', 'INVALID_RECIPIENT', 'FEATURE_DISABLED'];
+
 /**
  * POST /api/reminders/ensure-daily
  * Run daily reminder generation once per day
@@ -29,41 +35,11 @@ const PERMISSIONS = {
  */
 router.post('/ensure-daily', async (req, res) => {
     try {
-        const todayKey = new Date().toISOString().split('T')[0];
-
-        const lastRunSetting = await req.prisma.setting.findUnique({
-            where: { key: 'reminders_last_run_date' }
-        });
-
-        if (lastRunSetting?.value === todayKey) {
-            return res.json({
-                success: true,
-                data: { ran: false, lastRun: lastRunSetting.value }
-            });
-        }
-
-        const [gymNameSetting, dueSoonDaysSetting] = await Promise.all([
-            req.prisma.setting.findUnique({ where: { key: 'gym_name' } }),
-            req.prisma.setting.findUnique({ where: { key: 'due_soon_days' } })
-        ]);
-        const gymName = gymNameSetting?.value || 'Gym';
-        const dueSoonDays = parseInt(dueSoonDaysSetting?.value || 3);
-
-        const results = await reminderService.runDailyReminderJob(gymName, dueSoonDays);
-
-        await req.prisma.setting.upsert({
-            where: { key: 'reminders_last_run_date' },
-            update: { value: todayKey, type: 'string', group: 'system' },
-            create: { key: 'reminders_last_run_date', value: todayKey, type: 'string', group: 'system' }
-        });
+        const data = await reminderService.ensureDailyReminders();
 
         res.json({
             success: true,
-            data: {
-                ran: true,
-                lastRun: todayKey,
-                results
-            }
+            data
         });
     } catch (error) {
         console.error('[REMINDERS] Ensure daily error:', error);
@@ -258,12 +234,12 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /api/reminders/:id/send
- * Manually send a reminder
+ * Send a reminder through its channel provider (SMS, WhatsApp, email or in-app)
  */
 router.post('/:id/send', async (req, res) => {
     try {
         const reminderId = parseInt(req.params.id);
-        const { channel = 'IN_APP' } = req.body;
+        const { channel } = req.body;
 
         const reminder = await req.prisma.reminder.findUnique({
             where: { id: reminderId },
@@ -279,15 +255,14 @@ router.post('/:id/send', async (req, res) => {
             });
         }
 
-        // For now, just mark as sent (SMS integration would go here)
-        const updated = await req.prisma.reminder.update({
-            where: { id: reminderId },
-            data: {
-                status: 'SENT',
-                sentAt: new Date(),
-                channel
-            }
-        });
+        if (reminder.status === 'CANCELLED') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cancelled reminders cannot be sent'
+            });
+        }
+
+        const outcome = await reminderDeliveryService.deliverReminder(req.prisma, reminderId, { channel });
 
         // Log activity
         await req.prisma.activityLog.create({
@@ -297,19 +272,43 @@ router.post('/:id/send', async (req, res) => {
                 entityType: 'Reminder',
                 entityId: reminderId,
                 details: JSON.stringify({
-                    channel,
+                    channel: outcome.reminder.channel,
+                    status: outcome.reminder.status,
+                    errorCode: outcome.ok ? null : outcome.result?.errorCode || null,
                     memberName: `${reminder.member.firstName} ${reminder.member.lastName}`
                 })
             }
         });
 
+        if (!outcome.ok && !outcome.skipped) {
+            const isConfigError = CONFIG_ERROR_CODES.includes(outcome.result?.errorCode);
+            return res.status(isConfigError ? 400 : 502).json({
+                success: false,
+                code: outcome.result?.errorCode,
+                message: outcome.retryScheduled
+                    ? 'Delivery failed, a retry has been scheduled'
+                    : (outcome.result?.errorMessage || 'Failed to deliver reminder'),
+                data: {
+                    reminder: outcome.reminder,
+                    retryScheduled: outcome.retryScheduled
+                }
+            });
+        }
+
         res.json({
             success: true,
             message: 'Reminder sent successfully',
-            data: updated
+            data: outcome.reminder
         });
 
     } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
         console.error('[REMINDERS] Send error:', error);
         res.status(500).json({
             success: false,
@@ -320,11 +319,11 @@ router.post('/:id/send', async (req, res) => {
 
 /**
  * POST /api/reminders/bulk-send
- * Send multiple reminders
+ * Send multiple pending reminders
  */
 router.post('/bulk-send', async (req, res) => {
     try {
-        const { reminderIds, channel = 'IN_APP' } = req.body;
+        const { reminderIds, channel } = req.body;
 
         if (!reminderIds || !Array.isArray(reminderIds) || reminderIds.length === 0) {
             return res.status(400).json({
@@ -333,22 +332,32 @@ router.post('/bulk-send', async (req, res) => {
             });
         }
 
-        const updated = await req.prisma.reminder.updateMany({
+        if (channel && !reminderChannels.normalizeChannel(channel)) {
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_CHANNEL',
+                message: `Unsupported channel: ${channel}`
+            });
+        }
+
+        const pending = await req.prisma.reminder.findMany({
             where: {
                 id: { in: reminderIds.map(id => parseInt(id)) },
                 status: 'PENDING'
             },
-            data: {
-                status: 'SENT',
-                sentAt: new Date(),
-                channel
-            }
+            select: { id: true }
         });
 
+        const summary = await reminderDeliveryService.deliverReminders(
+            req.prisma,
+            pending.map((row) => row.id),
+            { channel }
+        );
+
         res.json({
             success: true,
-            message: `${updated.count} reminders sent`,
-            data: { count: updated.count }
+            message: `${summary.sent} reminders sent`,
+            data: { count: summary.sent, ...summary }
         });
 
     } catch (error) {
@@ -360,6 +369,154 @@ router.post('/bulk-send', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/reminders/process-retries
+ * Retry failed deliveries whose backoff has elapsed (admin only, also run by the scanner)
+ */
+router.post('/process-retries', async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin access required'
+            });
+        }
+
+        const summary = await reminderDeliveryService.processDueRetries(req.prisma);
+
+        res.json({
+            success: true,
+            data: summary
+        });
+
+    } catch (error) {
+        console.error('[REMINDERS] Process retries error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process reminder retries'
+        });
+    }
+});
+
+/**
+ * GET /api/reminders/channels
+ * Channel provider configuration (secrets masked)
+ */
+router.get('/channels', async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin access required'
+            });
+        }
+
+        const configs = {};
+        for (const channel of Object.keys(reminderChannels.CHANNEL_SETTING_KEYS)) {
+            configs[channel] = reminderChannels.maskChannelConfig(
+                await reminderChannels.loadChannelConfig(req.prisma, channel)
+            );
+        }
+        const retryPolicy = await reminderDeliveryService.getRetryPolicy(req.prisma);
+
+        res.json({
+            success: true,
+            data: {
+                channels: configs,
+                providers: reminderChannels.getProviderNames(),
+                retryPolicy
+            }
+        });
+
+    } catch (error) {
+        console.error('[REMINDERS] Channels config error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch channel configuration'
+        });
+    }
+});
+
+/**
+ * PUT /api/reminders/channels/:channel
+ * Update a channel provider configuration (SMS, WHATSAPP, EMAIL)
+ */
+router.put('/channels/:channel', async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin access required'
+            });
+        }
+
+        const saved = await reminderChannels.saveChannelConfig(req.prisma, req.params.channel, req.body || {});
+
+        res.json({
+            success: true,
+            message: 'Channel configuration saved',
+            data: reminderChannels.maskChannelConfig(saved)
+        });
+
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('[REMINDERS] Save channel config error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save channel configuration'
+        });
+    }
+});
+
+/**
+ * POST /api/reminders/channels/:channel/test
+ * Send a test message through a channel without creating a reminder
+ */
+router.post('/channels/:channel/test', async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin access required'
+            });
+        }
+
+        const { to, message } = req.body;
+        if (!to) {
+            return res.status(400).json({
+                success: false,
+                message: 'Recipient (to) is required'
+            });
+        }
+
+        const resolved = await reminderChannels.resolveChannelProvider(req.prisma, req.params.channel);
+        const result = resolved.error || await resolved.provider.send({
+            to,
+            message: message || 'Test message',
+            subject: 'Test message'
+        });
+
+        res.status(result.ok ? 200 : 400).json({
+            success: result.ok,
+            code: result.ok ? undefined : result.errorCode,
+            message: result.ok ? 'Test message sent' : (result.errorMessage || 'Test message failed'),
+            data: result
+        });
+
+    } catch (error) {
+        console.error('[REMINDERS] Channel test error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send test message'
+        });
+    }
+});
+
 /**
  * POST /api/reminders/generate
  * Manually trigger reminder generation (admin only)
@@ -524,7 +681,7 @@ router.post('/send-now', async (req, res) => {
             where: { id: parseInt(memberId) },
             include: {
                 subscriptions: {
-                    where: { status: 'active' },
+                    where: { status: { in: CURRENT_STATUSES } },
                     include: {
                         plan: true,
                         payments: true
@@ -8,12 +8,24 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
 const { calculateSubscriptionFinancials,
     getOutstandingSubscriptions,
     calculateNetRevenue
 } = require('../utils/financialCalculations');
 const { parseDateRange } = require('../utils/dateParams');
+const { resolveBranch } = require('../middleware/branch');
+const { requireFeature, FEATURES } = require('../middleware/featureGate');
+const { branchWhere, shiftBranchWhere, memberBranchWhere, getBranchComparison } = require('../services/branchService');
+const { buildProfitAndLoss } = require('../services/expenseService');
+const { buildFunnelReport } = require('../services/leadService');
+const { buildNoShowReport } = require('../services/appointmentPolicyService');
+const { buildActiveCredentialsReport } = require('../services/credentialService');
+const { buildInstallmentReport } = require('../services/installmentService');
+const { buildPromotionReport } = require('../services/promotionService');
+const { buildTaxReport } = require('../services/taxService');
+const { CURRENT_STATUSES } = require('../services/subscriptionLifecycleService');
 const {
     addTableSheet,
     buildColumnsFromRows,
@@ -69,6 +81,8 @@ router.use((req, res, next) => {
     res.set('ETag', '');
     next();
 });
+// Reports accept ?branchId= (staff restricted to branches only see theirs)
+router.use(resolveBranch);
 
 
 /**
@@ -90,7 +104,8 @@ router.get('/revenue', async (req, res) => {
                 where: {
                     paidAt: { gte: startDate, lte: endDate },
                     status: { in: ['completed', 'refunded', 'Partial Refund'] },
-                    createdBy: parseInt(collectorId)
+                    createdBy: parseInt(collectorId),
+                    ...branchWhere(req.branchScope)
                 },
                 select: { amount: true, refundedTotal: true } // refundedTotal might be partial
             });
@@ -116,7 +131,7 @@ router.get('/revenue', async (req, res) => {
         }
 
         // Global Revenue
-        const stats = await calculateNetRevenue(req.prisma, startDate, endDate);
+        const stats = await calculateNetRevenue(req.prisma, startDate, endDate, req.branchScope);
 
         if (req.query.format === 'excel') {
             return sendExcelResponse(res, [stats].map((s) => ({
@@ -152,6 +167,335 @@ router.get('/revenue', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/reports/profit-loss
+ * Revenue (payments - refunds + POS sales) against expenses, by month and category
+ */
+router.get('/profit-loss', requirePermission(PERMISSIONS.EXPENSES_VIEW), async (req, res) => {
+    try {
+        const { from, to, startDate: startDateParam, endDate: endDateParam } = req.query;
+        const { startDate, endDate, error } = parseDateRange(from || startDateParam, to || endDateParam);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const report = await buildProfitAndLoss(req.prisma, {
+            startDate,
+            endDate,
+            branchScope: req.branchScope
+        });
+
+        if (req.query.format === 'excel') {
+            return sendExcelResponse(res, report.months.map((month) => ({
+                Month: month.month,
+                Payments: month.payments,
+                Refunds: month.refunds,
+                POS_Sales: month.sales,
+                Revenue: month.revenue,
+                Expenses: month.expenses,
+                Profit: month.profit
+            })), `profit-loss-${toDateStamp()}.xlsx`, {
+                sheetName: 'Profit & Loss',
+                title: 'Profit & Loss',
+                subtitle: `${toDateStamp(startDate)} to ${toDateStamp(endDate)}`
+            });
+        }
+
+        res.json({ success: true, data: report });
+    } catch (error) {
+        console.error('[REPORTS] Profit & loss error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate profit & loss report' });
+    }
+});
+
+/**
+ * GET /api/reports/lead-funnel
+ * Conversion funnel of leads created in the range, by source and by assigned staff
+ */
+router.get('/lead-funnel', requirePermission(PERMISSIONS.LEADS_VIEW), async (req, res) => {
+    try {
+        const { from, to, startDate: startDateParam, endDate: endDateParam } = req.query;
+        const { startDate, endDate, error } = parseDateRange(from || startDateParam, to || endDateParam);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const report = await buildFunnelReport(req.prisma, {
+            startDate,
+            endDate,
+            branchScope: req.branchScope
+        });
+
+        if (req.query.format === 'excel') {
+            const toRow = (label, funnel) => ({
+                Group: label,
+                Leads: funnel.total,
+                Contacted: funnel.contacted,
+                Trial_Booked: funnel.trialBooked,
+                Trial_Attended: funnel.trialAttended,
+                Converted: funnel.converted,
+                Lost: funnel.lost,
+                Open: funnel.open,
+                Conversion_Rate: funnel.conversionRate
+            });
+            return sendExcelResponse(res, [
+                toRow('All leads', report.summary),
+                ...report.bySource.map((row) => toRow(`Source: ${row.source}`, row)),
+                ...report.byStaff.map((row) => toRow(`Staff: ${row.name || 'Unassigned'}`, row))
+            ], `lead-funnel-${toDateStamp()}.xlsx`, {
+                sheetName: 'Lead Funnel',
+                title: 'Lead Conversion Funnel',
+                subtitle: `${toDateStamp(startDate)} to ${toDateStamp(endDate)}`
+            });
+        }
+
+        res.json({ success: true, data: report });
+    } catch (error) {
+        console.error('[REPORTS] Lead funnel error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate lead funnel report' });
+    }
+});
+
+/**
+ * GET /api/reports/no-shows
+ * No-shows and late cancellations of appointments in the range, per member and per coach (query: coachId)
+ */
+router.get('/no-shows', requirePermission(PERMISSIONS.APPOINTMENTS_VIEW), async (req, res) => {
+    try {
+        const { from, to, startDate: startDateParam, endDate: endDateParam } = req.query;
+        const { startDate, endDate, error } = parseDateRange(from || startDateParam, to || endDateParam);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const report = await buildNoShowReport(req.prisma, {
+            startDate,
+            endDate,
+            coachId: req.query.coachId || null,
+            branchScope: req.branchScope
+        });
+
+        if (req.query.format === 'excel') {
+            const toRow = (label, row) => ({
+                Group: label,
+                Appointments: row.appointments,
+                No_Shows: row.noShows,
+                Late_Cancellations: row.lateCancels,
+                No_Show_Rate: row.noShowRate,
+                Fees_Charged: row.feesCharged,
+                Fees_Waived: row.feesWaived,
+                Outstanding: row.outstanding,
+                Sessions_Forfeited: row.sessionsForfeited,
+                Coach_Compensation: row.coachCompensation
+            });
+            return sendExcelResponse(res, [
+                toRow('All appointments', report.summary),
+                ...report.byMember.map((row) => toRow(`Member: ${row.name} (${row.memberCode})`, row)),
+                ...report.byCoach.map((row) => toRow(`Coach: ${row.name}`, row))
+            ], `no-shows-${toDateStamp()}.xlsx`, {
+                sheetName: 'No-Shows',
+                title: 'No-Shows & Late Cancellations',
+                subtitle: `${toDateStamp(startDate)} to ${toDateStamp(endDate)}`
+            });
+        }
+
+        res.json({ success: true, data: report });
+    } catch (error) {
+        console.error('[REPORTS] No-show report error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate no-show report' });
+    }
+});
+
+/**
+ * GET /api/reports/credentials
+ * Active member cards / fobs with totals by type (query: type)
+ */
+router.get('/credentials', requirePermission(PERMISSIONS.MEMBERS_VIEW), async (req, res) => {
+    try {
+        const report = await buildActiveCredentialsReport(req.prisma, {
+            type: req.query.type ? String(req.query.type) : undefined,
+            branchScope: req.branchScope
+        });
+
+        if (req.query.format === 'excel') {
+            return sendExcelResponse(res, report.credentials.map((row) => ({
+                UID: row.uid,
+                Type: row.type,
+                Issued_At: toDateStamp(row.issuedAt),
+                Member_Code: row.memberCode,
+                Member: row.memberName,
+                Phone: row.phone,
+                Member_Active: row.memberActive ? 'Yes' : 'No'
+            })), `active-credentials-${toDateStamp()}.xlsx`, {
+                sheetName: 'Credentials',
+                title: 'Active Member Credentials',
+                subtitle: `${report.summary.total} active`
+            });
+        }
+
+        res.json({ success: true, data: report });
+    } catch (error) {
+        console.error('[REPORTS] Credentials report error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate credentials report' });
+    }
+});
+
+/**
+ * GET /api/reports/installments
+ * Overdue installments and those due within the next `days` (default 30)
+ */
+router.get('/installments', async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+        const report = await buildInstallmentReport(req.prisma, { days, branchScope: req.branchScope });
+
+        if (req.query.format === 'excel') {
+            return sendExcelResponse(res, [...report.overdue, ...report.upcoming].map((row) => ({
+                Due_Date: toDateStamp(row.dueDate),
+                Status: row.status,
+                Days_Overdue: row.daysOverdue,
+                Member_Code: row.memberCode,
+                Member: row.memberName,
+                Phone: row.phone,
+                Plan: row.planName,
+                Installment: row.sequence,
+                Amount: row.amount,
+                Paid: row.paidAmount,
+                Remaining: row.remainingAmount
+            })), `installments-${toDateStamp()}.xlsx`, {
+                sheetName: 'Installments',
+                title: 'Upcoming & Overdue Installments',
+                subtitle: `${report.summary.overdueCount} overdue, ${report.summary.upcomingCount} due in ${days} days`
+            });
+        }
+
+        res.json({ success: true, data: report });
+    } catch (error) {
+        console.error('[REPORTS] Installments report error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate installments report' });
+    }
+});
+
+/**
+ * GET /api/reports/promotions
+ * Discount given away per promotion code / rule and referral credit paid out
+ */
+router.get('/promotions', requirePermission(PERMISSIONS.REPORTS_VIEW_FINANCIALS), async (req, res) => {
+    try {
+        const { from, to, startDate: startDateParam, endDate: endDateParam } = req.query;
+        const { startDate, endDate, error } = parseDateRange(from || startDateParam, to || endDateParam);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const report = await buildPromotionReport(req.prisma, { startDate, endDate, branchScope: req.branchScope });
+
+        if (req.query.format === 'excel') {
+            return sendExcelResponse(res, report.promotions.map((row) => ({
+                Promotion: row.name,
+                Code: row.code || '',
+                Rule: row.ruleType || '',
+                Redemptions: row.redemptions,
+                Gross_Amount: row.grossAmount,
+                Discount_Given: row.discountTotal,
+                Net_Revenue: row.netRevenue
+            })), `promotions-${toDateStamp()}.xlsx`, {
+                sheetName: 'Promotions',
+                title: 'Promotions Report',
+                subtitle: `${toDateStamp(startDate)} to ${toDateStamp(endDate)}`
+            });
+        }
+
+        res.json({ success: true, data: { startDate, endDate, ...report } });
+    } catch (error) {
+        console.error('[REPORTS] Promotions report error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate promotions report' });
+    }
+});
+
+/**
+ * GET /api/reports/tax
+ * Tax collected in the period (cash basis), per rate and per source, for filing
+ */
+router.get('/tax', requirePermission(PERMISSIONS.REPORTS_VIEW_FINANCIALS), async (req, res) => {
+    try {
+        const { from, to, startDate: startDateParam, endDate: endDateParam } = req.query;
+        const { startDate, endDate, error } = parseDateRange(from || startDateParam, to || endDateParam);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const report = await buildTaxReport(req.prisma, { startDate, endDate, branchScope: req.branchScope });
+
+        if (req.query.format === 'excel') {
+            const toRow = (label, row) => ({
+                Breakdown: label,
+                Gross_Amount: row.grossAmount,
+                Taxable_Amount: row.taxableAmount,
+                Tax_Amount: row.taxAmount
+            });
+            return sendExcelResponse(res, [
+                ...report.rates.map((row) => toRow(`${report.taxName} ${row.rate}%`, row)),
+                ...report.sources.map((row) => toRow(`Source: ${row.source}`, row)),
+                toRow('Total', report.summary)
+            ], `tax-${toDateStamp()}.xlsx`, {
+                sheetName: 'Tax',
+                title: `${report.taxName} Summary`,
+                subtitle: [
+                    `${toDateStamp(startDate)} to ${toDateStamp(endDate)}`,
+                    report.registrationNumber ? `Registration No. ${report.registrationNumber}` : null
+                ].filter(Boolean).join(' - ')
+            });
+        }
+
+        res.json({ success: true, data: { startDate, endDate, ...report } });
+    } catch (error) {
+        console.error('[REPORTS] Tax report error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate tax report' });
+    }
+});
+
+/**
+ * GET /api/reports/branch-comparison
+ * Revenue, refunds, check-ins, POS sales and completed sessions side by side per branch
+ */
+router.get('/branch-comparison', requireFeature(FEATURES.MULTI_BRANCH), async (req, res) => {
+    try {
+        const { from, to, startDate: startDateParam, endDate: endDateParam } = req.query;
+        const { startDate, endDate, error } = parseDateRange(from || startDateParam, to || endDateParam);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const rows = await getBranchComparison(req.prisma, { startDate, endDate, scope: req.branchScope });
+
+        if (req.query.format === 'excel') {
+            return sendExcelResponse(res, rows.map((row) => ({
+                Branch: row.branchName,
+                Gross_Revenue: row.grossRevenue,
+                Refunds: row.refunds,
+                Net_Revenue: row.netRevenue,
+                Payments: row.paymentCount,
+                Check_Ins: row.checkIns,
+                POS_Sales: row.salesTotal,
+                Completed_Sessions: row.completedSessions
+            })), `branch-comparison-${toDateStamp()}.xlsx`, {
+                sheetName: 'Branches',
+                title: 'Branch Comparison',
+                subtitle: `${toDateStamp(startDate)} to ${toDateStamp(endDate)}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { rows }
+        });
+    } catch (error) {
+        console.error('[REPORTS] Branch comparison error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate branch comparison' });
+    }
+});
+
 /**
  * GET /api/reports/paymentRemaining
  * Alias for /payment-remaining to fix frontend mismatch
@@ -168,7 +512,8 @@ const handlePaymentRemaining = async (req, res) => {
 
         // Build where clause
         const where = {
-            status: { in: ['active', 'expired'] }
+            status: { in: [...CURRENT_STATUSES, 'expired'] },
+            ...memberBranchWhere(req.branchScope)
         };
 
         if (from && to) {
@@ -418,7 +763,8 @@ router.get('/settled-payments', async (req, res) => {
             paidAt: { gte: startDate, lte: endDate },
             amount: { gt: 0 },
             subscriptionId: { not: null },
-            status: { in: ['completed', 'COMPLETED', 'paid', 'PAID'] }
+            status: { in: ['completed', 'COMPLETED', 'paid', 'PAID'] },
+            ...branchWhere(req.branchScope)
         };
 
         if (normalizedMethod && normalizedMethod !== 'all') {
@@ -722,7 +1068,7 @@ router.get('/refunds', async (req, res) => {
 
         // Fetch refunds
         const refunds = await req.prisma.refund.findMany({
-            where,
+            where: { ...where, ...shiftBranchWhere(req.branchScope) },
             include: {
                 payment: {
                     include: {
@@ -758,7 +1104,8 @@ router.get('/refunds', async (req, res) => {
 
         // Also include legacy refund entries stored as negative payments
         const paymentWhere = {
-            amount: { lt: 0 }
+            amount: { lt: 0 },
+            ...branchWhere(req.branchScope)
         };
         if (startDate && endDate) {
             paymentWhere.paidAt = {
@@ -995,7 +1342,8 @@ router.get('/payments/summary', async (req, res) => {
             OR: [
                 { paidAt: dateRange },
                 { createdAt: dateRange }
-            ]
+            ],
+            ...branchWhere(req.branchScope)
         };
 
         if (employeeId && employeeId !== 'all') {
@@ -1105,6 +1453,7 @@ router.get('/payments/transactions', async (req, res) => {
             AND: [
                 { status: { in: statusFilter } },
                 { amount: { gt: 0 } },
+                branchWhere(req.branchScope),
                 {
                     OR: [
                         { paidAt: dateRange },
@@ -1301,7 +1650,8 @@ router.get('/members', async (req, res) => {
             joinDate: {
                 gte: start,
                 lte: end
-            }
+            },
+            ...branchWhere(req.branchScope, 'homeBranchId')
         };
 
         if (search) {
@@ -1317,7 +1667,7 @@ router.get('/members', async (req, res) => {
             where,
             include: {
                 subscriptions: {
-                    where: { status: 'active' },
+                    where: { status: { in: CURRENT_STATUSES } },
                     take: 1,
                     include: { plan: true }
                 }
@@ -1378,7 +1728,8 @@ router.get('/attendance', async (req, res) => {
             checkInTime: {
                 gte: start,
                 lte: end
-            }
+            },
+            ...branchWhere(req.branchScope)
         };
         const normalizedType = (visitTypeParam || '').trim().toUpperCase();
         if (normalizedType) {
@@ -1413,7 +1764,7 @@ router.get('/attendance', async (req, res) => {
                         memberId: true,
                         gender: true,
                         subscriptions: {
-                            where: { status: 'active' },
+                            where: { status: { in: CURRENT_STATUSES } },
                             take: 1,
                             include: { plan: { select: { name: true } } }
                         }
@@ -1470,7 +1821,8 @@ router.get('/subscriptions', async (req, res) => {
             startDate: {
                 gte: start,
                 lte: end
-            }
+            },
+            AND: [memberBranchWhere(req.branchScope)]
         };
 
         if (search) {
@@ -1540,7 +1892,8 @@ router.get('/cancellations', async (req, res) => {
                 gte: startDate,
                 lte: endDate
             },
-            status: { in: ['cancelled', 'ended'] }
+            status: { in: ['cancelled', 'ended'] },
+            AND: [memberBranchWhere(req.branchScope)]
         };
 
         if (search) {
@@ -1864,7 +2217,7 @@ router.get('/payInOut', async (req, res) => {
         }
 
         const movements = await req.prisma.cashMovement.findMany({
-            where,
+            where: { ...where, ...shiftBranchWhere(req.branchScope) },
             include: {
                 employee: {
                     select: {
@@ -1960,7 +2313,7 @@ router.get('/employee-collections', async (req, res) => {
         }
 
         const shifts = await req.prisma.pOSShift.findMany({
-            where: shiftWhere,
+            where: { ...shiftWhere, ...branchWhere(req.branchScope) },
             orderBy: { closedAt: 'desc' },
             select: {
                 id: true,
@@ -2200,7 +2553,7 @@ router.get('/sales/detailed', async (req, res) => {
         const { startDate, endDate, error } = parseDateRange(from, to);
         if (error) return res.status(400).json({ success: false, message: error });
 
-        const where = {};
+        const where = branchWhere(req.branchScope);
         if (startDate && endDate) {
             where.createdAt = {
                 gte: startDate,
@@ -2348,6 +2701,10 @@ router.get('/gym-income', async (req, res) => {
             };
         }
 
+        if (req.branchScope) {
+            where.appointment = { ...where.appointment, ...branchWhere(req.branchScope) };
+        }
+
         console.log('[REPORTS] Gym Income Query Config:', JSON.stringify(where, null, 2));
 
         // Fetch Data
@@ -2468,7 +2825,7 @@ router.get('/gym-income-sessions', async (req, res) => {
             };
         }
 
-        const appointmentWhere = { status: { in: ['completed', 'COMPLETED'] } };
+        const appointmentWhere = { status: { in: ['completed', 'COMPLETED'] }, ...branchWhere(req.branchScope) };
 
         const parsedTrainerId = parseInt(trainerId, 10);
         if (trainerId && !Number.isNaN(parsedTrainerId)) {
@@ -2839,6 +3196,7 @@ router.get('/trainer-earnings', async (req, res) => {
             }
         }
 
+        Object.assign(appointmentWhere, branchWhere(req.branchScope));
         if (Object.keys(appointmentWhere).length) {
             where.appointment = appointmentWhere;
         }
@@ -11,6 +11,10 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { authenticate, requireActiveShift } = require('../middleware/auth');
 const { createReceipt, parseReceiptJson } = require('../services/receiptService');
+const { getTaxSettings, resolveTaxRate, priceWithTax, taxIncluded, buildReceiptTax } = require('../services/taxService');
+const { roundMoney } = require('../utils/money');
+const { MIXED_METHOD, parseTenders, tendersTotal, buildReceiptTenders } = require('../services/tenderService');
+const { stockLevel, stockMovementWhere } = require('../services/stockService');
 
 router.use(authenticate);
 
@@ -27,7 +31,7 @@ const saleValidation = [
     body('notes').optional().trim()
 ];
 
-const VALID_PAYMENT_METHODS = ['cash', 'card', 'transfer', 'wallet', 'mixed'];
+const VALID_PAYMENT_METHODS = ['cash', 'card', 'transfer', 'wallet', MIXED_METHOD];
 
 const normalizePaymentMethod = (method) => {
     if (method === undefined || method === null) return '';
@@ -83,6 +87,20 @@ router.post('/', requireActiveShift, saleValidation, async (req, res) => {
             });
         }
 
+        // Mixed payments must say how the money was split
+        let tenders = null;
+        if (normalizedMethod === MIXED_METHOD) {
+            try {
+                tenders = parseTenders(req.body.tenders);
+            } catch (tenderErr) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    fieldErrors: { tenders: tenderErr.message }
+                });
+            }
+        }
+
         const parsedShiftId = parseInt(shiftId, 10);
         const parsedCashierId = parseInt(cashierId, 10);
         if (parsedShiftId !== req.activeShift.id) {
@@ -118,6 +136,8 @@ router.post('/', requireActiveShift, saleValidation, async (req, res) => {
         }
 
         const shiftIdValue = req.activeShift.id;
+        // Sales and their stock movements belong to the shift's branch (stock is tracked per branch)
+        const branchIdValue = req.activeShift.branchId ?? null;
         const employeeId = req.user.id;
         const staffName = `${req.user.firstName} ${req.user.lastName}`;
 
@@ -125,7 +145,10 @@ router.post('/', requireActiveShift, saleValidation, async (req, res) => {
         const result = await req.prisma.$transaction(async (prisma) => {
 
             // 1. Calculate Total & Validate Stock
+            const taxSettings = await getTaxSettings(prisma);
+            const stockWhere = await stockMovementWhere(prisma, branchIdValue);
             let totalAmount = 0;
+            let taxAmount = 0;
             const saleItemsData = [];
             const receiptItems = [];
 
@@ -140,7 +163,9 @@ router.post('/', requireActiveShift, saleValidation, async (req, res) => {
 
                 const product = await prisma.product.findUnique({
                     where: { id: productId },
-                    include: { stockMovements: true } // Need to calc stock? Or trust frontend?
+                    include: {
+                        stockMovements: { where: stockWhere, select: { type: true, quantity: true } }
+                    }
                 });
 
                 if (!product) {
@@ -150,12 +175,7 @@ router.post('/', requireActiveShift, saleValidation, async (req, res) => {
                 }
                 if (!product.isActive) throw new Error(`Product ${product.name} is inactive`);
 
-                // Calc current stock
-                const currentStock = product.stockMovements.reduce((sum, m) => {
-                    return sum + (m.type === 'IN' ? m.quantity :
-                        m.type === 'OUT' ? -m.quantity :
-                            m.quantity); // ADJUST is signed
-                }, 0);
+                const currentStock = stockLevel(product.stockMovements);
 
                 if (currentStock < qty) {
                     throw createBadRequest(`Insufficient stock for ${product.name}. Available: ${currentStock}`, {
@@ -163,14 +183,21 @@ router.post('/', requireActiveShift, saleValidation, async (req, res) => {
                     });
                 }
 
-                const lineTotal = product.salePrice * qty;
-                totalAmount += lineTotal;
+                // Exclusive pricing adds the product's tax on top of the shelf price
+                const linePrice = product.salePrice * qty;
+                const taxRate = resolveTaxRate(taxSettings, product.taxRate);
+                const lineTotal = priceWithTax(linePrice, taxRate, taxSettings.inclusive);
+                const lineTax = taxIncluded(lineTotal, taxRate);
+                totalAmount = roundMoney(totalAmount + lineTotal);
+                taxAmount = roundMoney(taxAmount + lineTax);
 
                 saleItemsData.push({
                     productId: product.id,
                     quantity: qty,
                     unitPrice: product.salePrice, // Lock price at time of sale
-                    lineTotal
+                    lineTotal,
+                    taxRate,
+                    taxAmount: lineTax
                 });
 
                 receiptItems.push({
@@ -178,7 +205,7 @@ router.post('/', requireActiveShift, saleValidation, async (req, res) => {
                     name: product.name,
                     qty,
                     unitPrice: product.salePrice,
-                    lineTotal
+                    lineTotal: linePrice
                 });
             }
 
@@ -194,18 +221,28 @@ router.post('/', requireActiveShift, saleValidation, async (req, res) => {
                 });
             }
 
+            if (tenders && Math.abs(tendersTotal(tenders) - totalAmount) > 0.01) {
+                throw createBadRequest('Tenders do not add up to the total', {
+                    tenders: 'Tenders must add up to the total'
+                });
+            }
+
             // 2. Create Sale Transaction
             const sale = await prisma.saleTransaction.create({
                 data: {
                     shiftId: shiftIdValue,
+                    branchId: branchIdValue,
                     employeeId,
                     paymentMethod: normalizedMethod,
                     totalAmount,
+                    taxAmount,
                     notes,
                     items: {
                         create: saleItemsData
-                    }
-                }
+                    },
+                    ...(tenders && { tenders: { create: tenders } })
+                },
+                ...(tenders && { include: { tenders: true } })
             });
 
             // 3. Create Stock Movements (OUT)
@@ -218,26 +255,34 @@ router.post('/', requireActiveShift, saleValidation, async (req, res) => {
                         quantity: item.quantity,
                         reason: `Sale #${sale.id}`,
                         employeeId,
-                        shiftId: shiftIdValue
+                        shiftId: shiftIdValue,
+                        branchId: branchIdValue
                     }
                 });
             }
 
+            const receiptTax = buildReceiptTax(taxSettings, saleItemsData.map((item) => ({
+                amount: item.lineTotal,
+                rate: item.taxRate
+            })));
+
             const receiptResult = await createReceipt(prisma, {
                 transactionType: 'sale',
                 transactionId: sale.id,
                 paymentMethod: normalizedMethod,
+                branchId: branchIdValue,
                 customerName: null,
                 customerPhone: null,
                 staffId: employeeId,
                 staffName,
                 items: receiptItems,
                 totals: {
-                    subtotal: totalAmount,
+                    subtotal: roundMoney(totalAmount - receiptTax.tax),
                     discount: 0,
-                    tax: 0,
+                    ...receiptTax,
                     total: totalAmount,
                     paid: paidAmount,
+                    ...buildReceiptTenders(sale),
                     remaining: Math.max(totalAmount - paidAmount, 0),
                     change: 0
                 },
@@ -299,7 +344,8 @@ router.get('/', async (req, res) => {
                 items: {
                     include: { product: { select: { name: true } } }
                 },
-                employee: { select: { firstName: true, lastName: true } }
+                employee: { select: { firstName: true, lastName: true } },
+                tenders: true
             },
             orderBy: { createdAt: 'desc' },
             take: 100
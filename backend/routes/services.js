@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const { parseTaxRate } = require('../services/taxService');
+const { parseFeePolicy } = require('../services/appointmentPolicyService');
 
 // GET /api/services
 // Query: type (SESSION|SUBSCRIPTION), active (true|false)
@@ -29,6 +31,8 @@ router.post('/', async (req, res) => {
         const { name, type, defaultPrice, defaultDuration, isActive } = req.body;
 
         if (!name) return res.status(400).json({ success: false, message: 'Name is required' });
+        const taxRate = parseTaxRate(req.body.taxRate);
+        const feePolicy = parseFeePolicy(req.body);
 
         const service = await req.prisma.service.create({
             data: {
@@ -36,12 +40,15 @@ router.post('/', async (req, res) => {
                 type: type || 'SESSION',
                 defaultPrice: parseFloat(defaultPrice || 0),
                 defaultDuration: parseInt(defaultDuration || 60),
+                taxRate: taxRate ?? null,
+                ...feePolicy,
                 isActive: isActive ?? true
             }
         });
 
         res.json({ success: true, data: service });
     } catch (error) {
+        if (error.status === 400) return res.status(400).json({ success: false, code: error.code, message: error.message });
         console.error(error);
         res.status(500).json({ success: false, message: 'Failed to create service' });
     }
@@ -55,6 +62,8 @@ router.put('/:id', async (req, res) => {
 
         if (data.defaultPrice) data.defaultPrice = parseFloat(data.defaultPrice);
         if (data.defaultDuration) data.defaultDuration = parseInt(data.defaultDuration);
+        if (data.taxRate !== undefined) data.taxRate = parseTaxRate(data.taxRate);
+        Object.assign(data, parseFeePolicy(data));
 
         const service = await req.prisma.service.update({
             where: { id: parseInt(id) },
@@ -63,6 +72,7 @@ router.put('/:id', async (req, res) => {
 
         res.json({ success: true, data: service });
     } catch (error) {
+        if (error.status === 400) return res.status(400).json({ success: false, code: error.code, message: error.message });
         console.error(error);
         res.status(500).json({ success: false, message: 'Failed to update service' });
     }
@@ -282,6 +282,7 @@ router.post('/reset', authorize('admin'), async (req, res) => {
             // 7. Expenses (Must be after CoachSettlement which references it)
             if (isFullReset) {
                 await tx.expense.deleteMany({ where: createdAtFilter });
+                await tx.recurringExpense.deleteMany({ where: createdAtFilter });
             }
 
             // 6. Reminders
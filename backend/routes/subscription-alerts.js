@@ -9,6 +9,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
+const { CURRENT_STATUSES, endedSubscriptionWhere } = require('../services/subscriptionLifecycleService');
 
 router.use(authenticate);
 
@@ -30,8 +31,7 @@ router.get('/unread-count', async (req, res) => {
         // Count expired but unacknowledged
         const expiredCount = await req.prisma.subscription.count({
             where: {
-                status: { in: ['expired', 'active'] },
-                endDate: { lt: now },
+                ...endedSubscriptionWhere(now),
                 alertAcknowledged: false
             }
         });
@@ -47,7 +47,7 @@ router.get('/unread-count', async (req, res) => {
         // Count expiring soon (acknowledged per day)
         const expiringSoonCount = await req.prisma.subscription.count({
             where: {
-                status: 'active',
+                status: { in: CURRENT_STATUSES },
                 endDate: { gte: todayStart, lte: expiryCutoff },
                 OR: [
                     { alertAcknowledgedAt: null },
@@ -93,8 +93,7 @@ router.get('/unread', async (req, res) => {
                 OR: [
                     // Expired and unacknowledged
                     {
-                        status: { in: ['expired', 'active'] },
-                        endDate: { lt: now },
+                        ...endedSubscriptionWhere(now),
                         alertAcknowledged: false
                     },
                     // Cancelled and unacknowledged
@@ -104,7 +103,7 @@ router.get('/unread', async (req, res) => {
                     },
                     // Expiring soon (acknowledged per day)
                     {
-                        status: 'active',
+                        status: { in: CURRENT_STATUSES },
                         endDate: { gte: todayStart, lte: expiryCutoff },
                         OR: [
                             { alertAcknowledgedAt: null },
@@ -184,8 +183,7 @@ router.post('/mark-read', async (req, res) => {
                 ...idFilter,
                 OR: [
                     {
-                        status: { in: ['expired', 'active'] },
-                        endDate: { lt: now },
+                        ...endedSubscriptionWhere(now),
                         alertAcknowledged: false
                     },
                     {
@@ -205,7 +203,7 @@ router.post('/mark-read', async (req, res) => {
         const expiringResult = await req.prisma.subscription.updateMany({
             where: {
                 ...idFilter,
-                status: 'active',
+                status: { in: CURRENT_STATUSES },
                 endDate: { gte: todayStart, lte: expiryCutoff }
             },
             data: {
@@ -13,6 +13,13 @@ const { authenticate, requirePermission, authorize, requireActiveShift, requireA
 const { normalizePaymentMethod, resolvePaymentReference, recordPaymentTransaction } = require('../services/paymentService');
 const { createReceipt } = require('../services/receiptService');
 const { roundMoney, clampMoney } = require('../utils/money');
+const { emitEvent, WEBHOOK_EVENTS } = require('../services/webhookService');
+const { serializeSubscription, serializeRefund } = require('../utils/apiSerializers');
+const lifecycle = require('../services/subscriptionLifecycleService');
+const { parseInstallmentPlan, createSchedule } = require('../services/installmentService');
+const { resolvePromotion, redeemPromotion, toReceiptPromotion, rewardReferral } = require('../services/promotionService');
+const { getTaxSettings, resolveTaxRate, priceWithTax, buildReceiptTax } = require('../services/taxService');
+const { allocateRefund } = require('../services/tenderService');
 
 // The global authenticate middleware is removed as it's now applied per route where needed,
 // or specifically for write operations.
@@ -94,8 +101,9 @@ router.get('/', async (req, res) => {
         }
 
         // Calculate days remaining and payment status
+        const now = new Date();
+        const graceDays = await lifecycle.getGraceDays(req.prisma);
         const subscriptions = rawSubscriptions.map(sub => {
-            const now = new Date();
             const end = new Date(sub.endDate);
             const diffTime = end - now;
             const daysRemaining = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
@@ -114,7 +122,7 @@ router.get('/', async (req, res) => {
             return {
                 ...sub,
                 daysRemaining: daysRemaining,
-                status: daysRemaining <= 0 && sub.status === 'active' ? 'expired' : sub.status,
+                status: lifecycle.resolveStatus(sub, { now, graceDays }),
                 paymentStatus,
                 totalPrice: total,
                 refundedTotal,
@@ -186,7 +194,7 @@ router.post('/', [
             }
         }
 
-        const { memberId, planId, startDate, paidAmount, paymentStatus, transactionRef, discount, notes, method = 'cash', collectorId, externalReference } = req.body;
+        const { memberId, planId, startDate, paidAmount, paymentStatus, transactionRef, discount, notes, method = 'cash', collectorId, externalReference, promotionCode } = req.body;
         const parsedMemberId = parseInt(memberId, 10);
         const parsedPlanId = parseInt(planId, 10);
         if (!Number.isInteger(parsedMemberId) || !Number.isInteger(parsedPlanId)) {
@@ -222,7 +230,34 @@ router.post('/', [
         if (numericDiscount > basePrice) {
             return res.status(400).json({ success: false, message: 'Discount cannot exceed price' });
         }
-        const fullPrice = clampMoney(basePrice - numericDiscount);
+
+        // Entered promotion code or the best automatic rule the member qualifies for
+        let appliedPromotion = null;
+        try {
+            appliedPromotion = await resolvePromotion(req.prisma, {
+                member,
+                planId: parsedPlanId,
+                price: clampMoney(basePrice - numericDiscount),
+                code: promotionCode
+            });
+        } catch (promotionError) {
+            if (!promotionError.status) throw promotionError;
+            return res.status(promotionError.status).json({
+                success: false,
+                code: promotionError.code,
+                message: promotionError.message
+            });
+        }
+        const promotionDiscount = appliedPromotion ? appliedPromotion.discount : 0;
+        const totalDiscount = roundMoney(numericDiscount + promotionDiscount);
+
+        // Exclusive pricing adds tax on top of the discounted price
+        const taxSettings = await getTaxSettings(req.prisma);
+        const taxRate = resolveTaxRate(taxSettings, plan.taxRate);
+        const fullPrice = priceWithTax(clampMoney(basePrice - totalDiscount), taxRate, taxSettings.inclusive);
+        const receiptPromotions = appliedPromotion
+            ? [toReceiptPromotion(appliedPromotion.promotion, promotionDiscount)]
+            : [];
 
         let initialPaid = 0;
         // Fix: Prioritize explicit paidAmount if valid, otherwise fallback to plan price for 'paid' status
@@ -243,6 +278,18 @@ router.post('/', [
             });
         }
 
+        // Optional installment plan: { count, interval, firstDueDate }
+        let installmentPlan = null;
+        try {
+            installmentPlan = parseInstallmentPlan(req.body.installmentPlan, { total: fullPrice, startDate });
+        } catch (planError) {
+            return res.status(planError.status || 400).json({
+                success: false,
+                code: planError.code,
+                message: planError.message
+            });
+        }
+
         let computedPaymentStatus = 'unpaid';
         if (fullPrice === 0) {
             computedPaymentStatus = 'paid';
@@ -278,13 +325,15 @@ router.post('/', [
 
         // 4. Create Subscription (Transaction)
         const result = await req.prisma.$transaction(async (prisma) => {
+            const start = startDate ? new Date(startDate) : new Date();
+
             // Safety: Check if an identical active subscription already exists (Race condition check)
             const existing = await prisma.subscription.findFirst({
                 where: {
                     memberId: parsedMemberId,
                     planId: parsedPlanId,
-                    status: 'active',
-                    startDate: startDate ? new Date(startDate) : { lte: new Date() },
+                    status: { in: ['scheduled', 'active'] },
+                    startDate: startDate ? start : { lte: new Date() },
                     endDate: { gte: new Date() }
                 }
             });
@@ -299,11 +348,15 @@ router.post('/', [
                 }
             }
 
-            // STRICT RULE: Cannot assign new subscription if one is already active
+            // STRICT RULE: Cannot assign a new subscription that overlaps an open one
+            // (a future-dated one may follow the current subscription)
             const activeSub = await prisma.subscription.findFirst({
                 where: {
                     memberId: parsedMemberId,
-                    status: 'active'
+                    OR: [
+                        { status: 'paused' },
+                        { status: { in: lifecycle.OPEN_STATUSES }, endDate: { gt: start } }
+                    ]
                 },
                 include: { plan: true }
             });
@@ -323,7 +376,6 @@ router.post('/', [
                 throw new Error(`CONFLICT: Member already has an active subscription (${activeSub.plan.name}).`);
             }
 
-            const start = startDate ? new Date(startDate) : new Date();
             const end = new Date(start);
             end.setDate(end.getDate() + plan.duration);
 
@@ -334,16 +386,57 @@ router.post('/', [
                     planId: parsedPlanId,
                     startDate: start,
                     endDate: end,
-                    status: 'active',
+                    status: lifecycle.initialStatus(start),
                     price: fullPrice,
+                    taxRate,
                     paidAmount: roundMoney(numericPaidAmount),
                     remainingAmount,
                     paymentStatus: computedPaymentStatus,
-                    discount: numericDiscount,
+                    discount: totalDiscount,
                     notes: notes || null
                 },
                 include: { member: true, plan: true }
             });
+            await lifecycle.recordEvent(prisma, sub.id, { toStatus: sub.status, reason: 'created', userId: req.user.id });
+
+            if (appliedPromotion) {
+                await redeemPromotion(prisma, {
+                    promotion: appliedPromotion.promotion,
+                    discount: promotionDiscount,
+                    memberId: parsedMemberId,
+                    subscriptionId: sub.id,
+                    originalPrice: clampMoney(basePrice - numericDiscount),
+                    userId: req.user.id
+                });
+            }
+
+            // The referrer is rewarded when the referred member buys their first subscription
+            if (member.referredById && !member.referralRewardedAt) {
+                const previousSubs = await prisma.subscription.count({
+                    where: { memberId: parsedMemberId, id: { not: sub.id } }
+                });
+                if (previousSubs === 0) {
+                    await rewardReferral(prisma, { member, userId: req.user.id });
+                }
+            }
+
+            if (installmentPlan) {
+                await createSchedule(prisma, sub, installmentPlan);
+            }
+
+            // A subscription in its grace period ends once the new one starts
+            if (sub.status === 'active') {
+                const graceSubs = await prisma.subscription.findMany({
+                    where: { memberId: parsedMemberId, status: 'grace' }
+                });
+                for (const graceSub of graceSubs) {
+                    await lifecycle.changeStatus(prisma, graceSub, 'expired', {
+                        reason: 'superseded',
+                        userId: req.user.id,
+                        metadata: { subscriptionId: sub.id }
+                    });
+                }
+            }
 
             // 5. Unified Payment & Invoice Logic
             // Detect shift & collector info
@@ -367,6 +460,7 @@ router.post('/', [
 
             const totalPrice = fullPrice;
             const paidNow = numericPaidAmount;
+            const receiptTax = buildReceiptTax(taxSettings, [{ amount: totalPrice, rate: taxRate }]);
             let createdPayment = null;
 
             // Step A: Create "Receipt" for money actually received now
@@ -375,6 +469,7 @@ router.post('/', [
                     memberId: sub.memberId,
                     subscriptionId: sub.id,
                     amount: paidNow,
+                    taxRate,
                     method: normalizedMethod,
                     status: 'completed',
                     notes: `${computedPaymentStatus === 'paid' ? 'Full' : 'Partial'} subscription payment${notes ? ` - ${notes}` : ''}`,
@@ -393,6 +488,7 @@ router.post('/', [
                     memberId: sub.memberId,
                     subscriptionId: sub.id,
                     amount: remaining,
+                    taxRate,
                     method: 'other', // Invoice doesn't have a method yet
                     status: 'pending',
                     notes: `Remaining balance for ${plan.name} subscription`,
@@ -407,6 +503,7 @@ router.post('/', [
                     transactionType: 'payment',
                     transactionId: createdPayment.id,
                     paymentMethod: createdPayment.method,
+                    branchId: createdPayment.branchId,
                     customerId: sub.memberId,
                     customerName: sub.member ? `${sub.member.firstName} ${sub.member.lastName}` : null,
                     customerPhone: sub.member?.phone || null,
@@ -426,15 +523,16 @@ router.post('/', [
                         }
                     ],
                     totals: {
-                        subtotal: totalPrice,
-                        discount: numericDiscount || 0,
-                        tax: 0,
+                        subtotal: roundMoney(totalPrice - receiptTax.tax),
+                        discount: totalDiscount || 0,
+                        ...receiptTax,
                         total: totalPrice,
                         paid: paidNow,
                         paidToDate: sub.paidAmount || paidNow,
                         remaining: remainingAmount,
                         change: 0
                     },
+                    promotions: receiptPromotions,
                     notes: createdPayment.notes || null,
                     createdAt: createdPayment.paidAt || createdPayment.createdAt
                 });
@@ -462,20 +560,21 @@ router.post('/', [
                         }
                     ],
                     totals: {
-                        subtotal: totalPrice,
-                        discount: numericDiscount || 0,
-                        tax: 0,
+                        subtotal: roundMoney(totalPrice - receiptTax.tax),
+                        discount: totalDiscount || 0,
+                        ...receiptTax,
                         total: totalPrice,
                         paid: 0,
                         paidToDate: 0,
                         remaining: totalPrice,
                         change: 0
                     },
+                    promotions: receiptPromotions,
                     notes: notes || null,
                     createdAt: sub.createdAt
                 });
             }
-            return { ...sub, payment: createdPayment };
+            return { ...sub, payment: createdPayment, promotion: receiptPromotions[0] || null };
         });
 
         // Log Activity
@@ -493,6 +592,10 @@ router.post('/', [
             console.warn('[SUBSCRIPTIONS][CREATE] Activity log failed:', logError.message);
         }
 
+        await emitEvent(req.prisma, WEBHOOK_EVENTS.SUBSCRIPTION_CREATED, {
+            subscription: serializeSubscription({ ...result, plan })
+        });
+
         res.status(201).json({ success: true, message: 'Subscription created', data: result });
 
     } catch (error) {
@@ -516,6 +619,14 @@ router.post('/', [
             });
         }
 
+        if (error.code === 'PROMOTION_USAGE_LIMIT') {
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+
         if (error.code === 'P2002') {
             return res.status(409).json({
                 success: false,
@@ -551,14 +662,14 @@ router.post('/', [
 router.put('/:id/renew', async (req, res) => {
     try {
         const previousSubscriptionId = parseInt(req.params.id);
-        const { planId, paidAmount, paymentStatus, externalReference, method = 'cash', collectorId, collectorName, notes } = req.body;
+        const { planId, paidAmount, paymentStatus, externalReference, method = 'cash', collectorId, collectorName, notes, promotionCode } = req.body;
         const normalizedMethod = normalizePaymentMethod(method);
 
         const result = await req.prisma.$transaction(async (prisma) => {
             // 1. Validate Previous Subscription
             const previousSub = await prisma.subscription.findUnique({
                 where: { id: previousSubscriptionId },
-                include: { plan: true }
+                include: { plan: true, member: true }
             });
 
             if (!previousSub) throw new Error('Previous subscription not found');
@@ -585,22 +696,40 @@ router.put('/:id/renew', async (req, res) => {
             });
             if (!newPlan) throw new Error('New plan not found');
 
-            // 2.5 Safety: Expire any EXISTING active subscriptions for this member
-            // (Similar to Assign Subscription logic)
-            await prisma.subscription.updateMany({
-                where: {
-                    memberId: previousSub.memberId,
-                    status: 'active'
-                },
-                data: { status: 'expired' }
+            // Entered promotion code or the best automatic rule, resolved while the
+            // current subscription is still open (early renewal looks at its end date)
+            const appliedPromotion = await resolvePromotion(prisma, {
+                member: previousSub.member,
+                planId: newPlan.id,
+                price: newPlan.price,
+                code: promotionCode
+            });
+            const promotionDiscount = appliedPromotion ? appliedPromotion.discount : 0;
+            const receiptPromotions = appliedPromotion
+                ? [toReceiptPromotion(appliedPromotion.promotion, promotionDiscount)]
+                : [];
+
+            // 2.5 Safety: End any EXISTING open subscriptions for this member
+            // (active, grace and paused ones expire, scheduled ones are cancelled)
+            await lifecycle.supersedeSubscriptions(prisma, previousSub.memberId, {
+                userId: req.user.id,
+                metadata: { renewalOf: previousSubscriptionId }
             });
 
             // 3. Calculate Financials for NEW Subscription
+            const taxSettings = await getTaxSettings(prisma);
+            const taxRate = resolveTaxRate(taxSettings, newPlan.taxRate);
+            const fullPrice = priceWithTax(clampMoney(newPlan.price - promotionDiscount), taxRate, taxSettings.inclusive);
+
             let initialPaid = 0;
-            if (paymentStatus === 'paid') initialPaid = newPlan.price;
+            if (paymentStatus === 'paid') initialPaid = fullPrice;
             else if (paymentStatus === 'partial' && paidAmount) initialPaid = parseFloat(paidAmount);
 
             const numericPaidAmount = roundMoney(initialPaid);
+            const remainingAmount = clampMoney(fullPrice - numericPaidAmount);
+            let computedPaymentStatus = 'unpaid';
+            if (fullPrice === 0 || numericPaidAmount >= fullPrice) computedPaymentStatus = 'paid';
+            else if (numericPaidAmount > 0) computedPaymentStatus = 'partial';
 
             // 4. Create NEW Subscription
             // Start date is NOW (since it's a renewal action happening now)
@@ -620,7 +749,12 @@ router.put('/:id/renew', async (req, res) => {
                     startDate: start,
                     endDate: end,
                     status: 'active',
+                    price: fullPrice,
+                    taxRate,
                     paidAmount: numericPaidAmount,
+                    remainingAmount,
+                    paymentStatus: computedPaymentStatus,
+                    discount: promotionDiscount,
                     notes: notes || `Renewal of prev sub #${previousSubscriptionId}`,
                     // usedNonRefundableAmount starts at 0 for new sub
                 },
@@ -629,6 +763,23 @@ router.put('/:id/renew', async (req, res) => {
                     plan: true
                 }
             });
+            await lifecycle.recordEvent(prisma, newSub.id, {
+                toStatus: newSub.status,
+                reason: 'renewed',
+                userId: req.user.id,
+                metadata: { previousSubscriptionId }
+            });
+
+            if (appliedPromotion) {
+                await redeemPromotion(prisma, {
+                    promotion: appliedPromotion.promotion,
+                    discount: promotionDiscount,
+                    memberId: newSub.memberId,
+                    subscriptionId: newSub.id,
+                    originalPrice: newPlan.price,
+                    userId: req.user.id
+                });
+            }
 
             // 5. Unified Payment Logic for Renewal
             let finalCreatedBy = req.user.id;
@@ -649,8 +800,8 @@ router.put('/:id/renew', async (req, res) => {
                 if (userShift) shiftId = userShift.id;
             }
 
-            const fullPrice = roundMoney(newPlan.price);
             const paidNow = roundMoney(numericPaidAmount);
+            const receiptTax = buildReceiptTax(taxSettings, [{ amount: fullPrice, rate: taxRate }]);
 
             // Step A: Receipt for actual money
             let createdPayment = null;
@@ -659,6 +810,7 @@ router.put('/:id/renew', async (req, res) => {
                     memberId: newSub.memberId,
                     subscriptionId: newSub.id,
                     amount: paidNow,
+                    taxRate,
                     method: normalizedMethod,
                     status: 'completed',
                     notes: `Renewal Payment: ${paymentStatus === 'paid' ? 'Full' : 'Partial'}` + (externalReference ? ` (Ref: ${externalReference})` : '') + (notes ? ` - ${notes}` : ''),
@@ -676,6 +828,7 @@ router.put('/:id/renew', async (req, res) => {
                     memberId: newSub.memberId,
                     subscriptionId: newSub.id,
                     amount: roundMoney(fullPrice - paidNow),
+                    taxRate,
                     method: 'other',
                     status: 'pending',
                     notes: `Remaining balance for ${newPlan.name} renewal`,
@@ -690,6 +843,7 @@ router.put('/:id/renew', async (req, res) => {
                     transactionType: 'payment',
                     transactionId: createdPayment.id,
                     paymentMethod: createdPayment.method,
+                    branchId: createdPayment.branchId,
                     customerId: newSub.memberId,
                     customerName: newSub.member ? `${newSub.member.firstName} ${newSub.member.lastName}` : null,
                     customerPhone: newSub.member?.phone || null,
@@ -709,15 +863,16 @@ router.put('/:id/renew', async (req, res) => {
                         }
                     ],
                     totals: {
-                        subtotal: fullPrice,
-                        discount: 0,
-                        tax: 0,
+                        subtotal: roundMoney(fullPrice - receiptTax.tax),
+                        discount: promotionDiscount,
+                        ...receiptTax,
                         total: fullPrice,
                         paid: paidNow,
                         paidToDate: newSub.paidAmount || paidNow,
-                        remaining: roundMoney(fullPrice - paidNow),
+                        remaining: remainingAmount,
                         change: 0
                     },
+                    promotions: receiptPromotions,
                     notes: createdPayment.notes || null,
                     createdAt: createdPayment.paidAt || createdPayment.createdAt
                 });
@@ -745,21 +900,22 @@ router.put('/:id/renew', async (req, res) => {
                         }
                     ],
                     totals: {
-                        subtotal: fullPrice,
-                        discount: 0,
-                        tax: 0,
+                        subtotal: roundMoney(fullPrice - receiptTax.tax),
+                        discount: promotionDiscount,
+                        ...receiptTax,
                         total: fullPrice,
                         paid: 0,
                         paidToDate: 0,
                         remaining: fullPrice,
                         change: 0
                     },
+                    promotions: receiptPromotions,
                     notes: notes || null,
                     createdAt: newSub.createdAt
                 });
             }
 
-            return newSub;
+            return { ...newSub, promotion: receiptPromotions[0] || null };
         });
 
         // Log
@@ -776,6 +932,11 @@ router.put('/:id/renew', async (req, res) => {
             }
         });
 
+        await emitEvent(req.prisma, WEBHOOK_EVENTS.SUBSCRIPTION_RENEWED, {
+            subscription: serializeSubscription(result),
+            previousSubscriptionId
+        });
+
         res.json({
             success: true,
             message: 'Subscription renewed successfully (New cycle created)',
@@ -783,6 +944,9 @@ router.put('/:id/renew', async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status && error.code) {
+            return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+        }
         console.error('Renew subscription error:', error);
         res.status(500).json({
             success: false,
@@ -798,6 +962,7 @@ router.put('/:id/renew', async (req, res) => {
 router.put('/:id/toggle-pause', async (req, res) => {
     try {
         const subscriptionId = parseInt(req.params.id);
+        const { reason, startDate, resumeDate, cancelScheduled } = req.body;
 
         const subscription = await req.prisma.subscription.findUnique({
             where: { id: subscriptionId }
@@ -807,100 +972,91 @@ router.put('/:id/toggle-pause', async (req, res) => {
             return res.status(404).json({ success: false, message: 'Subscription not found' });
         }
 
-        const isPausing = !subscription.isPaused;
-        const now = new Date();
-
-        let updateData = {};
+        let action = 'PAUSE_SUBSCRIPTION';
+        if (cancelScheduled) action = 'UNSCHEDULE_PAUSE';
+        else if (subscription.isPaused) action = 'RESUME_SUBSCRIPTION';
 
-        // Parse existing history
-        let history = [];
-        try {
-            if (subscription.pauseHistory) {
-                history = JSON.parse(subscription.pauseHistory);
-            }
-        } catch (e) { history = []; }
-
-        if (isPausing) {
-            // PAUSE ACTION
-            if (subscription.status !== 'active') {
-                return res.status(400).json({ success: false, message: 'Can only pause active subscriptions' });
-            }
-
-            // Add new "open" history entry
-            history.push({ start: now.toISOString(), end: null, reason: req.body.reason || 'Manual Pause' });
-
-            updateData = {
-                isPaused: true,
-                status: 'paused', // Visual status
-                pauseHistory: JSON.stringify(history),
-                frozenAt: now // Legacy support if needed
-            };
-        } else {
-            // RESUME ACTION
-            if (!subscription.isPaused) {
-                return res.status(400).json({ success: false, message: 'Subscription is not paused' });
+        const graceDays = await lifecycle.getGraceDays(req.prisma);
+        const updated = await req.prisma.$transaction(async (prisma) => {
+            if (action === 'UNSCHEDULE_PAUSE') {
+                return lifecycle.cancelScheduledPause(prisma, subscription, { userId: req.user.id });
             }
-
-            // Find the open entry (end is null)
-            const lastEntryIndex = history.findIndex(h => h.end === null);
-            if (lastEntryIndex === -1) {
-                // Should not happen if data integrity is good, but recover:
-                history.push({ start: now.toISOString(), end: now.toISOString(), note: 'Auto-closed orphan pause' });
-            } else {
-                const entry = history[lastEntryIndex];
-                entry.end = now.toISOString();
-
-                // Calculate duration
-                const start = new Date(entry.start);
-                const durationMs = now - start;
-                const durationDays = Math.ceil(durationMs / (1000 * 60 * 60 * 24));
-
-                entry.durationDays = durationDays;
-                history[lastEntryIndex] = entry; // Update
-
-                // EXTEND END DATE
-                const currentEndDate = new Date(subscription.endDate);
-                currentEndDate.setDate(currentEndDate.getDate() + durationDays);
-                updateData.endDate = currentEndDate;
+            if (action === 'RESUME_SUBSCRIPTION') {
+                return lifecycle.resumeSubscription(prisma, subscription, { userId: req.user.id, graceDays });
             }
-
-            updateData = {
-                isPaused: false,
-                status: 'active',
-                pauseHistory: JSON.stringify(history),
-                frozenAt: null, // Clear legacy
-                frozenUntil: null
-            };
-        }
-
-        const updated = await req.prisma.subscription.update({
-            where: { id: subscriptionId },
-            data: updateData
+            // A future startDate schedules the pause; resumeDate resumes it automatically
+            return lifecycle.pauseSubscription(prisma, subscription, {
+                startAt: startDate,
+                endAt: resumeDate,
+                reason: reason || 'Manual Pause',
+                userId: req.user.id
+            });
         });
 
         // Log
         await req.prisma.activityLog.create({
             data: {
                 userId: req.user.id,
-                action: isPausing ? 'PAUSE_SUBSCRIPTION' : 'RESUME_SUBSCRIPTION',
+                action,
                 entityType: 'Subscription',
                 entityId: subscriptionId,
-                details: JSON.stringify({ isPaused: isPausing })
+                details: JSON.stringify({
+                    isPaused: updated.isPaused,
+                    pauseStartsAt: updated.pauseStartsAt,
+                    pauseEndsAt: updated.pauseEndsAt
+                })
             }
         });
 
+        const messages = {
+            PAUSE_SUBSCRIPTION: updated.isPaused ? 'Subscription paused' : 'Pause scheduled',
+            RESUME_SUBSCRIPTION: 'Subscription resumed (End date extended)',
+            UNSCHEDULE_PAUSE: 'Scheduled pause cancelled'
+        };
+
         res.json({
             success: true,
-            message: isPausing ? 'Subscription paused' : 'Subscription resumed (End date extended)',
+            message: messages[action],
             data: updated
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+        }
         console.error('Toggle pause error:', error);
         res.status(500).json({ success: false, message: 'Failed to toggle pause' });
     }
 });
 
+/**
+ * GET /api/subscriptions/:id/events
+ * Status history of a subscription
+ */
+router.get('/:id/events', requireAnyPermission('subscriptions.view', 'members.view'), async (req, res) => {
+    try {
+        const events = await req.prisma.subscriptionEvent.findMany({
+            where: { subscriptionId: parseInt(req.params.id) },
+            include: { user: { select: { id: true, firstName: true, lastName: true } } },
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+        });
+
+        res.json({
+            success: true,
+            data: events.map(event => {
+                let metadata = null;
+                try {
+                    metadata = event.metadata ? JSON.parse(event.metadata) : null;
+                } catch (e) { metadata = null; }
+                return { ...event, metadata };
+            })
+        });
+    } catch (error) {
+        console.error('Get subscription events error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch subscription history' });
+    }
+});
+
 /**
  * PUT /api/subscriptions/:id/unfreeze
  * Unfreeze subscription
@@ -920,14 +1076,16 @@ router.put('/:id/unfreeze', async (req, res) => {
             });
         }
 
-        const updated = await req.prisma.subscription.update({
-            where: { id: subscriptionId },
+        const graceDays = await lifecycle.getGraceDays(req.prisma);
+        const toStatus = lifecycle.resolveStatus({ ...subscription, status: 'active' }, { graceDays });
+        const updated = await req.prisma.$transaction((prisma) => lifecycle.changeStatus(prisma, subscription, toStatus, {
+            reason: 'unfrozen',
+            userId: req.user.id,
             data: {
-                status: 'active',
                 frozenAt: null,
                 frozenUntil: null
             }
-        });
+        }));
 
         res.json({
             success: true,
@@ -1014,12 +1172,12 @@ router.put('/:id/cancel', authorize('admin'), async (req, res) => {
                 where: { id: subscriptionId },
                 include: {
                     plan: true,
-                    payments: { include: { refunds: true } }
+                    payments: { include: { refunds: true, tenders: true } }
                 }
             });
 
             if (!sub) throw new Error('Subscription not found');
-            if (sub.status !== 'active') throw new Error('Subscription is not active');
+            if (!lifecycle.CANCELLABLE_STATUSES.includes(sub.status)) throw new Error('Subscription is not active');
 
             // 2. Financials Calculation (MATCH PREVIEW LOGIC)
             const paidTotal = sub.paidAmount || 0;
@@ -1051,7 +1209,8 @@ router.put('/:id/cancel', authorize('admin'), async (req, res) => {
 
             console.log(`[CANCEL] Sub ${sub.id}: Paid=${paidTotal}, Used=${usedAmount} (${usedDays} days), Refundable=${refundableAmount}`);
 
-            // 5. Execute Refund
+            // 5. Execute Refund (one row per tender for split payments)
+            const refunds = [];
             if (type === 'prorated' && refundableAmount > 0) {
                 let shiftId = req.activeShift?.id;
                 if (!shiftId) {
@@ -1067,15 +1226,18 @@ router.put('/:id/cancel', authorize('admin'), async (req, res) => {
                 const payments = sub.payments.sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt));
                 if (payments.length === 0) throw new Error('No payments found for this subscription');
 
-                await prisma.refund.create({
-                    data: {
-                        paymentId: payments[0].id,
-                        amount: refundableAmount,
-                        reason: `Prorated Cancellation (${usedDays} days used)`,
-                        shiftId: shiftId,
-                        createdBy: req.user.id
-                    }
-                });
+                for (const allocation of allocateRefund(payments[0], refundableAmount)) {
+                    refunds.push(await prisma.refund.create({
+                        data: {
+                            paymentId: payments[0].id,
+                            amount: allocation.amount,
+                            method: allocation.method,
+                            reason: `Prorated Cancellation (${usedDays} days used)`,
+                            shiftId: shiftId,
+                            createdBy: req.user.id
+                        }
+                    }));
+                }
 
                 await prisma.payment.update({
                     where: { id: payments[0].id },
@@ -1084,11 +1246,16 @@ router.put('/:id/cancel', authorize('admin'), async (req, res) => {
             }
 
             // 6. Close Subscription
-            const updated = await prisma.subscription.update({
-                where: { id: subscriptionId },
+            const updated = await lifecycle.changeStatus(prisma, sub, 'cancelled', {
+                reason: 'cancelled',
+                userId: req.user.id,
+                metadata: { type, refundAmount: type === 'prorated' ? refundableAmount : 0 },
+                now,
                 data: {
-                    status: 'cancelled',
                     endDate: now,
+                    isPaused: false,
+                    pauseStartsAt: null,
+                    pauseEndsAt: null,
                     usedNonRefundableAmount: usedAmount,
                     canceledAt: now,
                     canceledById: req.user.id,
@@ -1109,9 +1276,20 @@ router.put('/:id/cancel', authorize('admin'), async (req, res) => {
                 }
             });
 
-            return { updated, refundAmount: type === 'prorated' ? refundableAmount : 0 };
+            return { updated, refunds, refundAmount: type === 'prorated' ? refundableAmount : 0 };
         });
 
+        await emitEvent(req.prisma, WEBHOOK_EVENTS.SUBSCRIPTION_CANCELLED, {
+            subscription: serializeSubscription(result.updated),
+            cancelType: type,
+            refundAmount: result.refundAmount
+        });
+        for (const refund of result.refunds) {
+            await emitEvent(req.prisma, WEBHOOK_EVENTS.REFUND_CREATED, {
+                refund: serializeRefund({ ...refund, payment: { memberId: result.updated.memberId } })
+            });
+        }
+
         res.json({
             success: true,
             message: `Subscription cancelled. Refund: ${result.refundAmount.toFixed(2)}`,
@@ -1136,14 +1314,7 @@ router.get('/expired', requireAnyPermission('subscriptions.view', 'alerts.view')
         const { range = 'all' } = req.query; // all, unacknowledged
         const now = new Date();
 
-        const where = {
-            OR: [
-                { status: 'expired' },
-                { status: 'cancelled' },
-                { status: 'ended' },
-                { status: 'active', endDate: { lte: now } }
-            ]
-        };
+        const where = lifecycle.lapsedSubscriptionWhere(now);
 
         if (range === 'unacknowledged') {
             where.alertAcknowledged = false;
@@ -1223,12 +1394,7 @@ router.post('/acknowledge-all', requireAnyPermission('subscriptions.view', 'aler
         const now = new Date();
         await req.prisma.subscription.updateMany({
             where: {
-                OR: [
-                    { status: 'expired' },
-                    { status: 'cancelled' },
-                    { status: 'ended' },
-                    { status: 'active', endDate: { lte: now } }
-                ],
+                ...lifecycle.lapsedSubscriptionWhere(now),
                 alertAcknowledged: false
             },
             data: {
@@ -0,0 +1,352 @@
+/**
+ * ============================================
+ * PUBLIC API v1
+ * ============================================
+ *
+ * Versioned REST surface for external integrations (website,
+ * access-control vendors). Authenticated with API keys, not staff JWTs.
+ *
+ * Response shapes are stable within v1:
+ * - Lists:  { success, data: [...], pagination: { limit, hasMore, nextCursor } }
+ * - Single: { success, data: {...} }
+ * - Errors: { success: false, code, message }
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireFeature, FEATURES } = require('../middleware/featureGate');
+const { authenticateApiKey, requireScope } = require('../middleware/apiKey');
+const { API_SCOPES, parseLimit, pageArgs, buildPage } = require('../services/apiKeyService');
+const { computeEligibility, recordCheckIn, toPackageSummary } = require('../services/checkInService');
+const { parseBranchId } = require('../services/branchService');
+const { getGraceDays, currentSubscriptionWhere } = require('../services/subscriptionLifecycleService');
+const {
+    serializeMember,
+    serializeSubscription,
+    serializePlan,
+    serializeCheckIn,
+    serializePayment
+} = require('../utils/apiSerializers');
+
+router.use(requireFeature(FEATURES.API_ACCESS));
+router.use(authenticateApiKey);
+
+// ============================================
+// HELPERS
+// ============================================
+
+const sendError = (res, error, tag) => {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code || 'BAD_REQUEST',
+            message: error.message
+        });
+    }
+    console.error(`[API V1] ${tag} error:`, error);
+    return res.status(500).json({
+        success: false,
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+    });
+};
+
+const badRequest = (code, message) => {
+    const err = new Error(message);
+    err.status = 400;
+    err.code = code;
+    return err;
+};
+
+const parseDateParam = (value, name) => {
+    if (value === undefined || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw badRequest('INVALID_DATE', `${name} must be an ISO date`);
+    }
+    return date;
+};
+
+const parseIdParam = (value, name) => {
+    if (value === undefined || value === '') return null;
+    const id = Number.parseInt(value, 10);
+    if (!Number.isInteger(id) || id < 1 || String(id) !== String(value).trim()) {
+        throw badRequest('INVALID_ID', `${name} must be a positive integer`);
+    }
+    return id;
+};
+
+/**
+ * Find a member by numeric id or member code (e.g. GYM-001)
+ */
+const findMember = async (prisma, identifier) => {
+    const value = String(identifier ?? '').trim();
+    if (!value) return null;
+    if (/^\d+$/.test(value)) {
+        const byId = await prisma.member.findUnique({ where: { id: Number.parseInt(value, 10) } });
+        if (byId) return byId;
+    }
+    return prisma.member.findFirst({ where: { memberId: value } });
+};
+
+const notFound = (res, message) => res.status(404).json({
+    success: false,
+    code: 'NOT_FOUND',
+    message
+});
+
+// ============================================
+// MEMBERS
+// ============================================
+
+/**
+ * GET /api/v1/members
+ * Query: cursor, limit, updatedSince, phone, memberCode
+ */
+router.get('/members', requireScope(API_SCOPES.MEMBERS_READ), async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+        const page = pageArgs({ cursor: req.query.cursor, limit });
+        const updatedSince = parseDateParam(req.query.updatedSince, 'updatedSince');
+
+        const where = { ...page.where };
+        if (updatedSince) where.updatedAt = { gte: updatedSince };
+        if (req.query.phone) where.phone = String(req.query.phone).trim();
+        if (req.query.memberCode) where.memberId = String(req.query.memberCode).trim();
+
+        const members = await req.prisma.member.findMany({ ...page, where });
+        res.json({ success: true, ...buildPage(members, limit, serializeMember) });
+    } catch (error) {
+        sendError(res, error, 'List members');
+    }
+});
+
+/**
+ * GET /api/v1/members/:id
+ * Member by id or member code, with the current subscription
+ */
+router.get('/members/:id', requireScope(API_SCOPES.MEMBERS_READ), async (req, res) => {
+    try {
+        const member = await findMember(req.prisma, req.params.id);
+        if (!member) return notFound(res, 'Member not found');
+
+        const now = new Date();
+        const graceDays = await getGraceDays(req.prisma);
+        const currentSubscription = await req.prisma.subscription.findFirst({
+            where: {
+                memberId: member.id,
+                ...currentSubscriptionWhere(now, graceDays)
+            },
+            orderBy: { endDate: 'desc' },
+            include: { plan: true }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                ...serializeMember(member),
+                currentSubscription: currentSubscription ? serializeSubscription(currentSubscription) : null
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Get member');
+    }
+});
+
+/**
+ * GET /api/v1/members/:id/eligibility
+ * Whether the member may check in now (query: branchId)
+ */
+router.get('/members/:id/eligibility', requireScope(API_SCOPES.CHECKINS_READ), async (req, res) => {
+    try {
+        const branchId = parseBranchId(req.query.branchId);
+        if (Number.isNaN(branchId)) throw badRequest('INVALID_BRANCH', 'Invalid branch');
+
+        const member = await findMember(req.prisma, req.params.id);
+        if (!member) return notFound(res, 'Member not found');
+
+        if (!member.isActive) {
+            return res.json({
+                success: true,
+                data: { memberId: member.id, eligible: false, reason: 'MEMBER_INACTIVE' }
+            });
+        }
+
+        const eligibility = await computeEligibility(req.prisma, member, 'membership', branchId);
+        res.json({
+            success: true,
+            data: {
+                memberId: member.id,
+                eligible: eligibility.eligible,
+                reason: eligibility.reason,
+                accessDenial: eligibility.accessDenial ? {
+                    reason: eligibility.accessDenial.reason,
+                    details: eligibility.accessDenial.details
+                } : null,
+                hasActiveSubscription: eligibility.hasActiveSubscription,
+                hasActivePackage: eligibility.hasActivePackage,
+                inGrace: eligibility.inGrace,
+                activePackage: toPackageSummary(eligibility.activePackage)
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Member eligibility');
+    }
+});
+
+// ============================================
+// SUBSCRIPTIONS & PLANS
+// ============================================
+
+/**
+ * GET /api/v1/subscriptions
+ * Query: cursor, limit, memberId, status, updatedSince
+ */
+router.get('/subscriptions', requireScope(API_SCOPES.SUBSCRIPTIONS_READ), async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+        const page = pageArgs({ cursor: req.query.cursor, limit });
+        const memberId = parseIdParam(req.query.memberId, 'memberId');
+        const updatedSince = parseDateParam(req.query.updatedSince, 'updatedSince');
+
+        const where = { ...page.where };
+        if (memberId) where.memberId = memberId;
+        if (req.query.status) where.status = String(req.query.status);
+        if (updatedSince) where.updatedAt = { gte: updatedSince };
+
+        const subscriptions = await req.prisma.subscription.findMany({
+            ...page,
+            where,
+            include: { plan: { select: { name: true } } }
+        });
+        res.json({ success: true, ...buildPage(subscriptions, limit, serializeSubscription) });
+    } catch (error) {
+        sendError(res, error, 'List subscriptions');
+    }
+});
+
+/**
+ * GET /api/v1/plans
+ * Active membership and package plans
+ */
+router.get('/plans', requireScope(API_SCOPES.PLANS_READ), async (req, res) => {
+    try {
+        const plans = await req.prisma.subscriptionPlan.findMany({
+            where: { isActive: true },
+            orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }]
+        });
+        res.json({ success: true, data: plans.map(serializePlan) });
+    } catch (error) {
+        sendError(res, error, 'List plans');
+    }
+});
+
+// ============================================
+// CHECK-INS
+// ============================================
+
+/**
+ * GET /api/v1/checkins
+ * Query: cursor, limit, memberId, branchId, since
+ */
+router.get('/checkins', requireScope(API_SCOPES.CHECKINS_READ), async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+        const page = pageArgs({ cursor: req.query.cursor, limit });
+        const memberId = parseIdParam(req.query.memberId, 'memberId');
+        const branchId = parseIdParam(req.query.branchId, 'branchId');
+        const since = parseDateParam(req.query.since, 'since');
+
+        const where = { ...page.where };
+        if (memberId) where.memberId = memberId;
+        if (branchId) where.branchId = branchId;
+        if (since) where.checkInTime = { gte: since };
+
+        const checkIns = await req.prisma.checkIn.findMany({ ...page, where });
+        res.json({ success: true, ...buildPage(checkIns, limit, serializeCheckIn) });
+    } catch (error) {
+        sendError(res, error, 'List check-ins');
+    }
+});
+
+/**
+ * POST /api/v1/checkins
+ * Check a member in through the normal eligibility rules
+ * Body: { memberId | memberCode, branchId? }
+ */
+router.post('/checkins', requireScope(API_SCOPES.CHECKINS_WRITE), async (req, res) => {
+    try {
+        const { memberId, memberCode } = req.body || {};
+        const branchId = parseBranchId(req.body?.branchId);
+        if (Number.isNaN(branchId)) throw badRequest('INVALID_BRANCH', 'Invalid branch');
+        if (branchId) {
+            const branch = await req.prisma.branch.findFirst({ where: { id: branchId, isActive: true } });
+            if (!branch) throw badRequest('INVALID_BRANCH', 'Branch not found');
+        }
+
+        const member = await findMember(req.prisma, memberId ?? memberCode);
+        if (!member) return notFound(res, 'Member not found');
+        if (!member.isActive) {
+            return res.status(400).json({
+                success: false,
+                code: 'MEMBER_INACTIVE',
+                message: 'Member account is inactive'
+            });
+        }
+
+        const result = await recordCheckIn(req.prisma, {
+            member,
+            method: 'api',
+            branchId
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                checkIn: serializeCheckIn(result.checkIn),
+                visitType: result.visitType,
+                subscription: result.subscription || null,
+                package: result.package || null
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Create check-in');
+    }
+});
+
+// ============================================
+// PAYMENTS
+// ============================================
+
+/**
+ * GET /api/v1/payments
+ * Query: cursor, limit, memberId, since
+ */
+router.get('/payments', requireScope(API_SCOPES.PAYMENTS_READ), async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+        const page = pageArgs({ cursor: req.query.cursor, limit });
+        const memberId = parseIdParam(req.query.memberId, 'memberId');
+        const since = parseDateParam(req.query.since, 'since');
+
+        const where = { ...page.where };
+        if (memberId) where.memberId = memberId;
+        if (since) where.paidAt = { gte: since };
+
+        const payments = await req.prisma.payment.findMany({ ...page, where });
+        res.json({ success: true, ...buildPage(payments, limit, serializePayment) });
+    } catch (error) {
+        sendError(res, error, 'List payments');
+    }
+});
+
+// Unknown v1 endpoints get the v1 error shape
+router.use((req, res) => {
+    res.status(404).json({
+        success: false,
+        code: 'NOT_FOUND',
+        message: `Endpoint not found: ${req.method} ${req.originalUrl}`
+    });
+});
+
+module.exports = router;
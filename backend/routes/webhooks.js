@@ -0,0 +1,282 @@
+/**
+ * ============================================
+ * WEBHOOKS ROUTES
+ * ============================================
+ *
+ * Admin management of outgoing webhook endpoints and their deliveries
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { requireFeature, FEATURES } = require('../middleware/featureGate');
+const webhookService = require('../services/webhookService');
+
+router.use(authenticate);
+router.use(authorize('admin'));
+router.use(requireFeature(FEATURES.API_ACCESS));
+
+const sendServiceError = (res, error, fallbackMessage) => {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message
+        });
+    }
+    if (error.code === 'P2025') {
+        return res.status(404).json({
+            success: false,
+            message: 'Webhook endpoint not found'
+        });
+    }
+    console.error(`[WEBHOOKS] ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+// ============================================
+// ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/webhooks
+ * List endpoints (secrets are masked)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const endpoints = await req.prisma.webhookEndpoint.findMany({
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.json({
+            success: true,
+            data: endpoints.map((endpoint) => webhookService.serializeEndpoint(endpoint))
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch webhook endpoints');
+    }
+});
+
+/**
+ * GET /api/webhooks/events
+ * Events an endpoint can subscribe to
+ */
+router.get('/events', (req, res) => {
+    res.json({
+        success: true,
+        data: webhookService.ALL_EVENTS
+    });
+});
+
+/**
+ * POST /api/webhooks
+ * Create an endpoint. The signing secret is returned in data.secret.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const endpoint = await req.prisma.webhookEndpoint.create({
+            data: {
+                ...webhookService.buildEndpointData(req.body),
+                secret: webhookService.generateSecret(),
+                createdBy: req.user.id
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook endpoint created',
+            data: webhookService.serializeEndpoint(endpoint, { includeSecret: true })
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create webhook endpoint');
+    }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update url, description, events or active flag
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const endpoint = await req.prisma.webhookEndpoint.update({
+            where: { id: parseInt(req.params.id) },
+            data: webhookService.buildEndpointData(req.body, { partial: true })
+        });
+
+        res.json({
+            success: true,
+            message: 'Webhook endpoint updated',
+            data: webhookService.serializeEndpoint(endpoint)
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update webhook endpoint');
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret (returned once in data.secret)
+ */
+router.post('/:id/rotate-secret', async (req, res) => {
+    try {
+        const endpoint = await req.prisma.webhookEndpoint.update({
+            where: { id: parseInt(req.params.id) },
+            data: { secret: webhookService.generateSecret() }
+        });
+
+        res.json({
+            success: true,
+            message: 'Signing secret rotated',
+            data: webhookService.serializeEndpoint(endpoint, { includeSecret: true })
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to rotate webhook secret');
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a webhook.test event now and return the delivery
+ */
+router.post('/:id/test', async (req, res) => {
+    try {
+        const delivery = await webhookService.sendTestEvent(req.prisma, req.params.id);
+
+        res.json({
+            success: true,
+            message: delivery.status === 'success' ? 'Test event delivered' : 'Test event failed',
+            data: delivery
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to send test event');
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete an endpoint and its delivery history
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        await req.prisma.webhookEndpoint.delete({
+            where: { id: parseInt(req.params.id) }
+        });
+
+        res.json({
+            success: true,
+            message: 'Webhook endpoint deleted'
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete webhook endpoint');
+    }
+});
+
+// ============================================
+// DELIVERIES
+// ============================================
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log (query: endpointId, status, event, page, limit)
+ */
+router.get('/deliveries', async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+        const where = {};
+        if (req.query.endpointId) where.endpointId = parseInt(req.query.endpointId);
+        if (req.query.status) where.status = String(req.query.status);
+        if (req.query.event) where.event = String(req.query.event);
+
+        const [deliveries, total] = await Promise.all([
+            req.prisma.webhookDelivery.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                skip: (page - 1) * limit,
+                take: limit,
+                select: {
+                    id: true,
+                    endpointId: true,
+                    event: true,
+                    eventId: true,
+                    status: true,
+                    attempts: true,
+                    nextAttemptAt: true,
+                    lastAttemptAt: true,
+                    responseStatus: true,
+                    error: true,
+                    deliveredAt: true,
+                    replayOfId: true,
+                    createdAt: true,
+                    endpoint: { select: { url: true } }
+                }
+            }),
+            req.prisma.webhookDelivery.count({ where })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                deliveries,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch webhook deliveries');
+    }
+});
+
+/**
+ * GET /api/webhooks/deliveries/:id
+ * One delivery with its payload and last response
+ */
+router.get('/deliveries/:id', async (req, res) => {
+    try {
+        const delivery = await req.prisma.webhookDelivery.findUnique({
+            where: { id: parseInt(req.params.id) },
+            include: { endpoint: { select: { url: true } } }
+        });
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook delivery not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: delivery
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch webhook delivery');
+    }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/replay
+ * Re-send a delivery as a new attempt chain
+ */
+router.post('/deliveries/:id/replay', async (req, res) => {
+    try {
+        const delivery = await webhookService.replayDelivery(req.prisma, req.params.id);
+
+        res.json({
+            success: true,
+            message: delivery.status === 'success' ? 'Delivery replayed' : 'Replay failed, will retry',
+            data: delivery
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to replay webhook delivery');
+    }
+});
+
+module.exports = router;
@@ -60,6 +60,7 @@ function setupDataDirectories() {
         path.join(USER_DATA_PATH, 'uploads'),
         path.join(USER_DATA_PATH, 'uploads', 'members'),
         path.join(USER_DATA_PATH, 'uploads', 'products'),
+        path.join(USER_DATA_PATH, 'uploads', 'expenses'),
         path.join(USER_DATA_PATH, 'faces'),
         path.join(USER_DATA_PATH, 'backups')
     ];
@@ -180,6 +181,21 @@ app.use('/api/sales', require('./routes/sales'));
 app.use('/api/services', require('./routes/services'));
 app.use('/api/appointments', require('./routes/appointments'));
 app.use('/api/coaches', require('./routes/coaches'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/branches', require('./routes/branches'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/expenses', require('./routes/expenses'));
+app.use('/api/leads', require('./routes/leads'));
+app.use('/api/access-control', require('./routes/accessControl'));
+app.use('/api/credentials', require('./routes/credentials'));
+app.use('/api/kiosk', require('./routes/kiosk'));
+app.use('/api/promotions', require('./routes/promotions'));
+app.use('/api/classes', require('./routes/classes'));
+app.use('/api/availability', require('./routes/availability'));
+
+// Public API for external integrations (API key auth)
+app.use('/api/v1', require('./routes/v1'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -266,7 +282,8 @@ app.use((err, req, res, next) => {
     });
 });
 
-const SessionJobs = require('./jobs/sessionJobs');
+const JobScheduler = require('./jobs');
+const webhookService = require('./services/webhookService');
 const licenseService = require('./services/licenseService');
 
 async function logAppointmentSchemaWarnings() {
@@ -300,8 +317,8 @@ async function startServer() {
         console.log('âœ… Database connected');
         await logAppointmentSchemaWarnings();
 
-        // Start session scanner
-        SessionJobs.startScanner();
+        // Send webhook deliveries as soon as events are queued
+        webhookService.setDispatchClient(prisma);
         // Start background license revalidation loop
         licenseService.startBackgroundValidation();
 
@@ -316,6 +333,11 @@ async function startServer() {
             console.log(`ðŸ”§ Environment: ${isDev ? 'development' : 'production'}`);
             console.log(`ðŸªµ Error logs: ${loggerState.errorLogPath}`);
             console.log('');
+
+            // Start background job scheduler (missed runs are caught up without holding the API)
+            JobScheduler.start({ prisma, userDataPath: USER_DATA_PATH }).catch((error) => {
+                console.error('[JOBS] Scheduler failed to start:', error.message);
+            });
         });
 
     } catch (error) {
@@ -328,6 +350,7 @@ async function startServer() {
 process.on('SIGINT', async () => {
     console.log('\nðŸ‘‹ Shutting down gracefully...');
     licenseService.stopBackgroundValidation();
+    JobScheduler.stop();
     await prisma.$disconnect();
     process.exit(0);
 });
@@ -335,6 +358,7 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
     console.log('\nðŸ‘‹ Shutting down gracefully...');
     licenseService.stopBackgroundValidation();
+    JobScheduler.stop();
     await prisma.$disconnect();
     process.exit(0);
 });
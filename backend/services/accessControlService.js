@@ -0,0 +1,549 @@
+/**
+ * ============================================
+ * ACCESS CONTROL SERVICE
+ * ============================================
+ *
+ * Bridge to turnstiles and door relays (AccessDevice rows).
+ * A driver is created from the device config and exposes:
+ *   open({ pulseMs }) -> { ok, errorCode, errorMessage }
+ *
+ * Devices open when staff record a check-in at their branch
+ * (openOnCheckIn) and when their reader posts a card/QR scan that
+ * passes the normal check-in eligibility rules. Every open command
+ * and scan is written to AccessDeviceEvent.
+ *
+ * Commands are plain text, or bytes when prefixed with "hex:"
+ * (e.g. "hex:A00101A2"). "{pulseMs}" and "{door}" are replaced
+ * before sending.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const axios = require('axios');
+const { hashKey } = require('./apiKeyService');
+const { recordCheckIn } = require('./checkInService');
+const { findCredential } = require('./credentialService');
+
+const DEFAULT_PULSE_MS = 1000;
+const MAX_PULSE_MS = 30000;
+const DEFAULT_TIMEOUT_MS = 5000;
+const EVENT_RETENTION_DAYS = 90;
+
+const TOKEN_PREFIX = 'acd_';
+
+// Config fields never returned to the client as-is
+const SECRET_FIELDS = ['authHeaderValue', 'password'];
+const MASKED_VALUE = '********';
+
+const SCAN_TYPES = ['card', 'qr'];
+
+function success() {
+    return { ok: true };
+}
+
+function failure(errorCode, errorMessage) {
+    return {
+        ok: false,
+        errorCode: String(errorCode || 'UNKNOWN_ERROR'),
+        errorMessage: errorMessage ? String(errorMessage).slice(0, 500) : null
+    };
+}
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Build the bytes of a device command
+ */
+function encodeCommand(command, values = {}) {
+    const text = String(command || '').replace(/\{(\w+)\}/g, (match, key) => (
+        values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+    ));
+    if (text.toLowerCase().startsWith('hex:')) {
+        const hex = text.slice(4).replace(/[\s:]/g, '');
+        if (!/^([0-9a-f]{2})+$/i.test(hex)) return null;
+        return Buffer.from(hex, 'hex');
+    }
+    return Buffer.from(text, 'utf8');
+}
+
+// ============================================
+// DRIVERS
+// ============================================
+
+/**
+ * HTTP relay board (ESP/Shelly style boards, vendor controllers).
+ * Config: { url, method, body, authHeaderName, authHeaderValue, timeoutMs }
+ * "{pulseMs}" in the url or body is replaced with the pulse length.
+ */
+function createHttpRelayDriver(config = {}) {
+    return {
+        name: 'http_relay',
+        async open({ pulseMs }) {
+            if (!config.url) return failure('DEVICE_NOT_CONFIGURED', 'Relay URL is not set');
+
+            const fill = (value) => String(value).replace(/\{pulseMs\}/g, String(pulseMs));
+            const headers = {};
+            if (config.authHeaderName && config.authHeaderValue) headers[config.authHeaderName] = config.authHeaderValue;
+            const method = String(config.method || 'POST').toUpperCase();
+
+            try {
+                await axios.request({
+                    url: fill(config.url),
+                    method,
+                    headers,
+                    data: method === 'GET' || !config.body ? undefined : fill(config.body),
+                    timeout: config.timeoutMs || DEFAULT_TIMEOUT_MS
+                });
+                return success();
+            } catch (error) {
+                if (error?.response) {
+                    return failure(`HTTP_${error.response.status}`, error.message);
+                }
+                return failure(error?.code || 'NETWORK_ERROR', error?.message);
+            }
+        }
+    };
+}
+
+/**
+ * Serial / USB relay module.
+ * Config: { path, baudRate, openCommand, closeCommand }
+ * closeCommand is sent after pulseMs for relays that do not release on their own.
+ * Needs the optional "serialport" package on the machine running the server.
+ */
+function createSerialRelayDriver(config = {}) {
+    return {
+        name: 'serial_relay',
+        async open({ pulseMs }) {
+            if (!config.path || !config.openCommand) {
+                return failure('DEVICE_NOT_CONFIGURED', 'Serial port path or open command is not set');
+            }
+
+            let SerialPort;
+            try {
+                ({ SerialPort } = require('serialport'));
+            } catch (error) {
+                return failure('DRIVER_UNAVAILABLE', 'The serialport package is not installed');
+            }
+
+            const openCommand = encodeCommand(config.openCommand, { pulseMs });
+            const closeCommand = config.closeCommand ? encodeCommand(config.closeCommand, { pulseMs }) : null;
+            if (!openCommand || (config.closeCommand && !closeCommand)) {
+                return failure('INVALID_COMMAND', 'Relay command is not valid hex');
+            }
+
+            const port = new SerialPort({
+                path: config.path,
+                baudRate: parseInt(config.baudRate || 9600),
+                autoOpen: false
+            });
+            const call = (method, ...args) => new Promise((resolve, reject) => {
+                port[method](...args, (error) => (error ? reject(error) : resolve()));
+            });
+
+            try {
+                await call('open');
+                await call('write', openCommand);
+                await call('drain');
+                if (closeCommand) {
+                    await wait(pulseMs);
+                    await call('write', closeCommand);
+                    await call('drain');
+                }
+                return success();
+            } catch (error) {
+                return failure(error?.code || 'SERIAL_ERROR', error?.message);
+            } finally {
+                if (port.isOpen) port.close(() => {});
+            }
+        }
+    };
+}
+
+/**
+ * Wiegand access controller reachable over TCP.
+ * Config: { host, port, openCommand, door, expectReply, timeoutMs }
+ * With expectReply the command only succeeds once the controller answers.
+ */
+function createWiegandTcpDriver(config = {}) {
+    return {
+        name: 'wiegand_tcp',
+        open({ pulseMs }) {
+            if (!config.host || !config.port || !config.openCommand) {
+                return Promise.resolve(failure('DEVICE_NOT_CONFIGURED', 'Controller host, port or open command is not set'));
+            }
+            const command = encodeCommand(config.openCommand, { pulseMs, door: config.door || 1 });
+            if (!command) return Promise.resolve(failure('INVALID_COMMAND', 'Open command is not valid hex'));
+
+            return new Promise((resolve) => {
+                let settled = false;
+                const socket = net.createConnection({ host: config.host, port: parseInt(config.port) });
+                const finish = (result) => {
+                    if (settled) return;
+                    settled = true;
+                    socket.destroy();
+                    resolve(result);
+                };
+
+                socket.setTimeout(config.timeoutMs || DEFAULT_TIMEOUT_MS);
+                socket.on('connect', () => {
+                    socket.write(command, (error) => {
+                        if (error) return finish(failure(error.code || 'SOCKET_ERROR', error.message));
+                        if (!config.expectReply) finish(success());
+                    });
+                });
+                socket.on('data', () => finish(success()));
+                socket.on('timeout', () => finish(failure('ETIMEDOUT', 'Controller did not answer in time')));
+                socket.on('error', (error) => finish(failure(error.code || 'SOCKET_ERROR', error.message)));
+                socket.on('close', () => finish(failure('CONNECTION_CLOSED', 'Controller closed the connection')));
+            });
+        }
+    };
+}
+
+const simulatedCommands = [];
+
+/**
+ * Simulated relay for testing the full flow without hardware.
+ * Config: { failWith: null | 'OFFLINE' | 'JAMMED', latencyMs }
+ */
+function createSimulatedDriver(config = {}) {
+    return {
+        name: 'simulated',
+        async open({ pulseMs, deviceId }) {
+            if (config.latencyMs) await wait(Number(config.latencyMs));
+            if (config.failWith === 'OFFLINE') return failure('ECONNREFUSED', 'Simulated device is offline');
+            if (config.failWith === 'JAMMED') return failure('DEVICE_JAMMED', 'Simulated relay did not respond');
+
+            simulatedCommands.push({ deviceId: deviceId ?? null, command: 'open', pulseMs, sentAt: new Date() });
+            return success();
+        }
+    };
+}
+
+const DRIVER_FACTORIES = {
+    simulated: createSimulatedDriver,
+    http_relay: createHttpRelayDriver,
+    serial_relay: createSerialRelayDriver,
+    wiegand_tcp: createWiegandTcpDriver
+};
+
+/**
+ * Register an additional driver (e.g. a vendor SDK)
+ */
+function registerDriver(name, factory) {
+    if (!name || typeof factory !== 'function') {
+        throw new Error('Driver name and factory function are required');
+    }
+    DRIVER_FACTORIES[name] = factory;
+}
+
+function getDriverNames() {
+    return Object.keys(DRIVER_FACTORIES);
+}
+
+// ============================================
+// DEVICES
+// ============================================
+
+function parseConfig(device) {
+    if (!device?.config) return {};
+    try {
+        const parsed = JSON.parse(device.config);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Device as returned to the client (secrets masked, token hash hidden)
+ */
+function serializeDevice(device) {
+    const { config, readerTokenHash, ...rest } = device;
+    const masked = parseConfig(device);
+    SECRET_FIELDS.forEach((field) => {
+        if (masked[field]) masked[field] = MASKED_VALUE;
+    });
+    return {
+        ...rest,
+        config: masked,
+        hasReaderToken: Boolean(readerTokenHash)
+    };
+}
+
+/**
+ * Build create/update data for a device from request input.
+ * Masked secrets echoed back by the client keep the stored value.
+ */
+function buildDeviceData(input = {}, existing = null) {
+    const data = {};
+    if (!existing || input.name !== undefined) {
+        const name = String(input.name || '').trim();
+        if (!name) throw createError(400, 'INVALID_DEVICE', 'Device name is required');
+        data.name = name;
+    }
+    if (!existing || input.driver !== undefined) {
+        if (!DRIVER_FACTORIES[input.driver]) {
+            throw createError(400, 'UNKNOWN_DRIVER', `Unknown driver: ${input.driver}`);
+        }
+        data.driver = input.driver;
+    }
+    if (!existing || input.config !== undefined) {
+        const config = input.config || {};
+        if (typeof config !== 'object' || Array.isArray(config)) {
+            throw createError(400, 'INVALID_DEVICE', 'config must be an object');
+        }
+        const stored = existing ? parseConfig(existing) : {};
+        const merged = { ...config };
+        SECRET_FIELDS.forEach((field) => {
+            if (config[field] === MASKED_VALUE) merged[field] = stored[field];
+        });
+        data.config = JSON.stringify(merged);
+    }
+    if (input.branchId !== undefined) {
+        const branchId = input.branchId === null || input.branchId === '' ? null : parseInt(input.branchId);
+        if (Number.isNaN(branchId)) throw createError(400, 'INVALID_DEVICE', 'Invalid branch');
+        data.branchId = branchId;
+    }
+    if (input.pulseMs !== undefined) {
+        const pulseMs = parseInt(input.pulseMs);
+        if (!Number.isInteger(pulseMs) || pulseMs < 100 || pulseMs > MAX_PULSE_MS) {
+            throw createError(400, 'INVALID_DEVICE', `pulseMs must be between 100 and ${MAX_PULSE_MS}`);
+        }
+        data.pulseMs = pulseMs;
+    }
+    if (input.isActive !== undefined) data.isActive = Boolean(input.isActive);
+    if (input.openOnCheckIn !== undefined) data.openOnCheckIn = Boolean(input.openOnCheckIn);
+    return data;
+}
+
+/**
+ * New reader token. Only the hash is stored; the token is shown once.
+ */
+function generateReaderToken() {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    return {
+        token,
+        readerTokenHash: hashKey(token),
+        readerTokenHint: `${token.slice(0, 8)}…`
+    };
+}
+
+async function findDeviceByToken(prisma, token) {
+    if (!token || !String(token).startsWith(TOKEN_PREFIX)) return null;
+    const device = await prisma.accessDevice.findUnique({
+        where: { readerTokenHash: hashKey(token) }
+    });
+    return device?.isActive ? device : null;
+}
+
+async function logDeviceEvent(prisma, data) {
+    try {
+        return await prisma.accessDeviceEvent.create({ data });
+    } catch (error) {
+        console.error('[ACCESS] Failed to write device event:', error);
+        return null;
+    }
+}
+
+/**
+ * Send an open command to a device and log it. Never throws.
+ * @returns {Promise<{ deviceId, name, ok, errorCode?, errorMessage? }>}
+ */
+async function openDevice(prisma, device, { type = 'open', memberId = null, checkInId = null, userId = null } = {}) {
+    const factory = DRIVER_FACTORIES[device.driver];
+    const startedAt = Date.now();
+    let result;
+    if (!factory) {
+        result = failure('UNKNOWN_DRIVER', `Unknown driver: ${device.driver}`);
+    } else {
+        try {
+            result = await factory(parseConfig(device)).open({
+                pulseMs: device.pulseMs || DEFAULT_PULSE_MS,
+                deviceId: device.id
+            });
+        } catch (error) {
+            result = failure(error?.code || 'DRIVER_ERROR', error?.message);
+        }
+    }
+
+    await logDeviceEvent(prisma, {
+        deviceId: device.id,
+        type,
+        status: result.ok ? 'success' : 'failed',
+        memberId,
+        checkInId,
+        userId,
+        reason: result.ok ? null : result.errorCode,
+        message: result.ok ? null : result.errorMessage,
+        durationMs: Date.now() - startedAt
+    });
+    if (!result.ok) {
+        console.error(`[ACCESS] Device "${device.name}" did not open: ${result.errorCode} ${result.errorMessage || ''}`);
+    }
+
+    return { deviceId: device.id, name: device.name, ...result };
+}
+
+/**
+ * Open the devices of a branch after a staff check-in. Never throws:
+ * the check-in is already recorded, a relay problem only shows in the event log.
+ * Devices without a branch open for every branch.
+ */
+async function openForCheckIn(prisma, { branchId = null, checkIn, member, userId = null }) {
+    try {
+        const devices = await prisma.accessDevice.findMany({
+            where: {
+                isActive: true,
+                openOnCheckIn: true,
+                OR: branchId ? [{ branchId: null }, { branchId }] : [{ branchId: null }]
+            },
+            orderBy: { id: 'asc' }
+        });
+        const results = [];
+        for (const device of devices) {
+            results.push(await openDevice(prisma, device, {
+                memberId: member?.id ?? null,
+                checkInId: checkIn?.id ?? null,
+                userId
+            }));
+        }
+        return results;
+    } catch (error) {
+        console.error('[ACCESS] Open on check-in failed:', error);
+        return [];
+    }
+}
+
+/**
+ * Card scans resolve through the member's issued credentials, QR scans
+ * through the member code
+ * @returns {Promise<{ member: Object|null, revoked: boolean }>}
+ */
+const findMemberByCredential = async (prisma, credential, type) => {
+    if (type !== 'card') {
+        return { member: await prisma.member.findFirst({ where: { memberId: credential } }), revoked: false };
+    }
+    const row = await findCredential(prisma, credential);
+    if (!row) return { member: null, revoked: false };
+    return { member: row.member, revoked: row.status === 'revoked' };
+};
+
+/**
+ * Handle a card or QR scan posted by a device's reader.
+ * The member goes through the same eligibility rules as a staff check-in
+ * (without a debt override); when granted the scanning device opens.
+ * A member already checked in today is let through again without a new check-in.
+ *
+ * @returns {Promise<{ granted, reason, message, arabicMessage?, member?, checkInId?, door? }>}
+ */
+async function handleScan(prisma, { device, credential, type = 'card' }) {
+    const value = String(credential ?? '').trim();
+    if (!value) throw createError(400, 'INVALID_CREDENTIAL', 'Credential is required');
+    if (!SCAN_TYPES.includes(type)) throw createError(400, 'INVALID_CREDENTIAL', `type must be one of ${SCAN_TYPES.join(', ')}`);
+
+    await prisma.accessDevice.update({ where: { id: device.id }, data: { lastSeenAt: new Date() } });
+
+    const deny = async (reason, message, extra = {}) => {
+        await logDeviceEvent(prisma, {
+            deviceId: device.id,
+            type: 'scan',
+            status: 'denied',
+            credential: value,
+            memberId: extra.member?.id ?? null,
+            reason,
+            message
+        });
+        return { granted: false, reason, message, arabicMessage: extra.arabicMessage || null };
+    };
+
+    const { member, revoked } = await findMemberByCredential(prisma, value, type);
+    if (revoked) return deny('CREDENTIAL_REVOKED', 'This card was revoked', { member, arabicMessage: 'تم إلغاء هذه البطاقة.' });
+    if (!member) return deny('MEMBER_NOT_FOUND', 'Unknown card or code', { arabicMessage: 'البطاقة أو الكود غير معروف.' });
+    if (!member.isActive) return deny('MEMBER_INACTIVE', 'Member account is inactive', { member });
+
+    let checkInId = null;
+    let reason = 'ELIGIBLE';
+    try {
+        const result = await recordCheckIn(prisma, {
+            member,
+            method: type,
+            branchId: device.branchId
+        });
+        checkInId = result.checkIn.id;
+    } catch (error) {
+        if (error.code === 'ALREADY_CHECKED_IN') {
+            checkInId = error.checkIn?.id ?? null;
+            reason = 'ALREADY_CHECKED_IN';
+        } else if (error.status && error.status < 500) {
+            return deny(error.reason || error.code || 'NOT_ELIGIBLE', error.message, { member, arabicMessage: error.arabicMessage });
+        } else {
+            throw error;
+        }
+    }
+
+    await logDeviceEvent(prisma, {
+        deviceId: device.id,
+        type: 'scan',
+        status: 'granted',
+        credential: value,
+        memberId: member.id,
+        checkInId,
+        reason
+    });
+    const door = await openDevice(prisma, device, { memberId: member.id, checkInId });
+
+    return {
+        granted: true,
+        reason,
+        message: 'Access granted',
+        member: {
+            id: member.id,
+            memberId: member.memberId,
+            firstName: member.firstName,
+            lastName: member.lastName
+        },
+        checkInId,
+        door
+    };
+}
+
+/**
+ * Delete device events older than the retention period
+ */
+async function pruneDeviceEvents(prisma, now = new Date()) {
+    const cutoff = new Date(now.getTime() - EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const result = await prisma.accessDeviceEvent.deleteMany({
+        where: { createdAt: { lt: cutoff } }
+    });
+    return { processed: result.count };
+}
+
+module.exports = {
+    DEFAULT_PULSE_MS,
+    EVENT_RETENTION_DAYS,
+    MASKED_VALUE,
+    SCAN_TYPES,
+    encodeCommand,
+    registerDriver,
+    getDriverNames,
+    serializeDevice,
+    buildDeviceData,
+    generateReaderToken,
+    findDeviceByToken,
+    logDeviceEvent,
+    openDevice,
+    openForCheckIn,
+    handleScan,
+    pruneDeviceEvents,
+    getSimulatedCommands: () => simulatedCommands.slice(),
+    clearSimulatedCommands: () => { simulatedCommands.length = 0; }
+};
@@ -10,6 +10,7 @@
  */
 
 const { PrismaClient } = require('@prisma/client');
+const { CURRENT_STATUSES } = require('./subscriptionLifecycleService');
 const prisma = new PrismaClient();
 
 const analyticsService = {
@@ -112,7 +113,7 @@ const analyticsService = {
                     status: 'active',
                     subscriptions: {
                         some: {
-                            status: 'active'
+                            status: { in: CURRENT_STATUSES }
                         }
                     }
                 },
@@ -174,7 +175,7 @@ const analyticsService = {
 
             const expiringSubscriptions = await prisma.subscription.findMany({
                 where: {
-                    status: 'active',
+                    status: { in: CURRENT_STATUSES },
                     endDate: {
                         gte: new Date(),
                         lte: thirtyDaysFromNow
@@ -0,0 +1,339 @@
+/**
+ * ============================================
+ * API KEY SERVICE
+ * ============================================
+ *
+ * API keys for the public REST API (/api/v1):
+ * - Key generation and SHA-256 hashing (plaintext is shown once)
+ * - Scope validation
+ * - Per-key fixed-window rate limiting (in memory)
+ * - Cursor pagination helpers for the v1 endpoints
+ * - Access log writes and pruning
+ */
+
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'gym_';
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const MAX_RATE_LIMIT_PER_MINUTE = 6000;
+const ACCESS_LOG_RETENTION_DAYS = 90;
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+const API_SCOPES = {
+    MEMBERS_READ: 'members:read',
+    SUBSCRIPTIONS_READ: 'subscriptions:read',
+    PLANS_READ: 'plans:read',
+    CHECKINS_READ: 'checkins:read',
+    CHECKINS_WRITE: 'checkins:write',
+    PAYMENTS_READ: 'payments:read'
+};
+
+const ALL_SCOPES = Object.values(API_SCOPES);
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+/**
+ * SHA-256 hex digest of a plaintext key
+ * @param {string} key
+ * @returns {string}
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generate a new plaintext key. The prefix is stored in clear so admins
+ * can tell keys apart; the full key is only ever stored hashed.
+ * @returns {{ key: string, prefix: string, keyHash: string }}
+ */
+function generateKey() {
+    const prefix = `${KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const key = `${prefix}_${secret}`;
+    return { key, prefix, keyHash: hashKey(key) };
+}
+
+/**
+ * Validate requested scopes against the known scope list
+ * @param {string[]} scopes
+ * @returns {string[]} De-duplicated scopes
+ */
+function normalizeScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw createError(400, 'INVALID_SCOPES', 'At least one scope is required');
+    }
+    const unique = [...new Set(scopes.map((scope) => String(scope).trim()))];
+    const unknown = unique.filter((scope) => !ALL_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        throw createError(400, 'INVALID_SCOPES', `Unknown scope(s): ${unknown.join(', ')}`);
+    }
+    return unique;
+}
+
+function normalizeRateLimit(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_RATE_LIMIT_PER_MINUTE;
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_RATE_LIMIT_PER_MINUTE) {
+        throw createError(400, 'INVALID_RATE_LIMIT', `rateLimitPerMinute must be between 1 and ${MAX_RATE_LIMIT_PER_MINUTE}`);
+    }
+    return parsed;
+}
+
+function normalizeExpiresAt(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw createError(400, 'INVALID_EXPIRY', 'expiresAt must be a valid date');
+    }
+    return date;
+}
+
+const parseScopes = (apiKey) => {
+    try {
+        const scopes = JSON.parse(apiKey?.scopes || '[]');
+        return Array.isArray(scopes) ? scopes : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Public shape of an API key (never includes the hash)
+ */
+function serializeApiKey(apiKey) {
+    const { keyHash, scopes, ...rest } = apiKey;
+    return {
+        ...rest,
+        scopes: parseScopes(apiKey)
+    };
+}
+
+/**
+ * Create an API key. Returns the plaintext key once; only the hash is stored.
+ * @param {PrismaClient} prisma
+ * @param {Object} input - { name, scopes, rateLimitPerMinute, expiresAt }
+ * @param {number|null} userId - Admin creating the key
+ * @returns {Promise<{ apiKey: Object, key: string }>}
+ */
+async function createApiKey(prisma, input, userId = null) {
+    const name = String(input?.name || '').trim();
+    if (!name) {
+        throw createError(400, 'INVALID_NAME', 'API key name is required');
+    }
+
+    const scopes = normalizeScopes(input.scopes);
+    const rateLimitPerMinute = normalizeRateLimit(input.rateLimitPerMinute);
+    const expiresAt = normalizeExpiresAt(input.expiresAt);
+    const { key, prefix, keyHash } = generateKey();
+
+    const apiKey = await prisma.apiKey.create({
+        data: {
+            name,
+            prefix,
+            keyHash,
+            scopes: JSON.stringify(scopes),
+            rateLimitPerMinute,
+            expiresAt,
+            createdBy: userId
+        }
+    });
+
+    return { apiKey: serializeApiKey(apiKey), key };
+}
+
+/**
+ * Build the update payload for PUT /api/api-keys/:id
+ */
+function buildApiKeyUpdate(input = {}) {
+    const data = {};
+    if (input.name !== undefined) {
+        const name = String(input.name || '').trim();
+        if (!name) throw createError(400, 'INVALID_NAME', 'API key name is required');
+        data.name = name;
+    }
+    if (input.scopes !== undefined) data.scopes = JSON.stringify(normalizeScopes(input.scopes));
+    if (input.rateLimitPerMinute !== undefined) data.rateLimitPerMinute = normalizeRateLimit(input.rateLimitPerMinute);
+    if (input.expiresAt !== undefined) data.expiresAt = normalizeExpiresAt(input.expiresAt);
+    return data;
+}
+
+/**
+ * Look up a plaintext key. Returns null for unknown, revoked, inactive or expired keys.
+ * @param {PrismaClient} prisma
+ * @param {string} key
+ * @param {Date} [now]
+ */
+async function verifyApiKey(prisma, key, now = new Date()) {
+    if (!key || !String(key).startsWith(KEY_PREFIX)) return null;
+
+    const apiKey = await prisma.apiKey.findUnique({
+        where: { keyHash: hashKey(key) }
+    });
+    if (!apiKey || !apiKey.isActive || apiKey.revokedAt) return null;
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= now) return null;
+
+    return { ...apiKey, scopeList: parseScopes(apiKey) };
+}
+
+/**
+ * Record usage time/IP, at most once a minute per key
+ */
+async function touchApiKey(prisma, apiKey, ip, now = new Date()) {
+    if (apiKey.lastUsedAt && now - new Date(apiKey.lastUsedAt) < LAST_USED_THROTTLE_MS) {
+        return;
+    }
+    await prisma.apiKey.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: now, lastUsedIp: ip || null }
+    });
+}
+
+/**
+ * Fixed one-minute window rate limiter keyed by API key id
+ */
+function createRateLimiter() {
+    const windows = new Map();
+
+    return {
+        /**
+         * @returns {{ allowed: boolean, limit: number, remaining: number, resetAt: number }}
+         */
+        consume(keyId, limit, nowMs = Date.now()) {
+            const windowStart = nowMs - (nowMs % 60000);
+            let entry = windows.get(keyId);
+            if (!entry || entry.windowStart !== windowStart) {
+                entry = { windowStart, count: 0 };
+                windows.set(keyId, entry);
+            }
+
+            const resetAt = windowStart + 60000;
+            if (entry.count >= limit) {
+                return { allowed: false, limit, remaining: 0, resetAt };
+            }
+            entry.count += 1;
+            return { allowed: true, limit, remaining: limit - entry.count, resetAt };
+        },
+        reset() {
+            windows.clear();
+        }
+    };
+}
+
+const rateLimiter = createRateLimiter();
+
+// ============================================
+// PAGINATION
+// ============================================
+
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 200;
+
+function parseLimit(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_PAGE_LIMIT;
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw createError(400, 'INVALID_LIMIT', 'limit must be a positive integer');
+    }
+    return Math.min(parsed, MAX_PAGE_LIMIT);
+}
+
+function encodeCursor(id) {
+    return Buffer.from(JSON.stringify({ id })).toString('base64url');
+}
+
+/**
+ * @returns {number|null} Last seen id, or null when no cursor was given
+ */
+function decodeCursor(cursor) {
+    if (!cursor) return null;
+    try {
+        const { id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (Number.isInteger(id) && id > 0) return id;
+    } catch (error) {
+        // fall through
+    }
+    throw createError(400, 'INVALID_CURSOR', 'Invalid pagination cursor');
+}
+
+/**
+ * Prisma args for an id-ordered page: fetches one extra row to know if more exist
+ */
+function pageArgs({ cursor, limit }) {
+    const afterId = decodeCursor(cursor);
+    return {
+        where: afterId ? { id: { gt: afterId } } : {},
+        orderBy: { id: 'asc' },
+        take: limit + 1
+    };
+}
+
+/**
+ * Trim the extra row and build the pagination block
+ */
+function buildPage(rows, limit, serialize = (row) => row) {
+    const hasMore = rows.length > limit;
+    const items = hasMore ? rows.slice(0, limit) : rows;
+    return {
+        data: items.map(serialize),
+        pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(items[items.length - 1].id) : null
+        }
+    };
+}
+
+// ============================================
+// ACCESS LOG
+// ============================================
+
+async function logAccess(prisma, entry) {
+    await prisma.apiAccessLog.create({
+        data: {
+            apiKeyId: entry.apiKeyId ?? null,
+            method: entry.method,
+            path: String(entry.path || '').slice(0, 500),
+            statusCode: entry.statusCode,
+            durationMs: entry.durationMs ?? null,
+            ip: entry.ip || null
+        }
+    });
+}
+
+async function pruneAccessLogs(prisma, now = new Date(), retentionDays = ACCESS_LOG_RETENTION_DAYS) {
+    const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+    const result = await prisma.apiAccessLog.deleteMany({
+        where: { createdAt: { lt: cutoff } }
+    });
+    return { processed: result.count };
+}
+
+module.exports = {
+    API_SCOPES,
+    ALL_SCOPES,
+    KEY_PREFIX,
+    DEFAULT_RATE_LIMIT_PER_MINUTE,
+    ACCESS_LOG_RETENTION_DAYS,
+    hashKey,
+    generateKey,
+    normalizeScopes,
+    serializeApiKey,
+    createApiKey,
+    buildApiKeyUpdate,
+    verifyApiKey,
+    touchApiKey,
+    createRateLimiter,
+    rateLimiter,
+    parseLimit,
+    encodeCursor,
+    decodeCursor,
+    pageArgs,
+    buildPage,
+    logAccess,
+    pruneAccessLogs
+};
@@ -0,0 +1,261 @@
+/**
+ * ============================================
+ * APPOINTMENT PACKAGE SERVICE
+ * ============================================
+ *
+ * Personal training appointments booked against a session package
+ * (MemberPackage). The package is chosen at booking; the session is taken
+ * off the balance when the appointment is completed (PackageSessionUsage,
+ * source APPOINTMENT) instead of a priced payment.
+ *
+ * Cancelled and no-show appointments follow the package policy settings:
+ * - `appointment_package_restore_on_cancel` (default on): a cancelled
+ *   booking never uses a session
+ * - `appointment_package_restore_on_no_show` (default off): a no-show
+ *   forfeits the session unless this is on
+ * Changing the status again later takes or gives back the session to match.
+ * A service can forfeit the session on no-shows and late cancellations
+ * regardless (appointmentPolicyService).
+ *
+ * The session is valued at the package's per-session price (sessionPrice,
+ * else plan price / total sessions); coach commission is based on it.
+ */
+
+const { roundMoney } = require('../utils/money');
+
+const PACKAGE_POLICY_SETTINGS = {
+    restoreOnCancel: { key: 'appointment_package_restore_on_cancel', default: true },
+    restoreOnNoShow: { key: 'appointment_package_restore_on_no_show', default: false }
+};
+
+// Bookings that hold a session of their package until they are completed
+const RESERVING_STATUSES = ['booked', 'arrived'];
+const COMPLETED_STATUSES = ['completed', 'auto_completed'];
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+/**
+ * Read the restore policy (defaults for missing keys)
+ */
+async function getPackagePolicy(prisma) {
+    const keys = Object.values(PACKAGE_POLICY_SETTINGS).map((def) => def.key);
+    const rows = await prisma.setting.findMany({ where: { key: { in: keys } } });
+    const byKey = new Map(rows.map((row) => [row.key, row.value]));
+    const flag = (name) => {
+        const value = byKey.get(PACKAGE_POLICY_SETTINGS[name].key);
+        return value === undefined || value === null ? PACKAGE_POLICY_SETTINGS[name].default : String(value) === 'true';
+    };
+    return {
+        restoreOnCancel: flag('restoreOnCancel'),
+        restoreOnNoShow: flag('restoreOnNoShow')
+    };
+}
+
+/**
+ * Value of one session of a package
+ */
+function getPackageSessionValue(pkg) {
+    if (!pkg) return 0;
+    if (pkg.sessionPrice !== null && pkg.sessionPrice !== undefined && Number.isFinite(Number(pkg.sessionPrice))) {
+        return roundMoney(Number(pkg.sessionPrice));
+    }
+    const planPrice = Number(pkg.plan?.price || 0);
+    const totalSessions = Number(pkg.totalSessions || 0);
+    return planPrice > 0 && totalSessions > 0 ? roundMoney(planPrice / totalSessions) : 0;
+}
+
+/**
+ * Whether an appointment in this status uses up its package session
+ */
+function sessionUsedFor(status, policy) {
+    const normalized = String(status || '').toLowerCase();
+    if (COMPLETED_STATUSES.includes(normalized)) return true;
+    if (normalized === 'no_show') return !policy.restoreOnNoShow;
+    if (normalized === 'cancelled') return !policy.restoreOnCancel;
+    return false;
+}
+
+/**
+ * Upcoming bookings on a package that have not taken their session yet
+ */
+async function countReservedSessions(tx, memberPackageId, excludeAppointmentId = null) {
+    return tx.appointment.count({
+        where: {
+            memberPackageId,
+            packageUsageId: null,
+            status: { in: RESERVING_STATUSES },
+            ...(excludeAppointmentId ? { id: { not: parseInt(excludeAppointmentId) } } : {})
+        }
+    });
+}
+
+/**
+ * Load and check the package a member wants to book a session on.
+ * Sessions already reserved by other upcoming bookings count as taken.
+ */
+async function resolveBookingPackage(tx, { memberPackageId, memberId, serviceId = null, start, excludeAppointmentId = null }) {
+    const id = parseInt(memberPackageId);
+    const pkg = Number.isInteger(id)
+        ? await tx.memberPackage.findUnique({ where: { id }, include: { plan: true } })
+        : null;
+    if (!pkg || (memberId && pkg.memberId !== parseInt(memberId))) {
+        throw createError(404, 'PACKAGE_NOT_FOUND', 'Package not found for this member');
+    }
+    if (pkg.status !== 'ACTIVE') {
+        throw createError(400, 'PACKAGE_NOT_ACTIVE', 'The package is not active');
+    }
+    if (pkg.endDate && start && new Date(pkg.endDate) < new Date(start)) {
+        throw createError(400, 'PACKAGE_EXPIRED', 'The package ends before this appointment');
+    }
+    const packageServiceId = pkg.plan?.packageSessionServiceId ?? null;
+    if (packageServiceId && serviceId && packageServiceId !== parseInt(serviceId)) {
+        throw createError(400, 'PACKAGE_SERVICE_MISMATCH', 'The package does not cover this service');
+    }
+
+    const reserved = await countReservedSessions(tx, pkg.id, excludeAppointmentId);
+    if (pkg.remainingSessions - reserved <= 0) {
+        throw createError(409, 'PACKAGE_NO_SESSIONS_LEFT', 'No sessions left on this package');
+    }
+
+    return { ...pkg, reservedSessions: reserved, sessionValue: getPackageSessionValue(pkg) };
+}
+
+/**
+ * Active packages of a member with sessions free for a new booking
+ */
+async function findBookablePackages(tx, memberId, { serviceId = null, now = new Date() } = {}) {
+    const packages = await tx.memberPackage.findMany({
+        where: {
+            memberId: parseInt(memberId),
+            status: 'ACTIVE',
+            remainingSessions: { gt: 0 },
+            plan: { type: 'PACKAGE' },
+            OR: [{ endDate: null }, { endDate: { gte: now } }]
+        },
+        include: { plan: true },
+        orderBy: [{ endDate: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    const result = [];
+    for (const pkg of packages) {
+        const packageServiceId = pkg.plan?.packageSessionServiceId ?? null;
+        if (packageServiceId && serviceId && packageServiceId !== parseInt(serviceId)) continue;
+        const reserved = await countReservedSessions(tx, pkg.id);
+        result.push({
+            id: pkg.id,
+            name: pkg.sessionName || pkg.plan?.name || null,
+            planName: pkg.plan?.name || null,
+            serviceId: packageServiceId,
+            endDate: pkg.endDate,
+            totalSessions: pkg.totalSessions,
+            remainingSessions: pkg.remainingSessions,
+            reservedSessions: reserved,
+            availableSessions: Math.max(pkg.remainingSessions - reserved, 0),
+            sessionValue: getPackageSessionValue(pkg)
+        });
+    }
+    return result;
+}
+
+/**
+ * Take the session of an appointment off its package. Does nothing when
+ * the session was already taken.
+ */
+async function consumePackageSession(tx, appointment, { userId = null } = {}) {
+    if (!appointment?.memberPackageId || appointment.packageUsageId) return null;
+
+    const pkg = await tx.memberPackage.findUnique({
+        where: { id: appointment.memberPackageId },
+        include: { plan: true }
+    });
+    if (!pkg) return null;
+    if (pkg.remainingSessions <= 0) {
+        throw createError(409, 'PACKAGE_NO_SESSIONS_LEFT', 'No sessions left on this package');
+    }
+
+    const usage = await tx.packageSessionUsage.create({
+        data: {
+            memberId: pkg.memberId,
+            memberPackageId: pkg.id,
+            sessionName: appointment.sessionName || appointment.title || pkg.sessionName || pkg.plan?.name || null,
+            sessionPrice: getPackageSessionValue(pkg),
+            dateTime: appointment.start ? new Date(appointment.start) : new Date(),
+            source: 'APPOINTMENT',
+            createdByEmployeeId: userId,
+            notes: `Appointment #${appointment.id}`
+        }
+    });
+    const remainingSessions = pkg.remainingSessions - 1;
+    await tx.memberPackage.update({
+        where: { id: pkg.id },
+        data: { remainingSessions, status: remainingSessions <= 0 ? 'COMPLETED' : pkg.status }
+    });
+    await tx.appointment.update({
+        where: { id: appointment.id },
+        data: { packageUsageId: usage.id }
+    });
+    return usage;
+}
+
+/**
+ * Give the session of an appointment back to its package
+ */
+async function restorePackageSession(tx, appointment) {
+    if (!appointment?.memberPackageId || !appointment.packageUsageId) return false;
+
+    await tx.packageSessionUsage.deleteMany({ where: { id: appointment.packageUsageId } });
+    const pkg = await tx.memberPackage.findUnique({ where: { id: appointment.memberPackageId } });
+    if (pkg) {
+        await tx.memberPackage.update({
+            where: { id: pkg.id },
+            data: {
+                remainingSessions: pkg.remainingSessions + 1,
+                status: pkg.status === 'COMPLETED' ? 'ACTIVE' : pkg.status
+            }
+        });
+    }
+    await tx.appointment.update({
+        where: { id: appointment.id },
+        data: { packageUsageId: null }
+    });
+    return true;
+}
+
+/**
+ * Take or give back the package session so it matches the status the
+ * appointment is moving to. `forfeit` takes it whatever the policy says
+ * (service fee policy). Returns 'consumed', 'restored' or null.
+ */
+async function syncPackageSession(tx, appointment, status, { userId = null, policy = null, forfeit = false } = {}) {
+    if (!appointment?.memberPackageId) return null;
+    const activePolicy = policy || await getPackagePolicy(tx);
+    const used = forfeit || sessionUsedFor(status, activePolicy);
+
+    if (used && !appointment.packageUsageId) {
+        await consumePackageSession(tx, appointment, { userId });
+        return 'consumed';
+    }
+    if (!used && appointment.packageUsageId) {
+        await restorePackageSession(tx, appointment);
+        return 'restored';
+    }
+    return null;
+}
+
+module.exports = {
+    PACKAGE_POLICY_SETTINGS,
+    getPackagePolicy,
+    getPackageSessionValue,
+    sessionUsedFor,
+    countReservedSessions,
+    resolveBookingPackage,
+    findBookablePackages,
+    consumePackageSession,
+    restorePackageSession,
+    syncPackageSession
+};
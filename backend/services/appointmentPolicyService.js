@@ -0,0 +1,487 @@
+/**
+ * ============================================
+ * APPOINTMENT FEE POLICY SERVICE
+ * ============================================
+ *
+ * No-show and late-cancellation consequences, configured per service
+ * (the service the appointment was booked for, Appointment.serviceId, which
+ * also sets the session tax rate):
+ * - lateCancelWindowHours: cancelling less than this many hours before the
+ *   start (or after it) is a late cancellation
+ * - noShowFee / lateCancelFee: charged to the member as an AppointmentCharge.
+ *   Available member credit is used first (MemberCreditLedger); the rest
+ *   stays outstanding until it is collected or waived
+ * - forfeitPackageSession: bookings on a session package lose the session
+ *   instead, whatever the package restore settings say. Package bookings
+ *   never pay a fee; a session the restore settings take anyway is still
+ *   recorded as a forfeit
+ * - compensateCoachOnNoShow: the coach earns the normal session commission
+ *   on the no-show fee or forfeited session value (AppointmentFinancialRecord)
+ *
+ * Moving the appointment out of no-show / cancelled removes the charge:
+ * whatever the member already paid goes back to their credit and the coach
+ * compensation is voided. A charge is only raised when the status changes,
+ * so saving an already cancelled appointment again does not turn an early
+ * cancellation into a late one. Cancellations by the gym (coach illness,
+ * closures) pass chargePolicy: false and never raise a charge.
+ */
+
+const { roundMoney } = require('../utils/money');
+const CreditService = require('./creditService');
+const { recordPaymentTransaction } = require('./paymentService');
+const { branchWhere } = require('./branchService');
+const {
+    getPackagePolicy,
+    getPackageSessionValue,
+    sessionUsedFor,
+    syncPackageSession
+} = require('./appointmentPackageService');
+
+const CHARGE_TYPES = ['no_show', 'late_cancel'];
+const CHARGE_STATUSES = ['due', 'paid', 'waived'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CHARGE_NOTES = {
+    no_show: 'No-show fee',
+    late_cancel: 'Late cancellation fee'
+};
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+const parseAmount = (value, field) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return 0;
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+        throw createError(400, 'INVALID_FEE_POLICY', `${field} must be zero or more`);
+    }
+    return roundMoney(amount);
+};
+
+/**
+ * Fee policy fields of a service create/update body (only those present)
+ */
+function parseFeePolicy(body = {}) {
+    const data = {};
+    if (body.lateCancelWindowHours !== undefined) {
+        const raw = body.lateCancelWindowHours;
+        const hours = raw === null || raw === '' ? null : Number(raw);
+        if (hours !== null && (!Number.isInteger(hours) || hours < 0)) {
+            throw createError(400, 'INVALID_FEE_POLICY', 'lateCancelWindowHours must be a whole number of hours');
+        }
+        data.lateCancelWindowHours = hours || null;
+    }
+    const lateCancelFee = parseAmount(body.lateCancelFee, 'lateCancelFee');
+    if (lateCancelFee !== undefined) data.lateCancelFee = lateCancelFee;
+    const noShowFee = parseAmount(body.noShowFee, 'noShowFee');
+    if (noShowFee !== undefined) data.noShowFee = noShowFee;
+    if (body.forfeitPackageSession !== undefined) {
+        data.forfeitPackageSession = body.forfeitPackageSession === true || body.forfeitPackageSession === 'true';
+    }
+    if (body.compensateCoachOnNoShow !== undefined) {
+        data.compensateCoachOnNoShow = body.compensateCoachOnNoShow === true || body.compensateCoachOnNoShow === 'true';
+    }
+    return data;
+}
+
+/**
+ * Fee policy of the service an appointment was booked for (null when none)
+ */
+async function getServiceFeePolicy(tx, serviceId) {
+    if (!serviceId) return null;
+    const service = await tx.service.findUnique({
+        where: { id: parseInt(serviceId) },
+        select: {
+            id: true,
+            lateCancelWindowHours: true,
+            lateCancelFee: true,
+            noShowFee: true,
+            forfeitPackageSession: true,
+            compensateCoachOnNoShow: true
+        }
+    });
+    if (!service) return null;
+    return {
+        serviceId: service.id,
+        lateCancelWindowHours: service.lateCancelWindowHours || null,
+        lateCancelFee: roundMoney(service.lateCancelFee || 0),
+        noShowFee: roundMoney(service.noShowFee || 0),
+        forfeitPackageSession: Boolean(service.forfeitPackageSession),
+        compensateCoachOnNoShow: Boolean(service.compensateCoachOnNoShow)
+    };
+}
+
+/**
+ * Whether cancelling now falls inside the service's late-cancellation window
+ */
+function isLateCancellation(policy, start, now = new Date()) {
+    const windowHours = Number(policy?.lateCancelWindowHours);
+    if (!Number.isFinite(windowHours) || windowHours <= 0 || !start) return false;
+    return new Date(start).getTime() - now.getTime() < windowHours * HOUR_MS;
+}
+
+/**
+ * Which charge an appointment moving to this status is liable for
+ */
+function chargeTypeFor(status, appointment, policy, now = new Date()) {
+    if (!policy) return null;
+    if (status === 'no_show') return 'no_show';
+    if (status === 'cancelled' && isLateCancellation(policy, appointment.start, now)) return 'late_cancel';
+    return null;
+}
+
+/**
+ * Commission for the coach on a no-show, through the session commission
+ * pipeline with the charge as the session price
+ */
+async function compensateCoach(tx, appointmentId, basis) {
+    // Loaded on demand: the commission service opens its own client
+    const CommissionService = require('./commissionService');
+    const calc = await CommissionService.processSessionCommission(appointmentId, tx, { sessionPrice: basis });
+    return roundMoney(calc?.commissionAmount || 0);
+}
+
+async function voidCoachCompensation(tx, appointmentId) {
+    const CommissionService = require('./commissionService');
+    await CommissionService.voidSessionCommission(appointmentId, tx);
+}
+
+/**
+ * Raise the charge for a no-show or late cancellation. Package bookings
+ * record the forfeited session (when it was taken); others pay the fee,
+ * from credit first.
+ */
+async function createCharge(tx, appointment, type, policy, { userId = null, sessionTaken = false } = {}) {
+    let data;
+    if (appointment.memberPackageId) {
+        if (!sessionTaken) return null;
+        const pkg = await tx.memberPackage.findUnique({
+            where: { id: appointment.memberPackageId },
+            include: { plan: true }
+        });
+        data = {
+            method: 'package_session',
+            amount: getPackageSessionValue(pkg),
+            creditApplied: 0,
+            dueAmount: 0,
+            status: 'paid'
+        };
+    } else {
+        const fee = type === 'no_show' ? policy.noShowFee : policy.lateCancelFee;
+        if (!(fee > 0)) return null;
+        const { applied } = await CreditService.applyCredit(tx, appointment.memberId, fee, {
+            appliedAppointmentId: appointment.id,
+            createdByUserId: userId,
+            note: `${CHARGE_NOTES[type]} (appointment #${appointment.id})`
+        });
+        const dueAmount = roundMoney(fee - applied);
+        data = {
+            method: 'fee',
+            amount: fee,
+            creditApplied: applied,
+            dueAmount,
+            status: dueAmount > 0 ? 'due' : 'paid'
+        };
+    }
+
+    let charge = await tx.appointmentCharge.create({
+        data: {
+            appointmentId: appointment.id,
+            memberId: appointment.memberId,
+            coachId: appointment.coachId,
+            type,
+            ...data,
+            createdByUserId: userId
+        }
+    });
+
+    if (type === 'no_show' && policy.compensateCoachOnNoShow && charge.amount > 0 && appointment.coachId) {
+        const coachCompensation = await compensateCoach(tx, appointment.id, charge.amount);
+        charge = await tx.appointmentCharge.update({
+            where: { id: charge.id },
+            data: { coachCompensation }
+        });
+    }
+    return charge;
+}
+
+/**
+ * Remove a charge that no longer applies. What the member paid (credit or
+ * collected) goes back to their credit.
+ */
+async function releaseCharge(tx, charge, { userId = null } = {}) {
+    const refund = charge.method === 'fee' ? roundMoney((charge.creditApplied || 0) + (charge.paidAmount || 0)) : 0;
+    if (refund > 0) {
+        await CreditService.addEntry(tx, {
+            memberId: charge.memberId,
+            amount: refund,
+            note: `${CHARGE_NOTES[charge.type] || 'Appointment fee'} returned (appointment #${charge.appointmentId})`,
+            sourceAppointmentId: charge.appointmentId,
+            createdByUserId: userId
+        });
+    }
+    if (charge.coachCompensation > 0) {
+        await voidCoachCompensation(tx, charge.appointmentId);
+    }
+    await tx.appointmentCharge.delete({ where: { id: charge.id } });
+    return refund;
+}
+
+/**
+ * Bring the package session and the no-show / late-cancellation charge in
+ * line with the status the appointment is moving to. Call it in the same
+ * transaction as the status change. chargePolicy: false (the gym cancelled)
+ * skips the no-show / late-cancellation charge.
+ *
+ * @returns {Promise<{ packageSession: string|null, charge: object|null }>}
+ */
+async function applyStatusPolicy(tx, appointment, status, {
+    previousStatus = null,
+    userId = null,
+    now = new Date(),
+    packagePolicy = null,
+    chargePolicy = true
+} = {}) {
+    const existing = await tx.appointmentCharge.findUnique({ where: { appointmentId: appointment.id } });
+
+    let type = existing?.type ?? null;
+    let policy = null;
+    if (previousStatus !== status) {
+        policy = await getServiceFeePolicy(tx, appointment.serviceId);
+        type = appointment.memberId && chargePolicy ? chargeTypeFor(status, appointment, policy, now) : null;
+    }
+
+    const keep = Boolean(existing && existing.type === type);
+    if (existing && !keep) {
+        await releaseCharge(tx, existing, { userId });
+    }
+
+    let packageSession = null;
+    let sessionTaken = false;
+    if (appointment.memberPackageId) {
+        const activePackagePolicy = packagePolicy || await getPackagePolicy(tx);
+        const forfeit = keep
+            ? existing.method === 'package_session'
+            : Boolean(type && policy?.forfeitPackageSession);
+        packageSession = await syncPackageSession(tx, appointment, status, {
+            userId,
+            policy: activePackagePolicy,
+            forfeit
+        });
+        sessionTaken = forfeit || sessionUsedFor(status, activePackagePolicy);
+    }
+
+    if (keep) return { packageSession, charge: existing };
+    const charge = type
+        ? await createCharge(tx, appointment, type, policy, { userId, sessionTaken })
+        : null;
+    return { packageSession, charge };
+}
+
+async function findCharge(tx, id) {
+    const charge = await tx.appointmentCharge.findUnique({ where: { id: parseInt(id) } });
+    if (!charge) {
+        throw createError(404, 'CHARGE_NOT_FOUND', 'Charge not found');
+    }
+    if (charge.status !== 'due') {
+        throw createError(400, 'CHARGE_NOT_DUE', 'Nothing is owed on this charge');
+    }
+    return charge;
+}
+
+/**
+ * Collect what is still owed on a charge as a member payment (in the
+ * collector's shift)
+ */
+async function payCharge(tx, id, { method = 'cash', user = null, shiftId = null, notes = null } = {}) {
+    const charge = await findCharge(tx, id);
+    const { payment } = await recordPaymentTransaction(tx, {
+        memberId: charge.memberId,
+        shiftId,
+        amount: charge.dueAmount,
+        method,
+        status: 'completed',
+        notes: notes || `${CHARGE_NOTES[charge.type]} (appointment #${charge.appointmentId})`,
+        createdBy: user?.id,
+        collectorName: user ? `${user.firstName} ${user.lastName}` : 'System'
+    });
+    return tx.appointmentCharge.update({
+        where: { id: charge.id },
+        data: {
+            paidAmount: roundMoney((charge.paidAmount || 0) + charge.dueAmount),
+            dueAmount: 0,
+            status: 'paid',
+            paymentId: payment.id
+        }
+    });
+}
+
+/**
+ * Let the member off what is still owed on a charge
+ */
+async function waiveCharge(tx, id, { userId = null, now = new Date() } = {}) {
+    const charge = await findCharge(tx, id);
+    return tx.appointmentCharge.update({
+        where: { id: charge.id },
+        data: {
+            dueAmount: 0,
+            status: 'waived',
+            waivedByUserId: userId,
+            waivedAt: now
+        }
+    });
+}
+
+/**
+ * Charges with member, coach and appointment (filters: memberId, coachId, status, startDate, endDate)
+ */
+async function listCharges(prisma, { memberId = null, coachId = null, status = null, startDate = null, endDate = null } = {}) {
+    const where = {};
+    if (memberId) where.memberId = parseInt(memberId);
+    if (coachId) where.coachId = parseInt(coachId);
+    if (status && CHARGE_STATUSES.includes(status)) where.status = status;
+    if (startDate && endDate) where.createdAt = { gte: startDate, lte: endDate };
+
+    const charges = await prisma.appointmentCharge.findMany({
+        where,
+        include: {
+            member: { select: { id: true, memberId: true, firstName: true, lastName: true, phone: true } },
+            coach: { select: { id: true, firstName: true, lastName: true } },
+            appointment: { select: { id: true, title: true, start: true, status: true } }
+        },
+        orderBy: { createdAt: 'desc' }
+    });
+    return {
+        charges,
+        outstanding: roundMoney(charges.reduce((sum, charge) => sum + (charge.status === 'due' ? charge.dueAmount : 0), 0))
+    };
+}
+
+const emptyRow = () => ({
+    appointments: 0,
+    noShows: 0,
+    lateCancels: 0,
+    feesCharged: 0,
+    feesWaived: 0,
+    outstanding: 0,
+    sessionsForfeited: 0,
+    coachCompensation: 0
+});
+
+const addToRow = (row, appointment) => {
+    const charge = appointment.charge;
+    // Cancellations in good time are not held against anyone
+    if (appointment.status === 'cancelled' && !charge) return;
+    row.appointments += 1;
+    if (appointment.status === 'no_show') row.noShows += 1;
+    if (!charge) return;
+    if (charge.type === 'late_cancel') row.lateCancels += 1;
+    if (charge.method === 'package_session') {
+        row.sessionsForfeited += 1;
+    } else if (charge.status === 'waived') {
+        row.feesWaived += charge.amount - charge.creditApplied - charge.paidAmount;
+        row.feesCharged += charge.creditApplied + charge.paidAmount;
+    } else {
+        row.feesCharged += charge.amount;
+        if (charge.status === 'due') row.outstanding += charge.dueAmount;
+    }
+    row.coachCompensation += charge.coachCompensation || 0;
+};
+
+const finishRow = (row) => ({
+    ...row,
+    noShowRate: row.appointments > 0 ? Math.round((row.noShows / row.appointments) * 1000) / 10 : 0,
+    feesCharged: roundMoney(row.feesCharged),
+    feesWaived: roundMoney(row.feesWaived),
+    outstanding: roundMoney(row.outstanding),
+    coachCompensation: roundMoney(row.coachCompensation)
+});
+
+const fullName = (person) => (person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() : '');
+
+/**
+ * No-shows and late cancellations of appointments starting in the range,
+ * per member and per coach. Rows with neither are left out.
+ */
+async function buildNoShowReport(prisma, { startDate, endDate, coachId = null, branchScope = null }) {
+    const appointments = await prisma.appointment.findMany({
+        where: {
+            start: { gte: startDate, lte: endDate },
+            status: { in: ['booked', 'arrived', 'completed', 'auto_completed', 'no_show', 'cancelled'] },
+            ...(coachId ? { coachId: parseInt(coachId) } : {}),
+            ...branchWhere(branchScope)
+        },
+        select: {
+            id: true,
+            status: true,
+            memberId: true,
+            coachId: true,
+            member: { select: { id: true, memberId: true, firstName: true, lastName: true, phone: true } },
+            coach: { select: { id: true, firstName: true, lastName: true } },
+            charge: true
+        }
+    });
+
+    const summary = emptyRow();
+    const byMember = new Map();
+    const byCoach = new Map();
+    appointments.forEach((appointment) => {
+        addToRow(summary, appointment);
+        if (appointment.memberId) {
+            if (!byMember.has(appointment.memberId)) {
+                byMember.set(appointment.memberId, { member: appointment.member, row: emptyRow() });
+            }
+            addToRow(byMember.get(appointment.memberId).row, appointment);
+        }
+        if (!byCoach.has(appointment.coachId)) {
+            byCoach.set(appointment.coachId, { coach: appointment.coach, row: emptyRow() });
+        }
+        addToRow(byCoach.get(appointment.coachId).row, appointment);
+    });
+
+    const hasIncidents = (row) => row.noShows > 0 || row.lateCancels > 0;
+    const byIncidents = (a, b) => (b.noShows + b.lateCancels) - (a.noShows + a.lateCancels) || b.outstanding - a.outstanding;
+
+    return {
+        summary: finishRow(summary),
+        byMember: [...byMember.values()]
+            .filter(({ row }) => hasIncidents(row))
+            .map(({ member, row }) => ({
+                memberId: member.id,
+                memberCode: member.memberId,
+                name: fullName(member),
+                phone: member.phone,
+                ...finishRow(row)
+            }))
+            .sort(byIncidents),
+        byCoach: [...byCoach.values()]
+            .filter(({ row }) => hasIncidents(row))
+            .map(({ coach, row }) => ({
+                coachId: coach?.id ?? null,
+                name: fullName(coach),
+                ...finishRow(row)
+            }))
+            .sort(byIncidents)
+    };
+}
+
+module.exports = {
+    CHARGE_TYPES,
+    CHARGE_STATUSES,
+    parseFeePolicy,
+    getServiceFeePolicy,
+    isLateCancellation,
+    chargeTypeFor,
+    applyStatusPolicy,
+    releaseCharge,
+    payCharge,
+    waiveCharge,
+    listCharges,
+    buildNoShowReport
+};
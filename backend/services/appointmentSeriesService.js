@@ -0,0 +1,527 @@
+/**
+ * ============================================
+ * APPOINTMENT SERIES SERVICE
+ * ============================================
+ *
+ * Recurring personal training bookings. A series stores the rule - weekly
+ * on given weekdays, or every N days - ending on a date or after a number
+ * of appointments. Each occurrence is an ordinary Appointment linked by
+ * seriesId, so completion, payments and commissions work unchanged.
+ *
+ * Every occurrence goes through AppointmentService.checkOverlap and, unless
+ * overridden, checkWorkingTime. Busy slots and times the coach does not work
+ * are skipped and reported as conflicts instead of failing the series. A
+ * series booked on a session package stops taking occurrences once the
+ * package has no sessions left or has ended (reason 'package').
+ *
+ * Edits and cancellations apply to one of three scopes:
+ * - this: the one appointment (the plain appointment endpoints)
+ * - following: this one and every later booked occurrence
+ * - all: every upcoming booked occurrence
+ * Completed, cancelled and no-show occurrences are never touched.
+ */
+
+const AppointmentService = require('./appointmentService');
+const AppointmentPackageService = require('./appointmentPackageService');
+
+const MAX_SERIES_OCCURRENCES = 100;
+const MAX_INTERVAL = 52;
+const FREQUENCIES = ['weekly', 'daily'];
+const SCOPES = ['this', 'following', 'all'];
+// Package errors that skip an occurrence instead of failing the series
+const PACKAGE_SKIP_CODES = ['PACKAGE_NO_SESSIONS_LEFT', 'PACKAGE_EXPIRED'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createError = (status, code, message, data) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    if (data) err.data = data;
+    return err;
+};
+
+const invalidRecurrence = (message) => createError(400, 'INVALID_RECURRENCE', message);
+
+const localDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addLocalDays = (date, days) => new Date(
+    date.getFullYear(), date.getMonth(), date.getDate() + days,
+    date.getHours(), date.getMinutes(), date.getSeconds()
+);
+
+// Whole calendar days between two dates (DST-safe)
+const daysBetween = (from, to) => Math.round((localDay(to) - localDay(from)) / DAY_MS);
+
+// YYYY-MM-DD is read as a local day, not UTC midnight
+const parseDay = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Validate a recurrence payload:
+ * { frequency: 'weekly', weekdays: [1, 3], interval: 1, until: '2026-06-30' }
+ * { frequency: 'daily', interval: 2, count: 12 }
+ * Weekly rules default to the weekday of the first appointment.
+ */
+function parseRecurrence(input, start) {
+    if (!input || typeof input !== 'object') {
+        throw invalidRecurrence('Recurrence is required');
+    }
+
+    const frequency = String(input.frequency || 'weekly').trim().toLowerCase();
+    if (!FREQUENCIES.includes(frequency)) {
+        throw invalidRecurrence('Frequency must be weekly or daily');
+    }
+
+    const interval = input.interval === undefined || input.interval === null || input.interval === ''
+        ? 1
+        : Number(input.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+        throw invalidRecurrence(`Interval must be a whole number from 1 to ${MAX_INTERVAL}`);
+    }
+
+    let weekdays = [];
+    if (frequency === 'weekly') {
+        const raw = Array.isArray(input.weekdays)
+            ? input.weekdays
+            : String(input.weekdays ?? '').split(',').filter((day) => day.trim() !== '');
+        weekdays = [...new Set(raw.map(Number))].sort((a, b) => a - b);
+        if (weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw invalidRecurrence('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+        }
+        if (weekdays.length === 0) weekdays = [start.getDay()];
+    }
+
+    let count = null;
+    if (input.count !== undefined && input.count !== null && input.count !== '') {
+        count = Number(input.count);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_SERIES_OCCURRENCES) {
+            throw invalidRecurrence(`Number of appointments must be from 1 to ${MAX_SERIES_OCCURRENCES}`);
+        }
+    }
+
+    let until = null;
+    if (input.until) {
+        const day = parseDay(input.until);
+        if (!day) throw invalidRecurrence('Invalid end date');
+        until = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 23, 59, 59, 999);
+        if (until < start) {
+            throw invalidRecurrence('The end date must be on or after the first appointment');
+        }
+    }
+
+    if (!count && !until) {
+        throw invalidRecurrence('Set an end date or a number of appointments');
+    }
+
+    return { frequency, interval, weekdays, count, until };
+}
+
+/**
+ * Occurrence start/end times of a rule, beginning on the day of `start`
+ * and keeping its time of day.
+ */
+function expandRecurrence(start, durationMinutes, rule) {
+    const firstDay = localDay(start);
+    const firstWeek = addLocalDays(firstDay, -firstDay.getDay());
+    const maxDays = MAX_SERIES_OCCURRENCES * MAX_INTERVAL * 7;
+    const occurrences = [];
+
+    for (let offset = 0; offset <= maxDays; offset += 1) {
+        const day = addLocalDays(firstDay, offset);
+        if (rule.until && day > rule.until) break;
+        if (rule.count && occurrences.length >= rule.count) break;
+
+        const matches = rule.frequency === 'daily'
+            ? offset % rule.interval === 0
+            : rule.weekdays.includes(day.getDay())
+                && Math.floor(daysBetween(firstWeek, day) / 7) % rule.interval === 0;
+        if (!matches) continue;
+
+        if (occurrences.length >= MAX_SERIES_OCCURRENCES) {
+            throw invalidRecurrence(`A series can have at most ${MAX_SERIES_OCCURRENCES} appointments`);
+        }
+        const occurrenceStart = new Date(
+            day.getFullYear(), day.getMonth(), day.getDate(),
+            start.getHours(), start.getMinutes(), start.getSeconds()
+        );
+        occurrences.push({
+            start: occurrenceStart,
+            end: new Date(occurrenceStart.getTime() + durationMinutes * 60000)
+        });
+    }
+
+    return occurrences;
+}
+
+const parseDuration = (input, start) => {
+    const rawEnd = input.end ?? input.endAt;
+    const duration = Number(
+        input.durationMinutes
+        ?? input.duration
+        ?? (rawEnd ? (new Date(rawEnd) - start) / 60000 : NaN)
+    );
+    if (!Number.isFinite(duration) || duration < 1 || duration > 600) {
+        throw createError(400, 'INVALID_TIME', 'Invalid time or duration.');
+    }
+    return duration;
+};
+
+const parseStart = (value) => {
+    const start = new Date(value);
+    if (value === undefined || value === null || value === '' || Number.isNaN(start.getTime())) {
+        throw createError(400, 'INVALID_TIME', 'Invalid time or duration.');
+    }
+    return start;
+};
+
+const normalizeScope = (scope) => {
+    const value = String(scope || 'this').trim().toLowerCase();
+    if (!SCOPES.includes(value)) {
+        throw createError(400, 'INVALID_SCOPE', 'Scope must be this, following or all');
+    }
+    return value;
+};
+
+const shiftWeekdays = (weekdays, dayShift) => {
+    if (!weekdays) return weekdays;
+    return weekdays.split(',')
+        .map((day) => (((Number(day) + dayShift) % 7) + 7) % 7)
+        .sort((a, b) => a - b)
+        .join(',');
+};
+
+// Why an occurrence cannot be booked: 'booked', a working-time reason, or null
+async function findConflictReason(occurrence, { coachId, excludeId = null, branchId = null, allowOutsideHours = false }) {
+    if (await AppointmentService.checkOverlap(coachId, occurrence.start, occurrence.end, excludeId)) {
+        return 'booked';
+    }
+    if (allowOutsideHours) return null;
+    const issue = await AppointmentService.checkWorkingTime(coachId, occurrence.start, occurrence.end, { branchId });
+    return issue ? issue.reason : null;
+}
+
+/**
+ * Book a recurring series for a member. Occurrences that clash with another
+ * appointment or class of the coach, or fall outside the coach's working
+ * hours, are skipped and returned in `conflicts` with a reason.
+ */
+async function createSeries(prisma, input, { coachId, userId = null, branchId = null, allowOutsideHours = false } = {}) {
+    const memberId = parseInt(input.memberId);
+    if (!Number.isInteger(memberId)) {
+        throw createError(400, 'SERIES_MEMBER_REQUIRED', 'Recurring appointments must be booked for a member');
+    }
+    const member = await prisma.member.findUnique({ where: { id: memberId }, select: { id: true } });
+    if (!member) {
+        throw createError(404, 'MEMBER_NOT_FOUND', 'Member not found');
+    }
+
+    const start = parseStart(input.start ?? input.startAt);
+    const durationMinutes = parseDuration(input, start);
+    const rule = parseRecurrence(input.recurrence, start);
+    const occurrences = expandRecurrence(start, durationMinutes, rule);
+
+    const conflicts = [];
+    const free = [];
+    for (const occurrence of occurrences) {
+        const reason = await findConflictReason(occurrence, { coachId, branchId, allowOutsideHours });
+        if (reason) {
+            conflicts.push({ ...occurrence, reason });
+        } else {
+            free.push(occurrence);
+        }
+    }
+    if (free.length === 0) {
+        throw createError(409, 'SERIES_ALL_CONFLICT', 'No appointment in this series can be booked at this time', { conflicts });
+    }
+    const memberPackageId = input.memberPackageId ? parseInt(input.memberPackageId) : null;
+    if (memberPackageId) {
+        await AppointmentPackageService.resolveBookingPackage(prisma, {
+            memberPackageId,
+            memberId,
+            serviceId: input.serviceId,
+            start: free[0].start
+        });
+    }
+
+    const series = await prisma.appointmentSeries.create({
+        data: {
+            coachId,
+            memberId,
+            frequency: rule.frequency,
+            interval: rule.interval,
+            weekdays: rule.weekdays.length > 0 ? rule.weekdays.join(',') : null,
+            startDate: start,
+            untilDate: rule.until,
+            count: rule.count,
+            durationMinutes,
+            createdBy: userId
+        }
+    });
+
+    const template = {
+        memberId,
+        coachId,
+        bookingType: 'confirmed',
+        title: input.title,
+        sessionName: input.sessionName,
+        sessionPrice: input.sessionPrice,
+        price: input.price,
+        serviceId: input.serviceId,
+        trainerId: input.trainerId,
+        notes: input.notes,
+        createdByEmployeeId: userId,
+        branchId,
+        memberPackageId
+    };
+    const appointments = [];
+    for (const occurrence of free) {
+        try {
+            appointments.push(await AppointmentService.createAppointment({
+                ...template,
+                start: occurrence.start,
+                durationMinutes
+            }, { seriesId: series.id, allowOutsideHours: true }));
+        } catch (error) {
+            // Booked by someone else since the check above, or the package ran out
+            if (error.code === 'APPOINTMENT_OVERLAP') {
+                conflicts.push({ ...occurrence, reason: 'booked' });
+            } else if (PACKAGE_SKIP_CODES.includes(error.code)) {
+                conflicts.push({ ...occurrence, reason: 'package' });
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    conflicts.sort((a, b) => a.start - b.start);
+    return { series, appointments, conflicts };
+}
+
+async function findSeriesAppointment(prisma, id) {
+    const appointment = await prisma.appointment.findUnique({
+        where: { id: parseInt(id) },
+        include: { series: true }
+    });
+    if (!appointment) {
+        throw createError(404, 'APPOINTMENT_NOT_FOUND', 'Appointment not found');
+    }
+    if (!appointment.series) {
+        throw createError(400, 'NOT_IN_SERIES', 'This appointment is not part of a series');
+    }
+    return appointment;
+}
+
+/**
+ * Booked occurrences a scope applies to: from this appointment on
+ * (following), or every upcoming one (all). The chosen appointment is
+ * always included while it is still booked.
+ */
+async function findScopeTargets(prisma, appointment, scope, now) {
+    const from = scope === 'following' ? appointment.start : now;
+    const rows = await prisma.appointment.findMany({
+        where: {
+            seriesId: appointment.seriesId,
+            status: 'booked',
+            isCompleted: false,
+            OR: [{ start: { gte: from } }, { id: appointment.id }]
+        },
+        orderBy: { start: 'asc' }
+    });
+    return rows;
+}
+
+const hasEarlierOccurrences = async (prisma, appointment) => (await prisma.appointment.count({
+    where: { seriesId: appointment.seriesId, start: { lt: appointment.start } }
+})) > 0;
+
+/**
+ * Apply an edit to "this and following" or "all" occurrences.
+ * Fields: title, serviceId, price, notes, trainerId, and a new start and/or duration.
+ * A new start moves every occurrence by the same number of days to the new
+ * time of day. Occurrences that would clash or fall outside the coach's
+ * working hours are left as they were and returned in `conflicts`.
+ * Moving "this and following" splits the series in two, so the rule of
+ * the earlier part stays true.
+ */
+async function updateSeriesAppointments(prisma, id, input, { scope, now = new Date(), allowOutsideHours = false } = {}) {
+    const appliedScope = normalizeScope(scope);
+
+    return prisma.$transaction(async (tx) => {
+        const appointment = await findSeriesAppointment(tx, id);
+
+        const newStart = input.start ? parseStart(input.start) : null;
+        const hasDuration = input.durationMinutes !== undefined || input.duration !== undefined || (newStart && input.end);
+        const durationMinutes = hasDuration ? parseDuration(input, newStart || appointment.start) : null;
+        const dayShift = newStart ? daysBetween(appointment.start, newStart) : 0;
+
+        const fields = {};
+        if (input.title !== undefined) {
+            fields.title = input.title;
+            fields.sessionName = input.title;
+        }
+        if (input.serviceId !== undefined || input.title !== undefined) {
+            fields.serviceId = input.serviceId ? parseInt(input.serviceId) : null;
+            if (fields.serviceId && !await tx.service.findUnique({ where: { id: fields.serviceId }, select: { id: true } })) {
+                throw createError(404, 'SERVICE_NOT_FOUND', 'Service not found');
+            }
+        }
+        if (input.price !== undefined && input.price !== null && input.price !== '') {
+            const price = parseFloat(input.price);
+            if (!Number.isFinite(price) || price < 0) {
+                throw createError(400, 'INVALID_PRICE', 'Invalid price');
+            }
+            fields.price = price;
+            fields.sessionPrice = price;
+        }
+        if (input.notes !== undefined) fields.notes = input.notes || null;
+        if (input.trainerId !== undefined) fields.trainerId = input.trainerId ? parseInt(input.trainerId) : null;
+
+        const targets = await findScopeTargets(tx, appointment, appliedScope, now);
+        const updated = [];
+        const conflicts = [];
+        for (const target of targets) {
+            let { start, end } = target;
+            if (newStart || durationMinutes) {
+                if (newStart) {
+                    start = new Date(
+                        target.start.getFullYear(), target.start.getMonth(), target.start.getDate() + dayShift,
+                        newStart.getHours(), newStart.getMinutes(), newStart.getSeconds()
+                    );
+                }
+                const length = durationMinutes ?? (target.end - target.start) / 60000;
+                end = new Date(start.getTime() + length * 60000);
+                const reason = await findConflictReason({ start, end }, {
+                    coachId: target.coachId,
+                    excludeId: target.id,
+                    branchId: target.branchId,
+                    allowOutsideHours
+                });
+                if (reason) {
+                    conflicts.push({ id: target.id, start, end, reason });
+                    continue;
+                }
+            }
+            updated.push(await tx.appointment.update({
+                where: { id: target.id },
+                data: { ...fields, start, end }
+            }));
+        }
+
+        let seriesId = appointment.seriesId;
+        if (newStart || durationMinutes) {
+            const { series } = appointment;
+            const rule = {
+                weekdays: shiftWeekdays(series.weekdays, dayShift),
+                durationMinutes: durationMinutes ?? series.durationMinutes
+            };
+            if (appliedScope === 'following' && await hasEarlierOccurrences(tx, appointment)) {
+                const movedIds = (await tx.appointment.findMany({
+                    where: { seriesId: series.id, start: { gte: appointment.start } },
+                    select: { id: true }
+                })).map((row) => row.id);
+                const keptCount = await tx.appointment.count({
+                    where: { seriesId: series.id, start: { lt: appointment.start } }
+                });
+                const split = await tx.appointmentSeries.create({
+                    data: {
+                        coachId: series.coachId,
+                        memberId: series.memberId,
+                        frequency: series.frequency,
+                        interval: series.interval,
+                        ...rule,
+                        startDate: newStart || appointment.start,
+                        untilDate: series.untilDate,
+                        count: series.count ? movedIds.length : null,
+                        createdBy: series.createdBy
+                    }
+                });
+                await tx.appointment.updateMany({ where: { id: { in: movedIds } }, data: { seriesId: split.id } });
+                const dayBefore = addLocalDays(localDay(appointment.start), -1);
+                await tx.appointmentSeries.update({
+                    where: { id: series.id },
+                    data: {
+                        untilDate: new Date(dayBefore.getFullYear(), dayBefore.getMonth(), dayBefore.getDate(), 23, 59, 59, 999),
+                        count: series.count ? keptCount : null
+                    }
+                });
+                seriesId = split.id;
+            } else {
+                await tx.appointmentSeries.update({
+                    where: { id: series.id },
+                    data: {
+                        ...rule,
+                        startDate: newStart ? addLocalDays(series.startDate, dayShift) : series.startDate
+                    }
+                });
+            }
+        }
+
+        return { seriesId, updated, conflicts };
+    });
+}
+
+/**
+ * Cancel "this and following" or "all" booked occurrences. Cancelling
+ * all of them, or the series from its first appointment, ends the series.
+ * cancelledBy 'gym' cancels without late-cancellation charges.
+ */
+async function cancelSeriesAppointments(prisma, id, { scope, userId = null, cancelledBy = 'member', now = new Date() } = {}) {
+    const appliedScope = normalizeScope(scope);
+
+    return prisma.$transaction(async (tx) => {
+        const appointment = await findSeriesAppointment(tx, id);
+        const targets = await findScopeTargets(tx, appointment, appliedScope, now);
+
+        for (const target of targets) {
+            await AppointmentService.deleteAppointment(target.id, { tx, userId, cancelledBy });
+        }
+
+        if (appliedScope === 'following' && await hasEarlierOccurrences(tx, appointment)) {
+            const dayBefore = addLocalDays(localDay(appointment.start), -1);
+            await tx.appointmentSeries.update({
+                where: { id: appointment.seriesId },
+                data: { untilDate: new Date(dayBefore.getFullYear(), dayBefore.getMonth(), dayBefore.getDate(), 23, 59, 59, 999) }
+            });
+        } else {
+            await tx.appointmentSeries.update({
+                where: { id: appointment.seriesId },
+                data: { status: 'cancelled' }
+            });
+        }
+
+        return { seriesId: appointment.seriesId, cancelled: targets.map((target) => target.id) };
+    });
+}
+
+async function getSeries(prisma, id) {
+    const series = await prisma.appointmentSeries.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+            member: { select: { id: true, firstName: true, lastName: true, memberId: true, phone: true } },
+            coach: { select: { id: true, firstName: true, lastName: true } },
+            appointments: {
+                select: { id: true, start: true, end: true, status: true, isCompleted: true, title: true },
+                orderBy: { start: 'asc' }
+            }
+        }
+    });
+    if (!series) {
+        throw createError(404, 'SERIES_NOT_FOUND', 'Series not found');
+    }
+    return series;
+}
+
+module.exports = {
+    MAX_SERIES_OCCURRENCES,
+    SCOPES,
+    parseRecurrence,
+    expandRecurrence,
+    normalizeScope,
+    createSeries,
+    updateSeriesAppointments,
+    cancelSeriesAppointments,
+    getSeries
+};
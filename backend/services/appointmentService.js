@@ -3,10 +3,18 @@ const prisma = new PrismaClient();
 
 const CommissionService = require('./commissionService');
 const { recordPaymentTransaction, normalizePaymentMethod } = require('./paymentService');
+const { branchWhere } = require('./branchService');
+const { resolveServiceTaxRate } = require('./taxService');
 const { roundMoney } = require('../utils/money');
 const { getDefaultSessionCommissionPercent } = require('./commissionService');
 const CreditService = require('./creditService');
-const { createMemberWithUniqueness } = require('./memberService');
+const { createMemberWithUniqueness, generateMemberId } = require('./memberService');
+const { emitEvent, WEBHOOK_EVENTS } = require('./webhookService');
+const LeadService = require('./leadService');
+const CoachAvailabilityService = require('./coachAvailabilityService');
+const AppointmentPackageService = require('./appointmentPackageService');
+const AppointmentPolicyService = require('./appointmentPolicyService');
+const { serializeAppointment, serializeMember } = require('../utils/apiSerializers');
 
 const createInvalidTimeError = () => {
     const err = new Error('Invalid time or duration.');
@@ -17,6 +25,7 @@ const createInvalidTimeError = () => {
 const createOverlapError = () => {
     const err = new Error('This time is already booked. Choose another time.');
     err.arabicMessage = 'هذا الوقت محجوز بالفعل. اختر وقتا آخر.';
+    err.code = 'APPOINTMENT_OVERLAP';
     return err;
 };
 
@@ -61,25 +70,16 @@ const splitFullName = (fullName) => {
     return { firstName, lastName };
 };
 
-const generateMemberId = async (client, offset = 0) => {
-    const lastMember = await client.member.findFirst({
-        orderBy: { id: 'desc' },
-        select: { memberId: true }
-    });
-    const lastId = lastMember?.memberId || '';
-    const match = lastId.match(/(\d+)\s*$/);
-    const base = match ? Number.parseInt(match[1], 10) : 0;
-    const next = (Number.isFinite(base) ? base : 0) + 1 + Math.max(0, offset);
-    return `GYM-${String(next).padStart(4, '0')}`;
-};
-
 const AppointmentService = {
     // ... (createAppointment remains same) ...
 
     /**
      * Create a new appointment
+     * options.seriesId links it to a recurring series
+     * options.allowOutsideHours books outside the coach's working hours
+     * data.memberPackageId books a member's session on one of their packages
      */
-    async createAppointment(data) {
+    async createAppointment(data, options = {}) {
         const rawStart = data.start ?? data.startAt;
         const rawEnd = data.end ?? data.endAt;
         const durationMinutes = data.durationMinutes
@@ -101,6 +101,7 @@ const AppointmentService = {
         ).trim();
         const hasTentativePayload = Boolean(tentativeFullName);
         const hasMemberPayload = Number.isInteger(parsedMemberId);
+        const memberPackageId = hasMemberPayload && data.memberPackageId ? parseInt(data.memberPackageId) : null;
 
         if ((hasMemberPayload && hasTentativePayload) || (!hasMemberPayload && !hasTentativePayload)) {
             throw new Error('Appointment must be linked to either member or tentative booking details');
@@ -109,6 +110,10 @@ const AppointmentService = {
         if (await this.checkOverlap(coachId, timeRange.start, timeRange.end)) {
             throw createOverlapError();
         }
+        if (!options.allowOutsideHours) {
+            const issue = await this.checkWorkingTime(coachId, timeRange.start, timeRange.end, { branchId: data.branchId });
+            if (issue) throw CoachAvailabilityService.createOutsideHoursError(issue);
+        }
         if (trainerId) {
             const trainer = await prisma.staffTrainer.findUnique({
                 where: { id: trainerId },
@@ -139,12 +144,24 @@ const AppointmentService = {
                 }
             }
 
+            const bookedPackage = memberPackageId
+                ? await AppointmentPackageService.resolveBookingPackage(tx, {
+                    memberPackageId,
+                    memberId: parsedMemberId,
+                    serviceId,
+                    start: timeRange.start
+                })
+                : null;
+
             const title = resolvedService?.name || String(data.sessionName || data.title || '').trim() || null;
             const sessionPrice = parseFloat(data.sessionPrice ?? data.price);
             const fallbackServicePrice = Number(resolvedService?.defaultPrice);
-            const normalizedPrice = Number.isFinite(sessionPrice)
+            let normalizedPrice = Number.isFinite(sessionPrice)
                 ? sessionPrice
                 : (Number.isFinite(fallbackServicePrice) ? fallbackServicePrice : 0);
+            if (bookedPackage) {
+                normalizedPrice = bookedPackage.sessionValue;
+            }
 
             if (hasMemberPayload) {
                 const memberExists = await tx.member.findUnique({
@@ -156,14 +173,28 @@ const AppointmentService = {
                 }
             }
 
+            const createdByEmployeeId = data.createdByEmployeeId ? parseInt(data.createdByEmployeeId) : null;
+            const branchId = data.branchId ? parseInt(data.branchId) : null;
+            const lead = hasTentativePayload
+                ? await LeadService.attachTrialBooking(tx, {
+                    fullName: tentativeFullName,
+                    phone: tentativePhone,
+                    notes,
+                    branchId,
+                    userId: createdByEmployeeId
+                })
+                : null;
+
             return tx.appointment.create({
                 data: {
                     memberId: hasMemberPayload ? parsedMemberId : null,
+                    leadId: lead?.id ?? null,
                     bookingType,
                     fullName: hasTentativePayload ? tentativeFullName : null,
                     phone: hasTentativePayload ? (tentativePhone || null) : null,
                     coachId,
                     trainerId,
+                    serviceId: resolvedService?.id ?? null,
                     title,
                     sessionName: title,
                     start: timeRange.start,
@@ -172,7 +203,10 @@ const AppointmentService = {
                     sessionPrice: normalizedPrice,
                     status: normalizedStatus,
                     notes,
-                    createdByEmployeeId: data.createdByEmployeeId ? parseInt(data.createdByEmployeeId) : null
+                    createdByEmployeeId,
+                    branchId,
+                    seriesId: options.seriesId ?? null,
+                    memberPackageId: bookedPackage?.id ?? null
                 },
                 include: {
                     member: {
@@ -188,7 +222,7 @@ const AppointmentService = {
     },
 
     /**
-     * Check for overlapping appointments for a coach
+     * Check for overlapping appointments or group classes for a coach
      */
     async checkOverlap(coachId, start, end, excludeId = null) {
         const startDate = new Date(start);
@@ -208,7 +242,24 @@ const AppointmentService = {
         }
 
         const count = await prisma.appointment.count({ where });
-        return count > 0;
+        if (count > 0) return true;
+
+        const classes = await prisma.classSession.count({
+            where: {
+                coachId: parseInt(coachId),
+                status: { not: 'cancelled' },
+                AND: where.AND
+            }
+        });
+        return classes > 0;
+    },
+
+    /**
+     * Why the coach cannot take a booking at this time (working hours,
+     * breaks, time off, gym closures), or null
+     */
+    async checkWorkingTime(coachId, start, end, { branchId = null } = {}) {
+        return CoachAvailabilityService.checkWorkingTime(prisma, coachId, start, end, { branchId });
     },
 
     /**
@@ -220,6 +271,7 @@ const AppointmentService = {
 
         if (filters.coachId) where.coachId = parseInt(filters.coachId);
         if (filters.memberId) where.memberId = parseInt(filters.memberId);
+        if (filters.branchScope) Object.assign(where, branchWhere(filters.branchScope));
 
         if (filters.status) {
             const normalizedStatus = normalizeAppointmentStatus(filters.status, filters.status);
@@ -277,7 +329,13 @@ const AppointmentService = {
                 },
 
                 financialRecord: { select: { status: true } },
-                payments: true
+                payments: true,
+                memberPackage: {
+                    select: { id: true, sessionName: true, remainingSessions: true, plan: { select: { name: true } } }
+                },
+                charge: {
+                    select: { id: true, type: true, method: true, amount: true, dueAmount: true, status: true }
+                }
             },
             orderBy: { start: 'asc' }
         });
@@ -285,11 +343,21 @@ const AppointmentService = {
 
     /**
      * Update appointment
+     * options.allowOutsideHours moves it outside the coach's working hours
      */
-    async updateAppointment(id, data) {
+    async updateAppointment(id, data, options = {}) {
         const existing = await prisma.appointment.findUnique({
             where: { id: parseInt(id) },
-            select: { coachId: true, status: true, isCompleted: true }
+            select: {
+                coachId: true,
+                status: true,
+                isCompleted: true,
+                branchId: true,
+                memberId: true,
+                start: true,
+                memberPackageId: true,
+                packageUsageId: true
+            }
         });
         if (!existing) {
             throw new Error('Appointment not found');
@@ -316,6 +384,10 @@ const AppointmentService = {
             if (await this.checkOverlap(coachIdToUse, overlapStart, overlapEnd, id)) {
                 throw createOverlapError();
             }
+            if (!options.allowOutsideHours) {
+                const issue = await this.checkWorkingTime(coachIdToUse, overlapStart, overlapEnd, { branchId: existing.branchId });
+                if (issue) throw CoachAvailabilityService.createOutsideHoursError(issue);
+            }
         }
 
         const updatePayload = { ...data };
@@ -337,32 +409,79 @@ const AppointmentService = {
             }
         }
 
+        // Renaming the session to a free-text title unlinks the service
+        if (updatePayload.serviceId !== undefined || updatePayload.title !== undefined) {
+            const parsedServiceId = updatePayload.serviceId ? parseInt(updatePayload.serviceId) : null;
+            if (parsedServiceId) {
+                const service = await prisma.service.findUnique({
+                    where: { id: parsedServiceId },
+                    select: { id: true }
+                });
+                if (!service) {
+                    throw new Error('Service not found');
+                }
+            }
+            updatePayload.serviceId = parsedServiceId;
+        }
+
         const isFinalized = Boolean(existing.isCompleted || existing.status === 'completed' || existing.status === 'auto_completed');
+        if (updatePayload.memberPackageId !== undefined) {
+            const nextPackageId = updatePayload.memberPackageId ? parseInt(updatePayload.memberPackageId) : null;
+            if (nextPackageId !== existing.memberPackageId) {
+                if (existing.packageUsageId) {
+                    const err = new Error('The package session of this appointment has already been used');
+                    err.status = 400;
+                    err.code = 'PACKAGE_SESSION_USED';
+                    throw err;
+                }
+                if (nextPackageId) {
+                    const bookedPackage = await AppointmentPackageService.resolveBookingPackage(prisma, {
+                        memberPackageId: nextPackageId,
+                        memberId: existing.memberId,
+                        start: overlapStart || existing.start,
+                        excludeAppointmentId: id
+                    });
+                    updatePayload.price = bookedPackage.sessionValue;
+                }
+            }
+            updatePayload.memberPackageId = nextPackageId;
+        }
         if (isFinalized) {
             delete updatePayload.price;
         }
-        const updated = await prisma.appointment.update({
-            where: { id: parseInt(id) },
-            data: {
-                ...updatePayload,
-                coachId: updatePayload.coachId ? parseInt(updatePayload.coachId) : undefined,
-                trainerId: updatePayload.trainerId !== undefined
-                    ? (updatePayload.trainerId ? parseInt(updatePayload.trainerId) : null)
-                    : undefined,
-                title: updatePayload.title !== undefined ? updatePayload.title : undefined,
-                sessionName: updatePayload.title !== undefined ? updatePayload.title : undefined,
-                start: updatePayload.start ? new Date(updatePayload.start) : undefined,
-                end: updatePayload.end ? new Date(updatePayload.end) : undefined,
-                price: updatePayload.price !== undefined ? parseFloat(updatePayload.price) : undefined,
-                sessionPrice: updatePayload.price !== undefined ? parseFloat(updatePayload.price) : undefined
-            },
-            include: { member: true, coach: true }
+        const { updated, charge } = await prisma.$transaction(async (tx) => {
+            const row = await tx.appointment.update({
+                where: { id: parseInt(id) },
+                data: {
+                    ...updatePayload,
+                    coachId: updatePayload.coachId ? parseInt(updatePayload.coachId) : undefined,
+                    trainerId: updatePayload.trainerId !== undefined
+                        ? (updatePayload.trainerId ? parseInt(updatePayload.trainerId) : null)
+                        : undefined,
+                    title: updatePayload.title !== undefined ? updatePayload.title : undefined,
+                    sessionName: updatePayload.title !== undefined ? updatePayload.title : undefined,
+                    start: updatePayload.start ? new Date(updatePayload.start) : undefined,
+                    end: updatePayload.end ? new Date(updatePayload.end) : undefined,
+                    price: updatePayload.price !== undefined ? parseFloat(updatePayload.price) : undefined,
+                    sessionPrice: updatePayload.price !== undefined ? parseFloat(updatePayload.price) : undefined
+                },
+                include: { member: true, coach: true }
+            });
+
+            // Package session and no-show / late-cancellation charge
+            const policy = await AppointmentPolicyService.applyStatusPolicy(tx, row, row.status, {
+                previousStatus: existing.status,
+                userId: options.userId ?? null,
+                chargePolicy: options.cancelledBy !== 'gym'
+            });
+            return { updated: row, charge: policy.charge };
         });
 
         // Hook: Calculate or Void commission
+        // (a no-show the coach is compensated for keeps its commission)
         if (updated.status === 'completed' || updated.status === 'auto_completed') {
             await CommissionService.processSessionCommission(updated.id);
-        } else {
+        } else if (!charge?.coachCompensation) {
             // Check if it WAS completed? 
             // Simplified: If status is NOT completed, ensure no earning exists.
             // This covers: Completed -> Cancelled, Completed -> Scheduled.
@@ -376,7 +495,7 @@ const AppointmentService = {
      * Mark appointment as completed and process commission transactionally
      */
     async completeAppointment(id, paymentData = null, userContext = null) {
-        return await prisma.$transaction(async (tx) => {
+        const result = await prisma.$transaction(async (tx) => {
             // 1. Fetch details first (needed for payment linking)
             const existing = await tx.appointment.findUnique({
                 where: { id: parseInt(id) },
@@ -388,14 +507,20 @@ const AppointmentService = {
                     bookingType: true,
                     fullName: true,
                     phone: true,
+                    leadId: true,
+                    branchId: true,
                     status: true,
                     title: true,
+                    serviceId: true,
                     sessionName: true,
                     sessionPrice: true,
                     price: true,
                     paidAmount: true,
                     isCompleted: true,
-                    completedAt: true
+                    completedAt: true,
+                    start: true,
+                    memberPackageId: true,
+                    packageUsageId: true
                 }
             });
 
@@ -426,14 +551,26 @@ const AppointmentService = {
                 return err;
             };
 
+            // A session booked on a package is paid by the package: it is valued at
+            // the package's per-session price and nothing is collected
+            const bookedPackage = existing.memberPackageId
+                ? await tx.memberPackage.findUnique({
+                    where: { id: existing.memberPackageId },
+                    include: { plan: true }
+                })
+                : null;
+
             const rawSessionPrice = paymentData?.sessionPrice;
             const hasSessionPriceInput = rawSessionPrice !== undefined && rawSessionPrice !== null && rawSessionPrice !== '';
             const parsedSessionPrice = hasSessionPriceInput ? Number(rawSessionPrice) : NaN;
-            if (!hasSessionPriceInput || !Number.isFinite(parsedSessionPrice) || parsedSessionPrice <= 0) {
+            if (!bookedPackage && (!hasSessionPriceInput || !Number.isFinite(parsedSessionPrice) || parsedSessionPrice <= 0)) {
                 throw buildSessionPriceError();
             }
 
-            const sessionPrice = roundMoney(parsedSessionPrice);
+            const sessionPrice = bookedPackage
+                ? AppointmentPackageService.getPackageSessionValue(bookedPackage)
+                : roundMoney(parsedSessionPrice);
+            const amountDue = bookedPackage ? 0 : sessionPrice;
             const originalPriceRaw = Number(existing?.price);
             const hasOriginalPrice = Number.isFinite(originalPriceRaw) && originalPriceRaw > 0;
             const originalPrice = hasOriginalPrice ? originalPriceRaw : sessionPrice;
@@ -463,6 +600,7 @@ const AppointmentService = {
                 : (trainerCommissionPercent ?? await CommissionService.getDefaultSessionCommissionPercent(tx));
             const trainerPayout = roundMoney((sessionPrice * commissionPercentUsed) / 100);
             const gymShare = roundMoney(sessionPrice - trainerPayout);
+            const taxRate = await resolveServiceTaxRate(tx, existing.serviceId);
 
             // Tentative booking completion flow: payment + member conversion in one transaction
             if (existing?.bookingType === 'tentative' && !existing?.memberId) {
@@ -564,6 +702,7 @@ const AppointmentService = {
                     const paymentResult = await recordPaymentTransaction(tx, {
                         appointmentId: parseInt(id),
                         memberId: createdMember.id,
+                        branchId: existing.branchId,
                         amount: recordedAmount,
                         method: normalizedMethod,
                         status: recordedPaymentStatus,
@@ -573,7 +712,8 @@ const AppointmentService = {
                         sessionPrice,
                         commissionPercentUsed,
                         trainerPayout,
-                        gymShare
+                        gymShare,
+                        taxRate
                     }, { receiptSuffix: recordedPaymentStatus === 'pending' ? '-INV' : '' });
                     sessionPayment = paymentResult.payment;
                 }
@@ -615,6 +755,13 @@ const AppointmentService = {
                     });
                 }
 
+                await LeadService.recordTrialConversion(tx, {
+                    leadId: existing.leadId,
+                    memberId: createdMember.id,
+                    appointmentId: updated.id,
+                    userId: userContext?.id ?? null
+                });
+
                 await CommissionService.processSessionCommission(updated.id, tx);
 
                 if (existing?.coachId) {
@@ -667,16 +814,16 @@ const AppointmentService = {
             }
 
             // Credit balance (apply before creating payment to avoid over-collection)
-            const creditBalance = await CreditService.getBalance(tx, existing.memberId);
-            const appliedCredit = roundMoney(Math.min(creditBalance, sessionPrice));
+            const creditBalance = bookedPackage ? 0 : await CreditService.getBalance(tx, existing.memberId);
+            const appliedCredit = roundMoney(Math.min(creditBalance, amountDue));
 
             let sessionPayment = null;
-            const existingPayment = await tx.payment.findFirst({
+            const existingPayment = bookedPackage ? null : await tx.payment.findFirst({
                 where: { appointmentId: parseInt(id) },
                 orderBy: { createdAt: 'desc' }
             });
             const paymentMethod = normalizePaymentMethod(paymentData?.method || existingPayment?.method || 'other').toUpperCase();
-            const amountToCollect = roundMoney(Math.max(sessionPrice - appliedCredit, 0));
+            const amountToCollect = roundMoney(Math.max(amountDue - appliedCredit, 0));
             const paymentCollected = Boolean(paymentData?.method) && Number.isFinite(amountToCollect) && amountToCollect > 0;
             const paymentNotes = paymentData?.notes ? String(paymentData.notes).trim() : undefined;
 
@@ -685,7 +832,8 @@ const AppointmentService = {
                     sessionPrice,
                     commissionPercentUsed,
                     trainerPayout,
-                    gymShare
+                    gymShare,
+                    taxRate
                 };
                 if (existingPayment.status !== 'completed') {
                     updateData.amount = amountToCollect;
@@ -705,6 +853,7 @@ const AppointmentService = {
                 const { payment } = await recordPaymentTransaction(tx, {
                     appointmentId: parseInt(id),
                     memberId: existing.memberId,
+                    branchId: existing.branchId,
                     amount: amountToCollect,
                     method: paymentMethod,
                     status: paymentCollected ? 'completed' : 'pending',
@@ -714,7 +863,8 @@ const AppointmentService = {
                     sessionPrice,
                     commissionPercentUsed,
                     trainerPayout,
-                    gymShare
+                    gymShare,
+                    taxRate
                 }, { receiptSuffix: paymentCollected ? '' : '-INV' });
                 sessionPayment = payment;
             }
@@ -738,7 +888,7 @@ const AppointmentService = {
             const totalPaidCash = roundMoney(allPayments.reduce((sum, p) => sum + p.amount, 0)); // Includes just added one
             const totalPaid = roundMoney(totalPaidCash + appliedCreditUsed);
 
-            const sessionRemaining = Math.max(0, sessionPrice - totalPaid);
+            const sessionRemaining = Math.max(0, amountDue - totalPaid);
 
             let paymentStatus = 'unpaid';
             if (sessionRemaining > 0.01 && totalPaid > 0) {
@@ -749,8 +899,12 @@ const AppointmentService = {
                 paymentStatus = 'paid';
             }
 
-            const dueAmount = roundMoney(Math.max(0, sessionPrice - totalPaid));
-            const overpaidAmount = roundMoney(Math.max(0, totalPaid - sessionPrice));
+            const dueAmount = roundMoney(Math.max(0, amountDue - totalPaid));
+            const overpaidAmount = roundMoney(Math.max(0, totalPaid - amountDue));
+
+            if (bookedPackage) {
+                await AppointmentPackageService.consumePackageSession(tx, existing, { userId: userContext?.id ?? null });
+            }
 
             // 3. Update status
             const updateData = {
@@ -768,7 +922,7 @@ const AppointmentService = {
             const updated = await tx.appointment.update({
                 where: { id: parseInt(id) },
                 data: updateData,
-                include: { member: true, coach: true, payments: true }
+                include: { member: true, coach: true, payments: true, memberPackage: { include: { plan: true } } }
             });
 
             // If overpaid, grant credit delta
@@ -840,11 +994,23 @@ const AppointmentService = {
                 sessionPayment,
                 trainer: updatedTrainer,
                 alreadyCompleted: false,
+                paidByPackage: Boolean(bookedPackage),
                 appliedCredit: appliedCreditUsed,
                 dueAmount,
                 overpaidAmount
             };
         });
+
+        if (!result.alreadyCompleted) {
+            if (result.member) {
+                await emitEvent(prisma, WEBHOOK_EVENTS.MEMBER_CREATED, { member: serializeMember(result.member) });
+            }
+            await emitEvent(prisma, WEBHOOK_EVENTS.APPOINTMENT_COMPLETED, {
+                appointment: serializeAppointment(result.appointment)
+            });
+        }
+
+        return result;
     },
 
     /**
@@ -1071,7 +1237,9 @@ const AppointmentService = {
                 isCompleted: true,
                 completedAt: true,
                 memberId: true,
-                bookingType: true
+                bookingType: true,
+                leadId: true,
+                memberPackageId: true
             }
         });
         if (!appointment) {
@@ -1108,31 +1276,61 @@ const AppointmentService = {
             }
         }
 
-        return prisma.appointment.update({
-            where: { id: appointmentId },
-            data: updateData,
-            include: {
-                member: true,
-                coach: true,
-                payments: true,
-                financialRecord: true
-            }
+        const include = {
+            member: true,
+            coach: true,
+            payments: true,
+            financialRecord: true,
+            charge: true
+        };
+        const updated = await prisma.$transaction(async (tx) => {
+            const row = await tx.appointment.update({ where: { id: appointmentId }, data: updateData });
+            await AppointmentPolicyService.applyStatusPolicy(tx, row, nextStatus, {
+                previousStatus: appointment.status,
+                userId: extra?.userId ?? null
+            });
+            return tx.appointment.findUnique({ where: { id: appointmentId }, include });
         });
+
+        if (appointment.leadId && nextStatus !== appointment.status) {
+            await LeadService.recordTrialStatus(prisma, {
+                leadId: appointment.leadId,
+                appointmentId,
+                status: nextStatus,
+                userId: extra?.userId ?? null
+            });
+        }
+
+        return updated;
     },
 
     /**
      * Delete/Cancel appointment
+     * options.tx runs the cancellation inside the caller's transaction;
+     * options.cancelledBy 'gym' cancels without a late-cancellation charge
      */
-    async deleteAppointment(id) {
-        const result = await prisma.appointment.update({
-            where: { id: parseInt(id) },
-            data: { status: 'cancelled' }
-        });
+    async deleteAppointment(id, options = {}) {
+        const cancel = async (tx) => {
+            const current = await tx.appointment.findUnique({
+                where: { id: parseInt(id) },
+                select: { status: true }
+            });
+            const cancelled = await tx.appointment.update({
+                where: { id: parseInt(id) },
+                data: { status: 'cancelled' }
+            });
+            await AppointmentPolicyService.applyStatusPolicy(tx, cancelled, 'cancelled', {
+                previousStatus: current?.status ?? null,
+                userId: options.userId ?? null,
+                chargePolicy: options.cancelledBy !== 'gym'
+            });
 
-        // Ensure any existing commission is voided
-        await CommissionService.voidSessionCommission(id);
+            // Ensure any existing commission is voided
+            await CommissionService.voidSessionCommission(id, tx);
+            return cancelled;
+        };
 
-        return result;
+        return options.tx ? cancel(options.tx) : prisma.$transaction(cancel);
     },
 
     /**
@@ -1175,10 +1373,14 @@ const AppointmentService = {
             // regardless of check-in status (assumed completed if not cancelled manually)
             const newStatus = 'completed';
 
-            // Update status
-            const updated = await prisma.appointment.update({
-                where: { id: session.id },
-                data: { status: newStatus }
+            // Update status (sessions booked on a package take their session now)
+            const updated = await prisma.$transaction(async (tx) => {
+                const row = await tx.appointment.update({
+                    where: { id: session.id },
+                    data: { status: newStatus }
+                });
+                await AppointmentPackageService.syncPackageSession(tx, row, newStatus);
+                return row;
             });
 
             // Process commission for the completed session
@@ -1193,21 +1395,34 @@ const AppointmentService = {
 
     /**
      * Mark stale tentative bookings as no_show after 3 days.
+     * Bookings of members get the no-show charge of their service.
      */
     async autoMarkTentativeNoShows() {
         const cutoff = new Date(Date.now() - (3 * 24 * 60 * 60 * 1000));
-        const result = await prisma.appointment.updateMany({
+        const stale = await prisma.appointment.findMany({
             where: {
                 bookingType: 'tentative',
                 status: 'booked',
                 start: { lt: cutoff }
             },
-            data: {
-                status: 'no_show',
-                isCompleted: false
-            }
+            select: { id: true, status: true }
         });
-        return result?.count || 0;
+
+        for (const appointment of stale) {
+            await prisma.$transaction(async (tx) => {
+                const row = await tx.appointment.update({
+                    where: { id: appointment.id },
+                    data: {
+                        status: 'no_show',
+                        isCompleted: false
+                    }
+                });
+                await AppointmentPolicyService.applyStatusPolicy(tx, row, 'no_show', {
+                    previousStatus: appointment.status
+                });
+            });
+        }
+        return stale.length;
     }
 };
 
@@ -0,0 +1,238 @@
+/**
+ * ============================================
+ * BACKUP ROTATION SERVICE
+ * ============================================
+ *
+ * Automatic backups driven by the `backup_*` settings:
+ * - frequency (daily / weekly / off) and time of day
+ * - GFS retention: keep the newest automatic backup of the last N days,
+ *   N ISO weeks and N months; older automatic backups are deleted
+ * - staleness status for the dashboard warning
+ * Manual and pre-restore archives are never pruned.
+ */
+
+const { getNextRunAt } = require('../jobs/cron');
+const backupService = require('./backupService');
+
+const AUTO_BACKUP_PREFIX = 'auto-backup';
+
+const POLICY_SETTINGS = {
+    frequency: { key: 'backup_frequency', type: 'string', default: 'daily' },
+    time: { key: 'backup_time', type: 'string', default: '02:00' },
+    weekday: { key: 'backup_weekday', type: 'number', default: 5 },
+    keepDaily: { key: 'backup_keep_daily', type: 'number', default: 7 },
+    keepWeekly: { key: 'backup_keep_weekly', type: 'number', default: 4 },
+    keepMonthly: { key: 'backup_keep_monthly', type: 'number', default: 6 },
+    staleAfterHours: { key: 'backup_stale_after_hours', type: 'number', default: 36 }
+};
+
+const FREQUENCIES = ['daily', 'weekly', 'off'];
+
+const createPolicyError = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    err.code = 'INVALID_BACKUP_POLICY';
+    return err;
+};
+
+const parseTime = (value) => {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+    return match ? { hour: parseInt(match[1]), minute: parseInt(match[2]) } : null;
+};
+
+function normalizePolicy(raw) {
+    const policy = {};
+    for (const [name, def] of Object.entries(POLICY_SETTINGS)) {
+        const value = raw[name];
+        if (def.type === 'number') {
+            const parsed = parseInt(value);
+            policy[name] = Number.isFinite(parsed) && parsed >= 0 ? parsed : def.default;
+        } else {
+            policy[name] = value !== undefined && value !== null && value !== '' ? String(value) : def.default;
+        }
+    }
+    if (!FREQUENCIES.includes(policy.frequency)) policy.frequency = POLICY_SETTINGS.frequency.default;
+    if (!parseTime(policy.time)) policy.time = POLICY_SETTINGS.time.default;
+    if (policy.weekday > 6) policy.weekday = POLICY_SETTINGS.weekday.default;
+    return policy;
+}
+
+/**
+ * Read the backup policy from settings (defaults for missing keys)
+ */
+async function getBackupPolicy(prisma) {
+    const keys = Object.values(POLICY_SETTINGS).map((def) => def.key);
+    const rows = await prisma.setting.findMany({ where: { key: { in: keys } } });
+    const byKey = new Map(rows.map((row) => [row.key, row.value]));
+
+    const raw = {};
+    for (const [name, def] of Object.entries(POLICY_SETTINGS)) {
+        raw[name] = byKey.get(def.key);
+    }
+    return normalizePolicy(raw);
+}
+
+/**
+ * Validate and store policy changes
+ */
+async function saveBackupPolicy(prisma, input = {}) {
+    if (input.frequency !== undefined && !FREQUENCIES.includes(input.frequency)) {
+        throw createPolicyError(`frequency must be one of ${FREQUENCIES.join(', ')}`);
+    }
+    if (input.time !== undefined && !parseTime(input.time)) {
+        throw createPolicyError('time must be HH:MM (24h)');
+    }
+    const weekday = Number(input.weekday);
+    if (input.weekday !== undefined && !(Number.isInteger(weekday) && weekday >= 0 && weekday <= 6)) {
+        throw createPolicyError('weekday must be 0 (Sunday) to 6 (Saturday)');
+    }
+    for (const name of ['keepDaily', 'keepWeekly', 'keepMonthly', 'staleAfterHours']) {
+        if (input[name] !== undefined && !(Number.isInteger(Number(input[name])) && Number(input[name]) >= 0)) {
+            throw createPolicyError(`${name} must be a non-negative integer`);
+        }
+    }
+
+    const current = await getBackupPolicy(prisma);
+    const next = normalizePolicy({ ...current, ...input });
+
+    await Promise.all(Object.entries(POLICY_SETTINGS).map(([name, def]) => prisma.setting.upsert({
+        where: { key: def.key },
+        update: { value: String(next[name]), type: def.type, group: 'backup' },
+        create: { key: def.key, value: String(next[name]), type: def.type, group: 'backup' }
+    })));
+
+    return next;
+}
+
+/**
+ * Cron expression equivalent of the policy (null when automatic backups are off)
+ */
+function getPolicyCron(policy) {
+    if (policy.frequency === 'off') return null;
+    const { hour, minute } = parseTime(policy.time);
+    return policy.frequency === 'weekly'
+        ? `${minute} ${hour} * * ${policy.weekday}`
+        : `${minute} ${hour} * * *`;
+}
+
+const dayKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+const monthKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}`;
+const weekKey = (date) => {
+    // ISO week: the Thursday of the week decides the year
+    const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    d.setDate(d.getDate() + 3 - ((d.getDay() + 6) % 7));
+    const firstThursday = new Date(d.getFullYear(), 0, 4);
+    const week = 1 + Math.round(((d - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+    return `${d.getFullYear()}-W${week}`;
+};
+
+/**
+ * Grandfather-father-son selection.
+ * @param {Array<{ name: string, createdAt: Date|string }>} backups
+ * @returns {{ keep: string[], remove: string[] }}
+ */
+function selectBackupsForRetention(backups, policy) {
+    const sorted = [...backups].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const keep = new Set();
+
+    const keepNewestPerPeriod = (periodKey, limit) => {
+        const seen = new Set();
+        for (const backup of sorted) {
+            const key = periodKey(new Date(backup.createdAt));
+            if (seen.has(key)) continue;
+            if (seen.size >= limit) break;
+            seen.add(key);
+            keep.add(backup.name);
+        }
+    };
+
+    keepNewestPerPeriod(dayKey, policy.keepDaily);
+    keepNewestPerPeriod(weekKey, policy.keepWeekly);
+    keepNewestPerPeriod(monthKey, policy.keepMonthly);
+
+    // Never delete the most recent backup
+    if (sorted[0]) keep.add(sorted[0].name);
+
+    return {
+        keep: sorted.filter((b) => keep.has(b.name)).map((b) => b.name),
+        remove: sorted.filter((b) => !keep.has(b.name)).map((b) => b.name)
+    };
+}
+
+const getAutomaticBackups = (userDataPath) => backupService.listBackups(userDataPath)
+    .filter((b) => b.name.startsWith(`${AUTO_BACKUP_PREFIX}-`));
+
+function applyRetention(userDataPath, policy) {
+    const { remove } = selectBackupsForRetention(getAutomaticBackups(userDataPath), policy);
+    for (const name of remove) {
+        try {
+            backupService.deleteBackup(userDataPath, name);
+        } catch (error) {
+            console.error(`[BACKUP] Failed to prune ${name}:`, error.message);
+        }
+    }
+    return remove;
+}
+
+/**
+ * Create an automatic backup when the latest scheduled slot has passed since
+ * the previous automatic backup, then prune per retention policy.
+ * Called hourly (and on startup) by the `database-backup` job.
+ */
+async function runAutomaticBackup(prisma, { userDataPath, now = new Date(), force = false }) {
+    const policy = await getBackupPolicy(prisma);
+    const cron = getPolicyCron(policy);
+    if (!cron && !force) {
+        return { skipped: true, reason: 'Automatic backups are turned off' };
+    }
+
+    const lastAutomatic = getAutomaticBackups(userDataPath)[0];
+    if (!force && lastAutomatic && getNextRunAt(cron, new Date(lastAutomatic.createdAt)) > now) {
+        return { skipped: true, reason: 'Not due yet', lastBackup: lastAutomatic.name };
+    }
+
+    const backup = await backupService.createBackup(prisma, { userDataPath, prefix: AUTO_BACKUP_PREFIX });
+    const pruned = applyRetention(userDataPath, policy);
+
+    return {
+        processed: 1,
+        name: backup.name,
+        size: backup.size,
+        sha256: backup.sha256,
+        totalRows: backup.manifest.totalRows,
+        pruned
+    };
+}
+
+/**
+ * Last successful backup (any kind) and whether it is older than the threshold
+ */
+async function getBackupStatus(prisma, userDataPath, now = new Date()) {
+    const policy = await getBackupPolicy(prisma);
+    const latest = backupService.listBackups(userDataPath)[0] || null;
+    const lastBackupAt = latest ? new Date(latest.createdAt) : null;
+    const ageHours = lastBackupAt ? (now.getTime() - lastBackupAt.getTime()) / 3600000 : null;
+    const cron = getPolicyCron(policy);
+
+    return {
+        lastBackup: latest ? latest.name : null,
+        lastBackupAt,
+        ageHours: ageHours !== null ? Math.round(ageHours * 10) / 10 : null,
+        staleAfterHours: policy.staleAfterHours,
+        isStale: policy.staleAfterHours > 0 && (ageHours === null || ageHours > policy.staleAfterHours),
+        frequency: policy.frequency,
+        nextScheduledAt: cron ? getNextRunAt(cron, now) : null
+    };
+}
+
+module.exports = {
+    AUTO_BACKUP_PREFIX,
+    POLICY_SETTINGS,
+    getBackupPolicy,
+    saveBackupPolicy,
+    getPolicyCron,
+    selectBackupsForRetention,
+    applyRetention,
+    runAutomaticBackup,
+    getBackupStatus
+};
@@ -0,0 +1,263 @@
+/**
+ * ============================================
+ * BRANCH SERVICE
+ * ============================================
+ *
+ * Multi-branch helpers shared by routes and reports:
+ * - which branches a user may work in (UserBranch rows; none = all branches)
+ * - request branch scope -> Prisma where fragments
+ * - plan branch rules for check-in (all / home branch / selected branches)
+ * - per-branch comparison figures
+ *
+ * Branch scope values: null (all branches), a branch id, or an array of ids.
+ */
+
+const { featureFlags, FEATURES } = require('./featureFlags');
+
+const BRANCH_ACCESS = ['all', 'home', 'selected'];
+
+const createBranchError = (message, status = 400, code = 'BRANCH_ERROR') => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+const isMultiBranchEnabled = () => featureFlags.isEnabled(FEATURES.MULTI_BRANCH);
+
+const parseBranchId = (value) => {
+    if (value === undefined || value === null || value === '' || value === 'all') return null;
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : NaN;
+};
+
+const parseIdList = (value) => {
+    if (!value) return [];
+    try {
+        const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+        return Array.isArray(parsed) ? parsed.map((id) => parseInt(id, 10)).filter(Number.isInteger) : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Branch ids a user is restricted to, or null when the user may use every branch
+ */
+async function getUserBranchIds(prisma, user) {
+    if (!user || user.role === 'admin') return null;
+    const rows = await prisma.userBranch.findMany({
+        where: { userId: user.id },
+        select: { branchId: true }
+    });
+    return rows.length > 0 ? rows.map((row) => row.branchId) : null;
+}
+
+/**
+ * Resolve the branch scope of a request.
+ * An explicit branch must be one the user may access; without one, restricted
+ * users are scoped to their own branches.
+ * @returns {Promise<{ branchId: number|null, scope: null|number|number[] }>}
+ */
+async function resolveBranchScope(prisma, user, requestedBranchId) {
+    if (!isMultiBranchEnabled()) return { branchId: null, scope: null };
+
+    const branchId = parseBranchId(requestedBranchId);
+    if (Number.isNaN(branchId)) {
+        throw createBranchError('Invalid branch', 400, 'INVALID_BRANCH');
+    }
+
+    const allowed = await getUserBranchIds(prisma, user);
+    if (branchId !== null) {
+        if (allowed && !allowed.includes(branchId)) {
+            throw createBranchError('You do not have access to this branch', 403, 'BRANCH_FORBIDDEN');
+        }
+        return { branchId, scope: branchId };
+    }
+
+    if (allowed) {
+        return { branchId: allowed.length === 1 ? allowed[0] : null, scope: allowed.length === 1 ? allowed[0] : allowed };
+    }
+    return { branchId: null, scope: null };
+}
+
+/**
+ * Prisma where fragment for a branch-scoped model: {} | { branchId } | { branchId: { in } }
+ */
+function branchWhere(scope, field = 'branchId') {
+    if (scope === null || scope === undefined) return {};
+    return Array.isArray(scope) ? { [field]: { in: scope } } : { [field]: scope };
+}
+
+/**
+ * Where fragment for records that belong to a branch through their shift (refunds, cash movements)
+ */
+function shiftBranchWhere(scope) {
+    if (scope === null || scope === undefined) return {};
+    return { shift: branchWhere(scope) };
+}
+
+/**
+ * Where fragment for member-owned records (subscriptions), by the member's home branch
+ */
+function memberBranchWhere(scope) {
+    if (scope === null || scope === undefined) return {};
+    return { member: branchWhere(scope, 'homeBranchId') };
+}
+
+/**
+ * Check whether a plan lets the member check in at a branch.
+ * Members without a home branch are not restricted by a "home" rule.
+ * @returns {{ allowed: boolean, reason?: string, rule?: string }}
+ */
+function checkPlanBranchAccess(plan, member, branchId) {
+    if (!branchId || !plan) return { allowed: true };
+    const access = plan.branchAccess || 'all';
+
+    if (access === 'home') {
+        if (!member?.homeBranchId || member.homeBranchId === branchId) return { allowed: true };
+        return { allowed: false, reason: 'BRANCH_NOT_ALLOWED', rule: 'home' };
+    }
+    if (access === 'selected') {
+        const allowed = parseIdList(plan.allowedBranchIds);
+        if (allowed.length === 0 || allowed.includes(branchId)) return { allowed: true };
+        return { allowed: false, reason: 'BRANCH_NOT_ALLOWED', rule: 'selected' };
+    }
+    return { allowed: true };
+}
+
+/**
+ * Branch of a POS shift (payments and sales inherit it)
+ */
+async function getShiftBranchId(prisma, shiftId) {
+    if (!shiftId) return null;
+    const shift = await prisma.pOSShift.findUnique({
+        where: { id: parseInt(shiftId, 10) },
+        select: { branchId: true }
+    });
+    return shift?.branchId ?? null;
+}
+
+/**
+ * Side-by-side figures per branch for a period.
+ * Records without a branch (before multi-branch was enabled) are grouped as "unassigned".
+ */
+async function getBranchComparison(prisma, { startDate, endDate, scope = null }) {
+    const branches = await prisma.branch.findMany({
+        where: branchWhere(scope, 'id'),
+        orderBy: { name: 'asc' }
+    });
+
+    const range = { gte: startDate, lte: endDate };
+    const [payments, refunds, checkIns, sales, appointments] = await Promise.all([
+        prisma.payment.groupBy({
+            by: ['branchId'],
+            where: { paidAt: range, amount: { gt: 0 }, ...branchWhere(scope) },
+            _sum: { amount: true },
+            _count: { _all: true }
+        }),
+        prisma.refund.findMany({
+            where: { createdAt: range, ...shiftBranchWhere(scope) },
+            select: { amount: true, shift: { select: { branchId: true } } }
+        }),
+        prisma.checkIn.groupBy({
+            by: ['branchId'],
+            where: { checkInTime: range, ...branchWhere(scope) },
+            _count: { _all: true }
+        }),
+        prisma.saleTransaction.groupBy({
+            by: ['branchId'],
+            where: { createdAt: range, ...branchWhere(scope) },
+            _sum: { totalAmount: true },
+            _count: { _all: true }
+        }),
+        prisma.appointment.groupBy({
+            by: ['branchId'],
+            where: { start: range, status: 'completed', ...branchWhere(scope) },
+            _count: { _all: true }
+        })
+    ]);
+
+    const rows = new Map();
+    const rowFor = (branchId) => {
+        const key = branchId ?? null;
+        if (!rows.has(key)) {
+            const branch = branches.find((b) => b.id === key);
+            rows.set(key, {
+                branchId: key,
+                branchName: branch ? branch.name : 'Unassigned',
+                branchCode: branch ? branch.code : null,
+                grossRevenue: 0,
+                refunds: 0,
+                netRevenue: 0,
+                paymentCount: 0,
+                checkIns: 0,
+                salesTotal: 0,
+                salesCount: 0,
+                completedSessions: 0
+            });
+        }
+        return rows.get(key);
+    };
+
+    branches.forEach((branch) => rowFor(branch.id));
+    payments.forEach((p) => {
+        const row = rowFor(p.branchId);
+        row.grossRevenue += p._sum.amount || 0;
+        row.paymentCount += p._count._all;
+    });
+    refunds.forEach((r) => {
+        rowFor(r.shift?.branchId).refunds += r.amount || 0;
+    });
+    checkIns.forEach((c) => {
+        rowFor(c.branchId).checkIns += c._count._all;
+    });
+    sales.forEach((s) => {
+        const row = rowFor(s.branchId);
+        row.salesTotal += s._sum.totalAmount || 0;
+        row.salesCount += s._count._all;
+    });
+    appointments.forEach((a) => {
+        rowFor(a.branchId).completedSessions += a._count._all;
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+    return [...rows.values()].map((row) => ({
+        ...row,
+        grossRevenue: round(row.grossRevenue),
+        refunds: round(row.refunds),
+        netRevenue: round(row.grossRevenue - row.refunds),
+        salesTotal: round(row.salesTotal)
+    }));
+}
+
+/**
+ * Validate plan branch rule input
+ * @returns {{ branchAccess: string, allowedBranchIds: string|null }}
+ */
+function normalizePlanBranchRules(input = {}) {
+    const branchAccess = input.branchAccess || 'all';
+    if (!BRANCH_ACCESS.includes(branchAccess)) {
+        throw createBranchError(`branchAccess must be one of ${BRANCH_ACCESS.join(', ')}`, 400, 'INVALID_BRANCH_ACCESS');
+    }
+    const ids = parseIdList(input.allowedBranchIds);
+    return {
+        branchAccess,
+        allowedBranchIds: branchAccess === 'selected' && ids.length > 0 ? JSON.stringify(ids) : null
+    };
+}
+
+module.exports = {
+    BRANCH_ACCESS,
+    isMultiBranchEnabled,
+    parseBranchId,
+    getUserBranchIds,
+    resolveBranchScope,
+    branchWhere,
+    shiftBranchWhere,
+    memberBranchWhere,
+    checkPlanBranchAccess,
+    getShiftBranchId,
+    getBranchComparison,
+    normalizePlanBranchRules
+};
@@ -0,0 +1,488 @@
+/**
+ * ============================================
+ * CHECK-IN SERVICE
+ * ============================================
+ *
+ * Eligibility rules and check-in recording shared by the staff
+ * check-in screen (/api/checkin) and the public API (/api/v1).
+ */
+
+const { checkPlanBranchAccess } = require('./branchService');
+const { emitEvent, WEBHOOK_EVENTS } = require('./webhookService');
+const { serializeCheckIn, serializeMember } = require('../utils/apiSerializers');
+const { getGraceDays, currentSubscriptionWhere } = require('./subscriptionLifecycleService');
+const { checkPlanAccessRules } = require('./planAccessService');
+const { evaluateDebt } = require('./debtPolicyService');
+const { createAuditLog } = require('./auditService');
+
+const getTodayRange = () => {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return { start, end };
+};
+
+const toPackageSummary = (pkg) => {
+    if (!pkg) return null;
+    return {
+        id: pkg.id,
+        planName: pkg.plan?.name || '',
+        remainingSessions: pkg.remainingSessions,
+        totalSessions: pkg.totalSessions,
+        endDate: pkg.endDate,
+        status: pkg.status,
+        sessionName: pkg.sessionName || pkg.plan?.name || null,
+        sessionPrice: pkg.sessionPrice ?? null
+    };
+};
+
+const toMemberSummary = (member) => ({
+    id: member.id,
+    memberId: member.memberId,
+    firstName: member.firstName,
+    lastName: member.lastName,
+    photo: member.photo
+});
+
+const findActivePackage = async (prisma, memberId) => {
+    const now = new Date();
+    await prisma.memberPackage.updateMany({
+        where: {
+            memberId,
+            status: 'ACTIVE',
+            endDate: { lt: now }
+        },
+        data: { status: 'EXPIRED' }
+    });
+    await prisma.memberPackage.updateMany({
+        where: {
+            memberId,
+            status: 'ACTIVE',
+            remainingSessions: { lte: 0 }
+        },
+        data: { status: 'COMPLETED' }
+    });
+
+    const baseWhere = {
+        memberId,
+        status: 'ACTIVE',
+        remainingSessions: { gt: 0 },
+        startDate: { lte: now },
+        plan: { type: 'PACKAGE' },
+        OR: [
+            { endDate: null },
+            { endDate: { gte: now } }
+        ]
+    };
+
+    const withEndDate = await prisma.memberPackage.findFirst({
+        where: { ...baseWhere, endDate: { not: null } },
+        include: { plan: true },
+        orderBy: { endDate: 'asc' }
+    });
+    if (withEndDate) return withEndDate;
+
+    return prisma.memberPackage.findFirst({
+        where: { ...baseWhere, endDate: null },
+        include: { plan: true },
+        orderBy: { createdAt: 'desc' }
+    });
+};
+
+const computeEligibility = async (prisma, member, mode, branchId = null) => {
+    const now = new Date();
+    // Subscriptions in their grace period still allow check-in
+    const graceDays = await getGraceDays(prisma);
+    const activeSubscription = await prisma.subscription.findFirst({
+        where: {
+            memberId: member.id,
+            ...currentSubscriptionWhere(now, graceDays)
+        },
+        orderBy: { endDate: 'desc' },
+        include: { plan: true }
+    });
+    const inGrace = Boolean(activeSubscription) && new Date(activeSubscription.endDate) < now;
+
+    const activePackage = await findActivePackage(prisma, member.id);
+    const hasActiveSubscription = Boolean(activeSubscription);
+    const hasActivePackage = Boolean(activePackage);
+    const { start, end } = getTodayRange();
+    const booking = await prisma.appointment.findFirst({
+        where: {
+            memberId: member.id,
+            start: { gte: start, lt: end },
+            status: { notIn: ['cancelled', 'no_show'] }
+        }
+    });
+    const hasBookingToday = Boolean(booking);
+
+    // Plan branch rules decide whether the subscription can be used at this branch
+    const branchAccess = checkPlanBranchAccess(activeSubscription?.plan, member, branchId);
+    // Then the plan's own access rules (days, hours, gender slots, visit quotas)
+    const planAccess = hasActiveSubscription && branchAccess.allowed && mode !== 'session'
+        ? await checkPlanAccessRules(prisma, { subscription: activeSubscription, member, now })
+        : { allowed: true };
+    const subscriptionUsable = hasActiveSubscription && branchAccess.allowed && planAccess.allowed;
+
+    let eligible = false;
+    let reason = 'NOT_ELIGIBLE';
+    let accessDenial = null;
+    if (mode === 'session') {
+        eligible = hasBookingToday;
+    } else {
+        eligible = subscriptionUsable || hasActivePackage;
+        if (!eligible && hasActiveSubscription) {
+            const denial = branchAccess.allowed ? planAccess : branchAccess;
+            reason = denial.reason;
+            if (denial.details) {
+                accessDenial = {
+                    reason: denial.reason,
+                    details: denial.details,
+                    message: denial.message,
+                    arabicMessage: denial.arabicMessage
+                };
+            }
+        }
+    }
+    // Outstanding balance policy: block here, warn is enforced when recording
+    const debt = eligible ? await evaluateDebt(prisma, member) : null;
+    if (debt?.blocked) {
+        eligible = false;
+        reason = 'OUTSTANDING_BALANCE';
+    }
+    if (eligible) {
+        reason = 'ELIGIBLE';
+    }
+
+    return { eligible, reason, accessDenial, debt, hasActiveSubscription, hasActivePackage, hasBookingToday, subscriptionUsable, inGrace, activeSubscription, activePackage };
+};
+
+const createError = (status, code, message, extra = {}) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    Object.assign(err, extra);
+    return err;
+};
+
+/**
+ * Record a check-in for a resolved, active member.
+ * Evaluates eligibility, refuses a second open check-in for today and
+ * consumes a package session when the visit is paid by a package.
+ *
+ * Throws errors with `status` and `code`:
+ * NOT_ELIGIBLE, BRANCH_NOT_ALLOWED, the plan access rule codes of
+ * planAccessService (with `arabicMessage` and `details`),
+ * OUTSTANDING_BALANCE, DEBT_OVERRIDE_REQUIRED and DEBT_OVERRIDE_FORBIDDEN
+ * (with the `debt` summary and its `collect` shortcut) and
+ * ALREADY_CHECKED_IN (with the open `checkIn`).
+ *
+ * @param {PrismaClient} prisma
+ * @param {Object} options
+ * @param {Object} options.member - Member row
+ * @param {string} [options.mode] - 'membership' or 'session'
+ * @param {string} [options.method] - CheckIn.method (manual, qr, api, ...)
+ * @param {number|null} [options.branchId]
+ * @param {number|null} [options.userId] - Employee recording the check-in
+ * @param {string} [options.idempotencyKey] - Stored with package check-ins inside the transaction
+ * @param {boolean} [options.overrideDebt] - Staff chose to let a member with a balance in (debt policy "warn")
+ * @param {boolean} [options.canOverrideDebt] - The user holds checkins.debt_override
+ * @param {string} [options.overrideReason] - Note stored in the override audit log
+ * @returns {Promise<Object>} Response payload (checkIn, member, visitType and visit details)
+ */
+async function recordCheckIn(prisma, {
+    member,
+    mode = 'membership',
+    method = 'manual',
+    branchId = null,
+    userId = null,
+    sessionName,
+    sessionPrice,
+    idempotencyKey = '',
+    overrideDebt = false,
+    canOverrideDebt = false,
+    overrideReason = null
+}) {
+    const modeToUse = mode === 'session' ? 'session' : 'membership';
+    const { eligible, reason, accessDenial, debt, activeSubscription, activePackage, subscriptionUsable, inGrace } = await computeEligibility(prisma, member, modeToUse, branchId);
+    let visitType = null;
+    let appointmentUsed = null;
+    let subscriptionResponse = null;
+
+    if (!eligible) {
+        if (reason === 'BRANCH_NOT_ALLOWED') {
+            throw createError(400, reason, 'Membership plan does not allow check-in at this branch', {
+                reason,
+                arabicMessage: 'الاشتراك لا يسمح بالدخول في هذا الفرع.'
+            });
+        }
+        if (reason === 'OUTSTANDING_BALANCE') {
+            throw createError(400, reason, 'Member has an outstanding balance', {
+                reason,
+                arabicMessage: 'على العضو مبلغ مستحق. يرجى التحصيل أولًا.',
+                debt
+            });
+        }
+        if (accessDenial) {
+            throw createError(400, reason, accessDenial.message, {
+                reason,
+                arabicMessage: accessDenial.arabicMessage,
+                details: accessDenial.details
+            });
+        }
+        throw createError(400, 'NOT_ELIGIBLE', 'Not eligible for check-in', {
+            reason: 'NOT_ELIGIBLE',
+            arabicMessage: 'غير مؤهل لتسجيل الدخول.'
+        });
+    }
+
+    if (debt?.requiresOverride) {
+        if (!overrideDebt) {
+            throw createError(400, 'DEBT_OVERRIDE_REQUIRED', 'Member has an outstanding balance. Check-in needs an override.', {
+                reason: 'DEBT_OVERRIDE_REQUIRED',
+                arabicMessage: 'على العضو مبلغ مستحق. تسجيل الدخول يحتاج موافقة.',
+                debt
+            });
+        }
+        if (!canOverrideDebt) {
+            throw createError(403, 'DEBT_OVERRIDE_FORBIDDEN', 'You are not allowed to override an outstanding balance', {
+                reason: 'DEBT_OVERRIDE_FORBIDDEN',
+                arabicMessage: 'ليس لديك صلاحية تجاوز المبلغ المستحق.',
+                debt
+            });
+        }
+    }
+
+    if (modeToUse === 'membership') {
+        if (subscriptionUsable) {
+            visitType = 'SUBSCRIPTION';
+            subscriptionResponse = activeSubscription;
+        } else if (activePackage) {
+            visitType = 'PACKAGE';
+        }
+    } else {
+        const { start, end } = getTodayRange();
+        appointmentUsed = await prisma.appointment.findFirst({
+            where: {
+                memberId: member.id,
+                start: { gte: start, lt: end },
+                status: { notIn: ['cancelled', 'no_show'] }
+            },
+            orderBy: { start: 'asc' }
+        });
+        visitType = 'SESSION';
+    }
+
+    // Check if already checked in today
+    const todayStart = new Date();
+    todayStart.setHours(0, 0, 0, 0);
+
+    const existingCheckIn = await prisma.checkIn.findFirst({
+        where: {
+            memberId: member.id,
+            checkInTime: { gte: todayStart },
+            checkOutTime: null
+        }
+    });
+
+    if (existingCheckIn) {
+        throw createError(400, 'ALREADY_CHECKED_IN', 'Already checked in. Please check out first.', {
+            checkIn: existingCheckIn
+        });
+    }
+
+    let checkIn = null;
+    let packageSnapshot = null;
+    const metadata = { visitType };
+    if (appointmentUsed) {
+        metadata.appointmentId = appointmentUsed.id;
+    }
+
+    if (visitType === 'PACKAGE') {
+        // Consume package session in a single transaction
+        const result = await prisma.$transaction(async (tx) => {
+            const now = new Date();
+            const baseWhere = {
+                memberId: member.id,
+                status: 'ACTIVE',
+                remainingSessions: { gt: 0 },
+                startDate: { lte: now },
+                plan: { type: 'PACKAGE' },
+                OR: [
+                    { endDate: null },
+                    { endDate: { gte: now } }
+                ]
+            };
+
+            const pkgWithEnd = await tx.memberPackage.findFirst({
+                where: { ...baseWhere, endDate: { not: null } },
+                include: { plan: true },
+                orderBy: { endDate: 'asc' }
+            });
+            const pkg = pkgWithEnd || await tx.memberPackage.findFirst({
+                where: { ...baseWhere, endDate: null },
+                include: { plan: true },
+                orderBy: { createdAt: 'desc' }
+            });
+
+            if (!pkg) {
+                const err = new Error('No active package available');
+                err.status = 400;
+                throw err;
+            }
+
+            const explicitSessionName = typeof sessionName === 'string' && sessionName.trim()
+                ? sessionName.trim()
+                : null;
+            const parsedSessionPrice = sessionPrice !== undefined && sessionPrice !== null && sessionPrice !== ''
+                ? Number(sessionPrice)
+                : NaN;
+            const fallbackSessionPrice = Number(pkg.sessionPrice ?? (Number(pkg.plan?.price || 0) > 0 && Number(pkg.totalSessions || 0) > 0
+                ? Number(pkg.plan.price) / Number(pkg.totalSessions)
+                : 0));
+            const usedSessionName = explicitSessionName || pkg.sessionName || pkg.plan?.name || null;
+            const usedSessionPrice = Number.isFinite(parsedSessionPrice) && parsedSessionPrice >= 0
+                ? parsedSessionPrice
+                : fallbackSessionPrice;
+
+            const createdCheckIn = await tx.checkIn.create({
+                data: {
+                    memberId: member.id,
+                    branchId,
+                    method,
+                    notes: JSON.stringify(metadata)
+                }
+            });
+
+            await tx.packageSessionUsage.create({
+                data: {
+                    memberId: member.id,
+                    memberPackageId: pkg.id,
+                    checkInId: createdCheckIn.id,
+                    sessionName: usedSessionName,
+                    sessionPrice: usedSessionPrice,
+                    source: 'CHECKIN',
+                    createdByEmployeeId: userId,
+                    notes: null
+                }
+            });
+
+            const nextRemaining = pkg.remainingSessions - 1;
+            const nextStatus = nextRemaining <= 0 ? 'COMPLETED' : 'ACTIVE';
+
+            const updatedPackage = await tx.memberPackage.update({
+                where: { id: pkg.id },
+                data: {
+                    remainingSessions: nextRemaining,
+                    status: nextStatus,
+                    sessionName: usedSessionName,
+                    sessionPrice: usedSessionPrice
+                },
+                include: { plan: true }
+            });
+
+            const payload = {
+                checkIn: createdCheckIn,
+                member: toMemberSummary(member),
+                visitType: 'PACKAGE',
+                package: {
+                    id: updatedPackage.id,
+                    planName: updatedPackage.plan?.name || '',
+                    remainingSessions: updatedPackage.remainingSessions,
+                    totalSessions: updatedPackage.totalSessions,
+                    endDate: updatedPackage.endDate,
+                    status: updatedPackage.status,
+                    sessionName: usedSessionName,
+                    sessionPrice: usedSessionPrice
+                }
+            };
+
+            if (idempotencyKey) {
+                await tx.checkInIdempotency.create({
+                    data: {
+                        idempotencyKey,
+                        memberId: member.id,
+                        memberPackageId: updatedPackage.id,
+                        checkInId: createdCheckIn.id,
+                        responseJson: JSON.stringify(payload)
+                    }
+                });
+            }
+
+            return { updatedPackage, createdCheckIn };
+        });
+
+        checkIn = result.createdCheckIn;
+        packageSnapshot = result.updatedPackage;
+    } else {
+        checkIn = await prisma.checkIn.create({
+            data: {
+                memberId: member.id,
+                branchId,
+                method,
+                subscriptionId: visitType === 'SUBSCRIPTION' ? activeSubscription.id : null,
+                notes: JSON.stringify(metadata)
+            }
+        });
+    }
+
+    const now = new Date();
+    const responsePayload = {
+        checkIn,
+        member: toMemberSummary(member),
+        visitType
+    };
+
+    if (visitType === 'SUBSCRIPTION' && subscriptionResponse) {
+        const daysRemaining = Math.ceil((new Date(subscriptionResponse.endDate) - now) / (1000 * 60 * 60 * 24));
+        responsePayload.subscription = {
+            plan: subscriptionResponse.plan.name,
+            endDate: subscriptionResponse.endDate,
+            daysRemaining,
+            inGrace
+        };
+    }
+
+    if (debt) {
+        responsePayload.debt = debt;
+        if (debt.requiresOverride) {
+            await createAuditLog(prisma, 'CHECKIN_DEBT_OVERRIDE', 'CheckIn', checkIn.id, userId, {
+                memberId: member.id,
+                outstanding: debt.outstanding,
+                subscriptionIds: debt.subscriptions.map((row) => row.subscriptionId),
+                chargeIds: debt.charges.map((row) => row.chargeId),
+                reason: overrideReason || null
+            });
+        }
+    }
+
+    if (visitType === 'SESSION' && appointmentUsed) {
+        responsePayload.appointment = {
+            id: appointmentUsed.id,
+            start: appointmentUsed.start,
+            end: appointmentUsed.end,
+            status: appointmentUsed.status
+        };
+    }
+
+    if (visitType === 'PACKAGE' && packageSnapshot) {
+        responsePayload.package = toPackageSummary(packageSnapshot);
+    }
+
+    await emitEvent(prisma, WEBHOOK_EVENTS.CHECKIN_CREATED, {
+        checkIn: serializeCheckIn(checkIn),
+        member: serializeMember(member),
+        visitType
+    });
+
+    return responsePayload;
+}
+
+module.exports = {
+    getTodayRange,
+    toPackageSummary,
+    findActivePackage,
+    computeEligibility,
+    recordCheckIn
+};
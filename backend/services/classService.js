@@ -0,0 +1,656 @@
+/**
+ * ============================================
+ * CLASS SERVICE
+ * ============================================
+ *
+ * Group classes (spinning, yoga, HIIT): class types, scheduled sessions
+ * with a capacity and room, member enrollment and waitlists.
+ *
+ * A seat is paid for when it is taken - at enrollment, or when a waitlisted
+ * member is promoted - with, in order:
+ * - a class credit of a current subscription whose plan includes classes
+ *   (SubscriptionPlan.classCredits per subscription)
+ * - a session of an active MemberPackage (PackageSessionUsage, source CLASS)
+ * Staff can also give a complimentary seat.
+ *
+ * Cancelling before the cut-off (`class_cancel_cutoff_hours` before the
+ * start) gives the credit back; later cancellations keep it (late_cancelled).
+ * Every freed seat goes to the first member on the waitlist who still has
+ * a credit. Marking a member attended can record their CheckIn.
+ */
+
+const { getGraceDays, currentSubscriptionWhere } = require('./subscriptionLifecycleService');
+const { emitEvent, WEBHOOK_EVENTS } = require('./webhookService');
+const { serializeCheckIn, serializeMember } = require('../utils/apiSerializers');
+
+const DEFAULT_CANCEL_CUTOFF_HOURS = 2;
+const MAX_REPEAT_WEEKS = 26;
+
+// Enrollments holding a seat
+const SEAT_STATUSES = ['enrolled', 'attended', 'no_show'];
+// Enrollments that block enrolling the member again
+const ACTIVE_STATUSES = [...SEAT_STATUSES, 'waitlisted'];
+// Enrollments that used up a plan class credit
+const CREDIT_STATUSES = [...SEAT_STATUSES, 'late_cancelled'];
+const ATTENDANCE_STATUSES = ['attended', 'no_show'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+const parseOptionalInt = (value, field, { min = 0 } = {}) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw createError(400, 'INVALID_CLASS', `${field} must be a whole number of at least ${min}`);
+    }
+    return number;
+};
+
+const parseDate = (value, field) => {
+    const date = new Date(value);
+    if (value === undefined || value === null || value === '' || Number.isNaN(date.getTime())) {
+        throw createError(400, 'INVALID_CLASS', `Invalid ${field}`);
+    }
+    return date;
+};
+
+const trimOrNull = (value) => {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    return text || null;
+};
+
+/**
+ * Hours before the start after which a cancellation keeps the credit
+ */
+async function getCancelCutoffHours(prisma) {
+    const setting = await prisma.setting.findUnique({ where: { key: 'class_cancel_cutoff_hours' } });
+    const hours = Number(setting?.value);
+    return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_CANCEL_CUTOFF_HOURS;
+}
+
+function isPastCancelCutoff(session, cutoffHours, now = new Date()) {
+    return now.getTime() > new Date(session.start).getTime() - cutoffHours * HOUR_MS;
+}
+
+/**
+ * Validate class type fields from the admin form
+ */
+function buildClassTypeData(input = {}, existing = null) {
+    const merged = { ...(existing || {}), ...input };
+
+    const name = trimOrNull(merged.name);
+    if (!name) throw createError(400, 'INVALID_CLASS', 'Class name is required');
+
+    const color = trimOrNull(merged.color);
+    if (color && !/^#[0-9a-fA-F]{6}$/.test(color)) {
+        throw createError(400, 'INVALID_CLASS', 'Colour must be a hex value like #4f46e5');
+    }
+
+    return {
+        name,
+        nameAr: trimOrNull(merged.nameAr),
+        description: trimOrNull(merged.description),
+        color,
+        durationMinutes: parseOptionalInt(merged.durationMinutes, 'Duration', { min: 5 }) ?? 60,
+        defaultCapacity: parseOptionalInt(merged.defaultCapacity, 'Capacity', { min: 1 }) ?? 20,
+        isActive: merged.isActive === undefined ? true : merged.isActive === true || merged.isActive === 'true'
+    };
+}
+
+/**
+ * Validate session fields. The end defaults to the class type's duration
+ * (or the current length when rescheduling) and the capacity to the
+ * type's default capacity.
+ */
+function buildSessionData(input = {}, classType, existing = null) {
+    const merged = { ...(existing || {}), ...input };
+
+    const start = parseDate(merged.start, 'start time');
+    // Moving only the start keeps the session's length
+    const durationMs = existing
+        ? new Date(existing.end).getTime() - new Date(existing.start).getTime()
+        : classType.durationMinutes * 60 * 1000;
+    const end = input.end !== undefined && input.end !== null && input.end !== ''
+        ? parseDate(input.end, 'end time')
+        : new Date(start.getTime() + durationMs);
+    if (end <= start) {
+        throw createError(400, 'INVALID_CLASS', 'End time must be after the start time');
+    }
+
+    return {
+        classTypeId: classType.id,
+        coachId: parseOptionalInt(merged.coachId, 'Coach', { min: 1 }),
+        room: trimOrNull(merged.room),
+        start,
+        end,
+        capacity: parseOptionalInt(merged.capacity, 'Capacity', { min: 1 }) ?? classType.defaultCapacity,
+        waitlistCapacity: parseOptionalInt(merged.waitlistCapacity, 'Waitlist size'),
+        notes: trimOrNull(merged.notes)
+    };
+}
+
+/**
+ * Start/end of a session and its weekly repeats
+ */
+function weeklyOccurrences(start, end, repeatWeeks = 1) {
+    const weeks = parseOptionalInt(repeatWeeks, 'Repeat weeks', { min: 1 }) ?? 1;
+    if (weeks > MAX_REPEAT_WEEKS) {
+        throw createError(400, 'INVALID_CLASS', `A class can repeat for at most ${MAX_REPEAT_WEEKS} weeks`);
+    }
+    return Array.from({ length: weeks }, (_, week) => ({
+        start: new Date(start.getTime() + week * WEEK_MS),
+        end: new Date(end.getTime() + week * WEEK_MS)
+    }));
+}
+
+const overlapWhere = (start, end) => ({
+    AND: [
+        { start: { lt: end } },
+        { end: { gt: start } }
+    ]
+});
+
+/**
+ * Refuse a session when its coach has another class or an appointment at
+ * that time, or its room is taken in the same branch.
+ */
+async function assertScheduleFree(prisma, { coachId, branchId = null, room, start, end, excludeSessionId = null }) {
+    const excludeSelf = excludeSessionId ? { id: { not: excludeSessionId } } : {};
+    const when = start.toISOString();
+
+    if (coachId) {
+        const classes = await prisma.classSession.count({
+            where: { coachId, status: { not: 'cancelled' }, ...excludeSelf, ...overlapWhere(start, end) }
+        });
+        const appointments = await prisma.appointment.count({
+            where: { coachId, status: { not: 'cancelled' }, ...overlapWhere(start, end) }
+        });
+        if (classes + appointments > 0) {
+            throw createError(409, 'COACH_BUSY', `The coach is already booked at ${when}`);
+        }
+    }
+
+    if (room) {
+        const taken = await prisma.classSession.count({
+            where: {
+                room: { equals: room, mode: 'insensitive' },
+                branchId,
+                status: { not: 'cancelled' },
+                ...excludeSelf,
+                ...overlapWhere(start, end)
+            }
+        });
+        if (taken > 0) {
+            throw createError(409, 'ROOM_BUSY', `${room} is already booked at ${when}`);
+        }
+    }
+}
+
+/**
+ * Schedule a session, repeated weekly `repeatWeeks` times.
+ * Nothing is created when any occurrence clashes.
+ */
+async function createSessions(prisma, input, { userId = null, branchId = null } = {}) {
+    const classType = await prisma.classType.findUnique({ where: { id: parseInt(input.classTypeId) || 0 } });
+    if (!classType || !classType.isActive) {
+        throw createError(404, 'CLASS_TYPE_NOT_FOUND', 'Class type not found');
+    }
+
+    const data = buildSessionData(input, classType);
+    const occurrences = weeklyOccurrences(data.start, data.end, input.repeatWeeks);
+    for (const occurrence of occurrences) {
+        await assertScheduleFree(prisma, { ...data, ...occurrence, branchId });
+    }
+
+    return prisma.$transaction(occurrences.map((occurrence) => prisma.classSession.create({
+        data: { ...data, ...occurrence, branchId, createdBy: userId }
+    })));
+}
+
+const seatsTaken = (enrollments) => enrollments.filter((row) => SEAT_STATUSES.includes(row.status)).length;
+
+/**
+ * Reschedule a session or change its capacity. Extra seats go to the waitlist.
+ */
+async function updateSession(prisma, sessionId, input, { userId = null } = {}) {
+    return prisma.$transaction(async (tx) => {
+        const session = await tx.classSession.findUnique({
+            where: { id: sessionId },
+            include: { classType: true, enrollments: { select: { status: true } } }
+        });
+        if (!session) throw createError(404, 'CLASS_NOT_FOUND', 'Class session not found');
+        if (session.status === 'cancelled') {
+            throw createError(400, 'CLASS_CANCELLED', 'This class was cancelled');
+        }
+
+        const { enrollments, classType, ...current } = session;
+        const data = buildSessionData(input, classType, current);
+        const taken = seatsTaken(enrollments);
+        if (data.capacity < taken) {
+            throw createError(400, 'CAPACITY_BELOW_ENROLLED', `${taken} members are already enrolled`);
+        }
+        await assertScheduleFree(tx, { ...data, branchId: session.branchId, excludeSessionId: sessionId });
+
+        const updated = await tx.classSession.update({ where: { id: sessionId }, data });
+        const promoted = await promoteWaitlist(tx, { ...updated, classType }, { userId });
+        return { session: updated, promoted };
+    });
+}
+
+/**
+ * Cancel a whole session. Every member gets their credit back.
+ */
+async function cancelSession(prisma, sessionId, { reason = null, now = new Date() } = {}) {
+    return prisma.$transaction(async (tx) => {
+        const session = await tx.classSession.findUnique({
+            where: { id: sessionId },
+            include: { enrollments: true }
+        });
+        if (!session) throw createError(404, 'CLASS_NOT_FOUND', 'Class session not found');
+        if (session.status === 'cancelled') {
+            throw createError(400, 'CLASS_CANCELLED', 'This class was already cancelled');
+        }
+
+        const open = session.enrollments.filter((row) => ['enrolled', 'waitlisted'].includes(row.status));
+        for (const enrollment of open) {
+            const released = await releaseClassCredit(tx, enrollment);
+            await tx.classEnrollment.update({
+                where: { id: enrollment.id },
+                data: { ...released, status: 'cancelled', waitlistPosition: null, cancelledAt: now }
+            });
+        }
+
+        const updated = await tx.classSession.update({
+            where: { id: sessionId },
+            data: { status: 'cancelled', cancelReason: trimOrNull(reason) }
+        });
+        return { session: updated, cancelledEnrollments: open.length };
+    });
+}
+
+/**
+ * Package that can pay for a class at `start`: the one ending first,
+ * then packages without an end date.
+ */
+async function findPackageForClass(tx, memberId, start, now = new Date()) {
+    const baseWhere = {
+        memberId,
+        status: 'ACTIVE',
+        remainingSessions: { gt: 0 },
+        startDate: { lte: now },
+        plan: { type: 'PACKAGE' }
+    };
+
+    const withEndDate = await tx.memberPackage.findFirst({
+        where: { ...baseWhere, endDate: { gte: start } },
+        include: { plan: true },
+        orderBy: { endDate: 'asc' }
+    });
+    if (withEndDate) return withEndDate;
+
+    return tx.memberPackage.findFirst({
+        where: { ...baseWhere, endDate: null },
+        include: { plan: true },
+        orderBy: { createdAt: 'desc' }
+    });
+}
+
+/**
+ * Class credits left on each current subscription whose plan includes classes
+ */
+async function getPlanClassCredits(tx, memberId, at = new Date()) {
+    const graceDays = await getGraceDays(tx);
+    const subscriptions = await tx.subscription.findMany({
+        where: {
+            memberId,
+            ...currentSubscriptionWhere(at, graceDays),
+            plan: { classCredits: { gt: 0 } }
+        },
+        include: { plan: true },
+        orderBy: { endDate: 'asc' }
+    });
+
+    const balances = [];
+    for (const subscription of subscriptions) {
+        const used = await tx.classEnrollment.count({
+            where: { subscriptionId: subscription.id, creditSource: 'PLAN', status: { in: CREDIT_STATUSES } }
+        });
+        balances.push({
+            subscriptionId: subscription.id,
+            planName: subscription.plan.name,
+            total: subscription.plan.classCredits,
+            used,
+            remaining: Math.max(subscription.plan.classCredits - used, 0)
+        });
+    }
+    return balances;
+}
+
+/**
+ * Pay for a seat. Returns the enrollment fields recording what paid for it.
+ */
+async function chargeClassCredit(tx, { memberId, session, userId = null, complimentary = false, now = new Date() }) {
+    if (complimentary) {
+        return { creditSource: 'COMPLIMENTARY', subscriptionId: null, memberPackageId: null, packageUsageId: null };
+    }
+
+    const start = new Date(session.start);
+    const planCredit = (await getPlanClassCredits(tx, memberId, start)).find((balance) => balance.remaining > 0);
+    if (planCredit) {
+        return { creditSource: 'PLAN', subscriptionId: planCredit.subscriptionId, memberPackageId: null, packageUsageId: null };
+    }
+
+    const pkg = await findPackageForClass(tx, memberId, start, now);
+    if (!pkg) {
+        throw createError(400, 'NO_CLASS_CREDIT', 'The member has no class credits or package sessions left');
+    }
+
+    const fallbackPrice = Number(pkg.plan?.price || 0) > 0 && Number(pkg.totalSessions || 0) > 0
+        ? Number(pkg.plan.price) / Number(pkg.totalSessions)
+        : 0;
+    const usage = await tx.packageSessionUsage.create({
+        data: {
+            memberId,
+            memberPackageId: pkg.id,
+            sessionName: session.classType?.name || pkg.sessionName || pkg.plan?.name || null,
+            sessionPrice: Number(pkg.sessionPrice ?? fallbackPrice),
+            source: 'CLASS',
+            createdByEmployeeId: userId,
+            notes: `Class session #${session.id}`
+        }
+    });
+    const remainingSessions = pkg.remainingSessions - 1;
+    await tx.memberPackage.update({
+        where: { id: pkg.id },
+        data: { remainingSessions, status: remainingSessions <= 0 ? 'COMPLETED' : 'ACTIVE' }
+    });
+
+    return { creditSource: 'PACKAGE', subscriptionId: null, memberPackageId: pkg.id, packageUsageId: usage.id };
+}
+
+/**
+ * Give back the credit of an enrollment. Plan credits free up by
+ * themselves once the enrollment is cancelled; package sessions are
+ * restored and their usage row removed.
+ */
+async function releaseClassCredit(tx, enrollment) {
+    if (enrollment.creditSource === 'PACKAGE' && enrollment.memberPackageId) {
+        if (enrollment.packageUsageId) {
+            await tx.packageSessionUsage.deleteMany({ where: { id: enrollment.packageUsageId } });
+        }
+        const pkg = await tx.memberPackage.findUnique({ where: { id: enrollment.memberPackageId } });
+        if (pkg) {
+            await tx.memberPackage.update({
+                where: { id: pkg.id },
+                data: {
+                    remainingSessions: pkg.remainingSessions + 1,
+                    status: pkg.status === 'COMPLETED' ? 'ACTIVE' : pkg.status
+                }
+            });
+        }
+    }
+    return { creditSource: null, subscriptionId: null, memberPackageId: null, packageUsageId: null };
+}
+
+/**
+ * Fill free seats from the waitlist, in waitlist order. Members who no
+ * longer have a credit stay on the waitlist and are skipped.
+ * Returns the promoted enrollments.
+ */
+async function promoteWaitlist(tx, session, { userId = null, now = new Date() } = {}) {
+    if (session.status === 'cancelled' || new Date(session.start) <= now) return [];
+
+    const taken = await tx.classEnrollment.count({
+        where: { sessionId: session.id, status: { in: SEAT_STATUSES } }
+    });
+    let free = session.capacity - taken;
+    if (free <= 0) return [];
+
+    const waitlist = await tx.classEnrollment.findMany({
+        where: { sessionId: session.id, status: 'waitlisted' },
+        orderBy: [{ waitlistPosition: 'asc' }, { enrolledAt: 'asc' }]
+    });
+
+    const promoted = [];
+    for (const entry of waitlist) {
+        if (free <= 0) break;
+        let credit;
+        try {
+            credit = await chargeClassCredit(tx, { memberId: entry.memberId, session, userId, now });
+        } catch (error) {
+            if (error.code === 'NO_CLASS_CREDIT') continue;
+            throw error;
+        }
+        promoted.push(await tx.classEnrollment.update({
+            where: { id: entry.id },
+            data: { ...credit, status: 'enrolled', waitlistPosition: null, promotedAt: now }
+        }));
+        free -= 1;
+    }
+    return promoted;
+}
+
+/**
+ * Enroll a member, or put them on the waitlist when the class is full.
+ * A member who cancelled earlier can enroll again.
+ */
+async function enrollMember(prisma, { sessionId, memberId, userId = null, complimentary = false, now = new Date() }) {
+    return prisma.$transaction(async (tx) => {
+        const session = await tx.classSession.findUnique({
+            where: { id: sessionId },
+            include: { classType: true }
+        });
+        if (!session) throw createError(404, 'CLASS_NOT_FOUND', 'Class session not found');
+        if (session.status === 'cancelled') {
+            throw createError(400, 'CLASS_CANCELLED', 'This class was cancelled');
+        }
+        if (new Date(session.start) <= now) {
+            throw createError(400, 'CLASS_STARTED', 'This class has already started');
+        }
+
+        const member = await tx.member.findUnique({ where: { id: memberId } });
+        if (!member) throw createError(404, 'MEMBER_NOT_FOUND', 'Member not found');
+        if (!member.isActive) throw createError(400, 'MEMBER_INACTIVE', 'Member is not active');
+
+        const existing = await tx.classEnrollment.findUnique({
+            where: { sessionId_memberId: { sessionId, memberId } }
+        });
+        if (existing && ACTIVE_STATUSES.includes(existing.status)) {
+            throw createError(409, 'ALREADY_ENROLLED', existing.status === 'waitlisted'
+                ? 'Member is already on the waitlist'
+                : 'Member is already enrolled in this class');
+        }
+
+        const taken = await tx.classEnrollment.count({
+            where: { sessionId, status: { in: SEAT_STATUSES } }
+        });
+
+        let data;
+        if (taken < session.capacity) {
+            const credit = await chargeClassCredit(tx, { memberId, session, userId, complimentary, now });
+            data = { ...credit, status: 'enrolled', waitlistPosition: null };
+        } else {
+            const waiting = await tx.classEnrollment.findMany({
+                where: { sessionId, status: 'waitlisted' },
+                select: { waitlistPosition: true }
+            });
+            if (session.waitlistCapacity !== null && waiting.length >= session.waitlistCapacity) {
+                throw createError(409, 'CLASS_FULL', 'This class and its waitlist are full');
+            }
+            const lastPosition = Math.max(0, ...waiting.map((row) => row.waitlistPosition || 0));
+            data = {
+                creditSource: null,
+                subscriptionId: null,
+                memberPackageId: null,
+                packageUsageId: null,
+                status: 'waitlisted',
+                waitlistPosition: lastPosition + 1
+            };
+        }
+
+        const reset = { enrolledAt: now, promotedAt: null, cancelledAt: null, attendedAt: null, checkInId: null, createdBy: userId };
+        return existing
+            ? tx.classEnrollment.update({ where: { id: existing.id }, data: { ...data, ...reset } })
+            : tx.classEnrollment.create({ data: { ...data, ...reset, sessionId, memberId } });
+    });
+}
+
+/**
+ * Cancel an enrollment or leave the waitlist. After the cut-off the credit
+ * is kept (late_cancelled) unless staff waive it. The freed seat goes to
+ * the waitlist.
+ */
+async function cancelEnrollment(prisma, { enrollmentId, waiveCutoff = false, userId = null, now = new Date() }) {
+    const cutoffHours = await getCancelCutoffHours(prisma);
+
+    return prisma.$transaction(async (tx) => {
+        const enrollment = await tx.classEnrollment.findUnique({
+            where: { id: enrollmentId },
+            include: { session: { include: { classType: true } } }
+        });
+        if (!enrollment) throw createError(404, 'ENROLLMENT_NOT_FOUND', 'Enrollment not found');
+        if (!['enrolled', 'waitlisted'].includes(enrollment.status)) {
+            throw createError(400, 'ENROLLMENT_NOT_CANCELLABLE', `An enrollment that is ${enrollment.status} cannot be cancelled`);
+        }
+        if (new Date(enrollment.session.start) <= now) {
+            throw createError(400, 'CLASS_STARTED', 'This class has already started');
+        }
+
+        const late = enrollment.status === 'enrolled'
+            && !waiveCutoff
+            && isPastCancelCutoff(enrollment.session, cutoffHours, now);
+        const released = late ? {} : await releaseClassCredit(tx, enrollment);
+
+        const updated = await tx.classEnrollment.update({
+            where: { id: enrollment.id },
+            data: {
+                ...released,
+                status: late ? 'late_cancelled' : 'cancelled',
+                waitlistPosition: null,
+                cancelledAt: now
+            }
+        });
+
+        const promoted = enrollment.status === 'enrolled'
+            ? await promoteWaitlist(tx, enrollment.session, { userId, now })
+            : [];
+        return { enrollment: updated, late, promoted };
+    });
+}
+
+/**
+ * Mark a member attended or no-show. Attending records a check-in for the
+ * class day unless the member is already checked in.
+ */
+async function markAttendance(prisma, { enrollmentId, status, createCheckIn = true, userId = null, now = new Date() }) {
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+        throw createError(400, 'INVALID_ATTENDANCE', `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`);
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+        const enrollment = await tx.classEnrollment.findUnique({
+            where: { id: enrollmentId },
+            include: { session: true, member: true }
+        });
+        if (!enrollment) throw createError(404, 'ENROLLMENT_NOT_FOUND', 'Enrollment not found');
+        if (!SEAT_STATUSES.includes(enrollment.status)) {
+            throw createError(400, 'NOT_ENROLLED', 'Only enrolled members can be marked');
+        }
+        if (enrollment.session.status === 'cancelled') {
+            throw createError(400, 'CLASS_CANCELLED', 'This class was cancelled');
+        }
+
+        let checkIn = null;
+        let checkInCreated = false;
+        if (status === 'attended' && createCheckIn && !enrollment.checkInId) {
+            const dayStart = new Date(enrollment.session.start);
+            dayStart.setHours(0, 0, 0, 0);
+            checkIn = await tx.checkIn.findFirst({
+                where: { memberId: enrollment.memberId, checkInTime: { gte: dayStart }, checkOutTime: null }
+            });
+            if (!checkIn) {
+                checkIn = await tx.checkIn.create({
+                    data: {
+                        memberId: enrollment.memberId,
+                        branchId: enrollment.session.branchId,
+                        method: 'class',
+                        notes: JSON.stringify({ visitType: 'CLASS', classSessionId: enrollment.sessionId })
+                    }
+                });
+                checkInCreated = true;
+            }
+            if (enrollment.packageUsageId) {
+                await tx.packageSessionUsage.updateMany({
+                    where: { id: enrollment.packageUsageId, checkInId: null },
+                    data: { checkInId: checkIn.id }
+                });
+            }
+        }
+
+        const updated = await tx.classEnrollment.update({
+            where: { id: enrollment.id },
+            data: {
+                status,
+                attendedAt: status === 'attended' ? (enrollment.attendedAt || now) : null,
+                ...(checkIn && { checkInId: checkIn.id })
+            }
+        });
+        return { enrollment: updated, member: enrollment.member, checkIn, checkInCreated };
+    });
+
+    if (result.checkInCreated) {
+        await emitEvent(prisma, WEBHOOK_EVENTS.CHECKIN_CREATED, {
+            checkIn: serializeCheckIn(result.checkIn),
+            member: serializeMember(result.member),
+            visitType: 'CLASS'
+        });
+    }
+
+    return { enrollment: result.enrollment, checkIn: result.checkIn };
+}
+
+/**
+ * Session with seat counts, for the schedule
+ */
+function serializeSession(session) {
+    const enrollments = session.enrollments || [];
+    const enrolled = seatsTaken(enrollments);
+    const waitlisted = enrollments.filter((row) => row.status === 'waitlisted').length;
+    const { enrollments: _omit, ...rest } = session;
+    return {
+        ...rest,
+        enrolled,
+        waitlisted,
+        seatsLeft: Math.max(session.capacity - enrolled, 0)
+    };
+}
+
+module.exports = {
+    DEFAULT_CANCEL_CUTOFF_HOURS,
+    SEAT_STATUSES,
+    ACTIVE_STATUSES,
+    getCancelCutoffHours,
+    isPastCancelCutoff,
+    buildClassTypeData,
+    buildSessionData,
+    weeklyOccurrences,
+    assertScheduleFree,
+    createSessions,
+    updateSession,
+    cancelSession,
+    getPlanClassCredits,
+    chargeClassCredit,
+    releaseClassCredit,
+    promoteWaitlist,
+    enrollMember,
+    cancelEnrollment,
+    markAttendance,
+    serializeSession
+};
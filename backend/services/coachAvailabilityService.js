@@ -0,0 +1,448 @@
+/**
+ * ============================================
+ * COACH AVAILABILITY SERVICE
+ * ============================================
+ *
+ * When a coach can actually be booked:
+ * - weekly working hours per weekday, minus breaks
+ * - minus time off (vacation, sick leave) and gym holiday closures
+ * - minus appointments and group classes already on the coach's calendar
+ *
+ * A coach without any working hours keeps the old behaviour: every time of
+ * day can be booked and only time off and closures are refused. Free slots
+ * need working hours, so none are offered until they are set.
+ *
+ * Times are local clock times ("HH:mm"); closures and date-only time off
+ * cover whole local days.
+ */
+
+const HOURS_KINDS = ['work', 'break'];
+const TIME_OFF_TYPES = ['vacation', 'sick', 'other'];
+const SLOT_STEP_MINUTES = 15;
+const MAX_SLOT_DAYS = 31;
+const DAY_MINUTES = 24 * 60;
+
+const ISSUE_MESSAGES = {
+    closed: {
+        en: 'The gym is closed on this day.',
+        ar: 'النادي مغلق في هذا اليوم.'
+    },
+    time_off: {
+        en: 'The coach is off at this time.',
+        ar: 'المدرب في إجازة في هذا الوقت.'
+    },
+    break: {
+        en: "This time falls in the coach's break.",
+        ar: 'هذا الوقت ضمن استراحة المدرب.'
+    },
+    outside_hours: {
+        en: "This time is outside the coach's working hours.",
+        ar: 'هذا الوقت خارج ساعات عمل المدرب.'
+    }
+};
+
+const createError = (status, code, message, data) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    if (data) err.data = data;
+    return err;
+};
+
+/**
+ * Error for a booking the coach's calendar does not allow.
+ * err.data.reason: closed, time_off, break or outside_hours
+ */
+const createOutsideHoursError = (issue) => {
+    const messages = ISSUE_MESSAGES[issue.reason] || ISSUE_MESSAGES.outside_hours;
+    const message = issue.reason === 'closed' && issue.name
+        ? `The gym is closed on this day (${issue.name}).`
+        : messages.en;
+    const err = createError(409, 'OUTSIDE_WORKING_HOURS', message, issue);
+    err.arabicMessage = messages.ar;
+    return err;
+};
+
+// "HH:mm" -> minutes after midnight; "24:00" ends a day
+const parseClock = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+    if (!match) return null;
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    if (Number(match[2]) > 59 || minutes > DAY_MINUTES) return null;
+    return minutes;
+};
+
+const formatClock = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const localDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const atMinutes = (day, minutes) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+
+const endOfDay = (day) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 23, 59, 59, 999);
+
+const toDateKey = (day) => `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value ?? '').trim());
+
+// YYYY-MM-DD is read as a local day, anything else as a timestamp
+const parseDateValue = (value, field) => {
+    if (value === undefined || value === null || value === '') {
+        throw createError(400, 'INVALID_AVAILABILITY', `${field} is required`);
+    }
+    const text = String(value).trim();
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(text);
+    if (Number.isNaN(date.getTime())) {
+        throw createError(400, 'INVALID_AVAILABILITY', `Invalid ${field}`);
+    }
+    return date;
+};
+
+const parseCoachId = (value) => {
+    const coachId = parseInt(value);
+    if (!Number.isInteger(coachId)) {
+        throw createError(400, 'INVALID_AVAILABILITY', 'Coach is required');
+    }
+    return coachId;
+};
+
+const overlaps = (a, b) => a.start < b.end && a.end > b.start;
+
+/**
+ * Validate a weekly schedule:
+ * [{ weekday: 0-6, startTime: 'HH:mm', endTime: 'HH:mm', kind: 'work' | 'break' }]
+ * Blocks of the same kind may not overlap on a day and every break must lie
+ * inside a working block.
+ */
+function normalizeWeeklyHours(rows) {
+    if (!Array.isArray(rows)) {
+        throw createError(400, 'INVALID_HOURS', 'Working hours must be a list');
+    }
+    const hours = rows.map((row) => {
+        const weekday = Number(row?.weekday);
+        const start = parseClock(row?.startTime);
+        const end = parseClock(row?.endTime);
+        const kind = String(row?.kind || 'work').trim().toLowerCase();
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+            throw createError(400, 'INVALID_HOURS', 'Weekday must be 0 (Sunday) to 6 (Saturday)');
+        }
+        if (start === null || end === null || end <= start) {
+            throw createError(400, 'INVALID_HOURS', 'Each block needs a start time before its end time (HH:mm)');
+        }
+        if (!HOURS_KINDS.includes(kind)) {
+            throw createError(400, 'INVALID_HOURS', 'Kind must be work or break');
+        }
+        return { weekday, startTime: formatClock(start), endTime: formatClock(end), kind, start, end };
+    });
+
+    hours.sort((a, b) => a.weekday - b.weekday || a.start - b.start);
+    for (const row of hours) {
+        const sameDay = hours.filter((other) => other !== row && other.weekday === row.weekday);
+        if (sameDay.some((other) => other.kind === row.kind && overlaps(row, other))) {
+            throw createError(400, 'INVALID_HOURS', 'Working hours or breaks overlap on the same day');
+        }
+        if (row.kind === 'break' && !sameDay.some((other) => other.kind === 'work' && other.start <= row.start && other.end >= row.end)) {
+            throw createError(400, 'INVALID_HOURS', 'Every break must fall inside working hours');
+        }
+    }
+    return hours.map(({ start, end, ...row }) => row);
+}
+
+async function getWeeklyHours(prisma, coachId) {
+    return prisma.coachWorkingHours.findMany({
+        where: { coachId: parseCoachId(coachId) },
+        orderBy: [{ weekday: 'asc' }, { startTime: 'asc' }]
+    });
+}
+
+/**
+ * Replace the whole weekly schedule of a coach. An empty list removes the
+ * working hours (any time can be booked again).
+ */
+async function setWeeklyHours(prisma, coachId, rows) {
+    const id = parseCoachId(coachId);
+    const hours = normalizeWeeklyHours(rows);
+    await prisma.$transaction([
+        prisma.coachWorkingHours.deleteMany({ where: { coachId: id } }),
+        prisma.coachWorkingHours.createMany({ data: hours.map((row) => ({ ...row, coachId: id })) })
+    ]);
+    return getWeeklyHours(prisma, id);
+}
+
+/**
+ * Time off from a start to an end. Plain dates cover whole days:
+ * { start: '2026-08-01', end: '2026-08-14', type: 'vacation' }
+ */
+async function createTimeOff(prisma, coachId, input, { userId = null } = {}) {
+    const id = parseCoachId(coachId);
+    const start = parseDateValue(input.start, 'start');
+    const endInput = input.end ?? input.start;
+    let end = parseDateValue(endInput, 'end');
+    if (isDateOnly(endInput)) end = endOfDay(end);
+    if (end <= start) {
+        throw createError(400, 'INVALID_AVAILABILITY', 'Time off must end after it starts');
+    }
+    const type = String(input.type || 'vacation').trim().toLowerCase();
+    if (!TIME_OFF_TYPES.includes(type)) {
+        throw createError(400, 'INVALID_AVAILABILITY', 'Type must be vacation, sick or other');
+    }
+    const coach = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+    if (!coach) {
+        throw createError(404, 'COACH_NOT_FOUND', 'Coach not found');
+    }
+
+    return prisma.coachTimeOff.create({
+        data: {
+            coachId: id,
+            start,
+            end,
+            type,
+            reason: String(input.reason || '').trim() || null,
+            createdBy: userId
+        }
+    });
+}
+
+async function listTimeOff(prisma, coachId, { from, to } = {}) {
+    const where = { coachId: parseCoachId(coachId) };
+    if (from) where.end = { gt: parseDateValue(from, 'from') };
+    if (to) where.start = { lt: endOfDay(parseDateValue(to, 'to')) };
+    return prisma.coachTimeOff.findMany({ where, orderBy: { start: 'asc' } });
+}
+
+/**
+ * Close the gym for one or more whole days:
+ * { name: 'Eid al-Fitr', startDate: '2026-03-20', endDate: '2026-03-22', branchId }
+ */
+async function createClosure(prisma, input, { userId = null } = {}) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+        throw createError(400, 'INVALID_AVAILABILITY', 'Name is required');
+    }
+    const startDate = localDay(parseDateValue(input.startDate, 'start date'));
+    const endDate = endOfDay(parseDateValue(input.endDate || input.startDate, 'end date'));
+    if (endDate < startDate) {
+        throw createError(400, 'INVALID_AVAILABILITY', 'The closure must end on or after its first day');
+    }
+    const branchId = input.branchId ? parseInt(input.branchId) : null;
+
+    return prisma.gymClosure.create({
+        data: { name, startDate, endDate, branchId, createdBy: userId }
+    });
+}
+
+const closureBranchWhere = (branchId) => (branchId
+    ? { OR: [{ branchId: null }, { branchId: parseInt(branchId) }] }
+    : {});
+
+async function listClosures(prisma, { from, to, branchId } = {}) {
+    const where = { ...closureBranchWhere(branchId) };
+    if (from) where.endDate = { gte: localDay(parseDateValue(from, 'from')) };
+    if (to) where.startDate = { lte: endOfDay(parseDateValue(to, 'to')) };
+    return prisma.gymClosure.findMany({ where, orderBy: { startDate: 'asc' } });
+}
+
+/**
+ * Everything on a coach's calendar between two dates. Busy appointments and
+ * classes are only loaded for slot searches.
+ */
+async function loadCalendar(prisma, coachId, from, to, { branchId = null, includeBusy = false, excludeAppointmentId = null } = {}) {
+    const range = { start: { lt: to }, end: { gt: from } };
+    const [hours, timeOff, closures] = await Promise.all([
+        prisma.coachWorkingHours.findMany({ where: { coachId } }),
+        prisma.coachTimeOff.findMany({ where: { coachId, ...range } }),
+        prisma.gymClosure.findMany({
+            where: {
+                startDate: { lt: to },
+                endDate: { gt: from },
+                ...closureBranchWhere(branchId)
+            }
+        })
+    ]);
+
+    let busy = [];
+    if (includeBusy) {
+        const busyWhere = { coachId, status: { not: 'cancelled' }, ...range };
+        const [appointments, classes] = await Promise.all([
+            prisma.appointment.findMany({
+                where: excludeAppointmentId ? { ...busyWhere, id: { not: parseInt(excludeAppointmentId) } } : busyWhere,
+                select: { start: true, end: true }
+            }),
+            prisma.classSession.findMany({
+                where: { coachId, status: { not: 'cancelled' }, start: { lt: to }, end: { gt: from } },
+                select: { start: true, end: true }
+            })
+        ]);
+        busy = [...appointments, ...classes];
+    }
+
+    return {
+        hours,
+        timeOff,
+        closures: closures.map((row) => ({ ...row, start: row.startDate, end: row.endDate })),
+        busy
+    };
+}
+
+// Working and break blocks of one local day as dates
+const dayBlocks = (hours, day, kind) => hours
+    .filter((row) => row.weekday === day.getDay() && (row.kind || 'work') === kind)
+    .map((row) => ({ start: atMinutes(day, parseClock(row.startTime)), end: atMinutes(day, parseClock(row.endTime)) }))
+    .sort((a, b) => a.start - b.start);
+
+/**
+ * Why a booking from start to end does not fit the calendar, or null.
+ * { reason: 'closed', name } | { reason: 'time_off', type } | { reason: 'break' } | { reason: 'outside_hours' }
+ */
+function findWorkingTimeIssue(calendar, start, end) {
+    const range = { start, end };
+    const closure = calendar.closures.find((row) => overlaps(range, row));
+    if (closure) return { reason: 'closed', name: closure.name };
+
+    const timeOff = calendar.timeOff.find((row) => overlaps(range, row));
+    if (timeOff) return { reason: 'time_off', type: timeOff.type };
+
+    if (calendar.hours.length === 0) return null;
+
+    const day = localDay(start);
+    const inside = dayBlocks(calendar.hours, day, 'work').some((block) => block.start <= start && block.end >= end);
+    if (!inside) return { reason: 'outside_hours' };
+    if (dayBlocks(calendar.hours, day, 'break').some((block) => overlaps(range, block))) {
+        return { reason: 'break' };
+    }
+    return null;
+}
+
+/**
+ * Same as findWorkingTimeIssue, loading the coach's calendar first
+ */
+async function checkWorkingTime(prisma, coachId, start, end, { branchId = null } = {}) {
+    const calendar = await loadCalendar(prisma, parseInt(coachId), new Date(start), new Date(end), { branchId });
+    return findWorkingTimeIssue(calendar, new Date(start), new Date(end));
+}
+
+// Remove the blocked ranges from the free ranges
+const subtractRanges = (free, blocked) => blocked.reduce((remaining, block) => remaining.flatMap((range) => {
+    if (!overlaps(range, block)) return [range];
+    const parts = [];
+    if (block.start > range.start) parts.push({ start: range.start, end: block.start });
+    if (block.end < range.end) parts.push({ start: block.end, end: range.end });
+    return parts;
+}), free);
+
+/**
+ * Working blocks and bookable slot starts of one local day. Slot starts are
+ * aligned to the step on the clock (every 15 minutes by default).
+ */
+function computeDaySlots(calendar, day, durationMinutes, { now = null, step = SLOT_STEP_MINUTES } = {}) {
+    const dayStart = localDay(day);
+    const dayEnd = atMinutes(dayStart, DAY_MINUTES);
+    const dayRange = { start: dayStart, end: dayEnd };
+    const closure = calendar.closures.find((row) => overlaps(dayRange, row));
+    const working = closure ? [] : dayBlocks(calendar.hours, dayStart, 'work');
+
+    const blocked = [
+        ...dayBlocks(calendar.hours, dayStart, 'break'),
+        ...calendar.timeOff,
+        ...calendar.busy
+    ].filter((row) => overlaps(dayRange, row));
+    const free = subtractRanges(working, blocked);
+
+    const slots = [];
+    const length = durationMinutes * 60000;
+    for (const range of free) {
+        const offset = Math.ceil((range.start - dayStart) / 60000 / step) * step;
+        for (let minutes = offset; ; minutes += step) {
+            const start = atMinutes(dayStart, minutes);
+            const end = new Date(start.getTime() + length);
+            if (end > range.end) break;
+            if (now && start < now) continue;
+            slots.push({ start, end });
+        }
+    }
+
+    return {
+        date: toDateKey(dayStart),
+        closed: closure ? closure.name : null,
+        timeOff: calendar.timeOff.some((row) => overlaps(dayRange, row)),
+        working,
+        slots
+    };
+}
+
+/**
+ * Free slots of a coach for a service duration, day by day.
+ * The duration comes from `durationMinutes` or the service's defaultDuration.
+ * excludeAppointmentId leaves out the appointment being moved.
+ */
+async function getFreeSlots(prisma, { coachId, from, to, serviceId, durationMinutes, step, branchId = null, excludeAppointmentId = null, now = new Date() }) {
+    const id = parseCoachId(coachId);
+    const firstDay = localDay(parseDateValue(from, 'from'));
+    const lastDay = localDay(to ? parseDateValue(to, 'to') : firstDay);
+    if (lastDay < firstDay) {
+        throw createError(400, 'INVALID_AVAILABILITY', 'The range must end on or after its first day');
+    }
+
+    let duration = durationMinutes !== undefined && durationMinutes !== null && durationMinutes !== ''
+        ? Number(durationMinutes)
+        : null;
+    if (duration === null && serviceId) {
+        const service = await prisma.service.findUnique({
+            where: { id: parseInt(serviceId) },
+            select: { defaultDuration: true }
+        });
+        if (!service) {
+            throw createError(404, 'SERVICE_NOT_FOUND', 'Service not found');
+        }
+        duration = service.defaultDuration;
+    }
+    if (duration === null) {
+        throw createError(400, 'INVALID_AVAILABILITY', 'Give a service or a duration');
+    }
+    if (!Number.isInteger(duration) || duration < 5 || duration > 600) {
+        throw createError(400, 'INVALID_AVAILABILITY', 'Duration must be 5 to 600 minutes');
+    }
+    const slotStep = step ? Number(step) : SLOT_STEP_MINUTES;
+    if (!Number.isInteger(slotStep) || slotStep < 5 || slotStep > 240) {
+        throw createError(400, 'INVALID_AVAILABILITY', 'Step must be 5 to 240 minutes');
+    }
+
+    const days = [];
+    for (let day = firstDay; day <= lastDay; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+        days.push(day);
+    }
+    if (days.length > MAX_SLOT_DAYS) {
+        throw createError(400, 'INVALID_AVAILABILITY', `Slots can be listed for at most ${MAX_SLOT_DAYS} days`);
+    }
+
+    const calendar = await loadCalendar(prisma, id, firstDay, atMinutes(lastDay, DAY_MINUTES), {
+        branchId,
+        includeBusy: true,
+        excludeAppointmentId
+    });
+    return {
+        coachId: id,
+        durationMinutes: duration,
+        hoursSet: calendar.hours.length > 0,
+        days: days.map((day) => computeDaySlots(calendar, day, duration, { now, step: slotStep }))
+    };
+}
+
+module.exports = {
+    HOURS_KINDS,
+    TIME_OFF_TYPES,
+    SLOT_STEP_MINUTES,
+    createOutsideHoursError,
+    normalizeWeeklyHours,
+    getWeeklyHours,
+    setWeeklyHours,
+    createTimeOff,
+    listTimeOff,
+    createClosure,
+    listClosures,
+    loadCalendar,
+    findWorkingTimeIssue,
+    checkWorkingTime,
+    computeDaySlots,
+    getFreeSlots
+};
@@ -1,5 +1,6 @@
 ﻿const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { getPackageSessionValue } = require('./appointmentPackageService');
 
 const DEFAULT_SESSION_COMMISSION_PERCENT = 20;
 
@@ -49,13 +50,17 @@ const CommissionService = {
     /**
      * Calculate commission preview (Dry Run)
      * Returns the financials that WOULD be recorded.
+     * Sessions booked on a package are valued at the package's per-session price.
      */
     async calculateCommissionPreview(appointmentId, tx = prisma, options = {}) {
-        const allowZero = Boolean(options?.allowZero);
         const overridePrice = options?.sessionPrice;
         const appointment = await tx.appointment.findUnique({
             where: { id: parseInt(appointmentId) },
-            include: { coach: true }
+            include: {
+                coach: true,
+                memberPackage: { include: { plan: true } },
+                packageUsage: true
+            }
         });
 
         if (!appointment || !appointment.coachId) {
@@ -67,13 +72,18 @@ const CommissionService = {
             throw new Error(`Coach with ID ${appointment.coachId} no longer exists`);
         }
 
+        const paidByPackage = Boolean(appointment.memberPackage);
+        const allowZero = Boolean(options?.allowZero) || paidByPackage;
         const parsedOverride = overridePrice !== undefined && overridePrice !== null
             ? Number(overridePrice)
             : null;
         const effectivePrice = appointment.finalPrice ?? appointment.price ?? 0;
-        const basePrice = Number.isFinite(parsedOverride) && parsedOverride > 0
+        let basePrice = Number.isFinite(parsedOverride) && parsedOverride > 0
             ? parsedOverride
             : Number(effectivePrice);
+        if (paidByPackage) {
+            basePrice = Number(appointment.packageUsage?.sessionPrice ?? getPackageSessionValue(appointment.memberPackage));
+        }
         let sessionBreakdown;
         if (Number.isFinite(basePrice) && basePrice > 0) {
             sessionBreakdown = await getSessionCommissionBreakdown(basePrice, tx);
@@ -105,7 +115,7 @@ const CommissionService = {
         });
 
         const totalPaid = payments.reduce((sum, p) => sum + (p.amount || 0), 0);
-        const remainingAmount = Math.max(0, sessionPrice - totalPaid);
+        const remainingAmount = paidByPackage ? 0 : Math.max(0, sessionPrice - totalPaid);
 
         const isSession = !appointment.subscriptionId;
         return {
@@ -125,7 +135,9 @@ const CommissionService = {
             remainingAmount,
             isPaid: remainingAmount <= 0.01, // Tolerance for float
             isSession,
-            isSubscription: Boolean(appointment.subscriptionId)
+            isSubscription: Boolean(appointment.subscriptionId),
+            paidByPackage,
+            memberPackageId: appointment.memberPackageId ?? null
         };
     },
 
@@ -137,12 +149,13 @@ const CommissionService = {
      * Membership Subscriptions are EXCLUDED.
      * 
      * Creates an IMMUTABLE 'AppointmentFinancialRecord'.
+     * `options.sessionPrice` overrides the price (no-show compensation on the fee).
      */
-    async processSessionCommission(appointmentId, tx = prisma) {
+    async processSessionCommission(appointmentId, tx = prisma, options = {}) {
         if (!appointmentId) return;
 
         // Calculate (Reuse logic)
-        const calc = await this.calculateCommissionPreview(appointmentId, tx);
+        const calc = await this.calculateCommissionPreview(appointmentId, tx, options);
 
         // Fetch member/trainer safely for creation (needed for foreign keys)
         const appointment = await tx.appointment.findUnique({
@@ -222,6 +235,8 @@ const CommissionService = {
                 });
             }
         }
+
+        return calc;
     },
 
     /**
@@ -0,0 +1,255 @@
+/**
+ * ============================================
+ * MEMBER CREDENTIAL SERVICE
+ * ============================================
+ *
+ * RFID / NFC cards, key fobs and wristbands issued to members.
+ * UIDs are stored normalized (no separators, upper case) so the same
+ * card matches whether it comes from a keyboard-wedge reader on the
+ * check-in page or from an access-control reader.
+ *
+ * Revoked credentials are kept for history: a lost card that is scanned
+ * again is recognised and refused instead of reported as unknown.
+ * Settings (group "checkin"):
+ * - credential_replacement_fee: fee charged when a card replaces another (default 0)
+ */
+
+const { recordPaymentTransaction } = require('./paymentService');
+const { createAuditLog } = require('./auditService');
+const { memberBranchWhere } = require('./branchService');
+
+const CREDENTIAL_TYPES = ['rfid_card', 'nfc_tag', 'key_fob', 'wristband'];
+const REVOKE_REASONS = ['lost', 'damaged', 'returned', 'replaced'];
+
+const UID_PATTERN = /^[0-9A-Z]{4,32}$/;
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+/**
+ * Normalize a UID as typed by a reader ("04:a3:2b:1c", "04 A3 2B 1C" → "04A32B1C")
+ * @returns {string|null} Normalized UID, or null when it cannot be a card UID
+ */
+function normalizeCredentialUid(value) {
+    const uid = String(value ?? '').trim().replace(/[\s:-]/g, '').toUpperCase();
+    return UID_PATTERN.test(uid) ? uid : null;
+}
+
+/**
+ * Credential (active or revoked) with its member
+ * @returns {Promise<Object|null>} Credential row including `member`
+ */
+async function findCredential(prisma, value, memberOptions = {}) {
+    const uid = normalizeCredentialUid(value);
+    if (!uid) return null;
+    return prisma.memberCredential.findUnique({
+        where: { uid },
+        include: { member: memberOptions.include ? { include: memberOptions.include } : true }
+    });
+}
+
+async function getReplacementFee(prisma) {
+    const setting = await prisma.setting.findUnique({ where: { key: 'credential_replacement_fee' } });
+    const fee = Number(setting?.value);
+    return Number.isFinite(fee) && fee > 0 ? fee : 0;
+}
+
+/**
+ * Issue a credential. When it replaces another one the old credential is
+ * revoked as "replaced" and the replacement fee (given, or the configured
+ * default) is recorded as a payment on the current shift.
+ * @param {Object} input - { memberId, uid, type, notes, replacesId, replacementFee, paymentMethod, userId, collectorName, shiftId }
+ * @returns {Promise<{ credential: Object, replaced: Object|null, payment: Object|null }>}
+ */
+async function issueCredential(prisma, input) {
+    const memberId = parseInt(input.memberId);
+    const uid = normalizeCredentialUid(input.uid);
+    if (!uid) {
+        throw createError(400, 'INVALID_UID', 'Card UID must be 4-32 letters or digits');
+    }
+    const type = input.type || 'rfid_card';
+    if (!CREDENTIAL_TYPES.includes(type)) {
+        throw createError(400, 'INVALID_CREDENTIAL_TYPE', `Credential type must be one of: ${CREDENTIAL_TYPES.join(', ')}`);
+    }
+
+    const member = await prisma.member.findUnique({ where: { id: memberId || 0 } });
+    if (!member) {
+        throw createError(404, 'MEMBER_NOT_FOUND', 'Member not found');
+    }
+
+    let replaced = null;
+    if (input.replacesId) {
+        replaced = await prisma.memberCredential.findUnique({ where: { id: parseInt(input.replacesId) || 0 } });
+        if (!replaced || replaced.memberId !== memberId) {
+            throw createError(404, 'CREDENTIAL_NOT_FOUND', 'Replaced credential not found');
+        }
+    }
+
+    let fee = 0;
+    if (input.replacementFee !== undefined && input.replacementFee !== null && input.replacementFee !== '') {
+        fee = Number(input.replacementFee);
+        if (!Number.isFinite(fee) || fee < 0) {
+            throw createError(400, 'INVALID_FEE', 'Replacement fee must be zero or more');
+        }
+    } else if (replaced) {
+        fee = await getReplacementFee(prisma);
+    }
+    if (fee > 0 && !input.shiftId) {
+        throw createError(403, 'SHIFT_REQUIRED', 'Open a shift to collect the replacement fee');
+    }
+
+    const now = new Date();
+    let result;
+    try {
+        result = await prisma.$transaction(async (tx) => {
+            let revoked = null;
+            if (replaced && replaced.status === 'active') {
+                revoked = await tx.memberCredential.update({
+                    where: { id: replaced.id },
+                    data: {
+                        status: 'revoked',
+                        revokedAt: now,
+                        revokedBy: input.userId || null,
+                        revokedReason: 'replaced'
+                    }
+                });
+            }
+
+            let payment = null;
+            if (fee > 0) {
+                ({ payment } = await recordPaymentTransaction(tx, {
+                    memberId,
+                    amount: fee,
+                    method: input.paymentMethod || 'cash',
+                    status: 'completed',
+                    notes: `Card replacement fee (${uid})`,
+                    shiftId: input.shiftId,
+                    createdBy: input.userId,
+                    collectorName: input.collectorName
+                }, { skipIdempotency: true }));
+            }
+
+            const credential = await tx.memberCredential.create({
+                data: {
+                    memberId,
+                    uid,
+                    type,
+                    issuedBy: input.userId || null,
+                    replacesId: replaced?.id ?? null,
+                    replacementFee: replaced || fee > 0 ? fee : null,
+                    paymentId: payment?.id ?? null,
+                    notes: input.notes ? String(input.notes).trim() : null
+                }
+            });
+
+            return { credential, replaced: revoked || replaced, payment };
+        });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            throw createError(409, 'CREDENTIAL_EXISTS', 'This card is already registered');
+        }
+        throw error;
+    }
+
+    await createAuditLog(prisma, 'CREDENTIAL_ISSUED', 'MemberCredential', result.credential.id, input.userId, {
+        memberId,
+        uid,
+        type,
+        replacesId: result.replaced?.id ?? null,
+        replacementFee: fee || null,
+        paymentId: result.payment?.id ?? null
+    });
+
+    return result;
+}
+
+/**
+ * Revoke a credential (lost, damaged, returned)
+ * @returns {Promise<Object>} Updated credential
+ */
+async function revokeCredential(prisma, credential, { reason, userId, notes } = {}) {
+    if (credential.status === 'revoked') {
+        throw createError(409, 'ALREADY_REVOKED', 'Credential is already revoked');
+    }
+    const revokedReason = reason || 'lost';
+    if (!REVOKE_REASONS.includes(revokedReason)) {
+        throw createError(400, 'INVALID_REASON', `Reason must be one of: ${REVOKE_REASONS.join(', ')}`);
+    }
+
+    const updated = await prisma.memberCredential.update({
+        where: { id: credential.id },
+        data: {
+            status: 'revoked',
+            revokedAt: new Date(),
+            revokedBy: userId || null,
+            revokedReason,
+            ...(notes ? { notes: String(notes).trim() } : {})
+        }
+    });
+
+    await createAuditLog(prisma, 'CREDENTIAL_REVOKED', 'MemberCredential', credential.id, userId, {
+        memberId: credential.memberId,
+        uid: credential.uid,
+        reason: revokedReason
+    });
+
+    return updated;
+}
+
+/**
+ * Active credentials report: totals by type and one row per credential
+ * @param {Object} [filters] - { type, branchScope }
+ */
+async function buildActiveCredentialsReport(prisma, { type, branchScope } = {}) {
+    const where = { status: 'active', ...memberBranchWhere(branchScope) };
+    if (type) where.type = type;
+
+    const credentials = await prisma.memberCredential.findMany({
+        where,
+        orderBy: { issuedAt: 'desc' },
+        include: {
+            member: {
+                select: { id: true, memberId: true, firstName: true, lastName: true, phone: true, isActive: true }
+            }
+        }
+    });
+
+    const byType = CREDENTIAL_TYPES.map((credentialType) => ({
+        type: credentialType,
+        count: credentials.filter((row) => row.type === credentialType).length
+    }));
+
+    return {
+        summary: {
+            total: credentials.length,
+            members: new Set(credentials.map((row) => row.memberId)).size,
+            inactiveMembers: credentials.filter((row) => !row.member.isActive).length,
+            byType
+        },
+        credentials: credentials.map((row) => ({
+            id: row.id,
+            uid: row.uid,
+            type: row.type,
+            issuedAt: row.issuedAt,
+            memberId: row.member.id,
+            memberCode: row.member.memberId,
+            memberName: `${row.member.firstName} ${row.member.lastName}`.trim(),
+            phone: row.member.phone,
+            memberActive: row.member.isActive
+        }))
+    };
+}
+
+module.exports = {
+    CREDENTIAL_TYPES,
+    REVOKE_REASONS,
+    normalizeCredentialUid,
+    findCredential,
+    issueCredential,
+    revokeCredential,
+    buildActiveCredentialsReport
+};
@@ -22,6 +22,7 @@ const CreditService = {
         note,
         sourceAppointmentId = null,
         appliedAppointmentId = null,
+        referredMemberId = null,
         createdByUserId = null
     }) {
         if (!prisma?.memberCreditLedger?.create) {
@@ -36,6 +37,7 @@ const CreditService = {
                 note: note ? String(note) : null,
                 sourceAppointmentId: sourceAppointmentId ? parseInt(sourceAppointmentId) : null,
                 appliedAppointmentId: appliedAppointmentId ? parseInt(appliedAppointmentId) : null,
+                referredMemberId: referredMemberId ? parseInt(referredMemberId) : null,
                 createdByUserId: createdByUserId ? parseInt(createdByUserId) : null
             }
         });
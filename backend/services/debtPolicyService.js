@@ -0,0 +1,145 @@
+/**
+ * ============================================
+ * DEBT POLICY SERVICE
+ * ============================================
+ *
+ * Outstanding subscription balances at check-in.
+ * Settings (group "checkin"):
+ * - checkin_debt_policy:    allow (default) | warn | block
+ *                           warn = check-in needs an override by a user
+ *                           with checkins.debt_override
+ * - checkin_debt_threshold: balances up to this amount are ignored (default 0)
+ *
+ * Balances use the same figures as the payment reminders
+ * (calculateSubscriptionFinancials over the subscription's payments),
+ * plus unpaid no-show / late-cancellation fees (AppointmentCharge.dueAmount).
+ */
+
+const { calculateSubscriptionFinancials } = require('../utils/financialCalculations');
+const { roundMoney } = require('../utils/money');
+
+const DEBT_POLICIES = ['allow', 'warn', 'block'];
+
+// Subscriptions whose unpaid balance the member still owes
+const DEBT_STATUSES = ['active', 'grace', 'paused', 'expired'];
+
+const readSetting = async (prisma, key) => {
+    const row = await prisma.setting.findUnique({ where: { key } });
+    return row?.value;
+};
+
+/**
+ * Configured policy and threshold
+ * @returns {Promise<{ policy: string, threshold: number }>}
+ */
+async function getDebtPolicy(prisma) {
+    const [policy, threshold] = await Promise.all([
+        readSetting(prisma, 'checkin_debt_policy'),
+        readSetting(prisma, 'checkin_debt_threshold')
+    ]);
+    const parsedThreshold = Number(threshold);
+    return {
+        policy: DEBT_POLICIES.includes(policy) ? policy : 'allow',
+        threshold: Number.isFinite(parsedThreshold) && parsedThreshold > 0 ? parsedThreshold : 0
+    };
+}
+
+/**
+ * Unpaid balance of a member across their subscriptions and appointment fees, largest first
+ * @returns {Promise<{ total: number, subscriptions: Array<{ subscriptionId, planName, endDate, remaining }>, charges: Array<{ chargeId, appointmentId, type, title, start, remaining }> }>}
+ */
+async function getMemberOutstanding(prisma, memberId) {
+    const subscriptions = await prisma.subscription.findMany({
+        where: { memberId, status: { in: DEBT_STATUSES } },
+        include: {
+            plan: { select: { name: true } },
+            payments: {
+                where: { status: { in: ['completed', 'refunded', 'Partial Refund'] } },
+                select: { amount: true, refundedTotal: true }
+            }
+        }
+    });
+
+    const rows = subscriptions
+        .map((sub) => ({
+            subscriptionId: sub.id,
+            planName: sub.plan?.name || '',
+            endDate: sub.endDate,
+            remaining: calculateSubscriptionFinancials(sub, sub.payments).remaining
+        }))
+        .filter((row) => row.remaining > 0)
+        .sort((a, b) => b.remaining - a.remaining);
+
+    const dueCharges = await prisma.appointmentCharge.findMany({
+        where: { memberId, status: 'due', dueAmount: { gt: 0 } },
+        include: { appointment: { select: { title: true, start: true } } }
+    });
+    const charges = dueCharges
+        .map((charge) => ({
+            chargeId: charge.id,
+            appointmentId: charge.appointmentId,
+            type: charge.type,
+            title: charge.appointment?.title || '',
+            start: charge.appointment?.start || null,
+            remaining: roundMoney(charge.dueAmount)
+        }))
+        .sort((a, b) => b.remaining - a.remaining);
+
+    return {
+        total: roundMoney([...rows, ...charges].reduce((sum, row) => sum + row.remaining, 0)),
+        subscriptions: rows,
+        charges
+    };
+}
+
+/**
+ * Apply the debt policy to a member about to check in.
+ * Returns null when the policy is "allow" or the balance is within the threshold.
+ *
+ * `collect` is the shortcut the desk uses to take payment right away, for
+ * the largest balance: POST /api/payments for a subscription (subscriptionId)
+ * or POST /api/appointments/charges/:id/pay for a fee (chargeId).
+ *
+ * @returns {Promise<null|{ policy, outstanding, subscriptions, charges, requiresOverride, blocked, collect }>}
+ */
+async function evaluateDebt(prisma, member) {
+    const { policy, threshold } = await getDebtPolicy(prisma);
+    if (policy === 'allow') return null;
+
+    const { total, subscriptions, charges } = await getMemberOutstanding(prisma, member.id);
+    if (total <= threshold) return null;
+
+    const [subscription] = subscriptions;
+    const [charge] = charges;
+    const collectCharge = Boolean(charge && (!subscription || charge.remaining > subscription.remaining));
+
+    return {
+        policy,
+        outstanding: total,
+        subscriptions,
+        charges,
+        requiresOverride: policy === 'warn',
+        blocked: policy === 'block',
+        collect: {
+            memberId: member.id,
+            member: {
+                id: member.id,
+                memberId: member.memberId,
+                firstName: member.firstName,
+                lastName: member.lastName,
+                phone: member.phone
+            },
+            subscriptionId: collectCharge ? null : subscription.subscriptionId,
+            chargeId: collectCharge ? charge.chargeId : null,
+            amount: collectCharge ? charge.remaining : subscription.remaining
+        }
+    };
+}
+
+module.exports = {
+    DEBT_POLICIES,
+    DEBT_STATUSES,
+    getDebtPolicy,
+    getMemberOutstanding,
+    evaluateDebt
+};
@@ -0,0 +1,460 @@
+/**
+ * ============================================
+ * EXPENSE SERVICE
+ * ============================================
+ *
+ * Gym expenses (rent, utilities, salaries ...):
+ * - expenses paid from the cash drawer are recorded as a pay-out
+ *   (CashMovement OUT) on the user's open shift, so shift closing and
+ *   cash closing account for them like any other pay-out
+ * - recurring expense templates generate an expense on each due date
+ * - profit & loss: revenue (payments - refunds + POS sales) vs expenses
+ */
+
+const { roundMoney } = require('../utils/money');
+const { NET_REVENUE_PAYMENT_STATUSES } = require('../utils/financialCalculations');
+const { branchWhere, shiftBranchWhere } = require('./branchService');
+
+const EXPENSE_PAYMENT_METHODS = ['cash', 'card', 'transfer'];
+const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+// Safety limit for catching up a template that has not run for a long time
+const MAX_RECURRING_CATCH_UP = 24;
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+const isTrue = (value) => value === true || value === 'true' || value === '1' || value === 1;
+
+const parseAmount = (value) => {
+    const amount = roundMoney(parseFloat(value));
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw createError(400, 'INVALID_AMOUNT', 'Amount must be greater than 0');
+    }
+    return amount;
+};
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw createError(400, 'INVALID_DATE', `${name} must be a valid date`);
+    }
+    return date;
+};
+
+const startOfDay = (value) => {
+    const date = new Date(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+};
+
+const parsePaymentMethod = (value) => {
+    const method = String(value || 'cash').toLowerCase().trim();
+    if (!EXPENSE_PAYMENT_METHODS.includes(method)) {
+        throw createError(400, 'INVALID_PAYMENT_METHOD', `Payment method must be one of: ${EXPENSE_PAYMENT_METHODS.join(', ')}`);
+    }
+    return method;
+};
+
+async function resolveCategory(prisma, value) {
+    const name = String(value || '').trim();
+    if (!name) {
+        throw createError(400, 'INVALID_CATEGORY', 'Category is required');
+    }
+    const category = await prisma.expenseCategory.findUnique({ where: { name } });
+    if (!category) {
+        throw createError(400, 'INVALID_CATEGORY', `Unknown expense category: ${name}`);
+    }
+    return category.name;
+}
+
+/**
+ * Build expense create/update data from request input
+ * @param {Object} prisma
+ * @param {Object} input - { category, amount, description, date, paymentMethod }
+ * @param {Object} options - { partial }
+ */
+async function buildExpenseData(prisma, input = {}, { partial = false } = {}) {
+    const data = {};
+    if (!partial || input.category !== undefined) data.category = await resolveCategory(prisma, input.category);
+    if (!partial || input.amount !== undefined) data.amount = parseAmount(input.amount);
+    if (input.description !== undefined) data.description = input.description ? String(input.description).trim() : null;
+    if (input.date !== undefined && input.date !== '') data.date = parseDate(input.date, 'date');
+    if (!partial || input.paymentMethod !== undefined) data.paymentMethod = parsePaymentMethod(input.paymentMethod);
+    return data;
+}
+
+const findOpenShift = (prisma, userId) => prisma.pOSShift.findFirst({
+    where: { openedBy: userId, closedAt: null }
+});
+
+const drawerReason = (category) => `Expense: ${category}`;
+
+/**
+ * Create an expense. With `paidFromDrawer` the amount is paid out of the
+ * user's open shift (cash only) and a CashMovement OUT is recorded with it.
+ * @param {Object} prisma
+ * @param {Object} input - Request body (+ attachmentPath)
+ * @param {Object} context - { userId, branchId }
+ * @returns {Promise<Object>} Created expense
+ */
+async function createExpense(prisma, input, { userId = null, branchId = null } = {}) {
+    const data = await buildExpenseData(prisma, input);
+    if (input.attachmentPath) data.attachmentPath = input.attachmentPath;
+
+    if (!isTrue(input.paidFromDrawer)) {
+        return prisma.expense.create({
+            data: { ...data, branchId, createdBy: userId }
+        });
+    }
+
+    const shift = await findOpenShift(prisma, userId);
+    if (!shift) {
+        throw createError(400, 'NO_ACTIVE_SHIFT', 'Open your shift to pay an expense from the drawer');
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const movement = await tx.cashMovement.create({
+            data: {
+                type: 'OUT',
+                amount: data.amount,
+                reason: drawerReason(data.category),
+                notes: data.description || '',
+                shiftId: shift.id,
+                employeeId: userId
+            }
+        });
+
+        return tx.expense.create({
+            data: {
+                ...data,
+                paymentMethod: 'cash',
+                shiftId: shift.id,
+                cashMovementId: movement.id,
+                branchId: shift.branchId ?? branchId,
+                createdBy: userId
+            }
+        });
+    });
+}
+
+async function findEditableExpense(prisma, id) {
+    const expense = await prisma.expense.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+            settlement: { select: { id: true } },
+            shift: { select: { id: true, closedAt: true } }
+        }
+    });
+    if (!expense) {
+        throw createError(404, 'EXPENSE_NOT_FOUND', 'Expense not found');
+    }
+    return expense;
+}
+
+/**
+ * Update an expense. Drawer expenses keep their pay-out in sync and can
+ * only change amount or category while their shift is still open.
+ */
+async function updateExpense(prisma, id, input) {
+    const expense = await findEditableExpense(prisma, id);
+    const data = await buildExpenseData(prisma, input, { partial: true });
+    if (input.attachmentPath) data.attachmentPath = input.attachmentPath;
+
+    const amountChanged = data.amount !== undefined && data.amount !== expense.amount;
+    const categoryChanged = data.category !== undefined && data.category !== expense.category;
+
+    if (expense.settlement && amountChanged) {
+        throw createError(409, 'SETTLEMENT_EXPENSE', 'This expense belongs to a coach settlement and its amount cannot be changed');
+    }
+
+    if (!expense.cashMovementId) {
+        return prisma.expense.update({ where: { id: expense.id }, data });
+    }
+
+    delete data.paymentMethod; // Drawer pay-outs are always cash
+    if ((amountChanged || categoryChanged) && expense.shift?.closedAt) {
+        throw createError(409, 'SHIFT_CLOSED', 'The shift this expense was paid from is closed');
+    }
+
+    return prisma.$transaction(async (tx) => {
+        if (amountChanged || categoryChanged || data.description !== undefined) {
+            await tx.cashMovement.update({
+                where: { id: expense.cashMovementId },
+                data: {
+                    amount: data.amount ?? expense.amount,
+                    reason: drawerReason(data.category ?? expense.category),
+                    notes: (data.description !== undefined ? data.description : expense.description) || ''
+                }
+            });
+        }
+        return tx.expense.update({ where: { id: expense.id }, data });
+    });
+}
+
+/**
+ * Delete an expense (and its drawer pay-out while the shift is open)
+ * @returns {Promise<Object>} The deleted expense (for attachment cleanup)
+ */
+async function deleteExpense(prisma, id) {
+    const expense = await findEditableExpense(prisma, id);
+
+    if (expense.settlement) {
+        throw createError(409, 'SETTLEMENT_EXPENSE', 'This expense belongs to a coach settlement and cannot be deleted');
+    }
+    if (expense.cashMovementId && expense.shift?.closedAt) {
+        throw createError(409, 'SHIFT_CLOSED', 'The shift this expense was paid from is closed');
+    }
+
+    await prisma.$transaction(async (tx) => {
+        await tx.expense.delete({ where: { id: expense.id } });
+        if (expense.cashMovementId) {
+            await tx.cashMovement.delete({ where: { id: expense.cashMovementId } });
+        }
+    });
+    return expense;
+}
+
+// ============================================
+// RECURRING EXPENSES
+// ============================================
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Next due date after `date`. Monthly and yearly schedules keep the
+ * anchor day (e.g. the 31st) and fall back to the month's last day.
+ */
+function advanceDueDate(date, frequency, anchorDay = new Date(date).getDate()) {
+    const current = new Date(date);
+    if (frequency === 'weekly') {
+        const next = new Date(current);
+        next.setDate(next.getDate() + 7);
+        return next;
+    }
+
+    const monthsToAdd = frequency === 'yearly' ? 12 : 1;
+    const target = new Date(current.getFullYear(), current.getMonth() + monthsToAdd, 1,
+        current.getHours(), current.getMinutes(), current.getSeconds(), current.getMilliseconds());
+    target.setDate(Math.min(anchorDay, daysInMonth(target.getFullYear(), target.getMonth())));
+    return target;
+}
+
+/**
+ * Build recurring expense create/update data from request input
+ */
+async function buildRecurringData(prisma, input = {}, { partial = false } = {}) {
+    const data = {};
+    if (!partial || input.category !== undefined) data.category = await resolveCategory(prisma, input.category);
+    if (!partial || input.amount !== undefined) data.amount = parseAmount(input.amount);
+    if (input.description !== undefined) data.description = input.description ? String(input.description).trim() : null;
+    if (!partial || input.paymentMethod !== undefined) data.paymentMethod = parsePaymentMethod(input.paymentMethod || 'transfer');
+    if (!partial || input.frequency !== undefined) {
+        const frequency = String(input.frequency || 'monthly').toLowerCase();
+        if (!RECURRING_FREQUENCIES.includes(frequency)) {
+            throw createError(400, 'INVALID_FREQUENCY', `Frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}`);
+        }
+        data.frequency = frequency;
+    }
+    if (!partial || input.startDate !== undefined) {
+        data.startDate = startOfDay(parseDate(input.startDate, 'startDate'));
+        data.nextDueDate = data.startDate;
+    }
+    if (input.endDate !== undefined) {
+        data.endDate = input.endDate ? startOfDay(parseDate(input.endDate, 'endDate')) : null;
+    }
+    if (data.endDate && data.startDate && data.endDate < data.startDate) {
+        throw createError(400, 'INVALID_DATE', 'endDate must be after startDate');
+    }
+    if (input.isActive !== undefined) data.isActive = isTrue(input.isActive);
+    return data;
+}
+
+/**
+ * Create the expenses of every recurring template that is due.
+ * Already generated dates are skipped (unique per template and date).
+ * @returns {Promise<{ processed: number }>} Number of expenses created
+ */
+async function generateRecurringExpenses(prisma, now = new Date()) {
+    const templates = await prisma.recurringExpense.findMany({
+        where: { isActive: true, nextDueDate: { lte: now } }
+    });
+
+    let created = 0;
+    for (const template of templates) {
+        const anchorDay = new Date(template.startDate).getDate();
+        let due = new Date(template.nextDueDate);
+        let iterations = 0;
+
+        while (due <= now && (!template.endDate || due <= template.endDate) && iterations < MAX_RECURRING_CATCH_UP) {
+            try {
+                await prisma.expense.create({
+                    data: {
+                        category: template.category,
+                        amount: template.amount,
+                        description: template.description,
+                        paymentMethod: template.paymentMethod,
+                        date: due,
+                        branchId: template.branchId,
+                        recurringExpenseId: template.id,
+                        createdBy: template.createdBy
+                    }
+                });
+                created += 1;
+            } catch (error) {
+                if (error.code !== 'P2002') throw error;
+            }
+            due = advanceDueDate(due, template.frequency, anchorDay);
+            iterations += 1;
+        }
+
+        const finished = Boolean(template.endDate && due > template.endDate);
+        await prisma.recurringExpense.update({
+            where: { id: template.id },
+            data: { nextDueDate: due, ...(finished ? { isActive: false } : {}) }
+        });
+    }
+
+    return { processed: created };
+}
+
+// ============================================
+// REPORTS
+// ============================================
+
+const monthKey = (value) => {
+    const date = new Date(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+function listMonths(startDate, endDate) {
+    const months = [];
+    const cursor = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+    while (cursor <= endDate) {
+        months.push(monthKey(cursor));
+        cursor.setMonth(cursor.getMonth() + 1);
+    }
+    return months;
+}
+
+/**
+ * Totals of a list of expenses by category, largest first
+ */
+function summarizeByCategory(expenses) {
+    const totals = new Map();
+    expenses.forEach((expense) => {
+        totals.set(expense.category, roundMoney((totals.get(expense.category) || 0) + expense.amount));
+    });
+    return [...totals.entries()]
+        .map(([category, total]) => ({ category, total }))
+        .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Profit & loss by month and category.
+ * Revenue follows the revenue report (positive payments - refunds) plus POS sales.
+ * @param {Object} prisma
+ * @param {Object} options - { startDate, endDate, branchScope }
+ */
+async function buildProfitAndLoss(prisma, { startDate, endDate, branchScope = null }) {
+    const [payments, refunds, sales, expenses] = await Promise.all([
+        prisma.payment.findMany({
+            where: {
+                paidAt: { gte: startDate, lte: endDate },
+                status: { in: NET_REVENUE_PAYMENT_STATUSES },
+                amount: { gt: 0 },
+                ...branchWhere(branchScope)
+            },
+            select: { amount: true, paidAt: true }
+        }),
+        prisma.refund.findMany({
+            where: { createdAt: { gte: startDate, lte: endDate }, ...shiftBranchWhere(branchScope) },
+            select: { amount: true, createdAt: true }
+        }),
+        prisma.saleTransaction.findMany({
+            where: { createdAt: { gte: startDate, lte: endDate }, ...branchWhere(branchScope) },
+            select: { totalAmount: true, createdAt: true }
+        }),
+        prisma.expense.findMany({
+            where: { date: { gte: startDate, lte: endDate }, ...branchWhere(branchScope) },
+            select: { amount: true, category: true, date: true }
+        })
+    ]);
+
+    const rows = new Map(listMonths(startDate, endDate).map((month) => [month, {
+        month,
+        payments: 0,
+        refunds: 0,
+        sales: 0,
+        expenses: []
+    }]));
+    const rowFor = (date) => rows.get(monthKey(date));
+
+    payments.forEach((payment) => {
+        const row = rowFor(payment.paidAt);
+        if (row) row.payments += payment.amount;
+    });
+    refunds.forEach((refund) => {
+        const row = rowFor(refund.createdAt);
+        if (row) row.refunds += refund.amount || 0;
+    });
+    sales.forEach((sale) => {
+        const row = rowFor(sale.createdAt);
+        if (row) row.sales += sale.totalAmount || 0;
+    });
+    expenses.forEach((expense) => {
+        const row = rowFor(expense.date);
+        if (row) row.expenses.push(expense);
+    });
+
+    const months = [...rows.values()].map((row) => {
+        const revenue = roundMoney(row.payments - row.refunds + row.sales);
+        const totalExpenses = roundMoney(row.expenses.reduce((sum, expense) => sum + expense.amount, 0));
+        return {
+            month: row.month,
+            payments: roundMoney(row.payments),
+            refunds: roundMoney(row.refunds),
+            sales: roundMoney(row.sales),
+            revenue,
+            expenses: totalExpenses,
+            expensesByCategory: summarizeByCategory(row.expenses),
+            profit: roundMoney(revenue - totalExpenses)
+        };
+    });
+
+    const sum = (field) => roundMoney(months.reduce((total, month) => total + month[field], 0));
+    const revenue = sum('revenue');
+    const totalExpenses = sum('expenses');
+
+    return {
+        months,
+        categories: summarizeByCategory(expenses),
+        summary: {
+            payments: sum('payments'),
+            refunds: sum('refunds'),
+            sales: sum('sales'),
+            revenue,
+            expenses: totalExpenses,
+            profit: roundMoney(revenue - totalExpenses),
+            margin: revenue > 0 ? roundMoney(((revenue - totalExpenses) / revenue) * 100) : null
+        }
+    };
+}
+
+module.exports = {
+    EXPENSE_PAYMENT_METHODS,
+    RECURRING_FREQUENCIES,
+    buildExpenseData,
+    createExpense,
+    updateExpense,
+    deleteExpense,
+    advanceDueDate,
+    buildRecurringData,
+    generateRecurringExpenses,
+    summarizeByCategory,
+    buildProfitAndLoss
+};
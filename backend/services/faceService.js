@@ -0,0 +1,291 @@
+/**
+ * ============================================
+ * FACE RECOGNITION SERVICE
+ * ============================================
+ *
+ * Face enrollment and matching for check-in, on the CPU backend of
+ * face-api.js (no native TensorFlow needed).
+ *
+ * Images arrive as PNG data URLs from the webcam. Each enrollment image
+ * gives a 128-value descriptor; Member.faceEncoding stores them back to
+ * back as little-endian float32 (512 bytes per image).
+ *
+ * The model weights are not bundled. Put these face-api.js weight files in
+ * FACE_MODELS_PATH (default: <user data>/faces/models):
+ *   tiny_face_detector_model-*, face_landmark_68_model-*, face_recognition_model-*
+ *
+ * Settings (group "checkin"):
+ * - checkin_face_enabled:   face mode on the check-in page (default true)
+ * - checkin_face_threshold: largest descriptor distance accepted as a match (default 0.5)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { createAuditLog } = require('./auditService');
+
+const DESCRIPTOR_LENGTH = 128;
+const DESCRIPTOR_BYTES = DESCRIPTOR_LENGTH * 4;
+const MAX_ENROLL_IMAGES = 5;
+const MAX_IMAGE_SIDE = 1920;
+const DEFAULT_MATCH_THRESHOLD = 0.5;
+
+const MODEL_MANIFESTS = [
+    'tiny_face_detector_model-weights_manifest.json',
+    'face_landmark_68_model-weights_manifest.json',
+    'face_recognition_model-weights_manifest.json'
+];
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+const getModelsPath = (userDataPath) => (
+    process.env.FACE_MODELS_PATH || path.join(userDataPath || '.', 'faces', 'models')
+);
+
+// face-api.js pulls in TensorFlow; only load it when a face is actually processed
+let faceapi = null;
+let modelsLoading = null;
+
+async function loadModels(modelsPath) {
+    const missing = MODEL_MANIFESTS.filter((file) => !fs.existsSync(path.join(modelsPath, file)));
+    if (missing.length > 0) {
+        throw createError(503, 'FACE_MODELS_MISSING', `Face recognition models not found in ${modelsPath}: ${missing.join(', ')}`);
+    }
+
+    if (!modelsLoading) {
+        modelsLoading = (async () => {
+            faceapi = require('face-api.js');
+            await faceapi.tf.setBackend('cpu');
+            await Promise.all([
+                faceapi.nets.tinyFaceDetector.loadFromDisk(modelsPath),
+                faceapi.nets.faceLandmark68Net.loadFromDisk(modelsPath),
+                faceapi.nets.faceRecognitionNet.loadFromDisk(modelsPath)
+            ]);
+            return faceapi;
+        })().catch((error) => {
+            modelsLoading = null;
+            throw error;
+        });
+    }
+    return modelsLoading;
+}
+
+/**
+ * Decode a PNG data URL (or bare base64) into RGB pixels
+ * @returns {{ width: number, height: number, data: Float32Array }}
+ */
+function decodeImage(image) {
+    const base64 = String(image || '').replace(/^data:image\/png;base64,/, '');
+    let png;
+    try {
+        png = PNG.sync.read(Buffer.from(base64, 'base64'));
+    } catch (error) {
+        throw createError(400, 'INVALID_IMAGE', 'Image must be a PNG data URL');
+    }
+    if (png.width > MAX_IMAGE_SIDE || png.height > MAX_IMAGE_SIDE) {
+        throw createError(400, 'INVALID_IMAGE', `Image must be at most ${MAX_IMAGE_SIDE}px on each side`);
+    }
+
+    const data = new Float32Array(png.width * png.height * 3);
+    for (let pixel = 0; pixel < png.width * png.height; pixel += 1) {
+        data[pixel * 3] = png.data[pixel * 4];
+        data[pixel * 3 + 1] = png.data[pixel * 4 + 1];
+        data[pixel * 3 + 2] = png.data[pixel * 4 + 2];
+    }
+    return { width: png.width, height: png.height, data };
+}
+
+/**
+ * Descriptors of the faces in an image, largest face first
+ * @returns {Promise<Float32Array[]>}
+ */
+async function extractDescriptors(image, { modelsPath }) {
+    const { width, height, data } = decodeImage(image);
+    const api = await loadModels(modelsPath);
+
+    const input = api.tf.tensor3d(data, [height, width, 3]);
+    try {
+        const results = await api
+            .detectAllFaces(input, new api.TinyFaceDetectorOptions({ inputSize: 416, scoreThreshold: 0.5 }))
+            .withFaceLandmarks()
+            .withFaceDescriptors();
+        return results
+            .sort((a, b) => b.detection.box.area - a.detection.box.area)
+            .map((result) => result.descriptor);
+    } finally {
+        input.dispose();
+    }
+}
+
+function encodeDescriptors(descriptors) {
+    const buffer = Buffer.alloc(descriptors.length * DESCRIPTOR_BYTES);
+    descriptors.forEach((descriptor, index) => {
+        for (let i = 0; i < DESCRIPTOR_LENGTH; i += 1) {
+            buffer.writeFloatLE(descriptor[i], index * DESCRIPTOR_BYTES + i * 4);
+        }
+    });
+    return buffer;
+}
+
+function decodeDescriptors(encoding) {
+    if (!encoding) return [];
+    const buffer = Buffer.from(encoding);
+    const descriptors = [];
+    for (let offset = 0; offset + DESCRIPTOR_BYTES <= buffer.length; offset += DESCRIPTOR_BYTES) {
+        const descriptor = new Float32Array(DESCRIPTOR_LENGTH);
+        for (let i = 0; i < DESCRIPTOR_LENGTH; i += 1) {
+            descriptor[i] = buffer.readFloatLE(offset + i * 4);
+        }
+        descriptors.push(descriptor);
+    }
+    return descriptors;
+}
+
+function euclideanDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < DESCRIPTOR_LENGTH; i += 1) {
+        const diff = a[i] - b[i];
+        sum += diff * diff;
+    }
+    return Math.sqrt(sum);
+}
+
+async function getMatchThreshold(prisma) {
+    const setting = await prisma.setting.findUnique({ where: { key: 'checkin_face_threshold' } });
+    const threshold = Number(setting?.value);
+    return Number.isFinite(threshold) && threshold > 0 && threshold < 1.5 ? threshold : DEFAULT_MATCH_THRESHOLD;
+}
+
+async function isFaceCheckInEnabled(prisma) {
+    const setting = await prisma.setting.findUnique({ where: { key: 'checkin_face_enabled' } });
+    return setting?.value !== 'false';
+}
+
+/**
+ * Enrolled member closest to a descriptor
+ * @returns {Promise<{ member: Object|null, distance: number|null, threshold: number }>}
+ *          member is null when nobody is within the threshold
+ */
+async function findBestMatch(prisma, descriptor, { threshold } = {}) {
+    const maxDistance = threshold ?? await getMatchThreshold(prisma);
+    const members = await prisma.member.findMany({
+        where: { faceEncoding: { not: null } },
+        select: { id: true, memberId: true, firstName: true, lastName: true, phone: true, isActive: true, faceEncoding: true }
+    });
+
+    let best = null;
+    let bestDistance = null;
+    for (const member of members) {
+        for (const enrolled of decodeDescriptors(member.faceEncoding)) {
+            const distance = euclideanDistance(descriptor, enrolled);
+            if (bestDistance === null || distance < bestDistance) {
+                best = member;
+                bestDistance = distance;
+            }
+        }
+    }
+
+    if (!best || bestDistance > maxDistance) {
+        return { member: null, distance: bestDistance, threshold: maxDistance };
+    }
+    const { faceEncoding, ...member } = best;
+    return { member, distance: bestDistance, threshold: maxDistance };
+}
+
+/**
+ * Identify the member in a check-in camera frame
+ * @returns {Promise<{ member, distance, threshold, confidence }>}
+ */
+async function matchFace(prisma, image, { modelsPath, extract = extractDescriptors } = {}) {
+    const [descriptor] = await extract(image, { modelsPath });
+    if (!descriptor) {
+        throw createError(400, 'NO_FACE', 'No face found in the image');
+    }
+    const match = await findBestMatch(prisma, descriptor);
+    return {
+        ...match,
+        confidence: match.member ? Math.round((1 - match.distance / match.threshold / 2) * 100) : 0
+    };
+}
+
+/**
+ * Store a member's face from 1-5 webcam images (replaces any earlier enrollment).
+ * Every image must show exactly one face. The first image is kept in the
+ * faces directory so encodings can be rebuilt with newer models.
+ * @returns {Promise<{ samples: number }>}
+ */
+async function enrollFace(prisma, member, images, { modelsPath, userDataPath, userId, extract = extractDescriptors } = {}) {
+    const list = Array.isArray(images) ? images.filter(Boolean) : [];
+    if (list.length === 0 || list.length > MAX_ENROLL_IMAGES) {
+        throw createError(400, 'INVALID_IMAGE', `Send between 1 and ${MAX_ENROLL_IMAGES} images`);
+    }
+
+    const descriptors = [];
+    for (const [index, image] of list.entries()) {
+        const found = await extract(image, { modelsPath });
+        if (found.length === 0) {
+            throw createError(400, 'NO_FACE', `No face found in image ${index + 1}`);
+        }
+        if (found.length > 1) {
+            throw createError(400, 'MULTIPLE_FACES', `More than one face in image ${index + 1}`);
+        }
+        descriptors.push(found[0]);
+    }
+
+    await prisma.member.update({
+        where: { id: member.id },
+        data: { faceEncoding: encodeDescriptors(descriptors) }
+    });
+
+    if (userDataPath) {
+        try {
+            const base64 = String(list[0]).replace(/^data:image\/png;base64,/, '');
+            fs.writeFileSync(path.join(userDataPath, 'faces', `${member.id}.png`), Buffer.from(base64, 'base64'));
+        } catch (error) {
+            console.error('[FACE] Failed to keep enrollment image:', error.message);
+        }
+    }
+
+    await createAuditLog(prisma, 'FACE_ENROLLED', 'Member', member.id, userId, { samples: descriptors.length });
+    return { samples: descriptors.length };
+}
+
+async function removeFace(prisma, member, { userDataPath, userId } = {}) {
+    await prisma.member.update({
+        where: { id: member.id },
+        data: { faceEncoding: null }
+    });
+    if (userDataPath) {
+        fs.rmSync(path.join(userDataPath, 'faces', `${member.id}.png`), { force: true });
+    }
+    await createAuditLog(prisma, 'FACE_REMOVED', 'Member', member.id, userId);
+}
+
+/**
+ * Member as returned by the API: the raw encoding replaced by `hasFace`
+ */
+function withoutFaceEncoding(member) {
+    if (!member) return member;
+    const { faceEncoding, ...rest } = member;
+    return { ...rest, hasFace: Boolean(faceEncoding && faceEncoding.length) };
+}
+
+module.exports = {
+    DESCRIPTOR_LENGTH,
+    getModelsPath,
+    decodeImage,
+    extractDescriptors,
+    encodeDescriptors,
+    decodeDescriptors,
+    findBestMatch,
+    matchFace,
+    enrollFace,
+    removeFace,
+    isFaceCheckInEnabled,
+    withoutFaceEncoding
+};
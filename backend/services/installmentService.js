@@ -0,0 +1,278 @@
+/**
+ * ============================================
+ * INSTALLMENT SERVICE
+ * ============================================
+ *
+ * Installment payment plans for subscriptions. At sale time the price is
+ * split into dated SubscriptionInstallment rows. The subscription's
+ * paidAmount stays the source of truth: allocatePayments spreads it over
+ * the schedule oldest installment first, so payments and refunds on the
+ * subscription both keep the schedule in step.
+ *
+ * "overdue" is not stored - an open installment past its due date is
+ * reported as overdue when it is read.
+ */
+
+const { roundMoney, clampMoney } = require('../utils/money');
+const { memberBranchWhere } = require('./branchService');
+
+const INTERVALS = ['weekly', 'monthly'];
+const MIN_INSTALLMENTS = 2;
+const MAX_INSTALLMENTS = 24;
+const OPEN_STATUSES = ['pending', 'partial'];
+// Installments of these subscriptions are no longer collected
+const CLOSED_SUBSCRIPTION_STATUSES = ['cancelled'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+function addInterval(date, interval, steps) {
+    const next = new Date(date);
+    if (interval === 'weekly') {
+        next.setDate(next.getDate() + 7 * steps);
+        return next;
+    }
+    // Monthly: keep the day of month, clamped to short months (Jan 31 -> Feb 28)
+    const day = next.getDate();
+    next.setDate(1);
+    next.setMonth(next.getMonth() + steps);
+    const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+    next.setDate(Math.min(day, lastDay));
+    return next;
+}
+
+/**
+ * Validate an installment plan from a sale request.
+ * Returns null when no plan was requested.
+ *
+ * @param {Object} input - { count, interval, firstDueDate }
+ * @param {Object} context - { total, startDate }
+ */
+function parseInstallmentPlan(input, { total, startDate } = {}) {
+    if (!input || input.count === undefined || input.count === null || input.count === '') return null;
+
+    const count = Number(input.count);
+    if (!Number.isInteger(count) || count < MIN_INSTALLMENTS || count > MAX_INSTALLMENTS) {
+        throw createError(400, 'INVALID_INSTALLMENT_PLAN', `Installment count must be between ${MIN_INSTALLMENTS} and ${MAX_INSTALLMENTS}`);
+    }
+
+    const interval = input.interval || 'monthly';
+    if (!INTERVALS.includes(interval)) {
+        throw createError(400, 'INVALID_INSTALLMENT_PLAN', `Installment interval must be one of: ${INTERVALS.join(', ')}`);
+    }
+
+    const firstDueDate = input.firstDueDate ? new Date(input.firstDueDate) : new Date(startDate || Date.now());
+    if (Number.isNaN(firstDueDate.getTime())) {
+        throw createError(400, 'INVALID_INSTALLMENT_PLAN', 'Invalid first installment due date');
+    }
+
+    if (!(roundMoney(total) > 0)) {
+        throw createError(400, 'INVALID_INSTALLMENT_PLAN', 'Only a subscription with a price can be paid in installments');
+    }
+
+    return { count, interval, firstDueDate: startOfDay(firstDueDate) };
+}
+
+/**
+ * Split a total into dated installments. Amounts are rounded to the
+ * piastre; the last installment absorbs the rounding difference.
+ */
+function buildSchedule({ total, count, interval, firstDueDate }) {
+    const amount = Math.floor((roundMoney(total) / count) * 100) / 100;
+    const schedule = [];
+    for (let index = 0; index < count; index += 1) {
+        const isLast = index === count - 1;
+        schedule.push({
+            sequence: index + 1,
+            dueDate: addInterval(firstDueDate, interval, index),
+            amount: isLast ? roundMoney(total - amount * (count - 1)) : amount
+        });
+    }
+    return schedule;
+}
+
+/**
+ * Spread a paid total over installments oldest first.
+ * Returns the installments that changed with their new paid state.
+ */
+function allocateAmount(installments, paidTotal, now = new Date()) {
+    let available = clampMoney(paidTotal);
+    const changes = [];
+
+    const ordered = [...installments].sort((a, b) => a.sequence - b.sequence);
+    for (const installment of ordered) {
+        const paidAmount = roundMoney(Math.min(available, installment.amount));
+        available = clampMoney(available - paidAmount);
+
+        let status = 'pending';
+        if (paidAmount >= installment.amount - 0.01) status = 'paid';
+        else if (paidAmount > 0) status = 'partial';
+
+        const paidAt = status === 'paid' ? (installment.paidAt || now) : null;
+        if (paidAmount !== roundMoney(installment.paidAmount) || status !== installment.status) {
+            changes.push({ id: installment.id, paidAmount, status, paidAt });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Re-allocate the subscription's paid amount over its schedule.
+ * Call after anything that changes subscription.paidAmount.
+ */
+async function allocatePayments(prisma, subscriptionId, now = new Date()) {
+    const installments = await prisma.subscriptionInstallment.findMany({
+        where: { subscriptionId: parseInt(subscriptionId) },
+        orderBy: { sequence: 'asc' }
+    });
+    if (installments.length === 0) return [];
+
+    const subscription = await prisma.subscription.findUnique({
+        where: { id: parseInt(subscriptionId) },
+        select: { paidAmount: true }
+    });
+
+    const changes = allocateAmount(installments, subscription?.paidAmount || 0, now);
+    for (const { id, ...data } of changes) {
+        await prisma.subscriptionInstallment.update({ where: { id }, data });
+    }
+    return changes;
+}
+
+/**
+ * Create the installment schedule of a newly sold subscription and
+ * allocate whatever was paid at the counter.
+ */
+async function createSchedule(prisma, subscription, plan, now = new Date()) {
+    const schedule = buildSchedule({ total: subscription.price, ...plan });
+    await prisma.subscriptionInstallment.createMany({
+        data: schedule.map((row) => ({
+            ...row,
+            subscriptionId: subscription.id,
+            memberId: subscription.memberId
+        }))
+    });
+    await allocatePayments(prisma, subscription.id, now);
+    return schedule;
+}
+
+function serializeInstallment(installment, now = new Date()) {
+    const remainingAmount = clampMoney(installment.amount - (installment.paidAmount || 0));
+    const isOverdue = OPEN_STATUSES.includes(installment.status) && new Date(installment.dueDate) < startOfDay(now);
+    return {
+        ...installment,
+        remainingAmount,
+        isOverdue,
+        daysOverdue: isOverdue ? Math.floor((startOfDay(now) - startOfDay(installment.dueDate)) / DAY_MS) : 0,
+        status: isOverdue ? 'overdue' : installment.status
+    };
+}
+
+const openInstallmentWhere = (extra = {}) => ({
+    status: { in: OPEN_STATUSES },
+    subscription: { status: { notIn: CLOSED_SUBSCRIPTION_STATUSES }, canceledAt: null },
+    ...extra
+});
+
+/**
+ * Open installments that are overdue or due within `days`, by the member's home branch.
+ */
+async function buildInstallmentReport(prisma, { days = 30, branchScope, now = new Date() } = {}) {
+    const today = startOfDay(now);
+    const horizon = new Date(today.getTime() + (days + 1) * DAY_MS);
+
+    const where = openInstallmentWhere({ dueDate: { lt: horizon } });
+    Object.assign(where.subscription, memberBranchWhere(branchScope));
+
+    const rows = await prisma.subscriptionInstallment.findMany({
+        where,
+        include: {
+            subscription: {
+                select: {
+                    id: true,
+                    plan: { select: { name: true } },
+                    member: { select: { id: true, memberId: true, firstName: true, lastName: true, phone: true } }
+                }
+            }
+        },
+        orderBy: [{ dueDate: 'asc' }, { sequence: 'asc' }]
+    });
+
+    const installments = rows.map((row) => {
+        const { subscription, ...installment } = serializeInstallment(row, now);
+        const member = subscription?.member;
+        return {
+            ...installment,
+            planName: subscription?.plan?.name || null,
+            memberId: member?.id ?? installment.memberId,
+            memberCode: member?.memberId || null,
+            memberName: member ? `${member.firstName} ${member.lastName}` : null,
+            phone: member?.phone || null
+        };
+    });
+    const overdue = installments.filter((row) => row.isOverdue);
+    const upcoming = installments.filter((row) => !row.isOverdue);
+    const sum = (list) => roundMoney(list.reduce((total, row) => total + row.remainingAmount, 0));
+
+    return {
+        days,
+        summary: {
+            overdueCount: overdue.length,
+            overdueAmount: sum(overdue),
+            upcomingCount: upcoming.length,
+            upcomingAmount: sum(upcoming)
+        },
+        overdue,
+        upcoming
+    };
+}
+
+/**
+ * Open installments due within `daysBeforeDue` (or already overdue) that
+ * have no installment reminder yet - one reminder per installment.
+ */
+async function findInstallmentsToRemind(prisma, { daysBeforeDue = 3, now = new Date() } = {}) {
+    const horizon = new Date(startOfDay(now).getTime() + (daysBeforeDue + 1) * DAY_MS);
+
+    return prisma.subscriptionInstallment.findMany({
+        where: openInstallmentWhere({
+            dueDate: { lt: horizon },
+            reminders: { none: { type: 'INSTALLMENT', status: { in: ['PENDING', 'SENT'] } } }
+        }),
+        include: {
+            subscription: {
+                select: {
+                    member: { select: { id: true, firstName: true, lastName: true } }
+                }
+            }
+        },
+        orderBy: { dueDate: 'asc' }
+    });
+}
+
+module.exports = {
+    INTERVALS,
+    MIN_INSTALLMENTS,
+    MAX_INSTALLMENTS,
+    parseInstallmentPlan,
+    buildSchedule,
+    allocateAmount,
+    allocatePayments,
+    createSchedule,
+    serializeInstallment,
+    buildInstallmentReport,
+    findInstallmentsToRemind
+};
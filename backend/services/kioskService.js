@@ -0,0 +1,224 @@
+/**
+ * ============================================
+ * KIOSK SERVICE
+ * ============================================
+ *
+ * Self-service check-in kiosks (KioskDevice rows). A kiosk has no staff
+ * login: it sends its device token with every request and members check
+ * themselves in by scanning their QR code or card, or typing their member
+ * code. Check-ins go through the normal eligibility rules without a debt
+ * override and are recorded with method "kiosk" at the kiosk's branch.
+ *
+ * Leaving kiosk mode needs the kiosk's admin PIN. Wrong PINs lock the
+ * kiosk out for a few minutes.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { hashKey } = require('./apiKeyService');
+const { recordCheckIn } = require('./checkInService');
+const { findCredential } = require('./credentialService');
+const { openForCheckIn } = require('./accessControlService');
+const { createAuditLog } = require('./auditService');
+
+const TOKEN_PREFIX = 'ksk_';
+const PIN_PATTERN = /^\d{4,8}$/;
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+
+// Failed exit PIN attempts per kiosk: { count, lockedUntil }
+const pinAttempts = new Map();
+
+// Denials the member can fix at the front desk rather than at the kiosk
+const DESK_REASONS = ['OUTSTANDING_BALANCE', 'DEBT_OVERRIDE_REQUIRED', 'DEBT_OVERRIDE_FORBIDDEN', 'MEMBER_INACTIVE', 'CREDENTIAL_REVOKED'];
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+/**
+ * New kiosk token. Only the hash is stored; the token is shown once.
+ */
+function generateKioskToken() {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    return {
+        token,
+        tokenHash: hashKey(token),
+        tokenHint: `${token.slice(0, 8)}…`
+    };
+}
+
+async function findKioskByToken(prisma, token) {
+    if (!token || !String(token).startsWith(TOKEN_PREFIX)) return null;
+    const kiosk = await prisma.kioskDevice.findUnique({
+        where: { tokenHash: hashKey(token) },
+        include: { branch: { select: { id: true, name: true } } }
+    });
+    return kiosk?.isActive ? kiosk : null;
+}
+
+/**
+ * Kiosk as returned to the client (token and PIN hashes hidden)
+ */
+function serializeKiosk(kiosk) {
+    const { tokenHash, exitPinHash, ...rest } = kiosk;
+    return rest;
+}
+
+/**
+ * Build create/update data for a kiosk from request input.
+ * The exit PIN is required on create and optional on update.
+ */
+async function buildKioskData(input = {}, existing = null) {
+    const data = {};
+    if (!existing || input.name !== undefined) {
+        const name = String(input.name || '').trim();
+        if (!name) throw createError(400, 'INVALID_KIOSK', 'Kiosk name is required');
+        data.name = name;
+    }
+    if (input.branchId !== undefined) {
+        const branchId = input.branchId === null || input.branchId === '' ? null : parseInt(input.branchId);
+        if (Number.isNaN(branchId)) throw createError(400, 'INVALID_KIOSK', 'Invalid branch');
+        data.branchId = branchId;
+    }
+    if (!existing || (input.pin !== undefined && input.pin !== '')) {
+        const pin = String(input.pin ?? '').trim();
+        if (!PIN_PATTERN.test(pin)) throw createError(400, 'INVALID_PIN', 'PIN must be 4 to 8 digits');
+        data.exitPinHash = await bcrypt.hash(pin, 10);
+    }
+    if (input.isActive !== undefined) data.isActive = Boolean(input.isActive);
+    return data;
+}
+
+/**
+ * Check the exit PIN. Throws 401 INVALID_PIN, or 429 PIN_LOCKED after
+ * MAX_PIN_ATTEMPTS wrong PINs until the lockout ends.
+ */
+async function verifyExitPin(prisma, kiosk, pin, now = Date.now()) {
+    const attempts = pinAttempts.get(kiosk.id);
+    if (attempts?.lockedUntil > now) {
+        throw createError(429, 'PIN_LOCKED', 'Too many wrong PINs. Try again in a few minutes.');
+    }
+
+    const valid = PIN_PATTERN.test(String(pin ?? '')) && await bcrypt.compare(String(pin), kiosk.exitPinHash);
+    if (!valid) {
+        const count = (attempts?.lockedUntil ? 0 : attempts?.count || 0) + 1;
+        pinAttempts.set(kiosk.id, {
+            count,
+            lockedUntil: count >= MAX_PIN_ATTEMPTS ? now + PIN_LOCKOUT_MS : null
+        });
+        await createAuditLog(prisma, 'KIOSK_UNLOCK_FAILED', 'KioskDevice', kiosk.id, null, { attempts: count });
+        throw createError(401, 'INVALID_PIN', 'Wrong PIN');
+    }
+
+    pinAttempts.delete(kiosk.id);
+    await createAuditLog(prisma, 'KIOSK_UNLOCKED', 'KioskDevice', kiosk.id, null);
+}
+
+/**
+ * Member behind what was scanned or typed at the kiosk: a card UID,
+ * then a member code (QR codes carry the member code). A bare number or
+ * "gym 12" is read as GYM-0012.
+ * @returns {Promise<{ member: Object|null, revoked: boolean }>}
+ */
+async function resolveKioskMember(prisma, code) {
+    const value = String(code ?? '').trim();
+    if (!value) return { member: null, revoked: false };
+
+    const credential = await findCredential(prisma, value);
+    if (credential) return { member: credential.member, revoked: credential.status === 'revoked' };
+
+    const candidates = [value.toUpperCase()];
+    const numbered = value.match(/^(?:GYM[-_ ]?)?(\d{1,6})$/i);
+    if (numbered) candidates.push(`GYM-${numbered[1].padStart(4, '0')}`);
+
+    const member = await prisma.member.findFirst({ where: { memberId: { in: candidates } } });
+    return { member, revoked: false };
+}
+
+/**
+ * Check a member in from the kiosk.
+ * A member already checked in today is welcomed again without a new check-in.
+ *
+ * @returns {Promise<{ granted, reason, message, arabicMessage, seeDesk, member?, checkInId?,
+ *                     visitType?, daysRemaining?, inGrace?, remainingSessions?, totalSessions? }>}
+ */
+async function kioskCheckIn(prisma, { kiosk, code }) {
+    if (!String(code ?? '').trim()) throw createError(400, 'INVALID_CODE', 'Scan your card or type your member code');
+
+    await prisma.kioskDevice.update({ where: { id: kiosk.id }, data: { lastSeenAt: new Date() } });
+
+    const deny = (reason, message, arabicMessage, member = null) => ({
+        granted: false,
+        reason,
+        message,
+        arabicMessage: arabicMessage || null,
+        seeDesk: DESK_REASONS.includes(reason),
+        member: member ? { firstName: member.firstName, photo: member.photo || null } : null
+    });
+
+    const { member, revoked } = await resolveKioskMember(prisma, code);
+    if (revoked) return deny('CREDENTIAL_REVOKED', 'This card was revoked', 'تم إلغاء هذه البطاقة.', member);
+    if (!member) return deny('MEMBER_NOT_FOUND', 'Unknown card or code', 'البطاقة أو الكود غير معروف.');
+    if (!member.isActive) return deny('MEMBER_INACTIVE', 'Member account is inactive', 'حساب العضو غير نشط.', member);
+
+    const welcome = {
+        granted: true,
+        seeDesk: false,
+        member: { firstName: member.firstName, photo: member.photo || null }
+    };
+
+    let result;
+    try {
+        result = await recordCheckIn(prisma, {
+            member,
+            method: 'kiosk',
+            branchId: kiosk.branchId
+        });
+    } catch (error) {
+        if (error.code === 'ALREADY_CHECKED_IN') {
+            return {
+                ...welcome,
+                reason: 'ALREADY_CHECKED_IN',
+                message: 'You are already checked in',
+                arabicMessage: 'أنت مسجل دخول بالفعل.',
+                checkInId: error.checkIn?.id ?? null
+            };
+        }
+        if (error.status && error.status < 500) {
+            return deny(error.reason || error.code || 'NOT_ELIGIBLE', error.message, error.arabicMessage, member);
+        }
+        throw error;
+    }
+
+    await openForCheckIn(prisma, { branchId: kiosk.branchId, checkIn: result.checkIn, member });
+
+    return {
+        ...welcome,
+        reason: 'ELIGIBLE',
+        message: 'Welcome',
+        arabicMessage: 'أهلاً بك',
+        checkInId: result.checkIn.id,
+        visitType: result.visitType,
+        daysRemaining: result.subscription?.daysRemaining ?? null,
+        inGrace: Boolean(result.subscription?.inGrace),
+        remainingSessions: result.package?.remainingSessions ?? null,
+        totalSessions: result.package?.totalSessions ?? null
+    };
+}
+
+module.exports = {
+    MAX_PIN_ATTEMPTS,
+    PIN_LOCKOUT_MS,
+    generateKioskToken,
+    findKioskByToken,
+    serializeKiosk,
+    buildKioskData,
+    verifyExitPin,
+    resolveKioskMember,
+    kioskCheckIn,
+    clearPinAttempts: () => { pinAttempts.clear(); }
+};
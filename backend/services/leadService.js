@@ -0,0 +1,693 @@
+/**
+ * ============================================
+ * LEAD SERVICE
+ * ============================================
+ *
+ * Sales pipeline for prospects:
+ * - stages new -> contacted -> trial_booked -> trial_attended -> converted (or lost)
+ * - follow-up tasks assigned to staff and an activity timeline per lead
+ * - duplicate detection by normalized phone against members and open leads
+ * - conversion to a member, optionally with a subscription to a plan
+ * - tentative appointment bookings are attached to a lead as its trial
+ */
+
+const { normalizePhone } = require('../utils/memberNormalization');
+const { roundMoney } = require('../utils/money');
+const { createMemberWithUniqueness, generateMemberId } = require('./memberService');
+const { recordPaymentTransaction } = require('./paymentService');
+const { branchWhere } = require('./branchService');
+const { OPEN_STATUSES, initialStatus, recordEvent } = require('./subscriptionLifecycleService');
+
+const LEAD_STAGES = ['new', 'contacted', 'trial_booked', 'trial_attended', 'converted', 'lost'];
+// Funnel order; `lost` can happen from any of these
+const PIPELINE_STAGES = ['new', 'contacted', 'trial_booked', 'trial_attended', 'converted'];
+const CLOSED_STAGES = ['converted', 'lost'];
+const LEAD_SOURCES = ['walk_in', 'phone_call', 'referral', 'social_media', 'website', 'campaign', 'trial_booking', 'other'];
+const NOTE_TYPES = ['note', 'call'];
+
+const createError = (status, code, message, extra = {}) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    Object.assign(err, extra);
+    return err;
+};
+
+const parseOptionalId = (value, name) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    const id = parseInt(value);
+    if (!Number.isInteger(id)) {
+        throw createError(400, 'INVALID_INPUT', `${name} must be a number`);
+    }
+    return id;
+};
+
+const trimOrNull = (value) => (value ? String(value).trim() || null : null);
+
+const stageIndex = (stage) => PIPELINE_STAGES.indexOf(stage);
+
+/**
+ * Build lead create/update data from request input
+ * @param {Object} input - { fullName, phone, email, notes, source, interestedPlanId, assignedTo }
+ * @param {Object} options - { partial }
+ */
+function buildLeadData(input = {}, { partial = false } = {}) {
+    const data = {};
+    if (!partial || input.fullName !== undefined) {
+        const fullName = String(input.fullName || '').trim();
+        if (!fullName) {
+            throw createError(400, 'INVALID_INPUT', 'Full name is required');
+        }
+        data.fullName = fullName;
+    }
+    if (input.phone !== undefined) {
+        data.phone = trimOrNull(input.phone);
+        data.phoneNorm = normalizePhone(data.phone) || null;
+    }
+    if (input.email !== undefined) data.email = trimOrNull(input.email);
+    if (input.notes !== undefined) data.notes = trimOrNull(input.notes);
+    if (!partial || input.source !== undefined) {
+        const source = String(input.source || 'walk_in').toLowerCase().trim();
+        if (!LEAD_SOURCES.includes(source)) {
+            throw createError(400, 'INVALID_SOURCE', `Source must be one of: ${LEAD_SOURCES.join(', ')}`);
+        }
+        data.source = source;
+    }
+    const interestedPlanId = parseOptionalId(input.interestedPlanId, 'interestedPlanId');
+    if (interestedPlanId !== undefined) data.interestedPlanId = interestedPlanId;
+    const assignedTo = parseOptionalId(input.assignedTo, 'assignedTo');
+    if (assignedTo !== undefined) data.assignedTo = assignedTo;
+    return data;
+}
+
+/**
+ * Members and open leads with the same normalized phone
+ * @returns {Promise<{ members: Array, leads: Array }>}
+ */
+async function findDuplicates(prisma, phone, { excludeLeadId = null } = {}) {
+    const phoneNorm = normalizePhone(phone);
+    if (!phoneNorm) return { members: [], leads: [] };
+
+    const [members, leads] = await Promise.all([
+        prisma.member.findMany({
+            where: { phoneNorm },
+            select: { id: true, memberId: true, firstName: true, lastName: true, phone: true }
+        }),
+        prisma.lead.findMany({
+            where: {
+                phoneNorm,
+                stage: { notIn: CLOSED_STAGES },
+                ...(excludeLeadId ? { id: { not: excludeLeadId } } : {})
+            },
+            select: { id: true, fullName: true, phone: true, stage: true, assignedTo: true }
+        })
+    ]);
+    return { members, leads };
+}
+
+/**
+ * Add a timeline entry to a lead
+ */
+function logActivity(prisma, leadId, type, { message = null, metadata = null, userId = null } = {}) {
+    return prisma.leadActivity.create({
+        data: {
+            leadId,
+            type,
+            message,
+            metadata: metadata ? JSON.stringify(metadata) : null,
+            userId
+        }
+    });
+}
+
+async function findLead(prisma, id) {
+    const lead = await prisma.lead.findUnique({ where: { id: parseInt(id) } });
+    if (!lead) {
+        throw createError(404, 'LEAD_NOT_FOUND', 'Lead not found');
+    }
+    return lead;
+}
+
+const assertOpen = (lead) => {
+    if (lead.stage === 'converted') {
+        throw createError(409, 'LEAD_CONVERTED', 'This lead is already a member');
+    }
+};
+
+/**
+ * Create a lead. Refuses phones that already belong to a member or an
+ * open lead unless `allowDuplicate` is set.
+ * @param {Object} context - { userId, branchId, allowDuplicate }
+ */
+async function createLead(prisma, input, { userId = null, branchId = null, allowDuplicate = false } = {}) {
+    const data = buildLeadData(input);
+
+    if (data.phoneNorm && !allowDuplicate) {
+        const duplicates = await findDuplicates(prisma, data.phoneNorm);
+        if (duplicates.members.length) {
+            throw createError(409, 'DUPLICATE_MEMBER', 'This phone number belongs to an existing member', { duplicates });
+        }
+        if (duplicates.leads.length) {
+            throw createError(409, 'DUPLICATE_LEAD', 'An open lead with this phone number already exists', { duplicates });
+        }
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const lead = await tx.lead.create({
+            data: {
+                ...data,
+                stage: 'new',
+                assignedTo: data.assignedTo ?? userId,
+                createdBy: userId,
+                branchId
+            }
+        });
+        await logActivity(tx, lead.id, 'created', { userId, metadata: { source: lead.source } });
+        return lead;
+    });
+}
+
+/**
+ * Update lead details (not the stage)
+ */
+async function updateLead(prisma, id, input, { userId = null } = {}) {
+    const lead = await findLead(prisma, id);
+    const data = buildLeadData(input, { partial: true });
+
+    return prisma.$transaction(async (tx) => {
+        const updated = await tx.lead.update({ where: { id: lead.id }, data });
+        if (data.assignedTo !== undefined && data.assignedTo !== lead.assignedTo) {
+            await logActivity(tx, lead.id, 'assigned', {
+                userId,
+                metadata: { from: lead.assignedTo, to: data.assignedTo }
+            });
+        }
+        return updated;
+    });
+}
+
+/**
+ * Move a lead to another stage. `converted` only happens through conversion.
+ * @param {Object} options - { userId, lostReason }
+ */
+async function changeStage(prisma, id, stage, { userId = null, lostReason = null } = {}) {
+    const lead = await findLead(prisma, id);
+    assertOpen(lead);
+
+    const nextStage = String(stage || '').toLowerCase();
+    if (!LEAD_STAGES.includes(nextStage)) {
+        throw createError(400, 'INVALID_STAGE', `Stage must be one of: ${LEAD_STAGES.join(', ')}`);
+    }
+    if (nextStage === 'converted') {
+        throw createError(400, 'INVALID_STAGE', 'Convert the lead to a member to mark it converted');
+    }
+    if (nextStage === lead.stage) return lead;
+
+    const data = { stage: nextStage, lostReason: null, lostFromStage: null };
+    if (nextStage === 'lost') {
+        data.lostReason = trimOrNull(lostReason);
+        data.lostFromStage = lead.stage;
+    }
+    if (nextStage === 'contacted') data.lastContactedAt = new Date();
+
+    return prisma.$transaction(async (tx) => {
+        const updated = await tx.lead.update({ where: { id: lead.id }, data });
+        await logActivity(tx, lead.id, 'stage_change', {
+            userId,
+            message: data.lostReason,
+            metadata: { from: lead.stage, to: nextStage }
+        });
+        return updated;
+    });
+}
+
+/**
+ * Add a note or a logged call. A call on a new lead moves it to contacted.
+ */
+async function addNote(prisma, id, { type = 'note', message } = {}, { userId = null } = {}) {
+    const lead = await findLead(prisma, id);
+    const noteType = NOTE_TYPES.includes(type) ? type : 'note';
+    const text = trimOrNull(message);
+    if (!text) {
+        throw createError(400, 'INVALID_INPUT', 'Message is required');
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const activity = await logActivity(tx, lead.id, noteType, { userId, message: text });
+        if (noteType === 'call') {
+            const data = { lastContactedAt: new Date() };
+            if (lead.stage === 'new') data.stage = 'contacted';
+            await tx.lead.update({ where: { id: lead.id }, data });
+            if (data.stage) {
+                await logActivity(tx, lead.id, 'stage_change', {
+                    userId,
+                    metadata: { from: lead.stage, to: data.stage }
+                });
+            }
+        }
+        return activity;
+    });
+}
+
+/**
+ * Create a follow-up task (assigned to the lead owner by default)
+ */
+async function createTask(prisma, leadId, input = {}, { userId = null } = {}) {
+    const lead = await findLead(prisma, leadId);
+    const title = String(input.title || '').trim();
+    if (!title) {
+        throw createError(400, 'INVALID_INPUT', 'Task title is required');
+    }
+    const dueAt = new Date(input.dueAt);
+    if (Number.isNaN(dueAt.getTime())) {
+        throw createError(400, 'INVALID_DATE', 'dueAt must be a valid date');
+    }
+    const assignedTo = parseOptionalId(input.assignedTo, 'assignedTo');
+
+    return prisma.$transaction(async (tx) => {
+        const task = await tx.leadTask.create({
+            data: {
+                leadId: lead.id,
+                title,
+                dueAt,
+                assignedTo: assignedTo ?? lead.assignedTo ?? userId,
+                createdBy: userId
+            }
+        });
+        await logActivity(tx, lead.id, 'task_created', {
+            userId,
+            message: title,
+            metadata: { taskId: task.id, dueAt, assignedTo: task.assignedTo }
+        });
+        return task;
+    });
+}
+
+/**
+ * Mark a follow-up task done (or reopen it with `completed: false`)
+ */
+async function completeTask(prisma, taskId, { completed = true, userId = null } = {}) {
+    const task = await prisma.leadTask.findUnique({ where: { id: parseInt(taskId) } });
+    if (!task) {
+        throw createError(404, 'TASK_NOT_FOUND', 'Task not found');
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const updated = await tx.leadTask.update({
+            where: { id: task.id },
+            data: completed
+                ? { completedAt: new Date(), completedBy: userId }
+                : { completedAt: null, completedBy: null }
+        });
+        if (completed && !task.completedAt) {
+            await logActivity(tx, task.leadId, 'task_completed', {
+                userId,
+                message: task.title,
+                metadata: { taskId: task.id }
+            });
+        }
+        return updated;
+    });
+}
+
+/**
+ * Where clause for the task list
+ * @param {Object} filters - { status: open|overdue|done, assignedTo }
+ */
+function taskWhere({ status = 'open', assignedTo, now = new Date() } = {}) {
+    const where = {};
+    if (status === 'done') where.completedAt = { not: null };
+    if (status === 'open') where.completedAt = null;
+    if (status === 'overdue') {
+        where.completedAt = null;
+        where.dueAt = { lt: now };
+    }
+    if (assignedTo !== undefined && assignedTo !== null && assignedTo !== '') {
+        where.assignedTo = parseInt(assignedTo);
+    }
+    return where;
+}
+
+// ============================================
+// CONVERSION
+// ============================================
+
+const splitFullName = (fullName) => {
+    const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+    const firstName = parts.shift() || '';
+    return { firstName, lastName: parts.join(' ') || firstName };
+};
+
+async function createMemberFromLead(tx, lead, details) {
+    const fullName = String(details.fullName || lead.fullName || '').trim();
+    const phone = String(details.phone || lead.phone || '').trim();
+    if (!phone) {
+        throw createError(400, 'PHONE_REQUIRED', 'Phone is required for conversion');
+    }
+    const { firstName, lastName } = splitFullName(fullName);
+
+    let lastError = null;
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+        const result = await createMemberWithUniqueness(tx, {
+            memberId: await generateMemberId(tx, attempt),
+            firstName,
+            lastName,
+            fullName,
+            displayName: fullName,
+            phone,
+            email: trimOrNull(details.email ?? lead.email),
+            gender: ['male', 'female'].includes(details.gender) ? details.gender : null,
+            notes: trimOrNull(details.notes ?? lead.notes),
+            homeBranchId: lead.branchId ?? null,
+            isActive: true
+        });
+        if (result.ok) return result.member;
+        lastError = result;
+        if (result.reason !== 'PHONE_EXISTS') break;
+    }
+
+    throw createError(
+        lastError?.reason === 'PHONE_EXISTS' ? 409 : 400,
+        lastError?.reason || 'CONVERSION_FAILED',
+        lastError?.message || 'Failed to convert lead to member'
+    );
+}
+
+/**
+ * Subscription for a converted lead. Nothing is collected here: the price
+ * is recorded as a pending invoice and paid from the member profile.
+ */
+async function createConversionSubscription(tx, member, plan, { startDate, userId, collectorName }) {
+    const start = startDate ? new Date(startDate) : new Date();
+    if (Number.isNaN(start.getTime())) {
+        throw createError(400, 'INVALID_DATE', 'startDate must be a valid date');
+    }
+    const end = new Date(start);
+    end.setDate(end.getDate() + plan.duration);
+    const price = roundMoney(plan.price);
+
+    const subscription = await tx.subscription.create({
+        data: {
+            memberId: member.id,
+            planId: plan.id,
+            startDate: start,
+            endDate: end,
+            status: initialStatus(start),
+            price,
+            paidAmount: 0,
+            remainingAmount: price,
+            paymentStatus: price > 0 ? 'unpaid' : 'paid'
+        }
+    });
+    await recordEvent(tx, subscription.id, { toStatus: subscription.status, reason: 'created', userId });
+
+    if (price > 0) {
+        await recordPaymentTransaction(tx, {
+            memberId: member.id,
+            subscriptionId: subscription.id,
+            amount: price,
+            method: 'other',
+            status: 'pending',
+            notes: `Remaining balance for ${plan.name} subscription`,
+            createdBy: userId,
+            collectorName
+        }, { receiptSuffix: '-INV' });
+    }
+    return subscription;
+}
+
+/**
+ * Convert a lead to a member in one step.
+ * @param {Object} input - { memberDetails?, planId?, startDate?, memberId? }
+ *   memberId links the lead to an existing member instead of creating one.
+ * @param {Object} user - Acting user ({ id, firstName, lastName })
+ * @returns {Promise<{ lead, member, subscription, createdMember }>}
+ */
+async function convertLead(prisma, id, input = {}, user = null) {
+    const lead = await findLead(prisma, id);
+    assertOpen(lead);
+    const userId = user?.id ?? null;
+    const planId = parseOptionalId(input.planId ?? lead.interestedPlanId ?? undefined, 'planId');
+    const existingMemberId = parseOptionalId(input.memberId, 'memberId');
+
+    const plan = planId
+        ? await prisma.subscriptionPlan.findUnique({ where: { id: planId } })
+        : null;
+    if (planId && !plan) {
+        throw createError(404, 'PLAN_NOT_FOUND', 'Subscription plan not found');
+    }
+
+    return prisma.$transaction(async (tx) => {
+        let member;
+        if (existingMemberId) {
+            member = await tx.member.findUnique({ where: { id: existingMemberId } });
+            if (!member) {
+                throw createError(404, 'MEMBER_NOT_FOUND', 'Member not found');
+            }
+        } else {
+            member = await createMemberFromLead(tx, lead, input.memberDetails || {});
+        }
+
+        let subscription = null;
+        if (plan) {
+            const active = await tx.subscription.findFirst({
+                where: { memberId: member.id, status: { in: OPEN_STATUSES } },
+                select: { id: true }
+            });
+            if (active) {
+                throw createError(409, 'ACTIVE_SUBSCRIPTION', 'Member already has an active subscription');
+            }
+            subscription = await createConversionSubscription(tx, member, plan, {
+                startDate: input.startDate,
+                userId,
+                collectorName: user ? `${user.firstName} ${user.lastName}` : 'System'
+            });
+        }
+
+        const updated = await tx.lead.update({
+            where: { id: lead.id },
+            data: {
+                stage: 'converted',
+                convertedMemberId: member.id,
+                convertedAt: new Date(),
+                lostReason: null,
+                lostFromStage: null
+            }
+        });
+        await logActivity(tx, lead.id, 'converted', {
+            userId,
+            metadata: {
+                from: lead.stage,
+                memberId: member.id,
+                subscriptionId: subscription?.id ?? null,
+                planId: plan?.id ?? null
+            }
+        });
+
+        return {
+            lead: updated,
+            member,
+            subscription: subscription ? { ...subscription, plan } : null,
+            createdMember: !existingMemberId
+        };
+    });
+}
+
+// ============================================
+// APPOINTMENT LINKS (tentative / trial bookings)
+// ============================================
+
+/**
+ * Lead for a tentative booking: the open lead with the same phone, or a
+ * new one. The lead moves to trial_booked if it was earlier in the funnel.
+ * @param {Object} tx - Prisma client or transaction
+ * @param {Object} booking - { fullName, phone, notes, branchId, userId }
+ */
+async function attachTrialBooking(tx, { fullName, phone, notes = null, branchId = null, userId = null } = {}) {
+    const phoneNorm = normalizePhone(phone) || null;
+    let lead = phoneNorm
+        ? await tx.lead.findFirst({
+            where: { phoneNorm, stage: { notIn: CLOSED_STAGES } },
+            orderBy: { createdAt: 'desc' }
+        })
+        : null;
+
+    if (!lead) {
+        lead = await tx.lead.create({
+            data: {
+                fullName,
+                phone: phone || null,
+                phoneNorm,
+                notes,
+                source: 'trial_booking',
+                stage: 'new',
+                assignedTo: userId,
+                createdBy: userId,
+                branchId
+            }
+        });
+        await logActivity(tx, lead.id, 'created', { userId, metadata: { source: lead.source } });
+    }
+
+    if (stageIndex(lead.stage) < stageIndex('trial_booked')) {
+        await tx.lead.update({ where: { id: lead.id }, data: { stage: 'trial_booked' } });
+        await logActivity(tx, lead.id, 'stage_change', {
+            userId,
+            metadata: { from: lead.stage, to: 'trial_booked' }
+        });
+    }
+    return lead;
+}
+
+/**
+ * Log an appointment event on its lead and mark the lead converted when
+ * the trial booking turned into a member.
+ */
+async function recordTrialConversion(tx, { leadId, memberId, appointmentId, userId = null }) {
+    if (!leadId) return null;
+    const lead = await tx.lead.findUnique({ where: { id: leadId } });
+    if (!lead || lead.stage === 'converted') return lead;
+
+    const updated = await tx.lead.update({
+        where: { id: lead.id },
+        data: {
+            stage: 'converted',
+            convertedMemberId: memberId,
+            convertedAt: new Date(),
+            lostReason: null,
+            lostFromStage: null
+        }
+    });
+    await logActivity(tx, lead.id, 'converted', {
+        userId,
+        metadata: { from: lead.stage, memberId, appointmentId }
+    });
+    return updated;
+}
+
+/**
+ * Follow a trial booking's status on its lead: arriving moves the lead to
+ * trial_attended; no-shows and cancellations are logged on the timeline.
+ */
+async function recordTrialStatus(prisma, { leadId, appointmentId, status, userId = null }) {
+    if (!leadId || !['arrived', 'no_show', 'cancelled'].includes(status)) return null;
+    const lead = await prisma.lead.findUnique({ where: { id: leadId } });
+    if (!lead || CLOSED_STAGES.includes(lead.stage)) return lead;
+
+    await logActivity(prisma, lead.id, 'appointment', { userId, metadata: { appointmentId, status } });
+    if (status === 'arrived' && stageIndex(lead.stage) < stageIndex('trial_attended')) {
+        await logActivity(prisma, lead.id, 'stage_change', {
+            userId,
+            metadata: { from: lead.stage, to: 'trial_attended' }
+        });
+        return prisma.lead.update({ where: { id: lead.id }, data: { stage: 'trial_attended' } });
+    }
+    return lead;
+}
+
+// ============================================
+// REPORTS
+// ============================================
+
+const emptyFunnel = () => ({
+    total: 0,
+    contacted: 0,
+    trialBooked: 0,
+    trialAttended: 0,
+    converted: 0,
+    lost: 0,
+    open: 0,
+    conversionRate: 0
+});
+
+/**
+ * Furthest funnel stage a lead reached (lost leads count up to where they dropped)
+ */
+const reachedIndex = (lead) => {
+    if (lead.stage === 'lost') return Math.max(0, stageIndex(lead.lostFromStage || 'new'));
+    return Math.max(0, stageIndex(lead.stage));
+};
+
+function addToFunnel(funnel, lead) {
+    const reached = reachedIndex(lead);
+    funnel.total += 1;
+    if (reached >= stageIndex('contacted')) funnel.contacted += 1;
+    if (reached >= stageIndex('trial_booked')) funnel.trialBooked += 1;
+    if (reached >= stageIndex('trial_attended')) funnel.trialAttended += 1;
+    if (lead.stage === 'converted') funnel.converted += 1;
+    else if (lead.stage === 'lost') funnel.lost += 1;
+    else funnel.open += 1;
+}
+
+const finishFunnel = (funnel) => ({
+    ...funnel,
+    conversionRate: funnel.total > 0 ? roundMoney((funnel.converted / funnel.total) * 100) : 0
+});
+
+/**
+ * Conversion funnel of leads created in a date range, by source and by staff member
+ * @param {Object} options - { startDate, endDate, branchScope }
+ */
+async function buildFunnelReport(prisma, { startDate, endDate, branchScope = null }) {
+    const leads = await prisma.lead.findMany({
+        where: { createdAt: { gte: startDate, lte: endDate }, ...branchWhere(branchScope) },
+        select: { id: true, stage: true, lostFromStage: true, source: true, assignedTo: true }
+    });
+
+    const summary = emptyFunnel();
+    const bySource = new Map();
+    const byStaff = new Map();
+    leads.forEach((lead) => {
+        addToFunnel(summary, lead);
+        if (!bySource.has(lead.source)) bySource.set(lead.source, emptyFunnel());
+        addToFunnel(bySource.get(lead.source), lead);
+        const staffKey = lead.assignedTo ?? null;
+        if (!byStaff.has(staffKey)) byStaff.set(staffKey, emptyFunnel());
+        addToFunnel(byStaff.get(staffKey), lead);
+    });
+
+    const staffIds = [...byStaff.keys()].filter((key) => key !== null);
+    const users = staffIds.length
+        ? await prisma.user.findMany({
+            where: { id: { in: staffIds } },
+            select: { id: true, firstName: true, lastName: true }
+        })
+        : [];
+    const userNames = new Map(users.map((user) => [user.id, `${user.firstName} ${user.lastName}`.trim()]));
+
+    return {
+        summary: finishFunnel(summary),
+        bySource: [...bySource.entries()]
+            .map(([source, funnel]) => ({ source, ...finishFunnel(funnel) }))
+            .sort((a, b) => b.total - a.total),
+        byStaff: [...byStaff.entries()]
+            .map(([userId, funnel]) => ({
+                userId,
+                name: userId === null ? null : (userNames.get(userId) || `#${userId}`),
+                ...finishFunnel(funnel)
+            }))
+            .sort((a, b) => b.total - a.total)
+    };
+}
+
+module.exports = {
+    LEAD_STAGES,
+    PIPELINE_STAGES,
+    LEAD_SOURCES,
+    buildLeadData,
+    findDuplicates,
+    logActivity,
+    createLead,
+    updateLead,
+    changeStage,
+    addNote,
+    createTask,
+    completeTask,
+    taskWhere,
+    convertLead,
+    attachTrialBooking,
+    recordTrialConversion,
+    recordTrialStatus,
+    buildFunnelReport
+};
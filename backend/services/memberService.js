@@ -80,6 +80,23 @@ const createMemberWithUniqueness = async (prisma, data) => {
     }
 };
 
+/**
+ * Next sequential member code (GYM-0001, GYM-0002 ...).
+ * `offset` skips ahead when a retry hits a code taken concurrently.
+ */
+const generateMemberId = async (client, offset = 0) => {
+    const lastMember = await client.member.findFirst({
+        orderBy: { id: 'desc' },
+        select: { memberId: true }
+    });
+    const lastId = lastMember?.memberId || '';
+    const match = lastId.match(/(\d+)\s*$/);
+    const base = match ? Number.parseInt(match[1], 10) : 0;
+    const next = (Number.isFinite(base) ? base : 0) + 1 + Math.max(0, offset);
+    return `GYM-${String(next).padStart(4, '0')}`;
+};
+
 module.exports = {
-    createMemberWithUniqueness
+    createMemberWithUniqueness,
+    generateMemberId
 };
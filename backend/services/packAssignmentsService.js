@@ -43,6 +43,7 @@ const performPackAssignmentCheckIn = async ({
     sessionName,
     sessionPrice,
     actorUserId,
+    branchId = null,
     formatAssignment
 }) => {
     if (idempotencyKey) {
@@ -104,6 +105,7 @@ const performPackAssignmentCheckIn = async ({
             const createdCheckIn = await tx.checkIn.create({
                 data: {
                     memberId: assignment.memberId,
+                    branchId,
                     method: 'manual',
                     notes: JSON.stringify({ visitType: 'PACKAGE', assignmentId: assignment.id })
                 }
@@ -7,6 +7,11 @@
  * Used by: /api/payments and /api/subscriptions
  */
 
+const { getShiftBranchId } = require('./branchService');
+const { emitEvent, WEBHOOK_EVENTS } = require('./webhookService');
+const { serializePayment } = require('../utils/apiSerializers');
+const { MIXED_METHOD } = require('./tenderService');
+
 const DEFAULT_IDEMPOTENCY_WINDOW_MS = 30 * 1000;
 
 function generateReceiptNumber() {
@@ -48,7 +53,8 @@ async function createPaymentWithRetry(prisma, data, options = {}) {
                 data: {
                     ...data,
                     receiptNumber
-                }
+                },
+                ...(data.tenders && { include: { tenders: true } })
             });
         } catch (err) {
             const target = String(err.meta?.target || '');
@@ -64,7 +70,9 @@ async function createPaymentWithRetry(prisma, data, options = {}) {
 
 async function recordPaymentTransaction(prisma, input, options = {}) {
     const status = input.status || 'completed';
-    const normalizedMethod = normalizePaymentMethod(input.method);
+    // Split payments carry their tenders (validated by tenderService.parseTenders)
+    const tenders = Array.isArray(input.tenders) && input.tenders.length > 1 ? input.tenders : null;
+    const normalizedMethod = tenders ? MIXED_METHOD : normalizePaymentMethod(input.method);
     const paidAt = input.paidAt || new Date();
     const safeRef = resolvePaymentReference(normalizedMethod, input.externalReference, input.transactionRef);
 
@@ -144,11 +152,22 @@ async function recordPaymentTransaction(prisma, input, options = {}) {
         const value = parseFloat(input.gymShare);
         if (Number.isFinite(value)) prismaData.gymShare = value;
     }
+    if (input.taxRate !== undefined && input.taxRate !== null) {
+        const value = parseFloat(input.taxRate);
+        if (Number.isFinite(value)) prismaData.taxRate = value;
+    }
 
     if (input.subscriptionId) prismaData.subscriptionId = parseInt(input.subscriptionId);
     if (input.appointmentId) prismaData.appointmentId = parseInt(input.appointmentId);
     if (finalNotes) prismaData.notes = finalNotes;
     if (input.shiftId) prismaData.shiftId = parseInt(input.shiftId);
+    if (input.branchId) {
+        prismaData.branchId = parseInt(input.branchId);
+    } else if (prismaData.shiftId) {
+        // Payments belong to the branch of the shift that collected them
+        const branchId = await getShiftBranchId(prisma, prismaData.shiftId);
+        if (branchId) prismaData.branchId = branchId;
+    }
     if (input.createdBy) prismaData.createdBy = parseInt(input.createdBy);
     if (input.collectorName) prismaData.collectorName = String(input.collectorName).trim();
 
@@ -157,12 +176,26 @@ async function recordPaymentTransaction(prisma, input, options = {}) {
     if (input.verificationMode) prismaData.verificationMode = input.verificationMode;
     if (input.posAmountVerified) prismaData.posAmountVerified = parseFloat(input.posAmountVerified);
     if (options.idempotencyKey) prismaData.idempotencyKey = options.idempotencyKey;
+    if (tenders) {
+        prismaData.tenders = {
+            create: tenders.map((tender) => ({
+                method: tender.method,
+                amount: tender.amount,
+                externalReference: tender.externalReference || null
+            }))
+        };
+    }
 
     const payment = await createPaymentWithRetry(prisma, prismaData, {
         attempts: options.attempts,
         receiptSuffix: options.receiptSuffix
     });
 
+    if (payment.status === 'completed') {
+        // Queued on the same client, so it commits (or rolls back) with the payment
+        await emitEvent(prisma, WEBHOOK_EVENTS.PAYMENT_RECORDED, { payment: serializePayment(payment) });
+    }
+
     return { payment, created: true };
 }
 
@@ -0,0 +1,275 @@
+/**
+ * ============================================
+ * PLAN ACCESS SERVICE
+ * ============================================
+ *
+ * Access rules a membership plan can carry (SubscriptionPlan.accessRules, JSON):
+ * - weekdays:          allowed days, 0 = Sunday ... 6 = Saturday
+ * - timeWindows:       allowed hour ranges [{ start: 'HH:MM', end: 'HH:MM' }];
+ *                      a window ending before it starts runs past midnight
+ * - genderSlots:       [{ gender, weekdays?, start, end }] - during a slot only
+ *                      members of that gender may check in
+ * - maxVisitsPerDay / maxVisitsPerWeek / maxVisitsPerMonth:
+ *                      visits counted on the subscription (weeks start on Sunday)
+ * - minGapMinutes:     minimum time since the member's previous check-in
+ *
+ * Times are evaluated in the server's local time, like the rest of check-in.
+ */
+
+const ACCESS_DENIAL_REASONS = [
+    'OUTSIDE_ALLOWED_DAYS',
+    'OUTSIDE_ALLOWED_HOURS',
+    'GENDER_RESTRICTED',
+    'DAILY_VISIT_LIMIT',
+    'WEEKLY_VISIT_LIMIT',
+    'MONTHLY_VISIT_LIMIT',
+    'VISIT_TOO_SOON'
+];
+
+const GENDERS = ['male', 'female'];
+
+const DENIAL_MESSAGES = {
+    OUTSIDE_ALLOWED_DAYS: {
+        message: 'Membership plan does not allow check-in on this day',
+        arabicMessage: 'الاشتراك لا يسمح بالدخول في هذا اليوم.'
+    },
+    OUTSIDE_ALLOWED_HOURS: {
+        message: 'Membership plan does not allow check-in at this time',
+        arabicMessage: 'الاشتراك لا يسمح بالدخول في هذا الوقت.'
+    },
+    GENDER_RESTRICTED: {
+        message: 'This time slot is reserved for other members',
+        arabicMessage: 'هذا الوقت مخصص لفئة أخرى من الأعضاء.'
+    },
+    DAILY_VISIT_LIMIT: {
+        message: 'Daily visit limit of the membership plan reached',
+        arabicMessage: 'تم استهلاك الحد اليومي للزيارات.'
+    },
+    WEEKLY_VISIT_LIMIT: {
+        message: 'Weekly visit limit of the membership plan reached',
+        arabicMessage: 'تم استهلاك الحد الأسبوعي للزيارات.'
+    },
+    MONTHLY_VISIT_LIMIT: {
+        message: 'Monthly visit limit of the membership plan reached',
+        arabicMessage: 'تم استهلاك الحد الشهري للزيارات.'
+    },
+    VISIT_TOO_SOON: {
+        message: 'Too soon since the last visit',
+        arabicMessage: 'لم يمر الوقت الكافي منذ آخر زيارة.'
+    }
+};
+
+const createAccessRulesError = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    err.code = 'INVALID_ACCESS_RULES';
+    return err;
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (value) => {
+    const match = TIME_PATTERN.exec(value);
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+const inWindow = (minute, window) => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start === end) return true;
+    return start < end
+        ? minute >= start && minute < end
+        : minute >= start || minute < end;
+};
+
+const normalizeWeekdays = (value, field) => {
+    if (value === undefined || value === null) return null;
+    if (!Array.isArray(value)) throw createAccessRulesError(`${field} must be an array of weekdays (0-6)`);
+    const days = [...new Set(value.map((day) => Number(day)))];
+    if (days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw createAccessRulesError(`${field} must only contain weekdays 0 (Sunday) to 6 (Saturday)`);
+    }
+    return days.length > 0 ? days.sort((a, b) => a - b) : null;
+};
+
+const normalizeWindow = (window, field) => {
+    if (!window || toMinutes(window.start) === null || toMinutes(window.end) === null) {
+        throw createAccessRulesError(`${field} needs start and end times as HH:MM`);
+    }
+    return { start: window.start, end: window.end };
+};
+
+const normalizeLimit = (value, field) => {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw createAccessRulesError(`${field} must be a positive whole number`);
+    }
+    return parsed;
+};
+
+/**
+ * Validate plan access rule input
+ * @param {Object|string|null} input
+ * @returns {string|null} JSON to store on the plan, null when the plan has no rules
+ */
+function normalizePlanAccessRules(input) {
+    if (input === undefined || input === null || input === '') return null;
+    let rules = input;
+    if (typeof input === 'string') {
+        try {
+            rules = JSON.parse(input);
+        } catch (error) {
+            throw createAccessRulesError('accessRules must be valid JSON');
+        }
+    }
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw createAccessRulesError('accessRules must be an object');
+    }
+
+    const normalized = {};
+    const weekdays = normalizeWeekdays(rules.weekdays, 'weekdays');
+    if (weekdays) normalized.weekdays = weekdays;
+
+    if (rules.timeWindows !== undefined && rules.timeWindows !== null) {
+        if (!Array.isArray(rules.timeWindows)) throw createAccessRulesError('timeWindows must be an array');
+        const windows = rules.timeWindows.map((window) => normalizeWindow(window, 'timeWindows'));
+        if (windows.length > 0) normalized.timeWindows = windows;
+    }
+
+    if (rules.genderSlots !== undefined && rules.genderSlots !== null) {
+        if (!Array.isArray(rules.genderSlots)) throw createAccessRulesError('genderSlots must be an array');
+        const slots = rules.genderSlots.map((slot) => {
+            if (!GENDERS.includes(slot?.gender)) {
+                throw createAccessRulesError(`genderSlots gender must be one of ${GENDERS.join(', ')}`);
+            }
+            const slotDays = normalizeWeekdays(slot.weekdays, 'genderSlots weekdays');
+            return {
+                gender: slot.gender,
+                ...(slotDays ? { weekdays: slotDays } : {}),
+                ...normalizeWindow(slot, 'genderSlots')
+            };
+        });
+        if (slots.length > 0) normalized.genderSlots = slots;
+    }
+
+    ['maxVisitsPerDay', 'maxVisitsPerWeek', 'maxVisitsPerMonth', 'minGapMinutes'].forEach((field) => {
+        const value = normalizeLimit(rules[field], field);
+        if (value) normalized[field] = value;
+    });
+
+    return Object.keys(normalized).length > 0 ? JSON.stringify(normalized) : null;
+}
+
+/**
+ * Stored plan rules as an object (null when the plan has none or they cannot be read)
+ */
+function parseAccessRules(value) {
+    if (!value) return null;
+    try {
+        const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+const deny = (reason, details = {}) => ({ allowed: false, reason, details, ...DENIAL_MESSAGES[reason] });
+
+/**
+ * Calendar rules: weekdays, hour windows and gender slots
+ * @returns {{ allowed: boolean, reason?: string, details?: Object }}
+ */
+function checkScheduleRules(rules, member, now = new Date()) {
+    if (!rules) return { allowed: true };
+    const day = now.getDay();
+    const minute = minutesOfDay(now);
+
+    if (Array.isArray(rules.weekdays) && rules.weekdays.length > 0 && !rules.weekdays.includes(day)) {
+        return deny('OUTSIDE_ALLOWED_DAYS', { weekdays: rules.weekdays });
+    }
+    if (Array.isArray(rules.timeWindows) && rules.timeWindows.length > 0
+        && !rules.timeWindows.some((window) => inWindow(minute, window))) {
+        return deny('OUTSIDE_ALLOWED_HOURS', { timeWindows: rules.timeWindows });
+    }
+    const slot = (rules.genderSlots || []).find((candidate) => (
+        (!candidate.weekdays || candidate.weekdays.includes(day)) && inWindow(minute, candidate)
+    ));
+    if (slot && member?.gender !== slot.gender) {
+        return deny('GENDER_RESTRICTED', { gender: slot.gender, start: slot.start, end: slot.end });
+    }
+    return { allowed: true };
+}
+
+const periodStarts = (now) => {
+    const day = new Date(now);
+    day.setHours(0, 0, 0, 0);
+    const week = new Date(day);
+    week.setDate(week.getDate() - week.getDay());
+    const month = new Date(day);
+    month.setDate(1);
+    return { day, week, month };
+};
+
+/**
+ * Evaluate the access rules of a subscription's plan for a check-in now.
+ * Visit quotas count the check-ins recorded on the subscription.
+ *
+ * @param {PrismaClient} prisma
+ * @param {Object} options
+ * @param {Object} options.subscription - Subscription with its plan
+ * @param {Object} options.member - Member row (gender is used by gender slots)
+ * @param {Date} [options.now]
+ * @returns {Promise<{ allowed: boolean, reason?: string, details?: Object, message?: string, arabicMessage?: string }>}
+ */
+async function checkPlanAccessRules(prisma, { subscription, member, now = new Date() }) {
+    const rules = parseAccessRules(subscription?.plan?.accessRules);
+    if (!rules) return { allowed: true };
+
+    const schedule = checkScheduleRules(rules, member, now);
+    if (!schedule.allowed) return schedule;
+
+    const starts = periodStarts(now);
+    const quotas = [
+        ['maxVisitsPerDay', 'DAILY_VISIT_LIMIT', starts.day],
+        ['maxVisitsPerWeek', 'WEEKLY_VISIT_LIMIT', starts.week],
+        ['maxVisitsPerMonth', 'MONTHLY_VISIT_LIMIT', starts.month]
+    ];
+    for (const [field, reason, since] of quotas) {
+        const limit = rules[field];
+        if (!limit) continue;
+        const used = await prisma.checkIn.count({
+            where: { subscriptionId: subscription.id, checkInTime: { gte: since } }
+        });
+        if (used >= limit) {
+            return deny(reason, { limit, used });
+        }
+    }
+
+    if (rules.minGapMinutes) {
+        const last = await prisma.checkIn.findFirst({
+            where: { memberId: member.id },
+            orderBy: { checkInTime: 'desc' },
+            select: { checkInTime: true }
+        });
+        const nextAllowedAt = last
+            ? new Date(new Date(last.checkInTime).getTime() + rules.minGapMinutes * 60 * 1000)
+            : null;
+        if (nextAllowedAt && nextAllowedAt > now) {
+            return deny('VISIT_TOO_SOON', { minGapMinutes: rules.minGapMinutes, nextAllowedAt });
+        }
+    }
+
+    return { allowed: true };
+}
+
+module.exports = {
+    ACCESS_DENIAL_REASONS,
+    DENIAL_MESSAGES,
+    normalizePlanAccessRules,
+    parseAccessRules,
+    checkScheduleRules,
+    checkPlanAccessRules
+};
@@ -12,6 +12,8 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const crypto = require('crypto');
+const branchService = require('./branchService');
+const { tenderBreakdown, refundMethod } = require('./tenderService');
 
 const posService = {
     /**
@@ -54,7 +56,7 @@ const posService = {
         const currentShift = machine.shifts[0] || null;
 
         return {
-            machine: { id: machine.id, name: machine.name, status: machine.status },
+            machine: { id: machine.id, name: machine.name, status: machine.status, branchId: machine.branchId },
             currentShift: currentShift
         };
     },
@@ -87,6 +89,14 @@ const posService = {
             throw new Error(`Employee not found (id: ${parsedUserId})`);
         }
 
+        // Staff assigned to branches can only open shifts on those branches' terminals
+        if (machine.branchId && branchService.isMultiBranchEnabled()) {
+            const allowedBranchIds = await branchService.getUserBranchIds(prisma, user);
+            if (allowedBranchIds && !allowedBranchIds.includes(machine.branchId)) {
+                throw new Error('You are not assigned to this terminal\'s branch');
+            }
+        }
+
         // 0. Verify User doesn't have an open shift elsewhere
         const existingUserShift = await prisma.pOSShift.findFirst({
             where: {
@@ -117,6 +127,7 @@ const posService = {
                 machineId: parsedMachineId,
                 openedBy: parsedUserId,
                 openingCash: parseFloat(openingCash) || 0,
+                branchId: machine.branchId,
                 status: 'open',
                 openedAt: new Date()
             },
@@ -132,7 +143,7 @@ const posService = {
     closeShift: async (shiftId, userId, closingCash) => {
         const shift = await prisma.pOSShift.findUnique({
             where: { id: shiftId },
-            include: { payments: true }
+            include: { payments: { include: { tenders: true } } }
         });
 
         if (!shift || shift.status !== 'open') {
@@ -140,11 +151,13 @@ const posService = {
         }
 
         // Calculate expected cash
-        // expected = openingCash + sum(cash payments)
+        // expected = openingCash + sum(cash payments), counting only the cash tender of split payments
         const cashPayments = shift.payments
-            .filter(p => p.method === 'cash' && p.status === 'completed');
+            .filter(p => p.status === 'completed' && tenderBreakdown(p).some(t => t.method === 'cash'));
 
-        const cashPaymentsSum = cashPayments.reduce((sum, p) => sum + p.amount, 0);
+        const cashPaymentsSum = cashPayments.reduce((sum, p) => sum + tenderBreakdown(p)
+            .filter(t => t.method === 'cash')
+            .reduce((tenderSum, t) => tenderSum + t.amount, 0), 0);
 
         // Dev logging for debugging
         if (process.env.NODE_ENV === 'development' || process.env.NODE_ENV !== 'production') {
@@ -205,7 +218,10 @@ const posService = {
             where: { id: parseInt(shiftId) },
             include: {
                 payments: {
-                    include: { member: { select: { firstName: true, lastName: true } } }
+                    include: {
+                        member: { select: { firstName: true, lastName: true } },
+                        tenders: true
+                    }
                 },
                 refunds: {
                     include: {
@@ -233,6 +249,25 @@ const posService = {
         // 4. Expected Cash = Opening + Net
         const expectedCash = shift.openingCash + netCash;
 
+        // 5. Per-method split (split payments count each tender under its own method)
+        const byMethod = {};
+        const methodRow = (method) => {
+            if (!byMethod[method]) byMethod[method] = { collected: 0, refunded: 0, net: 0 };
+            return byMethod[method];
+        };
+        shift.payments
+            .filter(p => p.status === 'completed' || p.status === 'refunded' || p.status === 'partial_refund')
+            .forEach(p => tenderBreakdown(p).forEach((tender) => {
+                const row = methodRow(tender.method);
+                row.collected += tender.amount;
+                row.net += tender.amount;
+            }));
+        shift.refunds.forEach((refund) => {
+            const row = methodRow(refundMethod(refund));
+            row.refunded += refund.amount;
+            row.net -= refund.amount;
+        });
+
         return {
             shiftId: shift.id,
             opener: shift.opener,
@@ -242,6 +277,7 @@ const posService = {
             totalRefunded,
             netCash,
             expectedCash,
+            byMethod,
             paymentCount: shift.payments.length,
             refundCount: shift.refunds.length,
             refunds: shift.refunds
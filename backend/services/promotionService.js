@@ -0,0 +1,440 @@
+/**
+ * ============================================
+ * PROMOTION SERVICE
+ * ============================================
+ *
+ * Discounts applied when a subscription is sold:
+ * - Discount codes typed at the counter (Promotion.code)
+ * - Automatic rules (Promotion.ruleType): family discount and renewal
+ *   before expiry
+ *
+ * A sale gets at most one promotion - the largest discount among the
+ * entered code and the automatic rules the member qualifies for. Each use
+ * is stored as a PromotionRedemption, which the promotions report sums.
+ *
+ * Referrals: a member can record who referred them. When the referred
+ * member buys their first subscription the referrer is credited
+ * `referral_reward_amount` (setting, default 0 = off) in the member
+ * credit ledger.
+ */
+
+const { roundMoney } = require('../utils/money');
+const { memberBranchWhere } = require('./branchService');
+const CreditService = require('./creditService');
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+const RULE_TYPES = ['family', 'early_renewal'];
+const RULE_DEFAULTS = {
+    family: { minMembers: 2 },
+    early_renewal: { daysBeforeExpiry: 14 }
+};
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const parseJson = (value, fallback) => {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+};
+
+const parseOptionalNumber = (value, field, { integer = false } = {}) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+        throw createError(400, 'INVALID_PROMOTION', `${field} must be a positive ${integer ? 'whole number' : 'number'}`);
+    }
+    return number;
+};
+
+const parseOptionalDate = (value, field) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw createError(400, 'INVALID_PROMOTION', `Invalid ${field}`);
+    }
+    return date;
+};
+
+/**
+ * Validate promotion fields from the admin form.
+ * A promotion is either a code or an automatic rule, never both.
+ */
+function buildPromotionData(input = {}, existing = null) {
+    const merged = { ...(existing || {}), ...input };
+
+    const name = String(merged.name || '').trim();
+    if (!name) throw createError(400, 'INVALID_PROMOTION', 'Promotion name is required');
+
+    const ruleType = merged.ruleType || null;
+    const code = ruleType ? null : normalizeCode(merged.code);
+    if (ruleType && !RULE_TYPES.includes(ruleType)) {
+        throw createError(400, 'INVALID_PROMOTION', `Rule type must be one of: ${RULE_TYPES.join(', ')}`);
+    }
+    if (!ruleType && !CODE_PATTERN.test(code)) {
+        throw createError(400, 'INVALID_PROMOTION', 'Code must be 3-32 letters, digits, dashes or underscores');
+    }
+
+    const discountType = merged.discountType || 'percent';
+    if (!DISCOUNT_TYPES.includes(discountType)) {
+        throw createError(400, 'INVALID_PROMOTION', `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+    }
+    const discountValue = parseOptionalNumber(merged.discountValue, 'Discount value');
+    if (discountValue === null || (discountType === 'percent' && discountValue > 100)) {
+        throw createError(400, 'INVALID_PROMOTION', 'Discount must be above 0 (at most 100 for a percentage)');
+    }
+
+    const rawPlanIds = typeof merged.planIds === 'string' ? parseJson(merged.planIds, []) : merged.planIds;
+    const planIds = Array.isArray(rawPlanIds) && rawPlanIds.length > 0
+        ? rawPlanIds.map((id) => parseInt(id)).filter(Number.isInteger)
+        : null;
+
+    const validFrom = parseOptionalDate(merged.validFrom, 'start date');
+    const validUntil = parseOptionalDate(merged.validUntil, 'end date');
+    if (validFrom && validUntil && validUntil < validFrom) {
+        throw createError(400, 'INVALID_PROMOTION', 'End date must be after the start date');
+    }
+
+    const rawConfig = typeof merged.ruleConfig === 'string' ? parseJson(merged.ruleConfig, {}) : (merged.ruleConfig || {});
+    const ruleConfig = ruleType ? { ...RULE_DEFAULTS[ruleType] } : null;
+    if (ruleType) {
+        for (const key of Object.keys(ruleConfig)) {
+            if (rawConfig[key] !== undefined && rawConfig[key] !== '') {
+                ruleConfig[key] = parseOptionalNumber(rawConfig[key], key, { integer: true });
+            }
+        }
+    }
+
+    return {
+        name,
+        code,
+        ruleType,
+        ruleConfig: ruleConfig ? JSON.stringify(ruleConfig) : null,
+        discountType,
+        discountValue,
+        maxDiscount: parseOptionalNumber(merged.maxDiscount, 'Maximum discount'),
+        planIds: planIds ? JSON.stringify(planIds) : null,
+        validFrom,
+        validUntil,
+        maxUses: parseOptionalNumber(merged.maxUses, 'Usage limit', { integer: true }),
+        maxUsesPerMember: parseOptionalNumber(merged.maxUsesPerMember, 'Per-member limit', { integer: true }),
+        isActive: merged.isActive === undefined ? true : merged.isActive === true || merged.isActive === 'true'
+    };
+}
+
+function serializePromotion(promotion) {
+    return {
+        ...promotion,
+        planIds: parseJson(promotion.planIds, null),
+        ruleConfig: parseJson(promotion.ruleConfig, null)
+    };
+}
+
+/**
+ * Discount a promotion gives on a price, capped at the price and maxDiscount.
+ */
+function computeDiscount(promotion, price) {
+    const base = roundMoney(price);
+    if (base <= 0) return 0;
+    let discount = promotion.discountType === 'fixed'
+        ? promotion.discountValue
+        : base * (promotion.discountValue / 100);
+    if (promotion.maxDiscount) discount = Math.min(discount, promotion.maxDiscount);
+    return roundMoney(Math.min(discount, base));
+}
+
+/**
+ * Why a promotion cannot be used for this sale, or null when it can.
+ */
+function checkPromotion(promotion, { planId, memberUses = 0, now = new Date() }) {
+    if (!promotion.isActive) return 'PROMOTION_INACTIVE';
+    if (promotion.validFrom && now < new Date(promotion.validFrom)) return 'PROMOTION_NOT_STARTED';
+    if (promotion.validUntil && now > new Date(promotion.validUntil)) return 'PROMOTION_EXPIRED';
+    if (promotion.maxUses && promotion.usedCount >= promotion.maxUses) return 'PROMOTION_USAGE_LIMIT';
+    if (promotion.maxUsesPerMember && memberUses >= promotion.maxUsesPerMember) return 'PROMOTION_MEMBER_LIMIT';
+    const planIds = parseJson(promotion.planIds, null);
+    if (planIds && !planIds.includes(parseInt(planId))) return 'PROMOTION_PLAN_NOT_ELIGIBLE';
+    return null;
+}
+
+const PROMOTION_MESSAGES = {
+    PROMOTION_NOT_FOUND: 'Unknown promotion code',
+    PROMOTION_INACTIVE: 'This promotion is not active',
+    PROMOTION_NOT_STARTED: 'This promotion has not started yet',
+    PROMOTION_EXPIRED: 'This promotion has expired',
+    PROMOTION_USAGE_LIMIT: 'This promotion has been fully used',
+    PROMOTION_MEMBER_LIMIT: 'The member has already used this promotion',
+    PROMOTION_PLAN_NOT_ELIGIBLE: 'This promotion does not apply to the selected plan'
+};
+
+async function familySize(prisma, member) {
+    const headId = member.familyHeadId || member.id;
+    const dependents = await prisma.member.count({ where: { familyHeadId: headId } });
+    return dependents + 1;
+}
+
+/**
+ * Whether the member qualifies for an automatic rule right now.
+ */
+async function qualifiesForRule(prisma, promotion, member, now = new Date()) {
+    const config = { ...RULE_DEFAULTS[promotion.ruleType], ...parseJson(promotion.ruleConfig, {}) };
+
+    if (promotion.ruleType === 'family') {
+        return (await familySize(prisma, member)) >= config.minMembers;
+    }
+
+    if (promotion.ruleType === 'early_renewal') {
+        const current = await prisma.subscription.findFirst({
+            where: {
+                memberId: member.id,
+                status: 'active',
+                endDate: { gte: now, lte: new Date(now.getTime() + config.daysBeforeExpiry * DAY_MS) }
+            },
+            select: { id: true }
+        });
+        return Boolean(current);
+    }
+
+    return false;
+}
+
+const countMemberUses = (prisma, promotionId, memberId) => prisma.promotionRedemption.count({
+    where: { promotionId, memberId }
+});
+
+/**
+ * Pick the promotion for a sale: the entered code (which must be valid)
+ * or the best automatic rule, whichever discounts more.
+ *
+ * @returns {Promise<{ promotion, discount }|null>}
+ */
+async function resolvePromotion(prisma, { member, planId, price, code, now = new Date() }) {
+    const candidates = [];
+
+    const normalizedCode = normalizeCode(code);
+    if (normalizedCode) {
+        const promotion = await prisma.promotion.findUnique({ where: { code: normalizedCode } });
+        if (!promotion) throw createError(400, 'PROMOTION_NOT_FOUND', PROMOTION_MESSAGES.PROMOTION_NOT_FOUND);
+        const memberUses = promotion.maxUsesPerMember ? await countMemberUses(prisma, promotion.id, member.id) : 0;
+        const reason = checkPromotion(promotion, { planId, memberUses, now });
+        if (reason) throw createError(400, reason, PROMOTION_MESSAGES[reason]);
+        candidates.push(promotion);
+    }
+
+    const rules = await prisma.promotion.findMany({
+        where: { isActive: true, ruleType: { in: RULE_TYPES } }
+    });
+    for (const rule of rules) {
+        const memberUses = rule.maxUsesPerMember ? await countMemberUses(prisma, rule.id, member.id) : 0;
+        if (checkPromotion(rule, { planId, memberUses, now })) continue;
+        if (await qualifiesForRule(prisma, rule, member, now)) candidates.push(rule);
+    }
+
+    let best = null;
+    for (const promotion of candidates) {
+        const discount = computeDiscount(promotion, price);
+        if (discount > 0 && (!best || discount > best.discount)) {
+            best = { promotion, discount };
+        }
+    }
+    return best;
+}
+
+/**
+ * Record a promotion used on a sale. Run inside the sale transaction;
+ * the usage cap is re-checked atomically.
+ */
+async function redeemPromotion(prisma, { promotion, discount, memberId, subscriptionId = null, originalPrice, userId = null }) {
+    const where = { id: promotion.id };
+    if (promotion.maxUses) where.usedCount = { lt: promotion.maxUses };
+    const { count } = await prisma.promotion.updateMany({
+        where,
+        data: { usedCount: { increment: 1 } }
+    });
+    if (count === 0) {
+        throw createError(409, 'PROMOTION_USAGE_LIMIT', PROMOTION_MESSAGES.PROMOTION_USAGE_LIMIT);
+    }
+
+    return prisma.promotionRedemption.create({
+        data: {
+            promotionId: promotion.id,
+            memberId: parseInt(memberId),
+            subscriptionId: subscriptionId ? parseInt(subscriptionId) : null,
+            code: promotion.code || null,
+            originalPrice: roundMoney(originalPrice),
+            discountAmount: roundMoney(discount),
+            createdBy: userId
+        }
+    });
+}
+
+/**
+ * Receipt line for an applied promotion (stored in the receipt totals).
+ */
+const toReceiptPromotion = (promotion, discount) => ({
+    name: promotion.name,
+    code: promotion.code || null,
+    ruleType: promotion.ruleType || null,
+    amount: roundMoney(discount)
+});
+
+async function getReferralRewardAmount(prisma) {
+    const setting = await prisma.setting.findUnique({ where: { key: 'referral_reward_amount' } });
+    const amount = parseFloat(setting?.value);
+    return Number.isFinite(amount) && amount > 0 ? roundMoney(amount) : 0;
+}
+
+/**
+ * Credit the referrer once, when the referred member buys their first subscription.
+ * @returns {Promise<Object|null>} the ledger entry, or null when nothing was credited
+ */
+async function rewardReferral(prisma, { member, userId = null, now = new Date() }) {
+    if (!member?.referredById || member.referralRewardedAt) return null;
+
+    const amount = await getReferralRewardAmount(prisma);
+    if (amount <= 0) return null;
+
+    // Claim the reward first so a double-posted sale cannot credit twice
+    const { count } = await prisma.member.updateMany({
+        where: { id: member.id, referralRewardedAt: null },
+        data: { referralRewardedAt: now }
+    });
+    if (count === 0) return null;
+
+    return CreditService.addEntry(prisma, {
+        memberId: member.referredById,
+        amount,
+        note: `Referral reward: ${member.memberId || `member #${member.id}`} joined`,
+        referredMemberId: member.id,
+        createdByUserId: userId
+    });
+}
+
+/**
+ * Resolve a member code (or id) for the referral / family links.
+ */
+async function findLinkedMember(prisma, value) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    const member = await prisma.member.findFirst({
+        where: /^\d+$/.test(text) ? { id: parseInt(text) } : { memberId: text.toUpperCase() },
+        select: { id: true, memberId: true, firstName: true, lastName: true, familyHeadId: true }
+    });
+    if (!member) throw createError(404, 'MEMBER_NOT_FOUND', `Member ${text} not found`);
+    return member;
+}
+
+/**
+ * Set who referred a member and which family they belong to.
+ * `referredBy` / `familyOf` take a member code or id; null clears the link.
+ * Joining someone's family joins that member's head, so groups stay one level deep.
+ */
+async function buildMemberLinks(prisma, member, { referredBy, familyOf } = {}) {
+    const data = {};
+
+    if (referredBy !== undefined) {
+        const referrer = await findLinkedMember(prisma, referredBy);
+        if (referrer && referrer.id === member.id) {
+            throw createError(400, 'INVALID_REFERRAL', 'A member cannot refer themselves');
+        }
+        if (referrer && member.referralRewardedAt) {
+            throw createError(409, 'REFERRAL_ALREADY_REWARDED', 'The referral reward for this member was already paid');
+        }
+        data.referredById = referrer ? referrer.id : null;
+    }
+
+    if (familyOf !== undefined) {
+        const relative = await findLinkedMember(prisma, familyOf);
+        const headId = relative ? (relative.familyHeadId || relative.id) : null;
+        if (headId === member.id) {
+            throw createError(400, 'INVALID_FAMILY', 'A member cannot join their own family');
+        }
+        if (headId) {
+            const dependents = await prisma.member.count({ where: { familyHeadId: member.id } });
+            if (dependents > 0) {
+                throw createError(409, 'FAMILY_HEAD', 'This member heads a family; move its members first');
+            }
+        }
+        data.familyHeadId = headId;
+    }
+
+    return data;
+}
+
+/**
+ * Revenue given away per promotion between two dates, plus referral credit
+ * paid out, by the member's home branch.
+ */
+async function buildPromotionReport(prisma, { startDate, endDate, branchScope }) {
+    const createdAt = { gte: startDate, lte: endDate };
+
+    const [redemptions, referralCredits] = await Promise.all([
+        prisma.promotionRedemption.findMany({
+            where: { createdAt, ...memberBranchWhere(branchScope) },
+            include: { promotion: { select: { id: true, name: true, code: true, ruleType: true } } }
+        }),
+        prisma.memberCreditLedger.aggregate({
+            where: { createdAt, referredMemberId: { not: null }, ...memberBranchWhere(branchScope) },
+            _sum: { amount: true },
+            _count: { _all: true }
+        })
+    ]);
+
+    const byPromotion = new Map();
+    for (const redemption of redemptions) {
+        const row = byPromotion.get(redemption.promotionId) || {
+            promotionId: redemption.promotionId,
+            name: redemption.promotion?.name || null,
+            code: redemption.promotion?.code || null,
+            ruleType: redemption.promotion?.ruleType || null,
+            redemptions: 0,
+            grossAmount: 0,
+            discountTotal: 0,
+            netRevenue: 0
+        };
+        row.redemptions += 1;
+        row.grossAmount = roundMoney(row.grossAmount + redemption.originalPrice);
+        row.discountTotal = roundMoney(row.discountTotal + redemption.discountAmount);
+        row.netRevenue = roundMoney(row.grossAmount - row.discountTotal);
+        byPromotion.set(redemption.promotionId, row);
+    }
+    const promotions = [...byPromotion.values()].sort((a, b) => b.discountTotal - a.discountTotal);
+
+    return {
+        summary: {
+            redemptions: redemptions.length,
+            discountTotal: roundMoney(promotions.reduce((sum, row) => sum + row.discountTotal, 0)),
+            referralRewards: referralCredits._count._all,
+            referralCredit: roundMoney(referralCredits._sum.amount || 0)
+        },
+        promotions
+    };
+}
+
+module.exports = {
+    DISCOUNT_TYPES,
+    RULE_TYPES,
+    normalizeCode,
+    buildPromotionData,
+    serializePromotion,
+    computeDiscount,
+    checkPromotion,
+    resolvePromotion,
+    redeemPromotion,
+    toReceiptPromotion,
+    rewardReferral,
+    buildMemberLinks,
+    buildPromotionReport
+};
@@ -65,9 +65,19 @@ async function createReceipt(prisma, input) {
     }
 
     const itemsJson = safeJsonStringify(input.items || [], []);
-    const totalsJson = safeJsonStringify(input.totals || {}, {});
+    // Promotions applied to the sale are printed under the discount line
+    const totals = Array.isArray(input.promotions) && input.promotions.length > 0
+        ? { ...(input.totals || {}), promotions: input.promotions }
+        : (input.totals || {});
+    const totalsJson = safeJsonStringify(totals, {});
     const createdAt = input.createdAt || new Date();
 
+    let branchName = input.branchName || null;
+    if (!branchName && input.branchId && prisma.branch) {
+        const branch = await prisma.branch.findUnique({ where: { id: input.branchId }, select: { name: true } });
+        branchName = branch?.name || null;
+    }
+
     let lastError = null;
     for (let attempt = 0; attempt < MAX_RECEIPT_ATTEMPTS; attempt += 1) {
         const { receiptNo } = await nextReceiptNumber(prisma, createdAt);
@@ -84,7 +94,7 @@ async function createReceipt(prisma, input) {
                     customerCode: input.customerCode || null,
                     staffId: input.staffId || null,
                     staffName: input.staffName || null,
-                    branchName: input.branchName || null,
+                    branchName,
                     itemsJson,
                     totalsJson,
                     status: input.status || 'issued',
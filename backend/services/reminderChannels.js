@@ -0,0 +1,434 @@
+/**
+ * ============================================
+ * REMINDER CHANNEL PROVIDERS
+ * ============================================
+ *
+ * Pluggable outbound delivery providers for reminders.
+ * A provider is created from its Setting config and exposes:
+ *   send({ to, message, subject }) -> { ok, providerMessageId, errorCode, errorMessage, retryable }
+ *
+ * Reminder.channel (SMS, WHATSAPP, EMAIL, IN_APP) selects the channel config,
+ * and the config's `provider` field selects the implementation.
+ */
+
+const axios = require('axios');
+const { normalizePhone } = require('../utils/memberNormalization');
+const { featureFlags, FEATURES } = require('./featureFlags');
+
+const CHANNELS = ['SMS', 'WHATSAPP', 'EMAIL', 'IN_APP'];
+
+const CHANNEL_SETTING_KEYS = {
+    SMS: 'reminder_channel_sms',
+    WHATSAPP: 'reminder_channel_whatsapp',
+    EMAIL: 'reminder_channel_email'
+};
+
+const DEFAULT_PROVIDER_BY_CHANNEL = {
+    SMS: 'sms_http',
+    WHATSAPP: 'whatsapp_cloud',
+    EMAIL: 'smtp',
+    IN_APP: 'in_app'
+};
+
+// Config fields never returned to the client as-is
+const SECRET_FIELDS = ['apiKey', 'accessToken', 'pass', 'authHeaderValue'];
+const MASKED_VALUE = '********';
+
+const DEFAULT_HTTP_TIMEOUT_MS = 15000;
+const RETRYABLE_NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND', 'ESOCKET', 'ECONNECTION'];
+
+function success(providerMessageId = null) {
+    return { ok: true, providerMessageId: providerMessageId ? String(providerMessageId) : null };
+}
+
+function failure(errorCode, errorMessage, retryable = false) {
+    return {
+        ok: false,
+        errorCode: String(errorCode || 'UNKNOWN_ERROR'),
+        errorMessage: errorMessage ? String(errorMessage).slice(0, 500) : null,
+        retryable: Boolean(retryable)
+    };
+}
+
+function normalizeChannel(channel) {
+    const normalized = String(channel || 'IN_APP').trim().toUpperCase();
+    return CHANNELS.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Convert a locally formatted phone (e.g. 01012345678) to international digits (201012345678)
+ */
+function toInternationalPhone(phone, defaultCountryCode = '20') {
+    let digits = normalizePhone(phone);
+    if (!digits) return '';
+    if (digits.startsWith('00')) return digits.slice(2);
+    const countryCode = normalizePhone(defaultCountryCode);
+    if (countryCode && digits.startsWith(countryCode) && digits.length > 10) return digits;
+    if (digits.startsWith('0')) digits = digits.slice(1);
+    return `${countryCode}${digits}`;
+}
+
+function readPath(source, dottedPath) {
+    if (!source || !dottedPath) return undefined;
+    return String(dottedPath).split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), source);
+}
+
+/**
+ * Map an axios error into a delivery failure
+ */
+function mapHttpError(error, codePrefix = 'HTTP') {
+    if (error?.response) {
+        const status = error.response.status;
+        const body = error.response.data;
+        const providerMessage = body?.error?.message || body?.message || error.message;
+        return failure(`${codePrefix}_${status}`, providerMessage, status === 429 || status >= 500);
+    }
+    const code = error?.code || 'NETWORK_ERROR';
+    return failure(code, error?.message, RETRYABLE_NETWORK_CODES.includes(code));
+}
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+/**
+ * Generic SMS gateway over HTTP.
+ * Config: { url, method, bodyFormat: json|form, sender, apiKey, authHeaderName, authHeaderValue,
+ *           toField, messageField, senderField, extraParams, messageIdPath, defaultCountryCode }
+ */
+function createSmsHttpProvider(config = {}) {
+    return {
+        name: 'sms_http',
+        async send({ to, message }) {
+            if (!config.url) return failure('CHANNEL_NOT_CONFIGURED', 'SMS gateway URL is not set');
+
+            const recipient = toInternationalPhone(to, config.defaultCountryCode);
+            if (!recipient) return failure('INVALID_RECIPIENT', 'Member has no valid phone number');
+
+            const payload = {
+                ...(config.extraParams || {}),
+                [config.toField || 'to']: recipient,
+                [config.messageField || 'message']: message
+            };
+            if (config.sender) payload[config.senderField || 'sender'] = config.sender;
+
+            const headers = {};
+            if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+            if (config.authHeaderName && config.authHeaderValue) headers[config.authHeaderName] = config.authHeaderValue;
+
+            const method = String(config.method || 'POST').toUpperCase();
+            const isForm = config.bodyFormat === 'form';
+            const request = {
+                url: config.url,
+                method,
+                headers,
+                timeout: config.timeoutMs || DEFAULT_HTTP_TIMEOUT_MS
+            };
+            if (method === 'GET') {
+                request.params = payload;
+            } else if (isForm) {
+                request.data = new URLSearchParams(payload).toString();
+                request.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+            } else {
+                request.data = payload;
+            }
+
+            try {
+                const response = await axios.request(request);
+                return success(readPath(response.data, config.messageIdPath || 'messageId'));
+            } catch (error) {
+                return mapHttpError(error, 'SMS_HTTP');
+            }
+        }
+    };
+}
+
+// WhatsApp Cloud API error codes that are worth retrying (throttling / temporary)
+const WHATSAPP_RETRYABLE_CODES = [1, 2, 4, 80007, 130429, 131000, 131016, 131056];
+
+/**
+ * WhatsApp Business Cloud API (graph.facebook.com).
+ * Config: { phoneNumberId, accessToken, apiVersion, defaultCountryCode, templateName, templateLanguage }
+ * When templateName is set the message is sent as a template with a single body parameter,
+ * which is required for business-initiated conversations.
+ */
+function createWhatsAppCloudProvider(config = {}) {
+    return {
+        name: 'whatsapp_cloud',
+        async send({ to, message }) {
+            if (!featureFlags.isEnabled(FEATURES.WHATSAPP_NOTIFICATIONS)) {
+                return failure('FEATURE_DISABLED', 'WhatsApp notifications are not available in the current package');
+            }
+            if (!config.phoneNumberId || !config.accessToken) {
+                return failure('CHANNEL_NOT_CONFIGURED', 'WhatsApp phone number ID or access token is not set');
+            }
+
+            const recipient = toInternationalPhone(to, config.defaultCountryCode);
+            if (!recipient) return failure('INVALID_RECIPIENT', 'Member has no valid phone number');
+
+            const body = config.templateName
+                ? {
+                    messaging_product: 'whatsapp',
+                    to: recipient,
+                    type: 'template',
+                    template: {
+                        name: config.templateName,
+                        language: { code: config.templateLanguage || 'ar' },
+                        components: [{ type: 'body', parameters: [{ type: 'text', text: message }] }]
+                    }
+                }
+                : {
+                    messaging_product: 'whatsapp',
+                    to: recipient,
+                    type: 'text',
+                    text: { body: message }
+                };
+
+            const apiVersion = config.apiVersion || 'v19.0';
+            const baseUrl = config.baseUrl || 'https://graph.facebook.com';
+
+            try {
+                const response = await axios.post(`${baseUrl}/${apiVersion}/${config.phoneNumberId}/messages`, body, {
+                    headers: { Authorization: `Bearer ${config.accessToken}` },
+                    timeout: config.timeoutMs || DEFAULT_HTTP_TIMEOUT_MS
+                });
+                return success(response.data?.messages?.[0]?.id);
+            } catch (error) {
+                const apiError = error?.response?.data?.error;
+                if (apiError?.code !== undefined) {
+                    const status = error.response.status;
+                    return failure(
+                        `WHATSAPP_${apiError.code}`,
+                        apiError.message,
+                        WHATSAPP_RETRYABLE_CODES.includes(Number(apiError.code)) || status >= 500
+                    );
+                }
+                return mapHttpError(error, 'WHATSAPP_HTTP');
+            }
+        }
+    };
+}
+
+/**
+ * SMTP email via nodemailer.
+ * Config: { host, port, secure, user, pass, from }
+ */
+function createSmtpProvider(config = {}) {
+    let transporter = null;
+
+    const getTransporter = () => {
+        if (!transporter) {
+            const nodemailer = require('nodemailer');
+            transporter = nodemailer.createTransport({
+                host: config.host,
+                port: parseInt(config.port || 587),
+                secure: Boolean(config.secure),
+                auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+                connectionTimeout: config.timeoutMs || DEFAULT_HTTP_TIMEOUT_MS
+            });
+        }
+        return transporter;
+    };
+
+    return {
+        name: 'smtp',
+        async send({ to, message, subject }) {
+            if (!config.host || !config.from) {
+                return failure('CHANNEL_NOT_CONFIGURED', 'SMTP host or sender address is not set');
+            }
+            if (!to || !String(to).includes('@')) {
+                return failure('INVALID_RECIPIENT', 'Member has no valid email address');
+            }
+
+            try {
+                const info = await getTransporter().sendMail({
+                    from: config.from,
+                    to: String(to).trim(),
+                    subject: subject || 'Payment reminder',
+                    text: message
+                });
+                return success(info?.messageId);
+            } catch (error) {
+                // SMTP 4xx replies are transient, 5xx are permanent
+                if (error?.responseCode) {
+                    return failure(`SMTP_${error.responseCode}`, error.message, error.responseCode < 500);
+                }
+                const code = error?.code || 'SMTP_ERROR';
+                return failure(code, error?.message, RETRYABLE_NETWORK_CODES.includes(code));
+            }
+        }
+    };
+}
+
+/**
+ * In-app delivery: staff notifications are created by reminderService, nothing leaves the system.
+ */
+function createInAppProvider() {
+    return {
+        name: 'in_app',
+        async send() {
+            return success(null);
+        }
+    };
+}
+
+const fakeOutbox = [];
+
+/**
+ * Offline fake provider for testing the full flow.
+ * Config: { failWith: null | 'TEMPORARY' | 'PERMANENT' }
+ */
+function createFakeProvider(config = {}) {
+    return {
+        name: 'fake',
+        async send({ to, message, subject }) {
+            if (!to) return failure('INVALID_RECIPIENT', 'No recipient');
+            if (config.failWith === 'TEMPORARY') return failure('FAKE_TEMPORARY', 'Simulated temporary failure', true);
+            if (config.failWith === 'PERMANENT') return failure('FAKE_PERMANENT', 'Simulated permanent failure', false);
+
+            const entry = {
+                id: `fake-${Date.now()}-${fakeOutbox.length + 1}`,
+                to,
+                subject: subject || null,
+                message,
+                sentAt: new Date()
+            };
+            fakeOutbox.push(entry);
+            return success(entry.id);
+        }
+    };
+}
+
+const PROVIDER_FACTORIES = {
+    sms_http: createSmsHttpProvider,
+    whatsapp_cloud: createWhatsAppCloudProvider,
+    smtp: createSmtpProvider,
+    in_app: createInAppProvider,
+    fake: createFakeProvider
+};
+
+/**
+ * Register an additional provider implementation (e.g. a local SMS vendor SDK)
+ */
+function registerProvider(name, factory) {
+    if (!name || typeof factory !== 'function') {
+        throw new Error('Provider name and factory function are required');
+    }
+    PROVIDER_FACTORIES[name] = factory;
+}
+
+function getProviderNames() {
+    return Object.keys(PROVIDER_FACTORIES);
+}
+
+// ============================================
+// CONFIG
+// ============================================
+
+async function loadChannelConfig(prisma, channel) {
+    const normalized = normalizeChannel(channel);
+    if (!normalized) return null;
+    if (normalized === 'IN_APP') {
+        return { enabled: true, provider: DEFAULT_PROVIDER_BY_CHANNEL.IN_APP };
+    }
+
+    const setting = await prisma.setting.findUnique({
+        where: { key: CHANNEL_SETTING_KEYS[normalized] }
+    });
+
+    let stored = {};
+    if (setting?.value) {
+        try {
+            stored = JSON.parse(setting.value) || {};
+        } catch (error) {
+            stored = {};
+        }
+    }
+
+    return {
+        enabled: false,
+        provider: DEFAULT_PROVIDER_BY_CHANNEL[normalized],
+        ...stored
+    };
+}
+
+async function saveChannelConfig(prisma, channel, input = {}) {
+    const normalized = normalizeChannel(channel);
+    if (!normalized || normalized === 'IN_APP') {
+        const err = new Error('Invalid channel');
+        err.status = 400;
+        throw err;
+    }
+    if (input.provider && !PROVIDER_FACTORIES[input.provider]) {
+        const err = new Error(`Unknown provider: ${input.provider}`);
+        err.status = 400;
+        throw err;
+    }
+
+    const existing = await loadChannelConfig(prisma, normalized);
+    const merged = { ...existing, ...input };
+
+    // Keep stored secrets when the client echoes back the masked placeholder
+    SECRET_FIELDS.forEach((field) => {
+        if (input[field] === MASKED_VALUE) merged[field] = existing[field];
+    });
+
+    const key = CHANNEL_SETTING_KEYS[normalized];
+    const value = JSON.stringify(merged);
+    await prisma.setting.upsert({
+        where: { key },
+        update: { value, type: 'json', group: 'reminders' },
+        create: { key, value, type: 'json', group: 'reminders' }
+    });
+
+    return merged;
+}
+
+function maskChannelConfig(config) {
+    if (!config) return config;
+    const masked = { ...config };
+    SECRET_FIELDS.forEach((field) => {
+        if (masked[field]) masked[field] = MASKED_VALUE;
+    });
+    return masked;
+}
+
+/**
+ * Resolve the provider for a channel.
+ * @returns {Promise<{ provider?: Object, config?: Object, error?: Object }>}
+ */
+async function resolveChannelProvider(prisma, channel) {
+    const normalized = normalizeChannel(channel);
+    if (!normalized) {
+        return { error: failure('INVALID_CHANNEL', `Unsupported channel: ${channel}`) };
+    }
+
+    const config = await loadChannelConfig(prisma, normalized);
+    if (!config.enabled) {
+        return { error: failure('CHANNEL_DISABLED', `${normalized} channel is disabled`) };
+    }
+
+    const factory = PROVIDER_FACTORIES[config.provider];
+    if (!factory) {
+        return { error: failure('UNKNOWN_PROVIDER', `Unknown provider: ${config.provider}`) };
+    }
+
+    return { provider: factory(config), config };
+}
+
+module.exports = {
+    CHANNELS,
+    CHANNEL_SETTING_KEYS,
+    DEFAULT_PROVIDER_BY_CHANNEL,
+    MASKED_VALUE,
+    normalizeChannel,
+    toInternationalPhone,
+    registerProvider,
+    getProviderNames,
+    loadChannelConfig,
+    saveChannelConfig,
+    maskChannelConfig,
+    resolveChannelProvider,
+    getFakeOutbox: () => fakeOutbox.slice(),
+    clearFakeOutbox: () => { fakeOutbox.length = 0; }
+};
@@ -0,0 +1,209 @@
+/**
+ * ============================================
+ * REMINDER DELIVERY SERVICE
+ * ============================================
+ *
+ * Sends reminders through the provider selected by Reminder.channel,
+ * records the delivery result on the reminder and schedules retries
+ * with exponential backoff (driven by Reminder.retryCount).
+ */
+
+const { normalizeChannel, resolveChannelProvider } = require('./reminderChannels');
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_MINUTES = 5;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+const EMAIL_SUBJECTS = {
+    DUE_SOON: 'Payment due soon',
+    OVERDUE: 'Overdue payment',
+    END_OF_MONTH: 'End of month payment reminder',
+    INSTALLMENT: 'Installment due'
+};
+
+/**
+ * Exponential backoff: base, 2x base, 4x base ... capped at 6 hours
+ */
+function computeRetryDelayMs(attempt, baseMinutes = DEFAULT_RETRY_BASE_MINUTES) {
+    const safeAttempt = Math.max(1, parseInt(attempt) || 1);
+    const baseMs = Math.max(1, Number(baseMinutes) || DEFAULT_RETRY_BASE_MINUTES) * 60 * 1000;
+    return Math.min(baseMs * Math.pow(2, safeAttempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+async function getRetryPolicy(prisma) {
+    const [maxRetriesSetting, baseMinutesSetting] = await Promise.all([
+        prisma.setting.findUnique({ where: { key: 'reminder_max_retries' } }),
+        prisma.setting.findUnique({ where: { key: 'reminder_retry_base_minutes' } })
+    ]);
+    const maxRetries = parseInt(maxRetriesSetting?.value);
+    const baseMinutes = parseFloat(baseMinutesSetting?.value);
+    return {
+        maxRetries: Number.isFinite(maxRetries) && maxRetries >= 0 ? maxRetries : DEFAULT_MAX_RETRIES,
+        baseMinutes: Number.isFinite(baseMinutes) && baseMinutes > 0 ? baseMinutes : DEFAULT_RETRY_BASE_MINUTES
+    };
+}
+
+function resolveRecipient(channel, member) {
+    if (!member) return null;
+    if (channel === 'EMAIL') return member.email || null;
+    if (channel === 'SMS' || channel === 'WHATSAPP') return member.phone || null;
+    return `member:${member.memberId || member.id}`;
+}
+
+/**
+ * Deliver a single reminder.
+ * @param {Object} prisma - Prisma client instance
+ * @param {number} reminderId - Reminder ID
+ * @param {Object} options - { channel } to override the stored channel
+ * @returns {Promise<{ ok: boolean, skipped?: boolean, retryScheduled?: boolean, result?: Object, reminder: Object }>}
+ */
+async function deliverReminder(prisma, reminderId, options = {}) {
+    const reminder = await prisma.reminder.findUnique({
+        where: { id: parseInt(reminderId) },
+        include: {
+            member: { select: { id: true, memberId: true, firstName: true, lastName: true, phone: true, email: true } }
+        }
+    });
+
+    if (!reminder) {
+        const err = new Error('Reminder not found');
+        err.status = 404;
+        throw err;
+    }
+
+    if (reminder.status === 'SENT' || reminder.status === 'CANCELLED') {
+        return { ok: reminder.status === 'SENT', skipped: true, reminder };
+    }
+
+    const requestedChannel = options.channel || reminder.channel;
+    const channel = requestedChannel ? normalizeChannel(requestedChannel) : 'IN_APP';
+    if (!channel) {
+        const err = new Error(`Unsupported channel: ${requestedChannel}`);
+        err.status = 400;
+        err.code = 'INVALID_CHANNEL';
+        throw err;
+    }
+    const now = new Date();
+    const recipient = resolveRecipient(channel, reminder.member);
+
+    let result;
+    let providerName = null;
+    if (!recipient) {
+        result = { ok: false, errorCode: 'NO_RECIPIENT', errorMessage: `Member has no contact for ${channel}`, retryable: false };
+    } else {
+        const resolved = await resolveChannelProvider(prisma, channel);
+        if (resolved.error) {
+            result = resolved.error;
+        } else {
+            providerName = resolved.provider.name;
+            try {
+                result = await resolved.provider.send({
+                    to: recipient,
+                    message: reminder.message || '',
+                    subject: EMAIL_SUBJECTS[reminder.type] || 'Payment reminder',
+                    reminder
+                });
+            } catch (error) {
+                result = { ok: false, errorCode: 'PROVIDER_EXCEPTION', errorMessage: error.message, retryable: true };
+            }
+        }
+    }
+
+    if (result.ok) {
+        const updated = await prisma.reminder.update({
+            where: { id: reminder.id },
+            data: {
+                status: 'SENT',
+                sentAt: now,
+                channel,
+                provider: providerName,
+                recipient,
+                providerMessageId: result.providerMessageId || null,
+                lastAttemptAt: now,
+                nextRetryAt: null,
+                errorCode: null,
+                errorMessage: null
+            }
+        });
+        return { ok: true, result, reminder: updated };
+    }
+
+    const policy = await getRetryPolicy(prisma);
+    const attempt = (reminder.retryCount || 0) + 1;
+    const retryScheduled = Boolean(result.retryable) && attempt <= policy.maxRetries;
+
+    const updated = await prisma.reminder.update({
+        where: { id: reminder.id },
+        data: {
+            status: retryScheduled ? 'PENDING' : 'FAILED',
+            channel,
+            provider: providerName,
+            recipient,
+            retryCount: attempt,
+            lastAttemptAt: now,
+            nextRetryAt: retryScheduled ? new Date(now.getTime() + computeRetryDelayMs(attempt, policy.baseMinutes)) : null,
+            errorCode: result.errorCode || 'UNKNOWN_ERROR',
+            errorMessage: result.errorMessage || null
+        }
+    });
+
+    return { ok: false, retryScheduled, result, reminder: updated };
+}
+
+/**
+ * Deliver many reminders sequentially (keeps provider rate limits sane)
+ */
+async function deliverReminders(prisma, reminderIds, options = {}) {
+    const summary = { sent: 0, failed: 0, retrying: 0, skipped: 0, results: [] };
+
+    for (const id of reminderIds) {
+        try {
+            const outcome = await deliverReminder(prisma, id, options);
+            if (outcome.skipped) summary.skipped += 1;
+            else if (outcome.ok) summary.sent += 1;
+            else if (outcome.retryScheduled) summary.retrying += 1;
+            else summary.failed += 1;
+            summary.results.push({
+                id: parseInt(id),
+                status: outcome.reminder.status,
+                errorCode: outcome.ok ? null : (outcome.result?.errorCode || null)
+            });
+        } catch (error) {
+            summary.failed += 1;
+            summary.results.push({ id: parseInt(id), status: 'ERROR', errorCode: error.code || (error.status === 404 ? 'NOT_FOUND' : 'SERVER_ERROR') });
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Retry reminders whose backoff window has elapsed
+ */
+async function processDueRetries(prisma, { now = new Date(), limit = 50 } = {}) {
+    const due = await prisma.reminder.findMany({
+        where: {
+            status: 'PENDING',
+            nextRetryAt: { lte: now }
+        },
+        orderBy: { nextRetryAt: 'asc' },
+        take: limit,
+        select: { id: true }
+    });
+
+    if (due.length === 0) {
+        return { sent: 0, failed: 0, retrying: 0, skipped: 0, results: [] };
+    }
+
+    return deliverReminders(prisma, due.map((row) => row.id));
+}
+
+module.exports = {
+    DEFAULT_MAX_RETRIES,
+    DEFAULT_RETRY_BASE_MINUTES,
+    computeRetryDelayMs,
+    getRetryPolicy,
+    deliverReminder,
+    deliverReminders,
+    processDueRetries
+};
@@ -8,6 +8,8 @@
 
 const { PrismaClient } = require('@prisma/client');
 const { calculateSubscriptionFinancials, determinePaymentStatus } = require('../utils/financialCalculations');
+const { findInstallmentsToRemind } = require('./installmentService');
+const { DEBT_STATUSES } = require('./debtPolicyService');
 const prisma = new PrismaClient();
 
 /**
@@ -18,13 +20,13 @@ const MESSAGE_TEMPLATES = {
         DUE_SOON: 'عزيزي {memberName}، يرجى تسديد المبلغ المتبقي {amount} ج.م قبل تاريخ {dueDate}. شكراً لتعاملكم مع {gymName}.',
         OVERDUE: 'عزيزي {memberName}، لديك مبلغ متأخر {amount} ج.م. يرجى التسديد في أقرب وقت. {gymName}.',
         END_OF_MONTH: 'عزيزي {memberName}، نذكرك بتسديد المبلغ المتبقي {amount} ج.م قبل نهاية الشهر. {gymName}.',
-        INSTALLMENT: 'عزيزي {memberName}، موعد القسط التالي بمبلغ {amount} ج.م. يرجى التسديد. {gymName}.'
+        INSTALLMENT: 'عزيزي {memberName}، موعد القسط التالي بمبلغ {amount} ج.م بتاريخ {dueDate}. يرجى التسديد. {gymName}.'
     },
     en: {
         DUE_SOON: 'Dear {memberName}, please pay the remaining amount of {amount} EGP before {dueDate}. Thank you for choosing {gymName}.',
         OVERDUE: 'Dear {memberName}, you have an overdue amount of {amount} EGP. Please pay at your earliest convenience. {gymName}.',
         END_OF_MONTH: 'Dear {memberName}, reminder to pay the remaining amount of {amount} EGP before end of month. {gymName}.',
-        INSTALLMENT: 'Dear {memberName}, your next installment of {amount} EGP is due. Please make the payment. {gymName}.'
+        INSTALLMENT: 'Dear {memberName}, your next installment of {amount} EGP is due on {dueDate}. Please make the payment. {gymName}.'
     }
 };
 
@@ -48,7 +50,7 @@ function generateMessage(template, data, language = 'ar') {
 async function getMembersWithRemainingPayments() {
     const subscriptions = await prisma.subscription.findMany({
         where: {
-            status: { in: ['active', 'expired'] }
+            status: { in: DEBT_STATUSES }
         },
         include: {
             member: {
@@ -236,6 +238,32 @@ async function createReminder(memberData, type, gymName = 'النادي') {
     return reminder;
 }
 
+/**
+ * Create the reminder for one installment of an installment plan
+ */
+async function createInstallmentReminder(installment, gymName = 'النادي') {
+    const member = installment.subscription?.member;
+    const message = generateMessage('INSTALLMENT', {
+        memberName: member ? `${member.firstName} ${member.lastName}` : '',
+        amount: Math.max(0, installment.amount - (installment.paidAmount || 0)).toFixed(2),
+        dueDate: new Date(installment.dueDate).toLocaleDateString('ar-EG'),
+        gymName
+    }, 'ar');
+
+    return prisma.reminder.create({
+        data: {
+            memberId: installment.memberId,
+            subscriptionId: installment.subscriptionId,
+            installmentId: installment.id,
+            type: 'INSTALLMENT',
+            channel: 'IN_APP',
+            scheduledAt: new Date(),
+            status: 'PENDING',
+            message
+        }
+    });
+}
+
 /**
  * Create staff notifications for a reminder
  */
@@ -341,6 +369,7 @@ async function runDailyReminderJob(gymName = 'النادي', dueSoonDays = 3) {
         dueSoon: 0,
         overdue: 0,
         endOfMonth: 0,
+        installments: 0,
         notifications: 0,
         errors: []
     };
@@ -391,6 +420,20 @@ async function runDailyReminderJob(gymName = 'النادي', dueSoonDays = 3) {
             }
         }
 
+        // 4. Installment reminders (one per installment, as its due date nears)
+        const installments = await findInstallmentsToRemind(prisma, { daysBeforeDue: dueSoonDays });
+        for (const installment of installments) {
+            try {
+                const reminder = await createInstallmentReminder(installment, gymName);
+                results.installments++;
+                const isOverdue = new Date(installment.dueDate) < new Date();
+                await createStaffNotifications(reminder, isOverdue ? 'HIGH' : 'NORMAL');
+                results.notifications++;
+            } catch (e) {
+                results.errors.push(`INSTALLMENT #${installment.id} for ${installment.memberId}: ${e.message}`);
+            }
+        }
+
         console.log('[REMINDER JOB] Completed:', results);
         return results;
 
@@ -400,6 +443,39 @@ async function runDailyReminderJob(gymName = 'النادي', dueSoonDays = 3) {
     }
 }
 
+/**
+ * Run the daily reminder job at most once per calendar day.
+ * Shared by POST /api/reminders/ensure-daily and the scheduled job.
+ */
+async function ensureDailyReminders() {
+    const todayKey = new Date().toISOString().split('T')[0];
+
+    const lastRunSetting = await prisma.setting.findUnique({
+        where: { key: 'reminders_last_run_date' }
+    });
+
+    if (lastRunSetting?.value === todayKey) {
+        return { ran: false, lastRun: lastRunSetting.value };
+    }
+
+    const [gymNameSetting, dueSoonDaysSetting] = await Promise.all([
+        prisma.setting.findUnique({ where: { key: 'gym_name' } }),
+        prisma.setting.findUnique({ where: { key: 'due_soon_days' } })
+    ]);
+    const gymName = gymNameSetting?.value || 'Gym';
+    const dueSoonDays = parseInt(dueSoonDaysSetting?.value || 3);
+
+    const results = await runDailyReminderJob(gymName, dueSoonDays);
+
+    await prisma.setting.upsert({
+        where: { key: 'reminders_last_run_date' },
+        update: { value: todayKey, type: 'string', group: 'system' },
+        create: { key: 'reminders_last_run_date', value: todayKey, type: 'string', group: 'system' }
+    });
+
+    return { ran: true, lastRun: todayKey, results };
+}
+
 /**
  * Get reminder dashboard stats
  */
@@ -450,8 +526,10 @@ module.exports = {
     detectOverdueMembers,
     detectEndOfMonthDues,
     createReminder,
+    createInstallmentReminder,
     createStaffNotifications,
     runDailyReminderJob,
+    ensureDailyReminders,
     getDashboardStats,
     generateMessage,
     MESSAGE_TEMPLATES
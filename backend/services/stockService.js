@@ -0,0 +1,112 @@
+/**
+ * ============================================
+ * STOCK SERVICE
+ * ============================================
+ *
+ * Product stock is the sum of its movements at a branch:
+ * IN adds, OUT removes, ADJUST and TRANSFER are stored signed.
+ *
+ * Movements without a branch (recorded before multi-branch was enabled,
+ * or while it is off) belong to the default branch: the first branch created.
+ * A transfer is a pair of TRANSFER movements, out of one branch and into another.
+ */
+
+const { branchWhere } = require('./branchService');
+
+const STOCK_MOVEMENT_TYPES = ['IN', 'OUT', 'ADJUST', 'TRANSFER'];
+
+const createStockError = (message, status = 400, code = 'STOCK_ERROR') => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+/**
+ * Current stock from a product's movements
+ */
+function stockLevel(movements = []) {
+    return movements.reduce((sum, m) => {
+        if (m.type === 'IN') return sum + m.quantity;
+        if (m.type === 'OUT') return sum - m.quantity;
+        return sum + m.quantity; // ADJUST and TRANSFER are signed
+    }, 0);
+}
+
+async function getDefaultBranchId(prisma) {
+    const branch = await prisma.branch.findFirst({ orderBy: { id: 'asc' }, select: { id: true } });
+    return branch?.id ?? null;
+}
+
+/**
+ * Where fragment for the stock movements of a branch scope (null, id or ids).
+ * The default branch also owns the movements without a branch.
+ */
+async function stockMovementWhere(prisma, scope) {
+    if (scope === null || scope === undefined) return {};
+    const defaultBranchId = await getDefaultBranchId(prisma);
+    const ids = Array.isArray(scope) ? scope : [scope];
+    if (defaultBranchId === null || !ids.includes(defaultBranchId)) return branchWhere(scope);
+    return { OR: [branchWhere(scope), { branchId: null }] };
+}
+
+/**
+ * Stock of one product at a branch (null = all branches)
+ */
+async function getProductStock(prisma, productId, branchId = null) {
+    const movements = await prisma.stockMovement.findMany({
+        where: { productId, ...(await stockMovementWhere(prisma, branchId)) },
+        select: { type: true, quantity: true }
+    });
+    return stockLevel(movements);
+}
+
+/**
+ * Move stock of a product from one branch to another
+ * @returns {Promise<{ out: Object, in: Object }>} the two TRANSFER movements
+ */
+async function transferStock(prisma, { productId, fromBranchId, toBranchId, quantity, employeeId, notes = null }) {
+    const qty = parseInt(quantity, 10);
+    if (!Number.isInteger(qty) || qty < 1) {
+        throw createStockError('Quantity must be a positive integer', 400, 'INVALID_QUANTITY');
+    }
+    if (!fromBranchId || !toBranchId || fromBranchId === toBranchId) {
+        throw createStockError('Choose two different branches', 400, 'INVALID_TRANSFER');
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const product = await tx.product.findUnique({ where: { id: productId }, select: { id: true, name: true } });
+        if (!product) throw createStockError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+
+        const branches = await tx.branch.findMany({
+            where: { id: { in: [fromBranchId, toBranchId] } },
+            select: { id: true, name: true, isActive: true }
+        });
+        const from = branches.find((branch) => branch.id === fromBranchId);
+        const to = branches.find((branch) => branch.id === toBranchId);
+        if (!from || !to) throw createStockError('Branch not found', 404, 'BRANCH_NOT_FOUND');
+        if (!to.isActive) throw createStockError(`${to.name} is inactive`, 400, 'BRANCH_INACTIVE');
+
+        const available = await getProductStock(tx, product.id, fromBranchId);
+        if (available < qty) {
+            throw createStockError(`Insufficient stock for ${product.name} at ${from.name}. Available: ${available}`, 400, 'INSUFFICIENT_STOCK');
+        }
+
+        const movement = (branch, signed, reason) => tx.stockMovement.create({
+            data: { productId: product.id, type: 'TRANSFER', quantity: signed, reason, notes, employeeId, branchId: branch.id }
+        });
+        return {
+            out: await movement(from, -qty, `Transfer to ${to.name}`),
+            in: await movement(to, qty, `Transfer from ${from.name}`)
+        };
+    });
+}
+
+module.exports = {
+    STOCK_MOVEMENT_TYPES,
+    stockLevel,
+    getDefaultBranchId,
+    stockMovementWhere,
+    getProductStock,
+    transferStock
+};
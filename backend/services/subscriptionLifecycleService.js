@@ -0,0 +1,451 @@
+/**
+ * ============================================
+ * SUBSCRIPTION LIFECYCLE SERVICE
+ * ============================================
+ *
+ * Owns every subscription status transition:
+ *   scheduled → active          (future-dated start reached)
+ *   active → paused → active    (manual or scheduled pause, automatic resume)
+ *   active → grace → expired    (end date passed, `subscription_grace_days`)
+ *   * → cancelled / ended       (cancellation and refunds)
+ *
+ * Each transition is recorded as a SubscriptionEvent. runLifecycle() is
+ * run by the job scheduler; check-in, alerts and reports use the where
+ * helpers below so they agree with the job even between runs.
+ */
+
+const { emitEvent, WEBHOOK_EVENTS } = require('./webhookService');
+const { serializeSubscription } = require('../utils/apiSerializers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_DAYS = 0;
+
+const SUBSCRIPTION_STATUSES = ['scheduled', 'active', 'grace', 'paused', 'expired', 'cancelled', 'ended', 'frozen'];
+// Statuses that still give access to the gym (grace only until the grace period is over)
+const CURRENT_STATUSES = ['active', 'grace'];
+// Statuses that block assigning another overlapping subscription
+const OPEN_STATUSES = ['scheduled', 'active', 'paused'];
+const CANCELLABLE_STATUSES = ['scheduled', 'active', 'grace', 'paused'];
+const TERMINAL_STATUSES = ['expired', 'cancelled', 'ended'];
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const parseDate = (value, field) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw createError(400, 'INVALID_DATE', `Invalid ${field}`);
+    }
+    return date;
+};
+
+const parseHistory = (pauseHistory) => {
+    try {
+        const history = JSON.parse(pauseHistory || '[]');
+        return Array.isArray(history) ? history : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Grace period in days after the end date during which check-in still works
+ * @param {Object} prisma - Prisma client instance
+ * @returns {Promise<number>}
+ */
+async function getGraceDays(prisma) {
+    const setting = await prisma.setting.findUnique({ where: { key: 'subscription_grace_days' } });
+    const days = parseInt(setting?.value);
+    return Number.isFinite(days) && days > 0 ? days : DEFAULT_GRACE_DAYS;
+}
+
+/**
+ * Status of a new subscription starting at startDate
+ */
+function initialStatus(startDate, now = new Date()) {
+    return new Date(startDate) > now ? 'scheduled' : 'active';
+}
+
+/**
+ * Status a subscription should have at `now` according to its dates.
+ * Terminal and legacy frozen statuses are kept as they are.
+ * @param {Object} subscription - Subscription row (status, isPaused, startDate, endDate)
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.graceDays]
+ * @returns {string}
+ */
+function resolveStatus(subscription, { now = new Date(), graceDays = DEFAULT_GRACE_DAYS } = {}) {
+    const status = subscription.status || 'active';
+    if (TERMINAL_STATUSES.includes(status) || status === 'frozen') return status;
+    if (subscription.isPaused) return 'paused';
+    if (new Date(subscription.startDate) > now) return 'scheduled';
+
+    const endDate = new Date(subscription.endDate);
+    if (endDate >= now) return 'active';
+    if (graceDays > 0 && addDays(endDate, graceDays) >= now) return 'grace';
+    return 'expired';
+}
+
+/**
+ * Where clause for subscriptions that give access at `now`
+ * (includes scheduled ones whose start date the job has not processed yet)
+ */
+function currentSubscriptionWhere(now = new Date(), graceDays = DEFAULT_GRACE_DAYS) {
+    return {
+        status: { in: ['scheduled', ...CURRENT_STATUSES] },
+        isPaused: false,
+        startDate: { lte: now },
+        endDate: { gte: addDays(now, -graceDays) }
+    };
+}
+
+/**
+ * Where clause for subscriptions whose term has ended (grace included),
+ * whether or not the job has moved them to expired yet
+ */
+function endedSubscriptionWhere(now = new Date()) {
+    return {
+        status: { in: [...CURRENT_STATUSES, 'expired'] },
+        endDate: { lt: now }
+    };
+}
+
+/**
+ * Where clause for the expired / cancelled alerts list
+ */
+function lapsedSubscriptionWhere(now = new Date()) {
+    return {
+        OR: [
+            { status: { in: TERMINAL_STATUSES } },
+            { status: { in: CURRENT_STATUSES }, endDate: { lte: now } }
+        ]
+    };
+}
+
+/**
+ * Append a row to the subscription's status history
+ */
+async function recordEvent(client, subscriptionId, { fromStatus = null, toStatus, reason, userId = null, metadata = null, now = new Date() }) {
+    return client.subscriptionEvent.create({
+        data: {
+            subscriptionId,
+            fromStatus,
+            toStatus,
+            reason,
+            userId,
+            metadata: metadata ? JSON.stringify(metadata) : null,
+            createdAt: now
+        }
+    });
+}
+
+/**
+ * Update a subscription's status (with any extra fields) and record the transition.
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} subscription - Current row (id and status)
+ * @param {string} toStatus
+ * @param {Object} [options]
+ * @param {string} options.reason - SubscriptionEvent.reason
+ * @param {number|null} [options.userId]
+ * @param {Object} [options.data] - Extra Subscription fields to update
+ * @param {Object} [options.metadata] - Stored as JSON on the event
+ * @param {Object} [options.include] - Passed to subscription.update
+ * @returns {Promise<Object>} Updated subscription
+ */
+async function changeStatus(client, subscription, toStatus, { reason, userId = null, data = {}, metadata = null, include, now = new Date() } = {}) {
+    if (!SUBSCRIPTION_STATUSES.includes(toStatus)) {
+        throw createError(400, 'INVALID_STATUS', `Invalid subscription status: ${toStatus}`);
+    }
+
+    const updated = await client.subscription.update({
+        where: { id: subscription.id },
+        data: { ...data, status: toStatus },
+        ...(include ? { include } : {})
+    });
+    await recordEvent(client, subscription.id, {
+        fromStatus: subscription.status || null,
+        toStatus,
+        reason,
+        userId,
+        metadata,
+        now
+    });
+    return updated;
+}
+
+async function applyPause(client, subscription, { startAt, endAt = null, reason, userId = null, now }) {
+    const history = parseHistory(subscription.pauseHistory);
+    history.push({ start: startAt.toISOString(), end: null, reason: reason || 'Manual Pause' });
+
+    return changeStatus(client, subscription, 'paused', {
+        reason: 'paused',
+        userId,
+        now,
+        data: {
+            isPaused: true,
+            pauseHistory: JSON.stringify(history),
+            pauseStartsAt: null,
+            pauseEndsAt: endAt,
+            frozenAt: startAt // Legacy support
+        },
+        metadata: { pauseReason: reason || null, resumeAt: endAt }
+    });
+}
+
+/**
+ * Pause a subscription now, or schedule the pause when startAt is in the future.
+ * With endAt the job resumes it automatically.
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} subscription - Subscription row
+ * @param {Object} [options]
+ * @param {Date|string} [options.startAt] - Defaults to now
+ * @param {Date|string} [options.endAt] - Automatic resume date
+ * @param {string} [options.reason]
+ * @param {number|null} [options.userId]
+ * @returns {Promise<Object>} Updated subscription
+ */
+async function pauseSubscription(client, subscription, { startAt, endAt, reason, userId = null, now = new Date() } = {}) {
+    if (subscription.isPaused) {
+        throw createError(409, 'ALREADY_PAUSED', 'Subscription is already paused');
+    }
+
+    const start = parseDate(startAt, 'pause start date') || now;
+    const end = parseDate(endAt, 'resume date');
+    if (end && end <= start) {
+        throw createError(400, 'INVALID_DATE', 'Resume date must be after the pause start');
+    }
+
+    if (start > now) {
+        if (!['scheduled', 'active'].includes(subscription.status)) {
+            throw createError(400, 'INVALID_STATUS', 'Can only pause active subscriptions');
+        }
+        const updated = await client.subscription.update({
+            where: { id: subscription.id },
+            data: { pauseStartsAt: start, pauseEndsAt: end }
+        });
+        await recordEvent(client, subscription.id, {
+            fromStatus: subscription.status,
+            toStatus: subscription.status,
+            reason: 'pause_scheduled',
+            userId,
+            now,
+            metadata: { pauseReason: reason || null, startAt: start, resumeAt: end }
+        });
+        return updated;
+    }
+
+    if (subscription.status !== 'active') {
+        throw createError(400, 'INVALID_STATUS', 'Can only pause active subscriptions');
+    }
+    return applyPause(client, subscription, { startAt: start, endAt: end, reason, userId, now });
+}
+
+/**
+ * Drop a pause that is scheduled but has not started yet
+ */
+async function cancelScheduledPause(client, subscription, { userId = null, now = new Date() } = {}) {
+    if (!subscription.pauseStartsAt) {
+        throw createError(400, 'NO_SCHEDULED_PAUSE', 'Subscription has no scheduled pause');
+    }
+
+    const updated = await client.subscription.update({
+        where: { id: subscription.id },
+        data: { pauseStartsAt: null, pauseEndsAt: null }
+    });
+    await recordEvent(client, subscription.id, {
+        fromStatus: subscription.status,
+        toStatus: subscription.status,
+        reason: 'pause_unscheduled',
+        userId,
+        now,
+        metadata: { startAt: subscription.pauseStartsAt, resumeAt: subscription.pauseEndsAt }
+    });
+    return updated;
+}
+
+/**
+ * Resume a paused subscription and extend its end date by the paused days.
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} subscription - Subscription row
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Resume time (the scheduled pause end for automatic resumes)
+ * @param {string} [options.reason] - 'resumed' or 'pause_ended'
+ * @param {number} [options.graceDays]
+ * @returns {Promise<Object>} Updated subscription
+ */
+async function resumeSubscription(client, subscription, { at, reason = 'resumed', userId = null, graceDays = DEFAULT_GRACE_DAYS, now = new Date() } = {}) {
+    if (!subscription.isPaused) {
+        throw createError(400, 'NOT_PAUSED', 'Subscription is not paused');
+    }
+
+    const resumeAt = at || now;
+    const history = parseHistory(subscription.pauseHistory);
+    const openIndex = history.findIndex((entry) => entry.end === null);
+    let pausedDays = 0;
+
+    if (openIndex === -1) {
+        history.push({ start: resumeAt.toISOString(), end: resumeAt.toISOString(), note: 'Auto-closed orphan pause' });
+    } else {
+        const entry = history[openIndex];
+        pausedDays = Math.max(0, Math.ceil((resumeAt - new Date(entry.start)) / DAY_MS));
+        history[openIndex] = { ...entry, end: resumeAt.toISOString(), durationDays: pausedDays };
+    }
+
+    const endDate = addDays(subscription.endDate, pausedDays);
+    const toStatus = resolveStatus({ ...subscription, status: 'active', isPaused: false, endDate }, { now, graceDays });
+
+    return changeStatus(client, subscription, toStatus, {
+        reason,
+        userId,
+        now,
+        data: {
+            isPaused: false,
+            pauseHistory: JSON.stringify(history),
+            pauseStartsAt: null,
+            pauseEndsAt: null,
+            endDate,
+            frozenAt: null, // Clear legacy
+            frozenUntil: null
+        },
+        metadata: { pausedDays }
+    });
+}
+
+/**
+ * End a member's open subscriptions because a new cycle replaces them (renewal).
+ * Paused ones expire with their pause closed, so the job never resumes them;
+ * scheduled ones never started and are cancelled.
+ * @param {Object} client - Prisma client or transaction
+ * @param {number} memberId - Member ID
+ * @param {Object} [options] - { userId, metadata, now }
+ * @returns {Promise<Object[]>} Updated subscriptions
+ */
+async function supersedeSubscriptions(client, memberId, { userId = null, metadata = null, now = new Date() } = {}) {
+    const open = await client.subscription.findMany({
+        where: { memberId, status: { in: CANCELLABLE_STATUSES } }
+    });
+
+    const superseded = [];
+    for (const subscription of open) {
+        const data = { pauseStartsAt: null, pauseEndsAt: null };
+        if (subscription.isPaused) {
+            const history = parseHistory(subscription.pauseHistory)
+                .map((entry) => (entry.end === null ? { ...entry, end: now.toISOString() } : entry));
+            Object.assign(data, { isPaused: false, pauseHistory: JSON.stringify(history), frozenAt: null, frozenUntil: null });
+        }
+        superseded.push(await changeStatus(client, subscription, subscription.status === 'scheduled' ? 'cancelled' : 'expired', {
+            reason: 'superseded',
+            userId,
+            data,
+            metadata,
+            now
+        }));
+    }
+    return superseded;
+}
+
+/**
+ * Apply every due transition. Run by the 'subscription-lifecycle' job.
+ * Order matters: scheduled pauses start before due resumes are processed, so
+ * a pause that both started and ended since the last run is still counted.
+ * Emits subscription.expired for each subscription that expired.
+ * @param {Object} prisma - Prisma client instance
+ * @param {Date} now - Reference time
+ * @returns {Promise<{ processed: number, activated: number, paused: number, resumed: number, grace: number, expired: number }>}
+ */
+async function runLifecycle(prisma, now = new Date()) {
+    const graceDays = await getGraceDays(prisma);
+    const counts = { activated: 0, paused: 0, resumed: 0, grace: 0, expired: 0 };
+
+    const scheduled = await prisma.subscription.findMany({
+        where: { status: 'scheduled', isPaused: false, startDate: { lte: now } }
+    });
+    for (const subscription of scheduled) {
+        const toStatus = resolveStatus({ ...subscription, status: 'active' }, { now, graceDays });
+        await prisma.$transaction((tx) => changeStatus(tx, subscription, toStatus, { reason: 'activated', now }));
+        counts.activated += 1;
+    }
+
+    const pausesDue = await prisma.subscription.findMany({
+        where: { status: 'active', isPaused: false, pauseStartsAt: { lte: now } }
+    });
+    for (const subscription of pausesDue) {
+        await prisma.$transaction((tx) => applyPause(tx, subscription, {
+            startAt: subscription.pauseStartsAt,
+            endAt: subscription.pauseEndsAt,
+            reason: 'Scheduled Pause',
+            now
+        }));
+        counts.paused += 1;
+    }
+
+    const resumesDue = await prisma.subscription.findMany({
+        where: { isPaused: true, pauseEndsAt: { lte: now } }
+    });
+    for (const subscription of resumesDue) {
+        await prisma.$transaction((tx) => resumeSubscription(tx, subscription, {
+            at: subscription.pauseEndsAt,
+            reason: 'pause_ended',
+            graceDays,
+            now
+        }));
+        counts.resumed += 1;
+    }
+
+    const ended = await prisma.subscription.findMany({
+        where: { status: { in: CURRENT_STATUSES }, isPaused: false, endDate: { lt: now } },
+        include: { plan: { select: { name: true } } }
+    });
+    for (const subscription of ended) {
+        const toStatus = resolveStatus(subscription, { now, graceDays });
+        if (toStatus === subscription.status) continue;
+
+        const { plan, ...row } = subscription;
+        await prisma.$transaction((tx) => changeStatus(tx, row, toStatus, {
+            reason: toStatus === 'grace' ? 'grace_started' : 'expired',
+            // A pause scheduled after the end date can no longer start
+            data: toStatus === 'expired' ? { pauseStartsAt: null, pauseEndsAt: null } : {},
+            now
+        }));
+
+        if (toStatus === 'grace') {
+            counts.grace += 1;
+        } else {
+            counts.expired += 1;
+            await emitEvent(prisma, WEBHOOK_EVENTS.SUBSCRIPTION_EXPIRED, {
+                subscription: serializeSubscription({ ...subscription, status: 'expired' })
+            }, { now });
+        }
+    }
+
+    const processed = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    return { processed, ...counts };
+}
+
+module.exports = {
+    SUBSCRIPTION_STATUSES,
+    CURRENT_STATUSES,
+    OPEN_STATUSES,
+    CANCELLABLE_STATUSES,
+    getGraceDays,
+    initialStatus,
+    resolveStatus,
+    currentSubscriptionWhere,
+    endedSubscriptionWhere,
+    lapsedSubscriptionWhere,
+    recordEvent,
+    changeStatus,
+    pauseSubscription,
+    cancelScheduledPause,
+    resumeSubscription,
+    supersedeSubscriptions,
+    runLifecycle
+};
@@ -0,0 +1,244 @@
+/**
+ * ============================================
+ * TAX SERVICE
+ * ============================================
+ *
+ * VAT / sales tax on subscriptions, session payments and POS products.
+ *
+ * Rates are percentages. A plan, product or service may carry its own
+ * `taxRate`; null falls back to the `tax_default_rate` setting, and
+ * everything is 0 while `tax_enabled` is off.
+ *
+ * `tax_prices_inclusive` decides whether catalogue prices already contain
+ * tax (the tax is extracted) or tax is added on top at the counter. Either
+ * way the stored amounts (Subscription.price, Payment.amount,
+ * SaleItem.lineTotal) are what the member paid, tax included, and the rate
+ * is snapshotted next to them, so later rate changes never touch past
+ * sales. Session prices are agreed per appointment and are always treated
+ * as tax-inclusive.
+ *
+ * The tax report works on a cash basis: tax collected in payments and POS
+ * sales during the period, minus tax returned in refunds.
+ */
+
+const { roundMoney } = require('../utils/money');
+const { branchWhere, shiftBranchWhere } = require('./branchService');
+const { NET_REVENUE_PAYMENT_STATUSES } = require('../utils/financialCalculations');
+
+const TAX_SETTINGS = {
+    enabled: { key: 'tax_enabled', default: false },
+    name: { key: 'tax_name', default: 'VAT' },
+    defaultRate: { key: 'tax_default_rate', default: 0 },
+    inclusive: { key: 'tax_prices_inclusive', default: true },
+    registrationNumber: { key: 'tax_registration_number', default: '' }
+};
+
+const TAX_SOURCES = ['subscriptions', 'sessions', 'products', 'other'];
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+/**
+ * Parse a taxRate field from a plan / product / service form.
+ * undefined = not sent, null = use the default rate.
+ */
+function parseTaxRate(value) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    const rate = Number(value);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+        throw createError(400, 'INVALID_TAX_RATE', 'Tax rate must be a percentage between 0 and 100');
+    }
+    return rate;
+}
+
+/**
+ * Read the tax settings (defaults for missing keys)
+ */
+async function getTaxSettings(prisma) {
+    const keys = Object.values(TAX_SETTINGS).map((def) => def.key);
+    const rows = await prisma.setting.findMany({ where: { key: { in: keys } } });
+    const byKey = new Map(rows.map((row) => [row.key, row.value]));
+    const raw = (name) => byKey.get(TAX_SETTINGS[name].key);
+
+    const rate = Number(raw('defaultRate'));
+    return {
+        enabled: raw('enabled') === undefined ? TAX_SETTINGS.enabled.default : raw('enabled') === 'true',
+        name: raw('name') || TAX_SETTINGS.name.default,
+        defaultRate: Number.isFinite(rate) && rate >= 0 ? rate : TAX_SETTINGS.defaultRate.default,
+        inclusive: raw('inclusive') === undefined ? TAX_SETTINGS.inclusive.default : raw('inclusive') !== 'false',
+        registrationNumber: raw('registrationNumber') || TAX_SETTINGS.registrationNumber.default
+    };
+}
+
+/**
+ * Rate that applies to an item with its own (possibly null) taxRate
+ */
+function resolveTaxRate(settings, itemRate) {
+    if (!settings || !settings.enabled) return 0;
+    if (itemRate !== null && itemRate !== undefined) return itemRate;
+    return settings.defaultRate;
+}
+
+/**
+ * Tax contained in a tax-inclusive amount
+ */
+function taxIncluded(amount, rate) {
+    if (!rate || !amount) return 0;
+    return roundMoney((amount * rate) / (100 + rate));
+}
+
+/**
+ * What the member pays for a catalogue price at the given rate
+ */
+function priceWithTax(price, rate, inclusive) {
+    if (inclusive || !rate) return roundMoney(price);
+    return roundMoney(price + (price * rate) / 100);
+}
+
+/**
+ * Group tax-inclusive amounts by rate: [{ rate, taxable, tax }].
+ * Untaxed amounts are left out.
+ */
+function buildTaxLines(lines) {
+    const byRate = new Map();
+    for (const line of lines) {
+        if (!line.rate || !line.amount) continue;
+        const row = byRate.get(line.rate) || { rate: line.rate, taxable: 0, tax: 0 };
+        const tax = taxIncluded(line.amount, line.rate);
+        row.tax = roundMoney(row.tax + tax);
+        row.taxable = roundMoney(row.taxable + line.amount - tax);
+        byRate.set(line.rate, row);
+    }
+    return [...byRate.values()].sort((a, b) => a.rate - b.rate);
+}
+
+/**
+ * Tax fields merged into a receipt's totals
+ * lines: [{ amount (tax included), rate }]
+ */
+function buildReceiptTax(settings, lines) {
+    const taxLines = buildTaxLines(lines);
+    if (taxLines.length === 0) return { tax: 0 };
+
+    return {
+        tax: roundMoney(taxLines.reduce((sum, line) => sum + line.tax, 0)),
+        taxLines,
+        taxName: settings?.name || TAX_SETTINGS.name.default,
+        taxNumber: settings?.registrationNumber || null,
+        pricesIncludeTax: settings ? settings.inclusive : true
+    };
+}
+
+/**
+ * Rate for a session payment, from the service the appointment was booked
+ * for (Appointment.serviceId; null falls back to the default rate)
+ */
+async function resolveServiceTaxRate(prisma, serviceId, settings = null) {
+    const taxSettings = settings || await getTaxSettings(prisma);
+    if (!taxSettings.enabled) return 0;
+
+    const service = serviceId
+        ? await prisma.service.findUnique({ where: { id: parseInt(serviceId) }, select: { taxRate: true } })
+        : null;
+    return resolveTaxRate(taxSettings, service ? service.taxRate : null);
+}
+
+const paymentSource = (payment) => {
+    if (payment.subscriptionId) return 'subscriptions';
+    if (payment.appointmentId) return 'sessions';
+    return 'other';
+};
+
+/**
+ * Tax summary for a period: collected tax per rate and per source
+ */
+async function buildTaxReport(prisma, { startDate, endDate, branchScope = null }) {
+    const [settings, payments, refunds, saleItems] = await Promise.all([
+        getTaxSettings(prisma),
+        prisma.payment.findMany({
+            where: {
+                paidAt: { gte: startDate, lte: endDate },
+                status: { in: NET_REVENUE_PAYMENT_STATUSES },
+                amount: { gt: 0 },
+                ...branchWhere(branchScope)
+            },
+            select: { amount: true, taxRate: true, subscriptionId: true, appointmentId: true }
+        }),
+        prisma.refund.findMany({
+            where: { createdAt: { gte: startDate, lte: endDate }, ...shiftBranchWhere(branchScope) },
+            select: {
+                amount: true,
+                payment: { select: { taxRate: true, subscriptionId: true, appointmentId: true } }
+            }
+        }),
+        prisma.saleItem.findMany({
+            where: { transaction: { createdAt: { gte: startDate, lte: endDate }, ...branchWhere(branchScope) } },
+            select: { lineTotal: true, taxRate: true, taxAmount: true }
+        })
+    ]);
+
+    const byRate = new Map();
+    const bySource = new Map(TAX_SOURCES.map((source) => [source, {
+        source,
+        grossAmount: 0,
+        taxableAmount: 0,
+        taxAmount: 0
+    }]));
+
+    const add = (source, rate, gross, tax) => {
+        const rateRow = byRate.get(rate) || { rate, grossAmount: 0, taxableAmount: 0, taxAmount: 0 };
+        const sourceRow = bySource.get(source);
+        for (const row of [rateRow, sourceRow]) {
+            row.grossAmount = roundMoney(row.grossAmount + gross);
+            row.taxAmount = roundMoney(row.taxAmount + tax);
+            row.taxableAmount = roundMoney(row.grossAmount - row.taxAmount);
+        }
+        byRate.set(rate, rateRow);
+    };
+
+    payments.forEach((payment) => {
+        const rate = payment.taxRate || 0;
+        add(paymentSource(payment), rate, payment.amount, taxIncluded(payment.amount, rate));
+    });
+    refunds.forEach((refund) => {
+        const rate = refund.payment?.taxRate || 0;
+        const amount = refund.amount || 0;
+        add(refund.payment ? paymentSource(refund.payment) : 'other', rate, -amount, -taxIncluded(amount, rate));
+    });
+    saleItems.forEach((item) => {
+        add('products', item.taxRate || 0, item.lineTotal || 0, item.taxAmount || 0);
+    });
+
+    const rates = [...byRate.values()].sort((a, b) => a.rate - b.rate);
+    const sum = (field) => roundMoney(rates.reduce((total, row) => total + row[field], 0));
+
+    return {
+        taxName: settings.name,
+        registrationNumber: settings.registrationNumber,
+        summary: {
+            grossAmount: sum('grossAmount'),
+            taxableAmount: sum('taxableAmount'),
+            taxAmount: sum('taxAmount')
+        },
+        rates,
+        sources: [...bySource.values()]
+    };
+}
+
+module.exports = {
+    TAX_SOURCES,
+    parseTaxRate,
+    getTaxSettings,
+    resolveTaxRate,
+    taxIncluded,
+    priceWithTax,
+    resolveServiceTaxRate,
+    buildTaxLines,
+    buildReceiptTax,
+    buildTaxReport
+};
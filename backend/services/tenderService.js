@@ -0,0 +1,231 @@
+/**
+ * ============================================
+ * TENDER SERVICE
+ * ============================================
+ *
+ * Split-tender payments: a payment or POS sale settled with more than one
+ * tender (e.g. part cash, part card).
+ *
+ * A split transaction is stored with method "mixed" and one PaymentTender
+ * row per tender. Single-method transactions have no tender rows; their
+ * own method and amount are the only tender. tenderBreakdown() hides that
+ * difference from everything that reconciles money per method (cash
+ * closing, shift summaries, receipts).
+ *
+ * Refunds record the tender the money went back through (Refund.method).
+ * On split payments, refunds go back to card / transfer tenders first and
+ * to cash last, unless staff pick the tender.
+ */
+
+const { roundMoney } = require('../utils/money');
+
+const MIXED_METHOD = 'mixed';
+const TENDER_METHODS = ['cash', 'card', 'transfer', 'wallet'];
+// Non-cash tenders are reversed first so the drawer is touched last
+const REFUND_ORDER = ['card', 'transfer', 'wallet', 'cash'];
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+const normalizeMethod = (method) => String(method || 'cash').trim().toLowerCase();
+
+const isMixed = (method) => normalizeMethod(method) === MIXED_METHOD;
+
+/**
+ * Validate the tender lines of a split payment.
+ * Returns [{ method, amount, externalReference }].
+ *
+ * options.methods            allowed tender methods
+ * options.total              amount the tenders must add up to (skipped when null)
+ * options.requireReference   methods that need an externalReference
+ */
+function parseTenders(rawTenders, options = {}) {
+    const methods = options.methods || TENDER_METHODS;
+    const requireReference = options.requireReference || [];
+
+    if (!Array.isArray(rawTenders) || rawTenders.length < 2) {
+        throw createError(400, 'INVALID_TENDERS', 'A split payment needs at least two tenders');
+    }
+
+    const tenders = rawTenders.map((raw) => {
+        const method = normalizeMethod(raw?.method);
+        const amount = Number(raw?.amount);
+        if (!methods.includes(method)) {
+            throw createError(400, 'INVALID_TENDERS', `Invalid tender method: ${raw?.method}`);
+        }
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw createError(400, 'INVALID_TENDERS', 'Each tender amount must be greater than 0');
+        }
+        const reference = raw?.externalReference ? String(raw.externalReference).trim().toUpperCase() : '';
+        if (!reference && requireReference.includes(method)) {
+            throw createError(400, 'TENDER_REFERENCE_REQUIRED', `Transaction reference is required for the ${method} tender`);
+        }
+        return {
+            method,
+            amount: roundMoney(amount),
+            externalReference: method === 'cash' ? null : (reference || null)
+        };
+    });
+
+    if (options.total !== undefined && options.total !== null) {
+        assertTendersTotal(tenders, options.total);
+    }
+
+    return tenders;
+}
+
+function tendersTotal(tenders) {
+    return roundMoney(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+}
+
+function assertTendersTotal(tenders, total) {
+    const sum = tendersTotal(tenders);
+    if (Math.abs(sum - roundMoney(total)) > 0.01) {
+        throw createError(400, 'TENDER_TOTAL_MISMATCH', `Tenders add up to ${sum} but the total is ${roundMoney(total)}`);
+    }
+}
+
+/**
+ * [{ method, amount, externalReference }] for a payment or sale.
+ * Expects `tenders` to be loaded for mixed transactions.
+ */
+function tenderBreakdown(record) {
+    if (!record) return [];
+    if (Array.isArray(record.tenders) && record.tenders.length > 0) {
+        return record.tenders.map((tender) => ({
+            method: normalizeMethod(tender.method),
+            amount: roundMoney(Number(tender.amount) || 0),
+            externalReference: tender.externalReference || null
+        }));
+    }
+    const method = record.method ?? record.paymentMethod;
+    const amount = record.amount ?? record.totalAmount;
+    return [{
+        method: normalizeMethod(method),
+        amount: roundMoney(Number(amount) || 0),
+        externalReference: record.externalReference || null
+    }];
+}
+
+/**
+ * Tender a refund was paid out through (older refunds only have the payment's method)
+ */
+function refundMethod(refund) {
+    if (refund?.method) return normalizeMethod(refund.method);
+    const paymentMethod = refund?.payment?.method;
+    return isMixed(paymentMethod) ? 'cash' : normalizeMethod(paymentMethod);
+}
+
+/**
+ * Amount still refundable per tender: [{ method, amount }].
+ * Expects the payment with `tenders` and `refunds`.
+ */
+function refundableByTender(payment) {
+    const remaining = new Map();
+    tenderBreakdown(payment).forEach((tender) => {
+        remaining.set(tender.method, roundMoney((remaining.get(tender.method) || 0) + tender.amount));
+    });
+
+    const single = remaining.size === 1 ? [...remaining.keys()][0] : null;
+    (payment.refunds || []).forEach((refund) => {
+        const method = refund.method ? normalizeMethod(refund.method) : single;
+        if (method && remaining.has(method)) {
+            remaining.set(method, roundMoney(remaining.get(method) - (Number(refund.amount) || 0)));
+            return;
+        }
+        // Refunds that predate tender tracking come off in refund order
+        let left = Number(refund.amount) || 0;
+        for (const entry of sortForRefund([...remaining.keys()])) {
+            if (left <= 0) break;
+            const take = Math.min(left, Math.max(remaining.get(entry), 0));
+            remaining.set(entry, roundMoney(remaining.get(entry) - take));
+            left = roundMoney(left - take);
+        }
+    });
+
+    return [...remaining.entries()].map(([method, amount]) => ({ method, amount: Math.max(amount, 0) }));
+}
+
+const sortForRefund = (methods) => [...methods].sort((a, b) => {
+    const rank = (method) => {
+        const index = REFUND_ORDER.indexOf(method);
+        return index === -1 ? REFUND_ORDER.length : index;
+    };
+    return rank(a) - rank(b);
+});
+
+/**
+ * Split a refund over the payment's tenders: [{ method, amount }].
+ * With `method`, the whole refund goes through that tender.
+ */
+function allocateRefund(payment, amount, method = null) {
+    const refundAmount = roundMoney(amount);
+    const balances = refundableByTender(payment);
+
+    if (method) {
+        const requested = normalizeMethod(method);
+        const balance = balances.find((entry) => entry.method === requested);
+        if (!balance) {
+            throw createError(400, 'INVALID_REFUND_METHOD', `This payment has no ${requested} tender`);
+        }
+        if (refundAmount > balance.amount + 0.01) {
+            throw createError(400, 'TENDER_REFUND_EXCEEDED', `Only ${balance.amount} can be refunded through the ${requested} tender`);
+        }
+        return [{ method: requested, amount: refundAmount }];
+    }
+
+    if (balances.length === 1) {
+        return [{ method: balances[0].method, amount: refundAmount }];
+    }
+
+    const byMethod = new Map(balances.map((entry) => [entry.method, entry.amount]));
+    const allocations = [];
+    let left = refundAmount;
+    for (const entry of sortForRefund([...byMethod.keys()])) {
+        if (left <= 0) break;
+        const take = roundMoney(Math.min(left, byMethod.get(entry)));
+        if (take <= 0) continue;
+        allocations.push({ method: entry, amount: take });
+        left = roundMoney(left - take);
+    }
+    if (left > 0) {
+        // Anything past the tender balances (rounding, goodwill) goes through the last tender
+        const last = allocations[allocations.length - 1];
+        if (last) last.amount = roundMoney(last.amount + left);
+        else allocations.push({ method: sortForRefund([...byMethod.keys()]).pop(), amount: left });
+    }
+    return allocations;
+}
+
+/**
+ * Tender lines printed under a receipt's totals (split transactions only)
+ */
+function buildReceiptTenders(record) {
+    const tenders = tenderBreakdown(record);
+    if (tenders.length < 2) return {};
+    return {
+        tenders: tenders.map((tender) => ({
+            method: tender.method,
+            amount: tender.amount,
+            ...(tender.externalReference && { reference: tender.externalReference })
+        }))
+    };
+}
+
+module.exports = {
+    MIXED_METHOD,
+    TENDER_METHODS,
+    isMixed,
+    parseTenders,
+    tendersTotal,
+    assertTendersTotal,
+    tenderBreakdown,
+    refundMethod,
+    refundableByTender,
+    allocateRefund,
+    buildReceiptTenders
+};
@@ -0,0 +1,437 @@
+/**
+ * ============================================
+ * WEBHOOK SERVICE
+ * ============================================
+ *
+ * Outgoing webhooks for domain events.
+ * - emitEvent() queues one WebhookDelivery row per subscribed endpoint.
+ *   When called with a transaction client the rows commit with the
+ *   business change (outbox), so no event is lost or sent for a rollback.
+ *   Its queries run in a savepoint there, so a failure cannot abort the
+ *   caller's transaction.
+ * - Deliveries are POSTed with an HMAC-SHA256 signature and retried
+ *   with exponential backoff by the webhook-delivery job. A sender claims
+ *   a row (status "sending" with a lease in nextAttemptAt) before posting,
+ *   so the job and the post-emit dispatch never send the same row twice.
+ * - Admins can inspect and replay deliveries (/api/webhooks).
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { featureFlags, FEATURES } = require('./featureFlags');
+
+const WEBHOOK_EVENTS = {
+    MEMBER_CREATED: 'member.created',
+    PAYMENT_RECORDED: 'payment.recorded',
+    REFUND_CREATED: 'refund.created',
+    CHECKIN_CREATED: 'checkin.created',
+    SUBSCRIPTION_CREATED: 'subscription.created',
+    SUBSCRIPTION_RENEWED: 'subscription.renewed',
+    SUBSCRIPTION_CANCELLED: 'subscription.cancelled',
+    SUBSCRIPTION_EXPIRED: 'subscription.expired',
+    APPOINTMENT_COMPLETED: 'appointment.completed'
+};
+
+const ALL_EVENTS = Object.values(WEBHOOK_EVENTS);
+const TEST_EVENT = 'webhook.test';
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const RESPONSE_BODY_LIMIT = 1000;
+const DISPATCH_DELAY_MS = 250;
+const SEND_LEASE_MS = 2 * 60 * 1000;
+const DELIVERY_RETENTION_DAYS = 30;
+
+const createError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+/**
+ * Exponential backoff: 30s, 1m, 2m, 4m ... capped at 6 hours
+ */
+function computeRetryDelayMs(attempt) {
+    const safeAttempt = Math.max(1, parseInt(attempt) || 1);
+    return Math.min(RETRY_BASE_MS * Math.pow(2, safeAttempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>" (hex)
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function normalizeEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+        throw createError(400, 'INVALID_EVENTS', 'Select at least one event');
+    }
+    const unique = [...new Set(events.map((event) => String(event).trim()))];
+    const unknown = unique.filter((event) => event !== '*' && !ALL_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw createError(400, 'INVALID_EVENTS', `Unknown event(s): ${unknown.join(', ')}`);
+    }
+    return unique.includes('*') ? ['*'] : unique;
+}
+
+function normalizeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url || '').trim());
+    } catch (error) {
+        throw createError(400, 'INVALID_URL', 'Webhook URL must be a valid http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw createError(400, 'INVALID_URL', 'Webhook URL must be a valid http(s) URL');
+    }
+    return parsed.toString();
+}
+
+const parseEvents = (endpoint) => {
+    try {
+        const events = JSON.parse(endpoint?.events || '[]');
+        return Array.isArray(events) ? events : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+const subscribesTo = (endpoint, event) => {
+    const events = parseEvents(endpoint);
+    return events.includes('*') || events.includes(event);
+};
+
+/**
+ * Public shape of an endpoint. The secret is only included on create/rotate.
+ */
+function serializeEndpoint(endpoint, { includeSecret = false } = {}) {
+    const { secret, events, ...rest } = endpoint;
+    return {
+        ...rest,
+        events: parseEvents(endpoint),
+        ...(includeSecret ? { secret } : { secretHint: `${String(secret).slice(0, 10)}…` })
+    };
+}
+
+/**
+ * Build create/update data for an endpoint from request input
+ */
+function buildEndpointData(input = {}, { partial = false } = {}) {
+    const data = {};
+    if (!partial || input.url !== undefined) data.url = normalizeUrl(input.url);
+    if (!partial || input.events !== undefined) data.events = JSON.stringify(normalizeEvents(input.events));
+    if (input.description !== undefined) data.description = input.description ? String(input.description).trim() : null;
+    if (input.isActive !== undefined) data.isActive = Boolean(input.isActive);
+    return data;
+}
+
+// ============================================
+// DISPATCH
+// ============================================
+
+let dispatchClient = null;
+let dispatchTimer = null;
+
+/**
+ * Register the root Prisma client used to send queued deliveries right
+ * after an event is emitted (the scheduled job covers everything else).
+ */
+function setDispatchClient(prisma) {
+    dispatchClient = prisma;
+}
+
+function scheduleDispatch() {
+    if (!dispatchClient || dispatchTimer) return;
+    dispatchTimer = setTimeout(() => {
+        dispatchTimer = null;
+        processDueDeliveries(dispatchClient).catch((error) => {
+            console.error('[WEBHOOKS] Dispatch error:', error.message);
+        });
+    }, DISPATCH_DELAY_MS);
+    if (typeof dispatchTimer.unref === 'function') dispatchTimer.unref();
+}
+
+/**
+ * Queue an event for every active endpoint subscribed to it.
+ * Never throws: webhook problems must not break the business operation.
+ * @param {Object} prisma - Prisma client or transaction client
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event payload (use utils/apiSerializers shapes)
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitEvent(prisma, event, data, { now = new Date() } = {}) {
+    if (!featureFlags.isEnabled(FEATURES.API_ACCESS)) return 0;
+
+    // A transaction client has raw queries but no $transaction of its own
+    const inTransaction = typeof prisma.$executeRawUnsafe === 'function' && typeof prisma.$transaction !== 'function';
+    try {
+        if (inTransaction) await prisma.$executeRawUnsafe('SAVEPOINT webhook_emit');
+
+        const endpoints = (await prisma.webhookEndpoint.findMany({ where: { isActive: true } }))
+            .filter((endpoint) => subscribesTo(endpoint, event));
+        if (endpoints.length === 0) {
+            if (inTransaction) await prisma.$executeRawUnsafe('RELEASE SAVEPOINT webhook_emit');
+            return 0;
+        }
+
+        const eventId = crypto.randomUUID();
+        const payload = JSON.stringify({
+            id: eventId,
+            event,
+            createdAt: now.toISOString(),
+            data
+        });
+
+        await prisma.webhookDelivery.createMany({
+            data: endpoints.map((endpoint) => ({
+                endpointId: endpoint.id,
+                event,
+                eventId,
+                payload,
+                nextAttemptAt: now
+            }))
+        });
+        if (inTransaction) await prisma.$executeRawUnsafe('RELEASE SAVEPOINT webhook_emit');
+
+        scheduleDispatch();
+        return endpoints.length;
+    } catch (error) {
+        console.error(`[WEBHOOKS] Failed to queue ${event}:`, error.message);
+        if (inTransaction) {
+            await prisma.$executeRawUnsafe('ROLLBACK TO SAVEPOINT webhook_emit').catch((rollbackError) => {
+                console.error('[WEBHOOKS] Savepoint rollback failed:', rollbackError.message);
+            });
+        }
+        return 0;
+    }
+}
+
+/**
+ * Claim a due delivery for sending. The lease (nextAttemptAt) lets another
+ * sender pick the row up again if this one stops before recording a result.
+ * @returns {Promise<boolean>} false when another sender already has it
+ */
+async function claimDelivery(prisma, deliveryId, now = new Date()) {
+    const { count } = await prisma.webhookDelivery.updateMany({
+        where: { id: deliveryId, status: { in: ['pending', 'sending'] }, nextAttemptAt: { lte: now } },
+        data: { status: 'sending', nextAttemptAt: new Date(now.getTime() + SEND_LEASE_MS) }
+    });
+    return count === 1;
+}
+
+/**
+ * Send one delivery and record the outcome.
+ * @param {Object} prisma
+ * @param {number} deliveryId
+ * @param {Object} options - { httpClient, now }
+ * @returns {Promise<Object>} Updated delivery
+ */
+async function deliverWebhook(prisma, deliveryId, { httpClient = axios, now = new Date() } = {}) {
+    const delivery = await prisma.webhookDelivery.findUnique({
+        where: { id: parseInt(deliveryId) },
+        include: { endpoint: true }
+    });
+    if (!delivery) {
+        throw createError(404, 'DELIVERY_NOT_FOUND', 'Webhook delivery not found');
+    }
+    if (delivery.status === 'success') {
+        return delivery;
+    }
+
+    if (!delivery.endpoint.isActive) {
+        return prisma.webhookDelivery.update({
+            where: { id: delivery.id },
+            data: { status: 'failed', nextAttemptAt: null, error: 'Endpoint is disabled' }
+        });
+    }
+
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const signature = signPayload(delivery.endpoint.secret, timestamp, delivery.payload);
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+        const response = await httpClient.request({
+            method: 'POST',
+            url: delivery.endpoint.url,
+            data: delivery.payload,
+            timeout: REQUEST_TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'GymManagement-Webhooks/1.0',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Id': delivery.eventId,
+                'X-Webhook-Delivery': String(delivery.id),
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': `sha256=${signature}`
+            },
+            transformResponse: [(body) => body],
+            validateStatus: () => true
+        });
+        responseStatus = response.status;
+        responseBody = typeof response.data === 'string'
+            ? response.data.slice(0, RESPONSE_BODY_LIMIT)
+            : null;
+        if (response.status < 200 || response.status >= 300) {
+            error = `HTTP ${response.status}`;
+        }
+    } catch (requestError) {
+        error = requestError.code ? `${requestError.code}: ${requestError.message}` : requestError.message;
+    }
+
+    const data = {
+        attempts,
+        lastAttemptAt: now,
+        responseStatus,
+        responseBody,
+        error
+    };
+
+    if (!error) {
+        Object.assign(data, { status: 'success', deliveredAt: now, nextAttemptAt: null });
+    } else if (attempts >= MAX_ATTEMPTS) {
+        Object.assign(data, { status: 'failed', nextAttemptAt: null });
+    } else {
+        Object.assign(data, { status: 'pending', nextAttemptAt: new Date(now.getTime() + computeRetryDelayMs(attempts)) });
+    }
+
+    return prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data
+    });
+}
+
+/**
+ * Send every pending delivery whose next attempt is due, and every
+ * claimed one whose sender let the lease run out
+ * @returns {Promise<{ processed: number, delivered: number, failed: number, retrying: number }>}
+ */
+async function processDueDeliveries(prisma, { now = new Date(), limit = 50, httpClient } = {}) {
+    const due = await prisma.webhookDelivery.findMany({
+        where: {
+            status: { in: ['pending', 'sending'] },
+            nextAttemptAt: { lte: now }
+        },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: limit,
+        select: { id: true }
+    });
+
+    const summary = { processed: 0, delivered: 0, failed: 0, retrying: 0 };
+    for (const { id } of due) {
+        try {
+            if (!(await claimDelivery(prisma, id, now))) continue;
+            const result = await deliverWebhook(prisma, id, { httpClient, now });
+            summary.processed += 1;
+            if (result.status === 'success') summary.delivered += 1;
+            else if (result.status === 'failed') summary.failed += 1;
+            else summary.retrying += 1;
+        } catch (error) {
+            console.error(`[WEBHOOKS] Delivery ${id} error:`, error.message);
+        }
+    }
+    return summary;
+}
+
+/**
+ * Re-send a delivery as a new row (the original keeps its history)
+ */
+async function replayDelivery(prisma, deliveryId, options = {}) {
+    const original = await prisma.webhookDelivery.findUnique({
+        where: { id: parseInt(deliveryId) }
+    });
+    if (!original) {
+        throw createError(404, 'DELIVERY_NOT_FOUND', 'Webhook delivery not found');
+    }
+
+    const replay = await prisma.webhookDelivery.create({
+        data: {
+            endpointId: original.endpointId,
+            event: original.event,
+            eventId: original.eventId,
+            payload: original.payload,
+            replayOfId: original.id,
+            // Claimed from the start: sent right here, not by the job
+            status: 'sending',
+            nextAttemptAt: new Date(Date.now() + SEND_LEASE_MS)
+        }
+    });
+    return deliverWebhook(prisma, replay.id, options);
+}
+
+/**
+ * Send a webhook.test event to one endpoint right away
+ */
+async function sendTestEvent(prisma, endpointId, options = {}) {
+    const endpoint = await prisma.webhookEndpoint.findUnique({
+        where: { id: parseInt(endpointId) }
+    });
+    if (!endpoint) {
+        throw createError(404, 'ENDPOINT_NOT_FOUND', 'Webhook endpoint not found');
+    }
+
+    const eventId = crypto.randomUUID();
+    const delivery = await prisma.webhookDelivery.create({
+        data: {
+            endpointId: endpoint.id,
+            event: TEST_EVENT,
+            eventId,
+            payload: JSON.stringify({
+                id: eventId,
+                event: TEST_EVENT,
+                createdAt: new Date().toISOString(),
+                data: { message: 'Test event from Gym Management System' }
+            }),
+            status: 'sending',
+            nextAttemptAt: new Date(Date.now() + SEND_LEASE_MS)
+        }
+    });
+    return deliverWebhook(prisma, delivery.id, options);
+}
+
+/**
+ * Delete finished deliveries older than the retention period
+ * @returns {Promise<{ processed: number }>}
+ */
+async function pruneDeliveries(prisma, now = new Date()) {
+    const cutoff = new Date(now.getTime() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const result = await prisma.webhookDelivery.deleteMany({
+        where: {
+            createdAt: { lt: cutoff },
+            status: { in: ['success', 'failed'] }
+        }
+    });
+    return { processed: result.count };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    ALL_EVENTS,
+    TEST_EVENT,
+    MAX_ATTEMPTS,
+    DELIVERY_RETENTION_DAYS,
+    computeRetryDelayMs,
+    generateSecret,
+    signPayload,
+    normalizeEvents,
+    serializeEndpoint,
+    buildEndpointData,
+    setDispatchClient,
+    emitEvent,
+    deliverWebhook,
+    claimDelivery,
+    processDueDeliveries,
+    replayDelivery,
+    sendTestEvent,
+    pruneDeliveries
+};
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    encodeCommand,
+    buildDeviceData,
+    serializeDevice,
+    generateReaderToken,
+    findDeviceByToken,
+    openForCheckIn,
+    handleScan,
+    getSimulatedCommands,
+    clearSimulatedCommands
+} = require('../services/accessControlService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createMockPrisma({ devices = [], members = [], credentials = [], subscriptions = [], checkIns = [] } = {}) {
+    const events = [];
+    return {
+        events,
+        checkIns,
+        setting: { findUnique: async () => null },
+        accessDevice: {
+            findMany: async ({ where }) => devices.filter((device) => (
+                device.isActive === where.isActive
+                && device.openOnCheckIn === where.openOnCheckIn
+                && where.OR.some((condition) => device.branchId === condition.branchId)
+            )),
+            findUnique: async ({ where }) => devices.find((device) => device.readerTokenHash === where.readerTokenHash) || null,
+            update: async ({ where, data }) => Object.assign(devices.find((device) => device.id === where.id), data)
+        },
+        accessDeviceEvent: {
+            create: async ({ data }) => {
+                events.push(data);
+                return data;
+            }
+        },
+        memberCredential: {
+            findUnique: async ({ where }) => {
+                const credential = credentials.find((row) => row.uid === where.uid);
+                return credential ? { ...credential, member: members.find((member) => member.id === credential.memberId) } : null;
+            }
+        },
+        member: {
+            findFirst: async ({ where }) => members.find((member) => member.memberId === where.memberId) || null
+        },
+        subscription: {
+            findFirst: async ({ where }) => subscriptions.find((sub) => sub.memberId === where.memberId) || null
+        },
+        memberPackage: {
+            updateMany: async () => ({ count: 0 }),
+            findFirst: async () => null
+        },
+        appointment: { findFirst: async () => null },
+        checkIn: {
+            findFirst: async ({ where }) => checkIns.find((row) => row.memberId === where.memberId && !row.checkOutTime) || null,
+            create: async ({ data }) => {
+                const row = { id: checkIns.length + 1, checkInTime: new Date(), ...data };
+                checkIns.push(row);
+                return row;
+            }
+        },
+        webhookEndpoint: { findMany: async () => [] }
+    };
+}
+
+const device = (overrides) => ({
+    name: 'Turnstile',
+    driver: 'simulated',
+    config: '{}',
+    branchId: null,
+    isActive: true,
+    openOnCheckIn: true,
+    pulseMs: 800,
+    ...overrides
+});
+
+test('device config keeps masked secrets and commands accept hex', () => {
+    const data = buildDeviceData({
+        name: ' Front door ',
+        driver: 'http_relay',
+        config: { url: 'http://relay.local/open', authHeaderName: 'X-Key', authHeaderValue: 'secret' },
+        pulseMs: '1500'
+    });
+    assert.equal(data.name, 'Front door');
+    assert.equal(data.pulseMs, 1500);
+
+    const serialized = serializeDevice({ id: 1, ...data, readerTokenHash: 'abc' });
+    assert.equal(serialized.config.authHeaderValue, '********');
+    assert.equal(serialized.hasReaderToken, true);
+    assert.equal(serialized.readerTokenHash, undefined);
+
+    const updated = buildDeviceData({ config: serialized.config }, { id: 1, ...data });
+    assert.equal(JSON.parse(updated.config).authHeaderValue, 'secret');
+
+    const isInvalid = (code) => (error) => error.status === 400 && error.code === code;
+    assert.throws(() => buildDeviceData({ name: 'X', driver: 'laser' }), isInvalid('UNKNOWN_DRIVER'));
+    assert.throws(() => buildDeviceData({ name: 'X', driver: 'simulated', pulseMs: 50 }), isInvalid('INVALID_DEVICE'));
+
+    assert.deepEqual(encodeCommand('hex:A0 01 01 A2'), Buffer.from([0xa0, 0x01, 0x01, 0xa2]));
+    assert.equal(encodeCommand('OPEN {door} {pulseMs}', { door: 2, pulseMs: 900 }).toString(), 'OPEN 2 900');
+    assert.equal(encodeCommand('hex:zz'), null);
+});
+
+test('openForCheckIn opens the branch devices and logs failures without throwing', async () => {
+    clearSimulatedCommands();
+    const prisma = createMockPrisma({
+        devices: [
+            device({ id: 1 }),
+            device({ id: 2, branchId: 2 }),
+            device({ id: 3, branchId: 3 }),
+            device({ id: 4, branchId: 2, config: JSON.stringify({ failWith: 'OFFLINE' }) }),
+            device({ id: 5, branchId: 2, openOnCheckIn: false })
+        ]
+    });
+
+    const results = await openForCheckIn(prisma, { branchId: 2, checkIn: { id: 9 }, member: { id: 3 }, userId: 4 });
+
+    assert.deepEqual(results.map((result) => [result.deviceId, result.ok]), [[1, true], [2, true], [4, false]]);
+    assert.equal(results[2].errorCode, 'ECONNREFUSED');
+    assert.deepEqual(getSimulatedCommands().map((command) => [command.deviceId, command.pulseMs]), [[1, 800], [2, 800]]);
+    assert.deepEqual(
+        prisma.events.map((event) => [event.deviceId, event.type, event.status, event.checkInId, event.userId]),
+        [[1, 'open', 'success', 9, 4], [2, 'open', 'success', 9, 4], [4, 'open', 'failed', 9, 4]]
+    );
+
+    const broken = { accessDevice: { findMany: async () => { throw new Error('db down'); } } };
+    assert.deepEqual(await openForCheckIn(broken, { branchId: 2 }), []);
+});
+
+test('reader scans go through check-in eligibility and open the scanning door', async () => {
+    clearSimulatedCommands();
+    const { token, readerTokenHash } = generateReaderToken();
+    const reader = device({ id: 7, branchId: null, readerTokenHash });
+    const prisma = createMockPrisma({
+        devices: [reader],
+        members: [
+            { id: 3, memberId: 'GYM-003', firstName: 'Sara', lastName: 'Adel', isActive: true },
+            { id: 4, memberId: 'GYM-004', firstName: 'Omar', lastName: 'Ali', isActive: true }
+        ],
+        credentials: [
+            { id: 1, memberId: 3, uid: '04A32B1C', status: 'active' },
+            { id: 2, memberId: 3, uid: '0012345', status: 'revoked' }
+        ],
+        subscriptions: [{
+            id: 10,
+            memberId: 3,
+            status: 'active',
+            startDate: new Date(Date.now() - 5 * DAY),
+            endDate: new Date(Date.now() + 25 * DAY),
+            plan: { name: 'Monthly', branchAccess: 'all', accessRules: null }
+        }]
+    });
+
+    assert.equal(await findDeviceByToken(prisma, 'acd_wrong'), null);
+    assert.equal((await findDeviceByToken(prisma, token)).id, 7);
+
+    const granted = await handleScan(prisma, { device: reader, credential: '04:a3:2b:1c', type: 'card' });
+    assert.equal(granted.granted, true);
+    assert.equal(granted.door.ok, true);
+    assert.equal(prisma.checkIns[0].method, 'card');
+    assert.equal(prisma.checkIns[0].subscriptionId, 10);
+    assert.ok(reader.lastSeenAt instanceof Date);
+
+    // Second scan the same day opens again without another check-in
+    const again = await handleScan(prisma, { device: reader, credential: 'GYM-003', type: 'qr' });
+    assert.equal(again.granted, true);
+    assert.equal(again.reason, 'ALREADY_CHECKED_IN');
+    assert.equal(prisma.checkIns.length, 1);
+
+    const denied = await handleScan(prisma, { device: reader, credential: 'GYM-004', type: 'qr' });
+    assert.equal(denied.granted, false);
+    assert.equal(denied.reason, 'NOT_ELIGIBLE');
+    assert.equal((await handleScan(prisma, { device: reader, credential: '99999', type: 'card' })).reason, 'MEMBER_NOT_FOUND');
+    assert.equal((await handleScan(prisma, { device: reader, credential: '0012345', type: 'card' })).reason, 'CREDENTIAL_REVOKED');
+
+    assert.equal(getSimulatedCommands().length, 2);
+    assert.deepEqual(
+        prisma.events.map((event) => [event.type, event.status, event.memberId]),
+        [
+            ['scan', 'granted', 3], ['open', 'success', 3],
+            ['scan', 'granted', 3], ['open', 'success', 3],
+            ['scan', 'denied', 4],
+            ['scan', 'denied', null],
+            ['scan', 'denied', 3]
+        ]
+    );
+});
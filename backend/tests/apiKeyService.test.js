@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    hashKey,
+    createApiKey,
+    verifyApiKey,
+    normalizeScopes,
+    createRateLimiter,
+    pageArgs,
+    buildPage,
+    decodeCursor
+} = require('../services/apiKeyService');
+const { requireScope } = require('../middleware/apiKey');
+
+function createMockPrisma() {
+    const keys = [];
+    return {
+        keys,
+        apiKey: {
+            create: async ({ data }) => {
+                const row = { id: keys.length + 1, isActive: true, revokedAt: null, lastUsedAt: null, ...data };
+                keys.push(row);
+                return row;
+            },
+            findUnique: async ({ where }) => keys.find((row) => row.keyHash === where.keyHash) || null
+        }
+    };
+}
+
+test('createApiKey stores only the hash and returns the plaintext once', async () => {
+    const prisma = createMockPrisma();
+    const { apiKey, key } = await createApiKey(prisma, {
+        name: 'Website',
+        scopes: ['members:read', 'checkins:write', 'members:read']
+    }, 1);
+
+    assert.match(key, /^gym_[0-9a-f]{8}_/);
+    assert.ok(key.startsWith(apiKey.prefix));
+    assert.equal(prisma.keys[0].keyHash, hashKey(key));
+    assert.ok(!JSON.stringify(prisma.keys[0]).includes(key));
+    assert.equal(apiKey.keyHash, undefined);
+    assert.deepEqual(apiKey.scopes, ['members:read', 'checkins:write']);
+    assert.equal(apiKey.rateLimitPerMinute, 60);
+    assert.equal(apiKey.createdBy, 1);
+});
+
+test('normalizeScopes rejects empty and unknown scopes', () => {
+    assert.throws(() => normalizeScopes([]), (error) => error.code === 'INVALID_SCOPES' && error.status === 400);
+    assert.throws(() => normalizeScopes(['members:delete']), /members:delete/);
+});
+
+test('verifyApiKey refuses revoked, inactive and expired keys', async () => {
+    const prisma = createMockPrisma();
+    const { key } = await createApiKey(prisma, { name: 'Door vendor', scopes: ['checkins:write'] });
+
+    const verified = await verifyApiKey(prisma, key);
+    assert.deepEqual(verified.scopeList, ['checkins:write']);
+    assert.equal(await verifyApiKey(prisma, 'gym_00000000_wrong'), null);
+    assert.equal(await verifyApiKey(prisma, 'not-a-key'), null);
+
+    prisma.keys[0].expiresAt = new Date('2026-01-01T00:00:00Z');
+    assert.equal(await verifyApiKey(prisma, key, new Date('2026-01-02T00:00:00Z')), null);
+    assert.ok(await verifyApiKey(prisma, key, new Date('2025-12-31T00:00:00Z')));
+
+    prisma.keys[0].expiresAt = null;
+    prisma.keys[0].revokedAt = new Date();
+    assert.equal(await verifyApiKey(prisma, key), null);
+});
+
+test('rate limiter allows the limit per minute window and then resets', () => {
+    const limiter = createRateLimiter();
+    const start = Date.UTC(2026, 1, 1, 10, 0, 0);
+
+    assert.equal(limiter.consume(1, 2, start).remaining, 1);
+    assert.equal(limiter.consume(1, 2, start + 1000).allowed, true);
+    const blocked = limiter.consume(1, 2, start + 2000);
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.resetAt, start + 60000);
+
+    // Other keys have their own budget
+    assert.equal(limiter.consume(2, 2, start + 2000).allowed, true);
+    // Next window
+    assert.equal(limiter.consume(1, 2, start + 60000).allowed, true);
+});
+
+test('cursor pagination fetches one extra row and returns the next cursor', () => {
+    const rows = [{ id: 3 }, { id: 4 }, { id: 7 }];
+
+    const page = buildPage(rows, 2, (row) => ({ ref: row.id }));
+    assert.deepEqual(page.data, [{ ref: 3 }, { ref: 4 }]);
+    assert.equal(page.pagination.hasMore, true);
+    assert.equal(decodeCursor(page.pagination.nextCursor), 4);
+
+    assert.deepEqual(pageArgs({ cursor: page.pagination.nextCursor, limit: 2 }), {
+        where: { id: { gt: 4 } },
+        orderBy: { id: 'asc' },
+        take: 3
+    });
+
+    const last = buildPage([{ id: 7 }], 2);
+    assert.deepEqual(last.pagination, { limit: 2, hasMore: false, nextCursor: null });
+    assert.throws(() => decodeCursor('garbage'), (error) => error.code === 'INVALID_CURSOR');
+});
+
+test('requireScope returns 403 when the key lacks the scope', () => {
+    const middleware = requireScope('payments:read');
+    let statusCode = null;
+    let body = null;
+    const res = {
+        status(code) { statusCode = code; return this; },
+        json(payload) { body = payload; return this; }
+    };
+    let nextCalled = false;
+
+    middleware({ apiKey: { scopeList: ['members:read'] } }, res, () => { nextCalled = true; });
+    assert.equal(nextCalled, false);
+    assert.equal(statusCode, 403);
+    assert.equal(body.code, 'INSUFFICIENT_SCOPE');
+
+    middleware({ apiKey: { scopeList: ['payments:read'] } }, res, () => { nextCalled = true; });
+    assert.equal(nextCalled, true);
+});
@@ -0,0 +1,256 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseFeePolicy,
+    isLateCancellation,
+    chargeTypeFor,
+    applyStatusPolicy,
+    waiveCharge,
+    buildNoShowReport
+} = require('../services/appointmentPolicyService');
+
+const HOUR = 60 * 60 * 1000;
+
+function createMockPrisma({ services = [], credit = 0, packages = [], appointments = [] } = {}) {
+    const db = { charges: [], ledger: [], packages, usages: [], appointments };
+    if (credit) db.ledger.push({ memberId: 7, amount: credit });
+    const plan = { id: 2, name: '10 PT Sessions', type: 'PACKAGE', price: 2000 };
+    return {
+        db,
+        setting: { findMany: async () => [] },
+        service: {
+            findUnique: async ({ where }) => services.find((row) => row.id === where.id) || null
+        },
+        appointmentCharge: {
+            findUnique: async ({ where }) => db.charges.find((row) => (where.id ? row.id === where.id : row.appointmentId === where.appointmentId)) || null,
+            create: async ({ data }) => {
+                const row = { id: db.charges.length + 1, paidAmount: 0, coachCompensation: 0, ...data };
+                db.charges.push(row);
+                return row;
+            },
+            update: async ({ where, data }) => Object.assign(db.charges.find((row) => row.id === where.id), data),
+            delete: async ({ where }) => {
+                db.charges = db.charges.filter((row) => row.id !== where.id);
+            }
+        },
+        memberCreditLedger: {
+            aggregate: async ({ where }) => ({
+                _sum: { amount: db.ledger.filter((row) => row.memberId === where.memberId).reduce((sum, row) => sum + row.amount, 0) }
+            }),
+            create: async ({ data }) => {
+                db.ledger.push(data);
+                return data;
+            }
+        },
+        memberPackage: {
+            findUnique: async ({ where }) => {
+                const row = db.packages.find((pkg) => pkg.id === where.id);
+                return row ? { ...row, plan } : null;
+            },
+            update: async ({ where, data }) => Object.assign(db.packages.find((pkg) => pkg.id === where.id), data)
+        },
+        packageSessionUsage: {
+            create: async ({ data }) => {
+                const row = { id: db.usages.length + 1, ...data };
+                db.usages.push(row);
+                return row;
+            },
+            deleteMany: async ({ where }) => {
+                db.usages = db.usages.filter((row) => row.id !== where.id);
+                return { count: 1 };
+            }
+        },
+        appointment: {
+            update: async ({ where, data }) => Object.assign(db.appointments.find((row) => row.id === where.id), data),
+            findMany: async () => db.appointments.map((row) => ({
+                ...row,
+                charge: db.charges.find((charge) => charge.appointmentId === row.id) || null
+            }))
+        }
+    };
+}
+
+const PT_SESSION = {
+    id: 4,
+    name: 'PT Session',
+    lateCancelWindowHours: 24,
+    lateCancelFee: 50,
+    noShowFee: 100,
+    forfeitPackageSession: false,
+    compensateCoachOnNoShow: false
+};
+
+test('fee policy input, late-cancellation window and which charge a status carries', () => {
+    assert.deepEqual(parseFeePolicy({ lateCancelWindowHours: '12', noShowFee: '80.5', lateCancelFee: '', forfeitPackageSession: 'true' }), {
+        lateCancelWindowHours: 12,
+        lateCancelFee: 0,
+        noShowFee: 80.5,
+        forfeitPackageSession: true
+    });
+    assert.deepEqual(parseFeePolicy({ lateCancelWindowHours: '' }), { lateCancelWindowHours: null });
+    assert.deepEqual(parseFeePolicy({ name: 'PT' }), {});
+    assert.throws(() => parseFeePolicy({ noShowFee: -5 }), { code: 'INVALID_FEE_POLICY', status: 400 });
+    assert.throws(() => parseFeePolicy({ lateCancelWindowHours: 1.5 }), { code: 'INVALID_FEE_POLICY' });
+
+    const now = new Date(2026, 2, 10, 12);
+    const policy = { lateCancelWindowHours: 24 };
+    assert.equal(isLateCancellation(policy, new Date(2026, 2, 11, 10), now), true);
+    assert.equal(isLateCancellation(policy, new Date(2026, 2, 11, 13), now), false);
+    assert.equal(isLateCancellation(policy, new Date(2026, 2, 10, 9), now), true);
+    assert.equal(isLateCancellation({ lateCancelWindowHours: null }, new Date(2026, 2, 10, 13), now), false);
+
+    const appointment = { start: new Date(2026, 2, 10, 18) };
+    assert.equal(chargeTypeFor('no_show', appointment, policy, now), 'no_show');
+    assert.equal(chargeTypeFor('cancelled', appointment, policy, now), 'late_cancel');
+    assert.equal(chargeTypeFor('cancelled', { start: new Date(2026, 2, 14) }, policy, now), null);
+    assert.equal(chargeTypeFor('completed', appointment, policy, now), null);
+    assert.equal(chargeTypeFor('no_show', appointment, null, now), null);
+});
+
+test('a no-show fee comes out of credit first, the rest stays outstanding and is returned when the no-show is undone', async () => {
+    const now = new Date(2026, 2, 10, 12);
+    const prisma = createMockPrisma({ services: [PT_SESSION], credit: 30 });
+    const appointment = { id: 40, memberId: 7, coachId: 3, serviceId: 4, title: 'PT Session', start: new Date(2026, 2, 10, 9), memberPackageId: null };
+
+    const { charge } = await applyStatusPolicy(prisma, appointment, 'no_show', { previousStatus: 'booked', userId: 5, now });
+    assert.deepEqual(
+        [charge.type, charge.method, charge.amount, charge.creditApplied, charge.dueAmount, charge.status],
+        ['no_show', 'fee', 100, 30, 70, 'due']
+    );
+    assert.equal(prisma.db.ledger.at(-1).amount, -30);
+    assert.equal(prisma.db.ledger.at(-1).appliedAppointmentId, 40);
+
+    // Saving the appointment again keeps the same charge
+    const resaved = await applyStatusPolicy(prisma, appointment, 'no_show', { previousStatus: 'no_show', now });
+    assert.equal(resaved.charge.id, charge.id);
+    assert.equal(prisma.db.charges.length, 1);
+
+    // Marked as arrived after all: the charge goes and the credit comes back
+    const undone = await applyStatusPolicy(prisma, appointment, 'arrived', { previousStatus: 'no_show', now });
+    assert.equal(undone.charge, null);
+    assert.equal(prisma.db.charges.length, 0);
+    assert.equal(prisma.db.ledger.at(-1).amount, 30);
+    assert.equal(prisma.db.ledger.reduce((sum, row) => sum + row.amount, 0), 30);
+
+    // Late cancellation, then let off the remainder
+    const late = await applyStatusPolicy(prisma, appointment, 'cancelled', { previousStatus: 'arrived', now });
+    assert.deepEqual([late.charge.type, late.charge.amount, late.charge.creditApplied, late.charge.dueAmount], ['late_cancel', 50, 30, 20]);
+    const waived = await waiveCharge(prisma, late.charge.id, { userId: 5, now });
+    assert.deepEqual([waived.status, waived.dueAmount, waived.waivedByUserId], ['waived', 0, 5]);
+    await assert.rejects(waiveCharge(prisma, late.charge.id), { code: 'CHARGE_NOT_DUE' });
+
+    // Cancelled in good time, or by a walk-in without a member: nothing to charge
+    const early = createMockPrisma({ services: [PT_SESSION] });
+    const nextWeek = { ...appointment, start: new Date(2026, 2, 17, 9) };
+    assert.equal((await applyStatusPolicy(early, nextWeek, 'cancelled', { previousStatus: 'booked', now })).charge, null);
+    // ...and saving it again a week later does not make it late
+    assert.equal((await applyStatusPolicy(early, nextWeek, 'cancelled', {
+        previousStatus: 'cancelled',
+        now: new Date(2026, 2, 17, 8)
+    })).charge, null);
+    assert.equal((await applyStatusPolicy(early, { ...appointment, memberId: null }, 'no_show', { previousStatus: 'booked', now })).charge, null);
+    // The gym cancelling inside the window (coach ill) charges the member nothing
+    const gym = createMockPrisma({ services: [PT_SESSION] });
+    assert.equal((await applyStatusPolicy(gym, appointment, 'cancelled', { previousStatus: 'booked', now, chargePolicy: false })).charge, null);
+    assert.equal(gym.db.charges.length, 0);
+});
+
+test('package bookings forfeit the session instead of paying a fee', async () => {
+    const now = new Date(2026, 2, 10, 12);
+    const packageAppointment = () => ({ id: 50, memberId: 7, coachId: 3, serviceId: 4, title: 'PT Session', start: new Date(2026, 2, 10, 18), memberPackageId: 1, packageUsageId: null });
+
+    // Late cancellation on a forfeiting service takes the session although cancellations restore it
+    const forfeiting = createMockPrisma({
+        services: [{ ...PT_SESSION, forfeitPackageSession: true }],
+        packages: [{ id: 1, memberId: 7, status: 'ACTIVE', remainingSessions: 3, totalSessions: 10, sessionPrice: 180 }],
+        appointments: [packageAppointment()]
+    });
+    const appointment = forfeiting.db.appointments[0];
+    const result = await applyStatusPolicy(forfeiting, appointment, 'cancelled', { previousStatus: 'booked', now });
+    assert.equal(result.packageSession, 'consumed');
+    assert.equal(forfeiting.db.packages[0].remainingSessions, 2);
+    assert.deepEqual(
+        [result.charge.type, result.charge.method, result.charge.amount, result.charge.dueAmount, result.charge.status],
+        ['late_cancel', 'package_session', 180, 0, 'paid']
+    );
+    // A late cancellation by the gym leaves the session with the member
+    const gymCancelled = createMockPrisma({
+        services: [{ ...PT_SESSION, forfeitPackageSession: true }],
+        packages: [{ id: 1, memberId: 7, status: 'ACTIVE', remainingSessions: 3, totalSessions: 10, sessionPrice: 180 }],
+        appointments: [packageAppointment()]
+    });
+    const byGym = await applyStatusPolicy(gymCancelled, gymCancelled.db.appointments[0], 'cancelled', {
+        previousStatus: 'booked',
+        now,
+        chargePolicy: false
+    });
+    assert.deepEqual([byGym.packageSession, byGym.charge], [null, null]);
+    assert.equal(gymCancelled.db.packages[0].remainingSessions, 3);
+
+    // Re-saving keeps the session taken
+    assert.equal((await applyStatusPolicy(forfeiting, appointment, 'cancelled', { previousStatus: 'cancelled', now })).packageSession, null);
+    assert.equal(forfeiting.db.packages[0].remainingSessions, 2);
+
+    // Rebooked: session and charge both come back
+    const rebooked = await applyStatusPolicy(forfeiting, appointment, 'booked', { previousStatus: 'cancelled', now });
+    assert.equal(rebooked.packageSession, 'restored');
+    assert.equal(forfeiting.db.packages[0].remainingSessions, 3);
+    assert.equal(forfeiting.db.charges.length, 0);
+
+    // Without forfeiting, the restore settings decide and no fee is charged
+    const restoring = createMockPrisma({
+        services: [PT_SESSION],
+        packages: [{ id: 1, memberId: 7, status: 'ACTIVE', remainingSessions: 3, totalSessions: 10, sessionPrice: 180 }],
+        appointments: [packageAppointment()]
+    });
+    const cancelled = await applyStatusPolicy(restoring, restoring.db.appointments[0], 'cancelled', { previousStatus: 'booked', now });
+    assert.deepEqual([cancelled.packageSession, cancelled.charge], [null, null]);
+    // A no-show still uses the session by default, recorded as a forfeit
+    const noShow = await applyStatusPolicy(restoring, restoring.db.appointments[0], 'no_show', { previousStatus: 'cancelled', now });
+    assert.equal(noShow.packageSession, 'consumed');
+    assert.deepEqual([noShow.charge.method, noShow.charge.amount], ['package_session', 180]);
+    assert.equal(restoring.db.ledger.length, 0);
+});
+
+test('no-show report groups incidents per member and per coach', async () => {
+    const alice = { id: 7, memberId: 'M-7', firstName: 'Alice', lastName: 'Hassan', phone: '010' };
+    const omar = { id: 8, memberId: 'M-8', firstName: 'Omar', lastName: 'Adel', phone: '011' };
+    const coachA = { id: 3, firstName: 'Sara', lastName: 'Coach' };
+    const coachB = { id: 4, firstName: 'Ali', lastName: 'Coach' };
+    const row = (id, member, coach, status) => ({ id, status, memberId: member?.id ?? null, member, coachId: coach.id, coach });
+    const prisma = createMockPrisma({
+        appointments: [
+            row(1, alice, coachA, 'no_show'),
+            row(2, alice, coachA, 'completed'),
+            row(3, alice, coachB, 'cancelled'),
+            row(4, alice, coachA, 'cancelled'),
+            row(5, omar, coachB, 'completed'),
+            row(6, omar, coachB, 'no_show'),
+            row(7, null, coachB, 'no_show')
+        ]
+    });
+    prisma.db.charges.push(
+        { id: 1, appointmentId: 1, type: 'no_show', method: 'fee', amount: 100, creditApplied: 30, paidAmount: 0, dueAmount: 70, status: 'due', coachCompensation: 20 },
+        { id: 2, appointmentId: 3, type: 'late_cancel', method: 'fee', amount: 50, creditApplied: 10, paidAmount: 0, dueAmount: 0, status: 'waived', coachCompensation: 0 },
+        { id: 3, appointmentId: 6, type: 'no_show', method: 'package_session', amount: 180, creditApplied: 0, paidAmount: 0, dueAmount: 0, status: 'paid', coachCompensation: 0 }
+    );
+
+    const report = await buildNoShowReport(prisma, { startDate: new Date(2026, 2, 1), endDate: new Date(2026, 2, 31) });
+
+    assert.deepEqual(
+        [report.summary.appointments, report.summary.noShows, report.summary.lateCancels, report.summary.sessionsForfeited],
+        [6, 3, 1, 1]
+    );
+    assert.deepEqual([report.summary.feesCharged, report.summary.feesWaived, report.summary.outstanding], [110, 40, 70]);
+
+    assert.deepEqual(report.byMember.map((entry) => [entry.name, entry.appointments, entry.noShows, entry.lateCancels, entry.noShowRate]), [
+        ['Alice Hassan', 3, 1, 1, 33.3],
+        ['Omar Adel', 2, 1, 0, 50]
+    ]);
+    assert.equal(report.byMember[0].outstanding, 70);
+    assert.deepEqual(report.byCoach.map((entry) => [entry.name, entry.noShows, entry.lateCancels, entry.coachCompensation]), [
+        ['Ali Coach', 2, 1, 0],
+        ['Sara Coach', 1, 0, 20]
+    ]);
+});
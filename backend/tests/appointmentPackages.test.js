@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getPackagePolicy,
+    getPackageSessionValue,
+    sessionUsedFor,
+    resolveBookingPackage,
+    findBookablePackages,
+    syncPackageSession
+} = require('../services/appointmentPackageService');
+
+const matches = (row, where) => Object.entries(where).every(([key, condition]) => {
+    if (condition && typeof condition === 'object' && Array.isArray(condition.in)) return condition.in.includes(row[key]);
+    if (condition && typeof condition === 'object' && 'not' in condition) return row[key] !== condition.not;
+    return row[key] === condition;
+});
+
+function createMockPrisma({ packages = [], appointments = [], settings = {} } = {}) {
+    const db = { packages, appointments, usages: [] };
+    const plan = { id: 2, name: '10 PT Sessions', type: 'PACKAGE', price: 2000, packageSessionServiceId: 4 };
+    return {
+        db,
+        setting: {
+            findMany: async ({ where }) => Object.entries(settings)
+                .filter(([key]) => where.key.in.includes(key))
+                .map(([key, value]) => ({ key, value }))
+        },
+        memberPackage: {
+            findUnique: async ({ where }) => {
+                const row = db.packages.find((pkg) => pkg.id === where.id);
+                return row ? { ...row, plan } : null;
+            },
+            findMany: async () => db.packages.filter((pkg) => pkg.status === 'ACTIVE').map((pkg) => ({ ...pkg, plan })),
+            update: async ({ where, data }) => Object.assign(db.packages.find((pkg) => pkg.id === where.id), data)
+        },
+        packageSessionUsage: {
+            create: async ({ data }) => {
+                const row = { id: db.usages.length + 1, ...data };
+                db.usages.push(row);
+                return row;
+            },
+            deleteMany: async ({ where }) => {
+                db.usages = db.usages.filter((row) => row.id !== where.id);
+                return { count: 1 };
+            }
+        },
+        appointment: {
+            count: async ({ where }) => db.appointments.filter((row) => matches(row, where)).length,
+            update: async ({ where, data }) => Object.assign(db.appointments.find((row) => row.id === where.id), data)
+        }
+    };
+}
+
+test('package policy, session value and which statuses use up the session', async () => {
+    assert.deepEqual(await getPackagePolicy(createMockPrisma()), { restoreOnCancel: true, restoreOnNoShow: false });
+    const strict = await getPackagePolicy(createMockPrisma({
+        settings: { appointment_package_restore_on_cancel: 'false', appointment_package_restore_on_no_show: 'true' }
+    }));
+    assert.deepEqual(strict, { restoreOnCancel: false, restoreOnNoShow: true });
+
+    assert.equal(getPackageSessionValue({ sessionPrice: 150, totalSessions: 10, plan: { price: 2000 } }), 150);
+    assert.equal(getPackageSessionValue({ sessionPrice: null, totalSessions: 12, plan: { price: 2000 } }), 166.67);
+    assert.equal(getPackageSessionValue({ sessionPrice: null, totalSessions: 0, plan: { price: 2000 } }), 0);
+
+    const policy = { restoreOnCancel: true, restoreOnNoShow: false };
+    assert.equal(sessionUsedFor('completed', policy), true);
+    assert.equal(sessionUsedFor('auto_completed', policy), true);
+    assert.equal(sessionUsedFor('no_show', policy), true);
+    assert.equal(sessionUsedFor('cancelled', policy), false);
+    assert.equal(sessionUsedFor('booked', policy), false);
+    assert.equal(sessionUsedFor('no_show', strict), false);
+    assert.equal(sessionUsedFor('cancelled', strict), true);
+});
+
+test('booking on a package checks the member, status, end date, service and sessions already reserved', async () => {
+    const prisma = createMockPrisma({
+        packages: [
+            { id: 1, memberId: 7, status: 'ACTIVE', remainingSessions: 2, totalSessions: 10, sessionPrice: null, endDate: new Date(2026, 3, 1) },
+            { id: 2, memberId: 7, status: 'PAUSED', remainingSessions: 5, totalSessions: 10, sessionPrice: null, endDate: null }
+        ],
+        appointments: [
+            { id: 20, memberPackageId: 1, packageUsageId: null, status: 'booked' },
+            { id: 21, memberPackageId: 1, packageUsageId: 5, status: 'completed' }
+        ]
+    });
+    const start = new Date(2026, 2, 10, 18);
+
+    const pkg = await resolveBookingPackage(prisma, { memberPackageId: 1, memberId: 7, serviceId: 4, start });
+    assert.equal(pkg.reservedSessions, 1);
+    assert.equal(pkg.sessionValue, 200);
+
+    await assert.rejects(resolveBookingPackage(prisma, { memberPackageId: 1, memberId: 8, start }), { code: 'PACKAGE_NOT_FOUND' });
+    await assert.rejects(resolveBookingPackage(prisma, { memberPackageId: 2, memberId: 7, start }), { code: 'PACKAGE_NOT_ACTIVE' });
+    await assert.rejects(
+        resolveBookingPackage(prisma, { memberPackageId: 1, memberId: 7, start: new Date(2026, 3, 2) }),
+        { code: 'PACKAGE_EXPIRED' }
+    );
+    await assert.rejects(
+        resolveBookingPackage(prisma, { memberPackageId: 1, memberId: 7, serviceId: 9, start }),
+        { code: 'PACKAGE_SERVICE_MISMATCH' }
+    );
+
+    prisma.db.appointments.push({ id: 22, memberPackageId: 1, packageUsageId: null, status: 'arrived' });
+    await assert.rejects(
+        resolveBookingPackage(prisma, { memberPackageId: 1, memberId: 7, start }),
+        { code: 'PACKAGE_NO_SESSIONS_LEFT', status: 409 }
+    );
+    // Moving one of the reserved bookings does not count itself
+    const moved = await resolveBookingPackage(prisma, { memberPackageId: 1, memberId: 7, start, excludeAppointmentId: 22 });
+    assert.equal(moved.reservedSessions, 1);
+
+    const bookable = await findBookablePackages(prisma, 7, { serviceId: 4 });
+    assert.deepEqual(bookable.map((row) => [row.id, row.availableSessions]), [[1, 0]]);
+    assert.deepEqual(await findBookablePackages(prisma, 7, { serviceId: 9 }), []);
+});
+
+test('the session is taken on completion and given back on cancellation or no-show per policy', async () => {
+    const prisma = createMockPrisma({
+        packages: [{ id: 1, memberId: 7, status: 'ACTIVE', remainingSessions: 1, totalSessions: 10, sessionPrice: 180, endDate: null }],
+        appointments: [{ id: 30, memberPackageId: 1, packageUsageId: null, status: 'booked', title: 'PT Session', start: new Date(2026, 2, 10, 18) }]
+    });
+    const appointment = prisma.db.appointments[0];
+    const pkg = prisma.db.packages[0];
+    const policy = { restoreOnCancel: true, restoreOnNoShow: false };
+
+    assert.equal(await syncPackageSession(prisma, appointment, 'completed', { userId: 3, policy }), 'consumed');
+    assert.equal(pkg.remainingSessions, 0);
+    assert.equal(pkg.status, 'COMPLETED');
+    assert.equal(prisma.db.usages.length, 1);
+    assert.deepEqual(
+        [prisma.db.usages[0].source, prisma.db.usages[0].sessionPrice, prisma.db.usages[0].sessionName],
+        ['APPOINTMENT', 180, 'PT Session']
+    );
+    assert.equal(appointment.packageUsageId, prisma.db.usages[0].id);
+
+    // Already taken: completing again does nothing
+    assert.equal(await syncPackageSession(prisma, appointment, 'completed', { policy }), null);
+    assert.equal(prisma.db.usages.length, 1);
+
+    assert.equal(await syncPackageSession(prisma, appointment, 'cancelled', { policy }), 'restored');
+    assert.equal(pkg.remainingSessions, 1);
+    assert.equal(pkg.status, 'ACTIVE');
+    assert.equal(prisma.db.usages.length, 0);
+    assert.equal(appointment.packageUsageId, null);
+
+    // A no-show forfeits the session unless the policy gives it back
+    assert.equal(await syncPackageSession(prisma, appointment, 'no_show', { policy }), 'consumed');
+    assert.equal(pkg.remainingSessions, 0);
+    assert.equal(await syncPackageSession(prisma, appointment, 'no_show', {
+        policy: { restoreOnCancel: true, restoreOnNoShow: true }
+    }), 'restored');
+    assert.equal(pkg.remainingSessions, 1);
+
+    assert.equal(await syncPackageSession(prisma, { id: 31, memberPackageId: null }, 'completed', { policy }), null);
+});
@@ -0,0 +1,283 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// appointmentService opens its own Prisma client when loaded; the series
+// service only needs the methods each test stubs
+const appointmentServicePath = require.resolve('../services/appointmentService');
+require.cache[appointmentServicePath] = {
+    id: appointmentServicePath,
+    filename: appointmentServicePath,
+    loaded: true,
+    exports: {}
+};
+const AppointmentService = require('../services/appointmentService');
+const {
+    parseRecurrence,
+    expandRecurrence,
+    createSeries,
+    updateSeriesAppointments,
+    cancelSeriesAppointments
+} = require('../services/appointmentSeriesService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function stubAppointmentService(t, overrides) {
+    for (const [name, fn] of Object.entries(overrides)) {
+        const original = AppointmentService[name];
+        AppointmentService[name] = fn;
+        t.after(() => { AppointmentService[name] = original; });
+    }
+}
+
+const inRange = (value, range) => (range.gte === undefined || value >= range.gte) && (range.lt === undefined || value < range.lt);
+
+const matches = (row, where) => Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') return condition.some((option) => matches(row, option));
+    if (key === 'start') return inRange(row.start, condition);
+    if (condition && typeof condition === 'object' && Array.isArray(condition.in)) return condition.in.includes(row[key]);
+    return row[key] === condition;
+});
+
+function createMockPrisma({ appointments = [], series = [], packages = [] } = {}) {
+    const db = { appointments, series, packages };
+    const prisma = {
+        db,
+        transactions: 0,
+        member: { findUnique: async ({ where }) => (where.id === 7 ? { id: 7 } : null) },
+        memberPackage: { findUnique: async ({ where }) => db.packages.find((pkg) => pkg.id === where.id) || null },
+        appointmentSeries: {
+            create: async ({ data }) => {
+                const row = { id: db.series.length + 1, status: 'active', ...data };
+                db.series.push(row);
+                return row;
+            },
+            update: async ({ where, data }) => Object.assign(db.series.find((row) => row.id === where.id), data)
+        },
+        appointment: {
+            findUnique: async ({ where }) => {
+                const row = db.appointments.find((appointment) => appointment.id === where.id);
+                return row && { ...row, series: db.series.find((entry) => entry.id === row.seriesId) || null };
+            },
+            findMany: async ({ where }) => db.appointments
+                .filter((row) => matches(row, where))
+                .sort((a, b) => a.start - b.start),
+            count: async ({ where }) => db.appointments.filter((row) => matches(row, where)).length,
+            update: async ({ where, data }) => Object.assign(db.appointments.find((row) => row.id === where.id), data),
+            updateMany: async ({ where, data }) => {
+                const rows = db.appointments.filter((row) => matches(row, where));
+                rows.forEach((row) => Object.assign(row, data));
+                return { count: rows.length };
+            }
+        },
+        $transaction: async (fn) => {
+            prisma.transactions += 1;
+            return fn(prisma);
+        }
+    };
+    return prisma;
+}
+
+test('recurrence rules expand to weekly weekdays or every N days and keep the time of day', () => {
+    const start = new Date(2026, 2, 2, 18, 30); // Monday
+
+    const weekly = parseRecurrence({ frequency: 'weekly', weekdays: [3, 1], until: '2026-03-15' }, start);
+    assert.deepEqual(weekly.weekdays, [1, 3]);
+    const weeklyDates = expandRecurrence(start, 60, weekly);
+    assert.deepEqual(weeklyDates.map((row) => row.start.getDate()), [2, 4, 9, 11]);
+    assert.ok(weeklyDates.every((row) => row.start.getHours() === 18 && row.start.getMinutes() === 30));
+    assert.equal(weeklyDates[0].end - weeklyDates[0].start, 60 * 60000);
+
+    const fortnightly = expandRecurrence(start, 45, parseRecurrence({ frequency: 'weekly', interval: 2, count: 3 }, start));
+    assert.deepEqual(fortnightly.map((row) => row.start.getDate()), [2, 16, 30]);
+
+    const daily = expandRecurrence(start, 45, parseRecurrence({ frequency: 'daily', interval: 3, count: 4 }, start));
+    assert.deepEqual(daily.map((row) => Math.round((row.start - start) / DAY_MS)), [0, 3, 6, 9]);
+
+    assert.throws(() => parseRecurrence({ frequency: 'weekly' }, start), { code: 'INVALID_RECURRENCE' });
+    assert.throws(() => parseRecurrence({ frequency: 'monthly', count: 2 }, start), { code: 'INVALID_RECURRENCE' });
+    assert.throws(() => parseRecurrence({ weekdays: [7], count: 2 }, start), { code: 'INVALID_RECURRENCE' });
+    assert.throws(() => parseRecurrence({ until: '2026-03-01' }, start), { code: 'INVALID_RECURRENCE' });
+    assert.throws(
+        () => expandRecurrence(start, 60, parseRecurrence({ frequency: 'daily', until: '2027-03-01' }, start)),
+        /at most 100 appointments/
+    );
+});
+
+test('createSeries books the free occurrences and reports the ones that clash', async (t) => {
+    const busyDay = new Date(2026, 2, 9).toDateString();
+    const created = [];
+    const vacationDay = new Date(2026, 2, 16).toDateString();
+    stubAppointmentService(t, {
+        checkOverlap: async (coachId, start) => start.toDateString() === busyDay,
+        checkWorkingTime: async (coachId, start) => (start.toDateString() === vacationDay ? { reason: 'time_off' } : null),
+        createAppointment: async (data, options) => {
+            const row = { id: created.length + 1, ...data, seriesId: options.seriesId };
+            created.push(row);
+            return row;
+        }
+    });
+    const prisma = createMockPrisma();
+
+    const result = await createSeries(prisma, {
+        memberId: 7,
+        start: new Date(2026, 2, 2, 18, 0).toISOString(),
+        durationMinutes: 60,
+        title: 'PT Session',
+        price: 300,
+        recurrence: { frequency: 'weekly', weekdays: [1], count: 4 }
+    }, { coachId: 3, userId: 3, branchId: 1 });
+
+    assert.equal(result.series.memberId, 7);
+    assert.equal(result.series.weekdays, '1');
+    assert.equal(result.appointments.length, 2);
+    assert.ok(created.every((row) => row.seriesId === result.series.id && row.coachId === 3 && row.branchId === 1));
+    assert.deepEqual(result.conflicts.map((row) => [row.start.toDateString(), row.reason]), [
+        [busyDay, 'booked'],
+        [vacationDay, 'time_off']
+    ]);
+
+    const overridden = await createSeries(prisma, {
+        memberId: 7,
+        start: new Date(2026, 2, 2, 18, 0).toISOString(),
+        durationMinutes: 60,
+        recurrence: { frequency: 'weekly', weekdays: [1], count: 4 }
+    }, { coachId: 3, allowOutsideHours: true });
+    assert.equal(overridden.appointments.length, 3);
+    assert.deepEqual(overridden.conflicts.map((row) => row.reason), ['booked']);
+
+    stubAppointmentService(t, { checkOverlap: async () => true });
+    await assert.rejects(
+        createSeries(prisma, {
+            memberId: 7,
+            start: new Date(2026, 2, 2, 18, 0).toISOString(),
+            durationMinutes: 60,
+            recurrence: { count: 2 }
+        }, { coachId: 3 }),
+        (error) => error.status === 409 && error.code === 'SERIES_ALL_CONFLICT' && error.data.conflicts.length === 2
+    );
+    await assert.rejects(
+        createSeries(prisma, { fullName: 'Walk in', start: new Date().toISOString(), durationMinutes: 60, recurrence: { count: 2 } }, { coachId: 3 }),
+        { code: 'SERIES_MEMBER_REQUIRED' }
+    );
+});
+
+test('a series booked on a package skips the occurrences the package no longer covers', async (t) => {
+    const created = [];
+    stubAppointmentService(t, {
+        checkOverlap: async () => false,
+        checkWorkingTime: async () => null,
+        createAppointment: async (data, options) => {
+            if (created.length === 2) {
+                const err = new Error('No sessions left on this package');
+                err.code = 'PACKAGE_NO_SESSIONS_LEFT';
+                throw err;
+            }
+            const row = { id: created.length + 1, ...data, seriesId: options.seriesId };
+            created.push(row);
+            return row;
+        }
+    });
+    const prisma = createMockPrisma({
+        packages: [{ id: 5, memberId: 7, status: 'ACTIVE', remainingSessions: 2, totalSessions: 10, sessionPrice: 150, endDate: null, plan: {} }]
+    });
+    const input = {
+        memberId: 7,
+        memberPackageId: 5,
+        start: new Date(2026, 2, 2, 18, 0).toISOString(),
+        durationMinutes: 60,
+        recurrence: { frequency: 'weekly', weekdays: [1], count: 4 }
+    };
+
+    const result = await createSeries(prisma, input, { coachId: 3 });
+    assert.equal(result.appointments.length, 2);
+    assert.ok(created.every((row) => row.memberPackageId === 5));
+    assert.deepEqual(result.conflicts.map((row) => row.reason), ['package', 'package']);
+
+    await assert.rejects(createSeries(prisma, { ...input, memberPackageId: 6 }, { coachId: 3 }), { code: 'PACKAGE_NOT_FOUND' });
+});
+
+test('moving "this and following" splits the series and leaves clashing occurrences unchanged', async (t) => {
+    const busyDay = new Date(2026, 2, 24).toDateString();
+    stubAppointmentService(t, {
+        checkOverlap: async (coachId, start) => start.toDateString() === busyDay,
+        checkWorkingTime: async () => null
+    });
+    const appointments = [2, 9, 16, 23].map((date, index) => ({
+        id: index + 1,
+        seriesId: 1,
+        coachId: 3,
+        status: index === 0 ? 'completed' : 'booked',
+        isCompleted: index === 0,
+        start: new Date(2026, 2, date, 18, 0),
+        end: new Date(2026, 2, date, 19, 0)
+    }));
+    const prisma = createMockPrisma({
+        appointments,
+        series: [{ id: 1, coachId: 3, memberId: 7, frequency: 'weekly', interval: 1, weekdays: '1', startDate: appointments[0].start, untilDate: null, count: 4, durationMinutes: 60, status: 'active' }]
+    });
+
+    // Monday 18:00 -> Tuesday 07:00 from the 9th on
+    const result = await updateSeriesAppointments(prisma, 2, {
+        start: new Date(2026, 2, 10, 7, 0).toISOString(),
+        durationMinutes: 60,
+        notes: 'Mornings now'
+    }, { scope: 'following', now: new Date(2026, 2, 1) });
+
+    assert.equal(prisma.transactions, 1);
+    assert.deepEqual(result.updated.map((row) => row.id), [2, 3]);
+    assert.deepEqual(result.conflicts.map((row) => row.id), [4]);
+    assert.equal(appointments[1].start.getDate(), 10);
+    assert.equal(appointments[1].start.getHours(), 7);
+    assert.equal(appointments[2].notes, 'Mornings now');
+    assert.equal(appointments[3].start.getDate(), 23);
+
+    const [original, split] = prisma.db.series;
+    assert.equal(result.seriesId, split.id);
+    assert.equal(split.weekdays, '2');
+    assert.equal(split.count, 3);
+    assert.equal(original.count, 1);
+    assert.equal(appointments[0].seriesId, 1);
+    assert.ok(appointments.slice(1).every((row) => row.seriesId === split.id));
+});
+
+test('cancelling all upcoming occurrences skips finished ones and ends the series', async (t) => {
+    const cancelled = [];
+    stubAppointmentService(t, {
+        deleteAppointment: async (id, options) => { cancelled.push([id, options.userId, Boolean(options.tx)]); }
+    });
+    const appointments = [
+        { id: 1, seriesId: 1, status: 'completed', isCompleted: true, start: new Date(2026, 2, 2, 18) },
+        { id: 2, seriesId: 1, status: 'booked', isCompleted: false, start: new Date(2026, 2, 9, 18) },
+        { id: 3, seriesId: 1, status: 'no_show', isCompleted: false, start: new Date(2026, 2, 16, 18) },
+        { id: 4, seriesId: 1, status: 'booked', isCompleted: false, start: new Date(2026, 2, 23, 18) }
+    ];
+    const prisma = createMockPrisma({ appointments, series: [{ id: 1, status: 'active' }] });
+
+    const result = await cancelSeriesAppointments(prisma, 4, { scope: 'all', userId: 9, now: new Date(2026, 2, 5) });
+
+    assert.deepEqual(result.cancelled, [2, 4]);
+    assert.deepEqual(cancelled, [[2, 9, true], [4, 9, true]]);
+    assert.equal(prisma.db.series[0].status, 'cancelled');
+    await assert.rejects(cancelSeriesAppointments(prisma, 4, { scope: 'sometimes' }), { code: 'INVALID_SCOPE' });
+});
+
+test('a series cancelled by the gym passes that on to every occurrence', async (t) => {
+    const cancelledBy = [];
+    stubAppointmentService(t, {
+        deleteAppointment: async (id, options) => { cancelledBy.push([id, options.cancelledBy]); }
+    });
+    const appointments = [
+        { id: 1, seriesId: 1, status: 'booked', isCompleted: false, start: new Date(2026, 2, 9, 18) },
+        { id: 2, seriesId: 1, status: 'booked', isCompleted: false, start: new Date(2026, 2, 16, 18) }
+    ];
+    const prisma = createMockPrisma({ appointments, series: [{ id: 1, status: 'active' }] });
+
+    await cancelSeriesAppointments(prisma, 1, { scope: 'all', userId: 9, cancelledBy: 'gym', now: new Date(2026, 2, 5) });
+    assert.deepEqual(cancelledBy, [[1, 'gym'], [2, 'gym']]);
+
+    cancelledBy.length = 0;
+    prisma.db.series[0].status = 'active';
+    prisma.db.appointments.forEach((row) => { row.status = 'booked'; });
+    await cancelSeriesAppointments(prisma, 1, { scope: 'all', now: new Date(2026, 2, 5) });
+    assert.deepEqual(cancelledBy, [[1, 'member'], [2, 'member']]);
+});
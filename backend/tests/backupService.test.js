@@ -0,0 +1,237 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    exportDatabase,
+    importDatabase,
+    validateArchive,
+    sortByDependencies,
+    getModelDefinitions
+} = require('../services/backupService');
+
+const field = (name, type = 'Int', extra = {}) => ({ name, type, kind: 'scalar', isList: false, ...extra });
+const relation = (name, type, fromField) => ({ name, type, kind: 'object', relationFromFields: [fromField] });
+
+const datamodel = {
+    models: [
+        {
+            name: 'Payment',
+            dbName: null,
+            fields: [field('id', 'Int', { isId: true }), field('memberId'), field('amount', 'Float'), relation('member', 'Member', 'memberId')]
+        },
+        {
+            name: 'Member',
+            dbName: null,
+            fields: [field('id', 'Int', { isId: true }), field('name', 'String'), field('faceEncoding', 'Bytes'), field('createdAt', 'DateTime')]
+        }
+    ]
+};
+
+function createMockPrisma(tables) {
+    const calls = [];
+    const delegate = (name) => ({
+        findMany: async ({ take, cursor }) => {
+            const rows = tables[name] || [];
+            const start = cursor ? rows.findIndex((r) => r.id === cursor.id) + 1 : 0;
+            return rows.slice(start, start + take);
+        },
+        deleteMany: async () => {
+            calls.push(`delete:${name}`);
+            tables[name] = [];
+            return { count: 0 };
+        },
+        createMany: async ({ data }) => {
+            calls.push(`create:${name}`);
+            tables[name] = [...(tables[name] || []), ...data];
+            return { count: data.length };
+        }
+    });
+
+    const client = {
+        calls,
+        tables,
+        member: delegate('Member'),
+        payment: delegate('Payment'),
+        $executeRawUnsafe: async () => 0
+    };
+    client.$transaction = async (fn) => fn(client);
+    return client;
+}
+
+test('models are ordered so referenced tables come first', () => {
+    const ordered = sortByDependencies(getModelDefinitions(datamodel)).map((m) => m.name);
+    assert.deepEqual(ordered, ['Member', 'Payment']);
+});
+
+test('export and restore round-trip every model in dependency order', async () => {
+    const source = createMockPrisma({
+        Member: [{ id: 1, name: 'Sara', faceEncoding: Buffer.from([1, 2, 3]), createdAt: new Date('2026-01-01T10:00:00Z') }],
+        Payment: [{ id: 7, memberId: 1, amount: 250 }, { id: 8, memberId: 1, amount: 100 }]
+    });
+
+    const archive = JSON.parse(JSON.stringify(await exportDatabase(source, { datamodel })));
+    assert.equal(archive.manifest.totalRows, 3);
+    assert.match(archive.manifest.checksum, /^sha256:[0-9a-f]{64}$/);
+
+    const target = createMockPrisma({ Member: [{ id: 99, name: 'Old' }], Payment: [] });
+    const result = await importDatabase(target, archive, { datamodel, schemaVersion: archive.manifest.schemaVersion });
+
+    assert.deepEqual(result.restored, { Member: 1, Payment: 2 });
+    assert.deepEqual(target.calls, ['delete:Payment', 'delete:Member', 'create:Member', 'create:Payment']);
+    assert.deepEqual(target.tables.Member[0].faceEncoding, Buffer.from([1, 2, 3]));
+    assert.equal(target.tables.Payment.length, 2);
+});
+
+test('validation rejects tampered archives and unknown columns', async () => {
+    const source = createMockPrisma({ Member: [{ id: 1, name: 'Sara', faceEncoding: null, createdAt: null }], Payment: [] });
+    const archive = JSON.parse(JSON.stringify(await exportDatabase(source, { datamodel })));
+
+    const tampered = JSON.parse(JSON.stringify(archive));
+    tampered.data.Member[0].name = 'Changed';
+    assert.throws(() => validateArchive(tampered, { datamodel }), { code: 'BACKUP_CHECKSUM_MISMATCH' });
+
+    const newer = JSON.parse(JSON.stringify(archive));
+    newer.manifest.schemaVersion = '99990101000000_future';
+    assert.throws(() => validateArchive(newer, { datamodel, schemaVersion: '20260101000000_now' }), { code: 'BACKUP_NEWER_SCHEMA' });
+
+    // A column that no longer exists in the current schema
+    const reduced = { models: [{ ...datamodel.models[1], fields: datamodel.models[1].fields.filter((f) => f.name !== 'faceEncoding') }] };
+    assert.throws(() => validateArchive(archive, { datamodel: reduced }), { code: 'BACKUP_SCHEMA_MISMATCH' });
+});
+
+test('restore fills self-references that point at rows in a later batch', async () => {
+    const selfModel = {
+        models: [{
+            name: 'Member',
+            dbName: null,
+            fields: [
+                field('id', 'Int', { isId: true }),
+                field('referredById'),
+                field('familyHeadId'),
+                relation('referredBy', 'Member', 'referredById'),
+                relation('familyHead', 'Member', 'familyHeadId')
+            ]
+        }]
+    };
+    assert.deepEqual(getModelDefinitions(selfModel)[0].selfReferences, ['referredById', 'familyHeadId']);
+
+    // Member 1 is referred by, and in the family of, the last member (past the first 500-row batch)
+    const members = Array.from({ length: 600 }, (_, i) => ({ id: i + 1, referredById: null, familyHeadId: null }));
+    members[0].referredById = 600;
+    members[0].familyHeadId = 600;
+    members[599].referredById = 2;
+
+    const source = createMockPrisma({ Member: members });
+    const archive = JSON.parse(JSON.stringify(await exportDatabase(source, { datamodel: selfModel })));
+
+    const target = createMockPrisma({ Member: [] });
+    const existingIds = () => new Set(target.tables.Member.map((row) => row.id));
+    target.member.createMany = async ({ data }) => {
+        const ids = existingIds();
+        data.forEach((row) => ids.add(row.id));
+        for (const row of data) {
+            for (const key of ['referredById', 'familyHeadId']) {
+                if (row[key] != null && !ids.has(row[key])) throw new Error(`FK violation on ${key}`);
+            }
+        }
+        target.tables.Member = [...target.tables.Member, ...data];
+        return { count: data.length };
+    };
+    target.member.update = async ({ where, data }) => {
+        const row = target.tables.Member.find((r) => r.id === where.id);
+        Object.assign(row, data);
+        return row;
+    };
+
+    const result = await importDatabase(target, archive, { datamodel: selfModel, schemaVersion: archive.manifest.schemaVersion });
+
+    assert.equal(result.restored.Member, 600);
+    assert.deepEqual(target.tables.Member[0], { id: 1, referredById: 600, familyHeadId: 600 });
+    assert.equal(target.tables.Member[599].referredById, 2);
+    assert.equal(target.tables.Member[1].referredById, null);
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { selectBackupsForRetention, runAutomaticBackup } = require('../services/backupRotationService');
+const { verifyBackup, listBackups } = require('../services/backupService');
+
+// Empty database for every Prisma model, plus a settings table
+function createEmptyPrisma(settings = {}) {
+    const rows = Object.entries(settings).map(([key, value]) => ({ key, value: String(value) }));
+    return new Proxy({}, {
+        get: (target, prop) => {
+            if (prop === 'setting') {
+                return { findMany: async ({ where } = {}) => (where ? rows.filter((r) => where.key.in.includes(r.key)) : []) };
+            }
+            return { findMany: async () => [] };
+        }
+    });
+}
+
+test('GFS retention keeps newest backup per day, week and month', () => {
+    const backups = [];
+    for (let day = 0; day < 60; day++) {
+        const createdAt = new Date(2026, 2, 31, 2, 0, 0);
+        createdAt.setDate(createdAt.getDate() - day);
+        backups.push({ name: `auto-backup-${day}.json.gz`, createdAt });
+    }
+
+    const { keep, remove } = selectBackupsForRetention(backups, { keepDaily: 3, keepWeekly: 3, keepMonthly: 2 });
+
+    // Days 31, 30, 29 Mar (also cover two ISO weeks) + Sunday 22 Mar for the third week + 28 Feb for the month
+    assert.deepEqual(keep, ['auto-backup-0.json.gz', 'auto-backup-1.json.gz', 'auto-backup-2.json.gz', 'auto-backup-9.json.gz', 'auto-backup-31.json.gz']);
+    assert.equal(keep.length + remove.length, 60);
+});
+
+test('automatic backup runs only when a scheduled slot has passed', async () => {
+    const userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'gym-backup-'));
+    try {
+        const prisma = createEmptyPrisma({ backup_frequency: 'daily', backup_time: '02:00' });
+
+        const first = await runAutomaticBackup(prisma, { userDataPath, now: new Date() });
+        assert.equal(first.processed, 1);
+        assert.match(first.sha256, /^[0-9a-f]{64}$/);
+
+        const second = await runAutomaticBackup(prisma, { userDataPath, now: new Date() });
+        assert.equal(second.skipped, true);
+
+        const off = await runAutomaticBackup(createEmptyPrisma({ backup_frequency: 'off' }), { userDataPath });
+        assert.equal(off.skipped, true);
+        assert.equal(listBackups(userDataPath).length, 1);
+    } finally {
+        fs.rmSync(userDataPath, { recursive: true, force: true });
+    }
+});
+
+test('verification detects an archive that no longer matches its manifest hash', async () => {
+    const userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'gym-backup-'));
+    try {
+        const { name } = await runAutomaticBackup(createEmptyPrisma(), { userDataPath, now: new Date(), force: true });
+
+        const scratchCounts = [];
+        const report = await verifyBackup({}, { userDataPath, name }, {
+            createScratchDatabase: async () => ({
+                client: new Proxy({ $disconnect: async () => {}, $transaction: async (fn) => fn(new Proxy({}, { get: () => ({ deleteMany: async () => ({}), createMany: async () => ({}) }) })) }, {
+                    get: (target, prop) => target[prop] || {
+                        deleteMany: async () => ({ count: 0 }),
+                        createMany: async () => ({ count: 0 }),
+                        count: async () => { scratchCounts.push(prop); return 0; }
+                    }
+                }),
+                drop: async () => {}
+            })
+        });
+        assert.equal(report.ok, true);
+        assert.equal(report.restoreTested, true);
+        assert.ok(scratchCounts.includes('member'));
+
+        fs.appendFileSync(path.join(userDataPath, 'backups', name), 'tampered');
+        const tampered = await verifyBackup({}, { userDataPath, name });
+        assert.equal(tampered.ok, false);
+        assert.equal(tampered.error.code, 'BACKUP_FILE_HASH_MISMATCH');
+    } finally {
+        fs.rmSync(userDataPath, { recursive: true, force: true });
+    }
+});
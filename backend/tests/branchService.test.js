@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    branchWhere,
+    shiftBranchWhere,
+    resolveBranchScope,
+    checkPlanBranchAccess,
+    getBranchComparison,
+    normalizePlanBranchRules
+} = require('../services/branchService');
+
+function createMockPrisma({ userBranches = [] } = {}) {
+    return {
+        userBranch: {
+            findMany: async ({ where }) => userBranches
+                .filter((row) => row.userId === where.userId)
+                .map((row) => ({ branchId: row.branchId }))
+        }
+    };
+}
+
+test('branchWhere builds filters for all, single and multiple branches', () => {
+    assert.deepEqual(branchWhere(null), {});
+    assert.deepEqual(branchWhere(2), { branchId: 2 });
+    assert.deepEqual(branchWhere([1, 3]), { branchId: { in: [1, 3] } });
+    assert.deepEqual(branchWhere(4, 'homeBranchId'), { homeBranchId: 4 });
+    assert.deepEqual(shiftBranchWhere(2), { shift: { branchId: 2 } });
+    assert.deepEqual(shiftBranchWhere(null), {});
+});
+
+test('resolveBranchScope restricts staff to their assigned branches', async () => {
+    const prisma = createMockPrisma({
+        userBranches: [
+            { userId: 5, branchId: 1 },
+            { userId: 5, branchId: 2 },
+            { userId: 6, branchId: 3 }
+        ]
+    });
+    const staff = { id: 5, role: 'staff' };
+
+    assert.deepEqual(await resolveBranchScope(prisma, staff, undefined), { branchId: null, scope: [1, 2] });
+    assert.deepEqual(await resolveBranchScope(prisma, staff, '2'), { branchId: 2, scope: 2 });
+    assert.deepEqual(await resolveBranchScope(prisma, { id: 6, role: 'staff' }), { branchId: 3, scope: 3 });
+
+    await assert.rejects(
+        () => resolveBranchScope(prisma, staff, '3'),
+        (error) => error.status === 403 && error.code === 'BRANCH_FORBIDDEN'
+    );
+    await assert.rejects(
+        () => resolveBranchScope(prisma, staff, 'abc'),
+        (error) => error.status === 400 && error.code === 'INVALID_BRANCH'
+    );
+
+    // Admins and unassigned staff can see every branch
+    assert.deepEqual(await resolveBranchScope(prisma, { id: 1, role: 'admin' }, '3'), { branchId: 3, scope: 3 });
+    assert.deepEqual(await resolveBranchScope(prisma, { id: 9, role: 'staff' }), { branchId: null, scope: null });
+});
+
+test('checkPlanBranchAccess applies home and selected branch rules', () => {
+    const member = { id: 1, homeBranchId: 1 };
+
+    assert.equal(checkPlanBranchAccess({ branchAccess: 'all' }, member, 2).allowed, true);
+    assert.equal(checkPlanBranchAccess({ branchAccess: 'home' }, member, 1).allowed, true);
+    assert.deepEqual(checkPlanBranchAccess({ branchAccess: 'home' }, member, 2), {
+        allowed: false,
+        reason: 'BRANCH_NOT_ALLOWED',
+        rule: 'home'
+    });
+    assert.equal(checkPlanBranchAccess({ branchAccess: 'home' }, { id: 2, homeBranchId: null }, 2).allowed, true);
+
+    const selected = { branchAccess: 'selected', allowedBranchIds: '[1,3]' };
+    assert.equal(checkPlanBranchAccess(selected, member, 3).allowed, true);
+    assert.equal(checkPlanBranchAccess(selected, member, 2).reason, 'BRANCH_NOT_ALLOWED');
+
+    // No branch context (single-site setups) never blocks
+    assert.equal(checkPlanBranchAccess({ branchAccess: 'home' }, member, null).allowed, true);
+});
+
+test('normalizePlanBranchRules validates access mode and stores selected ids', () => {
+    assert.deepEqual(normalizePlanBranchRules({}), { branchAccess: 'all', allowedBranchIds: null });
+    assert.deepEqual(normalizePlanBranchRules({ branchAccess: 'selected', allowedBranchIds: ['1', 2] }), {
+        branchAccess: 'selected',
+        allowedBranchIds: '[1,2]'
+    });
+    assert.deepEqual(normalizePlanBranchRules({ branchAccess: 'home', allowedBranchIds: [1] }), {
+        branchAccess: 'home',
+        allowedBranchIds: null
+    });
+    assert.throws(() => normalizePlanBranchRules({ branchAccess: 'nearby' }), (error) => error.code === 'INVALID_BRANCH_ACCESS');
+});
+
+test('getBranchComparison groups figures per branch with an unassigned bucket', async () => {
+    const prisma = {
+        branch: {
+            findMany: async () => [
+                { id: 1, name: 'Downtown', code: 'DT' },
+                { id: 2, name: 'Maadi', code: 'MA' }
+            ]
+        },
+        payment: {
+            groupBy: async () => [
+                { branchId: 1, _sum: { amount: 1000 }, _count: { _all: 4 } },
+                { branchId: null, _sum: { amount: 200 }, _count: { _all: 1 } }
+            ]
+        },
+        refund: {
+            findMany: async () => [{ amount: 150, shift: { branchId: 1 } }]
+        },
+        checkIn: {
+            groupBy: async () => [
+                { branchId: 1, _count: { _all: 30 } },
+                { branchId: 2, _count: { _all: 12 } }
+            ]
+        },
+        saleTransaction: {
+            groupBy: async () => [{ branchId: 2, _sum: { totalAmount: 80.5 }, _count: { _all: 3 } }]
+        },
+        appointment: {
+            groupBy: async () => [{ branchId: 2, _count: { _all: 5 } }]
+        }
+    };
+
+    const rows = await getBranchComparison(prisma, {
+        startDate: new Date('2026-02-01'),
+        endDate: new Date('2026-02-28')
+    });
+
+    const byName = Object.fromEntries(rows.map((row) => [row.branchName, row]));
+    assert.equal(rows.length, 3);
+    assert.equal(byName.Downtown.grossRevenue, 1000);
+    assert.equal(byName.Downtown.netRevenue, 850);
+    assert.equal(byName.Downtown.checkIns, 30);
+    assert.equal(byName.Maadi.salesTotal, 80.5);
+    assert.equal(byName.Maadi.completedSessions, 5);
+    assert.equal(byName.Unassigned.branchId, null);
+    assert.equal(byName.Unassigned.grossRevenue, 200);
+});
@@ -0,0 +1,265 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    buildClassTypeData,
+    buildSessionData,
+    weeklyOccurrences,
+    isPastCancelCutoff,
+    enrollMember,
+    cancelEnrollment,
+    markAttendance
+} = require('../services/classService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const matches = (row, where) => Object.entries(where).every(([key, condition]) => {
+    if (condition && typeof condition === 'object' && Array.isArray(condition.in)) {
+        return condition.in.includes(row[key]);
+    }
+    return row[key] === condition;
+});
+
+function createMockPrisma({ session, members, subscriptions = [], packages = [] }) {
+    const db = { enrollments: [], usages: [], checkIns: [] };
+    const withRelations = (row) => row && {
+        ...row,
+        session,
+        member: members.find((member) => member.id === row.memberId)
+    };
+
+    const prisma = {
+        db,
+        $transaction: async (fn) => fn(prisma),
+        setting: {
+            findUnique: async ({ where }) => (where.key === 'class_cancel_cutoff_hours' ? { value: '2' } : null)
+        },
+        classSession: { findUnique: async () => session },
+        member: { findUnique: async ({ where }) => members.find((member) => member.id === where.id) || null },
+        classEnrollment: {
+            findUnique: async ({ where }) => withRelations(where.id
+                ? db.enrollments.find((row) => row.id === where.id)
+                : db.enrollments.find((row) => matches(row, where.sessionId_memberId))),
+            count: async ({ where }) => db.enrollments.filter((row) => matches(row, where)).length,
+            findMany: async ({ where }) => db.enrollments
+                .filter((row) => matches(row, where))
+                .sort((a, b) => (a.waitlistPosition || 0) - (b.waitlistPosition || 0)),
+            create: async ({ data }) => {
+                const row = { id: db.enrollments.length + 1, ...data };
+                db.enrollments.push(row);
+                return row;
+            },
+            update: async ({ where, data }) => Object.assign(db.enrollments.find((row) => row.id === where.id), data)
+        },
+        subscription: {
+            findMany: async ({ where }) => subscriptions.filter((subscription) => subscription.memberId === where.memberId)
+        },
+        memberPackage: {
+            findFirst: async ({ where }) => packages.find((pkg) => pkg.memberId === where.memberId
+                && pkg.status === 'ACTIVE'
+                && pkg.remainingSessions > 0
+                && (where.endDate === null ? pkg.endDate === null : pkg.endDate !== null && pkg.endDate >= where.endDate.gte)) || null,
+            findUnique: async ({ where }) => packages.find((pkg) => pkg.id === where.id) || null,
+            update: async ({ where, data }) => Object.assign(packages.find((pkg) => pkg.id === where.id), data)
+        },
+        packageSessionUsage: {
+            create: async ({ data }) => {
+                const row = { id: 100 + db.usages.length, checkInId: null, ...data };
+                db.usages.push(row);
+                return row;
+            },
+            deleteMany: async ({ where }) => {
+                db.usages = db.usages.filter((row) => row.id !== where.id);
+                return { count: 1 };
+            },
+            updateMany: async ({ where, data }) => {
+                db.usages.filter((row) => row.id === where.id && row.checkInId === null).forEach((row) => Object.assign(row, data));
+                return { count: 1 };
+            }
+        },
+        checkIn: {
+            findFirst: async ({ where }) => db.checkIns.find((row) => row.memberId === where.memberId && !row.checkOutTime) || null,
+            create: async ({ data }) => {
+                const row = { id: 500 + db.checkIns.length, checkInTime: new Date(), checkOutTime: null, ...data };
+                db.checkIns.push(row);
+                return row;
+            }
+        },
+        webhookEndpoint: { findMany: async () => [] }
+    };
+    return prisma;
+}
+
+// Spin class tomorrow with two seats. Member 1 has a plan with one class
+// credit, member 2 a package with one session left, members 3 and 5 nothing and
+// member 4 an open-ended package.
+function createScenario() {
+    const now = new Date();
+    const start = new Date(now.getTime() + 24 * HOUR_MS);
+    const session = {
+        id: 5,
+        status: 'scheduled',
+        start,
+        end: new Date(start.getTime() + HOUR_MS),
+        capacity: 2,
+        waitlistCapacity: null,
+        branchId: null,
+        classType: { id: 1, name: 'Spin' }
+    };
+    const packagePlan = { name: '10 Sessions', price: 1000 };
+    const prisma = createMockPrisma({
+        session,
+        members: [1, 2, 3, 4, 5].map((id) => ({ id, memberId: `GYM-00${id}`, firstName: 'Member', lastName: String(id), isActive: true })),
+        subscriptions: [{ id: 10, memberId: 1, endDate: start, plan: { name: 'Gold', classCredits: 1 } }],
+        packages: [
+            { id: 20, memberId: 2, status: 'ACTIVE', remainingSessions: 1, totalSessions: 10, endDate: new Date(start.getTime() + 30 * 24 * HOUR_MS), sessionPrice: 100, plan: packagePlan },
+            { id: 21, memberId: 4, status: 'ACTIVE', remainingSessions: 5, totalSessions: 10, endDate: null, sessionPrice: null, plan: packagePlan }
+        ]
+    });
+    return { prisma, session, now };
+}
+
+async function fillClass({ prisma, session, now }) {
+    const enroll = (memberId) => enrollMember(prisma, { sessionId: session.id, memberId, userId: 9, now });
+    return {
+        planSeat: await enroll(1),
+        packageSeat: await enroll(2),
+        waiting: [await enroll(3), await enroll(4)]
+    };
+}
+
+test('class types and sessions are validated and repeat weekly', () => {
+    assert.deepEqual(buildClassTypeData({ name: ' Spin ', durationMinutes: '45', defaultCapacity: '12' }), {
+        name: 'Spin',
+        nameAr: null,
+        description: null,
+        color: null,
+        durationMinutes: 45,
+        defaultCapacity: 12,
+        isActive: true
+    });
+    assert.throws(() => buildClassTypeData({ name: 'Yoga', color: 'blue' }), (error) => error.status === 400 && error.code === 'INVALID_CLASS');
+
+    const classType = { id: 1, durationMinutes: 45, defaultCapacity: 12 };
+    const session = buildSessionData({ start: '2026-03-02T18:00:00Z', room: ' Studio A ' }, classType);
+    assert.equal(session.end.toISOString(), '2026-03-02T18:45:00.000Z');
+    assert.equal(session.capacity, 12);
+    assert.equal(session.room, 'Studio A');
+    assert.equal(session.waitlistCapacity, null);
+
+    // Moving only the start keeps the session's length
+    const moved = buildSessionData({ start: '2026-03-03T08:00:00Z' }, classType, { ...session, end: new Date('2026-03-02T19:00:00Z') });
+    assert.equal(moved.end.toISOString(), '2026-03-03T09:00:00.000Z');
+    assert.throws(
+        () => buildSessionData({ start: '2026-03-02T18:00:00Z', end: '2026-03-02T17:00:00Z' }, classType),
+        (error) => error.code === 'INVALID_CLASS'
+    );
+    assert.throws(() => buildSessionData({ start: '2026-03-02T18:00:00Z', capacity: 0 }, classType), (error) => error.code === 'INVALID_CLASS');
+
+    const weeks = weeklyOccurrences(session.start, session.end, '3');
+    assert.deepEqual(weeks.map((row) => row.start.toISOString().slice(0, 10)), ['2026-03-02', '2026-03-09', '2026-03-16']);
+    assert.throws(() => weeklyOccurrences(session.start, session.end, 27), (error) => error.code === 'INVALID_CLASS');
+
+    assert.equal(isPastCancelCutoff(session, 2, new Date('2026-03-02T15:59:00Z')), false);
+    assert.equal(isPastCancelCutoff(session, 2, new Date('2026-03-02T16:01:00Z')), true);
+});
+
+test('enrollment pays with plan class credits first, then package sessions, and waitlists when full', async () => {
+    const scenario = createScenario();
+    const { prisma, session, now } = scenario;
+
+    await assert.rejects(
+        enrollMember(prisma, { sessionId: session.id, memberId: 3, now }),
+        (error) => error.status === 400 && error.code === 'NO_CLASS_CREDIT'
+    );
+
+    const { planSeat, packageSeat, waiting } = await fillClass(scenario);
+    assert.equal(planSeat.status, 'enrolled');
+    assert.equal(planSeat.creditSource, 'PLAN');
+    assert.equal(planSeat.subscriptionId, 10);
+
+    assert.equal(packageSeat.creditSource, 'PACKAGE');
+    assert.equal(packageSeat.memberPackageId, 20);
+    assert.equal(prisma.db.usages[0].source, 'CLASS');
+    assert.equal(prisma.db.usages[0].sessionName, 'Spin');
+    const pkg = await prisma.memberPackage.findUnique({ where: { id: 20 } });
+    assert.deepEqual([pkg.remainingSessions, pkg.status], [0, 'COMPLETED']);
+
+    // Waitlisted members are not charged until they get a seat
+    assert.deepEqual(waiting.map((row) => [row.status, row.waitlistPosition, row.creditSource]), [
+        ['waitlisted', 1, null],
+        ['waitlisted', 2, null]
+    ]);
+
+    await assert.rejects(
+        enrollMember(prisma, { sessionId: session.id, memberId: 1, now }),
+        (error) => error.status === 409 && error.code === 'ALREADY_ENROLLED'
+    );
+    session.waitlistCapacity = 2;
+    await assert.rejects(
+        enrollMember(prisma, { sessionId: session.id, memberId: 5, now }),
+        (error) => error.status === 409 && error.code === 'CLASS_FULL'
+    );
+});
+
+test('cancelling before the cut-off gives the credit back and promotes the waitlist; late cancellations keep it', async () => {
+    const scenario = createScenario();
+    const { prisma, session, now } = scenario;
+    const { planSeat, packageSeat, waiting } = await fillClass(scenario);
+
+    const result = await cancelEnrollment(prisma, { enrollmentId: packageSeat.id, now });
+    assert.equal(result.late, false);
+    assert.equal(result.enrollment.status, 'cancelled');
+    assert.equal(result.enrollment.creditSource, null);
+    const pkg = await prisma.memberPackage.findUnique({ where: { id: 20 } });
+    assert.deepEqual([pkg.remainingSessions, pkg.status], [1, 'ACTIVE']);
+    assert.equal(prisma.db.usages.some((row) => row.memberPackageId === 20), false);
+
+    // Member 3 has no credit and keeps their waitlist place; member 4 gets the seat
+    assert.deepEqual(result.promoted.map((row) => row.memberId), [4]);
+    const promoted = prisma.db.enrollments.find((row) => row.id === waiting[1].id);
+    assert.equal(promoted.status, 'enrolled');
+    assert.equal(promoted.creditSource, 'PACKAGE');
+    assert.ok(promoted.promotedAt);
+    assert.equal(prisma.db.enrollments.find((row) => row.id === waiting[0].id).status, 'waitlisted');
+
+    const lateNow = new Date(session.start.getTime() - HOUR_MS);
+    const late = await cancelEnrollment(prisma, { enrollmentId: planSeat.id, now: lateNow });
+    assert.equal(late.late, true);
+    assert.equal(late.enrollment.status, 'late_cancelled');
+    assert.equal(late.enrollment.creditSource, 'PLAN');
+
+    // The late cancellation used the plan's only class credit
+    await assert.rejects(
+        enrollMember(prisma, { sessionId: session.id, memberId: 1, now: lateNow }),
+        (error) => error.code === 'NO_CLASS_CREDIT'
+    );
+});
+
+test('marking attendance records a class check-in and links the package usage', async () => {
+    const scenario = createScenario();
+    const { prisma } = scenario;
+    const { planSeat, packageSeat } = await fillClass(scenario);
+
+    const attended = await markAttendance(prisma, { enrollmentId: packageSeat.id, status: 'attended' });
+    assert.equal(attended.enrollment.status, 'attended');
+    assert.ok(attended.enrollment.attendedAt);
+    assert.equal(attended.checkIn.method, 'class');
+    assert.deepEqual(JSON.parse(attended.checkIn.notes), { visitType: 'CLASS', classSessionId: 5 });
+    assert.equal(prisma.db.usages[0].checkInId, attended.checkIn.id);
+
+    // A member already in the gym keeps their open check-in
+    prisma.db.checkIns.push({ id: 700, memberId: 1, checkOutTime: null });
+    const again = await markAttendance(prisma, { enrollmentId: planSeat.id, status: 'attended' });
+    assert.equal(again.checkIn.id, 700);
+    assert.equal(prisma.db.checkIns.length, 2);
+
+    const noShow = await markAttendance(prisma, { enrollmentId: planSeat.id, status: 'no_show' });
+    assert.equal(noShow.enrollment.status, 'no_show');
+    assert.equal(noShow.enrollment.attendedAt, null);
+
+    await assert.rejects(
+        markAttendance(prisma, { enrollmentId: planSeat.id, status: 'late' }),
+        (error) => error.code === 'INVALID_ATTENDANCE'
+    );
+});
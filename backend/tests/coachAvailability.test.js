@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeWeeklyHours,
+    findWorkingTimeIssue,
+    getFreeSlots,
+    createOutsideHoursError
+} = require('../services/coachAvailabilityService');
+
+const clock = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const weekHours = [1, 2, 3].flatMap((weekday) => [
+    { weekday, startTime: '09:00', endTime: '13:00', kind: 'work' },
+    { weekday, startTime: '11:00', endTime: '11:30', kind: 'break' }
+]);
+
+function createMockPrisma({ hours = [], timeOff = [], closures = [], appointments = [], classes = [] } = {}) {
+    const byCoach = (rows) => async ({ where }) => rows.filter((row) => row.coachId === where.coachId);
+    return {
+        service: { findUnique: async ({ where }) => (where.id === 4 ? { defaultDuration: 45 } : null) },
+        coachWorkingHours: { findMany: byCoach(hours) },
+        coachTimeOff: { findMany: byCoach(timeOff) },
+        gymClosure: { findMany: async () => closures },
+        appointment: { findMany: byCoach(appointments) },
+        classSession: { findMany: byCoach(classes) }
+    };
+}
+
+test('weekly hours are validated and breaks must sit inside working hours', () => {
+    const hours = normalizeWeeklyHours([
+        { weekday: 1, startTime: '14:00', endTime: '18:00' },
+        { weekday: 1, startTime: '8:30', endTime: '12:00' },
+        { weekday: 1, startTime: '10:00', endTime: '10:15', kind: 'break' }
+    ]);
+    assert.deepEqual(hours.map((row) => [row.startTime, row.endTime, row.kind]), [
+        ['08:30', '12:00', 'work'],
+        ['10:00', '10:15', 'break'],
+        ['14:00', '18:00', 'work']
+    ]);
+
+    assert.throws(() => normalizeWeeklyHours([{ weekday: 7, startTime: '09:00', endTime: '10:00' }]), { code: 'INVALID_HOURS' });
+    assert.throws(() => normalizeWeeklyHours([{ weekday: 1, startTime: '10:00', endTime: '09:00' }]), { code: 'INVALID_HOURS' });
+    assert.throws(() => normalizeWeeklyHours([
+        { weekday: 1, startTime: '09:00', endTime: '12:00' },
+        { weekday: 1, startTime: '11:00', endTime: '13:00' }
+    ]), /overlap/);
+    assert.throws(() => normalizeWeeklyHours([
+        { weekday: 1, startTime: '09:00', endTime: '12:00' },
+        { weekday: 2, startTime: '10:00', endTime: '10:30', kind: 'break' }
+    ]), /inside working hours/);
+});
+
+test('bookings are refused on closures, time off, breaks and outside working hours', () => {
+    const calendar = {
+        hours: weekHours,
+        timeOff: [{ start: new Date(2026, 2, 4), end: new Date(2026, 2, 4, 23, 59, 59, 999), type: 'sick' }],
+        closures: [{ name: 'National Day', start: new Date(2026, 2, 3), end: new Date(2026, 2, 3, 23, 59, 59, 999) }],
+        busy: []
+    };
+    const at = (date, hour, minute = 0) => new Date(2026, 2, date, hour, minute);
+
+    assert.equal(findWorkingTimeIssue(calendar, at(2, 9), at(2, 10)), null);
+    assert.deepEqual(findWorkingTimeIssue(calendar, at(2, 10, 30), at(2, 11, 15)), { reason: 'break' });
+    assert.deepEqual(findWorkingTimeIssue(calendar, at(2, 12, 30), at(2, 13, 30)), { reason: 'outside_hours' });
+    assert.deepEqual(findWorkingTimeIssue(calendar, at(5, 9), at(5, 10)), { reason: 'outside_hours' });
+    assert.deepEqual(findWorkingTimeIssue(calendar, at(3, 9), at(3, 10)), { reason: 'closed', name: 'National Day' });
+    assert.deepEqual(findWorkingTimeIssue(calendar, at(4, 9), at(4, 10)), { reason: 'time_off', type: 'sick' });
+
+    // No working hours set: any time except time off and closures
+    const open = { ...calendar, hours: [] };
+    assert.equal(findWorkingTimeIssue(open, at(5, 22), at(5, 23)), null);
+    assert.equal(findWorkingTimeIssue(open, at(4, 22), at(4, 23)).reason, 'time_off');
+
+    const error = createOutsideHoursError({ reason: 'closed', name: 'National Day' });
+    assert.equal(error.status, 409);
+    assert.equal(error.code, 'OUTSIDE_WORKING_HOURS');
+    assert.match(error.message, /National Day/);
+});
+
+test('free slots fit the service duration around breaks, bookings, classes, time off and closures', async () => {
+    const prisma = createMockPrisma({
+        hours: weekHours.map((row) => ({ ...row, coachId: 3 })),
+        timeOff: [{ coachId: 3, start: new Date(2026, 2, 4), end: new Date(2026, 2, 4, 23, 59, 59, 999), type: 'vacation' }],
+        closures: [{ name: 'National Day', startDate: new Date(2026, 2, 3), endDate: new Date(2026, 2, 3, 23, 59, 59, 999) }],
+        appointments: [{ coachId: 3, start: new Date(2026, 2, 2, 9, 30), end: new Date(2026, 2, 2, 10, 30) }],
+        classes: [{ coachId: 3, start: new Date(2026, 2, 2, 12, 30), end: new Date(2026, 2, 2, 13, 0) }]
+    });
+
+    const result = await getFreeSlots(prisma, {
+        coachId: 3,
+        from: '2026-03-02',
+        to: '2026-03-05',
+        serviceId: 4,
+        now: new Date(2026, 2, 1)
+    });
+
+    assert.equal(result.durationMinutes, 45);
+    assert.equal(result.hoursSet, true);
+    const [monday, tuesday, wednesday, thursday] = result.days;
+    assert.equal(monday.date, '2026-03-02');
+    assert.deepEqual(monday.slots.map((slot) => clock(slot.start)), ['11:30', '11:45']);
+    assert.equal(clock(monday.slots[1].end), '12:30');
+    assert.equal(tuesday.closed, 'National Day');
+    assert.deepEqual(tuesday.slots, []);
+    assert.equal(wednesday.timeOff, true);
+    assert.deepEqual(wednesday.slots, []);
+    assert.deepEqual(thursday.working, []);
+
+    const later = await getFreeSlots(prisma, {
+        coachId: 3,
+        from: '2026-03-02',
+        durationMinutes: 30,
+        step: 30,
+        now: new Date(2026, 2, 2, 11, 40)
+    });
+    assert.deepEqual(later.days[0].slots.map((slot) => clock(slot.start)), ['12:00']);
+
+    const none = await getFreeSlots(createMockPrisma(), { coachId: 3, from: '2026-03-02', durationMinutes: 30, now: new Date(2026, 2, 1) });
+    assert.equal(none.hoursSet, false);
+    assert.deepEqual(none.days[0].slots, []);
+
+    await assert.rejects(getFreeSlots(prisma, { coachId: 3, from: '2026-03-02' }), { code: 'INVALID_AVAILABILITY' });
+    await assert.rejects(getFreeSlots(prisma, { coachId: 3, from: '2026-03-02', serviceId: 9 }), { code: 'SERVICE_NOT_FOUND' });
+    await assert.rejects(
+        getFreeSlots(prisma, { coachId: 3, from: '2026-03-01', to: '2026-04-15', durationMinutes: 30 }),
+        /at most 31 days/
+    );
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluateDebt } = require('../services/debtPolicyService');
+const { recordCheckIn } = require('../services/checkInService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createMockPrisma({ settings = {}, subscriptions = [], charges = [] } = {}) {
+    const checkIns = [];
+    const auditLogs = [];
+    const current = subscriptions.find((sub) => sub.status === 'active') || null;
+    return {
+        checkIns,
+        auditLogs,
+        setting: {
+            findUnique: async ({ where }) => (where.key in settings ? { key: where.key, value: settings[where.key] } : null)
+        },
+        subscription: {
+            findFirst: async () => current,
+            findMany: async ({ where }) => subscriptions.filter((sub) => where.status.in.includes(sub.status))
+        },
+        appointmentCharge: {
+            findMany: async ({ where }) => charges.filter((charge) => charge.memberId === where.memberId
+                && charge.status === where.status
+                && charge.dueAmount > where.dueAmount.gt)
+        },
+        memberPackage: {
+            updateMany: async () => ({ count: 0 }),
+            findFirst: async () => null
+        },
+        appointment: { findFirst: async () => null },
+        checkIn: {
+            findFirst: async () => null,
+            create: async ({ data }) => {
+                const row = { id: checkIns.length + 1, checkInTime: new Date(), ...data };
+                checkIns.push(row);
+                return row;
+            }
+        },
+        auditLog: {
+            create: async ({ data }) => {
+                auditLogs.push(data);
+                return data;
+            }
+        },
+        webhookEndpoint: { findMany: async () => [] }
+    };
+}
+
+const member = { id: 3, memberId: 'GYM-003', firstName: 'Sara', lastName: 'Adel' };
+
+const owingSubscriptions = () => [
+    {
+        id: 10,
+        status: 'active',
+        price: 1000,
+        startDate: new Date(Date.now() - 10 * DAY),
+        endDate: new Date(Date.now() + 20 * DAY),
+        plan: { name: 'Monthly', branchAccess: 'all', accessRules: null },
+        payments: [{ amount: 600, refundedTotal: 0 }]
+    },
+    {
+        id: 4,
+        status: 'expired',
+        price: 500,
+        startDate: new Date(Date.now() - 60 * DAY),
+        endDate: new Date(Date.now() - 30 * DAY),
+        plan: { name: 'Monthly' },
+        payments: [{ amount: 450, refundedTotal: 0 }]
+    },
+    {
+        id: 2,
+        status: 'cancelled',
+        price: 800,
+        plan: { name: 'Old' },
+        payments: []
+    }
+];
+
+test('evaluateDebt sums unpaid balances and honours the policy threshold', async () => {
+    assert.equal(await evaluateDebt(createMockPrisma({ subscriptions: owingSubscriptions() }), member), null);
+
+    const debt = await evaluateDebt(createMockPrisma({
+        settings: { checkin_debt_policy: 'warn' },
+        subscriptions: owingSubscriptions()
+    }), member);
+    assert.equal(debt.outstanding, 450);
+    assert.equal(debt.requiresOverride, true);
+    assert.equal(debt.blocked, false);
+    assert.deepEqual(debt.subscriptions.map((row) => [row.subscriptionId, row.remaining]), [[10, 400], [4, 50]]);
+    assert.equal(debt.collect.subscriptionId, 10);
+    assert.equal(debt.collect.amount, 400);
+    assert.equal(debt.collect.member.memberId, 'GYM-003');
+
+    assert.equal(await evaluateDebt(createMockPrisma({
+        settings: { checkin_debt_policy: 'block', checkin_debt_threshold: '450' },
+        subscriptions: owingSubscriptions()
+    }), member), null);
+});
+
+test('block policy refuses the check-in with the collect shortcut', async () => {
+    const prisma = createMockPrisma({
+        settings: { checkin_debt_policy: 'block' },
+        subscriptions: owingSubscriptions()
+    });
+
+    await assert.rejects(
+        recordCheckIn(prisma, { member }),
+        (error) => error.status === 400
+            && error.reason === 'OUTSTANDING_BALANCE'
+            && error.debt.collect.subscriptionId === 10
+    );
+    assert.equal(prisma.checkIns.length, 0);
+});
+
+test('an unpaid no-show fee counts as debt and blocks check-in', async () => {
+    const paidUp = owingSubscriptions().map((sub) => ({ ...sub, payments: [{ amount: sub.price, refundedTotal: 0 }] }));
+    const prisma = createMockPrisma({
+        settings: { checkin_debt_policy: 'block' },
+        subscriptions: paidUp,
+        charges: [
+            { id: 21, memberId: 3, appointmentId: 40, type: 'no_show', status: 'due', dueAmount: 150, appointment: { title: 'PT Session', start: new Date() } },
+            { id: 22, memberId: 3, appointmentId: 41, type: 'late_cancel', status: 'paid', dueAmount: 0 },
+            { id: 23, memberId: 9, appointmentId: 42, type: 'no_show', status: 'due', dueAmount: 80 }
+        ]
+    });
+
+    await assert.rejects(
+        recordCheckIn(prisma, { member }),
+        (error) => error.status === 400
+            && error.reason === 'OUTSTANDING_BALANCE'
+            && error.debt.outstanding === 150
+            && error.debt.subscriptions.length === 0
+            && error.debt.charges[0].chargeId === 21
+            && error.debt.collect.chargeId === 21
+            && error.debt.collect.subscriptionId === null
+            && error.debt.collect.amount === 150
+    );
+    assert.equal(prisma.checkIns.length, 0);
+
+    // Subscription balance and fee add up; collect points at the larger one
+    const debt = await evaluateDebt(createMockPrisma({
+        settings: { checkin_debt_policy: 'warn' },
+        subscriptions: owingSubscriptions(),
+        charges: [{ id: 21, memberId: 3, appointmentId: 40, type: 'no_show', status: 'due', dueAmount: 150 }]
+    }), member);
+    assert.equal(debt.outstanding, 600);
+    assert.equal(debt.collect.subscriptionId, 10);
+    assert.equal(debt.collect.chargeId, null);
+});
+
+test('warn policy needs a permitted override and audits it', async () => {
+    const prisma = createMockPrisma({
+        settings: { checkin_debt_policy: 'warn' },
+        subscriptions: owingSubscriptions()
+    });
+
+    await assert.rejects(
+        recordCheckIn(prisma, { member }),
+        (error) => error.status === 400 && error.code === 'DEBT_OVERRIDE_REQUIRED' && error.debt.outstanding === 450
+    );
+    await assert.rejects(
+        recordCheckIn(prisma, { member, overrideDebt: true }),
+        (error) => error.status === 403 && error.code === 'DEBT_OVERRIDE_FORBIDDEN'
+    );
+    assert.equal(prisma.checkIns.length, 0);
+
+    const result = await recordCheckIn(prisma, {
+        member,
+        userId: 5,
+        overrideDebt: true,
+        canOverrideDebt: true,
+        overrideReason: 'Pays tomorrow'
+    });
+    assert.equal(result.visitType, 'SUBSCRIPTION');
+    assert.equal(result.debt.outstanding, 450);
+    assert.equal(prisma.checkIns[0].subscriptionId, 10);
+    assert.equal(prisma.auditLogs.length, 1);
+    assert.equal(prisma.auditLogs[0].action, 'CHECKIN_DEBT_OVERRIDE');
+    assert.equal(prisma.auditLogs[0].performedBy, 5);
+    assert.deepEqual(JSON.parse(prisma.auditLogs[0].metadata), {
+        memberId: 3,
+        outstanding: 450,
+        subscriptionIds: [10, 4],
+        chargeIds: [],
+        reason: 'Pays tomorrow'
+    });
+});
@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    advanceDueDate,
+    createExpense,
+    deleteExpense,
+    generateRecurringExpenses,
+    buildProfitAndLoss
+} = require('../services/expenseService');
+
+const CATEGORIES = ['rent', 'utilities', 'maintenance'];
+
+function createMockPrisma({ shifts = [], templates = [], expenses = [] } = {}) {
+    const movements = [];
+    const prisma = {
+        movements,
+        expenses,
+        templates,
+        expenseCategory: {
+            findUnique: async ({ where }) => (CATEGORIES.includes(where.name) ? { name: where.name } : null)
+        },
+        pOSShift: {
+            findFirst: async ({ where }) => shifts.find((shift) => shift.openedBy === where.openedBy && !shift.closedAt) || null
+        },
+        cashMovement: {
+            create: async ({ data }) => {
+                const row = { id: movements.length + 1, ...data };
+                movements.push(row);
+                return row;
+            },
+            delete: async ({ where }) => {
+                movements.splice(movements.findIndex((movement) => movement.id === where.id), 1);
+            }
+        },
+        expense: {
+            create: async ({ data }) => {
+                const duplicate = data.recurringExpenseId && expenses.some((expense) =>
+                    expense.recurringExpenseId === data.recurringExpenseId && expense.date.getTime() === data.date.getTime());
+                if (duplicate) {
+                    const error = new Error('Unique constraint failed');
+                    error.code = 'P2002';
+                    throw error;
+                }
+                const row = { id: expenses.length + 1, ...data };
+                expenses.push(row);
+                return row;
+            },
+            findUnique: async ({ where }) => {
+                const row = expenses.find((expense) => expense.id === where.id);
+                if (!row) return null;
+                return { ...row, settlement: null, shift: shifts.find((shift) => shift.id === row.shiftId) || null };
+            },
+            delete: async ({ where }) => {
+                expenses.splice(expenses.findIndex((expense) => expense.id === where.id), 1);
+            }
+        },
+        recurringExpense: {
+            findMany: async ({ where }) => templates.filter((template) => template.isActive && template.nextDueDate <= where.nextDueDate.lte),
+            update: async ({ where, data }) => Object.assign(templates.find((template) => template.id === where.id), data)
+        },
+        $transaction: async (fn) => fn(prisma)
+    };
+    return prisma;
+}
+
+test('advanceDueDate keeps the anchor day and clamps to short months', () => {
+    const jan31 = new Date(2026, 0, 31);
+    const feb = advanceDueDate(jan31, 'monthly', 31);
+    assert.equal(feb.getMonth(), 1);
+    assert.equal(feb.getDate(), 28);
+
+    const mar = advanceDueDate(feb, 'monthly', 31);
+    assert.equal(mar.getMonth(), 2);
+    assert.equal(mar.getDate(), 31);
+
+    const weekly = advanceDueDate(new Date(2026, 0, 28), 'weekly');
+    assert.equal(weekly.getMonth(), 1);
+    assert.equal(weekly.getDate(), 4);
+
+    const leap = advanceDueDate(new Date(2028, 1, 29), 'yearly', 29);
+    assert.equal(leap.getFullYear(), 2029);
+    assert.equal(leap.getDate(), 28);
+});
+
+test('generateRecurringExpenses catches up missed dates once', async () => {
+    const prisma = createMockPrisma({
+        templates: [{
+            id: 1,
+            category: 'rent',
+            amount: 12000,
+            description: 'Main hall',
+            paymentMethod: 'transfer',
+            frequency: 'monthly',
+            startDate: new Date(2026, 0, 1),
+            nextDueDate: new Date(2026, 0, 1),
+            endDate: null,
+            isActive: true,
+            branchId: 2,
+            createdBy: 1
+        }]
+    });
+    const now = new Date(2026, 2, 15);
+
+    assert.deepEqual(await generateRecurringExpenses(prisma, now), { processed: 3 });
+    assert.deepEqual(prisma.expenses.map((expense) => expense.date.getMonth()), [0, 1, 2]);
+    assert.equal(prisma.expenses[0].recurringExpenseId, 1);
+    assert.equal(prisma.expenses[0].branchId, 2);
+    assert.equal(prisma.templates[0].nextDueDate.getTime(), new Date(2026, 3, 1).getTime());
+
+    // Nothing new is due; a rewound template skips dates that already exist
+    assert.deepEqual(await generateRecurringExpenses(prisma, now), { processed: 0 });
+    prisma.templates[0].nextDueDate = new Date(2026, 0, 1);
+    assert.deepEqual(await generateRecurringExpenses(prisma, now), { processed: 0 });
+    assert.equal(prisma.expenses.length, 3);
+});
+
+test('recurring templates stop after their end date', async () => {
+    const prisma = createMockPrisma({
+        templates: [{
+            id: 1,
+            category: 'utilities',
+            amount: 300,
+            paymentMethod: 'cash',
+            frequency: 'weekly',
+            startDate: new Date(2026, 0, 1),
+            nextDueDate: new Date(2026, 0, 1),
+            endDate: new Date(2026, 0, 10),
+            isActive: true
+        }]
+    });
+
+    assert.deepEqual(await generateRecurringExpenses(prisma, new Date(2026, 1, 1)), { processed: 2 });
+    assert.equal(prisma.templates[0].isActive, false);
+});
+
+test('drawer expenses record a pay-out on the open shift', async () => {
+    const prisma = createMockPrisma({ shifts: [{ id: 7, openedBy: 3, closedAt: null, branchId: 4 }] });
+
+    const expense = await createExpense(prisma, {
+        category: 'maintenance',
+        amount: '150.5',
+        description: 'Light bulbs',
+        paymentMethod: 'card',
+        paidFromDrawer: 'true'
+    }, { userId: 3, branchId: null });
+
+    assert.equal(prisma.movements.length, 1);
+    assert.deepEqual(
+        { type: prisma.movements[0].type, amount: prisma.movements[0].amount, shiftId: prisma.movements[0].shiftId },
+        { type: 'OUT', amount: 150.5, shiftId: 7 }
+    );
+    assert.equal(expense.cashMovementId, 1);
+    assert.equal(expense.shiftId, 7);
+    assert.equal(expense.paymentMethod, 'cash');
+    assert.equal(expense.branchId, 4);
+
+    await assert.rejects(
+        createExpense(prisma, { category: 'rent', amount: 10, paidFromDrawer: true }, { userId: 99 }),
+        (error) => error.code === 'NO_ACTIVE_SHIFT' && error.status === 400
+    );
+    await assert.rejects(
+        createExpense(prisma, { category: 'unknown', amount: 10 }, { userId: 3 }),
+        (error) => error.code === 'INVALID_CATEGORY'
+    );
+});
+
+test('drawer expenses of a closed shift cannot be deleted', async () => {
+    const shifts = [{ id: 7, openedBy: 3, closedAt: null }];
+    const prisma = createMockPrisma({ shifts });
+    const expense = await createExpense(prisma, { category: 'rent', amount: 50, paidFromDrawer: true }, { userId: 3 });
+
+    shifts[0].closedAt = new Date();
+    await assert.rejects(deleteExpense(prisma, expense.id), (error) => error.code === 'SHIFT_CLOSED');
+
+    shifts[0].closedAt = null;
+    await deleteExpense(prisma, expense.id);
+    assert.equal(prisma.expenses.length, 0);
+    assert.equal(prisma.movements.length, 0);
+});
+
+test('buildProfitAndLoss groups revenue and expenses by month and category', async () => {
+    const prisma = {
+        payment: {
+            findMany: async () => [
+                { amount: 1000, paidAt: new Date(2026, 0, 5) },
+                { amount: 500, paidAt: new Date(2026, 1, 5) }
+            ]
+        },
+        refund: { findMany: async () => [{ amount: 100, createdAt: new Date(2026, 0, 20) }] },
+        saleTransaction: { findMany: async () => [{ totalAmount: 50, createdAt: new Date(2026, 1, 9) }] },
+        expense: {
+            findMany: async () => [
+                { amount: 400, category: 'rent', date: new Date(2026, 0, 1) },
+                { amount: 150, category: 'utilities', date: new Date(2026, 0, 15) },
+                { amount: 400, category: 'rent', date: new Date(2026, 1, 1) }
+            ]
+        }
+    };
+
+    const report = await buildProfitAndLoss(prisma, {
+        startDate: new Date(2026, 0, 1),
+        endDate: new Date(2026, 2, 31, 23, 59, 59)
+    });
+
+    assert.deepEqual(report.months.map((month) => month.month), ['2026-01', '2026-02', '2026-03']);
+    assert.equal(report.months[0].revenue, 900);
+    assert.equal(report.months[0].expenses, 550);
+    assert.equal(report.months[0].profit, 350);
+    assert.deepEqual(report.months[0].expensesByCategory, [
+        { category: 'rent', total: 400 },
+        { category: 'utilities', total: 150 }
+    ]);
+    assert.equal(report.months[1].revenue, 550);
+    assert.equal(report.months[2].profit, 0);
+    assert.deepEqual(report.categories, [
+        { category: 'rent', total: 800 },
+        { category: 'utilities', total: 150 }
+    ]);
+    assert.equal(report.summary.profit, 500);
+    assert.equal(report.summary.margin, 34.48);
+});
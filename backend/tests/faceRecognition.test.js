@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PNG } = require('pngjs');
+
+const {
+    DESCRIPTOR_LENGTH,
+    decodeImage,
+    encodeDescriptors,
+    decodeDescriptors,
+    findBestMatch,
+    matchFace,
+    enrollFace,
+    withoutFaceEncoding
+} = require('../services/faceService');
+
+// Descriptor with every value set to `value` (distance between two of them is |a - b| * sqrt(128))
+const flat = (value) => new Float32Array(DESCRIPTOR_LENGTH).fill(value);
+
+function createMockPrisma({ members = [], settings = {} } = {}) {
+    const auditLogs = [];
+    return {
+        members,
+        auditLogs,
+        setting: {
+            findUnique: async ({ where }) => (where.key in settings ? { key: where.key, value: settings[where.key] } : null)
+        },
+        member: {
+            findMany: async () => members.filter((member) => member.faceEncoding !== null),
+            update: async ({ where, data }) => Object.assign(members.find((member) => member.id === where.id), data)
+        },
+        auditLog: {
+            create: async ({ data }) => {
+                auditLogs.push(data);
+                return data;
+            }
+        }
+    };
+}
+
+test('webcam PNG frames decode to RGB and descriptors survive the Bytes column', () => {
+    const png = new PNG({ width: 2, height: 1 });
+    png.data = Buffer.from([255, 0, 0, 255, 10, 20, 30, 255]);
+    const dataUrl = `data:image/png;base64,${PNG.sync.write(png).toString('base64')}`;
+
+    const image = decodeImage(dataUrl);
+    assert.equal(image.width, 2);
+    assert.equal(image.height, 1);
+    assert.deepEqual(Array.from(image.data), [255, 0, 0, 10, 20, 30]);
+    assert.throws(() => decodeImage('data:image/png;base64,bm90IGEgcG5n'), (error) => error.status === 400 && error.code === 'INVALID_IMAGE');
+
+    const encoded = encodeDescriptors([flat(0.25), flat(-0.5)]);
+    assert.equal(encoded.length, 2 * DESCRIPTOR_LENGTH * 4);
+    const decoded = decodeDescriptors(encoded);
+    assert.equal(decoded.length, 2);
+    assert.equal(decoded[0][5], 0.25);
+    assert.equal(decoded[1][127], -0.5);
+    assert.deepEqual(decodeDescriptors(null), []);
+});
+
+test('findBestMatch picks the closest enrolled member within the threshold', async () => {
+    const prisma = createMockPrisma({
+        members: [
+            { id: 3, memberId: 'GYM-003', firstName: 'Sara', lastName: 'Adel', isActive: true, faceEncoding: encodeDescriptors([flat(0.5), flat(0.1)]) },
+            { id: 4, memberId: 'GYM-004', firstName: 'Omar', lastName: 'Ali', isActive: true, faceEncoding: encodeDescriptors([flat(0.13)]) },
+            { id: 5, memberId: 'GYM-005', firstName: 'Mona', lastName: 'Said', isActive: true, faceEncoding: null }
+        ]
+    });
+
+    const match = await findBestMatch(prisma, flat(0.11));
+    assert.equal(match.member.id, 3);
+    assert.equal(match.member.faceEncoding, undefined);
+    assert.ok(match.distance < 0.12);
+    assert.equal(match.threshold, 0.5);
+
+    // 0.2 * sqrt(128) ≈ 2.26 is far outside the default threshold
+    const stranger = await findBestMatch(prisma, flat(0.33));
+    assert.equal(stranger.member, null);
+    assert.ok(stranger.distance > 0.5);
+
+    const loose = await findBestMatch(createMockPrisma({ members: prisma.members, settings: { checkin_face_threshold: '1.4' } }), flat(0.2));
+    assert.equal(loose.member.id, 4);
+
+    const result = await matchFace(prisma, 'frame', { extract: async () => [flat(0.13), flat(0.5)] });
+    assert.equal(result.member.id, 4);
+    assert.equal(result.confidence, 100);
+    await assert.rejects(
+        matchFace(prisma, 'frame', { extract: async () => [] }),
+        (error) => error.status === 400 && error.code === 'NO_FACE'
+    );
+});
+
+test('enrollFace needs exactly one face per image and replaces the stored encoding', async () => {
+    const member = { id: 7, faceEncoding: encodeDescriptors([flat(0.9)]) };
+    const prisma = createMockPrisma({ members: [member] });
+    const faces = { one: [flat(0.1)], other: [flat(0.2)], crowd: [flat(0.1), flat(0.3)], none: [] };
+    const extract = async (image) => faces[image];
+
+    await assert.rejects(
+        enrollFace(prisma, member, ['one', 'crowd'], { extract }),
+        (error) => error.status === 400 && error.code === 'MULTIPLE_FACES'
+    );
+    await assert.rejects(
+        enrollFace(prisma, member, ['none'], { extract }),
+        (error) => error.code === 'NO_FACE'
+    );
+    await assert.rejects(enrollFace(prisma, member, [], { extract }), (error) => error.code === 'INVALID_IMAGE');
+    assert.equal(decodeDescriptors(member.faceEncoding)[0][0], Math.fround(0.9));
+
+    const result = await enrollFace(prisma, member, ['one', 'other'], { extract, userId: 2 });
+    assert.equal(result.samples, 2);
+    assert.deepEqual(decodeDescriptors(member.faceEncoding).map((descriptor) => descriptor[0]), [Math.fround(0.1), Math.fround(0.2)]);
+    assert.equal(prisma.auditLogs[0].action, 'FACE_ENROLLED');
+
+    assert.deepEqual(withoutFaceEncoding(member), { id: 7, hasFace: true });
+    assert.deepEqual(withoutFaceEncoding({ id: 8, faceEncoding: null }), { id: 8, hasFace: false });
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseInstallmentPlan,
+    buildSchedule,
+    allocatePayments,
+    createSchedule,
+    serializeInstallment,
+    buildInstallmentReport
+} = require('../services/installmentService');
+
+function createMockPrisma({ subscription, installments = [] }) {
+    return {
+        installments,
+        subscription: {
+            findUnique: async () => subscription
+        },
+        subscriptionInstallment: {
+            createMany: async ({ data }) => {
+                data.forEach((row) => installments.push({ id: installments.length + 1, paidAmount: 0, status: 'pending', paidAt: null, ...row }));
+                return { count: data.length };
+            },
+            findMany: async () => installments,
+            update: async ({ where, data }) => Object.assign(installments.find((row) => row.id === where.id), data)
+        }
+    };
+}
+
+test('installment plans split the price into dated installments', () => {
+    assert.equal(parseInstallmentPlan(undefined, { total: 900 }), null);
+    assert.equal(parseInstallmentPlan({ count: '' }, { total: 900 }), null);
+
+    const plan = parseInstallmentPlan({ count: '3', firstDueDate: '2026-01-31' }, { total: 1000 });
+    assert.equal(plan.count, 3);
+    assert.equal(plan.interval, 'monthly');
+
+    const schedule = buildSchedule({ total: 1000, ...plan });
+    assert.deepEqual(schedule.map((row) => row.amount), [333.33, 333.33, 333.34]);
+    // Monthly due dates keep the day of month, clamped to short months
+    assert.deepEqual(schedule.map((row) => [row.dueDate.getMonth(), row.dueDate.getDate()]), [[0, 31], [1, 28], [2, 31]]);
+
+    const weekly = buildSchedule({ total: 400, count: 2, interval: 'weekly', firstDueDate: new Date(2026, 0, 1) });
+    assert.equal(weekly[1].dueDate.getDate(), 8);
+
+    const isInvalid = (error) => error.status === 400 && error.code === 'INVALID_INSTALLMENT_PLAN';
+    assert.throws(() => parseInstallmentPlan({ count: 1 }, { total: 900 }), isInvalid);
+    assert.throws(() => parseInstallmentPlan({ count: 30 }, { total: 900 }), isInvalid);
+    assert.throws(() => parseInstallmentPlan({ count: 3, interval: 'daily' }, { total: 900 }), isInvalid);
+    assert.throws(() => parseInstallmentPlan({ count: 3, firstDueDate: 'soon' }, { total: 900 }), isInvalid);
+    assert.throws(() => parseInstallmentPlan({ count: 3 }, { total: 0 }), isInvalid);
+});
+
+test('payments are allocated to the oldest open installment and refunds reopen the newest', async () => {
+    const subscription = { id: 7, memberId: 12, price: 900, paidAmount: 400 };
+    const prisma = createMockPrisma({ subscription });
+
+    await createSchedule(prisma, subscription, { count: 3, interval: 'monthly', firstDueDate: new Date(2026, 0, 1) });
+    assert.deepEqual(prisma.installments.map((row) => [row.sequence, row.paidAmount, row.status]), [
+        [1, 300, 'paid'],
+        [2, 100, 'partial'],
+        [3, 0, 'pending']
+    ]);
+    assert.ok(prisma.installments[0].paidAt instanceof Date);
+    assert.equal(prisma.installments[0].memberId, 12);
+
+    subscription.paidAmount = 750;
+    await allocatePayments(prisma, 7);
+    assert.deepEqual(prisma.installments.map((row) => row.status), ['paid', 'paid', 'partial']);
+    assert.equal(prisma.installments[2].paidAmount, 150);
+
+    // Nothing changed, nothing written
+    assert.deepEqual(await allocatePayments(prisma, 7), []);
+
+    subscription.paidAmount = 250;
+    await allocatePayments(prisma, 7);
+    assert.deepEqual(prisma.installments.map((row) => [row.paidAmount, row.status]), [[250, 'partial'], [0, 'pending'], [0, 'pending']]);
+    assert.equal(prisma.installments[0].paidAt, null);
+});
+
+test('installment report separates overdue from upcoming installments', async () => {
+    const now = new Date(2026, 2, 10, 15);
+    const member = { id: 12, memberId: 'GYM-0012', firstName: 'Sara', lastName: 'Adel', phone: '0100' };
+    const rows = [
+        { id: 1, memberId: 12, sequence: 1, dueDate: new Date(2026, 2, 1), amount: 300, paidAmount: 100, status: 'partial' },
+        { id: 2, memberId: 12, sequence: 2, dueDate: new Date(2026, 2, 10), amount: 300, paidAmount: 0, status: 'pending' },
+        { id: 3, memberId: 12, sequence: 3, dueDate: new Date(2026, 3, 1), amount: 300, paidAmount: 0, status: 'pending' }
+    ].map((row) => ({ ...row, subscription: { id: 7, plan: { name: 'Quarterly' }, member } }));
+
+    let query = null;
+    const prisma = {
+        subscriptionInstallment: {
+            findMany: async (args) => {
+                query = args;
+                return rows;
+            }
+        }
+    };
+
+    const report = await buildInstallmentReport(prisma, { days: 30, branchScope: [2], now });
+    assert.deepEqual(query.where.status, { in: ['pending', 'partial'] });
+    assert.equal(query.where.subscription.canceledAt, null);
+    assert.deepEqual(query.where.subscription.member, { homeBranchId: { in: [2] } });
+
+    assert.equal(report.overdue.length, 1);
+    assert.equal(report.overdue[0].status, 'overdue');
+    assert.equal(report.overdue[0].daysOverdue, 9);
+    assert.equal(report.overdue[0].memberName, 'Sara Adel');
+    assert.equal(report.overdue[0].subscription, undefined);
+    // Due today is not overdue yet
+    assert.equal(report.upcoming[0].status, 'pending');
+    assert.deepEqual(report.summary, { overdueCount: 1, overdueAmount: 200, upcomingCount: 2, upcomingAmount: 600 });
+
+    assert.equal(serializeInstallment({ ...rows[0], status: 'paid', paidAmount: 300 }, now).isOverdue, false);
+});
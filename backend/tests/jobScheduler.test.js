@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getNextRunAt, isValidCron } = require('../jobs/cron');
+const scheduler = require('../jobs/scheduler');
+
+function createMockPrisma({ runs = [], settings = {} } = {}) {
+    const jobRuns = [...runs];
+    let nextId = jobRuns.length + 1;
+    const settingRows = new Map(Object.entries(settings).map(([key, value]) => [key, { key, value: JSON.stringify(value) }]));
+
+    return {
+        jobRuns,
+        setting: {
+            findUnique: async ({ where }) => settingRows.get(where.key) || null,
+            upsert: async ({ where, create, update }) => {
+                const row = { ...(settingRows.get(where.key) || create), ...update };
+                settingRows.set(where.key, row);
+                return row;
+            }
+        },
+        jobRun: {
+            create: async ({ data }) => {
+                const row = { id: nextId++, ...data };
+                jobRuns.push(row);
+                return row;
+            },
+            update: async ({ where, data }) => {
+                const row = jobRuns.find((r) => r.id === where.id);
+                Object.assign(row, data);
+                return row;
+            },
+            updateMany: async () => ({ count: 0 }),
+            findFirst: async ({ where }) => jobRuns
+                .filter((r) => r.jobName === where.jobName && (!where.status || where.status.in.includes(r.status)))
+                .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))[0] || null
+        }
+    };
+}
+
+test('cron computes next run for steps, lists and shortcuts', () => {
+    const from = new Date(2026, 1, 10, 8, 7, 30);
+
+    assert.deepEqual(getNextRunAt('*/5 * * * *', from), new Date(2026, 1, 10, 8, 10, 0));
+    assert.deepEqual(getNextRunAt('0 2 * * *', from), new Date(2026, 1, 11, 2, 0, 0));
+    assert.deepEqual(getNextRunAt('@hourly', from), new Date(2026, 1, 10, 9, 0, 0));
+    assert.deepEqual(getNextRunAt('30 9 * * 1,3', from), new Date(2026, 1, 11, 9, 30, 0));
+    assert.equal(isValidCron('61 * * * *'), false);
+    assert.equal(isValidCron('0 8 * *'), false);
+});
+
+test('runJob records success and failure with duration and error', async () => {
+    const prisma = createMockPrisma();
+    scheduler.registerJob({ name: 'test-ok', schedule: '0 * * * *', handler: async () => ({ processed: 2 }) });
+    scheduler.registerJob({ name: 'test-fail', schedule: '0 * * * *', handler: async () => { throw new Error('boom'); } });
+
+    const ok = await scheduler.runJob('test-ok', { prisma, trigger: 'manual', triggeredBy: 1 });
+    const failed = await scheduler.runJob('test-fail', { prisma });
+
+    assert.equal(ok.status, 'success');
+    assert.equal(ok.triggeredBy, 1);
+    assert.equal(JSON.parse(ok.resultJson).processed, 2);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'boom');
+    assert.equal(prisma.jobRuns.length, 2);
+    await assert.rejects(() => scheduler.runJob('missing', { prisma }), { code: 'JOB_NOT_FOUND' });
+});
+
+test('quiet jobs only record runs that did work', async () => {
+    const prisma = createMockPrisma();
+    let processed = 0;
+    scheduler.registerJob({ name: 'test-quiet', schedule: '* * * * *', quiet: true, handler: async () => ({ processed }) });
+
+    await scheduler.runJob('test-quiet', { prisma });
+    assert.equal(prisma.jobRuns.length, 0);
+
+    processed = 3;
+    await scheduler.runJob('test-quiet', { prisma });
+    assert.equal(prisma.jobRuns.length, 1);
+    assert.equal(prisma.jobRuns[0].status, 'success');
+});
+
+test('catch-up runs jobs whose scheduled slot passed while stopped', async () => {
+    const yesterday = new Date(Date.now() - 26 * 60 * 60 * 1000);
+    const prisma = createMockPrisma({
+        runs: [
+            { id: 1, jobName: 'test-daily-recent', status: 'success', startedAt: new Date() },
+            { id: 2, jobName: 'test-daily-missed', status: 'success', startedAt: yesterday }
+        ]
+    });
+
+    const calls = [];
+    for (const name of ['test-daily-missed', 'test-daily-recent']) {
+        scheduler.registerJob({ name, schedule: '0 0 * * *', catchUp: true, handler: async () => { calls.push(name); } });
+    }
+
+    await scheduler.start({ prisma });
+    scheduler.stop();
+
+    assert.ok(calls.includes('test-daily-missed'));
+    assert.ok(!calls.includes('test-daily-recent'));
+    const catchUpRun = prisma.jobRuns.find((r) => r.jobName === 'test-daily-missed' && r.trigger === 'catch_up');
+    assert.equal(catchUpRun.status, 'success');
+});
+
+test('saveJobConfig rejects invalid cron expressions', async () => {
+    const prisma = createMockPrisma();
+    scheduler.registerJob({ name: 'test-config', schedule: '0 8 * * *', handler: async () => null });
+
+    await assert.rejects(() => scheduler.saveJobConfig(prisma, 'test-config', { schedule: 'nope' }), { code: 'INVALID_CRON' });
+    const saved = await scheduler.saveJobConfig(prisma, 'test-config', { schedule: '0 9 * * *', enabled: false });
+    assert.deepEqual(saved, { schedule: '0 9 * * *', enabled: false });
+});
+
+test('saveJobConfig rejects schedules that never run and ignores stored ones', async () => {
+    const prisma = createMockPrisma({ settings: { 'job_config_test-never': { schedule: '0 0 30 2 *', enabled: true } } });
+    scheduler.registerJob({ name: 'test-never', schedule: '0 8 * * *', handler: async () => null });
+
+    await assert.rejects(() => scheduler.saveJobConfig(prisma, 'test-never', { schedule: '0 0 31 2 *' }), { status: 400, code: 'INVALID_CRON' });
+    const saved = await scheduler.saveJobConfig(prisma, 'test-never', { enabled: true });
+    assert.deepEqual(saved, { schedule: '0 8 * * *', enabled: true });
+});
+
+test('catch-up skips a job whose run history cannot be read and runs the others', async () => {
+    const prisma = createMockPrisma();
+    const findFirst = prisma.jobRun.findFirst;
+    prisma.jobRun.findFirst = async (args) => {
+        if (args.where.jobName === 'test-broken-history') throw new Error('relation "JobRun" does not exist');
+        return findFirst(args);
+    };
+
+    const calls = [];
+    for (const name of ['test-broken-history', 'test-never-run']) {
+        scheduler.registerJob({ name, schedule: '0 0 * * *', catchUp: true, handler: async () => { calls.push(name); } });
+    }
+
+    await scheduler.start({ prisma });
+    scheduler.stop();
+
+    assert.ok(calls.includes('test-never-run'));
+    assert.ok(!calls.includes('test-broken-history'));
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MAX_PIN_ATTEMPTS,
+    PIN_LOCKOUT_MS,
+    generateKioskToken,
+    findKioskByToken,
+    serializeKiosk,
+    buildKioskData,
+    verifyExitPin,
+    kioskCheckIn,
+    clearPinAttempts
+} = require('../services/kioskService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createMockPrisma({ kiosks = [], members = [], credentials = [], subscriptions = [], checkIns = [] } = {}) {
+    const auditLogs = [];
+    return {
+        auditLogs,
+        checkIns,
+        setting: { findUnique: async () => null },
+        kioskDevice: {
+            findUnique: async ({ where }) => kiosks.find((kiosk) => kiosk.tokenHash === where.tokenHash) || null,
+            update: async ({ where, data }) => Object.assign(kiosks.find((kiosk) => kiosk.id === where.id), data)
+        },
+        accessDevice: { findMany: async () => [] },
+        auditLog: {
+            create: async ({ data }) => {
+                auditLogs.push(data);
+                return data;
+            }
+        },
+        memberCredential: {
+            findUnique: async ({ where }) => {
+                const credential = credentials.find((row) => row.uid === where.uid);
+                return credential ? { ...credential, member: members.find((member) => member.id === credential.memberId) } : null;
+            }
+        },
+        member: {
+            findFirst: async ({ where }) => members.find((member) => where.memberId.in.includes(member.memberId)) || null
+        },
+        subscription: {
+            findFirst: async ({ where }) => subscriptions.find((sub) => sub.memberId === where.memberId) || null
+        },
+        memberPackage: {
+            updateMany: async () => ({ count: 0 }),
+            findFirst: async () => null
+        },
+        appointment: { findFirst: async () => null },
+        checkIn: {
+            findFirst: async ({ where }) => checkIns.find((row) => row.memberId === where.memberId && !row.checkOutTime) || null,
+            create: async ({ data }) => {
+                const row = { id: checkIns.length + 1, checkInTime: new Date(), ...data };
+                checkIns.push(row);
+                return row;
+            }
+        },
+        webhookEndpoint: { findMany: async () => [] }
+    };
+}
+
+test('kiosk tokens and exit PINs are stored hashed and wrong PINs lock the kiosk out', async () => {
+    clearPinAttempts();
+    const { token, tokenHash, tokenHint } = generateKioskToken();
+    const data = await buildKioskData({ name: ' Entrance ', branchId: '2', pin: '2468' });
+    assert.equal(data.name, 'Entrance');
+    assert.equal(data.branchId, 2);
+    assert.notEqual(data.exitPinHash, '2468');
+
+    const kiosk = { id: 1, isActive: true, ...data, tokenHash, tokenHint };
+    const serialized = serializeKiosk(kiosk);
+    assert.equal(serialized.tokenHash, undefined);
+    assert.equal(serialized.exitPinHash, undefined);
+    assert.equal(serialized.tokenHint, tokenHint);
+
+    const prisma = createMockPrisma({ kiosks: [kiosk] });
+    assert.equal((await findKioskByToken(prisma, token)).id, 1);
+    assert.equal(await findKioskByToken(prisma, 'acd_reader'), null);
+    kiosk.isActive = false;
+    assert.equal(await findKioskByToken(prisma, token), null);
+
+    const isInvalid = (code) => (error) => error.status === 400 && error.code === code;
+    await assert.rejects(buildKioskData({ name: 'Entrance', pin: '12' }), isInvalid('INVALID_PIN'));
+    await assert.rejects(buildKioskData({ pin: '1234' }), isInvalid('INVALID_KIOSK'));
+    assert.equal((await buildKioskData({ pin: '' }, kiosk)).exitPinHash, undefined);
+
+    await verifyExitPin(prisma, kiosk, '2468');
+    assert.equal(prisma.auditLogs.at(-1).action, 'KIOSK_UNLOCKED');
+
+    const now = Date.now();
+    for (let attempt = 1; attempt <= MAX_PIN_ATTEMPTS; attempt += 1) {
+        await assert.rejects(verifyExitPin(prisma, kiosk, '0000', now), (error) => error.status === 401 && error.code === 'INVALID_PIN');
+    }
+    // Locked even with the right PIN until the lockout ends
+    await assert.rejects(verifyExitPin(prisma, kiosk, '2468', now + 1000), (error) => error.status === 429 && error.code === 'PIN_LOCKED');
+    await verifyExitPin(prisma, kiosk, '2468', now + PIN_LOCKOUT_MS + 1);
+});
+
+test('kiosk check-ins resolve cards and typed codes and explain denials', async () => {
+    const kiosk = { id: 3, branchId: null, isActive: true };
+    const prisma = createMockPrisma({
+        kiosks: [kiosk],
+        members: [
+            { id: 12, memberId: 'GYM-0012', firstName: 'Sara', lastName: 'Adel', isActive: true },
+            { id: 13, memberId: 'GYM-0013', firstName: 'Omar', lastName: 'Ali', isActive: true },
+            { id: 14, memberId: 'GYM-0014', firstName: 'Mona', lastName: 'Said', isActive: false }
+        ],
+        credentials: [
+            { id: 1, memberId: 12, uid: '04A32B1C', status: 'active' },
+            { id: 2, memberId: 13, uid: 'DEADBEEF', status: 'revoked' }
+        ],
+        subscriptions: [{
+            id: 10,
+            memberId: 12,
+            status: 'active',
+            startDate: new Date(Date.now() - 5 * DAY),
+            endDate: new Date(Date.now() + 20 * DAY),
+            plan: { name: 'Monthly', branchAccess: 'all', accessRules: null }
+        }]
+    });
+
+    const welcome = await kioskCheckIn(prisma, { kiosk, code: '04:a3:2b:1c' });
+    assert.equal(welcome.granted, true);
+    assert.equal(welcome.reason, 'ELIGIBLE');
+    assert.equal(welcome.daysRemaining, 20);
+    assert.equal(welcome.remainingSessions, null);
+    assert.deepEqual(welcome.member, { firstName: 'Sara', photo: null });
+    assert.equal(prisma.checkIns[0].method, 'kiosk');
+    assert.ok(kiosk.lastSeenAt instanceof Date);
+
+    // Typed "12" is GYM-0012, already inside
+    const again = await kioskCheckIn(prisma, { kiosk, code: '12' });
+    assert.equal(again.granted, true);
+    assert.equal(again.reason, 'ALREADY_CHECKED_IN');
+    assert.equal(prisma.checkIns.length, 1);
+
+    const notEligible = await kioskCheckIn(prisma, { kiosk, code: 'gym-0013' });
+    assert.equal(notEligible.granted, false);
+    assert.equal(notEligible.reason, 'NOT_ELIGIBLE');
+    assert.equal(notEligible.seeDesk, false);
+
+    const revoked = await kioskCheckIn(prisma, { kiosk, code: 'deadbeef' });
+    assert.equal(revoked.reason, 'CREDENTIAL_REVOKED');
+    assert.equal(revoked.seeDesk, true);
+    assert.equal((await kioskCheckIn(prisma, { kiosk, code: 'GYM 14' })).reason, 'MEMBER_INACTIVE');
+    assert.equal((await kioskCheckIn(prisma, { kiosk, code: 'nobody' })).reason, 'MEMBER_NOT_FOUND');
+    await assert.rejects(kioskCheckIn(prisma, { kiosk, code: '  ' }), (error) => error.status === 400 && error.code === 'INVALID_CODE');
+});
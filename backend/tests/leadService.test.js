@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createLead,
+    changeStage,
+    addNote,
+    createTask,
+    completeTask,
+    convertLead,
+    attachTrialBooking,
+    recordTrialStatus,
+    buildFunnelReport
+} = require('../services/leadService');
+
+const matches = (row, where = {}) => Object.entries(where).every(([key, condition]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+        if ('notIn' in condition) return !condition.notIn.includes(row[key]);
+        if ('not' in condition) return row[key] !== condition.not;
+        if ('in' in condition) return condition.in.includes(row[key]);
+        if ('gte' in condition || 'lte' in condition) {
+            return (!condition.gte || row[key] >= condition.gte) && (!condition.lte || row[key] <= condition.lte);
+        }
+    }
+    return row[key] === condition;
+});
+
+function createTable(rows = []) {
+    return {
+        rows,
+        findUnique: async ({ where }) => {
+            const row = rows.find((candidate) => candidate.id === where.id);
+            return row ? { ...row } : null;
+        },
+        findFirst: async ({ where }) => rows.filter((row) => matches(row, where)).pop() || null,
+        findMany: async ({ where } = {}) => rows.filter((row) => matches(row, where)),
+        create: async ({ data }) => {
+            const row = { id: rows.length + 1, createdAt: new Date(), ...data };
+            rows.push(row);
+            return row;
+        },
+        update: async ({ where, data }) => Object.assign(rows.find((row) => row.id === where.id), data)
+    };
+}
+
+function createMockPrisma({ members = [], leads = [], plans = [], subscriptions = [], users = [] } = {}) {
+    const prisma = {
+        member: {
+            ...createTable(members),
+            findFirst: async ({ where }) => members.find((member) => member.phoneNorm && member.phoneNorm === where?.phoneNorm) || null,
+            count: async () => members.length
+        },
+        lead: createTable(leads),
+        leadTask: createTable(),
+        leadActivity: createTable(),
+        subscriptionPlan: createTable(plans),
+        subscription: createTable(subscriptions),
+        subscriptionEvent: createTable(),
+        payment: createTable(),
+        user: createTable(users),
+        $transaction: async (fn) => fn(prisma)
+    };
+    return prisma;
+}
+
+const activityTypes = (prisma) => prisma.leadActivity.rows.map((activity) => activity.type);
+
+test('createLead refuses phones of members and open leads unless allowed', async () => {
+    const prisma = createMockPrisma({
+        members: [{ id: 1, memberId: 'GYM-0001', firstName: 'Sara', lastName: 'Ali', phone: '0100 123 4567', phoneNorm: '01001234567' }]
+    });
+
+    await assert.rejects(
+        createLead(prisma, { fullName: 'Sara', phone: '01001234567' }),
+        (error) => error.status === 409 && error.code === 'DUPLICATE_MEMBER' && error.duplicates.members.length === 1
+    );
+
+    const lead = await createLead(prisma, { fullName: 'Omar', phone: '0111-222-3333', source: 'referral' }, { userId: 4, branchId: 2 });
+    assert.equal(lead.phoneNorm, '01112223333');
+    assert.equal(lead.assignedTo, 4);
+    assert.equal(lead.branchId, 2);
+    assert.deepEqual(activityTypes(prisma), ['created']);
+
+    await assert.rejects(
+        createLead(prisma, { fullName: 'Omar again', phone: '01112223333' }),
+        (error) => error.code === 'DUPLICATE_LEAD'
+    );
+    await createLead(prisma, { fullName: 'Omar again', phone: '01112223333' }, { allowDuplicate: true });
+    assert.equal(prisma.lead.rows.length, 2);
+
+    await assert.rejects(createLead(prisma, { fullName: 'X', source: 'billboard' }), (error) => error.code === 'INVALID_SOURCE');
+});
+
+test('stages move through the pipeline and lost keeps where the lead dropped', async () => {
+    const prisma = createMockPrisma({ leads: [{ id: 1, fullName: 'Omar', stage: 'new', assignedTo: 4 }] });
+
+    await addNote(prisma, 1, { type: 'call', message: 'Asked about prices' }, { userId: 4 });
+    assert.equal(prisma.lead.rows[0].stage, 'contacted');
+    assert.ok(prisma.lead.rows[0].lastContactedAt instanceof Date);
+
+    await changeStage(prisma, 1, 'lost', { userId: 4, lostReason: 'Too expensive' });
+    assert.deepEqual(
+        { stage: prisma.lead.rows[0].stage, lostFromStage: prisma.lead.rows[0].lostFromStage, lostReason: prisma.lead.rows[0].lostReason },
+        { stage: 'lost', lostFromStage: 'contacted', lostReason: 'Too expensive' }
+    );
+    assert.deepEqual(activityTypes(prisma), ['call', 'stage_change', 'stage_change']);
+
+    await assert.rejects(changeStage(prisma, 1, 'converted'), (error) => error.code === 'INVALID_STAGE');
+    prisma.lead.rows[0].stage = 'converted';
+    await assert.rejects(changeStage(prisma, 1, 'new'), (error) => error.code === 'LEAD_CONVERTED');
+});
+
+test('follow-up tasks default to the lead owner and log completion once', async () => {
+    const prisma = createMockPrisma({ leads: [{ id: 1, fullName: 'Omar', stage: 'new', assignedTo: 4 }] });
+
+    const task = await createTask(prisma, 1, { title: 'Call back', dueAt: '2026-03-01T10:00:00Z' }, { userId: 9 });
+    assert.equal(task.assignedTo, 4);
+    assert.equal(task.createdBy, 9);
+
+    await completeTask(prisma, task.id, { userId: 4 });
+    await completeTask(prisma, task.id, { userId: 4 });
+    assert.ok(prisma.leadTask.rows[0].completedAt instanceof Date);
+    assert.deepEqual(activityTypes(prisma), ['task_created', 'task_completed']);
+
+    await assert.rejects(createTask(prisma, 1, { title: 'No date', dueAt: 'soon' }), (error) => error.code === 'INVALID_DATE');
+});
+
+test('convertLead creates the member and an unpaid subscription with a pending invoice', async () => {
+    const prisma = createMockPrisma({
+        leads: [{ id: 1, fullName: 'Omar Hassan', phone: '01112223333', stage: 'trial_attended', branchId: 3, interestedPlanId: 5 }],
+        plans: [{ id: 5, name: 'Monthly', price: 800, duration: 30 }]
+    });
+
+    const result = await convertLead(prisma, 1, { startDate: '2026-03-01' }, { id: 4, firstName: 'Mona', lastName: 'Adel' });
+
+    assert.equal(result.createdMember, true);
+    assert.equal(result.member.firstName, 'Omar');
+    assert.equal(result.member.lastName, 'Hassan');
+    assert.equal(result.member.homeBranchId, 3);
+    assert.equal(result.subscription.planId, 5);
+    assert.equal(result.subscription.paymentStatus, 'unpaid');
+    assert.equal(result.subscription.remainingAmount, 800);
+    assert.equal(prisma.payment.rows.length, 1);
+    assert.equal(prisma.payment.rows[0].status, 'pending');
+    assert.equal(prisma.payment.rows[0].amount, 800);
+    assert.deepEqual(
+        { stage: result.lead.stage, convertedMemberId: result.lead.convertedMemberId },
+        { stage: 'converted', convertedMemberId: result.member.id }
+    );
+    assert.deepEqual(activityTypes(prisma), ['converted']);
+
+    await assert.rejects(convertLead(prisma, 1, {}), (error) => error.code === 'LEAD_CONVERTED');
+});
+
+test('tentative bookings reuse the open lead and follow its trial', async () => {
+    const prisma = createMockPrisma({ leads: [{ id: 1, fullName: 'Omar', phoneNorm: '01112223333', stage: 'contacted' }] });
+
+    const lead = await attachTrialBooking(prisma, { fullName: 'Omar H', phone: '0111 222 3333', userId: 4 });
+    assert.equal(lead.id, 1);
+    assert.equal(prisma.lead.rows.length, 1);
+    assert.equal(prisma.lead.rows[0].stage, 'trial_booked');
+
+    const fresh = await attachTrialBooking(prisma, { fullName: 'Nour', phone: '01234567890', branchId: 2 });
+    assert.equal(fresh.source, 'trial_booking');
+    assert.equal(prisma.lead.rows[1].stage, 'trial_booked');
+
+    await recordTrialStatus(prisma, { leadId: 1, appointmentId: 7, status: 'arrived', userId: 4 });
+    assert.equal(prisma.lead.rows[0].stage, 'trial_attended');
+    const appointmentActivity = prisma.leadActivity.rows.find((activity) => activity.type === 'appointment');
+    assert.deepEqual(JSON.parse(appointmentActivity.metadata), { appointmentId: 7, status: 'arrived' });
+});
+
+test('buildFunnelReport counts each lead up to the furthest stage it reached', async () => {
+    const createdAt = new Date(2026, 1, 10);
+    const prisma = createMockPrisma({
+        users: [{ id: 4, firstName: 'Mona', lastName: 'Adel' }],
+        leads: [
+            { id: 1, stage: 'converted', source: 'referral', assignedTo: 4, createdAt },
+            { id: 2, stage: 'lost', lostFromStage: 'trial_booked', source: 'referral', assignedTo: 4, createdAt },
+            { id: 3, stage: 'contacted', source: 'walk_in', assignedTo: null, createdAt },
+            { id: 4, stage: 'new', source: 'walk_in', assignedTo: 4, createdAt: new Date(2025, 0, 1) }
+        ]
+    });
+
+    const report = await buildFunnelReport(prisma, {
+        startDate: new Date(2026, 1, 1),
+        endDate: new Date(2026, 1, 28)
+    });
+
+    assert.deepEqual(report.summary, {
+        total: 3,
+        contacted: 3,
+        trialBooked: 2,
+        trialAttended: 1,
+        converted: 1,
+        lost: 1,
+        open: 1,
+        conversionRate: 33.33
+    });
+    assert.deepEqual(report.bySource.map((row) => [row.source, row.total, row.converted]), [['referral', 2, 1], ['walk_in', 1, 0]]);
+    assert.deepEqual(report.byStaff.map((row) => [row.name, row.total, row.conversionRate]), [['Mona Adel', 2, 50], [null, 1, 0]]);
+});
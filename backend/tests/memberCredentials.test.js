@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeCredentialUid,
+    findCredential,
+    issueCredential,
+    revokeCredential,
+    buildActiveCredentialsReport
+} = require('../services/credentialService');
+
+function createMockPrisma({ settings = {} } = {}) {
+    const members = [
+        { id: 3, memberId: 'GYM-003', firstName: 'Sara', lastName: 'Adel', phone: '01000000003', isActive: true },
+        { id: 4, memberId: 'GYM-004', firstName: 'Omar', lastName: 'Ali', phone: '01000000004', isActive: false }
+    ];
+    const credentials = [];
+    const payments = [];
+    const auditLogs = [];
+
+    const prisma = {
+        credentials,
+        payments,
+        auditLogs,
+        setting: {
+            findUnique: async ({ where }) => (where.key in settings ? { key: where.key, value: settings[where.key] } : null)
+        },
+        member: {
+            findUnique: async ({ where }) => members.find((member) => member.id === where.id) || null
+        },
+        memberCredential: {
+            findUnique: async ({ where, include }) => {
+                const row = credentials.find((credential) => (where.uid ? credential.uid === where.uid : credential.id === where.id));
+                if (!row) return null;
+                return include?.member ? { ...row, member: members.find((member) => member.id === row.memberId) } : row;
+            },
+            findMany: async ({ where }) => credentials
+                .filter((row) => row.status === where.status && (!where.type || row.type === where.type))
+                .map((row) => ({ ...row, member: members.find((member) => member.id === row.memberId) })),
+            create: async ({ data }) => {
+                if (credentials.some((row) => row.uid === data.uid)) {
+                    const error = new Error('Unique constraint failed');
+                    error.code = 'P2002';
+                    throw error;
+                }
+                const row = { id: credentials.length + 1, status: 'active', issuedAt: new Date(), ...data };
+                credentials.push(row);
+                return row;
+            },
+            update: async ({ where, data }) => Object.assign(credentials.find((row) => row.id === where.id), data)
+        },
+        pOSShift: { findUnique: async () => ({ branchId: null }) },
+        payment: {
+            create: async ({ data }) => {
+                const row = { id: payments.length + 1, ...data };
+                payments.push(row);
+                return row;
+            }
+        },
+        auditLog: {
+            create: async ({ data }) => {
+                auditLogs.push(data);
+                return data;
+            }
+        },
+        webhookEndpoint: { findMany: async () => [] }
+    };
+    prisma.$transaction = async (callback) => callback(prisma);
+    return prisma;
+}
+
+test('normalizeCredentialUid strips reader separators', () => {
+    assert.equal(normalizeCredentialUid('04:a3:2b:1c'), '04A32B1C');
+    assert.equal(normalizeCredentialUid(' 04 A3-2B 1C '), '04A32B1C');
+    assert.equal(normalizeCredentialUid('0012345678'), '0012345678');
+    assert.equal(normalizeCredentialUid('12'), null);
+    assert.equal(normalizeCredentialUid('Sara.Adel'), null);
+    assert.equal(normalizeCredentialUid(null), null);
+});
+
+test('issuing and replacing cards revokes the old card and charges the fee', async () => {
+    const prisma = createMockPrisma({ settings: { credential_replacement_fee: '50' } });
+
+    const { credential: first } = await issueCredential(prisma, { memberId: 3, uid: '04:a3:2b:1c', userId: 5 });
+    assert.equal(first.uid, '04A32B1C');
+    assert.equal(first.type, 'rfid_card');
+    assert.equal(first.replacementFee, null);
+    assert.equal(prisma.payments.length, 0);
+
+    await assert.rejects(
+        issueCredential(prisma, { memberId: 4, uid: '04A32B1C', userId: 5 }),
+        (error) => error.status === 409 && error.code === 'CREDENTIAL_EXISTS'
+    );
+    await assert.rejects(
+        issueCredential(prisma, { memberId: 3, uid: 'AABBCCDD', replacesId: first.id, userId: 5 }),
+        (error) => error.status === 403 && error.code === 'SHIFT_REQUIRED'
+    );
+    await assert.rejects(
+        issueCredential(prisma, { memberId: 3, uid: 'AABBCCDD', type: 'barcode' }),
+        (error) => error.status === 400 && error.code === 'INVALID_CREDENTIAL_TYPE'
+    );
+
+    const replacement = await issueCredential(prisma, {
+        memberId: 3,
+        uid: 'AABBCCDD',
+        type: 'key_fob',
+        replacesId: first.id,
+        userId: 5,
+        collectorName: 'Front Desk',
+        shiftId: 8
+    });
+    assert.equal(replacement.replaced.status, 'revoked');
+    assert.equal(replacement.replaced.revokedReason, 'replaced');
+    assert.equal(replacement.credential.replacesId, first.id);
+    assert.equal(replacement.credential.replacementFee, 50);
+    assert.equal(replacement.payment.amount, 50);
+    assert.equal(replacement.payment.shiftId, 8);
+    assert.equal(replacement.credential.paymentId, replacement.payment.id);
+    assert.deepEqual(prisma.auditLogs.map((row) => row.action), ['CREDENTIAL_ISSUED', 'CREDENTIAL_ISSUED']);
+
+    // Waived fee on replacement needs no shift
+    const waived = await issueCredential(prisma, {
+        memberId: 3,
+        uid: 'EEFF0011',
+        replacesId: replacement.credential.id,
+        replacementFee: 0
+    });
+    assert.equal(waived.payment, null);
+    assert.equal(waived.credential.replacementFee, 0);
+});
+
+test('lost cards are revoked but still resolve to their member', async () => {
+    const prisma = createMockPrisma();
+    const { credential } = await issueCredential(prisma, { memberId: 3, uid: '0012345678', userId: 5 });
+
+    const revoked = await revokeCredential(prisma, credential, { reason: 'lost', userId: 5 });
+    assert.equal(revoked.status, 'revoked');
+    assert.equal(revoked.revokedReason, 'lost');
+    await assert.rejects(
+        revokeCredential(prisma, revoked, { userId: 5 }),
+        (error) => error.status === 409 && error.code === 'ALREADY_REVOKED'
+    );
+
+    const found = await findCredential(prisma, '00 1234 5678');
+    assert.equal(found.status, 'revoked');
+    assert.equal(found.member.memberId, 'GYM-003');
+    assert.equal(await findCredential(prisma, 'no card'), null);
+
+    await issueCredential(prisma, { memberId: 3, uid: 'A1B2C3D4', type: 'nfc_tag' });
+    await issueCredential(prisma, { memberId: 4, uid: 'B1B2C3D4' });
+    const report = await buildActiveCredentialsReport(prisma);
+    assert.equal(report.summary.total, 2);
+    assert.equal(report.summary.members, 2);
+    assert.equal(report.summary.inactiveMembers, 1);
+    assert.deepEqual(
+        report.summary.byType.filter((row) => row.count).map((row) => [row.type, row.count]),
+        [['rfid_card', 1], ['nfc_tag', 1]]
+    );
+    assert.equal(report.credentials[0].memberName, 'Sara Adel');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizePlanAccessRules,
+    checkScheduleRules,
+    checkPlanAccessRules
+} = require('../services/planAccessService');
+
+// Tuesday 10 March 2026, local time
+const at = (hours, minutes = 0, date = 10) => new Date(2026, 2, date, hours, minutes);
+
+function createMockPrisma(checkIns = []) {
+    return {
+        checkIn: {
+            count: async ({ where }) => checkIns.filter((row) => (
+                row.subscriptionId === where.subscriptionId && row.checkInTime >= where.checkInTime.gte
+            )).length,
+            findFirst: async ({ where }) => checkIns
+                .filter((row) => row.memberId === where.memberId)
+                .sort((a, b) => b.checkInTime - a.checkInTime)[0] || null
+        }
+    };
+}
+
+const subscriptionWith = (rules) => ({ id: 7, plan: { accessRules: JSON.stringify(rules) } });
+
+test('normalizePlanAccessRules keeps valid rules and rejects malformed input', () => {
+    assert.equal(normalizePlanAccessRules(null), null);
+    assert.equal(normalizePlanAccessRules({ weekdays: [], timeWindows: [] }), null);
+
+    const stored = JSON.parse(normalizePlanAccessRules({
+        weekdays: ['5', 1, 1],
+        timeWindows: [{ start: '06:00', end: '16:00' }],
+        genderSlots: [{ gender: 'female', weekdays: [0], start: '10:00', end: '12:00' }],
+        maxVisitsPerMonth: '12',
+        minGapMinutes: ''
+    }));
+    assert.deepEqual(stored, {
+        weekdays: [1, 5],
+        timeWindows: [{ start: '06:00', end: '16:00' }],
+        genderSlots: [{ gender: 'female', weekdays: [0], start: '10:00', end: '12:00' }],
+        maxVisitsPerMonth: 12
+    });
+
+    const isInvalid = (error) => error.status === 400 && error.code === 'INVALID_ACCESS_RULES';
+    assert.throws(() => normalizePlanAccessRules({ weekdays: [7] }), isInvalid);
+    assert.throws(() => normalizePlanAccessRules({ timeWindows: [{ start: '6am', end: '16:00' }] }), isInvalid);
+    assert.throws(() => normalizePlanAccessRules({ genderSlots: [{ gender: 'any', start: '10:00', end: '12:00' }] }), isInvalid);
+    assert.throws(() => normalizePlanAccessRules({ maxVisitsPerDay: 0 }), isInvalid);
+    assert.throws(() => normalizePlanAccessRules('{nope'), isInvalid);
+});
+
+test('checkScheduleRules enforces weekdays, hour windows across midnight and gender slots', () => {
+    const offPeak = { weekdays: [0, 1, 2, 3, 4], timeWindows: [{ start: '22:00', end: '06:00' }, { start: '10:00', end: '16:00' }] };
+    assert.equal(checkScheduleRules(offPeak, {}, at(11)).allowed, true);
+    assert.equal(checkScheduleRules(offPeak, {}, at(23, 30)).allowed, true);
+    assert.equal(checkScheduleRules(offPeak, {}, at(5, 59)).allowed, true);
+    assert.equal(checkScheduleRules(offPeak, {}, at(18)).reason, 'OUTSIDE_ALLOWED_HOURS');
+    // Friday 13 March
+    assert.equal(checkScheduleRules(offPeak, {}, at(11, 0, 13)).reason, 'OUTSIDE_ALLOWED_DAYS');
+
+    const ladiesMornings = { genderSlots: [{ gender: 'female', weekdays: [2], start: '09:00', end: '12:00' }] };
+    assert.equal(checkScheduleRules(ladiesMornings, { gender: 'female' }, at(10)).allowed, true);
+    const denied = checkScheduleRules(ladiesMornings, { gender: 'male' }, at(10));
+    assert.equal(denied.reason, 'GENDER_RESTRICTED');
+    assert.deepEqual(denied.details, { gender: 'female', start: '09:00', end: '12:00' });
+    assert.equal(checkScheduleRules(ladiesMornings, { gender: 'male' }, at(13)).allowed, true);
+    assert.equal(checkScheduleRules(ladiesMornings, { gender: 'male' }, at(10, 0, 11)).allowed, true);
+});
+
+test('checkPlanAccessRules counts visits on the subscription and the gap since the last visit', async () => {
+    const member = { id: 3, gender: 'male' };
+    const prisma = createMockPrisma([
+        { memberId: 3, subscriptionId: 7, checkInTime: at(8, 0, 1) },
+        { memberId: 3, subscriptionId: 7, checkInTime: at(8, 0, 9) },
+        { memberId: 3, subscriptionId: 7, checkInTime: at(8) },
+        { memberId: 3, subscriptionId: 2, checkInTime: at(9) }
+    ]);
+
+    assert.equal((await checkPlanAccessRules(prisma, { subscription: { id: 7, plan: {} }, member, now: at(12) })).allowed, true);
+
+    const daily = await checkPlanAccessRules(prisma, { subscription: subscriptionWith({ maxVisitsPerDay: 1 }), member, now: at(12) });
+    assert.equal(daily.reason, 'DAILY_VISIT_LIMIT');
+    assert.deepEqual(daily.details, { limit: 1, used: 1 });
+
+    // Week starts on Sunday 8 March, so the 1 March visit is outside it
+    assert.equal((await checkPlanAccessRules(prisma, { subscription: subscriptionWith({ maxVisitsPerWeek: 3 }), member, now: at(12) })).allowed, true);
+    const monthly = await checkPlanAccessRules(prisma, { subscription: subscriptionWith({ maxVisitsPerMonth: 3 }), member, now: at(12) });
+    assert.equal(monthly.reason, 'MONTHLY_VISIT_LIMIT');
+    assert.ok(monthly.arabicMessage);
+
+    const tooSoon = await checkPlanAccessRules(prisma, { subscription: subscriptionWith({ minGapMinutes: 240 }), member, now: at(12) });
+    assert.equal(tooSoon.reason, 'VISIT_TOO_SOON');
+    assert.deepEqual(tooSoon.details.nextAllowedAt, at(13));
+    assert.equal((await checkPlanAccessRules(prisma, { subscription: subscriptionWith({ minGapMinutes: 240 }), member, now: at(13) })).allowed, true);
+});
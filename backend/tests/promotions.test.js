@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    buildPromotionData,
+    computeDiscount,
+    checkPromotion,
+    resolvePromotion,
+    redeemPromotion,
+    rewardReferral,
+    buildMemberLinks,
+    buildPromotionReport
+} = require('../services/promotionService');
+
+const promotionRow = (overrides) => ({
+    id: 1,
+    name: 'Promo',
+    code: null,
+    ruleType: null,
+    ruleConfig: null,
+    discountType: 'percent',
+    discountValue: 10,
+    maxDiscount: null,
+    planIds: null,
+    validFrom: null,
+    validUntil: null,
+    maxUses: null,
+    maxUsesPerMember: null,
+    usedCount: 0,
+    isActive: true,
+    ...overrides
+});
+
+test('promotion data is validated and discounts are capped', () => {
+    const data = buildPromotionData({ name: 'Summer', code: ' summer-25 ', discountValue: '25', planIds: ['3', 4] });
+    assert.equal(data.code, 'SUMMER-25');
+    assert.equal(data.ruleType, null);
+    assert.equal(data.planIds, '[3,4]');
+    assert.equal(data.isActive, true);
+
+    const rule = buildPromotionData({ name: 'Family', code: 'IGNORED', ruleType: 'family', ruleConfig: { minMembers: '3' }, discountValue: 15 });
+    assert.equal(rule.code, null);
+    assert.equal(rule.ruleConfig, '{"minMembers":3}');
+
+    const isInvalid = (error) => error.status === 400 && error.code === 'INVALID_PROMOTION';
+    assert.throws(() => buildPromotionData({ code: 'ABC', discountValue: 10 }), isInvalid);
+    assert.throws(() => buildPromotionData({ name: 'X', code: 'a b', discountValue: 10 }), isInvalid);
+    assert.throws(() => buildPromotionData({ name: 'X', code: 'ABC', discountValue: 120 }), isInvalid);
+    assert.throws(() => buildPromotionData({ name: 'X', ruleType: 'birthday', discountValue: 10 }), isInvalid);
+    assert.throws(() => buildPromotionData({ name: 'X', code: 'ABC', discountValue: 10, validFrom: '2026-03-01', validUntil: '2026-02-01' }), isInvalid);
+
+    assert.equal(computeDiscount(promotionRow({ discountValue: 25 }), 1000), 250);
+    assert.equal(computeDiscount(promotionRow({ discountValue: 25, maxDiscount: 100 }), 1000), 100);
+    assert.equal(computeDiscount(promotionRow({ discountType: 'fixed', discountValue: 500 }), 300), 300);
+
+    const now = new Date(2026, 2, 10);
+    assert.equal(checkPromotion(promotionRow({ validUntil: new Date(2026, 2, 1) }), { planId: 1, now }), 'PROMOTION_EXPIRED');
+    assert.equal(checkPromotion(promotionRow({ maxUses: 5, usedCount: 5 }), { planId: 1, now }), 'PROMOTION_USAGE_LIMIT');
+    assert.equal(checkPromotion(promotionRow({ maxUsesPerMember: 1 }), { planId: 1, memberUses: 1, now }), 'PROMOTION_MEMBER_LIMIT');
+    assert.equal(checkPromotion(promotionRow({ planIds: '[2]' }), { planId: 1, now }), 'PROMOTION_PLAN_NOT_ELIGIBLE');
+    assert.equal(checkPromotion(promotionRow({ planIds: '[2]' }), { planId: '2', now }), null);
+});
+
+test('a sale gets the larger of the entered code and the automatic rules', async () => {
+    const now = new Date(2026, 2, 10);
+    const code = promotionRow({ id: 1, code: 'WELCOME', discountType: 'fixed', discountValue: 50 });
+    const family = promotionRow({ id: 2, ruleType: 'family', ruleConfig: '{"minMembers":3}', discountValue: 10 });
+    const renewal = promotionRow({ id: 3, ruleType: 'early_renewal', discountValue: 5 });
+
+    let dependents = 2;
+    let renewalQuery = null;
+    const prisma = {
+        promotion: {
+            findUnique: async ({ where }) => (where.code === 'WELCOME' ? code : null),
+            findMany: async () => [family, renewal]
+        },
+        promotionRedemption: { count: async () => 0 },
+        member: { count: async () => dependents },
+        subscription: {
+            findFirst: async ({ where }) => {
+                renewalQuery = where;
+                return { id: 9 };
+            }
+        }
+    };
+    const member = { id: 12, familyHeadId: null };
+
+    // Family of three gets 10% (100) over the 50 code and the 5% renewal
+    let applied = await resolvePromotion(prisma, { member, planId: 1, price: 1000, code: 'welcome', now });
+    assert.equal(applied.promotion.id, 2);
+    assert.equal(applied.discount, 100);
+    assert.equal(renewalQuery.endDate.lte.getTime(), now.getTime() + 14 * 24 * 60 * 60 * 1000);
+
+    dependents = 1;
+    applied = await resolvePromotion(prisma, { member, planId: 1, price: 1000, code: 'WELCOME', now });
+    assert.equal(applied.promotion.id, 1);
+    assert.equal(applied.discount, 50);
+
+    await assert.rejects(
+        resolvePromotion(prisma, { member, planId: 1, price: 1000, code: 'NOPE', now }),
+        (error) => error.status === 400 && error.code === 'PROMOTION_NOT_FOUND'
+    );
+
+    // The usage cap is enforced when redeeming, not only when quoting
+    const redemptions = [];
+    const capped = {
+        promotion: { updateMany: async ({ where }) => ({ count: where.usedCount.lt > 4 ? 1 : 0 }) },
+        promotionRedemption: { create: async ({ data }) => redemptions.push(data) }
+    };
+    await redeemPromotion(capped, { promotion: { ...code, maxUses: 5 }, discount: 50, memberId: 12, subscriptionId: 7, originalPrice: 1000 });
+    assert.deepEqual(redemptions[0], {
+        promotionId: 1,
+        memberId: 12,
+        subscriptionId: 7,
+        code: 'WELCOME',
+        originalPrice: 1000,
+        discountAmount: 50,
+        createdBy: null
+    });
+    await assert.rejects(
+        redeemPromotion(capped, { promotion: { ...code, maxUses: 4 }, discount: 50, memberId: 12, originalPrice: 1000 }),
+        (error) => error.status === 409 && error.code === 'PROMOTION_USAGE_LIMIT'
+    );
+});
+
+test('referrers are credited once and the report totals discount per promotion', async () => {
+    const ledger = [];
+    let rewardedAt = null;
+    const prisma = {
+        setting: { findUnique: async () => ({ value: '75' }) },
+        member: {
+            updateMany: async ({ where, data }) => {
+                if (where.referralRewardedAt !== null || rewardedAt) return { count: 0 };
+                rewardedAt = data.referralRewardedAt;
+                return { count: 1 };
+            }
+        },
+        memberCreditLedger: { create: async ({ data }) => ledger.push(data) && data }
+    };
+    const member = { id: 20, memberId: 'GYM-0020', referredById: 12, referralRewardedAt: null };
+
+    const entry = await rewardReferral(prisma, { member, userId: 3 });
+    assert.equal(entry.memberId, 12);
+    assert.equal(entry.amount, 75);
+    assert.equal(entry.referredMemberId, 20);
+    assert.equal(entry.note, 'Referral reward: GYM-0020 joined');
+    assert.equal(await rewardReferral(prisma, { member, userId: 3 }), null);
+    assert.equal(ledger.length, 1);
+    assert.equal(await rewardReferral(prisma, { member: { ...member, referredById: null } }), null);
+
+    const links = {
+        member: {
+            findFirst: async ({ where }) => (where.memberId === 'GYM-0005' ? { id: 5, familyHeadId: 4 } : null),
+            count: async () => 0
+        }
+    };
+    assert.deepEqual(await buildMemberLinks(links, { id: 20 }, { familyOf: 'gym-0005', referredBy: null }), { familyHeadId: 4, referredById: null });
+    await assert.rejects(
+        buildMemberLinks(links, { id: 5 }, { referredBy: '5' }),
+        (error) => error.status === 404 && error.code === 'MEMBER_NOT_FOUND'
+    );
+    await assert.rejects(
+        buildMemberLinks(links, { id: 5 }, { referredBy: 'GYM-0005' }),
+        (error) => error.status === 400 && error.code === 'INVALID_REFERRAL'
+    );
+
+    let redemptionQuery = null;
+    const reportPrisma = {
+        promotionRedemption: {
+            findMany: async (args) => {
+                redemptionQuery = args;
+                return [
+                    { promotionId: 1, originalPrice: 1000, discountAmount: 100, promotion: { id: 1, name: 'Summer', code: 'SUMMER', ruleType: null } },
+                    { promotionId: 1, originalPrice: 500, discountAmount: 50, promotion: { id: 1, name: 'Summer', code: 'SUMMER', ruleType: null } },
+                    { promotionId: 2, originalPrice: 800, discountAmount: 200, promotion: { id: 2, name: 'Family', code: null, ruleType: 'family' } }
+                ];
+            }
+        },
+        memberCreditLedger: {
+            aggregate: async () => ({ _sum: { amount: 150 }, _count: { _all: 2 } })
+        }
+    };
+    const report = await buildPromotionReport(reportPrisma, { startDate: new Date(2026, 2, 1), endDate: new Date(2026, 2, 31), branchScope: [2] });
+    assert.deepEqual(redemptionQuery.where.member, { homeBranchId: { in: [2] } });
+    assert.deepEqual(report.summary, { redemptions: 3, discountTotal: 350, referralRewards: 2, referralCredit: 150 });
+    assert.deepEqual(report.promotions.map((row) => [row.name, row.redemptions, row.discountTotal, row.netRevenue]), [
+        ['Family', 1, 200, 600],
+        ['Summer', 2, 150, 1350]
+    ]);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const reminderChannels = require('../services/reminderChannels');
+const {
+    deliverReminder,
+    processDueRetries,
+    computeRetryDelayMs
+} = require('../services/reminderDeliveryService');
+
+function createMockPrisma({ settings = {}, reminder = {} } = {}) {
+    const settingRows = new Map(Object.entries(settings).map(([key, value]) => [key, {
+        key,
+        value: typeof value === 'string' ? value : JSON.stringify(value)
+    }]));
+
+    const stored = {
+        id: 1,
+        memberId: 10,
+        subscriptionId: 5,
+        type: 'OVERDUE',
+        channel: 'SMS',
+        status: 'PENDING',
+        message: 'Please pay 150 EGP',
+        retryCount: 0,
+        nextRetryAt: null,
+        member: { id: 10, memberId: 'GYM-0010', firstName: 'Sara', lastName: 'Ali', phone: '01012345678', email: 'sara@example.com' },
+        ...reminder
+    };
+
+    return {
+        stored,
+        setting: {
+            findUnique: async ({ where }) => settingRows.get(where.key) || null,
+            upsert: async ({ where, create, update }) => {
+                const row = { ...(settingRows.get(where.key) || create), ...update };
+                settingRows.set(where.key, row);
+                return row;
+            }
+        },
+        reminder: {
+            findUnique: async ({ where }) => (where.id === stored.id ? { ...stored } : null),
+            findMany: async ({ where }) => {
+                const due = stored.status === where.status
+                    && stored.nextRetryAt
+                    && stored.nextRetryAt <= where.nextRetryAt.lte;
+                return due ? [{ id: stored.id }] : [];
+            },
+            update: async ({ data }) => {
+                Object.assign(stored, data);
+                return { ...stored };
+            }
+        }
+    };
+}
+
+test('SMS reminder delivered through the fake provider is marked SENT with provider message id', async () => {
+    reminderChannels.clearFakeOutbox();
+    const prisma = createMockPrisma({
+        settings: { reminder_channel_sms: { enabled: true, provider: 'fake' } }
+    });
+
+    const outcome = await deliverReminder(prisma, 1);
+
+    assert.equal(outcome.ok, true);
+    assert.equal(prisma.stored.status, 'SENT');
+    assert.equal(prisma.stored.provider, 'fake');
+    assert.equal(prisma.stored.recipient, '01012345678');
+    assert.ok(prisma.stored.providerMessageId);
+    assert.equal(prisma.stored.errorCode, null);
+
+    const outbox = reminderChannels.getFakeOutbox();
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].message, 'Please pay 150 EGP');
+});
+
+test('temporary provider failure schedules retries with backoff until max retries', async () => {
+    const prisma = createMockPrisma({
+        settings: {
+            reminder_channel_email: { enabled: true, provider: 'fake', failWith: 'TEMPORARY' },
+            reminder_max_retries: '2',
+            reminder_retry_base_minutes: '10'
+        },
+        reminder: { channel: 'EMAIL' }
+    });
+
+    const first = await deliverReminder(prisma, 1);
+    assert.equal(first.ok, false);
+    assert.equal(first.retryScheduled, true);
+    assert.equal(prisma.stored.status, 'PENDING');
+    assert.equal(prisma.stored.retryCount, 1);
+    assert.equal(prisma.stored.errorCode, 'FAKE_TEMPORARY');
+    const delay = prisma.stored.nextRetryAt.getTime() - prisma.stored.lastAttemptAt.getTime();
+    assert.equal(delay, computeRetryDelayMs(1, 10));
+
+    const retried = await processDueRetries(prisma, { now: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+    assert.equal(retried.retrying, 1);
+    assert.equal(prisma.stored.retryCount, 2);
+
+    const last = await deliverReminder(prisma, 1);
+    assert.equal(last.retryScheduled, false);
+    assert.equal(prisma.stored.status, 'FAILED');
+    assert.equal(prisma.stored.retryCount, 3);
+    assert.equal(prisma.stored.nextRetryAt, null);
+});
+
+test('disabled channel fails permanently without scheduling a retry', async () => {
+    const prisma = createMockPrisma({ reminder: { channel: 'WHATSAPP' } });
+
+    const outcome = await deliverReminder(prisma, 1);
+
+    assert.equal(outcome.ok, false);
+    assert.equal(outcome.retryScheduled, false);
+    assert.equal(prisma.stored.status, 'FAILED');
+    assert.equal(prisma.stored.errorCode, 'CHANNEL_DISABLED');
+});
+
+test('unknown channel is rejected instead of falling back to in-app delivery', async () => {
+    const prisma = createMockPrisma();
+
+    await assert.rejects(
+        () => deliverReminder(prisma, 1, { channel: 'PIGEON' }),
+        (error) => error.status === 400 && error.code === 'INVALID_CHANNEL'
+    );
+    assert.equal(prisma.stored.status, 'PENDING');
+    assert.equal(prisma.stored.channel, 'SMS');
+});
+
+test('retry delay doubles per attempt and local phones convert to international format', () => {
+    assert.equal(computeRetryDelayMs(1, 5), 5 * 60 * 1000);
+    assert.equal(computeRetryDelayMs(3, 5), 20 * 60 * 1000);
+    assert.equal(computeRetryDelayMs(20, 5), 6 * 60 * 60 * 1000);
+
+    assert.equal(reminderChannels.toInternationalPhone('010 1234 5678', '20'), '201012345678');
+    assert.equal(reminderChannels.toInternationalPhone('+20 101 234 5678', '20'), '201012345678');
+    assert.equal(reminderChannels.toInternationalPhone('00966501234567', '20'), '966501234567');
+});
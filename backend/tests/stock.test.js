@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const salesRouter = require('../routes/sales');
+const {
+    stockLevel,
+    stockMovementWhere,
+    getProductStock,
+    transferStock
+} = require('../services/stockService');
+
+function matches(row, where = {}) {
+    return Object.entries(where).every(([key, value]) => {
+        if (key === 'OR') return value.some((clause) => matches(row, clause));
+        if (value && typeof value === 'object' && Array.isArray(value.in)) return value.in.includes(row[key]);
+        return row[key] === value;
+    });
+}
+
+function createMockPrisma({ branches = [], products = [], movements = [] } = {}) {
+    const db = { branches, products, movements, sales: [], receipts: [] };
+    const prisma = {
+        db,
+        branch: {
+            findFirst: async ({ orderBy }) => [...db.branches].sort((a, b) => (orderBy.id === 'asc' ? a.id - b.id : b.id - a.id))[0] || null,
+            findMany: async ({ where }) => db.branches.filter((row) => matches(row, where)),
+            findUnique: async ({ where }) => db.branches.find((row) => row.id === where.id) || null
+        },
+        product: {
+            findUnique: async ({ where, include }) => {
+                const product = db.products.find((row) => row.id === where.id);
+                if (!product) return null;
+                if (!include?.stockMovements) return product;
+                const stockMovements = db.movements.filter((row) => row.productId === product.id && matches(row, include.stockMovements.where));
+                return { ...product, stockMovements };
+            }
+        },
+        stockMovement: {
+            findMany: async ({ where }) => db.movements.filter((row) => matches(row, where)),
+            create: async ({ data }) => {
+                const row = { id: db.movements.length + 1, ...data };
+                db.movements.push(row);
+                return row;
+            }
+        },
+        setting: { findMany: async () => [] },
+        saleTransaction: {
+            create: async ({ data }) => {
+                const { items: _items, ...sale } = data;
+                const row = { id: db.sales.length + 1, ...sale, createdAt: new Date(2026, 2, 10, 12) };
+                db.sales.push(row);
+                return row;
+            }
+        },
+        receiptCounter: { upsert: async () => ({ lastNumber: db.receipts.length + 1 }) },
+        receipt: {
+            findUnique: async () => null,
+            create: async ({ data }) => {
+                db.receipts.push(data);
+                return { id: db.receipts.length, ...data };
+            }
+        }
+    };
+    prisma.$transaction = async (fn) => fn(prisma);
+    return prisma;
+}
+
+function getRouteHandler(router, method, path) {
+    const layer = router.stack.find((entry) => entry.route && entry.route.path === path && entry.route.methods[method]);
+    if (!layer) throw new Error(`Route not found: ${method.toUpperCase()} ${path}`);
+    return layer.route.stack[layer.route.stack.length - 1].handle;
+}
+
+function createMockRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        }
+    };
+}
+
+const WATER = { id: 1, name: 'Water', salePrice: 10, taxRate: null, isActive: true };
+
+test('stock levels add IN, remove OUT and apply signed ADJUST and TRANSFER', () => {
+    assert.equal(stockLevel([
+        { type: 'IN', quantity: 10 },
+        { type: 'OUT', quantity: 3 },
+        { type: 'ADJUST', quantity: -2 },
+        { type: 'TRANSFER', quantity: -4 },
+        { type: 'TRANSFER', quantity: 1 }
+    ]), 2);
+    assert.equal(stockLevel([]), 0);
+});
+
+test('movements without a branch count as stock of the first branch only', async () => {
+    const prisma = createMockPrisma({ branches: [{ id: 2, name: 'Main' }, { id: 5, name: 'North' }] });
+    assert.deepEqual(await stockMovementWhere(prisma, null), {});
+    assert.deepEqual(await stockMovementWhere(prisma, 2), { OR: [{ branchId: 2 }, { branchId: null }] });
+    assert.deepEqual(await stockMovementWhere(prisma, 5), { branchId: 5 });
+    assert.deepEqual(await stockMovementWhere(prisma, [2, 5]), { OR: [{ branchId: { in: [2, 5] } }, { branchId: null }] });
+    assert.deepEqual(await stockMovementWhere(createMockPrisma(), 3), { branchId: 3 });
+});
+
+test('a sale at a branch can use stock recorded before branches existed', async () => {
+    const prisma = createMockPrisma({
+        branches: [{ id: 2, name: 'Main', isActive: true }, { id: 5, name: 'North', isActive: true }],
+        products: [WATER],
+        movements: [{ id: 1, productId: 1, type: 'IN', quantity: 5, branchId: null }]
+    });
+    const handler = getRouteHandler(salesRouter, 'post', '/');
+    const sell = async (branchId) => {
+        const res = createMockRes();
+        await handler({
+            body: { items: [{ productId: 1, qty: 2 }], paymentMethod: 'cash', shiftId: 7, cashierId: 3, paid: 20, total: 20 },
+            user: { id: 3, firstName: 'Sara', lastName: 'Ali' },
+            activeShift: { id: 7, branchId },
+            prisma
+        }, res);
+        return res;
+    };
+
+    const sold = await sell(2);
+    assert.equal(sold.statusCode, 201);
+    assert.equal(await getProductStock(prisma, 1, 2), 3);
+
+    // Another branch does not see the first branch's stock
+    const refused = await sell(5);
+    assert.equal(refused.statusCode, 400);
+    assert.match(refused.body.message, /Insufficient stock for Water\. Available: 0/);
+    assert.equal(prisma.db.sales.length, 1);
+});
+
+test('transferring stock moves it out of one branch and into another', async () => {
+    const prisma = createMockPrisma({
+        branches: [{ id: 2, name: 'Main', isActive: true }, { id: 5, name: 'North', isActive: true }, { id: 6, name: 'Old', isActive: false }],
+        products: [WATER],
+        movements: [{ id: 1, productId: 1, type: 'IN', quantity: 5, branchId: null }]
+    });
+
+    const moved = await transferStock(prisma, { productId: 1, fromBranchId: 2, toBranchId: 5, quantity: 3, employeeId: 9 });
+    assert.deepEqual([moved.out.type, moved.out.quantity, moved.out.branchId, moved.out.reason], ['TRANSFER', -3, 2, 'Transfer to North']);
+    assert.deepEqual([moved.in.type, moved.in.quantity, moved.in.branchId, moved.in.reason], ['TRANSFER', 3, 5, 'Transfer from Main']);
+    assert.equal(await getProductStock(prisma, 1, 2), 2);
+    assert.equal(await getProductStock(prisma, 1, 5), 3);
+    assert.equal(await getProductStock(prisma, 1, null), 5);
+
+    await assert.rejects(transferStock(prisma, { productId: 1, fromBranchId: 5, toBranchId: 2, quantity: 4, employeeId: 9 }), { code: 'INSUFFICIENT_STOCK' });
+    await assert.rejects(transferStock(prisma, { productId: 1, fromBranchId: 2, toBranchId: 2, quantity: 1, employeeId: 9 }), { code: 'INVALID_TRANSFER' });
+    await assert.rejects(transferStock(prisma, { productId: 1, fromBranchId: 2, toBranchId: 6, quantity: 1, employeeId: 9 }), { code: 'BRANCH_INACTIVE' });
+    await assert.rejects(transferStock(prisma, { productId: 1, fromBranchId: 2, toBranchId: 5, quantity: 0, employeeId: 9 }), { code: 'INVALID_QUANTITY' });
+    await assert.rejects(transferStock(prisma, { productId: 8, fromBranchId: 2, toBranchId: 5, quantity: 1, employeeId: 9 }), { code: 'PRODUCT_NOT_FOUND' });
+    assert.equal(prisma.db.movements.length, 3);
+});
@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    resolveStatus,
+    currentSubscriptionWhere,
+    pauseSubscription,
+    resumeSubscription,
+    supersedeSubscriptions,
+    runLifecycle
+} = require('../services/subscriptionLifecycleService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-10T12:00:00Z');
+const daysFrom = (days) => new Date(NOW.getTime() + days * DAY);
+
+const matches = (row, where = {}) => Object.entries(where).every(([key, condition]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+        if ('in' in condition) return condition.in.includes(row[key]);
+        if ('lte' in condition) return row[key] != null && row[key] <= condition.lte;
+        if ('lt' in condition) return row[key] != null && row[key] < condition.lt;
+    }
+    return row[key] === condition;
+});
+
+function createMockPrisma({ subscriptions = [], graceDays } = {}) {
+    const events = [];
+    const prisma = {
+        events,
+        subscriptions,
+        setting: {
+            findUnique: async () => (graceDays === undefined ? null : { key: 'subscription_grace_days', value: String(graceDays) })
+        },
+        subscription: {
+            findMany: async ({ where }) => subscriptions.filter((row) => matches(row, where)).map((row) => ({ ...row })),
+            update: async ({ where, data }) => Object.assign(subscriptions.find((row) => row.id === where.id), data)
+        },
+        subscriptionEvent: {
+            create: async ({ data }) => {
+                events.push(data);
+                return data;
+            }
+        },
+        webhookEndpoint: { findMany: async () => [] },
+        $transaction: async (fn) => fn(prisma)
+    };
+    return prisma;
+}
+
+const subscription = (overrides) => ({
+    status: 'active',
+    isPaused: false,
+    startDate: daysFrom(-30),
+    endDate: daysFrom(10),
+    pauseHistory: null,
+    pauseStartsAt: null,
+    pauseEndsAt: null,
+    ...overrides
+});
+
+test('resolveStatus follows the dates and keeps terminal statuses', () => {
+    assert.equal(resolveStatus(subscription({ startDate: daysFrom(2) }), { now: NOW }), 'scheduled');
+    assert.equal(resolveStatus(subscription({}), { now: NOW }), 'active');
+    assert.equal(resolveStatus(subscription({ endDate: daysFrom(-2) }), { now: NOW, graceDays: 3 }), 'grace');
+    assert.equal(resolveStatus(subscription({ endDate: daysFrom(-4) }), { now: NOW, graceDays: 3 }), 'expired');
+    assert.equal(resolveStatus(subscription({ endDate: daysFrom(-1) }), { now: NOW }), 'expired');
+    assert.equal(resolveStatus(subscription({ isPaused: true, status: 'paused', endDate: daysFrom(-1) }), { now: NOW }), 'paused');
+    assert.equal(resolveStatus(subscription({ status: 'cancelled' }), { now: NOW }), 'cancelled');
+
+    const where = currentSubscriptionWhere(NOW, 3);
+    assert.deepEqual(where.status, { in: ['scheduled', 'active', 'grace'] });
+    assert.deepEqual(where.endDate, { gte: daysFrom(-3) });
+});
+
+test('runLifecycle activates, starts grace, expires and records each transition', async () => {
+    const prisma = createMockPrisma({
+        graceDays: 3,
+        subscriptions: [
+            subscription({ id: 1, status: 'scheduled', startDate: daysFrom(-1), endDate: daysFrom(29) }),
+            subscription({ id: 2, endDate: daysFrom(-1) }),
+            subscription({ id: 3, endDate: daysFrom(-5) }),
+            subscription({ id: 4, status: 'grace', endDate: daysFrom(-4) }),
+            subscription({ id: 5 }),
+            subscription({ id: 6, status: 'scheduled', startDate: daysFrom(5), endDate: daysFrom(35) })
+        ]
+    });
+
+    const result = await runLifecycle(prisma, NOW);
+
+    assert.deepEqual(prisma.subscriptions.map((row) => row.status), ['active', 'grace', 'expired', 'expired', 'active', 'scheduled']);
+    assert.deepEqual(
+        prisma.events.map((event) => [event.subscriptionId, event.fromStatus, event.toStatus, event.reason, event.userId]),
+        [
+            [1, 'scheduled', 'active', 'activated', null],
+            [2, 'active', 'grace', 'grace_started', null],
+            [3, 'active', 'expired', 'expired', null],
+            [4, 'grace', 'expired', 'expired', null]
+        ]
+    );
+    assert.equal(result.processed, 4);
+    assert.equal(result.expired, 2);
+});
+
+test('scheduled pauses start and end on their dates and extend the end date', async () => {
+    const prisma = createMockPrisma({ subscriptions: [subscription({ id: 1, endDate: daysFrom(20) })] });
+
+    await pauseSubscription(prisma, { ...prisma.subscriptions[0] }, {
+        startAt: daysFrom(2),
+        endAt: daysFrom(9),
+        reason: 'Travel',
+        userId: 4,
+        now: NOW
+    });
+    assert.equal(prisma.subscriptions[0].status, 'active');
+    assert.equal(prisma.subscriptions[0].isPaused, false);
+    assert.equal(prisma.events[0].reason, 'pause_scheduled');
+
+    await runLifecycle(prisma, daysFrom(3));
+    assert.equal(prisma.subscriptions[0].status, 'paused');
+    assert.equal(prisma.subscriptions[0].isPaused, true);
+    assert.equal(prisma.subscriptions[0].pauseStartsAt, null);
+
+    // The job runs late: the resume still counts from the scheduled end
+    await runLifecycle(prisma, daysFrom(12));
+    const row = prisma.subscriptions[0];
+    assert.equal(row.status, 'active');
+    assert.equal(row.isPaused, false);
+    assert.deepEqual(row.endDate, daysFrom(27));
+    assert.equal(JSON.parse(row.pauseHistory)[0].durationDays, 7);
+    assert.deepEqual(prisma.events.map((event) => event.reason), ['pause_scheduled', 'paused', 'pause_ended']);
+});
+
+test('manual pause and resume keep the extended end date', async () => {
+    const prisma = createMockPrisma({ subscriptions: [subscription({ id: 1, endDate: daysFrom(5) })] });
+
+    await pauseSubscription(prisma, { ...prisma.subscriptions[0] }, { userId: 4, now: NOW });
+    await assert.rejects(
+        pauseSubscription(prisma, { ...prisma.subscriptions[0] }, { now: NOW }),
+        (error) => error.status === 409 && error.code === 'ALREADY_PAUSED'
+    );
+
+    await resumeSubscription(prisma, { ...prisma.subscriptions[0] }, { userId: 4, now: daysFrom(10) });
+    assert.equal(prisma.subscriptions[0].status, 'active');
+    assert.deepEqual(prisma.subscriptions[0].endDate, daysFrom(15));
+    assert.deepEqual(prisma.events.map((event) => [event.fromStatus, event.toStatus, event.userId]), [
+        ['active', 'paused', 4],
+        ['paused', 'active', 4]
+    ]);
+
+    await assert.rejects(
+        resumeSubscription(prisma, { ...prisma.subscriptions[0] }, { now: NOW }),
+        (error) => error.code === 'NOT_PAUSED'
+    );
+    await assert.rejects(
+        pauseSubscription(prisma, subscription({ id: 2, status: 'expired' }), { now: NOW }),
+        (error) => error.code === 'INVALID_STATUS'
+    );
+});
+
+test('renewing supersedes paused and scheduled subscriptions with an event each', async () => {
+    const prisma = createMockPrisma({
+        subscriptions: [
+            subscription({
+                id: 1,
+                memberId: 7,
+                status: 'paused',
+                isPaused: true,
+                pauseEndsAt: daysFrom(5),
+                pauseHistory: JSON.stringify([{ start: daysFrom(-3).toISOString(), end: null }])
+            }),
+            subscription({ id: 2, memberId: 7, status: 'scheduled', startDate: daysFrom(10), endDate: daysFrom(40) }),
+            subscription({ id: 3, memberId: 7, status: 'expired', endDate: daysFrom(-60) }),
+            subscription({ id: 4, memberId: 8 })
+        ]
+    });
+
+    const superseded = await supersedeSubscriptions(prisma, 7, { userId: 3, metadata: { renewalOf: 1 }, now: NOW });
+
+    assert.equal(superseded.length, 2);
+    const [paused, scheduled, expired, other] = prisma.subscriptions;
+    assert.equal(paused.status, 'expired');
+    assert.equal(paused.isPaused, false);
+    assert.equal(paused.pauseEndsAt, null);
+    assert.equal(JSON.parse(paused.pauseHistory)[0].end, NOW.toISOString());
+    assert.equal(scheduled.status, 'cancelled');
+    assert.equal(expired.status, 'expired');
+    assert.equal(other.status, 'active');
+    assert.deepEqual(prisma.events.map((e) => [e.subscriptionId, e.fromStatus, e.toStatus, e.reason]), [
+        [1, 'paused', 'expired', 'superseded'],
+        [2, 'scheduled', 'cancelled', 'superseded']
+    ]);
+
+    // The lifecycle job no longer resumes the superseded pause
+    const result = await runLifecycle(prisma, daysFrom(6));
+    assert.equal(result.resumed, 0);
+});
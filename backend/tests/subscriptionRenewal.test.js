@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const subscriptionsRouter = require('../routes/subscriptions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getRouteHandler(router, method, path) {
+    const layer = router.stack.find((entry) => entry.route && entry.route.path === path && entry.route.methods[method]);
+    if (!layer) throw new Error(`Route not found: ${method.toUpperCase()} ${path}`);
+    return layer.route.stack[layer.route.stack.length - 1].handle;
+}
+
+function createMockRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        }
+    };
+}
+
+function createMockPrisma({ subscriptions = [], plans = [], settings = [], promotions = [] } = {}) {
+    const member = { id: 7, memberId: 'GYM-0007', firstName: 'Mona', lastName: 'Saleh', phone: '010', familyHeadId: null };
+    const db = { subscriptions, plans, settings, promotions, payments: [], receipts: [], redemptions: [], events: [] };
+    const withRelations = (row) => ({ ...row, member, plan: db.plans.find((plan) => plan.id === row.planId) });
+    const matchesStatus = (row, status) => (typeof status === 'string' ? row.status === status : status.in.includes(row.status));
+
+    const prisma = {
+        db,
+        subscription: {
+            findUnique: async ({ where }) => {
+                const row = db.subscriptions.find((sub) => sub.id === where.id);
+                return row ? withRelations(row) : null;
+            },
+            findFirst: async ({ where }) => db.subscriptions.find((sub) => sub.memberId === where.memberId
+                && matchesStatus(sub, where.status)
+                && (!where.planId || sub.planId === where.planId)
+                && (!where.createdAt || sub.createdAt >= where.createdAt.gte)
+                && (!where.endDate || (sub.endDate >= where.endDate.gte && sub.endDate <= where.endDate.lte))) || null,
+            findMany: async ({ where }) => db.subscriptions.filter((sub) => sub.memberId === where.memberId && matchesStatus(sub, where.status)),
+            create: async ({ data }) => {
+                const row = { id: 100 + db.subscriptions.length, createdAt: new Date(), ...data };
+                db.subscriptions.push(row);
+                return withRelations(row);
+            },
+            update: async ({ where, data }) => {
+                const row = db.subscriptions.find((sub) => sub.id === where.id);
+                Object.assign(row, data);
+                return row;
+            }
+        },
+        subscriptionPlan: { findUnique: async ({ where }) => db.plans.find((plan) => plan.id === where.id) || null },
+        subscriptionEvent: { create: async ({ data }) => db.events.push(data) },
+        setting: { findMany: async ({ where }) => db.settings.filter((row) => where.key.in.includes(row.key)) },
+        promotion: {
+            findUnique: async ({ where }) => db.promotions.find((row) => row.code === where.code) || null,
+            findMany: async () => db.promotions.filter((row) => row.isActive && row.ruleType),
+            updateMany: async ({ where }) => {
+                const row = db.promotions.find((promotion) => promotion.id === where.id);
+                row.usedCount += 1;
+                return { count: 1 };
+            }
+        },
+        promotionRedemption: {
+            count: async () => 0,
+            create: async ({ data }) => {
+                db.redemptions.push(data);
+                return data;
+            }
+        },
+        pOSShift: { findFirst: async () => null },
+        payment: {
+            findFirst: async () => null,
+            create: async ({ data }) => {
+                const row = { id: db.payments.length + 1, createdAt: new Date(), ...data, method: data.method.toLowerCase() };
+                db.payments.push(row);
+                return row;
+            }
+        },
+        receiptCounter: { upsert: async () => ({ lastNumber: db.receipts.length + 1 }) },
+        receipt: {
+            findUnique: async () => null,
+            create: async ({ data }) => {
+                db.receipts.push(data);
+                return data;
+            }
+        },
+        activityLog: { create: async () => ({}) },
+        webhookEndpoint: { findMany: async () => [] }
+    };
+    prisma.$transaction = async (fn) => fn(prisma);
+    return prisma;
+}
+
+const MONTHLY = { id: 3, name: 'Monthly', price: 1000, duration: 30, taxRate: null };
+const EXCLUSIVE_TAX = [
+    { key: 'tax_enabled', value: 'true' },
+    { key: 'tax_default_rate', value: '14' },
+    { key: 'tax_prices_inclusive', value: 'false' }
+];
+
+async function renew(prisma, id, body) {
+    const res = createMockRes();
+    await getRouteHandler(subscriptionsRouter, 'put', '/:id/renew')({
+        params: { id: String(id) },
+        body,
+        user: { id: 2, role: 'admin', firstName: 'Adam', lastName: 'Nabil' },
+        prisma
+    }, res);
+    return res;
+}
+
+test('a renewal stores the price with exclusive tax and what is left to pay', async () => {
+    const prisma = createMockPrisma({
+        plans: [MONTHLY],
+        settings: EXCLUSIVE_TAX,
+        subscriptions: [{ id: 1, memberId: 7, planId: 3, status: 'expired', endDate: new Date(Date.now() - 3 * DAY_MS), createdAt: new Date(2026, 0, 1) }]
+    });
+
+    const res = await renew(prisma, 1, { planId: 3, paymentStatus: 'partial', paidAmount: 400 });
+
+    assert.equal(res.statusCode, 200);
+    const renewed = prisma.db.subscriptions.find((sub) => sub.id === res.body.data.id);
+    assert.deepEqual(
+        [renewed.price, renewed.taxRate, renewed.paidAmount, renewed.remainingAmount, renewed.paymentStatus],
+        [1140, 14, 400, 740, 'partial']
+    );
+    assert.deepEqual(prisma.db.payments.map((payment) => [payment.status, payment.amount]), [['completed', 400], ['pending', 740]]);
+    const totals = JSON.parse(prisma.db.receipts[0].totalsJson);
+    assert.deepEqual([totals.total, totals.tax, totals.remaining], [1140, 140, 740]);
+});
+
+test('renewing early applies the early-renewal discount and prints it on the receipt', async () => {
+    const earlyRenewal = {
+        id: 4,
+        name: 'Renew early',
+        code: null,
+        ruleType: 'early_renewal',
+        ruleConfig: null,
+        discountType: 'percent',
+        discountValue: 10,
+        maxDiscount: null,
+        planIds: null,
+        validFrom: null,
+        validUntil: null,
+        maxUses: null,
+        maxUsesPerMember: null,
+        usedCount: 0,
+        isActive: true
+    };
+    const prisma = createMockPrisma({
+        plans: [MONTHLY],
+        settings: EXCLUSIVE_TAX,
+        promotions: [earlyRenewal],
+        subscriptions: [{ id: 1, memberId: 7, planId: 3, status: 'active', endDate: new Date(Date.now() + 5 * DAY_MS), createdAt: new Date(2026, 0, 1) }]
+    });
+
+    const res = await renew(prisma, 1, { planId: 3, paymentStatus: 'paid' });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.data.promotion, { name: 'Renew early', code: null, ruleType: 'early_renewal', amount: 100 });
+    const renewed = prisma.db.subscriptions.find((sub) => sub.id === res.body.data.id);
+    assert.deepEqual([renewed.price, renewed.discount, renewed.remainingAmount, renewed.paymentStatus], [1026, 100, 0, 'paid']);
+    // The renewed subscription is ended only after the rule has been checked
+    assert.equal(prisma.db.subscriptions[0].status, 'expired');
+    assert.equal(earlyRenewal.usedCount, 1);
+    assert.deepEqual(
+        [prisma.db.redemptions[0].promotionId, prisma.db.redemptions[0].subscriptionId, prisma.db.redemptions[0].originalPrice, prisma.db.redemptions[0].discountAmount],
+        [4, renewed.id, 1000, 100]
+    );
+    const totals = JSON.parse(prisma.db.receipts[0].totalsJson);
+    assert.deepEqual([totals.discount, totals.total, totals.promotions], [100, 1026, [res.body.data.promotion]]);
+
+    // Once the subscription has lapsed there is nothing to renew early
+    const lapsed = createMockPrisma({
+        plans: [MONTHLY],
+        settings: EXCLUSIVE_TAX,
+        promotions: [{ ...earlyRenewal, usedCount: 0 }],
+        subscriptions: [{ id: 1, memberId: 7, planId: 3, status: 'expired', endDate: new Date(Date.now() - DAY_MS), createdAt: new Date(2026, 0, 1) }]
+    });
+    const late = await renew(lapsed, 1, { planId: 3, paymentStatus: 'paid' });
+    assert.equal(late.body.data.promotion, null);
+    assert.equal(lapsed.db.subscriptions.find((sub) => sub.id === late.body.data.id).price, 1140);
+
+    const unknownCode = await renew(createMockPrisma({ plans: [MONTHLY], subscriptions: [{ id: 1, memberId: 7, planId: 3, status: 'expired', endDate: new Date(), createdAt: new Date(2026, 0, 1) }] }), 1, { planId: 3, promotionCode: 'nope' });
+    assert.deepEqual([unknownCode.statusCode, unknownCode.body.code], [400, 'PROMOTION_NOT_FOUND']);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseTaxRate,
+    getTaxSettings,
+    resolveTaxRate,
+    taxIncluded,
+    priceWithTax,
+    resolveServiceTaxRate,
+    buildReceiptTax,
+    buildTaxReport
+} = require('../services/taxService');
+
+const settingsPrisma = (values, services = {}) => ({
+    setting: {
+        findMany: async () => Object.entries(values).map(([key, value]) => ({ key, value }))
+    },
+    service: {
+        findUnique: async ({ where }) => services[where.id] || null
+    }
+});
+
+test('rates fall back to the default and prices are grossed up only when exclusive', async () => {
+    assert.equal(parseTaxRate(undefined), undefined);
+    assert.equal(parseTaxRate(''), null);
+    assert.equal(parseTaxRate('14'), 14);
+    assert.throws(() => parseTaxRate('120'), (error) => error.status === 400 && error.code === 'INVALID_TAX_RATE');
+    assert.throws(() => parseTaxRate('abc'), (error) => error.code === 'INVALID_TAX_RATE');
+
+    const defaults = await getTaxSettings(settingsPrisma({}));
+    assert.deepEqual(defaults, { enabled: false, name: 'VAT', defaultRate: 0, inclusive: true, registrationNumber: '' });
+    assert.equal(resolveTaxRate(defaults, 14), 0);
+
+    const settings = await getTaxSettings(settingsPrisma({
+        tax_enabled: 'true',
+        tax_default_rate: '14',
+        tax_prices_inclusive: 'false',
+        tax_registration_number: '123-456-789'
+    }));
+    assert.equal(resolveTaxRate(settings, null), 14);
+    assert.equal(resolveTaxRate(settings, 0), 0);
+    assert.equal(resolveTaxRate(settings, 5), 5);
+
+    assert.equal(priceWithTax(1000, 14, false), 1140);
+    assert.equal(priceWithTax(1000, 14, true), 1000);
+    assert.equal(taxIncluded(1140, 14), 140);
+    assert.equal(taxIncluded(1000, 14), 122.81);
+
+    const services = { 1: { taxRate: 5 }, 2: { taxRate: null } };
+    assert.equal(await resolveServiceTaxRate(settingsPrisma({ tax_enabled: 'true', tax_default_rate: '14' }, services), 1), 5);
+    assert.equal(await resolveServiceTaxRate(settingsPrisma({ tax_enabled: 'true', tax_default_rate: '14' }, services), 2), 14);
+    assert.equal(await resolveServiceTaxRate(settingsPrisma({ tax_enabled: 'true', tax_default_rate: '14' }, services), null), 14);
+    assert.equal(await resolveServiceTaxRate(settingsPrisma({ tax_default_rate: '14' }, services), 1), 0);
+});
+
+test('receipt totals carry one tax line per rate and the registration number', () => {
+    const settings = { enabled: true, name: 'VAT', defaultRate: 14, inclusive: true, registrationNumber: '123-456-789' };
+
+    assert.deepEqual(buildReceiptTax(settings, [{ amount: 500, rate: 0 }]), { tax: 0 });
+    assert.deepEqual(buildReceiptTax(settings, [
+        { amount: 114, rate: 14 },
+        { amount: 228, rate: 14 },
+        { amount: 105, rate: 5 },
+        { amount: 50, rate: 0 }
+    ]), {
+        tax: 47,
+        taxLines: [
+            { rate: 5, taxable: 100, tax: 5 },
+            { rate: 14, taxable: 300, tax: 42 }
+        ],
+        taxName: 'VAT',
+        taxNumber: '123-456-789',
+        pricesIncludeTax: true
+    });
+});
+
+test('the tax report nets refunds against collected tax per rate and source', async () => {
+    const queries = {};
+    const prisma = {
+        setting: { findMany: async () => [{ key: 'tax_registration_number', value: '123-456-789' }] },
+        payment: {
+            findMany: async (args) => {
+                queries.payment = args.where;
+                return [
+                    { amount: 1140, taxRate: 14, subscriptionId: 1, appointmentId: null },
+                    { amount: 570, taxRate: 14, subscriptionId: 2, appointmentId: null },
+                    { amount: 210, taxRate: 5, subscriptionId: null, appointmentId: 7 },
+                    { amount: 100, taxRate: 0, subscriptionId: null, appointmentId: null }
+                ];
+            }
+        },
+        refund: {
+            findMany: async (args) => {
+                queries.refund = args.where;
+                return [{ amount: 114, payment: { taxRate: 14, subscriptionId: 1, appointmentId: null } }];
+            }
+        },
+        saleItem: {
+            findMany: async (args) => {
+                queries.saleItem = args.where;
+                return [{ lineTotal: 57, taxRate: 14, taxAmount: 7 }];
+            }
+        }
+    };
+
+    const report = await buildTaxReport(prisma, { startDate: new Date(2026, 2, 1), endDate: new Date(2026, 2, 31), branchScope: [2] });
+
+    assert.deepEqual(queries.payment.branchId, { in: [2] });
+    assert.deepEqual(queries.refund.shift, { branchId: { in: [2] } });
+    assert.deepEqual(queries.saleItem.transaction.branchId, { in: [2] });
+
+    assert.equal(report.registrationNumber, '123-456-789');
+    assert.deepEqual(report.summary, { grossAmount: 1963, taxableAmount: 1750, taxAmount: 213 });
+    assert.deepEqual(report.rates, [
+        { rate: 0, grossAmount: 100, taxableAmount: 100, taxAmount: 0 },
+        { rate: 5, grossAmount: 210, taxableAmount: 200, taxAmount: 10 },
+        { rate: 14, grossAmount: 1653, taxableAmount: 1450, taxAmount: 203 }
+    ]);
+    assert.deepEqual(report.sources.map((row) => [row.source, row.taxAmount]), [
+        ['subscriptions', 196],
+        ['sessions', 10],
+        ['products', 7],
+        ['other', 0]
+    ]);
+});
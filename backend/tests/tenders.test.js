@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseTenders,
+    tenderBreakdown,
+    refundMethod,
+    refundableByTender,
+    allocateRefund,
+    buildReceiptTenders
+} = require('../services/tenderService');
+const { calculateCashClosingStats } = require('../utils/financialCalculations');
+
+const splitPayment = (refunds = []) => ({
+    id: 1,
+    amount: 500,
+    method: 'MIXED',
+    tenders: [
+        { method: 'cash', amount: 300, externalReference: null },
+        { method: 'card', amount: 200, externalReference: 'POS-77' }
+    ],
+    refunds
+});
+
+test('split tenders are validated and must add up to the total', () => {
+    const tenders = parseTenders([
+        { method: 'Cash', amount: '300' },
+        { method: 'card', amount: 200, externalReference: ' pos-77 ' }
+    ], { total: 500, requireReference: ['card'] });
+    assert.deepEqual(tenders, [
+        { method: 'cash', amount: 300, externalReference: null },
+        { method: 'card', amount: 200, externalReference: 'POS-77' }
+    ]);
+
+    assert.throws(() => parseTenders([{ method: 'cash', amount: 500 }]), (error) => error.status === 400 && error.code === 'INVALID_TENDERS');
+    assert.throws(() => parseTenders([{ method: 'cash', amount: 300 }, { method: 'mixed', amount: 200 }]), (error) => error.code === 'INVALID_TENDERS');
+    assert.throws(() => parseTenders([{ method: 'cash', amount: 300 }, { method: 'card', amount: 0 }]), (error) => error.code === 'INVALID_TENDERS');
+    assert.throws(
+        () => parseTenders([{ method: 'cash', amount: 300 }, { method: 'card', amount: 200 }], { requireReference: ['card'] }),
+        (error) => error.code === 'TENDER_REFERENCE_REQUIRED'
+    );
+    assert.throws(
+        () => parseTenders([{ method: 'cash', amount: 300 }, { method: 'card', amount: 150 }], { total: 500 }),
+        (error) => error.code === 'TENDER_TOTAL_MISMATCH'
+    );
+});
+
+test('single-method records break down into one tender and receipts only list split tenders', () => {
+    assert.deepEqual(tenderBreakdown({ amount: 120, method: 'CASH' }), [{ method: 'cash', amount: 120, externalReference: null }]);
+    assert.deepEqual(tenderBreakdown({ totalAmount: 80, paymentMethod: 'card' }), [{ method: 'card', amount: 80, externalReference: null }]);
+    assert.deepEqual(buildReceiptTenders({ amount: 120, method: 'CASH' }), {});
+    assert.deepEqual(buildReceiptTenders(splitPayment()), {
+        tenders: [
+            { method: 'cash', amount: 300 },
+            { method: 'card', amount: 200, reference: 'POS-77' }
+        ]
+    });
+
+    assert.equal(refundMethod({ method: 'card', payment: { method: 'MIXED' } }), 'card');
+    assert.equal(refundMethod({ method: null, payment: { method: 'CARD' } }), 'card');
+    assert.equal(refundMethod({ method: null, payment: { method: 'MIXED' } }), 'cash');
+});
+
+test('refunds on split payments go back to the card first and never exceed a tender', () => {
+    assert.deepEqual(allocateRefund(splitPayment(), 150), [{ method: 'card', amount: 150 }]);
+    assert.deepEqual(allocateRefund(splitPayment(), 350), [
+        { method: 'card', amount: 200 },
+        { method: 'cash', amount: 150 }
+    ]);
+
+    const partlyRefunded = splitPayment([{ amount: 120, method: 'card' }]);
+    assert.deepEqual(refundableByTender(partlyRefunded), [
+        { method: 'cash', amount: 300 },
+        { method: 'card', amount: 80 }
+    ]);
+    assert.deepEqual(allocateRefund(partlyRefunded, 100), [
+        { method: 'card', amount: 80 },
+        { method: 'cash', amount: 20 }
+    ]);
+    assert.deepEqual(allocateRefund(partlyRefunded, 250, 'cash'), [{ method: 'cash', amount: 250 }]);
+    assert.throws(() => allocateRefund(partlyRefunded, 100, 'card'), (error) => error.code === 'TENDER_REFUND_EXCEEDED');
+    assert.throws(() => allocateRefund(partlyRefunded, 10, 'transfer'), (error) => error.code === 'INVALID_REFUND_METHOD');
+
+    assert.deepEqual(allocateRefund({ amount: 100, method: 'CASH', refunds: [] }, 40), [{ method: 'cash', amount: 40 }]);
+});
+
+test('cash closing counts each tender of split payments and sales under its own method', async () => {
+    const prisma = {
+        payment: {
+            findMany: async () => [
+                splitPayment(),
+                { amount: 100, method: 'CASH' }
+            ]
+        },
+        refund: {
+            findMany: async () => [
+                { amount: 50, method: 'card', payment: { method: 'MIXED' } },
+                { amount: 20, method: null, payment: { method: 'CASH' } }
+            ]
+        },
+        saleTransaction: {
+            findMany: async () => [{
+                totalAmount: 90,
+                paymentMethod: 'mixed',
+                tenders: [{ method: 'cash', amount: 40 }, { method: 'card', amount: 50 }]
+            }]
+        },
+        cashMovement: { findMany: async () => [] },
+        trainerPayout: { findMany: async () => [] }
+    };
+
+    const stats = await calculateCashClosingStats(prisma, new Date('2026-03-01T00:00:00Z'), new Date('2026-03-01T23:59:59Z'));
+
+    assert.equal(stats.expectedCashAmount, 420);
+    assert.equal(stats.expectedCardAmount, 200);
+    assert.equal(stats.expectedTotalAmount, 620);
+    assert.equal(stats.paymentCount, 3);
+    assert.equal(stats.subscriptionCardTotal, 200);
+    assert.equal(stats.posCashTotal, 40);
+});
@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    WEBHOOK_EVENTS,
+    MAX_ATTEMPTS,
+    signPayload,
+    computeRetryDelayMs,
+    normalizeEvents,
+    serializeEndpoint,
+    emitEvent,
+    claimDelivery,
+    processDueDeliveries,
+    replayDelivery
+} = require('../services/webhookService');
+
+const isDue = (delivery, where) => where.status.in.includes(delivery.status) && delivery.nextAttemptAt <= where.nextAttemptAt.lte;
+
+function createMockPrisma(endpoints) {
+    const deliveries = [];
+    const withEndpoint = (row) => ({ ...row, endpoint: endpoints.find((endpoint) => endpoint.id === row.endpointId) });
+    return {
+        deliveries,
+        webhookEndpoint: {
+            findMany: async ({ where }) => endpoints.filter((endpoint) => !where.isActive || endpoint.isActive)
+        },
+        webhookDelivery: {
+            createMany: async ({ data }) => {
+                data.forEach((row) => deliveries.push({
+                    id: deliveries.length + 1,
+                    status: 'pending',
+                    attempts: 0,
+                    nextAttemptAt: new Date(),
+                    replayOfId: null,
+                    ...row
+                }));
+                return { count: data.length };
+            },
+            create: async ({ data }) => {
+                const row = { id: deliveries.length + 1, status: 'pending', attempts: 0, nextAttemptAt: new Date(), ...data };
+                deliveries.push(row);
+                return row;
+            },
+            findUnique: async ({ where }) => {
+                const row = deliveries.find((delivery) => delivery.id === where.id);
+                return row ? withEndpoint(row) : null;
+            },
+            findMany: async ({ where }) => deliveries
+                .filter((delivery) => isDue(delivery, where))
+                .map((delivery) => ({ id: delivery.id })),
+            updateMany: async ({ where, data }) => {
+                const row = deliveries.find((delivery) => delivery.id === where.id && isDue(delivery, where));
+                if (row) Object.assign(row, data);
+                return { count: row ? 1 : 0 };
+            },
+            update: async ({ where, data }) => {
+                const row = deliveries.find((delivery) => delivery.id === where.id);
+                Object.assign(row, data);
+                return row;
+            }
+        }
+    };
+}
+
+const endpoint = (id, events, extra = {}) => ({
+    id,
+    url: `https://hooks.example.com/${id}`,
+    secret: `whsec_${id}`,
+    events: JSON.stringify(events),
+    isActive: true,
+    ...extra
+});
+
+test('emitEvent queues one delivery per active subscribed endpoint', async () => {
+    const prisma = createMockPrisma([
+        endpoint(1, ['payment.recorded']),
+        endpoint(2, ['*']),
+        endpoint(3, ['member.created']),
+        endpoint(4, ['*'], { isActive: false })
+    ]);
+
+    const queued = await emitEvent(prisma, WEBHOOK_EVENTS.PAYMENT_RECORDED, { payment: { id: 9 } });
+
+    assert.equal(queued, 2);
+    assert.deepEqual(prisma.deliveries.map((delivery) => delivery.endpointId), [1, 2]);
+    const payload = JSON.parse(prisma.deliveries[0].payload);
+    assert.equal(payload.event, 'payment.recorded');
+    assert.equal(payload.id, prisma.deliveries[1].eventId);
+    assert.deepEqual(payload.data, { payment: { id: 9 } });
+});
+
+test('emitEvent never throws when queueing fails', async () => {
+    const prisma = {
+        webhookEndpoint: { findMany: async () => { throw new Error('relation does not exist'); } }
+    };
+    assert.equal(await emitEvent(prisma, WEBHOOK_EVENTS.MEMBER_CREATED, {}), 0);
+});
+
+test('emitEvent inside a transaction runs in a savepoint and rolls only that back on failure', async () => {
+    const statements = [];
+    const tx = {
+        ...createMockPrisma([endpoint(1, ['*'])]),
+        $executeRawUnsafe: async (sql) => statements.push(sql)
+    };
+    assert.equal(await emitEvent(tx, WEBHOOK_EVENTS.MEMBER_CREATED, {}), 1);
+    assert.deepEqual(statements, ['SAVEPOINT webhook_emit', 'RELEASE SAVEPOINT webhook_emit']);
+
+    statements.length = 0;
+    tx.webhookDelivery.createMany = async () => { throw new Error('relation "WebhookDelivery" does not exist'); };
+    assert.equal(await emitEvent(tx, WEBHOOK_EVENTS.MEMBER_CREATED, {}), 0);
+    assert.deepEqual(statements, ['SAVEPOINT webhook_emit', 'ROLLBACK TO SAVEPOINT webhook_emit']);
+
+    // The root client is not in a transaction: no savepoint
+    statements.length = 0;
+    await emitEvent({ ...tx, $transaction: async () => {} }, WEBHOOK_EVENTS.MEMBER_CREATED, {});
+    assert.deepEqual(statements, []);
+});
+
+test('a delivery is sent once when the job and the dispatch run together', async () => {
+    const prisma = createMockPrisma([endpoint(1, ['*'])]);
+    const now = new Date('2026-02-24T10:00:00Z');
+    await emitEvent(prisma, WEBHOOK_EVENTS.PAYMENT_RECORDED, {}, { now });
+
+    let sent = 0;
+    const httpClient = {
+        request: async () => {
+            sent += 1;
+            await new Promise((resolve) => setImmediate(resolve));
+            return { status: 200, data: 'ok' };
+        }
+    };
+    const [first, second] = await Promise.all([
+        processDueDeliveries(prisma, { now, httpClient }),
+        processDueDeliveries(prisma, { now, httpClient })
+    ]);
+    assert.equal(sent, 1);
+    assert.equal(first.processed + second.processed, 1);
+    assert.equal(prisma.deliveries[0].status, 'success');
+
+    // A sender that stopped mid-delivery: the row is sent again once its lease runs out
+    await emitEvent(prisma, WEBHOOK_EVENTS.PAYMENT_RECORDED, {}, { now });
+    assert.equal(await claimDelivery(prisma, 2, now), true);
+    assert.equal(prisma.deliveries[1].status, 'sending');
+    assert.equal(await claimDelivery(prisma, 2, now), false);
+    assert.equal((await processDueDeliveries(prisma, { now, httpClient })).processed, 0);
+    const later = new Date(prisma.deliveries[1].nextAttemptAt.getTime());
+    assert.equal((await processDueDeliveries(prisma, { now: later, httpClient })).delivered, 1);
+    assert.equal(sent, 2);
+});
+
+test('deliveries are signed with HMAC-SHA256 over timestamp and body', async () => {
+    const prisma = createMockPrisma([endpoint(1, ['*'])]);
+    const now = new Date('2026-02-24T10:00:00Z');
+    await emitEvent(prisma, WEBHOOK_EVENTS.MEMBER_CREATED, { member: { id: 1 } }, { now });
+
+    let request = null;
+    const httpClient = { request: async (config) => { request = config; return { status: 200, data: 'ok' }; } };
+    const summary = await processDueDeliveries(prisma, { now, httpClient });
+
+    assert.deepEqual(summary, { processed: 1, delivered: 1, failed: 0, retrying: 0 });
+    const timestamp = request.headers['X-Webhook-Timestamp'];
+    assert.equal(timestamp, String(Math.floor(now.getTime() / 1000)));
+    assert.equal(request.headers['X-Webhook-Signature'], `sha256=${signPayload('whsec_1', timestamp, request.data)}`);
+    assert.equal(request.headers['X-Webhook-Event'], 'member.created');
+    assert.equal(prisma.deliveries[0].status, 'success');
+    assert.equal(prisma.deliveries[0].nextAttemptAt, null);
+});
+
+test('failed deliveries back off exponentially and fail after the last attempt', async () => {
+    const prisma = createMockPrisma([endpoint(1, ['*'])]);
+    let now = new Date('2026-02-24T10:00:00Z');
+    await emitEvent(prisma, WEBHOOK_EVENTS.CHECKIN_CREATED, {}, { now });
+    const httpClient = { request: async () => ({ status: 503, data: 'down' }) };
+
+    await processDueDeliveries(prisma, { now, httpClient });
+    const delivery = prisma.deliveries[0];
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.error, 'HTTP 503');
+    assert.equal(delivery.nextAttemptAt.getTime() - now.getTime(), computeRetryDelayMs(1));
+
+    // Not due yet
+    assert.equal((await processDueDeliveries(prisma, { now, httpClient })).processed, 0);
+
+    for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt += 1) {
+        now = delivery.nextAttemptAt;
+        await processDueDeliveries(prisma, { now, httpClient });
+    }
+    assert.equal(delivery.attempts, MAX_ATTEMPTS);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.nextAttemptAt, null);
+    assert.equal(computeRetryDelayMs(2), 2 * computeRetryDelayMs(1));
+    assert.equal(computeRetryDelayMs(30), 6 * 60 * 60 * 1000);
+});
+
+test('replayDelivery re-sends the same event as a new delivery', async () => {
+    const prisma = createMockPrisma([endpoint(1, ['*'])]);
+    await emitEvent(prisma, WEBHOOK_EVENTS.REFUND_CREATED, { refund: { id: 3 } });
+    prisma.deliveries[0].status = 'failed';
+
+    const replay = await replayDelivery(prisma, 1, {
+        httpClient: { request: async () => ({ status: 204, data: '' }) }
+    });
+
+    assert.equal(replay.id, 2);
+    assert.equal(replay.replayOfId, 1);
+    assert.equal(replay.status, 'success');
+    assert.equal(replay.eventId, prisma.deliveries[0].eventId);
+    assert.equal(prisma.deliveries[0].status, 'failed');
+});
+
+test('endpoint events and secrets are validated and masked', () => {
+    assert.deepEqual(normalizeEvents(['member.created', '*']), ['*']);
+    assert.throws(() => normalizeEvents(['member.deleted']), (error) => error.code === 'INVALID_EVENTS');
+    assert.throws(() => normalizeEvents([]), (error) => error.status === 400);
+
+    const serialized = serializeEndpoint(endpoint(1, ['member.created']));
+    assert.equal(serialized.secret, undefined);
+    assert.deepEqual(serialized.events, ['member.created']);
+    assert.equal(serializeEndpoint(endpoint(1, ['*']), { includeSecret: true }).secret, 'whsec_1');
+});
@@ -0,0 +1,117 @@
+/**
+ * ============================================
+ * PUBLIC API SERIALIZERS
+ * ============================================
+ *
+ * Stable external shapes shared by the v1 API and webhook payloads.
+ * Add fields freely; never rename or remove one within v1.
+ */
+
+const serializeMember = (member) => ({
+    id: member.id,
+    memberCode: member.memberId,
+    firstName: member.firstName,
+    lastName: member.lastName,
+    email: member.email,
+    phone: member.phone,
+    gender: member.gender,
+    isActive: member.isActive,
+    homeBranchId: member.homeBranchId ?? null,
+    joinDate: member.joinDate,
+    createdAt: member.createdAt,
+    updatedAt: member.updatedAt
+});
+
+const serializeSubscription = (subscription) => ({
+    id: subscription.id,
+    memberId: subscription.memberId,
+    planId: subscription.planId,
+    planName: subscription.plan?.name ?? null,
+    status: subscription.status,
+    startDate: subscription.startDate,
+    endDate: subscription.endDate,
+    isPaused: subscription.isPaused,
+    price: subscription.price,
+    paidAmount: subscription.paidAmount,
+    remainingAmount: subscription.remainingAmount,
+    paymentStatus: subscription.paymentStatus,
+    createdAt: subscription.createdAt,
+    updatedAt: subscription.updatedAt
+});
+
+const serializePlan = (plan) => ({
+    id: plan.id,
+    name: plan.name,
+    nameAr: plan.nameAr,
+    type: plan.type,
+    duration: plan.duration,
+    durationType: plan.durationType,
+    price: plan.price,
+    totalSessions: plan.packageTotalSessions,
+    description: plan.description,
+    isActive: plan.isActive
+});
+
+const serializeCheckIn = (checkIn) => ({
+    id: checkIn.id,
+    memberId: checkIn.memberId,
+    branchId: checkIn.branchId ?? null,
+    method: checkIn.method,
+    checkInTime: checkIn.checkInTime,
+    checkOutTime: checkIn.checkOutTime
+});
+
+const serializePayment = (payment) => ({
+    id: payment.id,
+    memberId: payment.memberId,
+    subscriptionId: payment.subscriptionId,
+    amount: payment.amount,
+    method: payment.method,
+    status: payment.status,
+    receiptNumber: payment.receiptNumber,
+    branchId: payment.branchId ?? null,
+    paidAt: payment.paidAt,
+    createdAt: payment.createdAt,
+    ...(payment.tenders?.length > 0 && {
+        tenders: payment.tenders.map((tender) => ({
+            method: tender.method,
+            amount: tender.amount,
+            externalReference: tender.externalReference ?? null
+        }))
+    })
+});
+
+const serializeRefund = (refund) => ({
+    id: refund.id ?? null,
+    paymentId: refund.paymentId,
+    memberId: refund.payment?.memberId ?? null,
+    subscriptionId: refund.payment?.subscriptionId ?? null,
+    amount: refund.amount,
+    method: refund.method ?? null,
+    reason: refund.reason,
+    createdAt: refund.createdAt
+});
+
+const serializeAppointment = (appointment) => ({
+    id: appointment.id,
+    memberId: appointment.memberId,
+    coachId: appointment.coachId,
+    branchId: appointment.branchId ?? null,
+    title: appointment.title,
+    start: appointment.start,
+    end: appointment.end,
+    status: appointment.status,
+    price: appointment.finalPrice ?? appointment.price,
+    paidAmount: appointment.paidAmount,
+    completedAt: appointment.completedAt
+});
+
+module.exports = {
+    serializeMember,
+    serializeSubscription,
+    serializePlan,
+    serializeCheckIn,
+    serializePayment,
+    serializeRefund,
+    serializeAppointment
+};
@@ -7,6 +7,8 @@
  * Used by: Reports, Dashboard, Alerts, Member Profile
  */
 const { roundMoney, clampMoney } = require('./money');
+const { branchWhere, shiftBranchWhere } = require('../services/branchService');
+const { tenderBreakdown, refundMethod } = require('../services/tenderService');
 
 /**
  * Calculate financial breakdown for a single subscription
@@ -188,19 +190,24 @@ function calculateDailyRevenue(payments = []) {
     };
 }
 
+// Payment statuses that count towards gross revenue
+const NET_REVENUE_PAYMENT_STATUSES = ['completed', 'refunded', 'Partial Refund', 'PAID', 'REFUNDED', 'PARTIAL', 'PARTIAL REFUND'];
+
 /**
  * Calculate net revenue from database for a specific period
  * @param {Object} prisma - Prisma client instance
  * @param {Date} startDate - Start of period
  * @param {Date} endDate - End of period
+ * @param {null|number|number[]} [branchScope] - Limit to branch(es); null = all branches
  * @returns {Promise<Object>} Revenue stats
  */
-async function calculateNetRevenue(prisma, startDate, endDate) {
+async function calculateNetRevenue(prisma, startDate, endDate, branchScope = null) {
     // Get ALL payments in range (positive and negative)
     const payments = await prisma.payment.findMany({
         where: {
             paidAt: { gte: startDate, lte: endDate },
-            status: { in: ['completed', 'refunded', 'Partial Refund', 'PAID', 'REFUNDED', 'PARTIAL', 'PARTIAL REFUND'] }
+            ...branchWhere(branchScope),
+            status: { in: NET_REVENUE_PAYMENT_STATUSES }
         },
         select: { amount: true, refundedTotal: true }
     });
@@ -226,7 +233,8 @@ async function calculateNetRevenue(prisma, startDate, endDate) {
 
     const refunds = await prisma.refund.findMany({
         where: {
-            createdAt: { gte: startDate, lte: endDate }
+            createdAt: { gte: startDate, lte: endDate },
+            ...shiftBranchWhere(branchScope)
         },
         select: { amount: true }
     });
@@ -364,7 +372,11 @@ async function calculateCashClosingStats(prisma, startDate, endDate, employeeId
     const [payments, refunds, sales, cashMovements, trainerPayouts] = await Promise.all([
         prisma.payment.findMany({
             where: paymentWhere,
-            select: { amount: true, method: true }
+            select: {
+                amount: true,
+                method: true,
+                tenders: { select: { method: true, amount: true } }
+            }
         }),
         prisma.refund.findMany({
             where: refundWhere,
@@ -376,7 +388,11 @@ async function calculateCashClosingStats(prisma, startDate, endDate, employeeId
         }),
         prisma.saleTransaction.findMany({
             where: salesWhere,
-            select: { totalAmount: true, paymentMethod: true }
+            select: {
+                totalAmount: true,
+                paymentMethod: true,
+                tenders: { select: { method: true, amount: true } }
+            }
         }),
         prisma.cashMovement.findMany({
             where: {
@@ -425,19 +441,22 @@ async function calculateCashClosingStats(prisma, startDate, endDate, employeeId
 
         paymentCount += 1;
         subscriptionTotal += amount;
-        const method = normalizePaymentMethod(payment.method);
-        if (method === 'cash') {
-            cashRevenue += amount;
-            subscriptionCashTotal += amount;
-            return;
-        }
-        if (method === 'card') {
-            cardRevenue += amount;
-            subscriptionCardTotal += amount;
-            return;
-        }
-        transferRevenue += amount;
-        subscriptionTransferTotal += amount;
+        // Split payments count each tender under its own method
+        tenderBreakdown(payment).forEach((tender) => {
+            const method = normalizePaymentMethod(tender.method);
+            if (method === 'cash') {
+                cashRevenue += tender.amount;
+                subscriptionCashTotal += tender.amount;
+                return;
+            }
+            if (method === 'card') {
+                cardRevenue += tender.amount;
+                subscriptionCardTotal += tender.amount;
+                return;
+            }
+            transferRevenue += tender.amount;
+            subscriptionTransferTotal += tender.amount;
+        });
     });
 
     sales.forEach((sale) => {
@@ -446,26 +465,28 @@ async function calculateCashClosingStats(prisma, startDate, endDate, employeeId
 
         paymentCount += 1;
         posSalesTotal += amount;
-        const method = normalizePaymentMethod(sale.paymentMethod);
-        if (method === 'cash') {
-            cashRevenue += amount;
-            posSalesCash += amount;
-            return;
-        }
-        if (method === 'card') {
-            cardRevenue += amount;
-            posSalesCard += amount;
-            return;
-        }
-        transferRevenue += amount;
-        posSalesTransfer += amount;
+        tenderBreakdown(sale).forEach((tender) => {
+            const method = normalizePaymentMethod(tender.method);
+            if (method === 'cash') {
+                cashRevenue += tender.amount;
+                posSalesCash += tender.amount;
+                return;
+            }
+            if (method === 'card') {
+                cardRevenue += tender.amount;
+                posSalesCard += tender.amount;
+                return;
+            }
+            transferRevenue += tender.amount;
+            posSalesTransfer += tender.amount;
+        });
     });
 
     refunds.forEach((refund) => {
         const amount = toNumber(refund.amount);
         if (amount <= 0) return;
 
-        const method = normalizePaymentMethod(refund.payment?.method);
+        const method = normalizePaymentMethod(refundMethod(refund));
         if (method === 'cash') {
             cashRefunds += amount;
             return;
@@ -668,6 +689,7 @@ module.exports = {
     getOutstandingSubscriptions,
 
     calculateDailyRevenue,
+    NET_REVENUE_PAYMENT_STATUSES,
     calculateNetRevenue,
     calculateCashClosingStats,
     calculateFinancialSnapshot
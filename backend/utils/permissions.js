@@ -17,6 +17,7 @@ const PERMISSIONS = {
     MEMBERS_CREATE: 'members.create',
     MEMBERS_EDIT: 'members.edit',
     MEMBERS_DELETE: 'members.delete',
+    MEMBERS_CREDENTIALS: 'members.credentials',
 
     // Subscriptions
     SUBSCRIPTIONS_VIEW: 'subscriptions.view',
@@ -42,6 +43,7 @@ const PERMISSIONS = {
     // Check-ins
     CHECKINS_VIEW: 'checkins.view',
     CHECKINS_MANAGE: 'checkins.manage',
+    CHECKINS_DEBT_OVERRIDE: 'checkins.debt_override',
 
     // Employees
     EMPLOYEES_VIEW: 'employees.view',
@@ -67,7 +69,20 @@ const PERMISSIONS = {
 
     // Coaches
     COACHES_VIEW: 'coaches.view',
-    COACHES_MANAGE: 'coaches.manage'
+    COACHES_MANAGE: 'coaches.manage',
+
+    // Expenses
+    EXPENSES_VIEW: 'expenses.view',
+    EXPENSES_MANAGE: 'expenses.manage',
+
+    // Leads
+    LEADS_VIEW: 'leads.view',
+    LEADS_MANAGE: 'leads.manage',
+
+    // Group classes
+    CLASSES_VIEW: 'classes.view',
+    CLASSES_BOOK: 'classes.book',
+    CLASSES_MANAGE: 'classes.manage'
 };
 
 /**
@@ -104,7 +119,8 @@ const PERMISSION_CATEGORIES = {
             PERMISSIONS.MEMBERS_VIEW,
             PERMISSIONS.MEMBERS_CREATE,
             PERMISSIONS.MEMBERS_EDIT,
-            PERMISSIONS.MEMBERS_DELETE
+            PERMISSIONS.MEMBERS_DELETE,
+            PERMISSIONS.MEMBERS_CREDENTIALS
         ]
     },
     subscriptions: {
@@ -146,7 +162,8 @@ const PERMISSION_CATEGORIES = {
         label: 'Check-ins',
         permissions: [
             PERMISSIONS.CHECKINS_VIEW,
-            PERMISSIONS.CHECKINS_MANAGE
+            PERMISSIONS.CHECKINS_MANAGE,
+            PERMISSIONS.CHECKINS_DEBT_OVERRIDE
         ]
     },
     employees: {
@@ -186,6 +203,28 @@ const PERMISSION_CATEGORIES = {
             PERMISSIONS.COACHES_VIEW,
             PERMISSIONS.COACHES_MANAGE
         ]
+    },
+    expenses: {
+        label: 'Expenses',
+        permissions: [
+            PERMISSIONS.EXPENSES_VIEW,
+            PERMISSIONS.EXPENSES_MANAGE
+        ]
+    },
+    leads: {
+        label: 'Leads',
+        permissions: [
+            PERMISSIONS.LEADS_VIEW,
+            PERMISSIONS.LEADS_MANAGE
+        ]
+    },
+    classes: {
+        label: 'Group Classes',
+        permissions: [
+            PERMISSIONS.CLASSES_VIEW,
+            PERMISSIONS.CLASSES_BOOK,
+            PERMISSIONS.CLASSES_MANAGE
+        ]
     }
 };
 
@@ -33,6 +33,7 @@ try {
 let mainWindow = null;
 let backendProcess = null;
 let tray = null;
+let kioskMode = false;
 
 // Configuration
 const isDev = process.env.NODE_ENV === 'development' || (app && !app.isPackaged);
@@ -83,8 +84,25 @@ function createWindow() {
         return { action: 'deny' };
     });
 
+    // Kiosk mode: no dev tools, reload or Alt+F4
+    mainWindow.webContents.on('before-input-event', (event, input) => {
+        if (!kioskMode) return;
+        const key = String(input.key || '').toLowerCase();
+        if (key === 'f12' || key === 'f5'
+            || (input.control && input.shift && key === 'i')
+            || (input.control && key === 'r')
+            || (input.alt && key === 'f4')) {
+            event.preventDefault();
+        }
+    });
+
     // Handle window close
     mainWindow.on('close', (event) => {
+        if (kioskMode) {
+            // Leaving kiosk mode needs the admin PIN
+            event.preventDefault();
+            return;
+        }
         if (process.platform === 'win32') {
             // Minimize to tray instead of closing
             event.preventDefault();
@@ -280,6 +298,20 @@ ipcMain.handle('get-user-data-path', () => {
     return app.getPath('userData');
 });
 
+ipcMain.handle('set-kiosk-mode', (event, enabled) => {
+    kioskMode = Boolean(enabled);
+    if (mainWindow) {
+        mainWindow.setKiosk(kioskMode);
+        mainWindow.setMenuBarVisibility(!kioskMode);
+        if (kioskMode) {
+            mainWindow.webContents.closeDevTools();
+            mainWindow.show();
+            mainWindow.focus();
+        }
+    }
+    return kioskMode;
+});
+
 ipcMain.handle('restart-app', () => {
     if (autoUpdater) {
         autoUpdater.quitAndInstall();
@@ -21,6 +21,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
         ipcRenderer.on('update-downloaded', (event, version) => callback(version));
     },
 
+    // Self-service kiosk: full screen, no way out without the admin PIN
+    setKioskMode: (enabled) => ipcRenderer.invoke('set-kiosk-mode', enabled),
+
     // Platform detection
     platform: process.platform,
     isElectron: true
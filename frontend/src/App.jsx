@@ -8,7 +8,7 @@ import React, { useEffect } from 'react';
 import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { Toaster, toast } from 'react-hot-toast';
-import { useAuthStore, useThemeStore, useLicenseStore } from './store';
+import { useAuthStore, useThemeStore, useLicenseStore, useKioskStore } from './store';
 import { usePermissions } from './hooks/usePermissions';
 import { PERMISSIONS } from './utils/permissions';
 import ErrorBoundary from './components/ErrorBoundary';
@@ -45,6 +45,13 @@ import CancellationsReportPage from './pages/Reports/CancellationsReportPage';
 import TrainerReportPage from './pages/Reports/TrainerReportPage';
 import GymIncomeSessionsReportPage from './pages/Reports/GymIncomeSessionsReportPage';
 import PendingCompletionReportPage from './pages/Reports/PendingCompletionReportPage';
+import ProfitLossReportPage from './pages/Reports/ProfitLossReportPage';
+import LeadFunnelReportPage from './pages/Reports/LeadFunnelReportPage';
+import NoShowReportPage from './pages/Reports/NoShowReportPage';
+import CredentialsReportPage from './pages/Reports/CredentialsReportPage';
+import InstallmentsReportPage from './pages/Reports/InstallmentsReportPage';
+import PromotionsReportPage from './pages/Reports/PromotionsReportPage';
+import TaxReportPage from './pages/Reports/TaxReportPage';
 
 import Settings from './pages/Settings';
 import Plans from './pages/Plans';
@@ -58,11 +65,15 @@ import PaymentAlerts from './pages/PaymentAlerts';
 import SubscriptionAlerts from './pages/SubscriptionAlerts';
 import PayInOut from './pages/PayInOut';
 import Products from './pages/Products';
+import Expenses from './pages/Expenses';
+import Leads from './pages/Leads';
 import Sales from './pages/Sales';
 import Appointments from './pages/Appointments';
+import Classes from './pages/Classes';
 import Coaches from './pages/Coaches';
 import SessionNotificationsPage from './pages/Notifications/SessionNotificationsPage';
 import SupportContact from './pages/SupportContact';
+import Kiosk from './pages/Kiosk';
 
 // Protected Route Component (Exists)
 const ProtectedRoute = ({ children }) => {
@@ -122,6 +133,7 @@ function App() {
     const { initAuth, refreshSession, isAuthenticated } = useAuthStore();
     const { theme } = useThemeStore();
     const { checkLicense } = useLicenseStore();
+    const kioskActive = useKioskStore((state) => state.active);
     const { i18n } = useTranslation();
     const location = useLocation();
 
@@ -169,6 +181,17 @@ function App() {
 
 
 
+    // A kiosk computer shows nothing but the kiosk until the admin PIN is entered
+    if (kioskActive) {
+        return (
+            <ErrorBoundary>
+                <Routes>
+                    <Route path="*" element={<Kiosk />} />
+                </Routes>
+            </ErrorBoundary>
+        );
+    }
+
     return (
         <ErrorBoundary>
             <Toaster position="top-right" />
@@ -236,6 +259,12 @@ function App() {
                     <Route path="/payments" element={
                         <PermissionGuard permission={PERMISSIONS.PAYMENTS_VIEW}><Payments /></PermissionGuard>
                     } />
+                    <Route path="/expenses" element={
+                        <PermissionGuard permission={PERMISSIONS.EXPENSES_VIEW}><Expenses /></PermissionGuard>
+                    } />
+                    <Route path="/leads" element={
+                        <PermissionGuard permission={PERMISSIONS.LEADS_VIEW}><Leads /></PermissionGuard>
+                    } />
 
                     {/* Reports - Nested Routes */}
                     <Route path="/reports" element={
@@ -267,6 +296,25 @@ function App() {
                         {/* Admin Only */}
                         <Route path="outstanding" element={<OutstandingReportPage />} />
                         <Route path="cash-closing" element={<CashClosingReportPage />} />
+                        <Route path="profit-loss" element={
+                            <PermissionGuard permission={PERMISSIONS.EXPENSES_VIEW}><ProfitLossReportPage /></PermissionGuard>
+                        } />
+                        <Route path="lead-funnel" element={
+                            <PermissionGuard permission={PERMISSIONS.LEADS_VIEW}><LeadFunnelReportPage /></PermissionGuard>
+                        } />
+                        <Route path="no-shows" element={
+                            <PermissionGuard permission={PERMISSIONS.APPOINTMENTS_VIEW}><NoShowReportPage /></PermissionGuard>
+                        } />
+                        <Route path="credentials" element={
+                            <PermissionGuard permission={PERMISSIONS.MEMBERS_VIEW}><CredentialsReportPage /></PermissionGuard>
+                        } />
+                        <Route path="installments" element={<InstallmentsReportPage />} />
+                        <Route path="promotions" element={
+                            <PermissionGuard permission={PERMISSIONS.REPORTS_VIEW_FINANCIALS}><PromotionsReportPage /></PermissionGuard>
+                        } />
+                        <Route path="tax" element={
+                            <PermissionGuard permission={PERMISSIONS.REPORTS_VIEW_FINANCIALS}><TaxReportPage /></PermissionGuard>
+                        } />
 
                         {/* Fallback to dashboard */}
                         <Route path="*" element={<Navigate to="/reports" replace />} />
@@ -299,6 +347,9 @@ function App() {
                     <Route path="/appointments" element={
                         <PermissionGuard permission={PERMISSIONS.APPOINTMENTS_VIEW}><Appointments /></PermissionGuard>
                     } />
+                    <Route path="/classes" element={
+                        <PermissionGuard permission={PERMISSIONS.CLASSES_VIEW}><Classes /></PermissionGuard>
+                    } />
                     <Route path="/coaches" element={
                         <PermissionGuard permission={PERMISSIONS.COACHES_VIEW}><Coaches /></PermissionGuard>
                     } />
@@ -55,6 +55,13 @@ const AssignPlanModal = ({ isOpen, onClose, onSuccess, initialMember = null, isR
     const [transactionRef, setTransactionRef] = useState('');
     const [notes, setNotes] = useState('');
     const [manualAmount, setManualAmount] = useState('');
+    const [installmentCount, setInstallmentCount] = useState(''); // '' = no installment plan
+    const [installmentInterval, setInstallmentInterval] = useState('monthly');
+    const [installmentFirstDue, setInstallmentFirstDue] = useState('');
+    const [promotionCode, setPromotionCode] = useState('');
+    const [appliedCode, setAppliedCode] = useState(''); // code sent with the sale once it checked out
+    const [promotionQuote, setPromotionQuote] = useState(null); // { planId, price, discount, taxRate, tax, total, promotion }
+    const [isQuoting, setIsQuoting] = useState(false);
 
     // Receipt State
     const [receiptPayment, setReceiptPayment] = useState(null);
@@ -94,6 +101,12 @@ const AssignPlanModal = ({ isOpen, onClose, onSuccess, initialMember = null, isR
             setTransactionRef('');
             setNotes('');
             setManualAmount('');
+            setInstallmentCount('');
+            setInstallmentInterval('monthly');
+            setInstallmentFirstDue(new Date().toISOString().split('T')[0]);
+            setPromotionCode('');
+            setAppliedCode('');
+            setPromotionQuote(null);
             setIsSubmitting(false);
             setSelectedPlan(null);
             setSelectedPackage(null);
@@ -153,9 +166,53 @@ const AssignPlanModal = ({ isOpen, onClose, onSuccess, initialMember = null, isR
         }
     }, [isOpen, initialPlanId, initialMember]);
 
+    // Price after promotions: the entered code or an automatic rule (family, early renewal)
+    useEffect(() => {
+        if (!isOpen || assignType !== 'subscription' || !selectedMember?.id || !selectedPlan?.id) {
+            setPromotionQuote(null);
+            return undefined;
+        }
+        let cancelled = false;
+        setIsQuoting(true);
+        apiClient.post('/promotions/quote', {
+            memberId: selectedMember.id,
+            planId: selectedPlan.id,
+            code: appliedCode || undefined
+        })
+            .then((res) => {
+                if (!cancelled) setPromotionQuote({ ...res.data.data, planId: selectedPlan.id });
+            })
+            .catch((error) => {
+                if (cancelled) return;
+                setPromotionQuote(null);
+                if (appliedCode) {
+                    toast.error(error.response?.data?.message || safeT('promotions.invalidCode', 'Invalid promotion code'));
+                    setAppliedCode('');
+                }
+            })
+            .finally(() => {
+                if (!cancelled) setIsQuoting(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, assignType, selectedMember?.id, selectedPlan?.id, appliedCode]);
+
+    const salePriceOf = (plan) => (
+        plan && promotionQuote && promotionQuote.planId === plan.id
+            ? Number(promotionQuote.total)
+            : Number(plan?.price || 0)
+    );
+
+    const handleApplyCode = () => {
+        const code = promotionCode.trim().toUpperCase();
+        setPromotionCode(code);
+        setAppliedCode(code);
+    };
+
     useEffect(() => {
         if (!selectedPlan) return;
-        const totalValue = Number(selectedPlan.price);
+        const totalValue = salePriceOf(selectedPlan);
         const amountValue = paymentMode === 'full'
             ? totalValue
             : (manualAmount === '' || manualAmount === null ? 0 : Number(manualAmount));
@@ -380,7 +437,7 @@ const AssignPlanModal = ({ isOpen, onClose, onSuccess, initialMember = null, isR
         setPaymentMode(mode);
         if (!selectedPlan) return;
         if (mode === 'full') {
-            setManualAmount(Number(selectedPlan.price));
+            setManualAmount(salePriceOf(selectedPlan));
         } else {
             setManualAmount('');
         }
@@ -394,7 +451,7 @@ const AssignPlanModal = ({ isOpen, onClose, onSuccess, initialMember = null, isR
         try {
             const resolvedMemberId = Number.parseInt(selectedMember.id ?? selectedMember.memberId, 10);
             const resolvedPlanId = Number.parseInt(selectedPlan.id ?? selectedPlan.planId, 10);
-            const planPrice = Number(selectedPlan.price);
+            const planPrice = salePriceOf(selectedPlan);
 
             if (!Number.isInteger(resolvedMemberId) || !Number.isInteger(resolvedPlanId)) {
                 toast.error(safeT('errors.invalidSelection', 'Invalid member or plan selection'));
@@ -457,8 +514,16 @@ const AssignPlanModal = ({ isOpen, onClose, onSuccess, initialMember = null, isR
                 transactionRef: cleanedTransactionRef,
                 paymentStatus: status,
                 paidAmount: finalAmount,
-                notes: notes || undefined
+                notes: notes || undefined,
+                promotionCode: appliedCode || undefined
             };
+            if (paymentMode === 'partial' && installmentCount) {
+                payload.installmentPlan = {
+                    count: Number(installmentCount),
+                    interval: installmentInterval,
+                    firstDueDate: installmentFirstDue || undefined
+                };
+            }
 
             const res = await apiClient.post('/subscriptions', payload);
             if (res.data.success) {
@@ -551,11 +616,11 @@ const AssignPlanModal = ({ isOpen, onClose, onSuccess, initialMember = null, isR
     };
 
     const isConfirmDisabled = () => {
-        if (isSubmitting) return true;
+        if (isSubmitting || isQuoting) return true;
         if (assignType === 'package') {
             return !selectedPackage;
         }
-        const totalValue = Number(selectedPlan?.price || 0);
+        const totalValue = salePriceOf(selectedPlan);
         const amountValue = paymentMode === 'full'
             ? totalValue
             : (manualAmount === '' || manualAmount === null ? 0 : Number(manualAmount));
@@ -568,7 +633,7 @@ const AssignPlanModal = ({ isOpen, onClose, onSuccess, initialMember = null, isR
         return false;
     };
 
-    const totalValue = Number(selectedPlan?.price || 0);
+    const totalValue = salePriceOf(selectedPlan);
     const amountValue = paymentMode === 'full'
         ? totalValue
         : (manualAmount === '' || manualAmount === null ? 0 : Number(manualAmount));
@@ -825,13 +890,54 @@ const AssignPlanModal = ({ isOpen, onClose, onSuccess, initialMember = null, isR
                     <span className="text-gray-500 text-sm">Member</span>
                     <span className="font-bold text-gray-900 dark:text-white">{selectedMember.firstName} {selectedMember.lastName}</span>
                 </div>
+                {promotionQuote?.discount > 0 && (
+                    <div className="flex justify-between items-center mb-2 text-sm">
+                        <span className="text-green-600 dark:text-green-400">
+                            {safeT('promotions.applied', 'Promotion')}: {promotionQuote.promotion?.code || promotionQuote.promotion?.name}
+                        </span>
+                        <span className="font-bold text-green-600 dark:text-green-400">-{promotionQuote.discount} EGP</span>
+                    </div>
+                )}
+                {promotionQuote?.tax > 0 && (
+                    <div className="flex justify-between items-center mb-2 text-sm">
+                        <span className="text-gray-500">{safeT('receipt.tax', 'Tax')} ({promotionQuote.taxRate}%)</span>
+                        <span className="font-bold text-gray-900 dark:text-white">{promotionQuote.tax} EGP</span>
+                    </div>
+                )}
                 <div className="my-2 border-t border-gray-200 dark:border-slate-700"></div>
                 <div className="flex justify-between items-center text-lg">
                     <span className="font-bold text-gray-900 dark:text-white">Total</span>
-                    <span className="font-bold text-blue-600">{selectedPlan.price} EGP</span>
+                    <span className="font-bold text-blue-600">
+                        {promotionQuote?.discount > 0 && (
+                            <span className="text-sm font-normal text-gray-400 line-through me-2">{selectedPlan.price}</span>
+                        )}
+                        {totalValue} EGP
+                    </span>
                 </div>
             </div>
 
+            {/* Promotion code */}
+            <div className="flex gap-2">
+                <input
+                    type="text"
+                    value={promotionCode}
+                    onChange={(e) => setPromotionCode(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleApplyCode();
+                    }}
+                    placeholder={safeT('promotions.codePlaceholder', 'Promotion code')}
+                    className="flex-1 rounded-xl border-gray-300 dark:border-slate-600 bg-white dark:bg-slate-800 py-2 px-4 text-sm uppercase text-gray-900 dark:text-white"
+                />
+                <button
+                    type="button"
+                    onClick={handleApplyCode}
+                    disabled={isQuoting || promotionCode.trim().toUpperCase() === appliedCode}
+                    className="px-4 rounded-xl border-2 border-gray-200 dark:border-slate-700 text-sm font-bold text-gray-600 dark:text-gray-300 disabled:opacity-50"
+                >
+                    {isQuoting ? <Loader2 size={16} className="animate-spin" /> : safeT('promotions.apply', 'Apply')}
+                </button>
+            </div>
+
             {/* Payment Inputs */}
             <div className="space-y-3">
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
@@ -874,6 +980,54 @@ const AssignPlanModal = ({ isOpen, onClose, onSuccess, initialMember = null, isR
                 </div>
             )}
 
+            {paymentMode === 'partial' && totalValue > 0 && (
+                <div className="space-y-3 rounded-xl border border-gray-200 dark:border-slate-700 p-3">
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                        {safeT('installments.plan', 'Installment plan')}
+                    </label>
+                    <div className="grid grid-cols-3 gap-2">
+                        <select
+                            value={installmentCount}
+                            onChange={(e) => setInstallmentCount(e.target.value)}
+                            className="rounded-xl border-gray-300 dark:border-slate-600 bg-white dark:bg-slate-800 py-2 px-3 text-sm text-gray-900 dark:text-white"
+                        >
+                            <option value="">{safeT('installments.none', 'No schedule')}</option>
+                            {[2, 3, 4, 5, 6, 8, 10, 12].map((count) => (
+                                <option key={count} value={count}>
+                                    {t('installments.countOption', { count, defaultValue: '{{count}} installments' })}
+                                </option>
+                            ))}
+                        </select>
+                        <select
+                            value={installmentInterval}
+                            onChange={(e) => setInstallmentInterval(e.target.value)}
+                            disabled={!installmentCount}
+                            className="rounded-xl border-gray-300 dark:border-slate-600 bg-white dark:bg-slate-800 py-2 px-3 text-sm text-gray-900 dark:text-white disabled:opacity-50"
+                        >
+                            <option value="monthly">{safeT('installments.monthly', 'Monthly')}</option>
+                            <option value="weekly">{safeT('installments.weekly', 'Weekly')}</option>
+                        </select>
+                        <input
+                            type="date"
+                            value={installmentFirstDue}
+                            onChange={(e) => setInstallmentFirstDue(e.target.value)}
+                            disabled={!installmentCount}
+                            title={safeT('installments.firstDueDate', 'First due date')}
+                            className="rounded-xl border-gray-300 dark:border-slate-600 bg-white dark:bg-slate-800 py-2 px-3 text-sm text-gray-900 dark:text-white disabled:opacity-50"
+                        />
+                    </div>
+                    {installmentCount && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {t('installments.planHint', {
+                                count: installmentCount,
+                                amount: (Math.floor((totalValue / Number(installmentCount)) * 100) / 100).toFixed(2),
+                                defaultValue: '{{count}} × {{amount}} EGP. The amount paid now goes to the oldest installment first.'
+                            })}
+                        </p>
+                    )}
+                </div>
+            )}
+
             <div className="grid grid-cols-3 gap-3">
                 {[
                     { id: 'cash', icon: Banknote, label: 'Cash' },
@@ -0,0 +1,51 @@
+import React, { useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { MapPin } from 'lucide-react';
+import { useBranchStore, useAuthStore } from '../store';
+import { useFeature, FEATURES } from './FeatureGate';
+
+/**
+ * Header dropdown to pick the working branch.
+ * Hidden until at least one branch exists.
+ */
+const BranchSelector = () => {
+    const { t } = useTranslation();
+    const { isEnabled } = useFeature(FEATURES.MULTI_BRANCH);
+    const { user } = useAuthStore();
+    const { branches, branchId, fetchBranches, setBranchId } = useBranchStore();
+
+    useEffect(() => {
+        if (isEnabled) {
+            fetchBranches();
+        }
+    }, [isEnabled, fetchBranches]);
+
+    if (!isEnabled || branches.length === 0) return null;
+
+    const handleChange = (e) => {
+        setBranchId(e.target.value || null);
+        // Every page loads its data for the selected branch on mount
+        window.location.reload();
+    };
+
+    return (
+        <div className="flex items-center gap-1 text-gray-500 dark:text-gray-300">
+            <MapPin size={16} />
+            <select
+                value={branchId || ''}
+                onChange={handleChange}
+                className="bg-transparent text-sm font-medium focus:outline-none cursor-pointer"
+                title={t('branches.workingBranch')}
+            >
+                {(user?.role === 'admin' || branches.length > 1) && (
+                    <option value="">{t('branches.allBranches')}</option>
+                )}
+                {branches.map((branch) => (
+                    <option key={branch.id} value={branch.id}>{branch.name}</option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+export default BranchSelector;
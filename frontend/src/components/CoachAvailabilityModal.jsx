@@ -0,0 +1,241 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { motion } from 'framer-motion';
+import { Plus, Trash2, Loader2, Save, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { formatDate } from '../utils/dateFormatter';
+
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const TIME_OFF_TYPES = ['vacation', 'sick', 'other'];
+const EMPTY_TIME_OFF = { start: '', end: '', type: 'vacation', reason: '' };
+
+const toDateInput = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// 1 March 2026 is a Sunday
+const weekdayName = (weekday, locale) => new Date(2026, 2, 1 + weekday).toLocaleDateString(locale, { weekday: 'long' });
+
+const CoachAvailabilityModal = ({ user, onClose }) => {
+    const { t, i18n } = useTranslation();
+    const [hours, setHours] = useState([]);
+    const [timeOff, setTimeOff] = useState([]);
+    const [timeOffForm, setTimeOffForm] = useState(EMPTY_TIME_OFF);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        loadAll();
+    }, [user.id]);
+
+    const loadAll = async () => {
+        setLoading(true);
+        try {
+            const [hoursRes, timeOffRes] = await Promise.all([
+                api.get(`/availability/coaches/${user.id}/hours`),
+                api.get(`/availability/coaches/${user.id}/time-off`, { params: { from: toDateInput(new Date()) } })
+            ]);
+            setHours((hoursRes.data.data || []).map(({ weekday, startTime, endTime, kind }) => ({ weekday, startTime, endTime, kind })));
+            setTimeOff(timeOffRes.data.data || []);
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('availability.loadFailed'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const addBlock = (weekday, kind) => {
+        const block = kind === 'break'
+            ? { weekday, startTime: '13:00', endTime: '14:00', kind }
+            : { weekday, startTime: '09:00', endTime: '17:00', kind };
+        setHours((prev) => [...prev, block]);
+    };
+
+    const updateBlock = (index, changes) => {
+        setHours((prev) => prev.map((block, i) => (i === index ? { ...block, ...changes } : block)));
+    };
+
+    const removeBlock = (index) => {
+        setHours((prev) => prev.filter((_, i) => i !== index));
+    };
+
+    const handleSaveHours = async () => {
+        setSaving(true);
+        try {
+            const res = await api.put(`/availability/coaches/${user.id}/hours`, { hours });
+            setHours((res.data.data || []).map(({ weekday, startTime, endTime, kind }) => ({ weekday, startTime, endTime, kind })));
+            toast.success(t('availability.hoursSaved'));
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('availability.saveFailed'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleAddTimeOff = async (e) => {
+        e.preventDefault();
+        try {
+            await api.post(`/availability/coaches/${user.id}/time-off`, {
+                ...timeOffForm,
+                end: timeOffForm.end || timeOffForm.start
+            });
+            toast.success(t('availability.timeOffSaved'));
+            setTimeOffForm(EMPTY_TIME_OFF);
+            loadAll();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('availability.saveFailed'));
+        }
+    };
+
+    const handleDeleteTimeOff = async (entry) => {
+        if (!window.confirm(t('availability.confirmDeleteTimeOff'))) return;
+        try {
+            await api.delete(`/availability/time-off/${entry.id}`);
+            setTimeOff((prev) => prev.filter((row) => row.id !== entry.id));
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('availability.saveFailed'));
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="modal-content p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto"
+                onClick={e => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between mb-4">
+                    <div>
+                        <h2 className="text-xl font-bold text-white">{t('availability.title')}</h2>
+                        <p className="text-sm text-dark-400">{user.firstName} {user.lastName}</p>
+                    </div>
+                    <button type="button" onClick={onClose} className="btn-icon">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {loading ? (
+                    <div className="flex justify-center py-10">
+                        <Loader2 className="w-8 h-8 animate-spin text-dark-400" />
+                    </div>
+                ) : (
+                    <div className="space-y-8">
+                        <section className="space-y-3">
+                            <div className="flex items-center justify-between">
+                                <h3 className="font-semibold text-white">{t('availability.weeklyHours')}</h3>
+                                <button type="button" onClick={handleSaveHours} disabled={saving} className="btn-primary">
+                                    {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                                    {t('common.save')}
+                                </button>
+                            </div>
+                            <p className="text-xs text-dark-400">{t('availability.weeklyHoursHint')}</p>
+                            {WEEKDAYS.map((weekday) => {
+                                const blocks = hours
+                                    .map((block, index) => ({ ...block, index }))
+                                    .filter((block) => block.weekday === weekday);
+                                return (
+                                    <div key={weekday} className="flex flex-col md:flex-row md:items-start gap-3 py-2 border-b border-dark-700">
+                                        <div className="w-32 font-medium text-dark-200 pt-2">{weekdayName(weekday, i18n.language)}</div>
+                                        <div className="flex-1 space-y-2">
+                                            {blocks.length === 0 && (
+                                                <p className="text-sm text-dark-500 pt-2">{t('availability.dayOff')}</p>
+                                            )}
+                                            {blocks.map((block) => (
+                                                <div key={block.index} className="flex items-center gap-2">
+                                                    <input
+                                                        type="time"
+                                                        className="input w-32"
+                                                        value={block.startTime}
+                                                        onChange={(e) => updateBlock(block.index, { startTime: e.target.value })}
+                                                    />
+                                                    <span className="text-dark-400">–</span>
+                                                    <input
+                                                        type="time"
+                                                        className="input w-32"
+                                                        value={block.endTime}
+                                                        onChange={(e) => updateBlock(block.index, { endTime: e.target.value })}
+                                                    />
+                                                    <span className={`badge ${block.kind === 'break' ? 'badge-warning' : 'badge-success'}`}>
+                                                        {t(`availability.kinds.${block.kind}`)}
+                                                    </span>
+                                                    <button type="button" onClick={() => removeBlock(block.index)} className="btn-icon text-red-500/70 hover:text-red-500">
+                                                        <Trash2 className="w-4 h-4" />
+                                                    </button>
+                                                </div>
+                                            ))}
+                                        </div>
+                                        <div className="flex gap-2">
+                                            <button type="button" onClick={() => addBlock(weekday, 'work')} className="btn-secondary text-xs">
+                                                <Plus className="w-3 h-3" />
+                                                {t('availability.addHours')}
+                                            </button>
+                                            {blocks.some((block) => block.kind === 'work') && (
+                                                <button type="button" onClick={() => addBlock(weekday, 'break')} className="btn-secondary text-xs">
+                                                    <Plus className="w-3 h-3" />
+                                                    {t('availability.addBreak')}
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </section>
+
+                        <section className="space-y-3">
+                            <h3 className="font-semibold text-white">{t('availability.timeOff')}</h3>
+                            <form onSubmit={handleAddTimeOff} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+                                <div>
+                                    <label className="label">{t('availability.firstDay')}</label>
+                                    <input type="date" className="input w-full" required value={timeOffForm.start} onChange={(e) => setTimeOffForm({ ...timeOffForm, start: e.target.value })} />
+                                </div>
+                                <div>
+                                    <label className="label">{t('availability.lastDay')}</label>
+                                    <input type="date" className="input w-full" min={timeOffForm.start} value={timeOffForm.end} onChange={(e) => setTimeOffForm({ ...timeOffForm, end: e.target.value })} />
+                                </div>
+                                <div>
+                                    <label className="label">{t('availability.type')}</label>
+                                    <select className="input w-full" value={timeOffForm.type} onChange={(e) => setTimeOffForm({ ...timeOffForm, type: e.target.value })}>
+                                        {TIME_OFF_TYPES.map((type) => (
+                                            <option key={type} value={type}>{t(`availability.types.${type}`)}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="label">{t('availability.reason')}</label>
+                                    <input className="input w-full" value={timeOffForm.reason} onChange={(e) => setTimeOffForm({ ...timeOffForm, reason: e.target.value })} />
+                                </div>
+                                <button type="submit" className="btn-primary">
+                                    <Plus className="w-4 h-4" />
+                                    {t('availability.addTimeOff')}
+                                </button>
+                            </form>
+                            {timeOff.length === 0 ? (
+                                <p className="text-sm text-dark-400">{t('availability.noTimeOff')}</p>
+                            ) : (
+                                <div className="space-y-2">
+                                    {timeOff.map((entry) => (
+                                        <div key={entry.id} className="flex items-center justify-between p-3 rounded-lg bg-dark-800">
+                                            <div>
+                                                <p className="text-sm text-white">
+                                                    {formatDate(entry.start, i18n.language)} – {formatDate(entry.end, i18n.language)}
+                                                </p>
+                                                <p className="text-xs text-dark-400">
+                                                    {t(`availability.types.${entry.type}`)}{entry.reason ? ` · ${entry.reason}` : ''}
+                                                </p>
+                                            </div>
+                                            <button type="button" onClick={() => handleDeleteTimeOff(entry)} className="btn-icon text-red-500/70 hover:text-red-500">
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </section>
+                    </div>
+                )}
+            </motion.div>
+        </div>
+    );
+};
+
+export default CoachAvailabilityModal;
@@ -0,0 +1,57 @@
+import React, { useRef, useState } from 'react';
+import Webcam from 'react-webcam';
+import { useTranslation } from 'react-i18next';
+import { Camera, Loader2, VideoOff } from 'lucide-react';
+
+const VIDEO_CONSTRAINTS = { width: 640, height: 480, facingMode: 'user' };
+
+// Webcam preview with a capture button; frames are PNG data URLs as the face endpoints expect
+const FaceCapture = ({ onCapture, busy = false, captureLabel, className = '' }) => {
+    const { t } = useTranslation();
+    const webcamRef = useRef(null);
+    const [ready, setReady] = useState(false);
+    const [cameraError, setCameraError] = useState(false);
+
+    const handleCapture = () => {
+        const image = webcamRef.current?.getScreenshot();
+        if (image) onCapture(image);
+    };
+
+    if (cameraError) {
+        return (
+            <div className={`flex flex-col items-center justify-center gap-2 rounded-2xl bg-slate-900 p-6 text-center text-slate-300 ${className}`}>
+                <VideoOff size={28} className="text-slate-500" />
+                <p className="text-sm">{t('face.cameraUnavailable', 'Camera not available. Allow camera access in the browser and try again.')}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className={`space-y-3 ${className}`}>
+            <div className="relative overflow-hidden rounded-2xl bg-black aspect-[4/3]">
+                <Webcam
+                    ref={webcamRef}
+                    audio={false}
+                    mirrored
+                    screenshotFormat="image/png"
+                    videoConstraints={VIDEO_CONSTRAINTS}
+                    onUserMedia={() => setReady(true)}
+                    onUserMediaError={() => setCameraError(true)}
+                    className="h-full w-full object-cover"
+                />
+                <div className="pointer-events-none absolute inset-[15%] rounded-[45%] border-2 border-dashed border-white/40" />
+            </div>
+            <button
+                type="button"
+                onClick={handleCapture}
+                disabled={!ready || busy}
+                className="w-full flex items-center justify-center gap-2 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-xl font-bold disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                {busy ? <Loader2 size={18} className="animate-spin" /> : <Camera size={18} />}
+                {captureLabel || t('face.capture', 'Capture')}
+            </button>
+        </div>
+    );
+};
+
+export default FaceCapture;
@@ -0,0 +1,284 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { KeyRound, Loader2, Plus, RefreshCw, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useSettingsStore } from '../store';
+import { usePermissions } from '../hooks/usePermissions';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatDate } from '../utils/dateFormatter';
+import { formatCurrency } from '../utils/numberFormatter';
+
+const CREDENTIAL_TYPES = ['rfid_card', 'nfc_tag', 'key_fob', 'wristband'];
+const REVOKE_REASONS = ['lost', 'damaged', 'returned'];
+
+const TYPE_LABELS = {
+    rfid_card: 'RFID card',
+    nfc_tag: 'NFC tag',
+    key_fob: 'Key fob',
+    wristband: 'Wristband'
+};
+
+const REASON_LABELS = {
+    lost: 'Lost',
+    damaged: 'Damaged',
+    returned: 'Returned',
+    replaced: 'Replaced'
+};
+
+// The UID field also takes input from a keyboard-wedge reader (types the UID, then Enter)
+const MemberCredentials = ({ memberId }) => {
+    const { t, i18n } = useTranslation();
+    const { getSetting } = useSettingsStore();
+    const { can } = usePermissions();
+    const canManage = can(PERMISSIONS.MEMBERS_CREDENTIALS);
+    const uidInputRef = useRef(null);
+
+    const [credentials, setCredentials] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [form, setForm] = useState(null);
+
+    const currencyConf = useMemo(() => ({
+        code: getSetting('currency_code', 'EGP'),
+        symbol: getSetting('currency_symbol', 'EGP')
+    }), [getSetting]);
+    const money = (value) => formatCurrency(value || 0, i18n.language, currencyConf);
+    const typeLabel = (type) => t(`members.credentials.types.${type}`, TYPE_LABELS[type] || type);
+    const reasonLabel = (reason) => t(`members.credentials.reasons.${reason}`, REASON_LABELS[reason] || reason);
+
+    const fetchCredentials = async () => {
+        try {
+            const response = await api.get('/credentials', { params: { memberId } });
+            setCredentials(response.data.data || []);
+        } catch (error) {
+            toast.error(t('members.credentials.loadFailed', 'Failed to load member cards'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchCredentials();
+    }, [memberId]);
+
+    useEffect(() => {
+        if (form) uidInputRef.current?.focus();
+    }, [form?.replacesId]);
+
+    const openIssue = (replaced = null) => {
+        setForm({
+            uid: '',
+            type: replaced?.type || 'rfid_card',
+            replacesId: replaced?.id || null,
+            replacesUid: replaced?.uid || '',
+            replacementFee: replaced ? Number(getSetting('credential_replacement_fee', 0)) || 0 : 0,
+            paymentMethod: 'cash',
+            notes: ''
+        });
+    };
+
+    const handleIssue = async (event) => {
+        event.preventDefault();
+        if (!form.uid.trim()) return;
+        setSaving(true);
+        try {
+            const payload = {
+                memberId,
+                uid: form.uid,
+                type: form.type,
+                notes: form.notes || undefined
+            };
+            if (form.replacesId) {
+                payload.replacesId = form.replacesId;
+                payload.replacementFee = form.replacementFee;
+                payload.paymentMethod = form.paymentMethod;
+            }
+            await api.post('/credentials', payload);
+            toast.success(form.replacesId
+                ? t('members.credentials.replaced', 'Card replaced')
+                : t('members.credentials.issued', 'Card issued'));
+            setForm(null);
+            fetchCredentials();
+        } catch (error) {
+            const code = error.response?.data?.code;
+            const messages = {
+                CREDENTIAL_EXISTS: t('members.credentials.exists', 'This card is already registered'),
+                INVALID_UID: t('members.credentials.invalidUid', 'Card UID must be 4-32 letters or digits'),
+                SHIFT_REQUIRED: t('members.credentials.shiftRequired', 'Open a shift to collect the replacement fee')
+            };
+            toast.error(messages[code] || error.response?.data?.message || t('members.credentials.issueFailed', 'Failed to issue card'));
+            uidInputRef.current?.select();
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRevoke = async (credential, reason) => {
+        if (!reason) return;
+        if (!window.confirm(t('members.credentials.revokeConfirm', 'Revoke card {{uid}}? It will no longer open doors or check the member in.', { uid: credential.uid }))) return;
+        try {
+            await api.post(`/credentials/${credential.id}/revoke`, { reason });
+            toast.success(t('members.credentials.revoked', 'Card revoked'));
+            fetchCredentials();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('members.credentials.revokeFailed', 'Failed to revoke card'));
+        }
+    };
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+                    <KeyRound className="w-5 h-5 text-primary-400" />
+                    {t('members.credentials.title', 'Cards & Key Fobs')}
+                </h3>
+                {canManage && !form && (
+                    <button type="button" onClick={() => openIssue()} className="btn-secondary text-sm">
+                        <Plus className="w-4 h-4" />
+                        {t('members.credentials.issue', 'Issue card')}
+                    </button>
+                )}
+            </div>
+
+            {form && (
+                <form onSubmit={handleIssue} className="bg-dark-900/50 rounded-xl p-4 mb-4 space-y-3">
+                    {form.replacesId && (
+                        <p className="text-sm text-amber-400">
+                            {t('members.credentials.replacing', 'Replacing card {{uid}}', { uid: form.replacesUid })}
+                        </p>
+                    )}
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <div>
+                            <label className="label">{t('members.credentials.uid', 'Card UID')}</label>
+                            <input
+                                ref={uidInputRef}
+                                type="text"
+                                className="input font-mono"
+                                value={form.uid}
+                                autoComplete="off"
+                                placeholder={t('members.credentials.scanHint', 'Scan the card or type its UID')}
+                                onChange={(e) => setForm(prev => ({ ...prev, uid: e.target.value }))}
+                            />
+                        </div>
+                        <div>
+                            <label className="label">{t('members.credentials.type', 'Type')}</label>
+                            <select
+                                className="input"
+                                value={form.type}
+                                onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+                            >
+                                {CREDENTIAL_TYPES.map((type) => (
+                                    <option key={type} value={type}>{typeLabel(type)}</option>
+                                ))}
+                            </select>
+                        </div>
+                        {form.replacesId && (
+                            <>
+                                <div>
+                                    <label className="label">{t('members.credentials.replacementFee', 'Replacement fee')}</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        className="input"
+                                        value={form.replacementFee}
+                                        onChange={(e) => setForm(prev => ({ ...prev, replacementFee: Math.max(0, parseFloat(e.target.value) || 0) }))}
+                                    />
+                                </div>
+                                <div>
+                                    <label className="label">{t('members.credentials.paymentMethod', 'Payment method')}</label>
+                                    <select
+                                        className="input"
+                                        value={form.paymentMethod}
+                                        disabled={!form.replacementFee}
+                                        onChange={(e) => setForm(prev => ({ ...prev, paymentMethod: e.target.value }))}
+                                    >
+                                        <option value="cash">{t('payments.cash', 'Cash')}</option>
+                                        <option value="card">{t('payments.card', 'Card')}</option>
+                                        <option value="transfer">{t('payments.transfer', 'Transfer')}</option>
+                                    </select>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                    <input
+                        type="text"
+                        className="input"
+                        value={form.notes}
+                        placeholder={t('members.credentials.notes', 'Notes (optional)')}
+                        onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+                    />
+                    <div className="flex justify-end gap-2">
+                        <button type="button" onClick={() => setForm(null)} className="btn-secondary text-sm">
+                            <X className="w-4 h-4" />
+                            {t('common.cancel')}
+                        </button>
+                        <button type="submit" disabled={saving || !form.uid.trim()} className="btn-primary text-sm">
+                            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <KeyRound className="w-4 h-4" />}
+                            {form.replacesId
+                                ? t('members.credentials.replace', 'Replace card')
+                                : t('members.credentials.issue', 'Issue card')}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {loading ? (
+                <div className="flex justify-center py-4">
+                    <Loader2 className="w-5 h-5 animate-spin text-dark-400" />
+                </div>
+            ) : credentials.length === 0 ? (
+                <p className="text-dark-500 text-center py-4">{t('members.credentials.empty', 'No cards issued')}</p>
+            ) : (
+                <div className="space-y-2">
+                    {credentials.map((credential) => (
+                        <div
+                            key={credential.id}
+                            className={`flex flex-wrap items-center justify-between gap-3 p-3 bg-dark-900/50 rounded-lg ${credential.status === 'revoked' ? 'opacity-60' : ''}`}
+                        >
+                            <div>
+                                <p className="text-sm text-white font-mono">{credential.uid}</p>
+                                <p className="text-xs text-dark-400">
+                                    {typeLabel(credential.type)} · {t('members.credentials.issuedOn', 'Issued {{date}}', { date: formatDate(credential.issuedAt, i18n.language) })}
+                                    {credential.replacementFee ? ` · ${t('members.credentials.feePaid', 'Fee {{amount}}', { amount: money(credential.replacementFee) })}` : ''}
+                                </p>
+                                {credential.status === 'revoked' && (
+                                    <p className="text-xs text-red-400">
+                                        {t('members.credentials.revokedOn', 'Revoked {{date}} ({{reason}})', {
+                                            date: formatDate(credential.revokedAt, i18n.language),
+                                            reason: reasonLabel(credential.revokedReason)
+                                        })}
+                                    </p>
+                                )}
+                            </div>
+                            {credential.status === 'active' ? (
+                                canManage && (
+                                    <div className="flex items-center gap-2">
+                                        <button type="button" onClick={() => openIssue(credential)} className="btn-secondary text-xs">
+                                            <RefreshCw className="w-3 h-3" />
+                                            {t('members.credentials.replace', 'Replace card')}
+                                        </button>
+                                        <select
+                                            className="input text-xs py-1"
+                                            value=""
+                                            onChange={(e) => handleRevoke(credential, e.target.value)}
+                                        >
+                                            <option value="">{t('members.credentials.revoke', 'Revoke…')}</option>
+                                            {REVOKE_REASONS.map((reason) => (
+                                                <option key={reason} value={reason}>{reasonLabel(reason)}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )
+                            ) : (
+                                <span className="badge badge-neutral">{t('members.credentials.statusRevoked', 'Revoked')}</span>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MemberCredentials;
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { ScanFace, Loader2, Trash2, X, Check } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { usePermissions } from '../hooks/usePermissions';
+import { PERMISSIONS } from '../utils/permissions';
+import FaceCapture from './FaceCapture';
+
+const SHOTS_WANTED = 3;
+
+const FACE_ERRORS = {
+    NO_FACE: ['face.noFace', 'No face found. Look straight at the camera in good light.'],
+    MULTIPLE_FACES: ['face.multipleFaces', 'More than one face in the picture. Only the member should be in front of the camera.'],
+    FACE_MODELS_MISSING: ['face.modelsMissing', 'Face recognition models are not installed on the server.']
+};
+
+const MemberFaceEnrollment = ({ memberId, hasFace, onChange }) => {
+    const { t } = useTranslation();
+    const { can } = usePermissions();
+    const canEdit = can(PERMISSIONS.MEMBERS_EDIT);
+
+    const [capturing, setCapturing] = useState(false);
+    const [shots, setShots] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    const errorMessage = (error, fallback) => {
+        const known = FACE_ERRORS[error.response?.data?.code];
+        return known ? t(known[0], known[1]) : (error.response?.data?.message || fallback);
+    };
+
+    const closeCapture = () => {
+        setCapturing(false);
+        setShots([]);
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const res = await api.post(`/members/${memberId}/face`, { images: shots });
+            toast.success(t('face.enrolled', 'Face enrolled ({{count}} pictures)', { count: res.data?.data?.samples || shots.length }));
+            closeCapture();
+            onChange?.(true);
+        } catch (error) {
+            toast.error(errorMessage(error, t('face.enrollFailed', 'Failed to enroll face')));
+            setShots([]);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRemove = async () => {
+        if (!window.confirm(t('face.removeConfirm', 'Remove this member\'s face? They will no longer be recognised at check-in.'))) return;
+        try {
+            await api.delete(`/members/${memberId}/face`);
+            toast.success(t('face.removed', 'Face enrollment removed'));
+            onChange?.(false);
+        } catch (error) {
+            toast.error(errorMessage(error, t('face.removeFailed', 'Failed to remove face enrollment')));
+        }
+    };
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+                    <ScanFace className="w-5 h-5 text-primary-400" />
+                    {t('face.title', 'Face Recognition')}
+                </h3>
+                <span className={`badge ${hasFace ? 'badge-success' : 'badge-neutral'}`}>
+                    {hasFace ? t('face.statusEnrolled', 'Enrolled') : t('face.statusNotEnrolled', 'Not enrolled')}
+                </span>
+            </div>
+
+            {capturing ? (
+                <div className="space-y-3">
+                    <p className="text-sm text-dark-400">
+                        {t('face.enrollHint', 'Take {{count}} pictures, turning the head slightly between them.', { count: SHOTS_WANTED })}
+                    </p>
+                    {shots.length < SHOTS_WANTED && (
+                        <FaceCapture
+                            onCapture={(image) => setShots((prev) => [...prev, image])}
+                            busy={saving}
+                            captureLabel={t('face.captureShot', 'Take picture {{current}} of {{total}}', { current: shots.length + 1, total: SHOTS_WANTED })}
+                        />
+                    )}
+                    {shots.length > 0 && (
+                        <div className="flex gap-2">
+                            {shots.map((shot, index) => (
+                                <img key={index} src={shot} alt="" className="w-16 h-12 object-cover rounded-lg" />
+                            ))}
+                        </div>
+                    )}
+                    <div className="flex justify-end gap-2">
+                        <button type="button" onClick={closeCapture} className="btn-secondary text-sm">
+                            <X className="w-4 h-4" />
+                            {t('common.cancel')}
+                        </button>
+                        <button type="button" onClick={handleSave} disabled={saving || shots.length === 0} className="btn-primary text-sm">
+                            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+                            {t('face.save', 'Save face')}
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <>
+                    <p className="text-sm text-dark-400 mb-4">
+                        {hasFace
+                            ? t('face.enrolledHint', 'The member can check in by looking at the camera on the check-in page.')
+                            : t('face.notEnrolledHint', 'Enroll the member\'s face to let them check in with the camera.')}
+                    </p>
+                    {canEdit && (
+                        <div className="flex gap-2">
+                            <button type="button" onClick={() => setCapturing(true)} className="btn-secondary text-sm">
+                                <ScanFace className="w-4 h-4" />
+                                {hasFace ? t('face.reenroll', 'Enroll again') : t('face.enroll', 'Enroll face')}
+                            </button>
+                            {hasFace && (
+                                <button type="button" onClick={handleRemove} className="btn-secondary text-sm text-red-400">
+                                    <Trash2 className="w-4 h-4" />
+                                    {t('face.remove', 'Remove')}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default MemberFaceEnrollment;
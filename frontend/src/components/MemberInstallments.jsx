@@ -0,0 +1,112 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { CalendarClock } from 'lucide-react';
+import api from '../utils/api';
+import { useSettingsStore } from '../store';
+import { formatDate } from '../utils/dateFormatter';
+import { formatCurrency } from '../utils/numberFormatter';
+
+const STATUS_STYLES = {
+    paid: 'bg-green-500/20 text-green-400',
+    partial: 'bg-orange-500/20 text-orange-400',
+    pending: 'bg-slate-500/20 text-slate-300',
+    overdue: 'bg-red-500/20 text-red-400'
+};
+
+const STATUS_LABELS = {
+    paid: 'Paid',
+    partial: 'Partly paid',
+    pending: 'Pending',
+    overdue: 'Overdue'
+};
+
+const MemberInstallments = ({ memberId }) => {
+    const { t, i18n } = useTranslation();
+    const { getSetting } = useSettingsStore();
+    const [installments, setInstallments] = useState([]);
+
+    const currencyConf = useMemo(() => ({
+        code: getSetting('currency_code', 'EGP'),
+        symbol: getSetting('currency_symbol', 'EGP')
+    }), [getSetting]);
+    const money = (value) => formatCurrency(value || 0, i18n.language, currencyConf);
+
+    useEffect(() => {
+        let cancelled = false;
+        api.get(`/members/${memberId}/installments`)
+            .then((response) => {
+                if (!cancelled) setInstallments(response.data.data || []);
+            })
+            .catch((error) => console.error('Failed to load installments', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [memberId]);
+
+    const schedules = useMemo(() => {
+        const bySubscription = new Map();
+        installments.forEach((installment) => {
+            if (!bySubscription.has(installment.subscriptionId)) {
+                bySubscription.set(installment.subscriptionId, { subscription: installment.subscription, rows: [] });
+            }
+            bySubscription.get(installment.subscriptionId).rows.push(installment);
+        });
+        return [...bySubscription.values()];
+    }, [installments]);
+
+    if (schedules.length === 0) return null;
+
+    return (
+        <div className="mt-8 pt-6 border-t border-dark-700">
+            <h3 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+                <CalendarClock className="w-5 h-5 text-primary-400" />
+                {t('installments.title', 'Installments')}
+            </h3>
+            <div className="space-y-4">
+                {schedules.map(({ subscription, rows }) => (
+                    <div key={subscription?.id} className="bg-dark-900/40 border border-dark-800 rounded-xl overflow-hidden">
+                        <div className="px-4 py-2 text-sm text-dark-300 border-b border-dark-800 flex justify-between">
+                            <span className="font-semibold text-white">{subscription?.plan?.name}</span>
+                            {subscription?.status === 'cancelled' && (
+                                <span className="badge badge-error">{t('subscriptions.cancelled', 'Cancelled')}</span>
+                            )}
+                        </div>
+                        <table className="w-full text-sm">
+                            <thead className="text-xs text-dark-400">
+                                <tr>
+                                    <th className="px-4 py-2 text-start">#</th>
+                                    <th className="px-4 py-2 text-start">{t('installments.dueDate', 'Due date')}</th>
+                                    <th className="px-4 py-2 text-start">{t('installments.amount', 'Amount')}</th>
+                                    <th className="px-4 py-2 text-start">{t('installments.paid', 'Paid')}</th>
+                                    <th className="px-4 py-2 text-start">{t('installments.status', 'Status')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-dark-800">
+                                {rows.map((row) => (
+                                    <tr key={row.id}>
+                                        <td className="px-4 py-2 text-dark-400 font-mono">{row.sequence}</td>
+                                        <td className="px-4 py-2 text-dark-200">{formatDate(row.dueDate, i18n.language)}</td>
+                                        <td className="px-4 py-2 text-white font-mono">{money(row.amount)}</td>
+                                        <td className="px-4 py-2 text-dark-300 font-mono">{money(row.paidAmount)}</td>
+                                        <td className="px-4 py-2">
+                                            <span className={`text-[10px] px-1.5 py-0.5 rounded font-bold ${STATUS_STYLES[row.status] || STATUS_STYLES.pending}`}>
+                                                {t(`installments.statuses.${row.status}`, STATUS_LABELS[row.status] || row.status)}
+                                            </span>
+                                            {row.isOverdue && (
+                                                <span className="text-xs text-red-400 ms-2">
+                                                    {t('installments.daysOverdue', { count: row.daysOverdue, defaultValue: '{{count}} days late' })}
+                                                </span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default MemberInstallments;
@@ -0,0 +1,190 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Link } from 'react-router-dom';
+import { Loader2, Pencil, Users, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useSettingsStore } from '../store';
+import { usePermissions } from '../hooks/usePermissions';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatCurrency } from '../utils/numberFormatter';
+
+const memberName = (member) => `${member.firstName} ${member.lastName}`;
+
+const MemberReferrals = ({ memberId }) => {
+    const { t, i18n } = useTranslation();
+    const { getSetting } = useSettingsStore();
+    const { can } = usePermissions();
+    const canEdit = can(PERMISSIONS.MEMBERS_EDIT);
+
+    const [data, setData] = useState(null);
+    const [form, setForm] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const currencyConf = useMemo(() => ({
+        code: getSetting('currency_code', 'EGP'),
+        symbol: getSetting('currency_symbol', 'EGP')
+    }), [getSetting]);
+    const money = (value) => formatCurrency(value || 0, i18n.language, currencyConf);
+
+    const fetchReferrals = async () => {
+        try {
+            const response = await api.get(`/members/${memberId}/referrals`);
+            setData(response.data.data);
+        } catch (error) {
+            console.error('Failed to load referrals', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchReferrals();
+    }, [memberId]);
+
+    const openForm = () => {
+        setForm({
+            referredBy: data?.referredBy?.memberId || '',
+            familyOf: data?.familyHead?.memberId || ''
+        });
+    };
+
+    const handleSave = async (event) => {
+        event.preventDefault();
+        setSaving(true);
+        try {
+            await api.put(`/members/${memberId}/links`, {
+                referredBy: form.referredBy.trim() || null,
+                familyOf: form.familyOf.trim() || null
+            });
+            toast.success(t('promotions.linksSaved', 'Referral and family saved'));
+            setForm(null);
+            fetchReferrals();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('promotions.linksFailed', 'Failed to save referral and family'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!data) return null;
+
+    const family = data.familyHead ? [data.familyHead, ...data.familyMembers] : data.familyMembers;
+
+    return (
+        <div className="mt-8 pt-6 border-t border-dark-700">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+                    <Users className="w-5 h-5 text-primary-400" />
+                    {t('promotions.referralsTitle', 'Referrals & Family')}
+                </h3>
+                {canEdit && !form && (
+                    <button type="button" onClick={openForm} className="btn-secondary text-sm">
+                        <Pencil className="w-4 h-4" />
+                        {t('common.edit', 'Edit')}
+                    </button>
+                )}
+            </div>
+
+            {form && (
+                <form onSubmit={handleSave} className="bg-dark-900/50 rounded-xl p-4 mb-4 space-y-3">
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <div>
+                            <label className="label">{t('promotions.referredBy', 'Referred by')}</label>
+                            <input
+                                type="text"
+                                className="input font-mono"
+                                value={form.referredBy}
+                                placeholder="GYM-0001"
+                                disabled={Boolean(data.referralRewardedAt)}
+                                onChange={(e) => setForm(prev => ({ ...prev, referredBy: e.target.value }))}
+                            />
+                        </div>
+                        <div>
+                            <label className="label">{t('promotions.familyOf', 'Family of')}</label>
+                            <input
+                                type="text"
+                                className="input font-mono"
+                                value={form.familyOf}
+                                placeholder="GYM-0001"
+                                disabled={data.isFamilyHead}
+                                onChange={(e) => setForm(prev => ({ ...prev, familyOf: e.target.value }))}
+                            />
+                        </div>
+                    </div>
+                    <p className="text-xs text-dark-400">
+                        {t('promotions.linksHint', 'Enter member codes. Leave a field empty to remove the link.')}
+                    </p>
+                    <div className="flex justify-end gap-2">
+                        <button type="button" onClick={() => setForm(null)} className="btn-secondary text-sm">
+                            <X className="w-4 h-4" />
+                            {t('common.cancel')}
+                        </button>
+                        <button type="submit" disabled={saving} className="btn-primary text-sm">
+                            {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                            {t('common.save', 'Save')}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                <div className="bg-dark-900/40 border border-dark-800 rounded-xl p-4 space-y-2">
+                    <p className="text-dark-400">
+                        {t('promotions.referredBy', 'Referred by')}:{' '}
+                        {data.referredBy ? (
+                            <Link to={`/members/${data.referredBy.id}`} className="text-white hover:text-primary-400">
+                                {memberName(data.referredBy)}
+                            </Link>
+                        ) : <span className="text-dark-500">—</span>}
+                    </p>
+                    <p className="text-dark-400">
+                        {t('promotions.referralsCount', 'Members referred')}: <span className="text-white font-mono">{data.referrals.length}</span>
+                    </p>
+                    <p className="text-dark-400">
+                        {t('promotions.referralCredit', 'Referral credit earned')}: <span className="text-white font-mono">{money(data.referralCredit)}</span>
+                    </p>
+                    <p className="text-dark-400">
+                        {t('promotions.creditBalance', 'Credit balance')}: <span className="text-green-400 font-mono">{money(data.creditBalance)}</span>
+                    </p>
+                    {data.referrals.length > 0 && (
+                        <ul className="pt-2 space-y-1">
+                            {data.referrals.map((referral) => (
+                                <li key={referral.id} className="flex justify-between">
+                                    <Link to={`/members/${referral.id}`} className="text-dark-200 hover:text-primary-400">
+                                        {memberName(referral)}
+                                    </Link>
+                                    <span className={`text-xs ${referral.referralRewardedAt ? 'text-green-400' : 'text-dark-500'}`}>
+                                        {referral.referralRewardedAt
+                                            ? t('promotions.rewarded', 'Rewarded')
+                                            : t('promotions.notRewarded', 'No subscription yet')}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="bg-dark-900/40 border border-dark-800 rounded-xl p-4">
+                    <p className="text-dark-400 mb-2">{t('promotions.family', 'Family group')}</p>
+                    {family.length === 0 ? (
+                        <p className="text-dark-500">{t('promotions.noFamily', 'Not part of a family group')}</p>
+                    ) : (
+                        <ul className="space-y-1">
+                            {family.map((relative) => (
+                                <li key={relative.id} className="flex justify-between">
+                                    <Link to={`/members/${relative.id}`} className="text-dark-200 hover:text-primary-400">
+                                        {memberName(relative)}
+                                    </Link>
+                                    {relative.id === data.familyHead?.id && (
+                                        <span className="text-xs text-primary-400">{t('promotions.familyHead', 'Head')}</span>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MemberReferrals;
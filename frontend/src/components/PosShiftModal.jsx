@@ -308,11 +308,11 @@ const PosShiftModal = ({ isOpen, onClose, onSuccess, onLogoutOnly }) => {
                                     <div className="grid grid-cols-2 gap-3 mt-2">
                                         <div className="bg-blue-50 dark:bg-blue-900/20 p-2 rounded text-center">
                                             <div className="text-xs text-blue-600 dark:text-blue-400 mb-1 flex items-center justify-center gap-1"><CreditCard className="w-3 h-3" /> Card</div>
-                                            <div className="font-mono font-bold text-gray-800 dark:text-gray-200">${shiftSummary?.cardSales?.toFixed(2)}</div>
+                                            <div className="font-mono font-bold text-gray-800 dark:text-gray-200">${(shiftSummary?.byMethod?.card?.net || 0).toFixed(2)}</div>
                                         </div>
                                         <div className="bg-purple-50 dark:bg-purple-900/20 p-2 rounded text-center">
                                             <div className="text-xs text-purple-600 dark:text-purple-400 mb-1 flex items-center justify-center gap-1"><ArrowRightLeft className="w-3 h-3" /> Transfer</div>
-                                            <div className="font-mono font-bold text-gray-800 dark:text-gray-200">${shiftSummary?.transferSales?.toFixed(2)}</div>
+                                            <div className="font-mono font-bold text-gray-800 dark:text-gray-200">${(shiftSummary?.byMethod?.transfer?.net || 0).toFixed(2)}</div>
                                         </div>
                                     </div>
                                 </div>
@@ -36,6 +36,8 @@ const SubscriptionsList = ({ subscriptions, onRenew, onRefresh }) => {
     const getStatusConfig = (sub) => {
         if (sub.isPaused) return { label: 'Paused', color: 'bg-blue-50 text-blue-600 border-blue-100 dark:bg-blue-900/30 dark:text-blue-400' };
         if (sub.status === 'active') return { label: 'Active', color: 'bg-emerald-50 text-emerald-600 border-emerald-100 dark:bg-emerald-900/30 dark:text-emerald-400' };
+        if (sub.status === 'scheduled') return { label: t('subscriptions.scheduled', 'Scheduled'), color: 'bg-indigo-50 text-indigo-600 border-indigo-100 dark:bg-indigo-900/30 dark:text-indigo-400' };
+        if (sub.status === 'grace') return { label: t('subscriptions.grace', 'Grace period'), color: 'bg-amber-50 text-amber-600 border-amber-100 dark:bg-amber-900/30 dark:text-amber-400' };
         if (sub.status === 'expired') return { label: 'Expired', color: 'bg-rose-50 text-rose-600 border-rose-100 dark:bg-rose-900/30 dark:text-rose-400' };
         if (sub.status === 'cancelled') return { label: 'Cancelled', color: 'bg-slate-50 text-slate-600 border-slate-100 dark:bg-slate-800 dark:text-slate-400' };
         return { label: sub.status, color: 'bg-gray-50 text-gray-600 border-gray-100 dark:bg-gray-800' };
@@ -4,7 +4,7 @@ import apiClient from '../../utils/api';
 import toast from 'react-hot-toast';
 import {
     X, Search, Check, CreditCard, User, Banknote, Camera,
-    Smartphone, ScanLine, Clock, ChevronRight, UserCircle, Printer, Eye, RotateCcw, CheckCircle
+    Smartphone, ScanLine, Clock, ChevronRight, UserCircle, Printer, Eye, RotateCcw, CheckCircle, Split
 } from 'lucide-react';
 import { AnimatePresence, motion } from 'framer-motion';
 import { useSettingsStore } from '../../store';
@@ -52,6 +52,7 @@ const AddPaymentDialog = ({ open, onClose, onSuccess, initialMember, initialSubs
     const [payNowAmount, setPayNowAmount] = useState('');
     const [method, setMethod] = useState('cash');
     const [transactionRef, setTransactionRef] = useState('');
+    const [cashTender, setCashTender] = useState('');
     const [receiptData, setReceiptData] = useState(null);
     const [receiptStatus, setReceiptStatus] = useState('idle');
     const [receiptMessage, setReceiptMessage] = useState('');
@@ -154,6 +155,7 @@ const AddPaymentDialog = ({ open, onClose, onSuccess, initialMember, initialSubs
         setPayNowAmount('');
         setMethod('cash');
         setTransactionRef('');
+        setCashTender('');
         setLoading(false);
         setShowCamera(false);
         setReceiptData(null);
@@ -225,6 +227,7 @@ const AddPaymentDialog = ({ open, onClose, onSuccess, initialMember, initialSubs
             setMethod('cash');
             setPaymentMode(null);
             setTransactionRef('');
+            setCashTender('');
             setPayNowAmount('');
             setReceiptData(null);
             setLastReceiptError(null);
@@ -495,11 +498,18 @@ const AddPaymentDialog = ({ open, onClose, onSuccess, initialMember, initialSubs
                 abortSubmit();
                 return;
             }
-            if ((method === 'card' || method === 'transfer') && !transactionRef.trim()) {
+            if ((method === 'card' || method === 'transfer' || method === 'mixed') && !transactionRef.trim()) {
                 toast.error(t('payments.refRequired', 'Transaction Ref is required'));
                 abortSubmit();
                 return;
             }
+            // Split: the cash part is entered, the card takes the rest
+            const cashPart = roundMoney(Number(cashTender) || 0);
+            if (method === 'mixed' && (cashPart <= 0 || cashPart >= amountValue)) {
+                toast.error(t('payments.splitInvalid', 'Cash part must be more than 0 and less than the amount'));
+                abortSubmit();
+                return;
+            }
 
             const payload = {
                 memberId: selectedMember.id,
@@ -507,9 +517,15 @@ const AddPaymentDialog = ({ open, onClose, onSuccess, initialMember, initialSubs
                 method,
                 type: initialAppointment ? 'appointment' : type,
                 paymentMode,
-                transactionRef: transactionRef || undefined,
+                transactionRef: method === 'mixed' ? undefined : (transactionRef || undefined),
                 date: new Date().toISOString()
             };
+            if (method === 'mixed') {
+                payload.tenders = [
+                    { method: 'cash', amount: cashPart },
+                    { method: 'card', amount: roundMoney(amountValue - cashPart), externalReference: transactionRef.trim() }
+                ];
+            }
 
             if (initialAppointment) {
                 payload.appointmentId = initialAppointment.id;
@@ -668,7 +684,7 @@ const AddPaymentDialog = ({ open, onClose, onSuccess, initialMember, initialSubs
     const amountValue = roundMoney(payNowAmount);
     const isAmountValid = Number.isFinite(amountValue) && amountValue > 0 && amountValue <= totalDue + 0.01;
 
-    const isConfirmDisabled = step !== 2 || (!isSubscriptionSelected && !initialAppointment) || isFullyPaid || !isAmountValid || loading || isSubmitting || ((method === 'card' || method === 'transfer') && !transactionRef);
+    const isConfirmDisabled = step !== 2 || (!isSubscriptionSelected && !initialAppointment) || isFullyPaid || !isAmountValid || loading || isSubmitting || ((method === 'card' || method === 'transfer' || method === 'mixed') && !transactionRef);
     const isButtonBusy = isSubmitting || loading;
 
     return (
@@ -905,11 +921,12 @@ const AddPaymentDialog = ({ open, onClose, onSuccess, initialMember, initialSubs
 
                                 {/* Methods */}
                                 <div className="space-y-3">
-                                    <div className="grid grid-cols-3 gap-2">
+                                    <div className="grid grid-cols-4 gap-2">
                                         {[
                                             { id: 'cash', label: 'Cash', icon: Banknote },
                                             { id: 'card', label: 'Card', icon: CreditCard },
                                             { id: 'transfer', label: 'Transfer', icon: Smartphone },
+                                            { id: 'mixed', label: t('payments.split', 'Split'), icon: Split },
                                         ].map(m => (
                                             <button key={m.id} onClick={() => setMethod(m.id)}
                                                 className={`flex flex-col items-center gap-2 py-4 rounded-2xl border transition-all ${method === m.id ? 'bg-blue-600 border-blue-500 text-white shadow-xl shadow-blue-900/40' : 'bg-slate-900/50 border-white/5 text-slate-500 hover:text-white hover:bg-slate-900'}`}>
@@ -919,8 +936,25 @@ const AddPaymentDialog = ({ open, onClose, onSuccess, initialMember, initialSubs
                                         ))}
                                     </div>
 
+                                    {method === 'mixed' && (
+                                        <div className="grid grid-cols-2 gap-2 pt-2">
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="0.01"
+                                                className="w-full px-5 py-3.5 bg-slate-900/50 border border-white/5 rounded-2xl text-xs font-bold text-white placeholder-slate-600 outline-none focus:border-blue-500/50 transition-all"
+                                                placeholder={t('payments.cashPart', 'Cash part')}
+                                                value={cashTender}
+                                                onChange={e => setCashTender(e.target.value)}
+                                            />
+                                            <div className="px-5 py-3.5 rounded-2xl border border-white/5 text-xs font-bold text-slate-300">
+                                                {t('payments.card', 'Card')}: {Math.max(roundMoney((parseFloat(payNowAmount) || 0) - (Number(cashTender) || 0)), 0).toLocaleString()} EGP
+                                            </div>
+                                        </div>
+                                    )}
+
                                     <AnimatePresence>
-                                        {(method === 'card' || method === 'transfer') && (
+                                        {(method === 'card' || method === 'transfer' || method === 'mixed') && (
                                             <motion.div
                                                 initial={{ opacity: 0, height: 0 }}
                                                 animate={{ opacity: 1, height: 'auto' }}
@@ -14,6 +14,8 @@ const ThermalReceipt = forwardRef(({ receipt, currencyConf, gymName, gymPhone, i
     const customerName = receipt.customerName || t('receipt.walkIn', 'Walk-in Customer');
     const methodKey = String(receipt.paymentMethod || 'cash').toLowerCase();
     const receiptDate = receipt.createdAt || receipt.date;
+    const taxLines = Array.isArray(totals.taxLines) ? totals.taxLines : [];
+    const tenders = Array.isArray(totals.tenders) ? totals.tenders : [];
 
     return (
         <div
@@ -34,6 +36,11 @@ const ThermalReceipt = forwardRef(({ receipt, currencyConf, gymName, gymPhone, i
                 {gymPhone && (
                     <p className="text-[10px] text-gray-600">{gymPhone}</p>
                 )}
+                {totals.taxNumber && (
+                    <p className="text-[10px] text-gray-600">
+                        {t('receipt.taxNumber', 'Tax Reg. No.')}: {totals.taxNumber}
+                    </p>
+                )}
                 <p className="text-[10px] mt-1 text-gray-600">{t('receipt.title', 'Receipt')}</p>
             </div>
 
@@ -130,10 +137,28 @@ const ThermalReceipt = forwardRef(({ receipt, currencyConf, gymName, gymPhone, i
                     <span>{t('receipt.discount', 'Discount')}:</span>
                     <span>{formatMoney(totals.discount || 0, i18n.language, currencyConf)}</span>
                 </div>
-                <div className="flex justify-between">
-                    <span>{t('receipt.tax', 'Tax')}:</span>
-                    <span>{formatMoney(totals.tax || 0, i18n.language, currencyConf)}</span>
-                </div>
+                {(totals.promotions || []).map((promotion, index) => (
+                    <div key={`${promotion.code || promotion.name}-${index}`} className="flex justify-between ps-2 text-gray-600">
+                        <span>
+                            {t('receipt.promotion', 'Promotion')}: {promotion.code || promotion.name}
+                        </span>
+                        <span>-{formatMoney(promotion.amount || 0, i18n.language, currencyConf)}</span>
+                    </div>
+                ))}
+                {taxLines.length === 0 ? (
+                    <div className="flex justify-between">
+                        <span>{t('receipt.tax', 'Tax')}:</span>
+                        <span>{formatMoney(totals.tax || 0, i18n.language, currencyConf)}</span>
+                    </div>
+                ) : taxLines.map((line) => (
+                    <div key={line.rate} className="flex justify-between">
+                        <span>
+                            {totals.taxName || t('receipt.tax', 'Tax')} {line.rate}%
+                            {totals.pricesIncludeTax ? ` (${t('receipt.taxIncluded', 'incl.')})` : ''}:
+                        </span>
+                        <span>{formatMoney(line.tax || 0, i18n.language, currencyConf)}</span>
+                    </div>
+                ))}
                 <div className="flex justify-between font-bold text-[12px] border-t border-gray-200 pt-2 mt-2">
                     <span>{t('receipt.total', 'TOTAL')}:</span>
                     <span>{formatMoney(totals.total || 0, i18n.language, currencyConf)}</span>
@@ -142,6 +167,15 @@ const ThermalReceipt = forwardRef(({ receipt, currencyConf, gymName, gymPhone, i
                     <span>{t('receipt.paid', 'PAID')}:</span>
                     <span>{formatMoney(totals.paid || 0, i18n.language, currencyConf)}</span>
                 </div>
+                {tenders.map((tender, index) => (
+                    <div key={`${tender.method}-${index}`} className="flex justify-between ps-2">
+                        <span className="capitalize">
+                            {t(`payments.${tender.method}`, tender.method)}
+                            {tender.reference ? ` (${tender.reference})` : ''}:
+                        </span>
+                        <span>{formatMoney(tender.amount || 0, i18n.language, currencyConf)}</span>
+                    </div>
+                ))}
                 <div className="flex justify-between">
                     <span>{t('receipt.remaining', 'Remaining')}:</span>
                     <span>{formatMoney(totals.remaining || 0, i18n.language, currencyConf)}</span>
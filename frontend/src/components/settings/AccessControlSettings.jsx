@@ -0,0 +1,427 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Plus, Trash2, Loader2, Copy, RefreshCw, DoorOpen, KeyRound, Pencil, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import apiClient from '../../utils/api';
+
+const EMPTY_FORM = {
+    id: null,
+    name: '',
+    driver: 'simulated',
+    branchId: '',
+    pulseMs: 1000,
+    openOnCheckIn: true,
+    isActive: true,
+    config: {}
+};
+
+// Config fields shown for each driver (labels under accessControl.fields)
+const DRIVER_FIELDS = {
+    simulated: [
+        { key: 'failWith', type: 'select', options: ['', 'OFFLINE', 'JAMMED'] },
+        { key: 'latencyMs', type: 'number' }
+    ],
+    http_relay: [
+        { key: 'url', type: 'url', required: true, placeholder: 'http://192.168.1.50/relay/0?turn=on' },
+        { key: 'method', type: 'select', options: ['POST', 'GET', 'PUT'] },
+        { key: 'body', type: 'text' },
+        { key: 'authHeaderName', type: 'text' },
+        { key: 'authHeaderValue', type: 'password' },
+        { key: 'timeoutMs', type: 'number' }
+    ],
+    serial_relay: [
+        { key: 'path', type: 'text', required: true, placeholder: 'COM3 / /dev/ttyUSB0' },
+        { key: 'baudRate', type: 'number', placeholder: '9600' },
+        { key: 'openCommand', type: 'text', required: true, placeholder: 'hex:A00101A2' },
+        { key: 'closeCommand', type: 'text', placeholder: 'hex:A00100A1' }
+    ],
+    wiegand_tcp: [
+        { key: 'host', type: 'text', required: true },
+        { key: 'port', type: 'number', required: true },
+        { key: 'openCommand', type: 'text', required: true, placeholder: 'OPEN {door}' },
+        { key: 'door', type: 'number', placeholder: '1' },
+        { key: 'expectReply', type: 'checkbox' },
+        { key: 'timeoutMs', type: 'number' }
+    ]
+};
+
+const STATUS_BADGES = {
+    success: 'badge-success',
+    granted: 'badge-success',
+    failed: 'badge-danger',
+    denied: 'badge-warning'
+};
+
+const AccessControlSettings = ({ multiBranch = false }) => {
+    const { t, i18n } = useTranslation();
+    const [devices, setDevices] = useState([]);
+    const [drivers, setDrivers] = useState([]);
+    const [branches, setBranches] = useState([]);
+    const [events, setEvents] = useState([]);
+    const [deviceFilter, setDeviceFilter] = useState('');
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [readerToken, setReaderToken] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        loadAll();
+    }, [deviceFilter]);
+
+    useEffect(() => {
+        if (!multiBranch) return;
+        apiClient.get('/branches')
+            .then((response) => setBranches(response.data.data || []))
+            .catch((error) => console.error('Failed to load branches:', error));
+    }, [multiBranch]);
+
+    const loadAll = async () => {
+        try {
+            const [devicesRes, driversRes, eventsRes] = await Promise.all([
+                apiClient.get('/access-control/devices'),
+                apiClient.get('/access-control/drivers'),
+                apiClient.get('/access-control/events', { params: { limit: 25, deviceId: deviceFilter || undefined } })
+            ]);
+            setDevices(devicesRes.data.data || []);
+            setDrivers(driversRes.data.data || []);
+            setEvents(eventsRes.data.data?.events || []);
+        } catch (error) {
+            console.error('Failed to load access devices:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const setConfigValue = (key, value) => {
+        setForm((prev) => ({ ...prev, config: { ...prev.config, [key]: value } }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        const { id, ...payload } = form;
+        const body = { ...payload, branchId: payload.branchId || null };
+        try {
+            if (id) {
+                await apiClient.put(`/access-control/devices/${id}`, body);
+                toast.success(t('accessControl.saved'));
+            } else {
+                const response = await apiClient.post('/access-control/devices', body);
+                setReaderToken(response.data.data.readerToken);
+            }
+            setForm(EMPTY_FORM);
+            loadAll();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('accessControl.saveFailed'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const runAction = async (id, action) => {
+        setBusyId(id);
+        try {
+            await action();
+            loadAll();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('accessControl.saveFailed'));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleEdit = (device) => {
+        setForm({
+            id: device.id,
+            name: device.name,
+            driver: device.driver,
+            branchId: device.branchId || '',
+            pulseMs: device.pulseMs,
+            openOnCheckIn: device.openOnCheckIn,
+            isActive: device.isActive,
+            config: device.config || {}
+        });
+    };
+
+    const handleToggle = (device) => runAction(device.id, () => (
+        apiClient.put(`/access-control/devices/${device.id}`, { isActive: !device.isActive })
+    ));
+
+    const handleTest = (device) => runAction(device.id, async () => {
+        const response = await apiClient.post(`/access-control/devices/${device.id}/test`);
+        if (response.data.data?.ok) {
+            toast.success(t('accessControl.testOpened'));
+        } else {
+            toast.error(t('accessControl.testFailed', { error: response.data.data?.errorMessage || response.data.data?.errorCode || '' }));
+        }
+    });
+
+    const handleRotate = (device) => {
+        if (!window.confirm(t('accessControl.confirmRotate', { name: device.name }))) return;
+        runAction(device.id, async () => {
+            const response = await apiClient.post(`/access-control/devices/${device.id}/rotate-token`);
+            setReaderToken(response.data.data.readerToken);
+        });
+    };
+
+    const handleDelete = (device) => {
+        if (!window.confirm(t('accessControl.confirmDelete', { name: device.name }))) return;
+        runAction(device.id, async () => {
+            await apiClient.delete(`/access-control/devices/${device.id}`);
+            if (form.id === device.id) setForm(EMPTY_FORM);
+            toast.success(t('accessControl.deleted'));
+        });
+    };
+
+    const copyToken = async () => {
+        try {
+            await navigator.clipboard.writeText(readerToken);
+            toast.success(t('webhooks.copied'));
+        } catch (error) {
+            toast.error(t('apiKeys.copyFailed'));
+        }
+    };
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleString(i18n.language) : '—');
+    const branchName = (device) => device.branch?.name || t('accessControl.allBranches');
+
+    const renderConfigField = (field) => {
+        const value = form.config[field.key];
+        const label = t(`accessControl.fields.${field.key}`);
+        if (field.type === 'checkbox') {
+            return (
+                <label key={field.key} className="flex items-center gap-2 text-sm text-slate-700 dark:text-dark-200 md:mt-7">
+                    <input type="checkbox" checked={Boolean(value)} onChange={(e) => setConfigValue(field.key, e.target.checked)} />
+                    {label}
+                </label>
+            );
+        }
+        return (
+            <div key={field.key}>
+                <label className="label">{label}</label>
+                {field.type === 'select' ? (
+                    <select className="input" value={value || ''} onChange={(e) => setConfigValue(field.key, e.target.value || null)}>
+                        {field.options.map((option) => (
+                            <option key={option} value={option}>{option || t('accessControl.none')}</option>
+                        ))}
+                    </select>
+                ) : (
+                    <input
+                        type={field.type}
+                        className="input"
+                        placeholder={field.placeholder}
+                        required={field.required}
+                        value={value ?? ''}
+                        onChange={(e) => setConfigValue(field.key, field.type === 'number' && e.target.value !== '' ? Number(e.target.value) : e.target.value)}
+                    />
+                )}
+            </div>
+        );
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center py-8">
+                <Loader2 className="w-6 h-6 animate-spin text-dark-400" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-1">{t('accessControl.title')}</h3>
+                <p className="text-sm text-slate-500 dark:text-dark-400">{t('accessControl.description')}</p>
+            </div>
+
+            {readerToken && (
+                <div className="p-4 rounded-xl border border-amber-300 bg-amber-50 dark:bg-amber-900/20 dark:border-amber-700 space-y-2">
+                    <p className="text-sm font-medium text-amber-800 dark:text-amber-300">{t('accessControl.copyToken')}</p>
+                    <div className="flex items-center gap-2">
+                        <code className="flex-1 px-3 py-2 rounded-lg bg-white dark:bg-dark-800 text-sm break-all">{readerToken}</code>
+                        <button type="button" className="btn-icon" onClick={copyToken} title={t('apiKeys.copy')}>
+                            <Copy className="w-4 h-4" />
+                        </button>
+                    </div>
+                    <p className="text-xs text-amber-700 dark:text-amber-300">{t('accessControl.tokenUsage')}</p>
+                    <button type="button" className="text-sm text-amber-700 dark:text-amber-300 underline" onClick={() => setReaderToken(null)}>
+                        {t('webhooks.dismiss')}
+                    </button>
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label className="label">{t('accessControl.name')}</label>
+                        <input className="input" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+                    </div>
+                    <div>
+                        <label className="label">{t('accessControl.driver')}</label>
+                        <select
+                            className="input"
+                            value={form.driver}
+                            onChange={(e) => setForm({ ...form, driver: e.target.value, config: {} })}
+                        >
+                            {drivers.map((driver) => (
+                                <option key={driver} value={driver}>{t(`accessControl.drivers.${driver}`, driver)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="label">{t('accessControl.pulseMs')}</label>
+                        <input
+                            type="number"
+                            min="100"
+                            max="30000"
+                            className="input"
+                            value={form.pulseMs}
+                            onChange={(e) => setForm({ ...form, pulseMs: e.target.value })}
+                            required
+                        />
+                    </div>
+                    {multiBranch && (
+                        <div>
+                            <label className="label">{t('accessControl.branch')}</label>
+                            <select className="input" value={form.branchId} onChange={(e) => setForm({ ...form, branchId: e.target.value })}>
+                                <option value="">{t('accessControl.allBranches')}</option>
+                                {branches.map((branch) => (
+                                    <option key={branch.id} value={branch.id}>{branch.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    {(DRIVER_FIELDS[form.driver] || []).map(renderConfigField)}
+                </div>
+                <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-dark-200">
+                    <input type="checkbox" checked={form.openOnCheckIn} onChange={(e) => setForm({ ...form, openOnCheckIn: e.target.checked })} />
+                    {t('accessControl.openOnCheckIn')}
+                </label>
+                <div className="flex gap-2">
+                    <button type="submit" disabled={saving} className="btn-primary">
+                        {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                        {form.id ? t('accessControl.update') : t('accessControl.create')}
+                    </button>
+                    {form.id && (
+                        <button type="button" className="btn-secondary" onClick={() => setForm(EMPTY_FORM)}>
+                            <X className="w-4 h-4" />
+                            {t('common.cancel')}
+                        </button>
+                    )}
+                </div>
+            </form>
+
+            <div className="table-container">
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>{t('accessControl.name')}</th>
+                            <th>{t('accessControl.driver')}</th>
+                            {multiBranch && <th>{t('accessControl.branch')}</th>}
+                            <th>{t('accessControl.lastScan')}</th>
+                            <th>{t('apiKeys.status')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {devices.length === 0 ? (
+                            <tr>
+                                <td colSpan={multiBranch ? 6 : 5} className="text-center text-slate-500 dark:text-dark-400 py-6">{t('accessControl.empty')}</td>
+                            </tr>
+                        ) : devices.map((device) => (
+                            <tr key={device.id}>
+                                <td>
+                                    <div className="font-medium">{device.name}</div>
+                                    <div className="text-xs text-slate-500 dark:text-dark-400">
+                                        {device.openOnCheckIn ? t('accessControl.opensOnCheckIn') : t('accessControl.readerOnly')}
+                                        {device.readerTokenHint && <> · <code>{device.readerTokenHint}</code></>}
+                                    </div>
+                                </td>
+                                <td className="text-xs">{t(`accessControl.drivers.${device.driver}`, device.driver)}</td>
+                                {multiBranch && <td className="text-xs">{branchName(device)}</td>}
+                                <td className="text-xs">{formatDate(device.lastSeenAt)}</td>
+                                <td>
+                                    <button type="button" onClick={() => handleToggle(device)} disabled={busyId === device.id}>
+                                        <span className={`badge ${device.isActive ? 'badge-success' : 'badge-danger'}`}>
+                                            {device.isActive ? t('apiKeys.active') : t('webhooks.disabled')}
+                                        </span>
+                                    </button>
+                                </td>
+                                <td className="text-end whitespace-nowrap">
+                                    <button className="btn-icon" onClick={() => handleTest(device)} disabled={busyId === device.id} title={t('accessControl.test')}>
+                                        <DoorOpen className="w-4 h-4" />
+                                    </button>
+                                    <button className="btn-icon" onClick={() => handleEdit(device)} disabled={busyId === device.id} title={t('accessControl.edit')}>
+                                        <Pencil className="w-4 h-4" />
+                                    </button>
+                                    <button className="btn-icon" onClick={() => handleRotate(device)} disabled={busyId === device.id} title={t('accessControl.rotateToken')}>
+                                        <KeyRound className="w-4 h-4" />
+                                    </button>
+                                    <button className="btn-icon" onClick={() => handleDelete(device)} disabled={busyId === device.id} title={t('accessControl.delete')}>
+                                        <Trash2 className="w-4 h-4 text-red-500" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div>
+                <div className="flex items-center justify-between gap-3 mb-3">
+                    <h4 className="font-semibold text-slate-900 dark:text-white">{t('accessControl.events')}</h4>
+                    <div className="flex items-center gap-2">
+                        <select className="input" value={deviceFilter} onChange={(e) => setDeviceFilter(e.target.value)}>
+                            <option value="">{t('accessControl.allDevices')}</option>
+                            {devices.map((device) => (
+                                <option key={device.id} value={device.id}>{device.name}</option>
+                            ))}
+                        </select>
+                        <button type="button" className="btn-icon" onClick={loadAll} title={t('common.refresh')}>
+                            <RefreshCw className="w-4 h-4" />
+                        </button>
+                    </div>
+                </div>
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>{t('apiKeys.time')}</th>
+                                <th>{t('accessControl.device')}</th>
+                                <th>{t('accessControl.eventType')}</th>
+                                <th>{t('apiKeys.status')}</th>
+                                <th>{t('accessControl.credential')}</th>
+                                <th>{t('accessControl.details')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {events.length === 0 ? (
+                                <tr>
+                                    <td colSpan="6" className="text-center text-slate-500 dark:text-dark-400 py-6">{t('accessControl.noEvents')}</td>
+                                </tr>
+                            ) : events.map((event) => (
+                                <tr key={event.id}>
+                                    <td>{formatDate(event.createdAt)}</td>
+                                    <td className="text-xs">{event.device?.name || '—'}</td>
+                                    <td className="text-xs">{t(`accessControl.eventTypes.${event.type}`, event.type)}</td>
+                                    <td>
+                                        <span className={`badge ${STATUS_BADGES[event.status] || 'badge-warning'}`}>
+                                            {t(`accessControl.statuses.${event.status}`, event.status)}
+                                        </span>
+                                    </td>
+                                    <td><code className="text-xs">{event.credential || '—'}</code></td>
+                                    <td className={event.status === 'failed' || event.status === 'denied' ? 'text-red-500 text-xs' : 'text-xs'}>
+                                        {[event.reason, event.message].filter(Boolean).join(' — ') || (event.durationMs != null ? `${event.durationMs} ms` : '—')}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AccessControlSettings;
@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Plus, Trash2, Loader2, Copy, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import apiClient from '../../utils/api';
+
+const EMPTY_FORM = { name: '', scopes: [], rateLimitPerMinute: 60, expiresAt: '' };
+
+const ApiKeySettings = () => {
+    const { t, i18n } = useTranslation();
+    const [keys, setKeys] = useState([]);
+    const [scopes, setScopes] = useState([]);
+    const [logs, setLogs] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [newKey, setNewKey] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        loadAll();
+    }, []);
+
+    const loadAll = async () => {
+        setLoading(true);
+        try {
+            const [keysRes, scopesRes, logsRes] = await Promise.all([
+                apiClient.get('/api-keys'),
+                apiClient.get('/api-keys/scopes'),
+                apiClient.get('/api-keys/logs', { params: { limit: 25 } })
+            ]);
+            setKeys(keysRes.data.data || []);
+            setScopes(scopesRes.data.data || []);
+            setLogs(logsRes.data.data?.logs || []);
+        } catch (error) {
+            console.error('Failed to load API keys:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggleScope = (scope) => {
+        setForm((prev) => ({
+            ...prev,
+            scopes: prev.scopes.includes(scope)
+                ? prev.scopes.filter((s) => s !== scope)
+                : [...prev.scopes, scope]
+        }));
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const response = await apiClient.post('/api-keys', {
+                ...form,
+                expiresAt: form.expiresAt || null
+            });
+            setNewKey(response.data.data.key);
+            setForm(EMPTY_FORM);
+            loadAll();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('apiKeys.saveFailed'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRevoke = async (apiKey) => {
+        if (!window.confirm(t('apiKeys.confirmRevoke', { name: apiKey.name }))) return;
+        try {
+            await apiClient.delete(`/api-keys/${apiKey.id}`);
+            toast.success(t('apiKeys.revoked'));
+            loadAll();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('apiKeys.saveFailed'));
+        }
+    };
+
+    const copyKey = async () => {
+        try {
+            await navigator.clipboard.writeText(newKey);
+            toast.success(t('apiKeys.copied'));
+        } catch (error) {
+            toast.error(t('apiKeys.copyFailed'));
+        }
+    };
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleString(i18n.language) : '—');
+
+    if (loading) {
+        return (
+            <div className="flex justify-center py-8">
+                <Loader2 className="w-6 h-6 animate-spin text-dark-400" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-1">{t('apiKeys.title')}</h3>
+                <p className="text-sm text-slate-500 dark:text-dark-400">{t('apiKeys.description')}</p>
+            </div>
+
+            {newKey && (
+                <div className="p-4 rounded-xl border border-amber-300 bg-amber-50 dark:bg-amber-900/20 dark:border-amber-700 space-y-2">
+                    <p className="text-sm font-medium text-amber-800 dark:text-amber-300">{t('apiKeys.copyNow')}</p>
+                    <div className="flex items-center gap-2">
+                        <code className="flex-1 px-3 py-2 rounded-lg bg-white dark:bg-dark-800 text-sm break-all">{newKey}</code>
+                        <button type="button" className="btn-icon" onClick={copyKey} title={t('apiKeys.copy')}>
+                            <Copy className="w-4 h-4" />
+                        </button>
+                    </div>
+                    <button type="button" className="text-sm text-amber-700 dark:text-amber-300 underline" onClick={() => setNewKey(null)}>
+                        {t('apiKeys.dismiss')}
+                    </button>
+                </div>
+            )}
+
+            <form onSubmit={handleCreate} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label className="label">{t('apiKeys.name')}</label>
+                        <input className="input" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+                    </div>
+                    <div>
+                        <label className="label">{t('apiKeys.rateLimit')}</label>
+                        <input
+                            type="number"
+                            min="1"
+                            className="input"
+                            value={form.rateLimitPerMinute}
+                            onChange={(e) => setForm({ ...form, rateLimitPerMinute: e.target.value })}
+                        />
+                    </div>
+                    <div>
+                        <label className="label">{t('apiKeys.expiresAt')}</label>
+                        <input type="date" className="input" value={form.expiresAt} onChange={(e) => setForm({ ...form, expiresAt: e.target.value })} />
+                    </div>
+                </div>
+                <div>
+                    <label className="label">{t('apiKeys.scopes')}</label>
+                    <div className="flex flex-wrap gap-4">
+                        {scopes.map((scope) => (
+                            <label key={scope} className="flex items-center gap-2 text-sm text-slate-700 dark:text-dark-200">
+                                <input type="checkbox" checked={form.scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+                                <code>{scope}</code>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+                <button type="submit" disabled={saving || form.scopes.length === 0} className="btn-primary">
+                    {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                    {t('apiKeys.create')}
+                </button>
+            </form>
+
+            <div className="table-container">
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>{t('apiKeys.name')}</th>
+                            <th>{t('apiKeys.prefix')}</th>
+                            <th>{t('apiKeys.scopes')}</th>
+                            <th>{t('apiKeys.lastUsed')}</th>
+                            <th>{t('apiKeys.status')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {keys.length === 0 ? (
+                            <tr>
+                                <td colSpan="6" className="text-center text-slate-500 dark:text-dark-400 py-6">{t('apiKeys.empty')}</td>
+                            </tr>
+                        ) : keys.map((apiKey) => {
+                            const expired = apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date();
+                            const active = apiKey.isActive && !apiKey.revokedAt && !expired;
+                            return (
+                                <tr key={apiKey.id}>
+                                    <td className="font-medium">{apiKey.name}</td>
+                                    <td><code>{apiKey.prefix}…</code></td>
+                                    <td className="text-xs">{apiKey.scopes.join(', ')}</td>
+                                    <td>{formatDate(apiKey.lastUsedAt)}</td>
+                                    <td>
+                                        <span className={`badge ${active ? 'badge-success' : 'badge-danger'}`}>
+                                            {apiKey.revokedAt ? t('apiKeys.revokedStatus') : expired ? t('apiKeys.expired') : t('apiKeys.active')}
+                                        </span>
+                                    </td>
+                                    <td className="text-end">
+                                        {!apiKey.revokedAt && (
+                                            <button className="btn-icon" onClick={() => handleRevoke(apiKey)} title={t('apiKeys.revoke')}>
+                                                <Trash2 className="w-4 h-4 text-red-500" />
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            <div>
+                <div className="flex items-center justify-between mb-3">
+                    <h4 className="font-semibold text-slate-900 dark:text-white">{t('apiKeys.accessLog')}</h4>
+                    <button type="button" className="btn-icon" onClick={loadAll} title={t('common.refresh')}>
+                        <RefreshCw className="w-4 h-4" />
+                    </button>
+                </div>
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>{t('apiKeys.time')}</th>
+                                <th>{t('apiKeys.name')}</th>
+                                <th>{t('apiKeys.request')}</th>
+                                <th>{t('apiKeys.statusCode')}</th>
+                                <th>{t('apiKeys.duration')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {logs.length === 0 ? (
+                                <tr>
+                                    <td colSpan="5" className="text-center text-slate-500 dark:text-dark-400 py-6">{t('apiKeys.noRequests')}</td>
+                                </tr>
+                            ) : logs.map((log) => (
+                                <tr key={log.id}>
+                                    <td>{formatDate(log.createdAt)}</td>
+                                    <td>{log.apiKey?.name || '—'}</td>
+                                    <td><code className="text-xs">{log.method} {log.path}</code></td>
+                                    <td className={log.statusCode >= 400 ? 'text-red-500' : 'text-emerald-600'}>{log.statusCode}</td>
+                                    <td>{log.durationMs != null ? `${log.durationMs} ms` : '—'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ApiKeySettings;
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Save, Loader2, AlertTriangle, CheckCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import apiClient from '../../utils/api';
+
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const BackupPolicySettings = ({ refreshKey }) => {
+    const { t, i18n } = useTranslation();
+    const [policy, setPolicy] = useState(null);
+    const [status, setStatus] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        fetchPolicy();
+    }, []);
+
+    useEffect(() => {
+        fetchStatus();
+    }, [refreshKey]);
+
+    const fetchPolicy = async () => {
+        try {
+            const res = await apiClient.get('/backup/policy');
+            if (res.data.success) {
+                setPolicy(res.data.data);
+            }
+        } catch (error) {
+            console.error('Failed to fetch backup policy:', error);
+        }
+    };
+
+    const fetchStatus = async () => {
+        try {
+            const res = await apiClient.get('/backup/status');
+            if (res.data.success) {
+                setStatus(res.data.data);
+            }
+        } catch (error) {
+            console.error('Failed to fetch backup status:', error);
+        }
+    };
+
+    const handleChange = (field, value) => {
+        setPolicy((prev) => ({ ...prev, [field]: value }));
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const res = await apiClient.put('/backup/policy', {
+                ...policy,
+                weekday: Number(policy.weekday),
+                keepDaily: Number(policy.keepDaily),
+                keepWeekly: Number(policy.keepWeekly),
+                keepMonthly: Number(policy.keepMonthly),
+                staleAfterHours: Number(policy.staleAfterHours)
+            });
+            setPolicy(res.data.data);
+            toast.success(t('backup.policySaved'));
+            fetchStatus();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('backup.policySaveFailed'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!policy) {
+        return (
+            <div className="flex justify-center py-4">
+                <Loader2 className="w-6 h-6 animate-spin text-dark-400" />
+            </div>
+        );
+    }
+
+    const weekdayName = (day) => new Date(2024, 0, 7 + day).toLocaleDateString(i18n.language, { weekday: 'long' });
+
+    return (
+        <div className="bg-gray-50 dark:bg-dark-900/50 rounded-xl p-6 border border-gray-200 dark:border-dark-700 space-y-4">
+            <div className="flex items-center justify-between">
+                <h4 className="font-semibold text-slate-900 dark:text-white">{t('backup.automaticBackups')}</h4>
+                {status && (
+                    <span className={`flex items-center gap-1 text-sm ${status.isStale ? 'text-amber-600 dark:text-amber-400' : 'text-emerald-600 dark:text-emerald-400'}`}>
+                        {status.isStale ? <AlertTriangle className="w-4 h-4" /> : <CheckCircle className="w-4 h-4" />}
+                        {t('backup.lastBackup')}: {status.lastBackupAt ? new Date(status.lastBackupAt).toLocaleString() : t('backup.never')}
+                    </span>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                    <label className="label">{t('backup.frequency')}</label>
+                    <select className="input" value={policy.frequency} onChange={(e) => handleChange('frequency', e.target.value)}>
+                        <option value="daily">{t('backup.daily')}</option>
+                        <option value="weekly">{t('backup.weekly')}</option>
+                        <option value="off">{t('backup.off')}</option>
+                    </select>
+                </div>
+                <div>
+                    <label className="label">{t('backup.time')}</label>
+                    <input
+                        type="time"
+                        className="input"
+                        value={policy.time}
+                        disabled={policy.frequency === 'off'}
+                        onChange={(e) => handleChange('time', e.target.value)}
+                    />
+                </div>
+                {policy.frequency === 'weekly' && (
+                    <div>
+                        <label className="label">{t('backup.weekday')}</label>
+                        <select className="input" value={policy.weekday} onChange={(e) => handleChange('weekday', e.target.value)}>
+                            {WEEKDAYS.map((day) => (
+                                <option key={day} value={day}>{weekdayName(day)}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {['keepDaily', 'keepWeekly', 'keepMonthly', 'staleAfterHours'].map((field) => (
+                    <div key={field}>
+                        <label className="label">{t(`backup.${field}`)}</label>
+                        <input
+                            type="number"
+                            min="0"
+                            className="input"
+                            value={policy[field]}
+                            onChange={(e) => handleChange(field, e.target.value)}
+                        />
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex justify-end">
+                <button onClick={handleSave} disabled={saving} className="btn-primary">
+                    {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                    {t('common.save')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default BackupPolicySettings;
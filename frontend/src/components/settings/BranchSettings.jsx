@@ -0,0 +1,293 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Plus, Save, Edit, Trash2, Loader2, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import apiClient from '../../utils/api';
+import { useBranchStore } from '../../store';
+
+const EMPTY_FORM = { name: '', code: '', address: '', phone: '' };
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const BranchSettings = () => {
+    const { t } = useTranslation();
+    const fetchWorkingBranches = useBranchStore((state) => state.fetchBranches);
+    const [branches, setBranches] = useState([]);
+    const [machines, setMachines] = useState([]);
+    const [staff, setStaff] = useState([]);
+    const [comparison, setComparison] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        loadAll();
+    }, []);
+
+    const loadAll = async () => {
+        setLoading(true);
+        const now = new Date();
+        const from = toDateInput(new Date(now.getFullYear(), now.getMonth(), 1));
+        try {
+            const [branchRes, machineRes, staffRes, comparisonRes] = await Promise.all([
+                apiClient.get('/branches', { params: { all: true } }),
+                apiClient.get('/pos/machines'),
+                apiClient.get('/branches/assignments'),
+                apiClient.get('/reports/branch-comparison', { params: { from, to: toDateInput(now), branchId: 'all' } })
+            ]);
+            setBranches(branchRes.data.data || []);
+            setMachines(machineRes.data.data || []);
+            setStaff(staffRes.data.data || []);
+            setComparison(comparisonRes.data.data?.rows || []);
+        } catch (error) {
+            console.error('Failed to load branches:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            if (editingId) {
+                await apiClient.put(`/branches/${editingId}`, form);
+            } else {
+                await apiClient.post('/branches', form);
+            }
+            toast.success(t('branches.saved'));
+            setForm(EMPTY_FORM);
+            setEditingId(null);
+            loadAll();
+            fetchWorkingBranches();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('branches.saveFailed'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleEdit = (branch) => {
+        setEditingId(branch.id);
+        setForm({
+            name: branch.name,
+            code: branch.code,
+            address: branch.address || '',
+            phone: branch.phone || ''
+        });
+    };
+
+    const handleToggleActive = async (branch) => {
+        if (branch.isActive && !window.confirm(t('branches.confirmDeactivate', { name: branch.name }))) return;
+        try {
+            if (branch.isActive) {
+                await apiClient.delete(`/branches/${branch.id}`);
+            } else {
+                await apiClient.put(`/branches/${branch.id}`, { isActive: true });
+            }
+            loadAll();
+            fetchWorkingBranches();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('branches.saveFailed'));
+        }
+    };
+
+    const handleMachineBranch = async (machine, branchId) => {
+        try {
+            await apiClient.put(`/pos/machines/${machine.id}`, { branchId: branchId || null });
+            setMachines((prev) => prev.map((m) => (m.id === machine.id ? { ...m, branchId: branchId ? Number(branchId) : null } : m)));
+            toast.success(t('branches.saved'));
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('branches.saveFailed'));
+        }
+    };
+
+    const handleStaffBranch = async (user, branchId, checked) => {
+        const branchIds = checked
+            ? [...user.branchIds, branchId]
+            : user.branchIds.filter((id) => id !== branchId);
+        try {
+            await apiClient.put(`/branches/assignments/${user.id}`, { branchIds });
+            setStaff((prev) => prev.map((u) => (u.id === user.id ? { ...u, branchIds } : u)));
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('branches.saveFailed'));
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center py-8">
+                <Loader2 className="w-6 h-6 animate-spin text-dark-400" />
+            </div>
+        );
+    }
+
+    const activeBranches = branches.filter((b) => b.isActive);
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-1">{t('branches.title')}</h3>
+                <p className="text-sm text-slate-500 dark:text-dark-400">{t('branches.description')}</p>
+            </div>
+
+            <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+                <div>
+                    <label className="label">{t('branches.name')}</label>
+                    <input className="input" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+                </div>
+                <div>
+                    <label className="label">{t('branches.code')}</label>
+                    <input className="input uppercase" value={form.code} onChange={(e) => setForm({ ...form, code: e.target.value })} required />
+                </div>
+                <div>
+                    <label className="label">{t('branches.address')}</label>
+                    <input className="input" value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} />
+                </div>
+                <div>
+                    <label className="label">{t('branches.phone')}</label>
+                    <input className="input" value={form.phone} onChange={(e) => setForm({ ...form, phone: e.target.value })} />
+                </div>
+                <div className="flex gap-2">
+                    <button type="submit" disabled={saving} className="btn-primary">
+                        {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : (editingId ? <Save className="w-4 h-4" /> : <Plus className="w-4 h-4" />)}
+                        {editingId ? t('common.save') : t('branches.add')}
+                    </button>
+                    {editingId && (
+                        <button type="button" className="btn-icon" onClick={() => { setEditingId(null); setForm(EMPTY_FORM); }}>
+                            <X className="w-4 h-4" />
+                        </button>
+                    )}
+                </div>
+            </form>
+
+            <div className="table-container">
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>{t('branches.name')}</th>
+                            <th>{t('branches.code')}</th>
+                            <th>{t('branches.members')}</th>
+                            <th>{t('branches.terminals')}</th>
+                            <th>{t('branches.status')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {branches.length === 0 ? (
+                            <tr>
+                                <td colSpan="6" className="text-center text-slate-500 dark:text-dark-400 py-6">{t('branches.empty')}</td>
+                            </tr>
+                        ) : branches.map((branch) => (
+                            <tr key={branch.id}>
+                                <td className="font-medium">{branch.name}</td>
+                                <td>{branch.code}</td>
+                                <td>{branch._count?.homeMembers ?? 0}</td>
+                                <td>{branch._count?.posMachines ?? 0}</td>
+                                <td>
+                                    <span className={`badge ${branch.isActive ? 'badge-success' : 'badge-danger'}`}>
+                                        {branch.isActive ? t('branches.active') : t('branches.inactive')}
+                                    </span>
+                                </td>
+                                <td className="flex gap-2 justify-end">
+                                    <button className="btn-icon" onClick={() => handleEdit(branch)} title={t('common.edit')}>
+                                        <Edit className="w-4 h-4" />
+                                    </button>
+                                    <button className="btn-icon" onClick={() => handleToggleActive(branch)} title={branch.isActive ? t('branches.deactivate') : t('branches.activate')}>
+                                        {branch.isActive ? <Trash2 className="w-4 h-4 text-red-500" /> : <Plus className="w-4 h-4" />}
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {activeBranches.length > 0 && (
+                <>
+                    <div>
+                        <h4 className="font-semibold text-slate-900 dark:text-white mb-3">{t('branches.terminals')}</h4>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                            {machines.map((machine) => (
+                                <div key={machine.id} className="flex items-center justify-between gap-4 p-3 rounded-xl border border-gray-200 dark:border-dark-700">
+                                    <div>
+                                        <p className="font-medium text-slate-900 dark:text-white">{machine.name}</p>
+                                        <p className="text-xs text-slate-500 dark:text-dark-400">{machine.machineKey}</p>
+                                    </div>
+                                    <select className="input max-w-[12rem]" value={machine.branchId || ''} onChange={(e) => handleMachineBranch(machine, e.target.value)}>
+                                        <option value="">{t('branches.unassigned')}</option>
+                                        {activeBranches.map((b) => <option key={b.id} value={b.id}>{b.name}</option>)}
+                                    </select>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <h4 className="font-semibold text-slate-900 dark:text-white mb-1">{t('branches.staffAccess')}</h4>
+                        <p className="text-sm text-slate-500 dark:text-dark-400 mb-3">{t('branches.staffAccessHint')}</p>
+                        <div className="table-container">
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th>{t('branches.employee')}</th>
+                                        {activeBranches.map((b) => <th key={b.id}>{b.name}</th>)}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {staff.filter((u) => u.role !== 'admin').map((user) => (
+                                        <tr key={user.id}>
+                                            <td>{user.firstName} {user.lastName}</td>
+                                            {activeBranches.map((b) => (
+                                                <td key={b.id}>
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={user.branchIds.includes(b.id)}
+                                                        onChange={(e) => handleStaffBranch(user, b.id, e.target.checked)}
+                                                    />
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    <div>
+                        <h4 className="font-semibold text-slate-900 dark:text-white mb-3">{t('branches.comparisonThisMonth')}</h4>
+                        <div className="table-container">
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th>{t('branches.name')}</th>
+                                        <th>{t('branches.netRevenue')}</th>
+                                        <th>{t('branches.refunds')}</th>
+                                        <th>{t('branches.checkIns')}</th>
+                                        <th>{t('branches.posSales')}</th>
+                                        <th>{t('branches.sessions')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {comparison.map((row) => (
+                                        <tr key={row.branchId ?? 'unassigned'}>
+                                            <td>{row.branchId ? row.branchName : t('branches.unassigned')}</td>
+                                            <td>{row.netRevenue.toLocaleString()}</td>
+                                            <td>{row.refunds.toLocaleString()}</td>
+                                            <td>{row.checkIns}</td>
+                                            <td>{row.salesTotal.toLocaleString()}</td>
+                                            <td>{row.completedSessions}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BranchSettings;
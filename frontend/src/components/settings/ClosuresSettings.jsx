@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Plus, Trash2, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import apiClient from '../../utils/api';
+import { formatDate } from '../../utils/dateFormatter';
+
+const EMPTY_FORM = { name: '', startDate: '', endDate: '', branchId: '' };
+
+const toDateInput = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const ClosuresSettings = ({ multiBranch = false }) => {
+    const { t, i18n } = useTranslation();
+    const [closures, setClosures] = useState([]);
+    const [branches, setBranches] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [saving, setSaving] = useState(false);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        loadClosures();
+    }, []);
+
+    useEffect(() => {
+        if (!multiBranch) return;
+        apiClient.get('/branches')
+            .then((response) => setBranches(response.data.data || []))
+            .catch((error) => console.error('Failed to load branches:', error));
+    }, [multiBranch]);
+
+    const loadClosures = async () => {
+        try {
+            const response = await apiClient.get('/availability/closures', {
+                params: { from: toDateInput(new Date()) }
+            });
+            setClosures(response.data.data || []);
+        } catch (error) {
+            console.error('Failed to load closures:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            await apiClient.post('/availability/closures', {
+                ...form,
+                endDate: form.endDate || form.startDate,
+                branchId: form.branchId || null
+            });
+            toast.success(t('availability.closureSaved'));
+            setForm(EMPTY_FORM);
+            loadClosures();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('availability.saveFailed'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (closure) => {
+        if (!window.confirm(t('availability.confirmDeleteClosure', { name: closure.name }))) return;
+        try {
+            await apiClient.delete(`/availability/closures/${closure.id}`);
+            setClosures((prev) => prev.filter((row) => row.id !== closure.id));
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('availability.saveFailed'));
+        }
+    };
+
+    const branchName = (branchId) => branches.find((branch) => branch.id === branchId)?.name || '';
+
+    if (loading) {
+        return (
+            <div className="flex justify-center py-8">
+                <Loader2 className="w-6 h-6 animate-spin text-dark-400" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-1">{t('availability.closuresTitle')}</h3>
+                <p className="text-sm text-slate-500 dark:text-dark-400">{t('availability.closuresDescription')}</p>
+            </div>
+
+            <form onSubmit={handleSubmit} className={`grid grid-cols-1 gap-4 items-end ${multiBranch ? 'md:grid-cols-5' : 'md:grid-cols-4'}`}>
+                <div>
+                    <label className="label">{t('availability.closureName')}</label>
+                    <input className="input" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+                </div>
+                <div>
+                    <label className="label">{t('availability.firstDay')}</label>
+                    <input type="date" className="input" value={form.startDate} onChange={(e) => setForm({ ...form, startDate: e.target.value })} required />
+                </div>
+                <div>
+                    <label className="label">{t('availability.lastDay')}</label>
+                    <input type="date" className="input" min={form.startDate} value={form.endDate} onChange={(e) => setForm({ ...form, endDate: e.target.value })} />
+                </div>
+                {multiBranch && (
+                    <div>
+                        <label className="label">{t('availability.branch')}</label>
+                        <select className="input" value={form.branchId} onChange={(e) => setForm({ ...form, branchId: e.target.value })}>
+                            <option value="">{t('availability.allBranches')}</option>
+                            {branches.map((branch) => (
+                                <option key={branch.id} value={branch.id}>{branch.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+                <div>
+                    <button type="submit" disabled={saving} className="btn-primary">
+                        {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                        {t('availability.addClosure')}
+                    </button>
+                </div>
+            </form>
+
+            <div className="table-container">
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>{t('availability.closureName')}</th>
+                            <th>{t('availability.firstDay')}</th>
+                            <th>{t('availability.lastDay')}</th>
+                            {multiBranch && <th>{t('availability.branch')}</th>}
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {closures.length === 0 ? (
+                            <tr>
+                                <td colSpan={multiBranch ? 5 : 4} className="text-center text-slate-500 dark:text-dark-400 py-6">{t('availability.noClosures')}</td>
+                            </tr>
+                        ) : closures.map((closure) => (
+                            <tr key={closure.id}>
+                                <td className="font-medium">{closure.name}</td>
+                                <td>{formatDate(closure.startDate, i18n.language)}</td>
+                                <td>{formatDate(closure.endDate, i18n.language)}</td>
+                                {multiBranch && <td>{closure.branchId ? branchName(closure.branchId) : t('availability.allBranches')}</td>}
+                                <td className="flex justify-end">
+                                    <button className="btn-icon" onClick={() => handleDelete(closure)} title={t('common.delete')}>
+                                        <Trash2 className="w-4 h-4 text-red-500" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default ClosuresSettings;
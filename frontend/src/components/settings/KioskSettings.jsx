@@ -0,0 +1,312 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { Plus, Trash2, Loader2, Copy, KeyRound, Pencil, X, MonitorSmartphone, Play } from 'lucide-react';
+import toast from 'react-hot-toast';
+import apiClient from '../../utils/api';
+import kioskApi from '../../utils/kioskApi';
+import { useAuthStore, useKioskStore } from '../../store';
+
+const EMPTY_FORM = {
+    id: null,
+    name: '',
+    branchId: '',
+    pin: ''
+};
+
+const KioskSettings = ({ multiBranch = false }) => {
+    const { t, i18n } = useTranslation();
+    const navigate = useNavigate();
+    const { logout } = useAuthStore();
+    const { token: localToken, kioskName: localName, link, activate, forget } = useKioskStore();
+
+    const [kiosks, setKiosks] = useState([]);
+    const [branches, setBranches] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [newToken, setNewToken] = useState(null);
+    const [manualToken, setManualToken] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        loadKiosks();
+    }, []);
+
+    useEffect(() => {
+        if (!multiBranch) return;
+        apiClient.get('/branches')
+            .then((response) => setBranches(response.data.data || []))
+            .catch((error) => console.error('Failed to load branches:', error));
+    }, [multiBranch]);
+
+    const loadKiosks = async () => {
+        try {
+            const response = await apiClient.get('/kiosk/devices');
+            setKiosks(response.data.data || []);
+        } catch (error) {
+            console.error('Failed to load kiosks:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        const { id, ...payload } = form;
+        const body = { ...payload, branchId: payload.branchId || null };
+        try {
+            if (id) {
+                await apiClient.put(`/kiosk/devices/${id}`, body);
+                toast.success(t('kiosk.saved', 'Kiosk saved'));
+            } else {
+                const response = await apiClient.post('/kiosk/devices', body);
+                setNewToken({ token: response.data.data.token, name: response.data.data.name });
+            }
+            setForm(EMPTY_FORM);
+            loadKiosks();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('kiosk.saveFailed', 'Failed to save kiosk'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const runAction = async (id, action) => {
+        setBusyId(id);
+        try {
+            await action();
+            loadKiosks();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('kiosk.saveFailed', 'Failed to save kiosk'));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleEdit = (kiosk) => {
+        setForm({ id: kiosk.id, name: kiosk.name, branchId: kiosk.branchId || '', pin: '' });
+    };
+
+    const handleToggle = (kiosk) => runAction(kiosk.id, () => (
+        apiClient.put(`/kiosk/devices/${kiosk.id}`, { isActive: !kiosk.isActive })
+    ));
+
+    const handleRotate = (kiosk) => {
+        if (!window.confirm(t('kiosk.confirmRotate', { name: kiosk.name, defaultValue: 'Replace the token of "{{name}}"? The kiosk stops working until it gets the new token.' }))) return;
+        runAction(kiosk.id, async () => {
+            const response = await apiClient.post(`/kiosk/devices/${kiosk.id}/rotate-token`);
+            setNewToken({ token: response.data.data.token, name: kiosk.name });
+        });
+    };
+
+    const handleDelete = (kiosk) => {
+        if (!window.confirm(t('kiosk.confirmDelete', { name: kiosk.name, defaultValue: 'Delete kiosk "{{name}}"?' }))) return;
+        runAction(kiosk.id, async () => {
+            await apiClient.delete(`/kiosk/devices/${kiosk.id}`);
+            if (form.id === kiosk.id) setForm(EMPTY_FORM);
+            toast.success(t('kiosk.deleted', 'Kiosk deleted'));
+        });
+    };
+
+    const copyToken = async () => {
+        try {
+            await navigator.clipboard.writeText(newToken.token);
+            toast.success(t('webhooks.copied'));
+        } catch (error) {
+            toast.error(t('apiKeys.copyFailed'));
+        }
+    };
+
+    // Remember a kiosk token on this computer after checking it with the server
+    const linkThisComputer = async (token) => {
+        try {
+            const response = await kioskApi.get('/kiosk/session', { headers: { 'X-Kiosk-Token': token } });
+            link(token, response.data.data.kiosk.name);
+            setNewToken(null);
+            setManualToken('');
+            toast.success(t('kiosk.linked', { name: response.data.data.kiosk.name, defaultValue: 'This computer is now the kiosk "{{name}}"' }));
+        } catch (error) {
+            toast.error(t('kiosk.invalidToken', 'This kiosk token is not valid'));
+        }
+    };
+
+    const startKiosk = async () => {
+        if (!window.confirm(t('kiosk.confirmStart', 'Lock this computer to the check-in kiosk? You will be signed out and only the admin PIN can leave kiosk mode.'))) return;
+        await logout();
+        activate(localToken, localName);
+        navigate('/kiosk', { replace: true });
+    };
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleString(i18n.language) : '—');
+
+    if (loading) {
+        return (
+            <div className="flex justify-center py-8">
+                <Loader2 className="w-6 h-6 animate-spin text-dark-400" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-1">{t('kiosk.settingsTitle', 'Self check-in kiosks')}</h3>
+                <p className="text-sm text-slate-500 dark:text-dark-400">
+                    {t('kiosk.settingsDescription', 'A kiosk is a locked, full-screen check-in screen at the entrance. Members scan their QR code or card, or type their member code. No staff login or open shift is needed.')}
+                </p>
+            </div>
+
+            <div className="p-4 rounded-xl border border-slate-200 dark:border-dark-700 space-y-3">
+                <div className="flex items-center gap-2 font-medium text-slate-900 dark:text-white">
+                    <MonitorSmartphone className="w-5 h-5" />
+                    {t('kiosk.thisComputer', 'This computer')}
+                </div>
+                {localToken ? (
+                    <div className="flex flex-wrap items-center gap-3">
+                        <span className="text-sm text-slate-600 dark:text-dark-300">
+                            {t('kiosk.linkedTo', { name: localName, defaultValue: 'Set up as kiosk "{{name}}"' })}
+                        </span>
+                        <button type="button" className="btn-primary" onClick={startKiosk}>
+                            <Play className="w-4 h-4" />
+                            {t('kiosk.start', 'Start kiosk mode')}
+                        </button>
+                        <button type="button" className="btn-secondary" onClick={forget}>
+                            <X className="w-4 h-4" />
+                            {t('kiosk.unlink', 'Forget kiosk')}
+                        </button>
+                    </div>
+                ) : (
+                    <div className="flex flex-wrap items-center gap-2">
+                        <input
+                            className="input flex-1 min-w-[16rem]"
+                            placeholder={t('kiosk.tokenPlaceholder', 'Paste a kiosk token (ksk_...)')}
+                            value={manualToken}
+                            onChange={(e) => setManualToken(e.target.value.trim())}
+                        />
+                        <button type="button" className="btn-secondary" disabled={!manualToken} onClick={() => linkThisComputer(manualToken)}>
+                            {t('kiosk.useHere', 'Use on this computer')}
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {newToken && (
+                <div className="p-4 rounded-xl border border-amber-300 bg-amber-50 dark:bg-amber-900/20 dark:border-amber-700 space-y-2">
+                    <p className="text-sm font-medium text-amber-800 dark:text-amber-300">{t('kiosk.copyToken', 'Copy this token now. It will not be shown again.')}</p>
+                    <div className="flex items-center gap-2">
+                        <code className="flex-1 px-3 py-2 rounded-lg bg-white dark:bg-dark-800 text-sm break-all">{newToken.token}</code>
+                        <button type="button" className="btn-icon" onClick={copyToken} title={t('apiKeys.copy')}>
+                            <Copy className="w-4 h-4" />
+                        </button>
+                    </div>
+                    <div className="flex gap-3">
+                        <button type="button" className="text-sm text-amber-700 dark:text-amber-300 underline" onClick={() => linkThisComputer(newToken.token)}>
+                            {t('kiosk.useHere', 'Use on this computer')}
+                        </button>
+                        <button type="button" className="text-sm text-amber-700 dark:text-amber-300 underline" onClick={() => setNewToken(null)}>
+                            {t('webhooks.dismiss')}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label className="label">{t('kiosk.name', 'Name')}</label>
+                        <input className="input" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+                    </div>
+                    {multiBranch && (
+                        <div>
+                            <label className="label">{t('accessControl.branch')}</label>
+                            <select className="input" value={form.branchId} onChange={(e) => setForm({ ...form, branchId: e.target.value })}>
+                                <option value="">{t('kiosk.noBranch', 'No branch')}</option>
+                                {branches.map((branch) => (
+                                    <option key={branch.id} value={branch.id}>{branch.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    <div>
+                        <label className="label">{form.id ? t('kiosk.newPin', 'New admin PIN (optional)') : t('kiosk.pin', 'Admin PIN')}</label>
+                        <input
+                            type="password"
+                            inputMode="numeric"
+                            pattern="\d{4,8}"
+                            autoComplete="new-password"
+                            className="input"
+                            value={form.pin}
+                            onChange={(e) => setForm({ ...form, pin: e.target.value.replace(/\D/g, '').slice(0, 8) })}
+                            required={!form.id}
+                        />
+                        <p className="text-xs text-slate-500 dark:text-dark-400 mt-1">{t('kiosk.pinHint', '4-8 digits, needed to leave kiosk mode')}</p>
+                    </div>
+                </div>
+                <div className="flex gap-2">
+                    <button type="submit" disabled={saving} className="btn-primary">
+                        {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                        {form.id ? t('kiosk.update', 'Update kiosk') : t('kiosk.create', 'Add kiosk')}
+                    </button>
+                    {form.id && (
+                        <button type="button" className="btn-secondary" onClick={() => setForm(EMPTY_FORM)}>
+                            <X className="w-4 h-4" />
+                            {t('common.cancel')}
+                        </button>
+                    )}
+                </div>
+            </form>
+
+            <div className="table-container">
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>{t('kiosk.name', 'Name')}</th>
+                            {multiBranch && <th>{t('accessControl.branch')}</th>}
+                            <th>{t('kiosk.lastSeen', 'Last used')}</th>
+                            <th>{t('apiKeys.status')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {kiosks.length === 0 ? (
+                            <tr>
+                                <td colSpan={multiBranch ? 5 : 4} className="text-center text-slate-500 dark:text-dark-400 py-6">{t('kiosk.empty', 'No kiosks yet')}</td>
+                            </tr>
+                        ) : kiosks.map((kiosk) => (
+                            <tr key={kiosk.id}>
+                                <td>
+                                    <div className="font-medium">{kiosk.name}</div>
+                                    {kiosk.tokenHint && <code className="text-xs text-slate-500 dark:text-dark-400">{kiosk.tokenHint}</code>}
+                                </td>
+                                {multiBranch && <td className="text-xs">{kiosk.branch?.name || '—'}</td>}
+                                <td className="text-xs">{formatDate(kiosk.lastSeenAt)}</td>
+                                <td>
+                                    <button type="button" onClick={() => handleToggle(kiosk)} disabled={busyId === kiosk.id}>
+                                        <span className={`badge ${kiosk.isActive ? 'badge-success' : 'badge-danger'}`}>
+                                            {kiosk.isActive ? t('apiKeys.active') : t('webhooks.disabled')}
+                                        </span>
+                                    </button>
+                                </td>
+                                <td className="text-end whitespace-nowrap">
+                                    <button className="btn-icon" onClick={() => handleEdit(kiosk)} disabled={busyId === kiosk.id} title={t('accessControl.edit')}>
+                                        <Pencil className="w-4 h-4" />
+                                    </button>
+                                    <button className="btn-icon" onClick={() => handleRotate(kiosk)} disabled={busyId === kiosk.id} title={t('accessControl.rotateToken')}>
+                                        <KeyRound className="w-4 h-4" />
+                                    </button>
+                                    <button className="btn-icon" onClick={() => handleDelete(kiosk)} disabled={busyId === kiosk.id} title={t('accessControl.delete')}>
+                                        <Trash2 className="w-4 h-4 text-red-500" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default KioskSettings;
@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Plus, Trash2, Loader2, Pencil, X, Save } from 'lucide-react';
+import toast from 'react-hot-toast';
+import apiClient from '../../utils/api';
+import { useSettingsStore } from '../../store';
+
+const EMPTY_FORM = {
+    id: null,
+    name: '',
+    kind: 'code', // 'code' | 'family' | 'early_renewal'
+    code: '',
+    minMembers: 2,
+    daysBeforeExpiry: 14,
+    discountType: 'percent',
+    discountValue: '',
+    maxDiscount: '',
+    planIds: [],
+    validFrom: '',
+    validUntil: '',
+    maxUses: '',
+    maxUsesPerMember: '',
+    isActive: true
+};
+
+const KIND_LABELS = {
+    code: 'Discount code',
+    family: 'Family discount',
+    early_renewal: 'Renewal before expiry'
+};
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+const PromotionsSettings = () => {
+    const { t, i18n } = useTranslation();
+    const { getSetting, updateSettings } = useSettingsStore();
+
+    const [promotions, setPromotions] = useState([]);
+    const [plans, setPlans] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [referralReward, setReferralReward] = useState(getSetting('referral_reward_amount', '0'));
+    const [saving, setSaving] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        loadPromotions();
+        apiClient.get('/plans')
+            .then((response) => setPlans(response.data.data || []))
+            .catch((error) => console.error('Failed to load plans:', error));
+    }, []);
+
+    const loadPromotions = async () => {
+        try {
+            const response = await apiClient.get('/promotions');
+            setPromotions(response.data.data || []);
+        } catch (error) {
+            console.error('Failed to load promotions:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const kindLabel = (kind) => t(`promotions.kinds.${kind}`, KIND_LABELS[kind]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        const { id, kind, minMembers, daysBeforeExpiry, ...fields } = form;
+        const body = {
+            ...fields,
+            ruleType: kind === 'code' ? null : kind,
+            ruleConfig: kind === 'family' ? { minMembers } : kind === 'early_renewal' ? { daysBeforeExpiry } : null,
+            validFrom: fields.validFrom || null,
+            validUntil: fields.validUntil ? `${fields.validUntil}T23:59:59` : null
+        };
+        try {
+            if (id) {
+                await apiClient.put(`/promotions/${id}`, body);
+            } else {
+                await apiClient.post('/promotions', body);
+            }
+            toast.success(t('promotions.saved', 'Promotion saved'));
+            setForm(EMPTY_FORM);
+            loadPromotions();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('promotions.saveFailed', 'Failed to save promotion'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleEdit = (promotion) => {
+        setForm({
+            id: promotion.id,
+            name: promotion.name,
+            kind: promotion.ruleType || 'code',
+            code: promotion.code || '',
+            minMembers: promotion.ruleConfig?.minMembers ?? 2,
+            daysBeforeExpiry: promotion.ruleConfig?.daysBeforeExpiry ?? 14,
+            discountType: promotion.discountType,
+            discountValue: promotion.discountValue,
+            maxDiscount: promotion.maxDiscount ?? '',
+            planIds: promotion.planIds || [],
+            validFrom: toDateInput(promotion.validFrom),
+            validUntil: toDateInput(promotion.validUntil),
+            maxUses: promotion.maxUses ?? '',
+            maxUsesPerMember: promotion.maxUsesPerMember ?? '',
+            isActive: promotion.isActive
+        });
+    };
+
+    const handleToggle = async (promotion) => {
+        setBusyId(promotion.id);
+        try {
+            await apiClient.put(`/promotions/${promotion.id}`, { isActive: !promotion.isActive });
+            loadPromotions();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('promotions.saveFailed', 'Failed to save promotion'));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDelete = async (promotion) => {
+        if (!window.confirm(t('promotions.confirmDelete', { name: promotion.name, defaultValue: 'Delete promotion "{{name}}"? A promotion that was already used is deactivated instead.' }))) return;
+        setBusyId(promotion.id);
+        try {
+            const response = await apiClient.delete(`/promotions/${promotion.id}`);
+            if (form.id === promotion.id) setForm(EMPTY_FORM);
+            toast.success(response.data.message);
+            loadPromotions();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('promotions.saveFailed', 'Failed to save promotion'));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const saveReferralReward = async () => {
+        const result = await updateSettings({ referral_reward_amount: Math.max(0, Number(referralReward) || 0) });
+        if (result.success) toast.success(t('promotions.saved', 'Promotion saved'));
+        else toast.error(result.message || t('promotions.saveFailed', 'Failed to save promotion'));
+    };
+
+    const togglePlan = (planId) => {
+        setForm((prev) => ({
+            ...prev,
+            planIds: prev.planIds.includes(planId)
+                ? prev.planIds.filter((id) => id !== planId)
+                : [...prev.planIds, planId]
+        }));
+    };
+
+    const describeDiscount = (promotion) => (
+        promotion.discountType === 'percent' ? `${promotion.discountValue}%` : promotion.discountValue
+    );
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString(i18n.language) : '—');
+
+    if (loading) {
+        return (
+            <div className="flex justify-center py-8">
+                <Loader2 className="w-6 h-6 animate-spin text-dark-400" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-1">{t('promotions.settingsTitle', 'Promotions & referrals')}</h3>
+                <p className="text-sm text-slate-500 dark:text-dark-400">
+                    {t('promotions.settingsDescription', 'Discount codes are typed at the counter. Automatic rules apply by themselves when the member qualifies. A sale gets the single largest discount.')}
+                </p>
+            </div>
+
+            <div className="p-4 rounded-xl border border-slate-200 dark:border-dark-700 flex flex-wrap items-end gap-3">
+                <div>
+                    <label className="label">{t('promotions.referralReward', 'Referral reward (credit)')}</label>
+                    <input
+                        type="number"
+                        min="0"
+                        className="input w-40"
+                        value={referralReward}
+                        onChange={(e) => setReferralReward(e.target.value)}
+                    />
+                </div>
+                <button type="button" className="btn-secondary" onClick={saveReferralReward}>
+                    <Save className="w-4 h-4" />
+                    {t('common.save', 'Save')}
+                </button>
+                <p className="text-xs text-slate-500 dark:text-dark-400 basis-full">
+                    {t('promotions.referralRewardHint', 'Credited to the referrer when the referred member buys their first subscription. 0 turns rewards off.')}
+                </p>
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label className="label">{t('promotions.name', 'Name')}</label>
+                        <input className="input" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+                    </div>
+                    <div>
+                        <label className="label">{t('promotions.kind', 'Type')}</label>
+                        <select className="input" value={form.kind} onChange={(e) => setForm({ ...form, kind: e.target.value })}>
+                            {Object.keys(KIND_LABELS).map((kind) => (
+                                <option key={kind} value={kind}>{kindLabel(kind)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {form.kind === 'code' && (
+                        <div>
+                            <label className="label">{t('promotions.code', 'Code')}</label>
+                            <input
+                                className="input font-mono uppercase"
+                                value={form.code}
+                                onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+                                required
+                            />
+                        </div>
+                    )}
+                    {form.kind === 'family' && (
+                        <div>
+                            <label className="label">{t('promotions.minMembers', 'Family members needed')}</label>
+                            <input type="number" min="2" className="input" value={form.minMembers} onChange={(e) => setForm({ ...form, minMembers: e.target.value })} />
+                        </div>
+                    )}
+                    {form.kind === 'early_renewal' && (
+                        <div>
+                            <label className="label">{t('promotions.daysBeforeExpiry', 'Days before expiry')}</label>
+                            <input type="number" min="1" className="input" value={form.daysBeforeExpiry} onChange={(e) => setForm({ ...form, daysBeforeExpiry: e.target.value })} />
+                        </div>
+                    )}
+                    <div>
+                        <label className="label">{t('promotions.discount', 'Discount')}</label>
+                        <div className="flex gap-2">
+                            <input type="number" min="0" step="0.01" className="input" value={form.discountValue} onChange={(e) => setForm({ ...form, discountValue: e.target.value })} required />
+                            <select className="input w-24" value={form.discountType} onChange={(e) => setForm({ ...form, discountType: e.target.value })}>
+                                <option value="percent">%</option>
+                                <option value="fixed">{t('promotions.fixed', 'Fixed')}</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div>
+                        <label className="label">{t('promotions.maxDiscount', 'Maximum discount (optional)')}</label>
+                        <input type="number" min="0" className="input" value={form.maxDiscount} onChange={(e) => setForm({ ...form, maxDiscount: e.target.value })} />
+                    </div>
+                    <div>
+                        <label className="label">{t('promotions.validFrom', 'Valid from')}</label>
+                        <input type="date" className="input" value={form.validFrom} onChange={(e) => setForm({ ...form, validFrom: e.target.value })} />
+                    </div>
+                    <div>
+                        <label className="label">{t('promotions.validUntil', 'Valid until')}</label>
+                        <input type="date" className="input" value={form.validUntil} onChange={(e) => setForm({ ...form, validUntil: e.target.value })} />
+                    </div>
+                    <div>
+                        <label className="label">{t('promotions.maxUses', 'Total uses (optional)')}</label>
+                        <input type="number" min="1" className="input" value={form.maxUses} onChange={(e) => setForm({ ...form, maxUses: e.target.value })} />
+                    </div>
+                    <div>
+                        <label className="label">{t('promotions.maxUsesPerMember', 'Uses per member (optional)')}</label>
+                        <input type="number" min="1" className="input" value={form.maxUsesPerMember} onChange={(e) => setForm({ ...form, maxUsesPerMember: e.target.value })} />
+                    </div>
+                </div>
+                {plans.length > 0 && (
+                    <div>
+                        <label className="label">{t('promotions.plans', 'Plans (none selected = all plans)')}</label>
+                        <div className="flex flex-wrap gap-2">
+                            {plans.map((plan) => (
+                                <label key={plan.id} className="flex items-center gap-1.5 text-sm text-slate-700 dark:text-dark-200">
+                                    <input type="checkbox" checked={form.planIds.includes(plan.id)} onChange={() => togglePlan(plan.id)} />
+                                    {plan.name}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                )}
+                <div className="flex gap-2">
+                    <button type="submit" disabled={saving} className="btn-primary">
+                        {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                        {form.id ? t('promotions.update', 'Update promotion') : t('promotions.create', 'Add promotion')}
+                    </button>
+                    {form.id && (
+                        <button type="button" className="btn-secondary" onClick={() => setForm(EMPTY_FORM)}>
+                            <X className="w-4 h-4" />
+                            {t('common.cancel')}
+                        </button>
+                    )}
+                </div>
+            </form>
+
+            <div className="table-container">
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>{t('promotions.name', 'Name')}</th>
+                            <th>{t('promotions.kind', 'Type')}</th>
+                            <th>{t('promotions.discount', 'Discount')}</th>
+                            <th>{t('promotions.validity', 'Valid')}</th>
+                            <th>{t('promotions.uses', 'Uses')}</th>
+                            <th>{t('apiKeys.status')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {promotions.length === 0 ? (
+                            <tr>
+                                <td colSpan={7} className="text-center text-slate-500 dark:text-dark-400 py-6">{t('promotions.empty', 'No promotions yet')}</td>
+                            </tr>
+                        ) : promotions.map((promotion) => (
+                            <tr key={promotion.id}>
+                                <td>
+                                    <div className="font-medium">{promotion.name}</div>
+                                    {promotion.code && <code className="text-xs text-slate-500 dark:text-dark-400">{promotion.code}</code>}
+                                </td>
+                                <td className="text-xs">{kindLabel(promotion.ruleType || 'code')}</td>
+                                <td className="font-mono">{describeDiscount(promotion)}</td>
+                                <td className="text-xs">{formatDate(promotion.validFrom)} – {formatDate(promotion.validUntil)}</td>
+                                <td className="font-mono text-xs">{promotion.usedCount}{promotion.maxUses ? ` / ${promotion.maxUses}` : ''}</td>
+                                <td>
+                                    <button type="button" onClick={() => handleToggle(promotion)} disabled={busyId === promotion.id}>
+                                        <span className={`badge ${promotion.isActive ? 'badge-success' : 'badge-danger'}`}>
+                                            {promotion.isActive ? t('apiKeys.active') : t('webhooks.disabled')}
+                                        </span>
+                                    </button>
+                                </td>
+                                <td className="text-end whitespace-nowrap">
+                                    <button className="btn-icon" onClick={() => handleEdit(promotion)} disabled={busyId === promotion.id} title={t('accessControl.edit')}>
+                                        <Pencil className="w-4 h-4" />
+                                    </button>
+                                    <button className="btn-icon" onClick={() => handleDelete(promotion)} disabled={busyId === promotion.id} title={t('accessControl.delete')}>
+                                        <Trash2 className="w-4 h-4 text-red-500" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default PromotionsSettings;
@@ -1,12 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
-import { Plus, Edit2, Trash2, CheckCircle, XCircle, Loader2, DollarSign, Clock } from 'lucide-react';
+import { Plus, Edit2, Trash2, CheckCircle, XCircle, Loader2, DollarSign, Clock, UserX } from 'lucide-react';
 import { Dialog } from '@headlessui/react';
 import toast from 'react-hot-toast';
 import apiClient from '../../utils/api';
+import { useSettingsStore } from '../../store';
+
+const EMPTY_FEE_POLICY = {
+    lateCancelWindowHours: '',
+    lateCancelFee: 0,
+    noShowFee: 0,
+    forfeitPackageSession: false,
+    compensateCoachOnNoShow: false
+};
 
 const ServicesManager = () => {
     const { t } = useTranslation();
+    const { getSetting, updateSettings } = useSettingsStore();
     const [services, setServices] = useState([]);
     const [loading, setLoading] = useState(true);
     const [isModalOpen, setIsModalOpen] = useState(false);
@@ -17,6 +27,8 @@ const ServicesManager = () => {
         type: 'SESSION',
         defaultPrice: 0,
         defaultDuration: 60,
+        taxRate: '',
+        ...EMPTY_FEE_POLICY,
         isActive: true
     });
 
@@ -78,6 +90,12 @@ const ServicesManager = () => {
                 type: service.type,
                 defaultPrice: service.defaultPrice,
                 defaultDuration: service.defaultDuration,
+                taxRate: service.taxRate ?? '',
+                lateCancelWindowHours: service.lateCancelWindowHours ?? '',
+                lateCancelFee: service.lateCancelFee ?? 0,
+                noShowFee: service.noShowFee ?? 0,
+                forfeitPackageSession: Boolean(service.forfeitPackageSession),
+                compensateCoachOnNoShow: Boolean(service.compensateCoachOnNoShow),
                 isActive: service.isActive
             });
         } else {
@@ -87,12 +105,20 @@ const ServicesManager = () => {
                 type: 'SESSION', // Default
                 defaultPrice: 0,
                 defaultDuration: 60,
+                taxRate: '',
+                ...EMPTY_FEE_POLICY,
                 isActive: true
             });
         }
         setIsModalOpen(true);
     };
 
+    const handlePackagePolicyChange = async (key, value) => {
+        const result = await updateSettings({ [key]: value });
+        if (result.success) toast.success(t('appointments.packagePolicySaved', 'Package policy saved'));
+        else toast.error(result.message || 'Operation failed');
+    };
+
     const closeModal = () => {
         setIsModalOpen(false);
         setEditingService(null);
@@ -149,6 +175,16 @@ const ServicesManager = () => {
                             </div>
                         </div>
 
+                        {(service.noShowFee > 0 || service.lateCancelFee > 0 || service.forfeitPackageSession) && (
+                            <div className="mt-2 text-xs text-slate-500 flex items-center gap-1">
+                                <UserX size={12} className="text-amber-500" />
+                                {t('appointments.feePolicySummary', 'No-show {{noShowFee}} · Late cancel {{lateCancelFee}}', {
+                                    noShowFee: service.noShowFee,
+                                    lateCancelFee: service.lateCancelFee
+                                })}
+                            </div>
+                        )}
+
                         {!service.isActive && (
                             <div className="mt-2 text-xs font-bold text-rose-500 flex items-center gap-1">
                                 <XCircle size={12} /> Inactive
@@ -158,11 +194,34 @@ const ServicesManager = () => {
                 ))}
             </div>
 
+            <div className="p-4 rounded-2xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 space-y-3">
+                <div>
+                    <h4 className="font-bold text-slate-900 dark:text-white">{t('appointments.packagePolicyTitle', 'Package sessions')}</h4>
+                    <p className="text-sm text-slate-500">{t('appointments.packagePolicyDescription')}</p>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+                    <input
+                        type="checkbox"
+                        checked={getSetting('appointment_package_restore_on_cancel', true) !== false}
+                        onChange={(e) => handlePackagePolicyChange('appointment_package_restore_on_cancel', e.target.checked)}
+                    />
+                    {t('appointments.restoreOnCancel', 'Give the session back when an appointment is cancelled')}
+                </label>
+                <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+                    <input
+                        type="checkbox"
+                        checked={getSetting('appointment_package_restore_on_no_show', false) === true}
+                        onChange={(e) => handlePackagePolicyChange('appointment_package_restore_on_no_show', e.target.checked)}
+                    />
+                    {t('appointments.restoreOnNoShow', 'Give the session back when the member does not show up')}
+                </label>
+            </div>
+
             {/* Modal */}
             <Dialog open={isModalOpen} onClose={closeModal} className="relative z-50">
                 <div className="fixed inset-0 bg-black/30 backdrop-blur-sm" aria-hidden="true" />
                 <div className="fixed inset-0 flex items-center justify-center p-4">
-                    <Dialog.Panel className="w-full max-w-md rounded-2xl bg-white dark:bg-slate-800 p-6 shadow-xl">
+                    <Dialog.Panel className="w-full max-w-md max-h-[90vh] overflow-y-auto rounded-2xl bg-white dark:bg-slate-800 p-6 shadow-xl">
                         <Dialog.Title className="text-lg font-bold text-slate-900 dark:text-white mb-4">
                             {editingService ? 'Edit Service' : 'New Service'}
                         </Dialog.Title>
@@ -215,6 +274,77 @@ const ServicesManager = () => {
                                 </div>
                             </div>
 
+                            <div>
+                                <label className="block text-sm font-bold text-slate-700 dark:text-slate-300 mb-1">Tax rate (%)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max="100"
+                                    step="0.01"
+                                    placeholder="Default"
+                                    className="w-full px-4 py-2 rounded-xl border border-slate-200 dark:border-slate-600 dark:bg-slate-700 dark:text-white outline-none"
+                                    value={formData.taxRate}
+                                    onChange={e => setFormData({ ...formData, taxRate: e.target.value })}
+                                />
+                            </div>
+
+                            <div className="space-y-3 pt-2 border-t border-slate-200 dark:border-slate-700">
+                                <div>
+                                    <h4 className="text-sm font-bold text-slate-900 dark:text-white">{t('appointments.feePolicyTitle', 'No-show & late cancellation')}</h4>
+                                    <p className="text-xs text-slate-500">{t('appointments.feePolicyDescription')}</p>
+                                </div>
+                                <div className="grid grid-cols-3 gap-3">
+                                    <div>
+                                        <label className="block text-xs font-bold text-slate-700 dark:text-slate-300 mb-1">{t('appointments.lateCancelWindowHours', 'Late within (hours)')}</label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="1"
+                                            placeholder="-"
+                                            className="w-full px-4 py-2 rounded-xl border border-slate-200 dark:border-slate-600 dark:bg-slate-700 dark:text-white outline-none"
+                                            value={formData.lateCancelWindowHours}
+                                            onChange={e => setFormData({ ...formData, lateCancelWindowHours: e.target.value })}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs font-bold text-slate-700 dark:text-slate-300 mb-1">{t('appointments.lateCancelFee', 'Late cancel fee')}</label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            className="w-full px-4 py-2 rounded-xl border border-slate-200 dark:border-slate-600 dark:bg-slate-700 dark:text-white outline-none"
+                                            value={formData.lateCancelFee}
+                                            onChange={e => setFormData({ ...formData, lateCancelFee: e.target.value })}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs font-bold text-slate-700 dark:text-slate-300 mb-1">{t('appointments.noShowFee', 'No-show fee')}</label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            className="w-full px-4 py-2 rounded-xl border border-slate-200 dark:border-slate-600 dark:bg-slate-700 dark:text-white outline-none"
+                                            value={formData.noShowFee}
+                                            onChange={e => setFormData({ ...formData, noShowFee: e.target.value })}
+                                        />
+                                    </div>
+                                </div>
+                                <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+                                    <input
+                                        type="checkbox"
+                                        checked={formData.forfeitPackageSession}
+                                        onChange={e => setFormData({ ...formData, forfeitPackageSession: e.target.checked })}
+                                    />
+                                    {t('appointments.forfeitPackageSession', 'Package bookings lose the session instead of paying a fee')}
+                                </label>
+                                <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+                                    <input
+                                        type="checkbox"
+                                        checked={formData.compensateCoachOnNoShow}
+                                        onChange={e => setFormData({ ...formData, compensateCoachOnNoShow: e.target.checked })}
+                                    />
+                                    {t('appointments.compensateCoachOnNoShow', 'Pay the coach commission on no-shows')}
+                                </label>
+                            </div>
+
                             <div className="flex items-center gap-2">
                                 <input
                                     type="checkbox"
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Loader2, Save } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSettingsStore } from '../../store';
+
+const TaxSettings = () => {
+    const { t } = useTranslation();
+    const { getSetting, updateSettings } = useSettingsStore();
+
+    const [form, setForm] = useState(() => ({
+        tax_enabled: getSetting('tax_enabled', false) === true,
+        tax_name: getSetting('tax_name', 'VAT') || 'VAT',
+        tax_default_rate: getSetting('tax_default_rate', 0),
+        tax_prices_inclusive: getSetting('tax_prices_inclusive', true) !== false,
+        tax_registration_number: getSetting('tax_registration_number', '')
+    }));
+    const [saving, setSaving] = useState(false);
+
+    const setField = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const rate = Number(form.tax_default_rate);
+        if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+            toast.error(t('tax.invalidRate', 'Tax rate must be between 0 and 100'));
+            return;
+        }
+        setSaving(true);
+        const result = await updateSettings({
+            ...form,
+            tax_name: form.tax_name.trim() || 'VAT',
+            tax_default_rate: rate,
+            tax_registration_number: form.tax_registration_number.trim()
+        });
+        setSaving(false);
+        if (result.success) toast.success(t('tax.saved', 'Tax settings saved'));
+        else toast.error(result.message || t('tax.saveFailed', 'Failed to save tax settings'));
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-1">{t('tax.settingsTitle', 'Tax / VAT')}</h3>
+                <p className="text-sm text-slate-500 dark:text-dark-400">
+                    {t('tax.settingsDescription', 'Plans, products and services use the default rate unless they have their own. Rates are locked on each sale, so changing them only affects new sales.')}
+                </p>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-dark-200">
+                <input
+                    type="checkbox"
+                    checked={form.tax_enabled}
+                    onChange={(e) => setField('tax_enabled', e.target.checked)}
+                />
+                {t('tax.enabled', 'Charge tax')}
+            </label>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                    <label className="label">{t('tax.name', 'Tax name on receipts')}</label>
+                    <input
+                        type="text"
+                        className="input"
+                        value={form.tax_name}
+                        onChange={(e) => setField('tax_name', e.target.value)}
+                    />
+                </div>
+                <div>
+                    <label className="label">{t('tax.defaultRate', 'Default rate (%)')}</label>
+                    <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        className="input"
+                        value={form.tax_default_rate}
+                        onChange={(e) => setField('tax_default_rate', e.target.value)}
+                    />
+                </div>
+                <div>
+                    <label className="label">{t('tax.registrationNumber', 'Tax registration number')}</label>
+                    <input
+                        type="text"
+                        className="input font-mono"
+                        value={form.tax_registration_number}
+                        onChange={(e) => setField('tax_registration_number', e.target.value)}
+                    />
+                </div>
+            </div>
+
+            <div className="space-y-2">
+                <label className="label">{t('tax.pricing', 'Prices')}</label>
+                <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-dark-200">
+                    <input
+                        type="radio"
+                        name="tax_prices_inclusive"
+                        checked={form.tax_prices_inclusive}
+                        onChange={() => setField('tax_prices_inclusive', true)}
+                    />
+                    {t('tax.inclusive', 'Prices include tax')}
+                </label>
+                <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-dark-200">
+                    <input
+                        type="radio"
+                        name="tax_prices_inclusive"
+                        checked={!form.tax_prices_inclusive}
+                        onChange={() => setField('tax_prices_inclusive', false)}
+                    />
+                    {t('tax.exclusive', 'Add tax on top of prices')}
+                </label>
+                <p className="text-xs text-slate-500 dark:text-dark-400">
+                    {t('tax.sessionsHint', 'Session prices are agreed per appointment and always include tax.')}
+                </p>
+            </div>
+
+            <div className="flex justify-end">
+                <button type="submit" disabled={saving} className="btn-primary">
+                    {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                    {t('common.save', 'Save')}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default TaxSettings;
@@ -0,0 +1,332 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Plus, Trash2, Loader2, Copy, RefreshCw, Send, RotateCcw, KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
+import apiClient from '../../utils/api';
+
+const EMPTY_FORM = { url: '', description: '', events: [] };
+
+const STATUS_BADGES = {
+    success: 'badge-success',
+    pending: 'badge-warning',
+    sending: 'badge-warning',
+    failed: 'badge-danger'
+};
+
+const WebhookSettings = () => {
+    const { t, i18n } = useTranslation();
+    const [endpoints, setEndpoints] = useState([]);
+    const [events, setEvents] = useState([]);
+    const [deliveries, setDeliveries] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [secret, setSecret] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        loadAll();
+    }, [statusFilter]);
+
+    const loadAll = async () => {
+        try {
+            const [endpointsRes, eventsRes, deliveriesRes] = await Promise.all([
+                apiClient.get('/webhooks'),
+                apiClient.get('/webhooks/events'),
+                apiClient.get('/webhooks/deliveries', { params: { limit: 25, status: statusFilter || undefined } })
+            ]);
+            setEndpoints(endpointsRes.data.data || []);
+            setEvents(eventsRes.data.data || []);
+            setDeliveries(deliveriesRes.data.data?.deliveries || []);
+        } catch (error) {
+            console.error('Failed to load webhooks:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggleEvent = (event) => {
+        setForm((prev) => ({
+            ...prev,
+            events: prev.events.includes(event)
+                ? prev.events.filter((e) => e !== event)
+                : [...prev.events, event]
+        }));
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const response = await apiClient.post('/webhooks', form);
+            setSecret(response.data.data.secret);
+            setForm(EMPTY_FORM);
+            loadAll();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('webhooks.saveFailed'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const runAction = async (id, action) => {
+        setBusyId(id);
+        try {
+            await action();
+            loadAll();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('webhooks.saveFailed'));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleToggle = (endpoint) => runAction(`endpoint-${endpoint.id}`, () => (
+        apiClient.put(`/webhooks/${endpoint.id}`, { isActive: !endpoint.isActive })
+    ));
+
+    const handleTest = (endpoint) => runAction(`endpoint-${endpoint.id}`, async () => {
+        const response = await apiClient.post(`/webhooks/${endpoint.id}/test`);
+        if (response.data.data?.status === 'success') {
+            toast.success(t('webhooks.testDelivered'));
+        } else {
+            toast.error(t('webhooks.testFailed', { error: response.data.data?.error || '' }));
+        }
+    });
+
+    const handleRotate = (endpoint) => {
+        if (!window.confirm(t('webhooks.confirmRotate', { url: endpoint.url }))) return;
+        runAction(`endpoint-${endpoint.id}`, async () => {
+            const response = await apiClient.post(`/webhooks/${endpoint.id}/rotate-secret`);
+            setSecret(response.data.data.secret);
+        });
+    };
+
+    const handleDelete = (endpoint) => {
+        if (!window.confirm(t('webhooks.confirmDelete', { url: endpoint.url }))) return;
+        runAction(`endpoint-${endpoint.id}`, async () => {
+            await apiClient.delete(`/webhooks/${endpoint.id}`);
+            toast.success(t('webhooks.deleted'));
+        });
+    };
+
+    const handleReplay = (delivery) => runAction(`delivery-${delivery.id}`, async () => {
+        const response = await apiClient.post(`/webhooks/deliveries/${delivery.id}/replay`);
+        if (response.data.data?.status === 'success') {
+            toast.success(t('webhooks.replayed'));
+        } else {
+            toast.error(t('webhooks.replayFailed'));
+        }
+    });
+
+    const copySecret = async () => {
+        try {
+            await navigator.clipboard.writeText(secret);
+            toast.success(t('webhooks.copied'));
+        } catch (error) {
+            toast.error(t('apiKeys.copyFailed'));
+        }
+    };
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleString(i18n.language) : '—');
+
+    if (loading) {
+        return (
+            <div className="flex justify-center py-8">
+                <Loader2 className="w-6 h-6 animate-spin text-dark-400" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-1">{t('webhooks.title')}</h3>
+                <p className="text-sm text-slate-500 dark:text-dark-400">{t('webhooks.description')}</p>
+            </div>
+
+            {secret && (
+                <div className="p-4 rounded-xl border border-amber-300 bg-amber-50 dark:bg-amber-900/20 dark:border-amber-700 space-y-2">
+                    <p className="text-sm font-medium text-amber-800 dark:text-amber-300">{t('webhooks.copySecret')}</p>
+                    <div className="flex items-center gap-2">
+                        <code className="flex-1 px-3 py-2 rounded-lg bg-white dark:bg-dark-800 text-sm break-all">{secret}</code>
+                        <button type="button" className="btn-icon" onClick={copySecret} title={t('apiKeys.copy')}>
+                            <Copy className="w-4 h-4" />
+                        </button>
+                    </div>
+                    <button type="button" className="text-sm text-amber-700 dark:text-amber-300 underline" onClick={() => setSecret(null)}>
+                        {t('webhooks.dismiss')}
+                    </button>
+                </div>
+            )}
+
+            <form onSubmit={handleCreate} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label className="label">{t('webhooks.url')}</label>
+                        <input
+                            type="url"
+                            className="input"
+                            placeholder="https://"
+                            value={form.url}
+                            onChange={(e) => setForm({ ...form, url: e.target.value })}
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label className="label">{t('webhooks.endpointDescription')}</label>
+                        <input className="input" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+                    </div>
+                </div>
+                <div>
+                    <label className="label">{t('webhooks.events')}</label>
+                    <div className="flex flex-wrap gap-4">
+                        <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-dark-200">
+                            <input type="checkbox" checked={form.events.includes('*')} onChange={() => toggleEvent('*')} />
+                            {t('webhooks.allEvents')}
+                        </label>
+                        {events.map((event) => (
+                            <label key={event} className="flex items-center gap-2 text-sm text-slate-700 dark:text-dark-200">
+                                <input
+                                    type="checkbox"
+                                    disabled={form.events.includes('*')}
+                                    checked={form.events.includes('*') || form.events.includes(event)}
+                                    onChange={() => toggleEvent(event)}
+                                />
+                                <code>{event}</code>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+                <button type="submit" disabled={saving || form.events.length === 0} className="btn-primary">
+                    {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                    {t('webhooks.create')}
+                </button>
+            </form>
+
+            <div className="table-container">
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>{t('webhooks.url')}</th>
+                            <th>{t('webhooks.events')}</th>
+                            <th>{t('webhooks.secret')}</th>
+                            <th>{t('apiKeys.status')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {endpoints.length === 0 ? (
+                            <tr>
+                                <td colSpan="5" className="text-center text-slate-500 dark:text-dark-400 py-6">{t('webhooks.empty')}</td>
+                            </tr>
+                        ) : endpoints.map((endpoint) => (
+                            <tr key={endpoint.id}>
+                                <td>
+                                    <div className="font-medium break-all">{endpoint.url}</div>
+                                    {endpoint.description && (
+                                        <div className="text-xs text-slate-500 dark:text-dark-400">{endpoint.description}</div>
+                                    )}
+                                </td>
+                                <td className="text-xs">{endpoint.events.includes('*') ? t('webhooks.allEvents') : endpoint.events.join(', ')}</td>
+                                <td><code className="text-xs">{endpoint.secretHint}</code></td>
+                                <td>
+                                    <button type="button" onClick={() => handleToggle(endpoint)} disabled={busyId === `endpoint-${endpoint.id}`}>
+                                        <span className={`badge ${endpoint.isActive ? 'badge-success' : 'badge-danger'}`}>
+                                            {endpoint.isActive ? t('apiKeys.active') : t('webhooks.disabled')}
+                                        </span>
+                                    </button>
+                                </td>
+                                <td className="text-end whitespace-nowrap">
+                                    <button className="btn-icon" onClick={() => handleTest(endpoint)} disabled={busyId === `endpoint-${endpoint.id}`} title={t('webhooks.sendTest')}>
+                                        <Send className="w-4 h-4" />
+                                    </button>
+                                    <button className="btn-icon" onClick={() => handleRotate(endpoint)} disabled={busyId === `endpoint-${endpoint.id}`} title={t('webhooks.rotateSecret')}>
+                                        <KeyRound className="w-4 h-4" />
+                                    </button>
+                                    <button className="btn-icon" onClick={() => handleDelete(endpoint)} disabled={busyId === `endpoint-${endpoint.id}`} title={t('webhooks.delete')}>
+                                        <Trash2 className="w-4 h-4 text-red-500" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div>
+                <div className="flex items-center justify-between gap-3 mb-3">
+                    <h4 className="font-semibold text-slate-900 dark:text-white">{t('webhooks.deliveries')}</h4>
+                    <div className="flex items-center gap-2">
+                        <select className="input" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                            <option value="">{t('webhooks.allStatuses')}</option>
+                            <option value="pending">{t('webhooks.status.pending')}</option>
+                            <option value="success">{t('webhooks.status.success')}</option>
+                            <option value="failed">{t('webhooks.status.failed')}</option>
+                        </select>
+                        <button type="button" className="btn-icon" onClick={loadAll} title={t('common.refresh')}>
+                            <RefreshCw className="w-4 h-4" />
+                        </button>
+                    </div>
+                </div>
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>{t('apiKeys.time')}</th>
+                                <th>{t('webhooks.event')}</th>
+                                <th>{t('webhooks.url')}</th>
+                                <th>{t('apiKeys.status')}</th>
+                                <th>{t('webhooks.attempts')}</th>
+                                <th>{t('webhooks.lastResult')}</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {deliveries.length === 0 ? (
+                                <tr>
+                                    <td colSpan="7" className="text-center text-slate-500 dark:text-dark-400 py-6">{t('webhooks.noDeliveries')}</td>
+                                </tr>
+                            ) : deliveries.map((delivery) => (
+                                <tr key={delivery.id}>
+                                    <td>{formatDate(delivery.createdAt)}</td>
+                                    <td><code className="text-xs">{delivery.event}</code></td>
+                                    <td className="text-xs break-all">{delivery.endpoint?.url || '—'}</td>
+                                    <td>
+                                        <span className={`badge ${STATUS_BADGES[delivery.status] || 'badge-warning'}`}>
+                                            {t(`webhooks.status.${delivery.status}`, delivery.status)}
+                                        </span>
+                                        {delivery.status === 'pending' && delivery.attempts > 0 && (
+                                            <div className="text-xs text-slate-500 dark:text-dark-400 mt-1">
+                                                {t('webhooks.nextAttempt', { time: formatDate(delivery.nextAttemptAt) })}
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td>{delivery.attempts}</td>
+                                    <td className={delivery.error ? 'text-red-500 text-xs' : 'text-xs'}>
+                                        {delivery.error || (delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : '—')}
+                                    </td>
+                                    <td className="text-end">
+                                        {!['pending', 'sending'].includes(delivery.status) && (
+                                            <button
+                                                className="btn-icon"
+                                                onClick={() => handleReplay(delivery)}
+                                                disabled={busyId === `delivery-${delivery.id}`}
+                                                title={t('webhooks.replay')}
+                                            >
+                                                <RotateCcw className="w-4 h-4" />
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default WebhookSettings;
@@ -12,11 +12,12 @@ import {
     LayoutDashboard, Users, CreditCard, CalendarCheck, Receipt,
     BarChart3, Settings, LogOut, Sun, Moon, Globe, Dumbbell,
     ChevronLeft, ClipboardList, Package, ShieldCheck, Shield,
-    Bell, ArrowUpCircle, ShoppingCart, Menu, Search, Calendar, Briefcase, LifeBuoy
+    Bell, ArrowUpCircle, ShoppingCart, Menu, Search, Calendar, CalendarDays, Briefcase, LifeBuoy, Wallet, UserPlus
 } from 'lucide-react';
 import { useAuthStore, useThemeStore, useSidebarStore, usePosStore, useSettingsStore } from '../store';
 import PosShiftModal from '../components/PosShiftModal';
 import NotificationBell from '../components/NotificationBell';
+import BranchSelector from '../components/BranchSelector';
 import { usePermissions } from '../hooks/usePermissions';
 import { useSubscriptionAlerts } from '../hooks/useSubscriptionAlerts';
 import { useVoiceAlerts } from '../hooks/useVoiceAlerts';
@@ -93,11 +94,13 @@ const MainLayout = () => {
     const navItems = [
         { path: '/', icon: LayoutDashboard, label: safeT('nav.dashboard', isRTL ? 'لوحة التحكم' : 'Dashboard'), permission: PERMISSIONS.DASHBOARD_VIEW_BASIC },
         { path: '/members', icon: Users, label: safeT('nav.members', isRTL ? 'الأعضاء' : 'Members'), permission: PERMISSIONS.MEMBERS_VIEW },
+        { path: '/leads', icon: UserPlus, label: safeT('nav.leads', isRTL ? 'العملاء المحتملون' : 'Leads'), permission: PERMISSIONS.LEADS_VIEW },
         { path: '/subscriptions', icon: CreditCard, label: safeT('nav.subscriptions', isRTL ? 'الاشتراكات' : 'Subscriptions'), permission: PERMISSIONS.SUBSCRIPTIONS_VIEW },
         { path: '/session-packs', icon: CalendarCheck, label: safeT('nav.sessionPacks', isRTL ? 'باقات الجلسات' : 'Session Packs'), permission: PERMISSIONS.SUBSCRIPTIONS_VIEW },
         { path: '/plans', icon: ClipboardList, label: safeT('nav.plans', isRTL ? 'الخطط' : 'Plans'), permission: PERMISSIONS.PLANS_VIEW },
         { path: '/checkin', icon: CalendarCheck, label: safeT('nav.checkin', isRTL ? 'تسجيل الحضور' : 'Check-in'), permission: PERMISSIONS.CHECKINS_VIEW },
         { path: '/appointments', icon: Calendar, label: safeT('nav.appointments', isRTL ? 'المواعيد' : 'Appointments'), permission: PERMISSIONS.APPOINTMENTS_VIEW },
+        { path: '/classes', icon: CalendarDays, label: safeT('nav.classes', isRTL ? 'الحصص الجماعية' : 'Group Classes'), permission: PERMISSIONS.CLASSES_VIEW },
         { path: '/coaches', icon: Briefcase, label: safeT('nav.coaches', isRTL ? 'المدربين' : 'Coaches'), permission: PERMISSIONS.COACHES_VIEW },
         { path: '/payments', icon: Receipt, label: safeT('nav.payments', isRTL ? 'المدفوعات' : 'Payments'), permission: PERMISSIONS.PAYMENTS_VIEW },
         { path: '/sales', icon: ShoppingCart, label: safeT('nav.pos', isRTL ? 'نقاط البيع' : 'POS'), permission: PERMISSIONS.PAYMENTS_VIEW },
@@ -106,6 +109,7 @@ const MainLayout = () => {
         { path: '/payment-alerts', icon: Bell, label: safeT('nav.paymentAlerts', isRTL ? 'تنبيهات الدفع' : 'Payment Alerts'), permission: PERMISSIONS.REPORTS_VIEW },
         { path: '/subscription-alerts', icon: Bell, label: safeT('nav.subscriptionAlerts', isRTL ? 'تنبيهات الاشتراكات' : 'Subscription Alerts'), permission: PERMISSIONS.SUBSCRIPTIONS_VIEW },
         { path: '/pay-in-out', icon: ArrowUpCircle, label: safeT('nav.payInOut', isRTL ? 'صادر / وارد' : 'Pay In/Out'), permission: PERMISSIONS.PAYMENTS_VIEW },
+        { path: '/expenses', icon: Wallet, label: safeT('nav.expenses', isRTL ? 'المصروفات' : 'Expenses'), permission: PERMISSIONS.EXPENSES_VIEW },
         { path: '/support', icon: LifeBuoy, label: safeT('nav.support', isRTL ? 'الدعم / تواصل معنا' : 'Support / Contact Us') },
         { path: '/settings', icon: Settings, label: safeT('nav.settings', isRTL ? 'الإعدادات' : 'Settings'), permission: PERMISSIONS.SETTINGS_VIEW },
     ];
@@ -272,6 +276,7 @@ const MainLayout = () => {
                             </button>
                         </div>
                         <div className="w-px h-6 bg-white/10 mx-1" />
+                        <BranchSelector />
                         <NotificationBell />
                         <button onClick={() => setIsShiftModalOpen(true)} className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-indigo-600 to-blue-600 text-white rounded-full font-bold text-sm hover:shadow-glow transition-all">
                             <Receipt size={14} />
@@ -2,17 +2,27 @@
 import { useTranslation } from 'react-i18next';
 import { Dialog, Transition } from '@headlessui/react';
 
-import { X, User, Calendar, Clock, DollarSign, Activity, Eye, CheckCircle, Lock } from 'lucide-react';
+import { X, User, Calendar, Clock, DollarSign, Activity, Eye, CheckCircle, Lock, Repeat, Package } from 'lucide-react';
 import apiClient from '../../utils/api';
 import { useAuthStore } from '../../store';
 import toast from 'react-hot-toast';
 import { format, parseISO, startOfMonth, endOfMonth, addMonths, addMinutes, isBefore, isAfter, startOfDay } from 'date-fns';
-import { formatTime } from '../../utils/dateFormatter';
+import { formatDate, formatTime } from '../../utils/dateFormatter';
 import CoachScheduleModal from './CoachScheduleModal';
 import CompletionPreviewModal from './CompletionPreviewModal';
 import ReceiptModal from '../../components/payments/ReceiptModal';
 import { formatMoney } from '../../utils/numberFormatter';
 
+const EMPTY_REPEAT = {
+    enabled: false,
+    frequency: 'weekly',
+    weekdays: [],
+    interval: '1',
+    endType: 'count',
+    count: '8',
+    until: ''
+};
+
 const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate, autoCompleteTriggerId, onAutoCompleteTriggered, readOnly, meta = null }) => {
     const { t, i18n } = useTranslation();
     const isRtl = i18n.dir() === 'rtl';
@@ -50,6 +60,11 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
     // Availability State
     const [bookedRanges, setBookedRanges] = useState([]);
     const [showSchedule, setShowSchedule] = useState(false);
+    const [freeSlots, setFreeSlots] = useState(null);
+    const [hoursRefused, setHoursRefused] = useState(false);
+    const [overrideHours, setOverrideHours] = useState(false);
+    const [memberPackages, setMemberPackages] = useState([]);
+    const [selectedPackageId, setSelectedPackageId] = useState('');
 
     // Completion Flow State
     const [showCompletionPreview, setShowCompletionPreview] = useState(false);
@@ -85,6 +100,8 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
     });
 
     const [loading, setLoading] = useState(false);
+    const [repeat, setRepeat] = useState(EMPTY_REPEAT);
+    const [seriesScope, setSeriesScope] = useState('this');
     const [memberLoading, setMemberLoading] = useState(false);
 
     const toUniqueTrainers = (rows) => {
@@ -188,6 +205,8 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
                 });
                 setShowLeadPaymentStep(false);
                 setShowLeadDetailsStep(false);
+                setSeriesScope('this');
+                setSelectedPackageId(appointment.memberPackageId ? appointment.memberPackageId.toString() : '');
                 setAdjustForm({
                     price: (appointment.finalPrice ?? appointment.price ?? 0).toString(),
                     reason: ''
@@ -239,6 +258,8 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
                 setShowLeadPaymentStep(false);
                 setShowLeadDetailsStep(false);
                 setBookedRanges([]);
+                setRepeat(EMPTY_REPEAT);
+                setSelectedPackageId('');
 
                 // Clear completion state
                 setShowCompletionPreview(false);
@@ -269,6 +290,28 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
         }
     };
 
+    const packageMemberId = selectedMember?.id ?? appointment?.memberId ?? null;
+    const selectedServiceId = services.find((service) => service.name === form.title)?.id;
+    const selectedPackage = memberPackages.find((pkg) => String(pkg.id) === selectedPackageId);
+
+    useEffect(() => {
+        if (!open || !packageMemberId || (!appointment && bookingMode !== 'member')) {
+            setMemberPackages([]);
+            return;
+        }
+        apiClient.get('/appointments/packages', { params: { memberId: packageMemberId, serviceId: selectedServiceId } })
+            .then((res) => setMemberPackages(res.data.data || []))
+            .catch(() => setMemberPackages([]));
+    }, [open, packageMemberId, selectedServiceId, bookingMode, appointment]);
+
+    const handlePackageChange = (value) => {
+        setSelectedPackageId(value);
+        const pkg = memberPackages.find((row) => String(row.id) === value);
+        if (pkg) {
+            setForm((prev) => ({ ...prev, price: pkg.sessionValue.toString() }));
+        }
+    };
+
     const getMemberFullName = (member) => `${member?.firstName || ''} ${member?.lastName || ''}`.trim();
 
     const handleMemberSelect = (member) => {
@@ -381,6 +424,40 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
     }, [appointment, form.price]);
 
     const durationValid = durationNumber !== null && durationNumber >= 1 && durationNumber <= 600;
+
+    useEffect(() => {
+        if (!open) return;
+        setHoursRefused(false);
+        setOverrideHours(false);
+    }, [open, appointment]);
+
+    // Free slots of the coach on the chosen day for the chosen duration
+    useEffect(() => {
+        if (!open || isReadOnly || !selectedCoachId || !selectedDate || !durationValid) {
+            setFreeSlots(null);
+            return undefined;
+        }
+        let cancelled = false;
+        apiClient.get('/appointments/availability/slots', {
+            params: {
+                coachId: selectedCoachId,
+                from: selectedDate,
+                durationMinutes: durationNumber,
+                excludeId: appointment?.id
+            }
+        })
+            .then((res) => {
+                if (cancelled) return;
+                const data = res.data.data;
+                setFreeSlots(data?.days?.[0] ? { hoursSet: data.hoursSet, ...data.days[0] } : null);
+            })
+            .catch(() => {
+                if (!cancelled) setFreeSlots(null);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [open, isReadOnly, selectedCoachId, selectedDate, durationNumber, durationValid, appointment]);
     const isArabic = (i18n.language || '').startsWith('ar');
     const hourOptions = useMemo(() => Array.from({ length: 12 }, (_, index) => String(index + 1)), []);
     const minuteOptions = useMemo(() => [0, 5, 10, 15, 20, 30, 45, 55], []);
@@ -487,16 +564,35 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
             payload.durationMinutes = durationNumber;
             payload.startTime = selectedTime;
             payload.trainerId = selectedTrainerId ? parseInt(selectedTrainerId) : null;
+            if (overrideHours) {
+                payload.overrideHours = true;
+            }
             if (appointment) {
                 payload.memberId = selectedMember?.id ?? appointment?.memberId;
+                if (payload.memberId) {
+                    payload.memberPackageId = selectedPackageId ? parseInt(selectedPackageId, 10) : null;
+                }
+                if (appointment.seriesId) {
+                    payload.scope = seriesScope;
+                }
                 if (appointment.bookingType === 'tentative' && !appointment.memberId) {
                     payload.bookingType = 'tentative';
                     payload.status = form.status || appointment.status || 'booked';
                 }
             } else if (bookingMode === 'member') {
                 payload.memberId = selectedMember?.id ?? null;
+                payload.memberPackageId = selectedPackageId ? parseInt(selectedPackageId, 10) : null;
                 payload.bookingType = 'confirmed';
                 payload.status = 'booked';
+                if (repeat.enabled) {
+                    payload.recurrence = {
+                        frequency: repeat.frequency,
+                        weekdays: repeat.frequency === 'weekly' ? repeat.weekdays : undefined,
+                        interval: parseInt(repeat.interval, 10) || 1,
+                        count: repeat.endType === 'count' ? parseInt(repeat.count, 10) : undefined,
+                        until: repeat.endType === 'until' ? repeat.until : undefined
+                    };
+                }
             } else {
                 payload.bookingType = 'tentative';
                 payload.status = form.status || 'booked';
@@ -514,26 +610,59 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
             }
 
             if (res.data.success) {
-                toast.success(appointment ? 'Appointment Updated' : 'Appointment Created');
+                toast.success(res.data.message || (appointment ? 'Appointment Updated' : 'Appointment Created'));
+                showSeriesConflicts(res.data.data?.conflicts);
                 onSuccess();
                 onClose();
             }
         } catch (error) {
             toast.error(error.response?.data?.message || 'Failed to save appointment');
+            showSeriesConflicts(error.response?.data?.data?.conflicts);
+            const conflicts = error.response?.data?.data?.conflicts || [];
+            if (error.response?.data?.code === 'OUTSIDE_WORKING_HOURS' || conflicts.some((conflict) => conflict.reason && !['booked', 'package'].includes(conflict.reason))) {
+                setHoursRefused(true);
+            }
         } finally {
             setLoading(false);
         }
     };
 
+    const showSeriesConflicts = (conflicts) => {
+        if (!Array.isArray(conflicts) || conflicts.length === 0) return;
+        const dates = conflicts
+            .map((conflict) => `${formatDate(conflict.start, i18n.language)} ${formatTime(conflict.start, i18n.language)}`)
+            .join(', ');
+        toast.error(t('appointments.seriesConflicts', { dates, defaultValue: 'Not available, not changed: {{dates}}' }), { duration: 8000 });
+    };
+
+    const toggleRepeatWeekday = (day) => {
+        setRepeat((prev) => ({
+            ...prev,
+            weekdays: prev.weekdays.includes(day)
+                ? prev.weekdays.filter((value) => value !== day)
+                : [...prev.weekdays, day].sort((a, b) => a - b)
+        }));
+    };
+
     const handleCancel = async () => {
         if (isReadOnly) {
             return;
         }
         if (!confirm('Are you sure you want to cancel this appointment? This will mark it as Cancelled.')) return;
+        // The gym cancelling (coach ill, closure) never charges a late-cancellation fee
+        const cancelledBy = appointment.memberId
+            && confirm('Is the gym cancelling this appointment? Press OK to cancel without a late-cancellation fee, Cancel if the member cancelled.')
+            ? 'gym'
+            : 'member';
         setLoading(true);
         try {
-            await apiClient.put(`/appointments/${appointment.id}`, { status: 'cancelled' });
-            toast.success('Appointment cancelled');
+            if (appointment.seriesId && seriesScope !== 'this') {
+                const res = await apiClient.delete(`/appointments/${appointment.id}`, { params: { scope: seriesScope, cancelledBy } });
+                toast.success(res.data.message);
+            } else {
+                await apiClient.put(`/appointments/${appointment.id}`, { status: 'cancelled', cancelledBy });
+                toast.success('Appointment cancelled');
+            }
             onSuccess();
             onClose();
         } catch (error) {
@@ -731,7 +860,7 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
         try {
             const isSessionCompletion = completionData?.isSession ?? !appointment?.subscriptionId;
             const sessionPriceValue = Number(payload?.sessionPrice);
-            if (isSessionCompletion && (!Number.isFinite(sessionPriceValue) || sessionPriceValue <= 0)) {
+            if (isSessionCompletion && !completionData?.memberPackage && (!Number.isFinite(sessionPriceValue) || sessionPriceValue <= 0)) {
                 toast.error(isRtl ? 'سعر الجلسة يجب أن يكون أكبر من صفر' : 'Session price must be greater than 0');
                 return;
             }
@@ -815,7 +944,10 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
     const canComplete = Boolean(appointment && isTentativeAppointment && appointment.status === 'booked' && !isAlreadyCompleted);
     const requiresMemberSelection = !appointment && bookingMode === 'member';
     const isMemberSelectionMissing = requiresMemberSelection && !selectedMember;
-    const isSubmitDisabled = isReadOnly || loading || isOverlapping || isPastSelection || validationError || isMemberSelectionMissing;
+    const isRepeating = !appointment && bookingMode === 'member' && repeat.enabled;
+    const isRepeatInvalid = isRepeating && (repeat.endType === 'until' ? !repeat.until : !(parseInt(repeat.count, 10) > 0));
+    // A clash on the first date of a series is skipped and reported, not blocking
+    const isSubmitDisabled = isReadOnly || loading || (isOverlapping && !isRepeating) || isPastSelection || validationError || isMemberSelectionMissing || isRepeatInvalid;
 
     return (
         <Transition appear show={open} as={Fragment}>
@@ -1194,6 +1326,126 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
                                         </div>
                                     </div>
 
+                                    {/* Free slots */}
+                                    {freeSlots && !isReadOnly && (
+                                        <div className="space-y-2">
+                                            <label className="text-xs font-bold text-slate-500 uppercase">{t('appointments.freeSlots', 'Free slots')}</label>
+                                            {freeSlots.closed ? (
+                                                <div className="text-xs text-amber-400">{t('appointments.gymClosed', { name: freeSlots.closed, defaultValue: 'The gym is closed ({{name}})' })}</div>
+                                            ) : !freeSlots.hoursSet ? (
+                                                <div className="text-xs text-slate-500">{t('appointments.noWorkingHours', 'No working hours set for this coach')}</div>
+                                            ) : freeSlots.slots.length === 0 ? (
+                                                <div className="text-xs text-slate-500">
+                                                    {freeSlots.timeOff ? t('appointments.coachOff', 'The coach is off on this day') : t('appointments.noFreeSlots', 'No free slots on this day')}
+                                                </div>
+                                            ) : (
+                                                <div className="flex flex-wrap gap-2 max-h-28 overflow-y-auto">
+                                                    {freeSlots.slots.map((slot) => {
+                                                        const value = format(parseISO(slot.start), 'HH:mm');
+                                                        return (
+                                                            <button
+                                                                key={slot.start}
+                                                                type="button"
+                                                                onClick={() => setSelectedTime(value)}
+                                                                className={`px-3 py-1 text-xs font-bold rounded-lg border transition ${selectedTime === value ? 'bg-blue-600 border-blue-500 text-white' : 'bg-slate-800 border-white/5 text-slate-300 hover:bg-slate-700'}`}
+                                                            >
+                                                                {formatTime(slot.start, i18n.language)}
+                                                            </button>
+                                                        );
+                                                    })}
+                                                </div>
+                                            )}
+                                        </div>
+                                    )}
+
+                                    {/* Repeat (member bookings only) */}
+                                    {!appointment && bookingMode === 'member' && (
+                                        <div className="space-y-3 rounded-xl bg-slate-800/40 border border-white/5 p-3">
+                                            <label className="flex items-center gap-2 text-sm font-bold text-slate-300 cursor-pointer">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={repeat.enabled}
+                                                    onChange={(e) => setRepeat((prev) => ({ ...prev, enabled: e.target.checked }))}
+                                                />
+                                                <Repeat size={16} className="text-slate-500" />
+                                                {t('appointments.repeat', 'Repeat')}
+                                            </label>
+                                            {repeat.enabled && (
+                                                <>
+                                                    <div className="grid grid-cols-2 gap-3">
+                                                        <select
+                                                            value={repeat.frequency}
+                                                            onChange={(e) => setRepeat((prev) => ({ ...prev, frequency: e.target.value }))}
+                                                            className="w-full bg-slate-800 border border-white/5 rounded-xl px-3 py-2 text-white text-sm focus:outline-none focus:border-blue-500"
+                                                        >
+                                                            <option value="weekly">{t('appointments.repeatWeekly', 'Weekly')}</option>
+                                                            <option value="daily">{t('appointments.repeatDaily', 'Every N days')}</option>
+                                                        </select>
+                                                        <div className="flex items-center gap-2 text-xs text-slate-400">
+                                                            <span>{t('appointments.repeatEvery', 'Every')}</span>
+                                                            <input
+                                                                type="number"
+                                                                min="1"
+                                                                max="52"
+                                                                value={repeat.interval}
+                                                                onChange={(e) => setRepeat((prev) => ({ ...prev, interval: e.target.value.replace(/\D/g, '') }))}
+                                                                className="w-16 bg-slate-800 border border-white/5 rounded-xl px-2 py-2 text-white text-sm text-center focus:outline-none focus:border-blue-500"
+                                                            />
+                                                            <span>{repeat.frequency === 'weekly' ? t('appointments.repeatWeeksUnit', 'week(s)') : t('appointments.repeatDaysUnit', 'day(s)')}</span>
+                                                        </div>
+                                                    </div>
+                                                    {repeat.frequency === 'weekly' && (
+                                                        <div className="flex flex-wrap gap-1">
+                                                            {[0, 1, 2, 3, 4, 5, 6].map((day) => (
+                                                                <button
+                                                                    key={day}
+                                                                    type="button"
+                                                                    onClick={() => toggleRepeatWeekday(day)}
+                                                                    className={`px-2.5 py-1 rounded-lg text-xs font-bold transition ${repeat.weekdays.includes(day) ? 'bg-blue-600 text-white' : 'bg-slate-800 text-slate-400 hover:text-white'}`}
+                                                                >
+                                                                    {/* 1 March 2026 is a Sunday */}
+                                                                    {new Date(2026, 2, 1 + day).toLocaleDateString(isArabic ? 'ar-EG' : 'en-US', { weekday: 'short' })}
+                                                                </button>
+                                                            ))}
+                                                        </div>
+                                                    )}
+                                                    {repeat.frequency === 'weekly' && repeat.weekdays.length === 0 && (
+                                                        <div className="text-xs text-slate-500">{t('appointments.repeatSameWeekday', 'Repeats on the weekday of the first appointment')}</div>
+                                                    )}
+                                                    <div className="grid grid-cols-2 gap-3">
+                                                        <select
+                                                            value={repeat.endType}
+                                                            onChange={(e) => setRepeat((prev) => ({ ...prev, endType: e.target.value }))}
+                                                            className="w-full bg-slate-800 border border-white/5 rounded-xl px-3 py-2 text-white text-sm focus:outline-none focus:border-blue-500"
+                                                        >
+                                                            <option value="count">{t('appointments.repeatCount', 'Number of appointments')}</option>
+                                                            <option value="until">{t('appointments.repeatUntil', 'Until date')}</option>
+                                                        </select>
+                                                        {repeat.endType === 'count' ? (
+                                                            <input
+                                                                type="number"
+                                                                min="1"
+                                                                max="100"
+                                                                value={repeat.count}
+                                                                onChange={(e) => setRepeat((prev) => ({ ...prev, count: e.target.value.replace(/\D/g, '') }))}
+                                                                className="w-full bg-slate-800 border border-white/5 rounded-xl px-3 py-2 text-white text-sm focus:outline-none focus:border-blue-500"
+                                                            />
+                                                        ) : (
+                                                            <input
+                                                                type="date"
+                                                                min={selectedDate}
+                                                                value={repeat.until}
+                                                                onChange={(e) => setRepeat((prev) => ({ ...prev, until: e.target.value }))}
+                                                                className="w-full bg-slate-800 border border-white/5 rounded-xl px-3 py-2 text-white text-sm focus:outline-none focus:border-blue-500"
+                                                            />
+                                                        )}
+                                                    </div>
+                                                    <div className="text-xs text-slate-500">{t('appointments.repeatConflictHint', 'Dates that are already booked or outside working hours are skipped and listed after saving.')}</div>
+                                                </>
+                                            )}
+                                        </div>
+                                    )}
+
                                     {isPastSelection && (
                                         <div className="text-xs text-rose-400">
                                             {t('appointments.pastDateError', 'You cannot create a booking in a past date')}
@@ -1207,6 +1459,17 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
                                         </div>
                                     )}
 
+                                    {hoursRefused && !isReadOnly && (
+                                        <label className="flex items-center gap-2 p-3 bg-amber-500/10 border border-amber-500/20 rounded-xl text-amber-300 text-sm font-bold cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={overrideHours}
+                                                onChange={(e) => setOverrideHours(e.target.checked)}
+                                            />
+                                            {t('appointments.overrideHours', 'Book anyway, outside working hours')}
+                                        </label>
+                                    )}
+
                                     {/* 7. Service Dropdown & Price */}
                                     <div className="grid grid-cols-2 gap-4">
                                         <div className="space-y-2">
@@ -1222,8 +1485,11 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
                                                         setForm(prev => ({
                                                             ...prev,
                                                             title: selectedName,
-                                                            price: service ? service.defaultPrice.toString() : prev.price
+                                                            price: service && !selectedPackageId ? service.defaultPrice.toString() : prev.price
                                                         }));
+                                                        if (!appointment && service?.defaultDuration) {
+                                                            setDurationInput(service.defaultDuration.toString());
+                                                        }
                                                     }}
                                                     className={`w-full bg-slate-800 border border-white/5 rounded-xl px-4 py-3 text-white focus:outline-none focus:border-blue-500 appearance-none ${isRtl ? 'pr-11' : 'pl-11'}`}
                                                 >
@@ -1256,6 +1522,7 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
                                                     min="0"
                                                     step="0.01"
                                                     required
+                                                    readOnly={Boolean(selectedPackageId)}
                                                     value={form.price}
                                                     onChange={e => setForm({ ...form, price: e.target.value })}
                                                     className={`w-full bg-slate-800 border border-white/5 rounded-xl px-4 py-3 text-white focus:outline-none focus:border-blue-500 ${isRtl ? 'pr-11' : 'pl-11'}`}
@@ -1264,6 +1531,42 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
                                         </div>
                                     </div>
 
+                                    {(memberPackages.length > 0 || selectedPackageId) && (
+                                        <div className="space-y-2">
+                                            <label className="text-xs font-bold text-slate-500 uppercase">{t('appointments.package', 'Package')}</label>
+                                            <div className="relative">
+                                                <Package className={`absolute top-3.5 ${isRtl ? 'right-4' : 'left-4'} text-slate-500`} size={18} />
+                                                <select
+                                                    value={selectedPackageId}
+                                                    disabled={isReadOnly || Boolean(appointment?.packageUsageId)}
+                                                    onChange={(e) => handlePackageChange(e.target.value)}
+                                                    className={`w-full bg-slate-800 border border-white/5 rounded-xl px-4 py-3 text-white focus:outline-none focus:border-blue-500 ${isRtl ? 'pr-11' : 'pl-11'}`}
+                                                >
+                                                    <option value="">{t('appointments.payPerSession', 'Pay per session')}</option>
+                                                    {selectedPackageId && !selectedPackage && (
+                                                        <option value={selectedPackageId}>
+                                                            {appointment?.memberPackage?.sessionName || appointment?.memberPackage?.plan?.name || `#${selectedPackageId}`}
+                                                        </option>
+                                                    )}
+                                                    {memberPackages.map((pkg) => (
+                                                        <option
+                                                            key={pkg.id}
+                                                            value={pkg.id}
+                                                            disabled={pkg.availableSessions <= 0 && String(pkg.id) !== String(appointment?.memberPackageId ?? '')}
+                                                        >
+                                                            {pkg.name} · {t('appointments.packageSessionsLeft', { count: pkg.availableSessions })}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                            {selectedPackageId && (
+                                                <p className="text-xs text-emerald-400">
+                                                    {t('appointments.bookedOnPackageHint', 'Paid by the package: one session is taken off when the appointment is completed')}
+                                                </p>
+                                            )}
+                                        </div>
+                                    )}
+
                                     <div className="space-y-2">
                                         <label className="text-xs font-bold text-slate-500 uppercase">{t('appointments.trainer')}</label>
                                         <div className="relative">
@@ -1309,6 +1612,32 @@ const AppointmentModal = ({ open, onClose, onSuccess, appointment, initialDate,
 
                                 </fieldset>
 
+                                {/* Series scope */}
+                                {appointment?.seriesId && !isReadOnly && (
+                                    <div className="space-y-2 pt-4">
+                                        <label className="text-xs font-bold text-slate-500 uppercase flex items-center gap-2">
+                                            <Repeat size={14} />
+                                            {t('appointments.seriesScope', 'Apply changes to')}
+                                        </label>
+                                        <div className="grid grid-cols-3 gap-2 rounded-xl bg-slate-800/60 border border-white/5 p-1">
+                                            {[
+                                                ['this', t('appointments.scopeThis', 'This appointment')],
+                                                ['following', t('appointments.scopeFollowing', 'This and following')],
+                                                ['all', t('appointments.scopeAll', 'All upcoming')]
+                                            ].map(([value, label]) => (
+                                                <button
+                                                    key={value}
+                                                    type="button"
+                                                    onClick={() => setSeriesScope(value)}
+                                                    className={`rounded-lg px-2 py-2 text-xs font-bold transition ${seriesScope === value ? 'bg-blue-600 text-white' : 'text-slate-300 hover:bg-slate-700/80'}`}
+                                                >
+                                                    {label}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+
                                 {/* 9. Confirm Booking Button */}
                                 {(canComplete || !isReadOnly) && (
                                     <div className="flex items-center gap-3 pt-4">
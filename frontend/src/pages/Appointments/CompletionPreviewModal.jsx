@@ -74,6 +74,7 @@ const CompletionPreviewModal = ({ open, onClose, onConfirm, data, loading }) =>
     const [sessionPrice, setSessionPrice] = useState(0);
     const [commissionPercent, setCommissionPercent] = useState(0);
     const isSession = Boolean(data?.isSession && !data?.isSubscription);
+    const paidByPackage = Boolean(data?.memberPackage);
 
     const defaultAmount = useMemo(() => data ? (data.remainingAmount ?? data.sessionPrice ?? 0) : 0, [data]);
 
@@ -116,14 +117,14 @@ const CompletionPreviewModal = ({ open, onClose, onConfirm, data, loading }) =>
     if (!data) return null;
 
     const resolvedSessionPrice = Number.isFinite(Number(sessionPrice)) ? Number(sessionPrice) : 0;
-    const sessionPriceInvalid = isSession && (!Number.isFinite(resolvedSessionPrice) || resolvedSessionPrice <= 0);
+    const sessionPriceInvalid = isSession && !paidByPackage && (!Number.isFinite(resolvedSessionPrice) || resolvedSessionPrice <= 0);
     const paymentBase = isSession ? resolvedSessionPrice : Number(data.remainingAmount ?? data.sessionPrice ?? 0);
     const totalPaid = Number(data.totalPaid || 0);
     const creditAvailable = Number(data.creditAvailable || 0);
     const creditAppliedPreview = Number(data.creditAppliedPreview || 0);
-    const isPaidNow = isSession
+    const isPaidNow = paidByPackage || (isSession
         ? (resolvedSessionPrice > 0 && totalPaid >= resolvedSessionPrice - 0.01)
-        : data.isPaid;
+        : data.isPaid);
     const needsPayment = !isPaidNow && paymentBase > 0;
     const remainingAmount = isSession
         ? Math.max(0, resolvedSessionPrice - totalPaid - creditAppliedPreview)
@@ -185,14 +186,32 @@ const CompletionPreviewModal = ({ open, onClose, onConfirm, data, loading }) =>
                                 <div className="p-4 bg-slate-800/50 rounded-xl border border-white/5 space-y-3">
                                     <div className="flex justify-between items-center text-sm">
                                         <span className="text-slate-400">{t('appointments.service', texts[lang].service)}</span>
-                                        <span className="text-white font-bold">{data.sessionPrice > 0 ? t('appointments.paidSession', texts[lang].paidSession) : t('appointments.freeSession', texts[lang].freeSession)}</span>
+                                        <span className="text-white font-bold">
+                                            {paidByPackage
+                                                ? t('appointments.packageSession', 'Package session')
+                                                : (data.sessionPrice > 0 ? t('appointments.paidSession', texts[lang].paidSession) : t('appointments.freeSession', texts[lang].freeSession))}
+                                        </span>
                                     </div>
                                     <div className="flex justify-between items-center text-sm">
                                         <span className="text-slate-400">{t('appointments.trainer', texts[lang].coach)}</span>
                                         <span className="text-white font-bold">{data.trainerName || data.coachName || ''}</span>
                                     </div>
+                                    {paidByPackage && (
+                                        <div className="flex justify-between items-center text-sm">
+                                            <span className="text-slate-400">{t('appointments.package', 'Package')}</span>
+                                            <span className="text-white font-bold">
+                                                {data.memberPackage.name || ''} · {t('appointments.packageSessionsLeft', { count: data.memberPackage.remainingSessions })}
+                                            </span>
+                                        </div>
+                                    )}
                                 </div>
 
+                                {paidByPackage && (
+                                    <div className="p-3 bg-emerald-900/20 border border-emerald-800/40 rounded-lg text-xs text-emerald-200">
+                                        {t('appointments.paidByPackageHint', 'One session is taken off the package. Nothing is collected; commission is based on the package session value.')}
+                                    </div>
+                                )}
+
                                 <div className="flex items-start gap-2 text-xs text-slate-500 bg-slate-800 p-3 rounded-lg">
                                     <AlertCircle size={14} className="mt-0.5 shrink-0" />
                                     <p>{t('appointments.completionDisclaimer', texts[lang].completionDisclaimer)}</p>
@@ -210,6 +229,7 @@ const CompletionPreviewModal = ({ open, onClose, onConfirm, data, loading }) =>
                                                 step="0.01"
                                                 value={sessionPrice}
                                                 required
+                                                readOnly={paidByPackage}
                                                 aria-invalid={sessionPriceInvalid}
                                                 onChange={(e) => {
                                                     const value = Number(e.target.value);
@@ -249,7 +269,7 @@ const CompletionPreviewModal = ({ open, onClose, onConfirm, data, loading }) =>
                                                 <span className="text-white font-bold">{gymShare.toFixed(2)}</span>
                                     </div>
                                 </div>
-                                {isSession && (creditAvailable > 0 || creditAppliedPreview > 0) && (
+                                {isSession && !paidByPackage && (creditAvailable > 0 || creditAppliedPreview > 0) && (
                                     <div className="p-3 bg-blue-900/20 border border-blue-800/40 rounded-lg text-sm text-blue-100 space-y-1">
                                         <div className="font-semibold flex justify-between">
                                             <span>{t('payments.credit', 'Credit / Overpaid')}</span>
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
-import { Plus, Calendar as CalendarIcon, List, ChevronLeft, ChevronRight, User, Clock, CheckCircle, XCircle, AlertCircle, PlayCircle, Bell, Lock } from 'lucide-react';
+import { Plus, Calendar as CalendarIcon, List, ChevronLeft, ChevronRight, User, Clock, CheckCircle, XCircle, AlertCircle, PlayCircle, Bell, Lock, Repeat } from 'lucide-react';
 import { format, startOfMonth, endOfMonth, startOfWeek, endOfWeek, eachDayOfInterval, isSameMonth, isSameDay, addMonths, subMonths, isToday, parseISO, startOfDay, isBefore } from 'date-fns';
 import { formatDateTime, formatDate, formatTime } from '../../utils/dateFormatter';
 import { arEG, enUS } from 'date-fns/locale';
@@ -598,6 +598,9 @@ const Appointments = () => {
                                             <div className="flex items-center gap-1.5">
                                                 <Clock size={12} className="flex-shrink-0" />
                                                 <span className="font-bold">{formatTime(apt.start, i18n.language)}</span>
+                                                {apt.seriesId && (
+                                                    <Repeat size={11} className="flex-shrink-0 opacity-70" aria-label={t('appointments.seriesBadge', 'Repeating')} />
+                                                )}
                                             </div>
                                             <div className="flex items-center gap-1.5 mt-0.5">
                                                 <User size={12} className="flex-shrink-0" />
@@ -720,6 +723,12 @@ const Appointments = () => {
                                 {formatTime(apt.start, i18n.language)} - {formatTime(apt.end, i18n.language)} • {person.name || t('appointments.member', 'Member')}
                                 {person.phone ? ` • ${person.phone}` : ''}
                                 {person.isTentative ? ` • ${t('appointments.tentativeBadge', isRtl ? 'مبدئي' : 'Tentative')}` : ''}
+                                {apt.seriesId && (
+                                    <span className="inline-flex items-center gap-1 ms-2 text-xs text-blue-300">
+                                        <Repeat size={12} />
+                                        {t('appointments.seriesBadge', 'Repeating')}
+                                    </span>
+                                )}
                             </div>
                             {apt.trainer?.name && (
                                 <div className="text-[11px] text-slate-500 mt-0.5">
@@ -3,10 +3,30 @@ import { useTranslation } from 'react-i18next';
 import { useNavigate } from 'react-router-dom';
 import apiClient from '../utils/api';
 import AssignPlanModal from '../components/AssignPlanModal';
+import AddPaymentDialog from '../components/payments/AddPaymentDialog';
+import FaceCapture from '../components/FaceCapture';
+import { useSettingsStore } from '../store';
+import { formatCurrency } from '../utils/numberFormatter';
 import toast from 'react-hot-toast';
 import { motion, AnimatePresence } from 'framer-motion';
 import { QrCode, ScanFace, Search, Activity, Users, Clock, ShieldCheck, Zap, LogOut } from 'lucide-react';
 
+// Plan access rule denials returned by /checkin/validate and /checkin
+const ACCESS_DENIAL_MESSAGES = {
+    BRANCH_NOT_ALLOWED: ['checkin.denial.branch', 'Membership plan does not allow check-in at this branch.'],
+    OUTSIDE_ALLOWED_DAYS: ['checkin.denial.days', 'Membership plan does not allow check-in today.'],
+    OUTSIDE_ALLOWED_HOURS: ['checkin.denial.hours', 'Membership plan does not allow check-in at this hour.'],
+    GENDER_RESTRICTED: ['checkin.denial.gender', 'This time slot is reserved ({{start}} - {{end}}).'],
+    DAILY_VISIT_LIMIT: ['checkin.denial.daily', 'Daily visit limit reached ({{used}}/{{limit}}).'],
+    WEEKLY_VISIT_LIMIT: ['checkin.denial.weekly', 'Weekly visit limit reached ({{used}}/{{limit}}).'],
+    MONTHLY_VISIT_LIMIT: ['checkin.denial.monthly', 'Monthly visit limit reached ({{used}}/{{limit}}).'],
+    VISIT_TOO_SOON: ['checkin.denial.tooSoon', 'Too soon since the last visit. Next visit allowed at {{nextAllowedAt}}.'],
+    OUTSTANDING_BALANCE: ['checkin.debt.blocked', 'Member has an outstanding balance. Collect the payment first.'],
+    DEBT_OVERRIDE_REQUIRED: ['checkin.debt.overrideRequired', 'Member has an outstanding balance. Collect now or override to let them in.'],
+    DEBT_OVERRIDE_FORBIDDEN: ['checkin.debt.overrideForbidden', 'You are not allowed to let members with a balance in.'],
+    CREDENTIAL_REVOKED: ['checkin.denial.credentialRevoked', 'This card was revoked. Issue a new card from the member profile.']
+};
+
 const CheckIn = () => {
     const { t, i18n } = useTranslation();
     const navigate = useNavigate();
@@ -19,7 +39,10 @@ const CheckIn = () => {
     };
 
     // --- State ---
-    const [mode, setMode] = useState('manual'); // manual, scan
+    const [mode, setMode] = useState('manual'); // manual, scan, face
+    const [checkInMethod, setCheckInMethod] = useState(null); // 'face' once the member was recognised by the camera
+    const [faceMatch, setFaceMatch] = useState(null);
+    const [faceMatching, setFaceMatching] = useState(false);
     const [checkInMode, setCheckInMode] = useState('membership'); // membership, session
     const [memberId, setMemberId] = useState('');
     const [checkIns, setCheckIns] = useState([]);
@@ -36,6 +59,15 @@ const CheckIn = () => {
     const [isSearching, setIsSearching] = useState(false);
     const [isValidating, setIsValidating] = useState(false);
     const [checkOutId, setCheckOutId] = useState(null);
+    const [debtInfo, setDebtInfo] = useState(null);
+    const [showCollectModal, setShowCollectModal] = useState(false);
+    const lastValidationRef = useRef(null);
+    const { getSetting } = useSettingsStore();
+    const faceEnabled = String(getSetting('checkin_face_enabled', 'true')) !== 'false';
+    const currencyConf = {
+        code: getSetting('currency_code', 'EGP'),
+        symbol: getSetting('currency_symbol', 'EGP')
+    };
     const inputRef = useRef(null);
 
     // --- Effects ---
@@ -76,7 +108,32 @@ const CheckIn = () => {
         }
     };
 
-    const getEligibilityMessage = (reason, modeValue) => {
+    const handleCollectSuccess = async () => {
+        setShowCollectModal(false);
+        setErrorMessage('');
+        setErrorCode('');
+        if (lastValidationRef.current) {
+            await validateMember(lastValidationRef.current);
+        }
+    };
+
+    // A no-show / late-cancellation fee is paid on its charge; subscriptions go through the payment dialog
+    const handleCollect = async () => {
+        const chargeId = debtInfo?.collect?.chargeId;
+        if (!chargeId) {
+            setShowCollectModal(true);
+            return;
+        }
+        try {
+            await apiClient.post(`/appointments/charges/${chargeId}/pay`, { method: 'cash' });
+            toast.success(tr('appointments.noShowReport.chargePaid', 'Fee collected'));
+            await handleCollectSuccess();
+        } catch (error) {
+            toast.error(error.response?.data?.message || tr('common.error', 'Error'));
+        }
+    };
+
+    const getEligibilityMessage = (reason, modeValue, details) => {
         if (reason === 'NOT_FOUND') {
             return 'العميل غير موجود';
         }
@@ -86,6 +143,13 @@ const CheckIn = () => {
             }
             return tr('checkin.notEligibleMembership', 'Member has no active subscription or package. Subscribe or buy a package first.');
         }
+        if (ACCESS_DENIAL_MESSAGES[reason]) {
+            const [key, fallback] = ACCESS_DENIAL_MESSAGES[reason];
+            const nextAllowedAt = details?.nextAllowedAt
+                ? new Date(details.nextAllowedAt).toLocaleTimeString(i18n.language, { hour: '2-digit', minute: '2-digit' })
+                : '';
+            return t(key, { ...details, nextAllowedAt, defaultValue: fallback });
+        }
         return '';
     };
 
@@ -108,13 +172,15 @@ const CheckIn = () => {
 
     const validateMember = async (payload) => {
         setIsValidating(true);
+        lastValidationRef.current = payload;
         try {
             const res = await apiClient.post('/checkin/validate', payload);
             const data = res.data?.data;
             if (res.data?.success && data) {
                 setEligibility(data);
+                setDebtInfo(data.debt || null);
                 if (!data.eligible) {
-                    const message = getEligibilityMessage(data.reason, payload.mode) || res.data?.message || '';
+                    const message = getEligibilityMessage(data.reason, payload.mode, data.accessDenial?.details) || res.data?.message || '';
                     setErrorMessage(message);
                 } else {
                     setErrorMessage('');
@@ -138,15 +204,16 @@ const CheckIn = () => {
         setSelectedMember(member);
         setSearchResults([]);
         setEligibility(null);
+        setDebtInfo(null);
         setErrorMessage('');
         setErrorCode('');
         await validateMember({ memberId: member.id, mode: checkInMode });
     };
 
     // --- Handlers ---
-    const handleCheckIn = async (e) => {
+    const handleCheckIn = async (e, overrideDebt = false) => {
         if (e && e.preventDefault) e.preventDefault();
-        if (!memberId) return;
+        if (!memberId && !selectedMember) return;
 
         setLoading(true);
         setErrorMessage('');
@@ -165,10 +232,21 @@ const CheckIn = () => {
                 setLoading(false);
                 return;
             }
+            // Debt policy "warn": staff must confirm the override first
+            if (validation.debt?.requiresOverride && !overrideDebt) {
+                setErrorMessage(getEligibilityMessage('DEBT_OVERRIDE_REQUIRED', checkInMode));
+                setErrorCode('DEBT_OVERRIDE_REQUIRED');
+                setLoading(false);
+                return;
+            }
 
+            const method = checkInMethod || mode;
             const checkInPayload = selectedMember
-                ? { memberId: selectedMember.id, method: mode, mode: checkInMode }
-                : { query: memberId, method: mode, mode: checkInMode };
+                ? { memberId: selectedMember.id, method, mode: checkInMode }
+                : { query: memberId, method, mode: checkInMode };
+            if (overrideDebt) {
+                checkInPayload.overrideDebt = true;
+            }
 
             const idempotencyKey = typeof crypto !== 'undefined' && crypto.randomUUID
                 ? crypto.randomUUID()
@@ -186,23 +264,33 @@ const CheckIn = () => {
             } else {
                 toast.success(tr('checkin.success', 'SUCCESS: Access Granted'));
             }
+            const stuckDoors = (res.data?.data?.access || []).filter((door) => !door.ok);
+            if (stuckDoors.length > 0) {
+                toast.error(t('checkin.doorFailed', { names: stuckDoors.map((door) => door.name).join(', ') }));
+            }
             setMemberId('');
             setSelectedMember(null);
+            setCheckInMethod(null);
+            setFaceMatch(null);
             setEligibility(null);
             setSearchResults([]);
             setErrorCode('');
+            setDebtInfo(null);
             fetchActivity();
             if (inputRef.current) inputRef.current.focus();
         } catch (error) {
             const msg = error.response?.data?.message || 'Check-in Failed';
             const code = error.response?.data?.code;
             const reason = error.response?.data?.reason;
+            if (error.response?.data?.debt) {
+                setDebtInfo(error.response.data.debt);
+            }
 
             if (code === 'ALREADY_CHECKED_IN') {
                 setErrorMessage('العضو مسجل حضور بالفعل. لو عايز تسجل حضور مرة تانية، اعمل تسجيل خروج الأول.');
                 setErrorCode('ALREADY_CHECKED_IN');
             } else {
-                setErrorMessage(getEligibilityMessage(reason, checkInMode) || msg);
+                setErrorMessage(getEligibilityMessage(reason, checkInMode, error.response?.data?.details) || msg);
                 setErrorCode(reason || '');
             }
             if (code === 'ALREADY_CHECKED_IN') {
@@ -239,10 +327,43 @@ const CheckIn = () => {
         setErrorCode('');
         setSearchResults([]);
         setSelectedMember(null);
+        setCheckInMethod(null);
+        setFaceMatch(null);
         setEligibility(null);
         setTimeout(() => inputRef.current?.focus(), 100);
     };
 
+    // A recognised face continues in the manual panel with the member selected and method "face"
+    const handleFaceCapture = async (image) => {
+        setFaceMatching(true);
+        setErrorMessage('');
+        setErrorCode('');
+        try {
+            const res = await apiClient.post('/checkin/face', { image });
+            const match = res.data?.data;
+            if (!match?.matched) {
+                setErrorMessage(tr('face.noMatch', 'Face not recognised. Try again or use the member ID.'));
+                return;
+            }
+            setFaceMatch(match);
+            setCheckInMethod('face');
+            setMode('manual');
+            setMemberId(match.member.name);
+            setSearchResults([]);
+            await handleSelectMember(match.member);
+        } catch (error) {
+            const code = error.response?.data?.code;
+            const messages = {
+                NO_FACE: tr('face.noFace', 'No face found. Look straight at the camera in good light.'),
+                FACE_MODELS_MISSING: tr('face.modelsMissing', 'Face recognition models are not installed on the server.'),
+                FACE_CHECKIN_DISABLED: tr('face.disabled', 'Face check-in is turned off in settings.')
+            };
+            setErrorMessage(messages[code] || error.response?.data?.message || tr('face.matchFailed', 'Face recognition failed'));
+        } finally {
+            setFaceMatching(false);
+        }
+    };
+
     const handleCheckInModeChange = (nextMode) => {
         setCheckInMode(nextMode);
         setErrorMessage('');
@@ -438,7 +559,9 @@ const CheckIn = () => {
                         <p className="text-lg text-gray-500 dark:text-gray-400 max-w-md mx-auto leading-relaxed">
                             {mode === 'manual'
                                 ? tr('checkin.instructionManual', 'Enter your Member ID below to check-in')
-                                : (qrScannerEnabled
+                                : mode === 'face'
+                                    ? tr('face.instruction', 'Look at the camera and press Identify')
+                                    : (qrScannerEnabled
                                     ? tr('checkin.instructionScan', 'Present your QR code to the scanner')
                                     : tr('checkin.qrComingSoonMessage', 'QR scanner is coming soon. Please use manual entry for now.'))}
                         </p>
@@ -463,6 +586,15 @@ const CheckIn = () => {
                                 <QrCode size={18} />
                                 {tr('checkin.scanner', 'Scan QR')}
                             </button>
+                            {faceEnabled && (
+                                <button
+                                    onClick={() => handleModeChange('face')}
+                                    className={`flex items-center gap-2 px-6 py-3 rounded-xl font-bold transition-all ${mode === 'face' ? 'bg-white dark:bg-slate-800 shadow-md text-blue-600 dark:text-white' : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'}`}
+                                >
+                                    <ScanFace size={18} />
+                                    {tr('face.tab', 'Face')}
+                                </button>
+                            )}
                         </div>
 
                         <div className="flex p-1.5 bg-gray-100 dark:bg-slate-950/50 rounded-2xl border border-gray-200 dark:border-white/5 mb-6 w-fit mx-auto backdrop-blur-sm">
@@ -504,13 +636,15 @@ const CheckIn = () => {
                                                         setMemberId(value);
                                                     }
                                                     setSelectedMember(null);
+                                                    setCheckInMethod(null);
+                                                    setFaceMatch(null);
                                                     setEligibility(null);
                                                     setErrorMessage('');
                                                     setErrorCode('');
                                                 }}
                                                 onKeyDown={(e) => e.key === 'Enter' && handleCheckIn(e)}
                                                 className="w-full text-center text-2xl font-semibold py-6 px-6 bg-transparent border-b border-gray-300 dark:border-white/30 focus:border-blue-400 dark:focus:border-blue-300 outline-none transition-all placeholder:text-gray-400 dark:placeholder:text-gray-600 text-gray-900 dark:text-white tracking-widest"
-                                                placeholder={i18n.language === 'ar' ? 'اكتب كود العضو أو رقم الموبايل أو الاسم' : 'Enter member code, phone, or name'}
+                                                placeholder={i18n.language === 'ar' ? 'اكتب كود العضو أو رقم الموبايل أو الاسم أو امسح الكارت' : 'Enter member code, phone, name, or scan a card'}
                                                 dir="ltr"
                                             />
                                             <Search className="absolute right-4 top-1/2 -translate-y-1/2 text-gray-300 dark:text-gray-600 group-focus-within:text-blue-500 transition-colors" size={24} />
@@ -542,6 +676,12 @@ const CheckIn = () => {
                                             </div>
                                         )}
 
+                                        {selectedMember && faceMatch && checkInMethod === 'face' && (
+                                            <div className="flex items-center justify-center gap-1 text-xs text-blue-500 font-bold">
+                                                <ScanFace size={14} />
+                                                {t('face.matched', { confidence: faceMatch.confidence, defaultValue: 'Recognised by face ({{confidence}}%)' })}
+                                            </div>
+                                        )}
                                         {selectedMember && eligibility?.eligible && (
                                             <div className="text-xs text-emerald-500 font-bold text-center">
                                                 {tr('checkin.eligible', 'Eligible for check-in')}
@@ -553,16 +693,56 @@ const CheckIn = () => {
                                             </div>
                                         )}
 
+                                        {debtInfo && (
+                                            <div className="p-3 rounded-xl bg-amber-500/10 border border-amber-500/20 text-sm text-amber-700 dark:text-amber-300 text-center space-y-2">
+                                                <div className="font-bold">
+                                                    {tr('checkin.debt.outstanding', 'Outstanding balance')}: {formatCurrency(debtInfo.outstanding, i18n.language, currencyConf)}
+                                                </div>
+                                                <div className="flex flex-wrap justify-center gap-2">
+                                                    <button
+                                                        type="button"
+                                                        onClick={handleCollect}
+                                                        className="px-4 py-1.5 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-bold"
+                                                    >
+                                                        {tr('checkin.debt.collectNow', 'Collect Now')}
+                                                    </button>
+                                                    {debtInfo.requiresOverride && eligibility?.canOverrideDebt && (
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => handleCheckIn(null, true)}
+                                                            disabled={loading}
+                                                            className="px-4 py-1.5 border border-amber-500/40 rounded-lg font-bold hover:bg-amber-500/10"
+                                                        >
+                                                            {tr('checkin.debt.override', 'Override & Check In')}
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </div>
+                                        )}
+
                                         <div className="grid grid-cols-2 gap-3">
                                             <button
                                                 onClick={handleCheckIn}
-                                                disabled={loading || !memberId || isValidating || (eligibility && !eligibility.eligible)}
+                                                disabled={loading || (!memberId && !selectedMember) || isValidating || (eligibility && !eligibility.eligible)}
                                                 className="col-span-2 py-4 bg-blue-600 hover:bg-blue-700 text-white rounded-2xl font-bold text-lg shadow-lg shadow-blue-500/30 transition-transform active:scale-[0.98] disabled:opacity-50 disabled:cursor-not-allowed"
                                             >
                                                 {loading ? <span className="animate-pulse">Processing...</span> : tr('checkin.action', 'Check In Now')}
                                             </button>
                                         </div>
                                     </motion.div>
+                                ) : mode === 'face' ? (
+                                    <motion.div
+                                        key="face"
+                                        initial={{ opacity: 0, scale: 0.95 }}
+                                        animate={{ opacity: 1, scale: 1 }}
+                                        exit={{ opacity: 0, scale: 0.95 }}
+                                    >
+                                        <FaceCapture
+                                            onCapture={handleFaceCapture}
+                                            busy={faceMatching}
+                                            captureLabel={tr('face.identify', 'Identify')}
+                                        />
+                                    </motion.div>
                                 ) : qrScannerEnabled ? (
                                     <motion.div
                                         key="scan"
@@ -710,6 +890,14 @@ const CheckIn = () => {
                 </div>
             </div>
 
+            <AddPaymentDialog
+                open={showCollectModal}
+                onClose={() => setShowCollectModal(false)}
+                onSuccess={handleCollectSuccess}
+                initialMember={debtInfo?.collect?.member}
+                initialSubscriptionId={debtInfo?.collect?.subscriptionId}
+            />
+
             <AssignPlanModal
                 isOpen={showSubscribeModal}
                 onClose={handleSubscribeClose}
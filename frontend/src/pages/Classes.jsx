@@ -0,0 +1,826 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { addDays, format, isSameDay, startOfDay } from 'date-fns';
+import {
+    CalendarDays,
+    Layers,
+    Plus,
+    Pencil,
+    Trash2,
+    ChevronLeft,
+    ChevronRight,
+    Users,
+    MapPin,
+    Clock,
+    Loader2,
+    UserCheck,
+    UserX,
+    XCircle,
+    X
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuthStore, useSettingsStore } from '../store';
+import { usePermissions } from '../hooks/usePermissions';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatDate, formatTime } from '../utils/dateFormatter';
+
+const STATUS_BADGES = {
+    enrolled: 'bg-indigo-500/20 text-indigo-300',
+    attended: 'bg-emerald-500/20 text-emerald-300',
+    no_show: 'bg-rose-500/20 text-rose-300',
+    waitlisted: 'bg-amber-500/20 text-amber-300',
+    cancelled: 'bg-slate-500/20 text-slate-300',
+    late_cancelled: 'bg-orange-500/20 text-orange-300'
+};
+
+const emptyType = {
+    name: '',
+    nameAr: '',
+    description: '',
+    color: '#6366f1',
+    durationMinutes: 60,
+    defaultCapacity: 20,
+    isActive: true
+};
+
+const toInputDateTime = (value) => format(new Date(value), "yyyy-MM-dd'T'HH:mm");
+
+const tabClass = (active) => `px-4 py-2 text-sm font-semibold rounded-lg transition-all ${active
+    ? 'bg-indigo-600 text-white shadow-lg shadow-indigo-500/20'
+    : 'text-gray-400 hover:text-white hover:bg-slate-700/50'}`;
+
+const Modal = ({ title, onClose, children, wide = false }) => (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4 bg-black/60 backdrop-blur-md" onClick={onClose}>
+        <div
+            onClick={(e) => e.stopPropagation()}
+            className={`bg-white dark:bg-slate-900 rounded-3xl shadow-2xl w-full ${wide ? 'max-w-4xl' : 'max-w-xl'} max-h-[90vh] flex flex-col overflow-hidden border border-gray-200 dark:border-white/10`}
+        >
+            <div className="p-5 border-b border-gray-100 dark:border-white/5 flex justify-between items-center">
+                <h3 className="font-black text-xl text-slate-900 dark:text-white">{title}</h3>
+                <button type="button" onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-white/5 rounded-xl transition-colors">
+                    <X size={20} className="text-gray-500" />
+                </button>
+            </div>
+            <div className="overflow-y-auto">{children}</div>
+        </div>
+    </div>
+);
+
+const Classes = () => {
+    const { t, i18n } = useTranslation();
+    const { user } = useAuthStore();
+    const { getSetting, updateSettings } = useSettingsStore();
+    const { can } = usePermissions();
+    const canManage = can(PERMISSIONS.CLASSES_MANAGE);
+    const canBook = can(PERMISSIONS.CLASSES_BOOK);
+    const isAdmin = user?.role === 'admin';
+
+    const [activeTab, setActiveTab] = useState('schedule');
+    const [weekStart, setWeekStart] = useState(() => startOfDay(new Date()));
+    const [sessions, setSessions] = useState([]);
+    const [types, setTypes] = useState([]);
+    const [coaches, setCoaches] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    const [sessionForm, setSessionForm] = useState(null);
+    const [typeForm, setTypeForm] = useState(null);
+    const [detail, setDetail] = useState(null);
+    const [memberQuery, setMemberQuery] = useState('');
+    const [memberResults, setMemberResults] = useState([]);
+    const [selectedMember, setSelectedMember] = useState(null);
+    const [memberClasses, setMemberClasses] = useState(null);
+    const [complimentary, setComplimentary] = useState(false);
+    const [cutoffHours, setCutoffHours] = useState('');
+
+    const isRTL = i18n.language === 'ar';
+    const alignStart = isRTL ? 'text-right' : 'text-left';
+    const thClass = 'px-4 py-3 text-xs font-semibold text-gray-400 uppercase tracking-wider';
+
+    const days = useMemo(() => Array.from({ length: 7 }, (_, index) => addDays(weekStart, index)), [weekStart]);
+    const activeTypes = types.filter((type) => type.isActive);
+    const typeName = (type) => (isRTL && type?.nameAr ? type.nameAr : type?.name || '');
+    const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : '--');
+    const statusBadge = (status) => (
+        <span className={`badge ${STATUS_BADGES[status] || ''}`}>{t(`classes.statuses.${status}`, status)}</span>
+    );
+    const creditLabel = (source) => (source ? t(`classes.credits.${source}`, source) : '--');
+
+    useEffect(() => {
+        setCutoffHours(String(getSetting('class_cancel_cutoff_hours', 2)));
+    }, [getSetting]);
+
+    const fetchTypes = useCallback(async () => {
+        try {
+            const response = await api.get('/classes/types', { params: { includeInactive: true } });
+            setTypes(response.data.data || []);
+        } catch (error) {
+            toast.error(t('classes.loadFailed', 'Failed to load classes'));
+        }
+    }, [t]);
+
+    const fetchSessions = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/classes/sessions', {
+                params: {
+                    from: format(weekStart, 'yyyy-MM-dd'),
+                    to: format(addDays(weekStart, 6), 'yyyy-MM-dd'),
+                    includeCancelled: true
+                }
+            });
+            setSessions(response.data.data || []);
+        } catch (error) {
+            toast.error(t('classes.loadFailed', 'Failed to load classes'));
+        } finally {
+            setLoading(false);
+        }
+    }, [weekStart, t]);
+
+    useEffect(() => {
+        fetchTypes();
+        if (canManage) {
+            api.get('/coaches')
+                .then((response) => setCoaches(response.data.data || []))
+                .catch(() => setCoaches([]));
+        }
+    }, [fetchTypes, canManage]);
+
+    useEffect(() => {
+        fetchSessions();
+    }, [fetchSessions]);
+
+    const openDetail = async (sessionId) => {
+        try {
+            const response = await api.get(`/classes/sessions/${sessionId}`);
+            setDetail(response.data.data);
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('classes.loadFailed', 'Failed to load classes'));
+        }
+    };
+
+    const closeDetail = () => {
+        setDetail(null);
+        setMemberQuery('');
+        setMemberResults([]);
+        setSelectedMember(null);
+        setMemberClasses(null);
+        setComplimentary(false);
+    };
+
+    const refreshDetail = async () => {
+        if (detail) await openDetail(detail.id);
+        fetchSessions();
+    };
+
+    // Member search for enrollment
+    useEffect(() => {
+        const query = memberQuery.trim();
+        if (!detail || selectedMember || query.length < 2) {
+            setMemberResults([]);
+            return undefined;
+        }
+        const timer = setTimeout(async () => {
+            try {
+                const response = await api.get(`/members/search/${encodeURIComponent(query)}`);
+                setMemberResults((response.data.data || []).slice(0, 6));
+            } catch (error) {
+                setMemberResults([]);
+            }
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [memberQuery, detail, selectedMember]);
+
+    const selectMember = async (member) => {
+        setSelectedMember(member);
+        setMemberQuery(`${member.firstName} ${member.lastName}`);
+        setMemberResults([]);
+        try {
+            const response = await api.get(`/classes/members/${member.id}`);
+            setMemberClasses(response.data.data);
+        } catch (error) {
+            setMemberClasses(null);
+        }
+    };
+
+    const clearMember = () => {
+        setSelectedMember(null);
+        setMemberQuery('');
+        setMemberClasses(null);
+        setComplimentary(false);
+    };
+
+    const handleEnroll = async () => {
+        if (!selectedMember) return;
+        setSaving(true);
+        try {
+            const response = await api.post(`/classes/sessions/${detail.id}/enrollments`, {
+                memberId: selectedMember.id,
+                complimentary
+            });
+            toast.success(response.data.message);
+            clearMember();
+            await refreshDetail();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('classes.enrollFailed', 'Failed to enroll member'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleCancelEnrollment = async (enrollment) => {
+        let waiveCutoff = false;
+        if (enrollment.status === 'enrolled' && detail.pastCancelCutoff) {
+            if (canManage) {
+                waiveCutoff = window.confirm(t('classes.waiveConfirm', 'The cancellation cut-off has passed. Give the class credit back anyway?'));
+            }
+            if (!waiveCutoff && !window.confirm(t('classes.lateCancelConfirm', 'The cut-off has passed, so the class credit will be used. Cancel anyway?'))) {
+                return;
+            }
+        } else if (!window.confirm(t('classes.cancelEnrollmentConfirm', 'Cancel this enrollment?'))) {
+            return;
+        }
+
+        try {
+            const response = await api.post(`/classes/enrollments/${enrollment.id}/cancel`, { waiveCutoff });
+            toast.success(response.data.message);
+            await refreshDetail();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('classes.saveFailed', 'Failed to save'));
+        }
+    };
+
+    const handleAttendance = async (enrollment, status) => {
+        try {
+            await api.post(`/classes/enrollments/${enrollment.id}/attendance`, { status });
+            await refreshDetail();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('classes.saveFailed', 'Failed to save'));
+        }
+    };
+
+    const openSessionForm = (session = null, day = null) => {
+        if (session) {
+            setSessionForm({
+                id: session.id,
+                classTypeId: session.classTypeId,
+                start: toInputDateTime(session.start),
+                end: toInputDateTime(session.end),
+                coachId: session.coachId || '',
+                room: session.room || '',
+                capacity: session.capacity,
+                waitlistCapacity: session.waitlistCapacity ?? '',
+                notes: session.notes || ''
+            });
+            return;
+        }
+        const start = new Date(day || new Date());
+        start.setHours(18, 0, 0, 0);
+        const type = activeTypes[0];
+        setSessionForm({
+            classTypeId: type?.id || '',
+            start: toInputDateTime(start),
+            end: '',
+            coachId: '',
+            room: '',
+            capacity: type?.defaultCapacity || 20,
+            waitlistCapacity: '',
+            notes: '',
+            repeatWeeks: 1
+        });
+    };
+
+    const handleSaveSession = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        const payload = {
+            ...sessionForm,
+            start: new Date(sessionForm.start).toISOString(),
+            end: sessionForm.end ? new Date(sessionForm.end).toISOString() : ''
+        };
+        try {
+            const response = sessionForm.id
+                ? await api.put(`/classes/sessions/${sessionForm.id}`, payload)
+                : await api.post('/classes/sessions', payload);
+            toast.success(response.data.message);
+            const promoted = response.data.data?.promoted || [];
+            if (promoted.length > 0) {
+                toast.success(t('classes.promotedFromWaitlist', { count: promoted.length, defaultValue: '{{count}} moved up from the waitlist' }));
+            }
+            setSessionForm(null);
+            if (detail) await openDetail(detail.id);
+            fetchSessions();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('classes.saveFailed', 'Failed to save'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleCancelSession = async () => {
+        const reason = window.prompt(t('classes.cancelClassPrompt', 'Cancel this class for everyone? Reason (optional):'));
+        if (reason === null) return;
+        try {
+            const response = await api.post(`/classes/sessions/${detail.id}/cancel`, { reason });
+            toast.success(response.data.message);
+            await refreshDetail();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('classes.saveFailed', 'Failed to save'));
+        }
+    };
+
+    const handleSaveType = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const response = typeForm.id
+                ? await api.put(`/classes/types/${typeForm.id}`, typeForm)
+                : await api.post('/classes/types', typeForm);
+            toast.success(response.data.message);
+            setTypeForm(null);
+            fetchTypes();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('classes.saveFailed', 'Failed to save'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDeleteType = async (type) => {
+        if (!window.confirm(t('classes.deleteTypeConfirm', 'Delete this class type?'))) return;
+        try {
+            const response = await api.delete(`/classes/types/${type.id}`);
+            toast.success(response.data.message);
+            fetchTypes();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('classes.saveFailed', 'Failed to save'));
+        }
+    };
+
+    const handleSaveCutoff = async () => {
+        const result = await updateSettings({ class_cancel_cutoff_hours: Math.max(0, Number(cutoffHours) || 0) });
+        if (result.success) toast.success(t('classes.cutoffSaved', 'Cancellation cut-off saved'));
+        else toast.error(result.message || t('classes.saveFailed', 'Failed to save'));
+    };
+
+    const renderSessionCard = (session) => {
+        const cancelled = session.status === 'cancelled';
+        return (
+            <button
+                key={session.id}
+                type="button"
+                onClick={() => openDetail(session.id)}
+                className={`w-full text-start rounded-xl border border-slate-700/50 bg-slate-900/50 p-3 hover:border-slate-500 transition-colors ${cancelled ? 'opacity-50' : ''}`}
+                style={{ borderInlineStartWidth: 4, borderInlineStartColor: session.classType?.color || '#6366f1' }}
+            >
+                <p className={`font-semibold text-white text-sm ${cancelled ? 'line-through' : ''}`}>{typeName(session.classType)}</p>
+                <p className="text-xs text-gray-400 flex items-center gap-1 mt-1">
+                    <Clock className="w-3 h-3" />{formatTime(session.start, i18n.language)} - {formatTime(session.end, i18n.language)}
+                </p>
+                {session.room && (
+                    <p className="text-xs text-gray-400 flex items-center gap-1"><MapPin className="w-3 h-3" />{session.room}</p>
+                )}
+                {session.coach && <p className="text-xs text-gray-400">{personName(session.coach)}</p>}
+                {cancelled ? statusBadge('cancelled') : (
+                    <p className={`text-xs mt-2 flex items-center gap-1 ${session.seatsLeft === 0 ? 'text-amber-300' : 'text-emerald-300'}`}>
+                        <Users className="w-3 h-3" />{session.enrolled}/{session.capacity}
+                        {session.waitlisted > 0 && (
+                            <span className="text-amber-300">· {t('classes.waitlistCount', { count: session.waitlisted, defaultValue: '{{count}} waiting' })}</span>
+                        )}
+                    </p>
+                )}
+            </button>
+        );
+    };
+
+    const renderEnrollmentRow = (enrollment, { waitlist = false } = {}) => {
+        const editable = detail.status !== 'cancelled';
+        const started = new Date(detail.start) <= new Date();
+        return (
+            <tr key={enrollment.id} className="hover:bg-slate-700/30 transition-colors">
+                <td className={`px-4 py-3 ${alignStart}`}>
+                    <p className="text-white font-medium">{personName(enrollment.member)}</p>
+                    <p className="text-xs text-gray-400 font-mono">{enrollment.member?.memberId}</p>
+                </td>
+                <td className={`px-4 py-3 ${alignStart}`}>
+                    {waitlist ? <span className="text-amber-300 font-mono">#{enrollment.waitlistPosition}</span> : statusBadge(enrollment.status)}
+                </td>
+                <td className={`px-4 py-3 text-gray-300 ${alignStart}`}>{waitlist ? '--' : creditLabel(enrollment.creditSource)}</td>
+                <td className="px-4 py-3">
+                    {editable && canBook && (
+                        <div className="flex justify-end gap-1">
+                            {!waitlist && (
+                                <>
+                                    <button type="button" className="btn-icon" title={t('classes.markAttended', 'Attended')}
+                                        onClick={() => handleAttendance(enrollment, 'attended')}>
+                                        <UserCheck className={`w-4 h-4 ${enrollment.status === 'attended' ? 'text-emerald-400' : 'text-gray-400'}`} />
+                                    </button>
+                                    <button type="button" className="btn-icon" title={t('classes.markNoShow', 'No-show')}
+                                        onClick={() => handleAttendance(enrollment, 'no_show')}>
+                                        <UserX className={`w-4 h-4 ${enrollment.status === 'no_show' ? 'text-rose-400' : 'text-gray-400'}`} />
+                                    </button>
+                                </>
+                            )}
+                            {!started && ['enrolled', 'waitlisted'].includes(enrollment.status) && (
+                                <button type="button" className="btn-icon" title={t('classes.cancelEnrollment', 'Cancel enrollment')}
+                                    onClick={() => handleCancelEnrollment(enrollment)}>
+                                    <XCircle className="w-4 h-4 text-rose-400" />
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </td>
+            </tr>
+        );
+    };
+
+    const renderEnrollmentTable = (rows, emptyMessage, options) => (
+        <div className="overflow-x-auto rounded-xl border border-slate-700/50">
+            <table className="w-full text-sm">
+                <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                    <tr>
+                        <th className={`${thClass} ${alignStart}`}>{t('classes.fields.member', 'Member')}</th>
+                        <th className={`${thClass} ${alignStart}`}>{options?.waitlist ? t('classes.fields.position', 'Place') : t('classes.fields.status', 'Status')}</th>
+                        <th className={`${thClass} ${alignStart}`}>{t('classes.fields.paidWith', 'Paid with')}</th>
+                        <th className={thClass}></th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                    {rows.length === 0 ? (
+                        <tr><td colSpan={4} className="py-6 text-center text-sm text-gray-400">{emptyMessage}</td></tr>
+                    ) : rows.map((row) => renderEnrollmentRow(row, options))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    return (
+        <div className="space-y-8">
+            {/* Header */}
+            <div className="flex flex-col items-center text-center gap-3">
+                <div className="w-14 h-14 rounded-2xl bg-gradient-to-br from-fuchsia-500 to-indigo-600 flex items-center justify-center shadow-lg shadow-fuchsia-500/20">
+                    <CalendarDays className="w-6 h-6 text-white" />
+                </div>
+                <div>
+                    <h1 className="text-2xl md:text-3xl font-black text-slate-900 dark:text-white">
+                        {t('classes.title', 'Group Classes')}
+                    </h1>
+                    <p className="text-slate-500 dark:text-gray-400 mt-1 text-sm">
+                        {t('classes.subtitle', 'Class schedule, rosters and waitlists')}
+                    </p>
+                </div>
+            </div>
+
+            {/* Tabs */}
+            <div className="flex justify-center">
+                <div className="inline-flex bg-slate-800/40 border border-slate-700/50 rounded-xl p-1">
+                    <button onClick={() => setActiveTab('schedule')} className={tabClass(activeTab === 'schedule')}>
+                        <span className="flex items-center gap-2"><CalendarDays className="w-4 h-4" />{t('classes.tabs.schedule', 'Schedule')}</span>
+                    </button>
+                    <button onClick={() => setActiveTab('types')} className={tabClass(activeTab === 'types')}>
+                        <span className="flex items-center gap-2"><Layers className="w-4 h-4" />{t('classes.tabs.types', 'Class types')}</span>
+                    </button>
+                </div>
+            </div>
+
+            {activeTab === 'schedule' && (
+                <div className="bg-slate-800/40 rounded-2xl border border-slate-700/50 p-6 shadow-lg space-y-6">
+                    <div className="flex flex-wrap items-center gap-3">
+                        <button type="button" className="btn-icon" onClick={() => setWeekStart((prev) => addDays(prev, -7))}>
+                            {isRTL ? <ChevronRight className="w-5 h-5" /> : <ChevronLeft className="w-5 h-5" />}
+                        </button>
+                        <p className="text-white font-semibold">
+                            {formatDate(weekStart, i18n.language)} - {formatDate(addDays(weekStart, 6), i18n.language)}
+                        </p>
+                        <button type="button" className="btn-icon" onClick={() => setWeekStart((prev) => addDays(prev, 7))}>
+                            {isRTL ? <ChevronLeft className="w-5 h-5" /> : <ChevronRight className="w-5 h-5" />}
+                        </button>
+                        <button type="button" className="btn-secondary py-1.5" onClick={() => setWeekStart(startOfDay(new Date()))}>
+                            {t('classes.today', 'Today')}
+                        </button>
+                        {loading && <Loader2 className="w-5 h-5 animate-spin text-indigo-400" />}
+                        {canManage && (
+                            <button type="button" onClick={() => openSessionForm()} disabled={activeTypes.length === 0}
+                                className="btn-primary flex items-center gap-2 ms-auto">
+                                <Plus className="w-4 h-4" />{t('classes.scheduleClass', 'Schedule class')}
+                            </button>
+                        )}
+                    </div>
+
+                    {canManage && activeTypes.length === 0 && (
+                        <p className="text-sm text-amber-300">{t('classes.noTypesHint', 'Add a class type first (Class types tab).')}</p>
+                    )}
+
+                    <div className="grid grid-cols-1 md:grid-cols-7 gap-3">
+                        {days.map((day) => {
+                            const daySessions = sessions.filter((session) => isSameDay(new Date(session.start), day));
+                            return (
+                                <div key={day.toISOString()} className="space-y-2">
+                                    <div className="flex items-center justify-between">
+                                        <p className="text-xs font-semibold uppercase text-gray-400">
+                                            {day.toLocaleDateString(i18n.language === 'ar' ? 'ar-EG' : 'en-US', { weekday: 'short', day: 'numeric' })}
+                                        </p>
+                                        {canManage && activeTypes.length > 0 && (
+                                            <button type="button" className="text-gray-500 hover:text-white" onClick={() => openSessionForm(null, day)}>
+                                                <Plus className="w-4 h-4" />
+                                            </button>
+                                        )}
+                                    </div>
+                                    {daySessions.length === 0
+                                        ? <p className="text-xs text-gray-600">--</p>
+                                        : daySessions.map(renderSessionCard)}
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            {activeTab === 'types' && (
+                <div className="bg-slate-800/40 rounded-2xl border border-slate-700/50 p-6 shadow-lg space-y-6">
+                    <div className="flex flex-wrap items-end gap-4">
+                        {isAdmin && (
+                            <div>
+                                <label className="label text-xs mb-1">{t('classes.cutoffHours', 'Cancellation cut-off (hours before start)')}</label>
+                                <div className="flex gap-2">
+                                    <input type="number" min="0" step="0.5" className="input py-1.5 w-28 font-mono" value={cutoffHours}
+                                        onChange={(e) => setCutoffHours(e.target.value)} />
+                                    <button type="button" className="btn-secondary py-1.5" onClick={handleSaveCutoff}>{t('common.save', 'Save')}</button>
+                                </div>
+                            </div>
+                        )}
+                        {canManage && (
+                            <button type="button" onClick={() => setTypeForm({ ...emptyType })} className="btn-primary flex items-center gap-2 ms-auto">
+                                <Plus className="w-4 h-4" />{t('classes.addType', 'Add class type')}
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                                <tr>
+                                    <th className={`${thClass} ${alignStart}`}>{t('classes.fields.name', 'Name')}</th>
+                                    <th className={`${thClass} ${alignStart}`}>{t('classes.fields.duration', 'Duration (min)')}</th>
+                                    <th className={`${thClass} ${alignStart}`}>{t('classes.fields.capacity', 'Capacity')}</th>
+                                    <th className={`${thClass} ${alignStart}`}>{t('classes.fields.status', 'Status')}</th>
+                                    <th className={thClass}></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-700/50">
+                                {types.length === 0 ? (
+                                    <tr><td colSpan={5} className="py-8 text-center text-sm text-gray-400">{t('classes.noTypes', 'No class types yet')}</td></tr>
+                                ) : types.map((type) => (
+                                    <tr key={type.id} className="hover:bg-slate-700/30 transition-colors">
+                                        <td className={`px-4 py-3 ${alignStart}`}>
+                                            <span className="inline-block w-3 h-3 rounded-full me-2 align-middle" style={{ backgroundColor: type.color || '#6366f1' }} />
+                                            <span className="text-white font-medium">{typeName(type)}</span>
+                                            {type.description && <p className="text-xs text-gray-400">{type.description}</p>}
+                                        </td>
+                                        <td className={`px-4 py-3 text-gray-300 font-mono ${alignStart}`}>{type.durationMinutes}</td>
+                                        <td className={`px-4 py-3 text-gray-300 font-mono ${alignStart}`}>{type.defaultCapacity}</td>
+                                        <td className={`px-4 py-3 ${alignStart}`}>
+                                            <span className={`badge ${type.isActive ? 'bg-emerald-500/20 text-emerald-300' : 'bg-slate-500/20 text-slate-300'}`}>
+                                                {type.isActive ? t('classes.active', 'Active') : t('classes.inactive', 'Inactive')}
+                                            </span>
+                                        </td>
+                                        <td className="px-4 py-3">
+                                            {canManage && (
+                                                <div className="flex justify-end gap-1">
+                                                    <button type="button" className="btn-icon" onClick={() => setTypeForm({ ...type, nameAr: type.nameAr || '', description: type.description || '', color: type.color || '#6366f1' })}>
+                                                        <Pencil className="w-4 h-4" />
+                                                    </button>
+                                                    <button type="button" className="btn-icon" onClick={() => handleDeleteType(type)}>
+                                                        <Trash2 className="w-4 h-4 text-rose-400" />
+                                                    </button>
+                                                </div>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {/* Session roster */}
+            {detail && (
+                <Modal title={`${typeName(detail.classType)} · ${formatDate(detail.start, i18n.language)}`} onClose={closeDetail} wide>
+                    <div className="p-6 space-y-6">
+                        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-300">
+                            <span className="flex items-center gap-1"><Clock className="w-4 h-4" />{formatTime(detail.start, i18n.language)} - {formatTime(detail.end, i18n.language)}</span>
+                            {detail.room && <span className="flex items-center gap-1"><MapPin className="w-4 h-4" />{detail.room}</span>}
+                            {detail.coach && <span>{t('classes.fields.coach', 'Coach')}: {personName(detail.coach)}</span>}
+                            <span className="flex items-center gap-1"><Users className="w-4 h-4" />{detail.enrolled}/{detail.capacity}</span>
+                            {detail.status === 'cancelled' && statusBadge('cancelled')}
+                            {canManage && detail.status !== 'cancelled' && (
+                                <div className="flex gap-2 ms-auto">
+                                    <button type="button" className="btn-secondary py-1.5 flex items-center gap-2" onClick={() => openSessionForm(detail)}>
+                                        <Pencil className="w-4 h-4" />{t('common.edit', 'Edit')}
+                                    </button>
+                                    <button type="button" className="btn-secondary py-1.5 text-rose-400" onClick={handleCancelSession}>
+                                        {t('classes.cancelClass', 'Cancel class')}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                        {detail.cancelReason && <p className="text-sm text-rose-300">{detail.cancelReason}</p>}
+                        <p className="text-xs text-gray-500">
+                            {t('classes.cutoffHint', { hours: detail.cancelCutoffHours, defaultValue: 'Cancelling less than {{hours}} h before the start uses the class credit.' })}
+                        </p>
+
+                        {canBook && detail.status === 'scheduled' && new Date(detail.start) > new Date() && (
+                            <div className="rounded-xl border border-slate-700/50 bg-slate-800/40 p-4 space-y-3">
+                                <div className="flex flex-wrap items-end gap-3">
+                                    <div className="relative flex-1 min-w-[220px]">
+                                        <label className="label text-xs mb-1">{t('classes.enrollMember', 'Enroll a member')}</label>
+                                        <input className="input py-1.5" value={memberQuery}
+                                            placeholder={t('classes.memberSearch', 'Name, phone or member code')}
+                                            onChange={(e) => { setSelectedMember(null); setMemberClasses(null); setMemberQuery(e.target.value); }} />
+                                        {memberResults.length > 0 && (
+                                            <div className="absolute z-10 mt-1 w-full rounded-xl border border-slate-700 bg-slate-900 shadow-xl">
+                                                {memberResults.map((member) => (
+                                                    <button key={member.id} type="button" onClick={() => selectMember(member)}
+                                                        className="block w-full px-3 py-2 text-start text-sm text-white hover:bg-slate-700/50">
+                                                        {personName(member)} <span className="text-xs text-gray-400 font-mono">{member.memberId}</span>
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                    {canManage && (
+                                        <label className="flex items-center gap-2 text-sm text-gray-300 pb-2">
+                                            <input type="checkbox" checked={complimentary} onChange={(e) => setComplimentary(e.target.checked)} />
+                                            {t('classes.complimentary', 'Complimentary')}
+                                        </label>
+                                    )}
+                                    <button type="button" className="btn-primary" disabled={!selectedMember || saving} onClick={handleEnroll}>
+                                        {detail.seatsLeft > 0 ? t('classes.enroll', 'Enroll') : t('classes.addToWaitlist', 'Add to waitlist')}
+                                    </button>
+                                </div>
+                                {memberClasses && (
+                                    <div className="text-xs text-gray-400 space-y-1">
+                                        {memberClasses.planCredits.map((credit) => (
+                                            <p key={credit.subscriptionId}>
+                                                {credit.planName}: {t('classes.creditsLeft', { remaining: credit.remaining, total: credit.total, defaultValue: '{{remaining}} of {{total}} classes left' })}
+                                            </p>
+                                        ))}
+                                        {memberClasses.package && (
+                                            <p>{memberClasses.package.planName}: {t('classes.sessionsLeft', { count: memberClasses.package.remainingSessions, defaultValue: '{{count}} package sessions left' })}</p>
+                                        )}
+                                        {memberClasses.planCredits.every((credit) => credit.remaining === 0) && !memberClasses.package && (
+                                            <p className="text-amber-300">{t('classes.noCredit', 'No class credits or package sessions left')}</p>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        <div className="space-y-2">
+                            <h4 className="font-semibold text-white">{t('classes.roster', 'Roster')}</h4>
+                            {renderEnrollmentTable(detail.roster, t('classes.emptyRoster', 'Nobody enrolled yet'))}
+                        </div>
+                        <div className="space-y-2">
+                            <h4 className="font-semibold text-white">{t('classes.waitlist', 'Waitlist')}</h4>
+                            {renderEnrollmentTable(detail.waitlist, t('classes.emptyWaitlist', 'Nobody waiting'), { waitlist: true })}
+                        </div>
+                        {detail.cancelled.length > 0 && (
+                            <div className="space-y-2">
+                                <h4 className="font-semibold text-white">{t('classes.cancelledEnrollments', 'Cancelled')}</h4>
+                                {renderEnrollmentTable(detail.cancelled, '')}
+                            </div>
+                        )}
+                    </div>
+                </Modal>
+            )}
+
+            {/* Session form */}
+            {sessionForm && (
+                <Modal title={sessionForm.id ? t('classes.editClass', 'Edit class') : t('classes.scheduleClass', 'Schedule class')} onClose={() => setSessionForm(null)}>
+                    <form onSubmit={handleSaveSession} className="p-6 space-y-4">
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="col-span-2">
+                                <label className="label">{t('classes.fields.classType', 'Class')}</label>
+                                <select className="input" required disabled={Boolean(sessionForm.id)} value={sessionForm.classTypeId}
+                                    onChange={(e) => {
+                                        const type = types.find((row) => row.id === parseInt(e.target.value));
+                                        setSessionForm((prev) => ({ ...prev, classTypeId: e.target.value, capacity: type?.defaultCapacity || prev.capacity }));
+                                    }}>
+                                    {(sessionForm.id ? types : activeTypes).map((type) => (
+                                        <option key={type.id} value={type.id}>{typeName(type)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="label">{t('classes.fields.start', 'Starts')}</label>
+                                <input type="datetime-local" className="input" required value={sessionForm.start}
+                                    onChange={(e) => setSessionForm((prev) => ({ ...prev, start: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('classes.fields.end', 'Ends')}</label>
+                                <input type="datetime-local" className="input" value={sessionForm.end}
+                                    placeholder={t('classes.defaultDuration', 'Class duration')}
+                                    onChange={(e) => setSessionForm((prev) => ({ ...prev, end: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('classes.fields.coach', 'Coach')}</label>
+                                <select className="input" value={sessionForm.coachId}
+                                    onChange={(e) => setSessionForm((prev) => ({ ...prev, coachId: e.target.value }))}>
+                                    <option value="">--</option>
+                                    {coaches.map((coach) => (
+                                        <option key={coach.id} value={coach.id}>{personName(coach)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="label">{t('classes.fields.room', 'Room')}</label>
+                                <input className="input" value={sessionForm.room}
+                                    onChange={(e) => setSessionForm((prev) => ({ ...prev, room: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('classes.fields.capacity', 'Capacity')}</label>
+                                <input type="number" min="1" className="input font-mono" required value={sessionForm.capacity}
+                                    onChange={(e) => setSessionForm((prev) => ({ ...prev, capacity: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('classes.fields.waitlistCapacity', 'Waitlist size')}</label>
+                                <input type="number" min="0" className="input font-mono" value={sessionForm.waitlistCapacity}
+                                    placeholder={t('classes.unlimited', 'Unlimited')}
+                                    onChange={(e) => setSessionForm((prev) => ({ ...prev, waitlistCapacity: e.target.value }))} />
+                            </div>
+                            {!sessionForm.id && (
+                                <div>
+                                    <label className="label">{t('classes.fields.repeatWeeks', 'Repeat weekly (weeks)')}</label>
+                                    <input type="number" min="1" max="26" className="input font-mono" value={sessionForm.repeatWeeks}
+                                        onChange={(e) => setSessionForm((prev) => ({ ...prev, repeatWeeks: e.target.value }))} />
+                                </div>
+                            )}
+                        </div>
+                        <div>
+                            <label className="label">{t('classes.fields.notes', 'Notes')}</label>
+                            <textarea className="input h-20 resize-none" value={sessionForm.notes}
+                                onChange={(e) => setSessionForm((prev) => ({ ...prev, notes: e.target.value }))} />
+                        </div>
+                        <div className="flex justify-end gap-3 pt-2">
+                            <button type="button" onClick={() => setSessionForm(null)} className="btn-secondary">{t('common.cancel', 'Cancel')}</button>
+                            <button type="submit" disabled={saving} className="btn-primary">{t('common.save', 'Save')}</button>
+                        </div>
+                    </form>
+                </Modal>
+            )}
+
+            {/* Class type form */}
+            {typeForm && (
+                <Modal title={typeForm.id ? t('classes.editType', 'Edit class type') : t('classes.addType', 'Add class type')} onClose={() => setTypeForm(null)}>
+                    <form onSubmit={handleSaveType} className="p-6 space-y-4">
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="label">{t('classes.fields.name', 'Name')}</label>
+                                <input className="input" required value={typeForm.name}
+                                    onChange={(e) => setTypeForm((prev) => ({ ...prev, name: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('classes.fields.nameAr', 'Arabic name')}</label>
+                                <input className="input" dir="rtl" value={typeForm.nameAr}
+                                    onChange={(e) => setTypeForm((prev) => ({ ...prev, nameAr: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('classes.fields.duration', 'Duration (min)')}</label>
+                                <input type="number" min="5" className="input font-mono" required value={typeForm.durationMinutes}
+                                    onChange={(e) => setTypeForm((prev) => ({ ...prev, durationMinutes: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('classes.fields.capacity', 'Capacity')}</label>
+                                <input type="number" min="1" className="input font-mono" required value={typeForm.defaultCapacity}
+                                    onChange={(e) => setTypeForm((prev) => ({ ...prev, defaultCapacity: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('classes.fields.color', 'Colour')}</label>
+                                <input type="color" className="input h-10 p-1" value={typeForm.color}
+                                    onChange={(e) => setTypeForm((prev) => ({ ...prev, color: e.target.value }))} />
+                            </div>
+                            <label className="flex items-center gap-2 text-sm text-gray-300 pt-6">
+                                <input type="checkbox" checked={typeForm.isActive}
+                                    onChange={(e) => setTypeForm((prev) => ({ ...prev, isActive: e.target.checked }))} />
+                                {t('classes.active', 'Active')}
+                            </label>
+                        </div>
+                        <div>
+                            <label className="label">{t('classes.fields.description', 'Description')}</label>
+                            <textarea className="input h-20 resize-none" value={typeForm.description}
+                                onChange={(e) => setTypeForm((prev) => ({ ...prev, description: e.target.value }))} />
+                        </div>
+                        <div className="flex justify-end gap-3 pt-2">
+                            <button type="button" onClick={() => setTypeForm(null)} className="btn-secondary">{t('common.cancel', 'Cancel')}</button>
+                            <button type="submit" disabled={saving} className="btn-primary">{t('common.save', 'Save')}</button>
+                        </div>
+                    </form>
+                </Modal>
+            )}
+        </div>
+    );
+};
+
+export default Classes;
@@ -98,6 +98,21 @@ const Dashboard = () => {
                 </div>
             </div>
 
+            {/* Backup warning (admin only, sent by the server when the last backup is too old) */}
+            {stats.backup?.isStale && (
+                <div
+                    onClick={() => navigate('/settings')}
+                    className="flex items-center gap-3 p-4 rounded-xl border border-amber-300 bg-amber-50 text-amber-800 dark:border-amber-700 dark:bg-amber-900/20 dark:text-amber-300 cursor-pointer"
+                >
+                    <AlertCircle className="w-5 h-5 shrink-0" />
+                    <span className="text-sm font-medium">
+                        {stats.backup.lastBackupAt
+                            ? t('dashboard.backupStale', { hours: Math.floor(stats.backup.ageHours) })
+                            : t('dashboard.backupNever')}
+                    </span>
+                </div>
+            )}
+
             <motion.div
                 variants={containerVariants}
                 initial="hidden"
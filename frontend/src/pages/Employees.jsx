@@ -8,10 +8,12 @@ import {
     Trash2,
     Loader2,
     User,
-    Shield
+    Shield,
+    CalendarClock
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import api from '../utils/api';
+import CoachAvailabilityModal from '../components/CoachAvailabilityModal';
 
 const Employees = () => {
     const { t } = useTranslation();
@@ -19,6 +21,7 @@ const Employees = () => {
     const [isLoading, setIsLoading] = useState(true);
     const [showModal, setShowModal] = useState(false);
     const [editingUser, setEditingUser] = useState(null);
+    const [availabilityUser, setAvailabilityUser] = useState(null);
     const [formData, setFormData] = useState({
         username: '',
         password: '',
@@ -185,6 +188,13 @@ const Employees = () => {
                                     </td>
                                     <td>
                                         <div className="flex items-center gap-2">
+                                            <button
+                                                onClick={() => setAvailabilityUser(user)}
+                                                className="btn-icon hover:text-white"
+                                                title={t('availability.title')}
+                                            >
+                                                <CalendarClock className="w-4 h-4" />
+                                            </button>
                                             <button
                                                 onClick={() => handleEdit(user)}
                                                 className="btn-icon hover:text-white"
@@ -207,6 +217,13 @@ const Employees = () => {
                 </table>
             </motion.div>
 
+            {availabilityUser && (
+                <CoachAvailabilityModal
+                    user={availabilityUser}
+                    onClose={() => setAvailabilityUser(null)}
+                />
+            )}
+
             {showModal && (
                 <div className="modal-overlay" onClick={() => setShowModal(false)}>
                     <motion.div
@@ -0,0 +1,728 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+    Wallet,
+    Plus,
+    Repeat,
+    Tags,
+    Pencil,
+    Trash2,
+    Paperclip,
+    Loader2,
+    AlertCircle,
+    Download,
+    X
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { usePosStore, useSettingsStore } from '../store';
+import { usePermissions } from '../hooks/usePermissions';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatDate } from '../utils/dateFormatter';
+import { formatCurrency } from '../utils/numberFormatter';
+
+const PAYMENT_METHODS = ['cash', 'card', 'transfer'];
+const FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+const today = () => new Date().toISOString().split('T')[0];
+const firstOfMonth = () => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1, 12).toISOString().split('T')[0];
+};
+
+const emptyExpense = {
+    category: '',
+    amount: '',
+    description: '',
+    date: today(),
+    paymentMethod: 'cash',
+    paidFromDrawer: false
+};
+
+const emptyRecurring = {
+    category: '',
+    amount: '',
+    description: '',
+    paymentMethod: 'transfer',
+    frequency: 'monthly',
+    startDate: today(),
+    endDate: ''
+};
+
+const tabClass = (active) => `px-4 py-2 text-sm font-semibold rounded-lg transition-all ${active
+    ? 'bg-indigo-600 text-white shadow-lg shadow-indigo-500/20'
+    : 'text-gray-400 hover:text-white hover:bg-slate-700/50'}`;
+
+const Modal = ({ title, onClose, children }) => (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4 bg-black/60 backdrop-blur-md" onClick={onClose}>
+        <div
+            onClick={(e) => e.stopPropagation()}
+            className="bg-white dark:bg-slate-900 rounded-3xl shadow-2xl w-full max-w-xl overflow-hidden border border-gray-200 dark:border-white/10"
+        >
+            <div className="p-5 border-b border-gray-100 dark:border-white/5 flex justify-between items-center">
+                <h3 className="font-black text-xl text-slate-900 dark:text-white">{title}</h3>
+                <button type="button" onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-white/5 rounded-xl transition-colors">
+                    <X size={20} className="text-gray-500" />
+                </button>
+            </div>
+            {children}
+        </div>
+    </div>
+);
+
+const Expenses = () => {
+    const { t, i18n } = useTranslation();
+    const { currentShift } = usePosStore();
+    const { getSetting } = useSettingsStore();
+    const { can } = usePermissions();
+    const canManage = can(PERMISSIONS.EXPENSES_MANAGE);
+
+    const [activeTab, setActiveTab] = useState('expenses');
+    const [categories, setCategories] = useState([]);
+    const [filters, setFilters] = useState({ from: firstOfMonth(), to: today(), category: 'all', paymentMethod: 'all' });
+    const [expenses, setExpenses] = useState([]);
+    const [summary, setSummary] = useState({ total: 0, count: 0, byCategory: [] });
+    const [recurring, setRecurring] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    const [expenseForm, setExpenseForm] = useState(null);
+    const [attachmentFile, setAttachmentFile] = useState(null);
+    const [recurringForm, setRecurringForm] = useState(null);
+    const [newCategory, setNewCategory] = useState('');
+
+    const isRTL = i18n.language === 'ar';
+    const alignStart = isRTL ? 'text-right' : 'text-left';
+    const alignEnd = isRTL ? 'text-left' : 'text-right';
+
+    const currencyConf = useMemo(() => ({
+        code: getSetting('currency_code', 'EGP'),
+        symbol: getSetting('currency_symbol', 'EGP')
+    }), [getSetting]);
+    const money = (value) => formatCurrency(value || 0, i18n.language, currencyConf);
+    const categoryLabel = (name) => t(`expenses.categories.${name}`, name);
+    const activeCategories = categories.filter((category) => category.isActive);
+
+    const fetchCategories = useCallback(async () => {
+        try {
+            const response = await api.get('/expenses/categories', { params: { includeInactive: true } });
+            setCategories(response.data.data || []);
+        } catch (error) {
+            toast.error(t('expenses.loadFailed', 'Failed to load expenses'));
+        }
+    }, [t]);
+
+    const fetchExpenses = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/expenses', { params: { ...filters, limit: 200 } });
+            const data = response.data.data || {};
+            setExpenses(data.expenses || []);
+            setSummary(data.summary || { total: 0, count: 0, byCategory: [] });
+        } catch (error) {
+            toast.error(t('expenses.loadFailed', 'Failed to load expenses'));
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, t]);
+
+    const fetchRecurring = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/expenses/recurring');
+            setRecurring(response.data.data || []);
+        } catch (error) {
+            toast.error(t('expenses.loadFailed', 'Failed to load expenses'));
+        } finally {
+            setLoading(false);
+        }
+    }, [t]);
+
+    useEffect(() => {
+        fetchCategories();
+    }, [fetchCategories]);
+
+    useEffect(() => {
+        if (activeTab === 'expenses') fetchExpenses();
+        if (activeTab === 'recurring') fetchRecurring();
+    }, [activeTab, fetchExpenses, fetchRecurring]);
+
+    const handleExport = async () => {
+        try {
+            const response = await api.get('/expenses', {
+                params: { ...filters, format: 'excel' },
+                responseType: 'blob'
+            });
+            const url = window.URL.createObjectURL(new Blob([response.data]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `expenses-${filters.from}-${filters.to}.xlsx`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error(t('expenses.loadFailed', 'Failed to load expenses'));
+        }
+    };
+
+    // ========== Expenses ==========
+
+    const openExpenseForm = (expense = null) => {
+        setAttachmentFile(null);
+        setExpenseForm(expense ? {
+            id: expense.id,
+            category: expense.category,
+            amount: expense.amount,
+            description: expense.description || '',
+            date: String(expense.date).split('T')[0],
+            paymentMethod: expense.paymentMethod,
+            paidFromDrawer: Boolean(expense.cashMovementId),
+            attachmentPath: expense.attachmentPath
+        } : { ...emptyExpense, date: today(), category: activeCategories[0]?.name || '' });
+    };
+
+    const handleSaveExpense = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const payload = new FormData();
+            ['category', 'amount', 'description', 'date', 'paymentMethod'].forEach((key) => {
+                payload.append(key, expenseForm[key] ?? '');
+            });
+            if (!expenseForm.id) payload.append('paidFromDrawer', expenseForm.paidFromDrawer);
+            if (attachmentFile) payload.append('attachment', attachmentFile);
+
+            const config = { headers: { 'Content-Type': 'multipart/form-data' } };
+            if (expenseForm.id) {
+                await api.put(`/expenses/${expenseForm.id}`, payload, config);
+            } else {
+                await api.post('/expenses', payload, config);
+            }
+            toast.success(t('expenses.saved', 'Expense saved'));
+            setExpenseForm(null);
+            fetchExpenses();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('expenses.saveFailed', 'Failed to save expense'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDeleteExpense = async (expense) => {
+        if (!window.confirm(t('expenses.deleteConfirm', 'Delete this expense?'))) return;
+        try {
+            await api.delete(`/expenses/${expense.id}`);
+            toast.success(t('expenses.deleted', 'Expense deleted'));
+            fetchExpenses();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('expenses.deleteFailed', 'Failed to delete expense'));
+        }
+    };
+
+    const handleRemoveAttachment = async () => {
+        try {
+            await api.delete(`/expenses/${expenseForm.id}/attachment`);
+            setExpenseForm((prev) => ({ ...prev, attachmentPath: null }));
+            fetchExpenses();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('expenses.saveFailed', 'Failed to save expense'));
+        }
+    };
+
+    // ========== Recurring ==========
+
+    const openRecurringForm = (template = null) => {
+        setRecurringForm(template ? {
+            id: template.id,
+            category: template.category,
+            amount: template.amount,
+            description: template.description || '',
+            paymentMethod: template.paymentMethod,
+            frequency: template.frequency,
+            startDate: String(template.startDate).split('T')[0],
+            endDate: template.endDate ? String(template.endDate).split('T')[0] : '',
+            isActive: template.isActive
+        } : { ...emptyRecurring, startDate: today(), category: activeCategories[0]?.name || '' });
+    };
+
+    const handleSaveRecurring = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const { id, ...payload } = recurringForm;
+            if (id) {
+                // The schedule restarts only when the start date changes
+                const original = recurring.find((template) => template.id === id);
+                if (original && String(original.startDate).split('T')[0] === payload.startDate) {
+                    delete payload.startDate;
+                }
+                await api.put(`/expenses/recurring/${id}`, payload);
+            } else {
+                await api.post('/expenses/recurring', payload);
+            }
+            toast.success(t('expenses.recurringSaved', 'Recurring expense saved'));
+            setRecurringForm(null);
+            fetchRecurring();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('expenses.saveFailed', 'Failed to save expense'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDeleteRecurring = async (template) => {
+        if (!window.confirm(t('expenses.deleteRecurringConfirm', 'Stop this recurring expense? Expenses already created are kept.'))) return;
+        try {
+            await api.delete(`/expenses/recurring/${template.id}`);
+            toast.success(t('expenses.recurringDeleted', 'Recurring expense deleted'));
+            fetchRecurring();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('expenses.deleteFailed', 'Failed to delete expense'));
+        }
+    };
+
+    // ========== Categories ==========
+
+    const handleAddCategory = async (e) => {
+        e.preventDefault();
+        if (!newCategory.trim()) return;
+        try {
+            await api.post('/expenses/categories', { name: newCategory.trim(), sortOrder: categories.length + 1 });
+            toast.success(t('expenses.categorySaved', 'Category saved'));
+            setNewCategory('');
+            fetchCategories();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('expenses.saveFailed', 'Failed to save expense'));
+        }
+    };
+
+    const toggleCategory = async (category) => {
+        try {
+            await api.put(`/expenses/categories/${category.id}`, { isActive: !category.isActive });
+            fetchCategories();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('expenses.saveFailed', 'Failed to save expense'));
+        }
+    };
+
+    const thClass = 'px-4 py-3 text-xs font-semibold text-gray-400 uppercase tracking-wider';
+    const categoryOptions = (current) => {
+        const options = activeCategories.map((category) => category.name);
+        if (current && !options.includes(current)) options.push(current);
+        return options.map((name) => <option key={name} value={name}>{categoryLabel(name)}</option>);
+    };
+
+    const renderEmptyRow = (colSpan, message) => (
+        <tr>
+            <td colSpan={colSpan} className="py-10 text-center">
+                {loading ? (
+                    <Loader2 className="w-6 h-6 animate-spin mx-auto text-indigo-400" />
+                ) : (
+                    <>
+                        <AlertCircle className="w-10 h-10 mx-auto text-gray-600 mb-2" />
+                        <p className="text-sm text-gray-400">{message}</p>
+                    </>
+                )}
+            </td>
+        </tr>
+    );
+
+    return (
+        <div className="space-y-8">
+            {/* Header */}
+            <div className="flex flex-col items-center text-center gap-3">
+                <div className="w-14 h-14 rounded-2xl bg-gradient-to-br from-rose-500 to-indigo-600 flex items-center justify-center shadow-lg shadow-rose-500/20">
+                    <Wallet className="w-6 h-6 text-white" />
+                </div>
+                <div>
+                    <h1 className="text-2xl md:text-3xl font-black text-slate-900 dark:text-white">
+                        {t('expenses.title', 'Expenses')}
+                    </h1>
+                    <p className="text-slate-500 dark:text-gray-400 mt-1 text-sm">
+                        {t('expenses.subtitle', 'Rent, utilities, salaries and other gym costs')}
+                    </p>
+                </div>
+            </div>
+
+            {/* Tabs */}
+            <div className="flex justify-center">
+                <div className="inline-flex bg-slate-800/40 border border-slate-700/50 rounded-xl p-1">
+                    <button onClick={() => setActiveTab('expenses')} className={tabClass(activeTab === 'expenses')}>
+                        <span className="flex items-center gap-2"><Wallet className="w-4 h-4" />{t('expenses.tabs.expenses', 'Expenses')}</span>
+                    </button>
+                    <button onClick={() => setActiveTab('recurring')} className={tabClass(activeTab === 'recurring')}>
+                        <span className="flex items-center gap-2"><Repeat className="w-4 h-4" />{t('expenses.tabs.recurring', 'Recurring')}</span>
+                    </button>
+                    {canManage && (
+                        <button onClick={() => setActiveTab('categories')} className={tabClass(activeTab === 'categories')}>
+                            <span className="flex items-center gap-2"><Tags className="w-4 h-4" />{t('expenses.tabs.categories', 'Categories')}</span>
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {activeTab === 'expenses' && (
+                <div className="space-y-6">
+                    {/* Summary */}
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                        <div className="rounded-2xl border border-slate-700/50 bg-slate-800/40 p-5">
+                            <p className="text-xs text-gray-400">{t('expenses.total', 'Total expenses')}</p>
+                            <p className="text-2xl font-black text-rose-400 mt-1">{money(summary.total)}</p>
+                        </div>
+                        <div className="rounded-2xl border border-slate-700/50 bg-slate-800/40 p-5">
+                            <p className="text-xs text-gray-400">{t('expenses.count', 'Expenses')}</p>
+                            <p className="text-2xl font-black text-white mt-1">{summary.count}</p>
+                        </div>
+                        <div className="rounded-2xl border border-slate-700/50 bg-slate-800/40 p-5">
+                            <p className="text-xs text-gray-400">{t('expenses.topCategory', 'Top category')}</p>
+                            <p className="text-2xl font-black text-white mt-1">
+                                {summary.byCategory[0] ? categoryLabel(summary.byCategory[0].category) : '--'}
+                            </p>
+                        </div>
+                    </div>
+
+                    <div className="bg-slate-800/40 rounded-2xl border border-slate-700/50 p-6 shadow-lg">
+                        {/* Filters */}
+                        <div className="flex flex-wrap items-end gap-4 mb-6">
+                            <div className="min-w-[200px]">
+                                <label className="label text-xs mb-1">{t('reports.dateRange', 'Date range')}</label>
+                                <div className="flex items-center gap-2">
+                                    <input type="date" className="input py-1.5" value={filters.from}
+                                        onChange={(e) => setFilters((prev) => ({ ...prev, from: e.target.value }))} />
+                                    <span className="text-gray-400">{t('reports.to', 'to')}</span>
+                                    <input type="date" className="input py-1.5" value={filters.to}
+                                        onChange={(e) => setFilters((prev) => ({ ...prev, to: e.target.value }))} />
+                                </div>
+                            </div>
+                            <div className="w-44">
+                                <label className="label text-xs mb-1">{t('expenses.fields.category', 'Category')}</label>
+                                <select className="input py-1.5" value={filters.category}
+                                    onChange={(e) => setFilters((prev) => ({ ...prev, category: e.target.value }))}>
+                                    <option value="all">{t('expenses.allCategories', 'All categories')}</option>
+                                    {categories.map((category) => (
+                                        <option key={category.id} value={category.name}>{categoryLabel(category.name)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="w-40">
+                                <label className="label text-xs mb-1">{t('expenses.fields.paymentMethod', 'Payment method')}</label>
+                                <select className="input py-1.5" value={filters.paymentMethod}
+                                    onChange={(e) => setFilters((prev) => ({ ...prev, paymentMethod: e.target.value }))}>
+                                    <option value="all">{t('expenses.allMethods', 'All methods')}</option>
+                                    {PAYMENT_METHODS.map((method) => (
+                                        <option key={method} value={method}>{t(`expenses.methods.${method}`, method)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="flex gap-2 ms-auto">
+                                <button type="button" onClick={handleExport} className="btn-secondary flex items-center gap-2">
+                                    <Download className="w-4 h-4" />Excel
+                                </button>
+                                {canManage && (
+                                    <button type="button" onClick={() => openExpenseForm()} className="btn-primary flex items-center gap-2">
+                                        <Plus className="w-4 h-4" />{t('expenses.addExpense', 'Add expense')}
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+
+                        {/* Table */}
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                                    <tr>
+                                        <th className={`${thClass} ${alignStart}`}>{t('expenses.fields.date', 'Date')}</th>
+                                        <th className={`${thClass} ${alignStart}`}>{t('expenses.fields.category', 'Category')}</th>
+                                        <th className={`${thClass} ${alignStart}`}>{t('expenses.fields.description', 'Description')}</th>
+                                        <th className={`${thClass} ${alignStart}`}>{t('expenses.fields.paymentMethod', 'Payment method')}</th>
+                                        <th className={`${thClass} ${alignEnd}`}>{t('expenses.fields.amount', 'Amount')}</th>
+                                        <th className={thClass}></th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-slate-700/50">
+                                    {loading || expenses.length === 0 ? renderEmptyRow(6, t('expenses.empty', 'No expenses in this period')) : (
+                                        expenses.map((expense) => (
+                                            <tr key={expense.id} className="hover:bg-slate-700/30 transition-colors">
+                                                <td className={`px-4 py-3 text-gray-300 font-mono ${alignStart}`}>{formatDate(expense.date, i18n.language)}</td>
+                                                <td className={`px-4 py-3 text-white font-medium ${alignStart}`}>
+                                                    {categoryLabel(expense.category)}
+                                                    {expense.recurringExpenseId && (
+                                                        <span className="ms-2 badge badge-warning">{t('expenses.recurringBadge', 'Recurring')}</span>
+                                                    )}
+                                                </td>
+                                                <td className={`px-4 py-3 text-gray-400 ${alignStart}`}>{expense.description || '--'}</td>
+                                                <td className={`px-4 py-3 text-gray-300 ${alignStart}`}>
+                                                    {t(`expenses.methods.${expense.paymentMethod}`, expense.paymentMethod)}
+                                                    {expense.shiftId && (
+                                                        <span className="ms-2 badge badge-success">{t('expenses.drawer', 'Drawer')} #{expense.shiftId}</span>
+                                                    )}
+                                                </td>
+                                                <td className={`px-4 py-3 font-mono font-medium text-rose-400 ${alignEnd}`}>{money(expense.amount)}</td>
+                                                <td className="px-4 py-3">
+                                                    <div className="flex items-center justify-end gap-1">
+                                                        {expense.attachmentPath && (
+                                                            <a href={expense.attachmentPath} target="_blank" rel="noreferrer" className="btn-icon"
+                                                                title={t('expenses.viewAttachment', 'View receipt')}>
+                                                                <Paperclip className="w-4 h-4" />
+                                                            </a>
+                                                        )}
+                                                        {canManage && (
+                                                            <>
+                                                                <button type="button" className="btn-icon" onClick={() => openExpenseForm(expense)}>
+                                                                    <Pencil className="w-4 h-4" />
+                                                                </button>
+                                                                {!expense.settlement && (
+                                                                    <button type="button" className="btn-icon text-red-400" onClick={() => handleDeleteExpense(expense)}>
+                                                                        <Trash2 className="w-4 h-4" />
+                                                                    </button>
+                                                                )}
+                                                            </>
+                                                        )}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        ))
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {activeTab === 'recurring' && (
+                <div className="bg-slate-800/40 rounded-2xl border border-slate-700/50 p-6 shadow-lg">
+                    <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                        <p className="text-sm text-gray-400">{t('expenses.recurringHint', 'An expense is created automatically on each due date')}</p>
+                        {canManage && (
+                            <button type="button" onClick={() => openRecurringForm()} className="btn-primary flex items-center gap-2">
+                                <Plus className="w-4 h-4" />{t('expenses.addRecurring', 'Add recurring expense')}
+                            </button>
+                        )}
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                                <tr>
+                                    <th className={`${thClass} ${alignStart}`}>{t('expenses.fields.category', 'Category')}</th>
+                                    <th className={`${thClass} ${alignStart}`}>{t('expenses.fields.description', 'Description')}</th>
+                                    <th className={`${thClass} ${alignStart}`}>{t('expenses.fields.frequency', 'Frequency')}</th>
+                                    <th className={`${thClass} ${alignStart}`}>{t('expenses.fields.nextDueDate', 'Next due')}</th>
+                                    <th className={`${thClass} ${alignStart}`}>{t('expenses.fields.status', 'Status')}</th>
+                                    <th className={`${thClass} ${alignEnd}`}>{t('expenses.fields.amount', 'Amount')}</th>
+                                    <th className={thClass}></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-700/50">
+                                {loading || recurring.length === 0 ? renderEmptyRow(7, t('expenses.recurringEmpty', 'No recurring expenses')) : (
+                                    recurring.map((template) => (
+                                        <tr key={template.id} className="hover:bg-slate-700/30 transition-colors">
+                                            <td className={`px-4 py-3 text-white font-medium ${alignStart}`}>{categoryLabel(template.category)}</td>
+                                            <td className={`px-4 py-3 text-gray-400 ${alignStart}`}>{template.description || '--'}</td>
+                                            <td className={`px-4 py-3 text-gray-300 ${alignStart}`}>{t(`expenses.frequencies.${template.frequency}`, template.frequency)}</td>
+                                            <td className={`px-4 py-3 text-gray-300 font-mono ${alignStart}`}>
+                                                {template.isActive ? formatDate(template.nextDueDate, i18n.language) : '--'}
+                                            </td>
+                                            <td className={`px-4 py-3 ${alignStart}`}>
+                                                <span className={`badge ${template.isActive ? 'badge-success' : 'badge-danger'}`}>
+                                                    {template.isActive ? t('expenses.active', 'Active') : t('expenses.inactive', 'Inactive')}
+                                                </span>
+                                            </td>
+                                            <td className={`px-4 py-3 font-mono font-medium text-rose-400 ${alignEnd}`}>{money(template.amount)}</td>
+                                            <td className="px-4 py-3">
+                                                {canManage && (
+                                                    <div className="flex items-center justify-end gap-1">
+                                                        <button type="button" className="btn-icon" onClick={() => openRecurringForm(template)}>
+                                                            <Pencil className="w-4 h-4" />
+                                                        </button>
+                                                        <button type="button" className="btn-icon text-red-400" onClick={() => handleDeleteRecurring(template)}>
+                                                            <Trash2 className="w-4 h-4" />
+                                                        </button>
+                                                    </div>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {activeTab === 'categories' && canManage && (
+                <div className="max-w-2xl mx-auto bg-slate-800/40 rounded-2xl border border-slate-700/50 p-6 shadow-lg space-y-6">
+                    <form onSubmit={handleAddCategory} className="flex gap-3">
+                        <input className="input flex-1" value={newCategory} placeholder={t('expenses.newCategory', 'New category')}
+                            onChange={(e) => setNewCategory(e.target.value)} />
+                        <button type="submit" className="btn-primary flex items-center gap-2">
+                            <Plus className="w-4 h-4" />{t('expenses.addCategory', 'Add category')}
+                        </button>
+                    </form>
+                    <div className="divide-y divide-slate-700/50">
+                        {categories.map((category) => (
+                            <div key={category.id} className="flex items-center justify-between py-3">
+                                <span className={category.isActive ? 'text-white font-medium' : 'text-gray-500 line-through'}>
+                                    {categoryLabel(category.name)}
+                                </span>
+                                <button type="button" onClick={() => toggleCategory(category)}
+                                    className={`badge ${category.isActive ? 'badge-success' : 'badge-danger'}`}>
+                                    {category.isActive ? t('expenses.active', 'Active') : t('expenses.inactive', 'Inactive')}
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Expense Modal */}
+            {expenseForm && (
+                <Modal
+                    title={expenseForm.id ? t('expenses.editExpense', 'Edit expense') : t('expenses.addExpense', 'Add expense')}
+                    onClose={() => setExpenseForm(null)}
+                >
+                    <form onSubmit={handleSaveExpense} className="p-6 space-y-4">
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="label">{t('expenses.fields.category', 'Category')}</label>
+                                <select className="input" required value={expenseForm.category}
+                                    onChange={(e) => setExpenseForm((prev) => ({ ...prev, category: e.target.value }))}>
+                                    {categoryOptions(expenseForm.category)}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="label">{t('expenses.fields.amount', 'Amount')}</label>
+                                <input type="number" step="0.01" min="0.01" required className="input font-mono" value={expenseForm.amount}
+                                    onChange={(e) => setExpenseForm((prev) => ({ ...prev, amount: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('expenses.fields.date', 'Date')}</label>
+                                <input type="date" required className="input" value={expenseForm.date}
+                                    onChange={(e) => setExpenseForm((prev) => ({ ...prev, date: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('expenses.fields.paymentMethod', 'Payment method')}</label>
+                                <select className="input" value={expenseForm.paidFromDrawer ? 'cash' : expenseForm.paymentMethod}
+                                    disabled={expenseForm.paidFromDrawer}
+                                    onChange={(e) => setExpenseForm((prev) => ({ ...prev, paymentMethod: e.target.value }))}>
+                                    {PAYMENT_METHODS.map((method) => (
+                                        <option key={method} value={method}>{t(`expenses.methods.${method}`, method)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+                        <div>
+                            <label className="label">{t('expenses.fields.description', 'Description')}</label>
+                            <textarea className="input h-20 resize-none" value={expenseForm.description}
+                                onChange={(e) => setExpenseForm((prev) => ({ ...prev, description: e.target.value }))} />
+                        </div>
+                        <div>
+                            <label className="label">{t('expenses.fields.attachment', 'Receipt')}</label>
+                            {expenseForm.attachmentPath && !attachmentFile && (
+                                <div className="flex items-center gap-3 mb-2 text-sm">
+                                    <a href={expenseForm.attachmentPath} target="_blank" rel="noreferrer" className="text-indigo-400 flex items-center gap-1">
+                                        <Paperclip className="w-4 h-4" />{t('expenses.viewAttachment', 'View receipt')}
+                                    </a>
+                                    <button type="button" onClick={handleRemoveAttachment} className="text-red-400">
+                                        {t('expenses.removeAttachment', 'Remove receipt')}
+                                    </button>
+                                </div>
+                            )}
+                            <input type="file" accept="image/png,image/jpeg,image/webp,application/pdf" className="input"
+                                onChange={(e) => setAttachmentFile(e.target.files?.[0] || null)} />
+                        </div>
+                        {!expenseForm.id && (
+                            <label className="flex items-start gap-3 p-3 rounded-xl border border-slate-700/50 cursor-pointer">
+                                <input type="checkbox" className="mt-1" checked={expenseForm.paidFromDrawer} disabled={!currentShift}
+                                    onChange={(e) => setExpenseForm((prev) => ({ ...prev, paidFromDrawer: e.target.checked }))} />
+                                <span>
+                                    <span className="block text-sm font-semibold text-slate-900 dark:text-white">{t('expenses.paidFromDrawer', 'Paid from the cash drawer')}</span>
+                                    <span className="block text-xs text-gray-400">
+                                        {currentShift
+                                            ? t('expenses.paidFromDrawerHint', 'Recorded as a pay-out on your open shift')
+                                            : t('expenses.noActiveShift', 'Open a shift to pay from the drawer')}
+                                    </span>
+                                </span>
+                            </label>
+                        )}
+                        <div className="flex justify-end gap-3 pt-2">
+                            <button type="button" onClick={() => setExpenseForm(null)} className="btn-secondary">{t('common.cancel', 'Cancel')}</button>
+                            <button type="submit" disabled={saving} className="btn-primary">
+                                {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : t('common.save', 'Save')}
+                            </button>
+                        </div>
+                    </form>
+                </Modal>
+            )}
+
+            {/* Recurring Modal */}
+            {recurringForm && (
+                <Modal
+                    title={recurringForm.id ? t('expenses.editRecurring', 'Edit recurring expense') : t('expenses.addRecurring', 'Add recurring expense')}
+                    onClose={() => setRecurringForm(null)}
+                >
+                    <form onSubmit={handleSaveRecurring} className="p-6 space-y-4">
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="label">{t('expenses.fields.category', 'Category')}</label>
+                                <select className="input" required value={recurringForm.category}
+                                    onChange={(e) => setRecurringForm((prev) => ({ ...prev, category: e.target.value }))}>
+                                    {categoryOptions(recurringForm.category)}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="label">{t('expenses.fields.amount', 'Amount')}</label>
+                                <input type="number" step="0.01" min="0.01" required className="input font-mono" value={recurringForm.amount}
+                                    onChange={(e) => setRecurringForm((prev) => ({ ...prev, amount: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('expenses.fields.frequency', 'Frequency')}</label>
+                                <select className="input" value={recurringForm.frequency}
+                                    onChange={(e) => setRecurringForm((prev) => ({ ...prev, frequency: e.target.value }))}>
+                                    {FREQUENCIES.map((frequency) => (
+                                        <option key={frequency} value={frequency}>{t(`expenses.frequencies.${frequency}`, frequency)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="label">{t('expenses.fields.paymentMethod', 'Payment method')}</label>
+                                <select className="input" value={recurringForm.paymentMethod}
+                                    onChange={(e) => setRecurringForm((prev) => ({ ...prev, paymentMethod: e.target.value }))}>
+                                    {PAYMENT_METHODS.map((method) => (
+                                        <option key={method} value={method}>{t(`expenses.methods.${method}`, method)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="label">{t('expenses.fields.startDate', 'Start date')}</label>
+                                <input type="date" required className="input" value={recurringForm.startDate}
+                                    onChange={(e) => setRecurringForm((prev) => ({ ...prev, startDate: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">
+                                    {t('expenses.fields.endDate', 'End date')} <span className="text-gray-400 font-normal">({t('common.optional', 'Optional')})</span>
+                                </label>
+                                <input type="date" className="input" value={recurringForm.endDate}
+                                    onChange={(e) => setRecurringForm((prev) => ({ ...prev, endDate: e.target.value }))} />
+                            </div>
+                        </div>
+                        <div>
+                            <label className="label">{t('expenses.fields.description', 'Description')}</label>
+                            <input className="input" value={recurringForm.description}
+                                onChange={(e) => setRecurringForm((prev) => ({ ...prev, description: e.target.value }))} />
+                        </div>
+                        <div className="flex justify-end gap-3 pt-2">
+                            <button type="button" onClick={() => setRecurringForm(null)} className="btn-secondary">{t('common.cancel', 'Cancel')}</button>
+                            <button type="submit" disabled={saving} className="btn-primary">
+                                {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : t('common.save', 'Save')}
+                            </button>
+                        </div>
+                    </form>
+                </Modal>
+            )}
+        </div>
+    );
+};
+
+export default Expenses;
@@ -0,0 +1,300 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { CheckCircle2, XCircle, Lock, Delete, Loader2, Languages, ScanLine, LogOut } from 'lucide-react';
+import kioskApi from '../utils/kioskApi';
+import { useKioskStore } from '../store';
+import { speakText, getTTSSettings } from '../utils/tts';
+
+const RESULT_DISPLAY_MS = 6000;
+const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'back', '0', 'ok'];
+
+const DENIAL_MESSAGES = {
+    MEMBER_NOT_FOUND: ['kiosk.denied.notFound', 'We could not find that card or code'],
+    CREDENTIAL_REVOKED: ['kiosk.denied.revoked', 'This card is no longer valid'],
+    MEMBER_INACTIVE: ['kiosk.denied.inactive', 'Your account is not active'],
+    NOT_ELIGIBLE: ['kiosk.denied.notEligible', 'No active membership or sessions'],
+    OUTSTANDING_BALANCE: ['kiosk.denied.balance', 'There is a balance due on your account'],
+    DEBT_OVERRIDE_REQUIRED: ['kiosk.denied.balance', 'There is a balance due on your account'],
+    OFFLINE: ['kiosk.denied.offline', 'The kiosk cannot reach the server right now']
+};
+
+const Keypad = ({ onKey, disabled }) => (
+    <div className="grid grid-cols-3 gap-3 w-full max-w-xs mx-auto" dir="ltr">
+        {KEYS.map((key) => (
+            <button
+                key={key}
+                type="button"
+                disabled={disabled}
+                onClick={() => onKey(key)}
+                className={`h-16 rounded-2xl text-2xl font-bold transition-colors disabled:opacity-50 ${key === 'ok'
+                    ? 'bg-blue-600 hover:bg-blue-500 text-white'
+                    : 'bg-slate-800 hover:bg-slate-700 text-white'}`}
+            >
+                {key === 'back' ? <Delete className="w-7 h-7 mx-auto" /> : key === 'ok' ? 'OK' : key}
+            </button>
+        ))}
+    </div>
+);
+
+const Kiosk = () => {
+    const { t, i18n } = useTranslation();
+    const navigate = useNavigate();
+    const { kioskName, deactivate, forget } = useKioskStore();
+    const inputRef = useRef(null);
+
+    const [session, setSession] = useState(null);
+    const [sessionError, setSessionError] = useState(false);
+    const [code, setCode] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [result, setResult] = useState(null);
+    const [pinOpen, setPinOpen] = useState(false);
+    const [pin, setPin] = useState('');
+    const [pinError, setPinError] = useState('');
+    const [unlocking, setUnlocking] = useState(false);
+
+    const isArabic = i18n.language?.startsWith('ar');
+
+    useEffect(() => {
+        window.electronAPI?.setKioskMode?.(true);
+        kioskApi.get('/kiosk/session')
+            .then((response) => setSession(response.data.data))
+            .catch((error) => {
+                if (error.response?.status === 401) setSessionError(true);
+            });
+    }, []);
+
+    // Scanners type into the hidden input, so keep it focused
+    useEffect(() => {
+        if (pinOpen) return undefined;
+        const timer = setInterval(() => inputRef.current?.focus(), 1000);
+        return () => clearInterval(timer);
+    }, [pinOpen]);
+
+    useEffect(() => {
+        if (!result) return undefined;
+        const timer = setTimeout(() => setResult(null), RESULT_DISPLAY_MS);
+        return () => clearTimeout(timer);
+    }, [result]);
+
+    const describe = useCallback((data) => {
+        const name = data.member?.firstName || '';
+        if (data.granted) {
+            const details = [];
+            if (data.inGrace) {
+                details.push(t('kiosk.inGrace', 'Your membership has ended. Please renew at the front desk.'));
+            } else if (data.daysRemaining !== null && data.daysRemaining !== undefined) {
+                details.push(t('kiosk.daysLeft', { count: data.daysRemaining, defaultValue: '{{count}} days left on your membership' }));
+            }
+            if (data.remainingSessions !== null && data.remainingSessions !== undefined) {
+                details.push(t('kiosk.sessionsLeft', {
+                    remaining: data.remainingSessions,
+                    total: data.totalSessions,
+                    defaultValue: '{{remaining}} of {{total}} sessions left'
+                }));
+            }
+            return {
+                title: data.reason === 'ALREADY_CHECKED_IN'
+                    ? t('kiosk.alreadyIn', { name, defaultValue: 'Welcome back, {{name}}. You are already checked in.' })
+                    : t('kiosk.welcome', { name, defaultValue: 'Welcome, {{name}}!' }),
+                details
+            };
+        }
+
+        const known = DENIAL_MESSAGES[data.reason];
+        const title = known
+            ? t(known[0], known[1])
+            : (isArabic ? data.arabicMessage || data.message : data.message) || t('kiosk.denied.notEligible', 'No active membership or sessions');
+        return {
+            title,
+            details: data.seeDesk || data.reason === 'NOT_ELIGIBLE'
+                ? [t('kiosk.seeDesk', 'Please see the front desk.')]
+                : []
+        };
+    }, [t, isArabic]);
+
+    const announce = (data) => {
+        const { title, details } = describe(data);
+        if (getTTSSettings().enableVoice) {
+            speakText([title, ...details].join('. '), isArabic ? 'ar' : 'en');
+        }
+    };
+
+    const submit = async (value) => {
+        const trimmed = String(value || '').trim();
+        if (!trimmed || busy) return;
+        setBusy(true);
+        setCode('');
+        try {
+            const response = await kioskApi.post('/kiosk/checkin', { code: trimmed });
+            setResult(response.data.data);
+            announce(response.data.data);
+        } catch (error) {
+            if (error.response?.status === 401) {
+                setSessionError(true);
+                return;
+            }
+            const data = error.response
+                ? { granted: false, reason: error.response.data?.code, message: error.response.data?.message }
+                : { granted: false, reason: 'OFFLINE' };
+            setResult(data);
+            announce(data);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleKey = (key) => {
+        if (key === 'ok') return submit(code);
+        if (key === 'back') return setCode((prev) => prev.slice(0, -1));
+        setResult(null);
+        return setCode((prev) => (prev.length < 32 ? prev + key : prev));
+    };
+
+    const handlePinKey = (key) => {
+        setPinError('');
+        if (key === 'ok') return handleUnlock();
+        if (key === 'back') return setPin((prev) => prev.slice(0, -1));
+        return setPin((prev) => (prev.length < 8 ? prev + key : prev));
+    };
+
+    // Unlock the window and land on the staff login; the store change then unmounts the kiosk
+    const leaveKiosk = async (clearKiosk) => {
+        await window.electronAPI?.setKioskMode?.(false);
+        navigate('/login', { replace: true });
+        clearKiosk();
+    };
+
+    const handleUnlock = async () => {
+        if (!pin || unlocking) return;
+        setUnlocking(true);
+        try {
+            await kioskApi.post('/kiosk/unlock', { pin });
+            await leaveKiosk(deactivate);
+        } catch (error) {
+            setPin('');
+            setPinError(error.response?.data?.code === 'PIN_LOCKED'
+                ? t('kiosk.pinLocked', 'Too many wrong PINs. Try again in a few minutes.')
+                : t('kiosk.wrongPin', 'Wrong PIN'));
+        } finally {
+            setUnlocking(false);
+        }
+    };
+
+    const handleForget = async () => {
+        await leaveKiosk(forget);
+    };
+
+    const closePin = () => {
+        setPinOpen(false);
+        setPin('');
+        setPinError('');
+    };
+
+    const gymName = isArabic ? session?.gymNameAr || session?.gymName : session?.gymName;
+    const shown = result ? describe(result) : null;
+
+    if (sessionError) {
+        return (
+            <div className="fixed inset-0 bg-slate-950 text-white flex flex-col items-center justify-center gap-6 p-8 text-center" dir={i18n.dir()}>
+                <XCircle className="w-20 h-20 text-red-500" />
+                <h1 className="text-3xl font-bold">{t('kiosk.notRegistered', 'This kiosk is not registered or was disabled')}</h1>
+                <p className="text-slate-400 max-w-lg">{t('kiosk.notRegisteredHint', 'Ask an administrator to set it up again from Settings → Kiosk.')}</p>
+                <button type="button" onClick={handleForget} className="btn-secondary">
+                    <LogOut className="w-5 h-5" />
+                    {t('kiosk.exit', 'Exit kiosk mode')}
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="fixed inset-0 bg-slate-950 text-white flex flex-col select-none" dir={i18n.dir()}>
+            <header className="flex items-center justify-between px-8 py-5">
+                <div>
+                    <h1 className="text-2xl font-bold">{gymName || t('kiosk.title', 'Self check-in')}</h1>
+                    <p className="text-sm text-slate-400">
+                        {[session?.kiosk?.name || kioskName, session?.kiosk?.branch?.name].filter(Boolean).join(' · ')}
+                    </p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <button
+                        type="button"
+                        onClick={() => i18n.changeLanguage(isArabic ? 'en' : 'ar')}
+                        className="flex items-center gap-2 px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 font-medium"
+                    >
+                        <Languages className="w-5 h-5" />
+                        {isArabic ? 'English' : 'العربية'}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setPinOpen(true)}
+                        className="p-3 rounded-xl text-slate-600 hover:text-slate-300 hover:bg-slate-800"
+                        title={t('kiosk.adminExit', 'Staff exit')}
+                    >
+                        <Lock className="w-5 h-5" />
+                    </button>
+                </div>
+            </header>
+
+            <main className="flex-1 flex flex-col items-center justify-center gap-8 px-8 pb-10">
+                <input
+                    ref={inputRef}
+                    autoFocus
+                    value={code}
+                    onChange={(e) => {
+                        setResult(null);
+                        setCode(e.target.value);
+                    }}
+                    onKeyDown={(e) => e.key === 'Enter' && submit(code)}
+                    className="absolute opacity-0 pointer-events-none"
+                    aria-label={t('kiosk.prompt', 'Scan your card or QR code, or type your member code')}
+                />
+
+                {shown ? (
+                    <div onClick={() => setResult(null)} className={`w-full max-w-2xl rounded-3xl p-10 text-center space-y-4 ${result.granted ? 'bg-emerald-600/20 border border-emerald-500/40' : 'bg-red-600/20 border border-red-500/40'}`}>
+                        {result.granted
+                            ? <CheckCircle2 className="w-24 h-24 mx-auto text-emerald-400" />
+                            : <XCircle className="w-24 h-24 mx-auto text-red-400" />}
+                        <h2 className="text-4xl font-bold">{shown.title}</h2>
+                        {shown.details.map((line) => (
+                            <p key={line} className="text-xl text-slate-200">{line}</p>
+                        ))}
+                    </div>
+                ) : (
+                    <>
+                        <div className="text-center space-y-3">
+                            <ScanLine className="w-20 h-20 mx-auto text-blue-400" />
+                            <h2 className="text-3xl font-bold">{t('kiosk.prompt', 'Scan your card or QR code, or type your member code')}</h2>
+                        </div>
+                        <div className="h-16 min-w-[16rem] px-6 rounded-2xl bg-slate-900 border border-slate-700 flex items-center justify-center text-3xl font-mono tracking-widest" dir="ltr">
+                            {busy ? <Loader2 className="w-8 h-8 animate-spin text-blue-400" /> : (code || <span className="text-slate-600">GYM-0000</span>)}
+                        </div>
+                        <Keypad onKey={handleKey} disabled={busy} />
+                    </>
+                )}
+            </main>
+
+            {pinOpen && (
+                <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-6">
+                    <div className="w-full max-w-sm rounded-3xl bg-slate-900 border border-slate-700 p-6 space-y-5">
+                        <div className="text-center space-y-1">
+                            <Lock className="w-10 h-10 mx-auto text-slate-400" />
+                            <h3 className="text-xl font-bold">{t('kiosk.enterPin', 'Enter the admin PIN')}</h3>
+                            {pinError && <p className="text-sm text-red-400">{pinError}</p>}
+                        </div>
+                        <div className="h-14 rounded-2xl bg-slate-950 flex items-center justify-center text-3xl tracking-[0.5em]" dir="ltr">
+                            {unlocking ? <Loader2 className="w-7 h-7 animate-spin" /> : '•'.repeat(pin.length)}
+                        </div>
+                        <Keypad onKey={handlePinKey} disabled={unlocking} />
+                        <button type="button" onClick={closePin} className="w-full py-3 rounded-2xl text-slate-400 hover:text-white">
+                            {t('common.cancel')}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Kiosk;
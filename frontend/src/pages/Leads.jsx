@@ -0,0 +1,842 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Link, useNavigate } from 'react-router-dom';
+import {
+    UserPlus,
+    Plus,
+    ListTodo,
+    Phone,
+    MessageSquare,
+    Pencil,
+    Trash2,
+    CheckCircle2,
+    Circle,
+    Loader2,
+    AlertCircle,
+    AlertTriangle,
+    UserCheck,
+    X
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useSettingsStore } from '../store';
+import { usePermissions } from '../hooks/usePermissions';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatDate, formatDateTime } from '../utils/dateFormatter';
+import { formatCurrency } from '../utils/numberFormatter';
+
+const PIPELINE = ['new', 'contacted', 'trial_booked', 'trial_attended', 'converted', 'lost'];
+const TASK_STATUSES = ['open', 'overdue', 'done'];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyLead = {
+    fullName: '',
+    phone: '',
+    email: '',
+    source: 'walk_in',
+    interestedPlanId: '',
+    assignedTo: '',
+    notes: ''
+};
+
+const STAGE_BADGES = {
+    new: 'bg-slate-500/20 text-slate-300',
+    contacted: 'bg-sky-500/20 text-sky-300',
+    trial_booked: 'bg-indigo-500/20 text-indigo-300',
+    trial_attended: 'bg-amber-500/20 text-amber-300',
+    converted: 'bg-emerald-500/20 text-emerald-300',
+    lost: 'bg-rose-500/20 text-rose-300'
+};
+
+const tabClass = (active) => `px-4 py-2 text-sm font-semibold rounded-lg transition-all ${active
+    ? 'bg-indigo-600 text-white shadow-lg shadow-indigo-500/20'
+    : 'text-gray-400 hover:text-white hover:bg-slate-700/50'}`;
+
+const Modal = ({ title, onClose, children, wide = false }) => (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4 bg-black/60 backdrop-blur-md" onClick={onClose}>
+        <div
+            onClick={(e) => e.stopPropagation()}
+            className={`bg-white dark:bg-slate-900 rounded-3xl shadow-2xl w-full ${wide ? 'max-w-4xl' : 'max-w-xl'} max-h-[90vh] flex flex-col overflow-hidden border border-gray-200 dark:border-white/10`}
+        >
+            <div className="p-5 border-b border-gray-100 dark:border-white/5 flex justify-between items-center">
+                <h3 className="font-black text-xl text-slate-900 dark:text-white">{title}</h3>
+                <button type="button" onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-white/5 rounded-xl transition-colors">
+                    <X size={20} className="text-gray-500" />
+                </button>
+            </div>
+            <div className="overflow-y-auto">{children}</div>
+        </div>
+    </div>
+);
+
+const Leads = () => {
+    const { t, i18n } = useTranslation();
+    const navigate = useNavigate();
+    const { getSetting } = useSettingsStore();
+    const { can } = usePermissions();
+    const canManage = can(PERMISSIONS.LEADS_MANAGE);
+
+    const [activeTab, setActiveTab] = useState('pipeline');
+    const [meta, setMeta] = useState({ sources: [], staff: [], plans: [] });
+    const [filters, setFilters] = useState({ stage: 'all', source: 'all', assignedTo: 'all', search: '' });
+    const [leads, setLeads] = useState([]);
+    const [stageCounts, setStageCounts] = useState({});
+    const [tasks, setTasks] = useState([]);
+    const [taskFilters, setTaskFilters] = useState({ status: 'open', mine: true });
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    const [leadForm, setLeadForm] = useState(null);
+    const [duplicates, setDuplicates] = useState(null);
+    const [detail, setDetail] = useState(null);
+    const [noteMessage, setNoteMessage] = useState('');
+    const [taskForm, setTaskForm] = useState({ title: '', dueAt: today(), assignedTo: '' });
+    const [lostReason, setLostReason] = useState('');
+    const [convertForm, setConvertForm] = useState(null);
+
+    const isRTL = i18n.language === 'ar';
+    const alignStart = isRTL ? 'text-right' : 'text-left';
+
+    const currencyConf = useMemo(() => ({
+        code: getSetting('currency_code', 'EGP'),
+        symbol: getSetting('currency_symbol', 'EGP')
+    }), [getSetting]);
+    const money = (value) => formatCurrency(value || 0, i18n.language, currencyConf);
+    const stageLabel = (stage) => t(`leads.stages.${stage}`, stage);
+    const sourceLabel = (source) => t(`leads.sources.${source}`, source);
+    const userName = (user) => (user ? `${user.firstName} ${user.lastName}` : t('leads.unassigned', 'Unassigned'));
+    const stageBadge = (stage) => (
+        <span className={`badge ${STAGE_BADGES[stage] || ''}`}>{stageLabel(stage)}</span>
+    );
+
+    const fetchMeta = useCallback(async () => {
+        try {
+            const response = await api.get('/leads/meta');
+            setMeta(response.data.data);
+        } catch (error) {
+            toast.error(t('leads.loadFailed', 'Failed to load leads'));
+        }
+    }, [t]);
+
+    const fetchLeads = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/leads', { params: { ...filters, limit: 100 } });
+            setLeads(response.data.data.leads || []);
+            setStageCounts(response.data.data.stageCounts || {});
+        } catch (error) {
+            toast.error(t('leads.loadFailed', 'Failed to load leads'));
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, t]);
+
+    const fetchTasks = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/leads/tasks', {
+                params: { status: taskFilters.status, mine: taskFilters.mine ? 'true' : undefined }
+            });
+            setTasks(response.data.data || []);
+        } catch (error) {
+            toast.error(t('leads.loadFailed', 'Failed to load leads'));
+        } finally {
+            setLoading(false);
+        }
+    }, [taskFilters, t]);
+
+    const openDetail = useCallback(async (leadId) => {
+        try {
+            const response = await api.get(`/leads/${leadId}`);
+            setDetail(response.data.data);
+            setLostReason('');
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('leads.loadFailed', 'Failed to load leads'));
+        }
+    }, [t]);
+
+    useEffect(() => {
+        fetchMeta();
+    }, [fetchMeta]);
+
+    useEffect(() => {
+        if (activeTab === 'pipeline') fetchLeads();
+        if (activeTab === 'tasks') fetchTasks();
+    }, [activeTab, fetchLeads, fetchTasks]);
+
+    const refresh = async () => {
+        if (detail) await openDetail(detail.id);
+        if (activeTab === 'pipeline') fetchLeads();
+        else fetchTasks();
+    };
+
+    const showError = (error) => {
+        toast.error(error.response?.data?.message || t('leads.saveFailed', 'Failed to save lead'));
+    };
+
+    // ---------- Lead form ----------
+
+    const openLeadForm = (lead = null) => {
+        setDuplicates(null);
+        setLeadForm(lead ? {
+            id: lead.id,
+            fullName: lead.fullName || '',
+            phone: lead.phone || '',
+            email: lead.email || '',
+            source: lead.source,
+            interestedPlanId: lead.interestedPlanId || '',
+            assignedTo: lead.assignedTo || '',
+            notes: lead.notes || ''
+        } : { ...emptyLead });
+    };
+
+    const checkDuplicates = async () => {
+        if (!leadForm?.phone?.trim()) {
+            setDuplicates(null);
+            return;
+        }
+        try {
+            const response = await api.get('/leads/duplicates', {
+                params: { phone: leadForm.phone, excludeLeadId: leadForm.id }
+            });
+            const found = response.data.data;
+            setDuplicates(found.members.length || found.leads.length ? found : null);
+        } catch (error) {
+            setDuplicates(null);
+        }
+    };
+
+    const handleSaveLead = async (e, allowDuplicate = false) => {
+        e?.preventDefault();
+        setSaving(true);
+        const payload = {
+            ...leadForm,
+            interestedPlanId: leadForm.interestedPlanId || null,
+            assignedTo: leadForm.assignedTo || null
+        };
+        try {
+            if (leadForm.id) {
+                await api.put(`/leads/${leadForm.id}`, payload);
+            } else {
+                await api.post('/leads', { ...payload, allowDuplicate });
+            }
+            toast.success(t('leads.saved', 'Lead saved'));
+            setLeadForm(null);
+            setDuplicates(null);
+            refresh();
+        } catch (error) {
+            if (error.response?.status === 409 && error.response.data?.data?.duplicates) {
+                setDuplicates(error.response.data.data.duplicates);
+            } else {
+                showError(error);
+            }
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDeleteLead = async (lead) => {
+        if (!window.confirm(t('leads.confirmDelete', 'Delete this lead and its history?'))) return;
+        try {
+            await api.delete(`/leads/${lead.id}`);
+            toast.success(t('leads.deleted', 'Lead deleted'));
+            setDetail(null);
+            fetchLeads();
+        } catch (error) {
+            showError(error);
+        }
+    };
+
+    // ---------- Detail actions ----------
+
+    const handleStageChange = async (stage) => {
+        if (stage === 'lost' && !lostReason.trim()) {
+            toast.error(t('leads.lostReasonRequired', 'Enter why the lead was lost'));
+            return;
+        }
+        try {
+            await api.post(`/leads/${detail.id}/stage`, { stage, lostReason: stage === 'lost' ? lostReason : undefined });
+            refresh();
+        } catch (error) {
+            showError(error);
+        }
+    };
+
+    const handleAddNote = async (type) => {
+        if (!noteMessage.trim()) return;
+        try {
+            await api.post(`/leads/${detail.id}/notes`, { type, message: noteMessage });
+            setNoteMessage('');
+            refresh();
+        } catch (error) {
+            showError(error);
+        }
+    };
+
+    const handleAddTask = async (e) => {
+        e.preventDefault();
+        try {
+            await api.post(`/leads/${detail.id}/tasks`, {
+                ...taskForm,
+                dueAt: new Date(`${taskForm.dueAt}T12:00:00`).toISOString(),
+                assignedTo: taskForm.assignedTo || undefined
+            });
+            setTaskForm({ title: '', dueAt: today(), assignedTo: '' });
+            refresh();
+        } catch (error) {
+            showError(error);
+        }
+    };
+
+    const toggleTask = async (task) => {
+        try {
+            await api.patch(`/leads/tasks/${task.id}`, { completed: !task.completedAt });
+            refresh();
+        } catch (error) {
+            showError(error);
+        }
+    };
+
+    const openConvert = () => {
+        setConvertForm({
+            planId: detail.interestedPlanId || '',
+            startDate: today(),
+            email: detail.email || '',
+            gender: ''
+        });
+    };
+
+    const handleConvert = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const response = await api.post(`/leads/${detail.id}/convert`, {
+                planId: convertForm.planId || null,
+                startDate: convertForm.startDate,
+                memberDetails: { email: convertForm.email, gender: convertForm.gender }
+            });
+            const { member, subscription } = response.data.data;
+            toast.success(subscription
+                ? t('leads.convertedWithPlan', 'Member created; collect the subscription payment from the member profile')
+                : t('leads.converted', 'Lead converted to member'));
+            setConvertForm(null);
+            setDetail(null);
+            fetchLeads();
+            if (member?.id) navigate(`/members/${member.id}`);
+        } catch (error) {
+            showError(error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const thClass = 'px-4 py-3 text-xs font-semibold text-gray-400 uppercase tracking-wider';
+    const isOverdue = (task) => !task.completedAt && new Date(task.dueAt) < new Date();
+
+    const renderEmptyRow = (colSpan, message) => (
+        <tr>
+            <td colSpan={colSpan} className="py-10 text-center">
+                {loading ? (
+                    <Loader2 className="w-6 h-6 animate-spin mx-auto text-indigo-400" />
+                ) : (
+                    <>
+                        <AlertCircle className="w-10 h-10 mx-auto text-gray-600 mb-2" />
+                        <p className="text-sm text-gray-400">{message}</p>
+                    </>
+                )}
+            </td>
+        </tr>
+    );
+
+    const describeActivity = (activity) => {
+        const metadata = activity.metadata ? JSON.parse(activity.metadata) : {};
+        if (activity.type === 'stage_change' || activity.type === 'converted') {
+            return `${stageLabel(metadata.from)} → ${stageLabel(activity.type === 'converted' ? 'converted' : metadata.to)}`;
+        }
+        if (activity.type === 'appointment') {
+            return `#${metadata.appointmentId} · ${t(`leads.appointmentStatuses.${metadata.status}`, metadata.status)}`;
+        }
+        if (activity.type === 'created') return sourceLabel(metadata.source);
+        return null;
+    };
+
+    return (
+        <div className="space-y-8">
+            {/* Header */}
+            <div className="flex flex-col items-center text-center gap-3">
+                <div className="w-14 h-14 rounded-2xl bg-gradient-to-br from-sky-500 to-indigo-600 flex items-center justify-center shadow-lg shadow-sky-500/20">
+                    <UserPlus className="w-6 h-6 text-white" />
+                </div>
+                <div>
+                    <h1 className="text-2xl md:text-3xl font-black text-slate-900 dark:text-white">
+                        {t('leads.title', 'Leads')}
+                    </h1>
+                    <p className="text-slate-500 dark:text-gray-400 mt-1 text-sm">
+                        {t('leads.subtitle', 'Prospects from first contact to membership')}
+                    </p>
+                </div>
+            </div>
+
+            {/* Tabs */}
+            <div className="flex justify-center">
+                <div className="inline-flex bg-slate-800/40 border border-slate-700/50 rounded-xl p-1">
+                    <button onClick={() => setActiveTab('pipeline')} className={tabClass(activeTab === 'pipeline')}>
+                        <span className="flex items-center gap-2"><UserPlus className="w-4 h-4" />{t('leads.tabs.pipeline', 'Pipeline')}</span>
+                    </button>
+                    <button onClick={() => setActiveTab('tasks')} className={tabClass(activeTab === 'tasks')}>
+                        <span className="flex items-center gap-2"><ListTodo className="w-4 h-4" />{t('leads.tabs.tasks', 'Follow-ups')}</span>
+                    </button>
+                </div>
+            </div>
+
+            {activeTab === 'pipeline' && (
+                <div className="space-y-6">
+                    {/* Stage counts */}
+                    <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
+                        {PIPELINE.map((stage) => (
+                            <button
+                                key={stage}
+                                type="button"
+                                onClick={() => setFilters((prev) => ({ ...prev, stage: prev.stage === stage ? 'all' : stage }))}
+                                className={`rounded-2xl border p-4 text-start transition-colors ${filters.stage === stage
+                                    ? 'border-indigo-500 bg-indigo-500/10'
+                                    : 'border-slate-700/50 bg-slate-800/40 hover:border-slate-500'}`}
+                            >
+                                <p className="text-xs text-gray-400">{stageLabel(stage)}</p>
+                                <p className="text-2xl font-black text-white mt-1">{stageCounts[stage] || 0}</p>
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="bg-slate-800/40 rounded-2xl border border-slate-700/50 p-6 shadow-lg">
+                        {/* Filters */}
+                        <div className="flex flex-wrap items-end gap-4 mb-6">
+                            <div className="min-w-[220px]">
+                                <label className="label text-xs mb-1">{t('common.search', 'Search')}</label>
+                                <input className="input py-1.5" value={filters.search}
+                                    placeholder={t('leads.searchPlaceholder', 'Name, phone or email')}
+                                    onChange={(e) => setFilters((prev) => ({ ...prev, search: e.target.value }))} />
+                            </div>
+                            <div className="w-44">
+                                <label className="label text-xs mb-1">{t('leads.fields.source', 'Source')}</label>
+                                <select className="input py-1.5" value={filters.source}
+                                    onChange={(e) => setFilters((prev) => ({ ...prev, source: e.target.value }))}>
+                                    <option value="all">{t('leads.allSources', 'All sources')}</option>
+                                    {meta.sources.map((source) => (
+                                        <option key={source} value={source}>{sourceLabel(source)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="w-44">
+                                <label className="label text-xs mb-1">{t('leads.fields.assignedTo', 'Assigned to')}</label>
+                                <select className="input py-1.5" value={filters.assignedTo}
+                                    onChange={(e) => setFilters((prev) => ({ ...prev, assignedTo: e.target.value }))}>
+                                    <option value="all">{t('leads.allStaff', 'All staff')}</option>
+                                    <option value="me">{t('leads.assignedToMe', 'Assigned to me')}</option>
+                                    {meta.staff.map((user) => (
+                                        <option key={user.id} value={user.id}>{userName(user)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            {canManage && (
+                                <div className="flex gap-2 ms-auto">
+                                    <button type="button" onClick={() => openLeadForm()} className="btn-primary flex items-center gap-2">
+                                        <Plus className="w-4 h-4" />{t('leads.addLead', 'Add lead')}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Table */}
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                                    <tr>
+                                        <th className={`${thClass} ${alignStart}`}>{t('leads.fields.fullName', 'Name')}</th>
+                                        <th className={`${thClass} ${alignStart}`}>{t('leads.fields.source', 'Source')}</th>
+                                        <th className={`${thClass} ${alignStart}`}>{t('leads.fields.stage', 'Stage')}</th>
+                                        <th className={`${thClass} ${alignStart}`}>{t('leads.fields.assignedTo', 'Assigned to')}</th>
+                                        <th className={`${thClass} ${alignStart}`}>{t('leads.nextFollowUp', 'Next follow-up')}</th>
+                                        <th className={`${thClass} ${alignStart}`}>{t('leads.fields.createdAt', 'Added')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-slate-700/50">
+                                    {loading || leads.length === 0 ? renderEmptyRow(6, t('leads.empty', 'No leads found')) : (
+                                        leads.map((lead) => {
+                                            const nextTask = lead.tasks?.[0];
+                                            return (
+                                                <tr key={lead.id} onClick={() => openDetail(lead.id)}
+                                                    className="hover:bg-slate-700/30 transition-colors cursor-pointer">
+                                                    <td className={`px-4 py-3 ${alignStart}`}>
+                                                        <p className="text-white font-medium">{lead.fullName}</p>
+                                                        <p className="text-xs text-gray-400 font-mono">{lead.phone || '--'}</p>
+                                                    </td>
+                                                    <td className={`px-4 py-3 text-gray-300 ${alignStart}`}>{sourceLabel(lead.source)}</td>
+                                                    <td className={`px-4 py-3 ${alignStart}`}>{stageBadge(lead.stage)}</td>
+                                                    <td className={`px-4 py-3 text-gray-300 ${alignStart}`}>{userName(lead.assignedUser)}</td>
+                                                    <td className={`px-4 py-3 ${alignStart}`}>
+                                                        {nextTask ? (
+                                                            <span className={isOverdue(nextTask) ? 'text-rose-400' : 'text-gray-300'}>
+                                                                {nextTask.title} · {formatDate(nextTask.dueAt, i18n.language)}
+                                                            </span>
+                                                        ) : <span className="text-gray-500">--</span>}
+                                                    </td>
+                                                    <td className={`px-4 py-3 text-gray-400 font-mono ${alignStart}`}>{formatDate(lead.createdAt, i18n.language)}</td>
+                                                </tr>
+                                            );
+                                        })
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {activeTab === 'tasks' && (
+                <div className="bg-slate-800/40 rounded-2xl border border-slate-700/50 p-6 shadow-lg">
+                    <div className="flex flex-wrap items-end gap-4 mb-6">
+                        <div className="w-44">
+                            <label className="label text-xs mb-1">{t('leads.fields.status', 'Status')}</label>
+                            <select className="input py-1.5" value={taskFilters.status}
+                                onChange={(e) => setTaskFilters((prev) => ({ ...prev, status: e.target.value }))}>
+                                {TASK_STATUSES.map((status) => (
+                                    <option key={status} value={status}>{t(`leads.taskStatuses.${status}`, status)}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <label className="flex items-center gap-2 text-sm text-gray-300 pb-2">
+                            <input type="checkbox" checked={taskFilters.mine}
+                                onChange={(e) => setTaskFilters((prev) => ({ ...prev, mine: e.target.checked }))} />
+                            {t('leads.myTasks', 'Only my tasks')}
+                        </label>
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                                <tr>
+                                    <th className={thClass}></th>
+                                    <th className={`${thClass} ${alignStart}`}>{t('leads.fields.task', 'Task')}</th>
+                                    <th className={`${thClass} ${alignStart}`}>{t('leads.fields.lead', 'Lead')}</th>
+                                    <th className={`${thClass} ${alignStart}`}>{t('leads.fields.dueAt', 'Due')}</th>
+                                    <th className={`${thClass} ${alignStart}`}>{t('leads.fields.assignedTo', 'Assigned to')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-700/50">
+                                {loading || tasks.length === 0 ? renderEmptyRow(5, t('leads.tasksEmpty', 'No follow-up tasks')) : (
+                                    tasks.map((task) => (
+                                        <tr key={task.id} className="hover:bg-slate-700/30 transition-colors">
+                                            <td className="px-4 py-3 w-10">
+                                                <button type="button" className="btn-icon" disabled={!canManage} onClick={() => toggleTask(task)}>
+                                                    {task.completedAt
+                                                        ? <CheckCircle2 className="w-5 h-5 text-emerald-400" />
+                                                        : <Circle className="w-5 h-5 text-gray-400" />}
+                                                </button>
+                                            </td>
+                                            <td className={`px-4 py-3 text-white font-medium ${alignStart}`}>{task.title}</td>
+                                            <td className={`px-4 py-3 ${alignStart}`}>
+                                                <button type="button" onClick={() => openDetail(task.lead.id)} className="text-indigo-400 hover:underline">
+                                                    {task.lead.fullName}
+                                                </button>
+                                                <span className="ms-2">{stageBadge(task.lead.stage)}</span>
+                                            </td>
+                                            <td className={`px-4 py-3 font-mono ${isOverdue(task) ? 'text-rose-400' : 'text-gray-300'} ${alignStart}`}>
+                                                {formatDate(task.dueAt, i18n.language)}
+                                            </td>
+                                            <td className={`px-4 py-3 text-gray-300 ${alignStart}`}>{userName(task.assignedUser)}</td>
+                                        </tr>
+                                    ))
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {/* Lead form */}
+            {leadForm && (
+                <Modal
+                    title={leadForm.id ? t('leads.editLead', 'Edit lead') : t('leads.addLead', 'Add lead')}
+                    onClose={() => setLeadForm(null)}
+                >
+                    <form onSubmit={handleSaveLead} className="p-6 space-y-4">
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="col-span-2">
+                                <label className="label">{t('leads.fields.fullName', 'Name')}</label>
+                                <input className="input" required value={leadForm.fullName}
+                                    onChange={(e) => setLeadForm((prev) => ({ ...prev, fullName: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('leads.fields.phone', 'Phone')}</label>
+                                <input className="input font-mono" value={leadForm.phone} onBlur={checkDuplicates}
+                                    onChange={(e) => setLeadForm((prev) => ({ ...prev, phone: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('leads.fields.email', 'Email')}</label>
+                                <input type="email" className="input" value={leadForm.email}
+                                    onChange={(e) => setLeadForm((prev) => ({ ...prev, email: e.target.value }))} />
+                            </div>
+                            <div>
+                                <label className="label">{t('leads.fields.source', 'Source')}</label>
+                                <select className="input" value={leadForm.source}
+                                    onChange={(e) => setLeadForm((prev) => ({ ...prev, source: e.target.value }))}>
+                                    {meta.sources.map((source) => (
+                                        <option key={source} value={source}>{sourceLabel(source)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="label">{t('leads.fields.assignedTo', 'Assigned to')}</label>
+                                <select className="input" value={leadForm.assignedTo}
+                                    onChange={(e) => setLeadForm((prev) => ({ ...prev, assignedTo: e.target.value }))}>
+                                    <option value="">{leadForm.id ? t('leads.unassigned', 'Unassigned') : t('leads.assignToMe', 'Me')}</option>
+                                    {meta.staff.map((user) => (
+                                        <option key={user.id} value={user.id}>{userName(user)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="col-span-2">
+                                <label className="label">{t('leads.fields.interestedPlan', 'Interested in')}</label>
+                                <select className="input" value={leadForm.interestedPlanId}
+                                    onChange={(e) => setLeadForm((prev) => ({ ...prev, interestedPlanId: e.target.value }))}>
+                                    <option value="">--</option>
+                                    {meta.plans.map((plan) => (
+                                        <option key={plan.id} value={plan.id}>{plan.name} · {money(plan.price)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+                        <div>
+                            <label className="label">{t('common.notes', 'Notes')}</label>
+                            <textarea className="input h-20 resize-none" value={leadForm.notes}
+                                onChange={(e) => setLeadForm((prev) => ({ ...prev, notes: e.target.value }))} />
+                        </div>
+
+                        {duplicates && (
+                            <div className="rounded-xl border border-amber-500/40 bg-amber-500/10 p-4 text-sm space-y-2">
+                                <p className="flex items-center gap-2 font-semibold text-amber-300">
+                                    <AlertTriangle className="w-4 h-4" />{t('leads.duplicateWarning', 'This phone number is already known')}
+                                </p>
+                                {duplicates.members.map((member) => (
+                                    <Link key={`m-${member.id}`} to={`/members/${member.id}`} className="block text-amber-100 hover:underline">
+                                        {t('leads.duplicateMember', 'Member')}: {member.firstName} {member.lastName} ({member.memberId})
+                                    </Link>
+                                ))}
+                                {duplicates.leads.map((lead) => (
+                                    <button key={`l-${lead.id}`} type="button" className="block text-amber-100 hover:underline"
+                                        onClick={() => { setLeadForm(null); openDetail(lead.id); }}>
+                                        {t('leads.duplicateLead', 'Open lead')}: {lead.fullName} · {stageLabel(lead.stage)}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+
+                        <div className="flex justify-end gap-3 pt-2">
+                            <button type="button" onClick={() => setLeadForm(null)} className="btn-secondary">{t('common.cancel', 'Cancel')}</button>
+                            {duplicates && !leadForm.id && (
+                                <button type="button" disabled={saving} onClick={() => handleSaveLead(null, true)} className="btn-secondary">
+                                    {t('leads.saveAnyway', 'Save anyway')}
+                                </button>
+                            )}
+                            <button type="submit" disabled={saving} className="btn-primary">
+                                {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : t('common.save', 'Save')}
+                            </button>
+                        </div>
+                    </form>
+                </Modal>
+            )}
+
+            {/* Lead detail */}
+            {detail && !leadForm && !convertForm && (
+                <Modal title={detail.fullName} onClose={() => setDetail(null)} wide>
+                    <div className="p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <div className="space-y-5">
+                            <div className="flex flex-wrap items-center gap-2">
+                                {stageBadge(detail.stage)}
+                                <span className="badge">{sourceLabel(detail.source)}</span>
+                                {detail.interestedPlan && <span className="badge badge-warning">{detail.interestedPlan.name}</span>}
+                            </div>
+                            <div className="text-sm space-y-1 text-gray-300">
+                                <p className="font-mono">{detail.phone || '--'}</p>
+                                {detail.email && <p>{detail.email}</p>}
+                                <p>{t('leads.fields.assignedTo', 'Assigned to')}: {userName(detail.assignedUser)}</p>
+                                {detail.lostReason && <p className="text-rose-300">{t('leads.fields.lostReason', 'Lost reason')}: {detail.lostReason}</p>}
+                                {detail.notes && <p className="text-gray-400 whitespace-pre-line">{detail.notes}</p>}
+                                {detail.convertedMember && (
+                                    <Link to={`/members/${detail.convertedMember.id}`} className="text-emerald-400 hover:underline block">
+                                        {t('leads.viewMember', 'View member')} ({detail.convertedMember.memberId})
+                                    </Link>
+                                )}
+                            </div>
+
+                            {canManage && detail.stage !== 'converted' && (
+                                <div className="space-y-3">
+                                    <div className="flex flex-wrap gap-2">
+                                        <button type="button" onClick={openConvert} className="btn-primary flex items-center gap-2">
+                                            <UserCheck className="w-4 h-4" />{t('leads.convert', 'Convert to member')}
+                                        </button>
+                                        <button type="button" onClick={() => openLeadForm(detail)} className="btn-icon"><Pencil className="w-4 h-4" /></button>
+                                        <button type="button" onClick={() => handleDeleteLead(detail)} className="btn-icon text-red-400"><Trash2 className="w-4 h-4" /></button>
+                                    </div>
+                                    <div>
+                                        <label className="label text-xs mb-1">{t('leads.moveTo', 'Move to stage')}</label>
+                                        <div className="flex flex-wrap gap-2">
+                                            {PIPELINE.filter((stage) => !['converted', 'lost', detail.stage].includes(stage)).map((stage) => (
+                                                <button key={stage} type="button" onClick={() => handleStageChange(stage)} className="btn-secondary text-xs">
+                                                    {stageLabel(stage)}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                    {detail.stage !== 'lost' && (
+                                        <div className="flex gap-2">
+                                            <input className="input py-1.5" value={lostReason}
+                                                placeholder={t('leads.fields.lostReason', 'Lost reason')}
+                                                onChange={(e) => setLostReason(e.target.value)} />
+                                            <button type="button" onClick={() => handleStageChange('lost')} className="btn-secondary text-rose-400 whitespace-nowrap">
+                                                {t('leads.markLost', 'Mark lost')}
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
+                            {/* Tasks */}
+                            <div className="space-y-2">
+                                <p className="text-sm font-semibold text-white">{t('leads.tabs.tasks', 'Follow-ups')}</p>
+                                {detail.tasks.length === 0 && <p className="text-xs text-gray-500">{t('leads.tasksEmpty', 'No follow-up tasks')}</p>}
+                                {detail.tasks.map((task) => (
+                                    <div key={task.id} className="flex items-center gap-2 text-sm">
+                                        <button type="button" className="btn-icon" disabled={!canManage} onClick={() => toggleTask(task)}>
+                                            {task.completedAt
+                                                ? <CheckCircle2 className="w-4 h-4 text-emerald-400" />
+                                                : <Circle className="w-4 h-4 text-gray-400" />}
+                                        </button>
+                                        <span className={task.completedAt ? 'line-through text-gray-500' : 'text-gray-200'}>{task.title}</span>
+                                        <span className={`ms-auto font-mono text-xs ${isOverdue(task) ? 'text-rose-400' : 'text-gray-400'}`}>
+                                            {formatDate(task.dueAt, i18n.language)} · {userName(task.assignedUser)}
+                                        </span>
+                                    </div>
+                                ))}
+                                {canManage && (
+                                    <form onSubmit={handleAddTask} className="flex flex-wrap gap-2 pt-1">
+                                        <input className="input py-1.5 flex-1 min-w-[140px]" required value={taskForm.title}
+                                            placeholder={t('leads.taskPlaceholder', 'e.g. Call back about prices')}
+                                            onChange={(e) => setTaskForm((prev) => ({ ...prev, title: e.target.value }))} />
+                                        <input type="date" className="input py-1.5 w-40" required value={taskForm.dueAt}
+                                            onChange={(e) => setTaskForm((prev) => ({ ...prev, dueAt: e.target.value }))} />
+                                        <select className="input py-1.5 w-40" value={taskForm.assignedTo}
+                                            onChange={(e) => setTaskForm((prev) => ({ ...prev, assignedTo: e.target.value }))}>
+                                            <option value="">{t('leads.leadOwner', 'Lead owner')}</option>
+                                            {meta.staff.map((user) => (
+                                                <option key={user.id} value={user.id}>{userName(user)}</option>
+                                            ))}
+                                        </select>
+                                        <button type="submit" className="btn-secondary"><Plus className="w-4 h-4" /></button>
+                                    </form>
+                                )}
+                            </div>
+                        </div>
+
+                        {/* Timeline */}
+                        <div className="space-y-3">
+                            <p className="text-sm font-semibold text-white">{t('leads.timeline', 'Timeline')}</p>
+                            {canManage && (
+                                <div className="space-y-2">
+                                    <textarea className="input h-16 resize-none" value={noteMessage}
+                                        placeholder={t('leads.notePlaceholder', 'What happened?')}
+                                        onChange={(e) => setNoteMessage(e.target.value)} />
+                                    <div className="flex gap-2 justify-end">
+                                        <button type="button" onClick={() => handleAddNote('call')}
+                                            className="btn-secondary flex items-center gap-2 text-xs">
+                                            <Phone className="w-4 h-4" />{t('leads.logCall', 'Log call')}
+                                        </button>
+                                        <button type="button" onClick={() => handleAddNote('note')}
+                                            className="btn-secondary flex items-center gap-2 text-xs">
+                                            <MessageSquare className="w-4 h-4" />{t('leads.addNote', 'Add note')}
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                            <div className="space-y-3 border-s border-slate-700 ps-4">
+                                {detail.activities.map((activity) => {
+                                    const description = describeActivity(activity);
+                                    return (
+                                        <div key={activity.id} className="text-sm">
+                                            <p className="text-gray-200 font-medium">
+                                                {t(`leads.activityTypes.${activity.type}`, activity.type)}
+                                                {description && <span className="text-gray-400 font-normal"> · {description}</span>}
+                                            </p>
+                                            {activity.message && <p className="text-gray-300 whitespace-pre-line">{activity.message}</p>}
+                                            <p className="text-xs text-gray-500">
+                                                {formatDateTime(activity.createdAt, i18n.language)}{activity.user ? ` · ${userName(activity.user)}` : ''}
+                                            </p>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    </div>
+                </Modal>
+            )}
+
+            {/* Convert */}
+            {convertForm && detail && (
+                <Modal title={t('leads.convert', 'Convert to member')} onClose={() => setConvertForm(null)}>
+                    <form onSubmit={handleConvert} className="p-6 space-y-4">
+                        <p className="text-sm text-gray-400">
+                            {detail.fullName} · <span className="font-mono">{detail.phone || '--'}</span>
+                        </p>
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="col-span-2">
+                                <label className="label">{t('leads.fields.plan', 'Plan')}</label>
+                                <select className="input" value={convertForm.planId}
+                                    onChange={(e) => setConvertForm((prev) => ({ ...prev, planId: e.target.value }))}>
+                                    <option value="">{t('leads.noPlan', 'No subscription yet')}</option>
+                                    {meta.plans.map((plan) => (
+                                        <option key={plan.id} value={plan.id}>{plan.name} · {money(plan.price)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            {convertForm.planId && (
+                                <div>
+                                    <label className="label">{t('leads.fields.startDate', 'Start date')}</label>
+                                    <input type="date" required className="input" value={convertForm.startDate}
+                                        onChange={(e) => setConvertForm((prev) => ({ ...prev, startDate: e.target.value }))} />
+                                </div>
+                            )}
+                            <div>
+                                <label className="label">{t('leads.fields.gender', 'Gender')}</label>
+                                <select className="input" value={convertForm.gender}
+                                    onChange={(e) => setConvertForm((prev) => ({ ...prev, gender: e.target.value }))}>
+                                    <option value="">--</option>
+                                    <option value="male">{t('leads.genders.male', 'Male')}</option>
+                                    <option value="female">{t('leads.genders.female', 'Female')}</option>
+                                </select>
+                            </div>
+                            <div className="col-span-2">
+                                <label className="label">{t('leads.fields.email', 'Email')}</label>
+                                <input type="email" className="input" value={convertForm.email}
+                                    onChange={(e) => setConvertForm((prev) => ({ ...prev, email: e.target.value }))} />
+                            </div>
+                        </div>
+                        {convertForm.planId && (
+                            <p className="text-xs text-amber-300">
+                                {t('leads.convertPaymentHint', 'The subscription is created unpaid; collect payment from the member profile')}
+                            </p>
+                        )}
+                        <div className="flex justify-end gap-3 pt-2">
+                            <button type="button" onClick={() => setConvertForm(null)} className="btn-secondary">{t('common.cancel', 'Cancel')}</button>
+                            <button type="submit" disabled={saving} className="btn-primary">
+                                {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : t('leads.convert', 'Convert to member')}
+                            </button>
+                        </div>
+                    </form>
+                </Modal>
+            )}
+        </div>
+    );
+};
+
+export default Leads;
@@ -25,11 +25,16 @@ import {
     RotateCcw,
     PauseCircle,
     PlayCircle,
-    Banknote
+    Banknote,
+    History
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import api from '../../utils/api';
 import { WhatsAppButtonWithTemplates } from '../../components/WhatsAppButton';
+import MemberCredentials from '../../components/MemberCredentials';
+import MemberFaceEnrollment from '../../components/MemberFaceEnrollment';
+import MemberInstallments from '../../components/MemberInstallments';
+import MemberReferrals from '../../components/MemberReferrals';
 
 const MemberProfile = () => {
     const { t } = useTranslation();
@@ -38,6 +43,7 @@ const MemberProfile = () => {
 
     const [member, setMember] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
+    const [historyBySub, setHistoryBySub] = useState({});
 
     useEffect(() => {
         fetchMember();
@@ -62,23 +68,53 @@ const MemberProfile = () => {
         const isPausing = !sub.isPaused;
         const action = isPausing ? 'Pause' : 'Resume';
 
-        let reason = 'Manual Action';
+        let payload = { reason: 'Manual Action' };
         if (isPausing) {
-            reason = window.prompt("Reason for pausing (optional):", "Member Request");
+            const reason = window.prompt("Reason for pausing (optional):", "Member Request");
             if (reason === null) return; // Cancelled
+            // Optional dates: a future start schedules the pause, a resume date ends it automatically
+            const startDate = window.prompt(t('subscriptions.pauseStartPrompt', 'Pause from (YYYY-MM-DD, leave empty for today):'), '');
+            if (startDate === null) return;
+            const resumeDate = window.prompt(t('subscriptions.resumeDatePrompt', 'Resume automatically on (YYYY-MM-DD, optional):'), '');
+            if (resumeDate === null) return;
+            payload = { reason, startDate: startDate || undefined, resumeDate: resumeDate || undefined };
         }
 
         if (!window.confirm(`Are you sure you want to ${action} this subscription?`)) return;
 
         try {
-            await api.put(`/subscriptions/${sub.id}/toggle-pause`, { reason });
-            toast.success(`Subscription ${action}d successfully`);
+            const response = await api.put(`/subscriptions/${sub.id}/toggle-pause`, payload);
+            toast.success(response.data?.message || `Subscription ${action}d successfully`);
             fetchMember(); // Refresh
         } catch (e) {
             toast.error(e.response?.data?.message || 'Action failed');
         }
     };
 
+    const handleCancelScheduledPause = async (sub) => {
+        if (!window.confirm(t('subscriptions.cancelScheduledPauseConfirm', 'Cancel the scheduled pause?'))) return;
+        try {
+            await api.put(`/subscriptions/${sub.id}/toggle-pause`, { cancelScheduled: true });
+            toast.success(t('subscriptions.scheduledPauseCancelled', 'Scheduled pause cancelled'));
+            fetchMember();
+        } catch (e) {
+            toast.error(e.response?.data?.message || 'Action failed');
+        }
+    };
+
+    const toggleHistory = async (sub) => {
+        if (historyBySub[sub.id]) {
+            setHistoryBySub(prev => ({ ...prev, [sub.id]: undefined }));
+            return;
+        }
+        try {
+            const response = await api.get(`/subscriptions/${sub.id}/events`);
+            setHistoryBySub(prev => ({ ...prev, [sub.id]: response.data.data || [] }));
+        } catch (e) {
+            toast.error(e.response?.data?.message || t('subscriptions.historyFailed', 'Failed to load history'));
+        }
+    };
+
     if (isLoading) {
         return (
             <div className="flex items-center justify-center h-64">
@@ -89,7 +125,7 @@ const MemberProfile = () => {
 
     if (!member) return null;
 
-    const activeSubscription = member.subscriptions?.find(s => s.status === 'active' || s.status === 'paused');
+    const activeSubscription = member.subscriptions?.find(s => ['active', 'grace', 'paused'].includes(s.status));
     const daysRemaining = activeSubscription
         ? Math.ceil((new Date(activeSubscription.endDate) - new Date()) / (1000 * 60 * 60 * 24))
         : 0;
@@ -220,6 +256,8 @@ const MemberProfile = () => {
                                                         </div>
 
                                                         {(sub.status || '').toUpperCase() === 'ACTIVE' && <span className="badge badge-success ml-2">Active</span>}
+                                                        {(sub.status || '').toUpperCase() === 'SCHEDULED' && <span className="badge badge-neutral ml-2">{t('subscriptions.scheduled', 'Scheduled')}</span>}
+                                                        {(sub.status || '').toUpperCase() === 'GRACE' && <span className="badge badge-warning ml-2">{t('subscriptions.grace', 'Grace period')}</span>}
                                                         {(sub.status || '').toUpperCase() === 'PAUSED' && <span className="badge badge-warning">Paused</span>}
                                                         {(sub.status || '').toUpperCase() === 'EXPIRED' && <span className="badge badge-neutral">Expired</span>}
                                                         {(sub.status || '').toUpperCase() === 'CANCELLED' && <span className="badge badge-error">Cancelled</span>}
@@ -232,9 +270,26 @@ const MemberProfile = () => {
                                                         <span>{new Date(sub.startDate).toLocaleDateString()} - {new Date(sub.endDate).toLocaleDateString()}</span>
                                                         {remaining > 0 && sub.status !== 'cancelled' && <span className="text-orange-500 font-bold">Due: {remaining.toLocaleString()} EGP</span>}
                                                     </div>
+                                                    {sub.pauseStartsAt && (
+                                                        <div className="text-xs text-yellow-400 mt-1 flex items-center gap-2">
+                                                            <span>{t('subscriptions.pauseScheduledOn', { date: new Date(sub.pauseStartsAt).toLocaleDateString(), defaultValue: 'Pause scheduled on {{date}}' })}</span>
+                                                            <button onClick={() => handleCancelScheduledPause(sub)} className="underline hover:text-yellow-300">
+                                                                {t('subscriptions.cancelScheduledPause', 'Cancel scheduled pause')}
+                                                            </button>
+                                                        </div>
+                                                    )}
+                                                    {sub.pauseEndsAt && (
+                                                        <div className="text-xs text-dark-400 mt-1">
+                                                            {t('subscriptions.resumesOn', { date: new Date(sub.pauseEndsAt).toLocaleDateString(), defaultValue: 'Resumes on {{date}}' })}
+                                                        </div>
+                                                    )}
                                                 </div>
 
                                                 <div className="flex items-center gap-2">
+                                                    <button onClick={() => toggleHistory(sub)} className="btn-secondary text-xs px-3 py-1.5 h-auto">
+                                                        <History className="w-4 h-4 mr-1.5" />
+                                                        {t('subscriptions.history', 'History')}
+                                                    </button>
                                                     {/* PAUSE / RESUME (Kept on right as standard Action) */}
                                                     {(isActive || isPaused) && sub.status !== 'expired' && sub.status !== 'cancelled' && (
                                                         <button onClick={() => handlePauseToggle(sub)} className={`btn-secondary text-xs px-3 py-1.5 h-auto ${isPaused ? 'text-green-400 bg-green-400/10 border-green-400/20' : 'text-yellow-400 bg-yellow-400/10 border-yellow-400/20'}`}>
@@ -244,6 +299,25 @@ const MemberProfile = () => {
                                                     )}
                                                 </div>
                                             </div>
+
+                                            {historyBySub[sub.id] && (
+                                                <div className="mt-3 pt-3 border-t border-dark-800 space-y-1.5">
+                                                    {historyBySub[sub.id].length === 0 ? (
+                                                        <p className="text-xs text-dark-400">{t('subscriptions.historyEmpty', 'No status changes recorded yet')}</p>
+                                                    ) : historyBySub[sub.id].map(event => (
+                                                        <div key={event.id} className="flex flex-wrap items-center gap-2 text-xs">
+                                                            <span className="text-dark-400 font-mono">{new Date(event.createdAt).toLocaleString()}</span>
+                                                            <span className="text-white font-medium">{t(`subscriptions.eventReasons.${event.reason}`, event.reason)}</span>
+                                                            {event.fromStatus && event.fromStatus !== event.toStatus && (
+                                                                <span className="text-dark-300">{event.fromStatus} → {event.toStatus}</span>
+                                                            )}
+                                                            <span className="text-dark-400">
+                                                                {event.user ? `${event.user.firstName} ${event.user.lastName}` : t('subscriptions.automatic', 'Automatic')}
+                                                            </span>
+                                                        </div>
+                                                    ))}
+                                                </div>
+                                            )}
                                         </div>
                                     );
                                 })}
@@ -254,6 +328,9 @@ const MemberProfile = () => {
                             </div>
                         )}
                     </div>
+
+                    <MemberInstallments memberId={member.id} />
+                    <MemberReferrals memberId={member.id} />
                 </motion.div>
 
                 {/* QR Code */}
@@ -273,6 +350,30 @@ const MemberProfile = () => {
                     <p className="text-dark-500 text-xs mt-1">Scan for quick check-in</p>
                 </motion.div>
 
+                {/* Cards & key fobs */}
+                <motion.div
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.15 }}
+                    className="card"
+                >
+                    <MemberCredentials memberId={member.id} />
+                </motion.div>
+
+                {/* Face recognition */}
+                <motion.div
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.15 }}
+                    className="card"
+                >
+                    <MemberFaceEnrollment
+                        memberId={member.id}
+                        hasFace={member.hasFace}
+                        onChange={(hasFace) => setMember((prev) => ({ ...prev, hasFace }))}
+                    />
+                </motion.div>
+
                 {/* Recent Check-ins */}
                 <motion.div
                     initial={{ opacity: 0, y: 20 }}
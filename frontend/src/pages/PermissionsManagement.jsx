@@ -26,7 +26,16 @@ const PermissionsManagement = () => {
         [PERMISSIONS.APPOINTMENTS_VIEW]: t('permissionsManagement.viewAppointments', 'View Appointments'),
         [PERMISSIONS.APPOINTMENTS_MANAGE]: t('permissionsManagement.manageAppointments', 'Manage Appointments'),
         [PERMISSIONS.COACHES_VIEW]: t('permissionsManagement.viewCoaches', 'View Coaches'),
-        [PERMISSIONS.COACHES_MANAGE]: t('permissionsManagement.manageCoaches', 'Manage Coaches')
+        [PERMISSIONS.COACHES_MANAGE]: t('permissionsManagement.manageCoaches', 'Manage Coaches'),
+        [PERMISSIONS.EXPENSES_VIEW]: t('permissionsManagement.viewExpenses', 'View Expenses'),
+        [PERMISSIONS.EXPENSES_MANAGE]: t('permissionsManagement.manageExpenses', 'Manage Expenses'),
+        [PERMISSIONS.LEADS_VIEW]: t('permissionsManagement.viewLeads', 'View Leads'),
+        [PERMISSIONS.LEADS_MANAGE]: t('permissionsManagement.manageLeads', 'Manage Leads'),
+        [PERMISSIONS.CLASSES_VIEW]: t('permissionsManagement.viewClasses', 'View Class Schedule'),
+        [PERMISSIONS.CLASSES_BOOK]: t('permissionsManagement.bookClasses', 'Enroll Members in Classes'),
+        [PERMISSIONS.CLASSES_MANAGE]: t('permissionsManagement.manageClasses', 'Manage Classes'),
+        [PERMISSIONS.CHECKINS_DEBT_OVERRIDE]: t('permissionsManagement.overrideCheckinDebt', 'Allow Check-in With Balance Due'),
+        [PERMISSIONS.MEMBERS_CREDENTIALS]: t('permissionsManagement.manageCredentials', 'Issue & Revoke Member Cards')
     };
 
     useEffect(() => {
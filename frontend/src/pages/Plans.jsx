@@ -13,15 +13,44 @@ import {
     Activity, Layers, TrendingUp, ShieldCheck
 } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { usePlanStore, useSettingsStore } from '../store';
+import { usePlanStore, useSettingsStore, useBranchStore } from '../store';
 import { formatCurrency } from '../utils/numberFormatter';
 import StatCard from '../components/StatCard';
 import apiClient from '../utils/api';
 
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const VISIT_LIMIT_FIELDS = [
+    { key: 'maxVisitsPerDay', label: 'plans.accessRules.maxPerDay', fallback: 'Visits per day' },
+    { key: 'maxVisitsPerWeek', label: 'plans.accessRules.maxPerWeek', fallback: 'Visits per week' },
+    { key: 'maxVisitsPerMonth', label: 'plans.accessRules.maxPerMonth', fallback: 'Visits per month' },
+    { key: 'minGapMinutes', label: 'plans.accessRules.minGap', fallback: 'Min. gap (minutes)' }
+];
+
+const emptyAccessRules = () => ({
+    weekdays: [],
+    timeWindows: [],
+    genderSlots: [],
+    maxVisitsPerDay: '',
+    maxVisitsPerWeek: '',
+    maxVisitsPerMonth: '',
+    minGapMinutes: ''
+});
+
+const parseAccessRules = (value) => {
+    try {
+        const rules = value ? JSON.parse(value) : {};
+        const base = emptyAccessRules();
+        return Object.keys(base).reduce((acc, key) => ({ ...acc, [key]: rules[key] ?? base[key] }), {});
+    } catch (error) {
+        return emptyAccessRules();
+    }
+};
+
 const Plans = () => {
     const { t, i18n } = useTranslation();
     const { plans, fetchPlans, createPlan, updatePlan, deletePlan, isLoading } = usePlanStore();
     const { getSetting } = useSettingsStore();
+    const { branches } = useBranchStore();
     const isRTL = i18n.dir() === 'rtl';
 
     const [activeTab, setActiveTab] = useState('subscriptions');
@@ -42,8 +71,13 @@ const Plans = () => {
         name: '',
         duration: 30,
         price: 0,
+        taxRate: '',
+        classCredits: '',
         description: '',
-        isActive: true
+        isActive: true,
+        branchAccess: 'all',
+        allowedBranchIds: [],
+        accessRules: emptyAccessRules()
     });
     const [packageFormData, setPackageFormData] = useState({
         name: '',
@@ -90,8 +124,13 @@ const Plans = () => {
                 name: plan.name,
                 duration: plan.duration,
                 price: plan.price,
+                taxRate: plan.taxRate ?? '',
+                classCredits: plan.classCredits ?? '',
                 description: plan.description || '',
-                isActive: plan.isActive
+                isActive: plan.isActive,
+                branchAccess: plan.branchAccess || 'all',
+                allowedBranchIds: plan.allowedBranchIds ? JSON.parse(plan.allowedBranchIds) : [],
+                accessRules: parseAccessRules(plan.accessRules)
             });
         } else {
             setEditingPlan(null);
@@ -99,8 +138,13 @@ const Plans = () => {
                 name: '',
                 duration: 30,
                 price: 0,
+                taxRate: '',
+                classCredits: '',
                 description: '',
-                isActive: true
+                isActive: true,
+                branchAccess: 'all',
+                allowedBranchIds: [],
+                accessRules: emptyAccessRules()
             });
         }
         setShowModal(true);
@@ -130,13 +174,28 @@ const Plans = () => {
         setShowPackageModal(true);
     };
 
+    const weekdayName = (day) => new Date(2024, 0, 7 + day).toLocaleDateString(i18n.language, { weekday: 'short' });
+
+    const setAccessRules = (changes) => setFormData((prev) => ({
+        ...prev,
+        accessRules: { ...prev.accessRules, ...changes }
+    }));
+
+    const toggleDay = (days, day) => (days.includes(day) ? days.filter((d) => d !== day) : [...days, day]);
+
+    const updateRuleRow = (listKey, index, changes) => setAccessRules({
+        [listKey]: formData.accessRules[listKey].map((row, i) => (i === index ? { ...row, ...changes } : row))
+    });
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setIsSaving(true);
         const data = {
             ...formData,
             duration: parseInt(formData.duration),
-            price: parseFloat(formData.price)
+            price: parseFloat(formData.price),
+            taxRate: formData.taxRate === '' ? null : parseFloat(formData.taxRate),
+            classCredits: formData.classCredits === '' ? null : parseInt(formData.classCredits)
         };
         let result = editingPlan
             ? await updatePlan(editingPlan.id, data)
@@ -394,6 +453,12 @@ const Plans = () => {
                                             <Clock className="w-5 h-5 text-indigo-400" />
                                             <span className="font-medium">{plan.duration} {t('common.days', 'Days')}</span>
                                         </div>
+                                        {plan.accessRules && (
+                                            <div className="flex items-center gap-3 text-gray-300 bg-white/5 p-3 rounded-lg border border-white/5">
+                                                <ShieldCheck className="w-5 h-5 text-amber-400" />
+                                                <span className="font-medium">{t('plans.accessRules.restricted', 'Access rules apply')}</span>
+                                            </div>
+                                        )}
                                         {plan.description && (
                                             <p className="text-sm text-gray-500 line-clamp-2 h-10 leading-relaxed px-1">
                                                 {plan.description}
@@ -551,7 +616,7 @@ const Plans = () => {
                             </div>
 
                             {/* Form */}
-                            <form onSubmit={handleSubmit} className="p-8 space-y-5">
+                            <form onSubmit={handleSubmit} className="p-8 space-y-5 max-h-[75vh] overflow-y-auto">
                                 <div>
                                     <label className="block text-sm font-bold text-gray-300 mb-2">{t('plans.name', 'Plan Name')}</label>
                                     <input
@@ -596,6 +661,34 @@ const Plans = () => {
                                     </div>
                                 </div>
 
+                                <div className="grid grid-cols-2 gap-5">
+                                    <div>
+                                        <label className="block text-sm font-bold text-gray-300 mb-2">{t('tax.rate', 'Tax rate (%)')}</label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max="100"
+                                            step="0.01"
+                                            className="w-full bg-black/40 border border-white/10 rounded-xl px-4 py-3 text-white placeholder-gray-600 focus:ring-2 focus:ring-blue-500 transition-all font-mono"
+                                            placeholder={t('tax.useDefaultRate', 'Default rate')}
+                                            value={formData.taxRate}
+                                            onChange={(e) => setFormData({ ...formData, taxRate: e.target.value })}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-bold text-gray-300 mb-2">{t('classes.planCredits', 'Group classes included')}</label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="1"
+                                            className="w-full bg-black/40 border border-white/10 rounded-xl px-4 py-3 text-white placeholder-gray-600 focus:ring-2 focus:ring-blue-500 transition-all font-mono"
+                                            placeholder={t('classes.noClassesIncluded', 'None')}
+                                            value={formData.classCredits}
+                                            onChange={(e) => setFormData({ ...formData, classCredits: e.target.value })}
+                                        />
+                                    </div>
+                                </div>
+
                                 <div>
                                     <label className="block text-sm font-bold text-gray-300 mb-2">{t('plans.description', 'Description')}</label>
                                     <textarea
@@ -606,6 +699,140 @@ const Plans = () => {
                                     />
                                 </div>
 
+                                {branches.length > 0 && (
+                                    <div>
+                                        <label className="block text-sm font-bold text-gray-300 mb-2">{t('plans.branchAccess', 'Branch Access')}</label>
+                                        <select
+                                            className="w-full bg-black/40 border border-white/10 rounded-xl px-4 py-3 text-white focus:ring-2 focus:ring-blue-500 transition-all"
+                                            value={formData.branchAccess}
+                                            onChange={(e) => setFormData({ ...formData, branchAccess: e.target.value })}
+                                        >
+                                            <option value="all">{t('plans.branchAccessAll', 'Any branch')}</option>
+                                            <option value="home">{t('plans.branchAccessHome', 'Home branch only')}</option>
+                                            <option value="selected">{t('plans.branchAccessSelected', 'Selected branches')}</option>
+                                        </select>
+                                        {formData.branchAccess === 'selected' && (
+                                            <div className="flex flex-wrap gap-3 mt-3">
+                                                {branches.map((branch) => (
+                                                    <label key={branch.id} className="flex items-center gap-2 text-sm text-gray-300">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={formData.allowedBranchIds.includes(branch.id)}
+                                                            onChange={(e) => setFormData({
+                                                                ...formData,
+                                                                allowedBranchIds: e.target.checked
+                                                                    ? [...formData.allowedBranchIds, branch.id]
+                                                                    : formData.allowedBranchIds.filter((id) => id !== branch.id)
+                                                            })}
+                                                        />
+                                                        {branch.name}
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                )}
+
+                                <div className="space-y-3 p-4 rounded-xl bg-white/5 border border-white/5">
+                                    <div>
+                                        <label className="block text-sm font-bold text-gray-300">{t('plans.accessRules.title', 'Access Rules')}</label>
+                                        <p className="text-xs text-gray-500 mt-1">{t('plans.accessRules.hint', 'Checked at check-in. Leave empty for unrestricted access.')}</p>
+                                    </div>
+
+                                    <div>
+                                        <p className="text-xs text-gray-400 mb-2">{t('plans.accessRules.weekdays', 'Allowed days')}</p>
+                                        <div className="flex flex-wrap gap-2">
+                                            {WEEKDAYS.map((day) => (
+                                                <label key={day} className="flex items-center gap-1 text-sm text-gray-300">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={formData.accessRules.weekdays.includes(day)}
+                                                        onChange={() => setAccessRules({ weekdays: toggleDay(formData.accessRules.weekdays, day) })}
+                                                    />
+                                                    {weekdayName(day)}
+                                                </label>
+                                            ))}
+                                        </div>
+                                    </div>
+
+                                    <div>
+                                        <p className="text-xs text-gray-400 mb-2">{t('plans.accessRules.timeWindows', 'Allowed hours')}</p>
+                                        {formData.accessRules.timeWindows.map((window, index) => (
+                                            <div key={index} className="flex items-center gap-2 mb-2">
+                                                <input type="time" required className="bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-white text-sm" value={window.start}
+                                                    onChange={(e) => updateRuleRow('timeWindows', index, { start: e.target.value })} />
+                                                <span className="text-gray-500">-</span>
+                                                <input type="time" required className="bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-white text-sm" value={window.end}
+                                                    onChange={(e) => updateRuleRow('timeWindows', index, { end: e.target.value })} />
+                                                <button type="button" className="p-1 text-gray-400 hover:text-red-400"
+                                                    onClick={() => setAccessRules({ timeWindows: formData.accessRules.timeWindows.filter((_, i) => i !== index) })}>
+                                                    <X size={14} />
+                                                </button>
+                                            </div>
+                                        ))}
+                                        <button type="button" className="text-xs text-blue-400 hover:text-blue-300"
+                                            onClick={() => setAccessRules({ timeWindows: [...formData.accessRules.timeWindows, { start: '06:00', end: '16:00' }] })}>
+                                            + {t('plans.accessRules.addWindow', 'Add hours')}
+                                        </button>
+                                    </div>
+
+                                    <div>
+                                        <p className="text-xs text-gray-400 mb-2">{t('plans.accessRules.genderSlots', 'Gender-only hours')}</p>
+                                        {formData.accessRules.genderSlots.map((slot, index) => (
+                                            <div key={index} className="mb-3 space-y-2">
+                                                <div className="flex items-center gap-2">
+                                                    <select className="bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-white text-sm" value={slot.gender}
+                                                        onChange={(e) => updateRuleRow('genderSlots', index, { gender: e.target.value })}>
+                                                        <option value="female">{t('plans.accessRules.femaleOnly', 'Women only')}</option>
+                                                        <option value="male">{t('plans.accessRules.maleOnly', 'Men only')}</option>
+                                                    </select>
+                                                    <input type="time" required className="bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-white text-sm" value={slot.start}
+                                                        onChange={(e) => updateRuleRow('genderSlots', index, { start: e.target.value })} />
+                                                    <span className="text-gray-500">-</span>
+                                                    <input type="time" required className="bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-white text-sm" value={slot.end}
+                                                        onChange={(e) => updateRuleRow('genderSlots', index, { end: e.target.value })} />
+                                                    <button type="button" className="p-1 text-gray-400 hover:text-red-400"
+                                                        onClick={() => setAccessRules({ genderSlots: formData.accessRules.genderSlots.filter((_, i) => i !== index) })}>
+                                                        <X size={14} />
+                                                    </button>
+                                                </div>
+                                                <div className="flex flex-wrap gap-2">
+                                                    {WEEKDAYS.map((day) => (
+                                                        <label key={day} className="flex items-center gap-1 text-xs text-gray-400">
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={(slot.weekdays || []).includes(day)}
+                                                                onChange={() => updateRuleRow('genderSlots', index, { weekdays: toggleDay(slot.weekdays || [], day) })}
+                                                            />
+                                                            {weekdayName(day)}
+                                                        </label>
+                                                    ))}
+                                                </div>
+                                            </div>
+                                        ))}
+                                        <button type="button" className="text-xs text-blue-400 hover:text-blue-300"
+                                            onClick={() => setAccessRules({ genderSlots: [...formData.accessRules.genderSlots, { gender: 'female', weekdays: [], start: '10:00', end: '14:00' }] })}>
+                                            + {t('plans.accessRules.addGenderSlot', 'Add gender-only hours')}
+                                        </button>
+                                    </div>
+
+                                    <div className="grid grid-cols-2 gap-3">
+                                        {VISIT_LIMIT_FIELDS.map((field) => (
+                                            <div key={field.key}>
+                                                <p className="text-xs text-gray-400 mb-1">{t(field.label, field.fallback)}</p>
+                                                <input
+                                                    type="number"
+                                                    min="1"
+                                                    className="w-full bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-white text-sm"
+                                                    placeholder={t('plans.accessRules.unlimited', 'Unlimited')}
+                                                    value={formData.accessRules[field.key]}
+                                                    onChange={(e) => setAccessRules({ [field.key]: e.target.value })}
+                                                />
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+
                                 {editingPlan && (
                                     <div className="flex items-center gap-3 p-4 rounded-xl bg-white/5 border border-white/5">
                                         <div className="relative inline-block w-12 h-6 transition duration-200 ease-in-out">
@@ -32,13 +32,13 @@ const Products = () => {
 
     const [showModal, setShowModal] = useState(false);
     const [editingProduct, setEditingProduct] = useState(null);
-    const [newProduct, setNewProduct] = useState({ name: '', sku: '', salePrice: '', quantity: '', description: '', isActive: true });
+    const [newProduct, setNewProduct] = useState({ name: '', sku: '', salePrice: '', taxRate: '', quantity: '', description: '', isActive: true });
     const [imageFile, setImageFile] = useState(null);
     const [imagePreview, setImagePreview] = useState('');
     const [imageError, setImageError] = useState('');
 
     const resetModalState = () => {
-        setNewProduct({ name: '', sku: '', salePrice: '', quantity: '', description: '', isActive: true });
+        setNewProduct({ name: '', sku: '', salePrice: '', taxRate: '', quantity: '', description: '', isActive: true });
         setEditingProduct(null);
         setImageFile(null);
         setImagePreview('');
@@ -61,6 +61,7 @@ const Products = () => {
             name: product.name || '',
             sku: product.sku || '',
             salePrice: product.salePrice || '',
+            taxRate: product.taxRate ?? '',
             quantity: Number.isFinite(product.stock) ? String(product.stock) : '0',
             description: product.description || '',
             isActive: product.isActive ?? true
@@ -101,6 +102,7 @@ const Products = () => {
             payload.append('name', newProduct.name);
             payload.append('sku', newProduct.sku || '');
             payload.append('salePrice', newProduct.salePrice);
+            payload.append('taxRate', newProduct.taxRate ?? '');
             if (newProduct.quantity !== '' && newProduct.quantity !== null) {
                 payload.append('quantity', newProduct.quantity);
             }
@@ -501,16 +503,31 @@ const Products = () => {
                                                 />
                                             </div>
                                         </div>
-                                        <div>
-                                            <label className="block text-sm font-bold text-gray-700 dark:text-gray-300 mb-2">Quantity</label>
-                                            <input
-                                                type="number"
-                                                min="0"
-                                                step="1"
-                                                className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-white/10 dark:bg-slate-800 dark:text-white focus:ring-4 focus:ring-indigo-500/10 focus:border-indigo-500 outline-none transition-all"
-                                                value={newProduct.quantity}
-                                                onChange={e => setNewProduct({ ...newProduct, quantity: e.target.value })}
-                                            />
+                                        <div className="grid grid-cols-2 gap-4">
+                                            <div>
+                                                <label className="block text-sm font-bold text-gray-700 dark:text-gray-300 mb-2">Quantity</label>
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    step="1"
+                                                    className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-white/10 dark:bg-slate-800 dark:text-white focus:ring-4 focus:ring-indigo-500/10 focus:border-indigo-500 outline-none transition-all"
+                                                    value={newProduct.quantity}
+                                                    onChange={e => setNewProduct({ ...newProduct, quantity: e.target.value })}
+                                                />
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-bold text-gray-700 dark:text-gray-300 mb-2">Tax rate (%)</label>
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    max="100"
+                                                    step="0.01"
+                                                    placeholder="Default"
+                                                    className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-white/10 dark:bg-slate-800 dark:text-white focus:ring-4 focus:ring-indigo-500/10 focus:border-indigo-500 outline-none transition-all"
+                                                    value={newProduct.taxRate}
+                                                    onChange={e => setNewProduct({ ...newProduct, taxRate: e.target.value })}
+                                                />
+                                            </div>
                                         </div>
                                         <div>
                                             <label className="block text-sm font-bold text-gray-700 dark:text-gray-300 mb-2">Description</label>
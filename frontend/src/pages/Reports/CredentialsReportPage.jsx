@@ -0,0 +1,163 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Button } from '@mui/material';
+import { Download } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import ReportsShell from '../../components/ReportsShell';
+import api from '../../utils/api';
+import { formatDate } from '../../utils/dateFormatter';
+
+const CREDENTIAL_TYPES = [
+    { key: 'rfid_card', fallback: 'RFID card' },
+    { key: 'nfc_tag', fallback: 'NFC tag' },
+    { key: 'key_fob', fallback: 'Key fob' },
+    { key: 'wristband', fallback: 'Wristband' }
+];
+
+const emptyReport = { summary: { total: 0, members: 0, inactiveMembers: 0, byType: [] }, credentials: [] };
+
+const CredentialsReportPage = () => {
+    const { t, i18n } = useTranslation();
+    const [type, setType] = useState('');
+    const [report, setReport] = useState(emptyReport);
+    const [loading, setLoading] = useState(false);
+
+    const isRTL = i18n.dir() === 'rtl';
+    const alignStart = isRTL ? 'text-right' : 'text-left';
+    const typeLabel = (key) => t(`members.credentials.types.${key}`, CREDENTIAL_TYPES.find((row) => row.key === key)?.fallback || key);
+
+    const fetchReport = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/reports/credentials', { params: { type: type || undefined } });
+            setReport(response.data?.data || emptyReport);
+        } catch (error) {
+            console.error('Failed to load credentials report', error);
+            toast.error(error.response?.data?.message || t('members.credentials.loadFailed', 'Failed to load member cards'));
+            setReport(emptyReport);
+        } finally {
+            setLoading(false);
+        }
+    }, [type, t]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    const handleExport = async () => {
+        try {
+            const response = await api.get('/reports/credentials', {
+                params: { type: type || undefined, format: 'excel' },
+                responseType: 'blob'
+            });
+            const url = window.URL.createObjectURL(new Blob([response.data]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `active-credentials-${new Date().toISOString().split('T')[0]}.xlsx`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error(t('members.credentials.loadFailed', 'Failed to load member cards'));
+        }
+    };
+
+    const { summary } = report;
+    const thClass = `px-4 py-3 text-xs font-semibold text-gray-400 uppercase tracking-wider ${alignStart}`;
+
+    const actions = (
+        <Button variant="outlined" startIcon={<Download size={16} />} onClick={handleExport}
+            sx={{ color: 'white', borderColor: 'rgba(255,255,255,0.2)' }}>
+            Excel
+        </Button>
+    );
+
+    return (
+        <ReportsShell
+            title={t('members.credentials.reportTitle', 'Active Member Cards')}
+            subtitle={t('members.credentials.reportSubtitle', 'RFID / NFC cards and key fobs currently able to check members in')}
+            actions={actions}
+            centerHeader
+        >
+            <div className="p-4 md:p-6 space-y-5">
+                <div className="flex flex-wrap items-end gap-3">
+                    <div>
+                        <label className="label text-xs mb-1">{t('members.credentials.type', 'Type')}</label>
+                        <select className="input py-1.5" value={type} onChange={(e) => setType(e.target.value)}>
+                            <option value="">{t('common.all', 'All')}</option>
+                            {CREDENTIAL_TYPES.map((row) => (
+                                <option key={row.key} value={row.key}>{typeLabel(row.key)}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    <div className="rounded-xl border border-slate-700 bg-slate-900/40 p-4">
+                        <p className="text-xs text-slate-400">{t('members.credentials.activeCards', 'Active cards')}</p>
+                        <p className="text-2xl font-bold text-white font-mono">{summary.total}</p>
+                    </div>
+                    <div className="rounded-xl border border-slate-700 bg-slate-900/40 p-4">
+                        <p className="text-xs text-slate-400">{t('members.credentials.membersWithCards', 'Members with cards')}</p>
+                        <p className="text-2xl font-bold text-white font-mono">{summary.members}</p>
+                    </div>
+                    <div className="rounded-xl border border-slate-700 bg-slate-900/40 p-4">
+                        <p className="text-xs text-slate-400">{t('members.credentials.inactiveMembers', 'Held by inactive members')}</p>
+                        <p className="text-2xl font-bold text-amber-400 font-mono">{summary.inactiveMembers}</p>
+                    </div>
+                    <div className="rounded-xl border border-slate-700 bg-slate-900/40 p-4 text-sm text-slate-300 space-y-1">
+                        {summary.byType.filter((row) => row.count > 0).map((row) => (
+                            <div key={row.type} className="flex justify-between">
+                                <span>{typeLabel(row.type)}</span>
+                                <span className="font-mono">{row.count}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="rounded-xl border border-slate-700 bg-slate-900/40 overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                            <tr>
+                                <th className={thClass}>{t('members.credentials.uid', 'Card UID')}</th>
+                                <th className={thClass}>{t('members.credentials.type', 'Type')}</th>
+                                <th className={thClass}>{t('subscriptions.member', 'Member')}</th>
+                                <th className={thClass}>{t('members.phone', 'Phone')}</th>
+                                <th className={thClass}>{t('members.credentials.issuedAt', 'Issued')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-700/50">
+                            {loading || report.credentials.length === 0 ? (
+                                <tr>
+                                    <td colSpan={5} className="py-8 text-center text-slate-400">
+                                        {loading ? t('common.loading', 'Loading...') : t('members.credentials.empty', 'No cards issued')}
+                                    </td>
+                                </tr>
+                            ) : report.credentials.map((row) => (
+                                <tr key={row.id} className="hover:bg-slate-700/30 transition-colors">
+                                    <td className={`px-4 py-3 font-mono text-slate-200 ${alignStart}`}>{row.uid}</td>
+                                    <td className={`px-4 py-3 text-slate-300 ${alignStart}`}>{typeLabel(row.type)}</td>
+                                    <td className={`px-4 py-3 ${alignStart}`}>
+                                        <Link to={`/members/${row.memberId}`} className="text-slate-200 hover:text-indigo-400">
+                                            {row.memberName}
+                                        </Link>
+                                        <span className="text-xs text-slate-500 ms-2">{row.memberCode}</span>
+                                        {!row.memberActive && (
+                                            <span className="badge badge-warning ms-2">{t('members.inactive', 'Inactive')}</span>
+                                        )}
+                                    </td>
+                                    <td className={`px-4 py-3 font-mono text-slate-300 ${alignStart}`}>{row.phone}</td>
+                                    <td className={`px-4 py-3 text-slate-300 ${alignStart}`}>{formatDate(row.issuedAt, i18n.language)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </ReportsShell>
+    );
+};
+
+export default CredentialsReportPage;
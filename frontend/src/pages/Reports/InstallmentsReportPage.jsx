@@ -0,0 +1,182 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Button } from '@mui/material';
+import { Download } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import ReportsShell from '../../components/ReportsShell';
+import api from '../../utils/api';
+import { useSettingsStore } from '../../store';
+import { formatDate } from '../../utils/dateFormatter';
+import { formatCurrency } from '../../utils/numberFormatter';
+
+const DAY_OPTIONS = [7, 14, 30, 60, 90];
+
+const emptyReport = {
+    summary: { overdueCount: 0, overdueAmount: 0, upcomingCount: 0, upcomingAmount: 0 },
+    overdue: [],
+    upcoming: []
+};
+
+const InstallmentsReportPage = () => {
+    const { t, i18n } = useTranslation();
+    const { getSetting } = useSettingsStore();
+    const [days, setDays] = useState(30);
+    const [report, setReport] = useState(emptyReport);
+    const [loading, setLoading] = useState(false);
+
+    const isRTL = i18n.dir() === 'rtl';
+    const alignStart = isRTL ? 'text-right' : 'text-left';
+    const currencyConf = useMemo(() => ({
+        code: getSetting('currency_code', 'EGP'),
+        symbol: getSetting('currency_symbol', 'EGP')
+    }), [getSetting]);
+    const money = (value) => formatCurrency(value || 0, i18n.language, currencyConf);
+
+    const fetchReport = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/reports/installments', { params: { days } });
+            setReport(response.data?.data || emptyReport);
+        } catch (error) {
+            console.error('Failed to load installments report', error);
+            toast.error(error.response?.data?.message || t('installments.loadFailed', 'Failed to load installments'));
+            setReport(emptyReport);
+        } finally {
+            setLoading(false);
+        }
+    }, [days, t]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    const handleExport = async () => {
+        try {
+            const response = await api.get('/reports/installments', {
+                params: { days, format: 'excel' },
+                responseType: 'blob'
+            });
+            const url = window.URL.createObjectURL(new Blob([response.data]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `installments-${new Date().toISOString().split('T')[0]}.xlsx`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error(t('installments.loadFailed', 'Failed to load installments'));
+        }
+    };
+
+    const { summary } = report;
+    const thClass = `px-4 py-3 text-xs font-semibold text-gray-400 uppercase tracking-wider ${alignStart}`;
+
+    const actions = (
+        <Button variant="outlined" startIcon={<Download size={16} />} onClick={handleExport}
+            sx={{ color: 'white', borderColor: 'rgba(255,255,255,0.2)' }}>
+            Excel
+        </Button>
+    );
+
+    const renderTable = (rows, emptyText) => (
+        <div className="rounded-xl border border-slate-700 bg-slate-900/40 overflow-x-auto">
+            <table className="w-full text-sm">
+                <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                    <tr>
+                        <th className={thClass}>{t('installments.dueDate', 'Due date')}</th>
+                        <th className={thClass}>{t('subscriptions.member', 'Member')}</th>
+                        <th className={thClass}>{t('members.phone', 'Phone')}</th>
+                        <th className={thClass}>{t('subscriptions.plan', 'Plan')}</th>
+                        <th className={thClass}>#</th>
+                        <th className={thClass}>{t('installments.amount', 'Amount')}</th>
+                        <th className={thClass}>{t('installments.remaining', 'Remaining')}</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                    {loading || rows.length === 0 ? (
+                        <tr>
+                            <td colSpan={7} className="py-8 text-center text-slate-400">
+                                {loading ? t('common.loading', 'Loading...') : emptyText}
+                            </td>
+                        </tr>
+                    ) : rows.map((row) => (
+                        <tr key={row.id} className="hover:bg-slate-700/30 transition-colors">
+                            <td className={`px-4 py-3 text-slate-300 ${alignStart}`}>
+                                {formatDate(row.dueDate, i18n.language)}
+                                {row.isOverdue && (
+                                    <span className="block text-xs text-red-400">
+                                        {t('installments.daysOverdue', { count: row.daysOverdue, defaultValue: '{{count}} days late' })}
+                                    </span>
+                                )}
+                            </td>
+                            <td className={`px-4 py-3 ${alignStart}`}>
+                                <Link to={`/members/${row.memberId}`} className="text-slate-200 hover:text-indigo-400">
+                                    {row.memberName}
+                                </Link>
+                                <span className="text-xs text-slate-500 ms-2">{row.memberCode}</span>
+                            </td>
+                            <td className={`px-4 py-3 font-mono text-slate-300 ${alignStart}`}>{row.phone}</td>
+                            <td className={`px-4 py-3 text-slate-300 ${alignStart}`}>{row.planName}</td>
+                            <td className={`px-4 py-3 font-mono text-slate-400 ${alignStart}`}>{row.sequence}</td>
+                            <td className={`px-4 py-3 font-mono text-slate-300 ${alignStart}`}>{money(row.amount)}</td>
+                            <td className={`px-4 py-3 font-mono text-white ${alignStart}`}>{money(row.remainingAmount)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    return (
+        <ReportsShell
+            title={t('installments.reportTitle', 'Installments')}
+            subtitle={t('installments.reportSubtitle', 'Overdue and upcoming subscription installments')}
+            actions={actions}
+            centerHeader
+        >
+            <div className="p-4 md:p-6 space-y-5">
+                <div className="flex flex-wrap items-end gap-3">
+                    <div>
+                        <label className="label text-xs mb-1">{t('installments.dueWithin', 'Due within')}</label>
+                        <select className="input py-1.5" value={days} onChange={(e) => setDays(Number(e.target.value))}>
+                            {DAY_OPTIONS.map((option) => (
+                                <option key={option} value={option}>
+                                    {t('installments.daysOption', { count: option, defaultValue: '{{count}} days' })}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    <div className="rounded-xl border border-slate-700 bg-slate-900/40 p-4">
+                        <p className="text-xs text-slate-400">{t('installments.overdueCount', 'Overdue installments')}</p>
+                        <p className="text-2xl font-bold text-red-400 font-mono">{summary.overdueCount}</p>
+                    </div>
+                    <div className="rounded-xl border border-slate-700 bg-slate-900/40 p-4">
+                        <p className="text-xs text-slate-400">{t('installments.overdueAmount', 'Overdue amount')}</p>
+                        <p className="text-2xl font-bold text-red-400 font-mono">{money(summary.overdueAmount)}</p>
+                    </div>
+                    <div className="rounded-xl border border-slate-700 bg-slate-900/40 p-4">
+                        <p className="text-xs text-slate-400">{t('installments.upcomingCount', 'Upcoming installments')}</p>
+                        <p className="text-2xl font-bold text-white font-mono">{summary.upcomingCount}</p>
+                    </div>
+                    <div className="rounded-xl border border-slate-700 bg-slate-900/40 p-4">
+                        <p className="text-xs text-slate-400">{t('installments.upcomingAmount', 'Upcoming amount')}</p>
+                        <p className="text-2xl font-bold text-white font-mono">{money(summary.upcomingAmount)}</p>
+                    </div>
+                </div>
+
+                <h3 className="text-sm font-semibold text-red-400">{t('installments.statuses.overdue', 'Overdue')}</h3>
+                {renderTable(report.overdue, t('installments.noOverdue', 'No overdue installments'))}
+
+                <h3 className="text-sm font-semibold text-slate-200">{t('installments.upcoming', 'Upcoming')}</h3>
+                {renderTable(report.upcoming, t('installments.noUpcoming', 'No installments due in this period'))}
+            </div>
+        </ReportsShell>
+    );
+};
+
+export default InstallmentsReportPage;
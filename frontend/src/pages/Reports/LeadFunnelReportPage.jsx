@@ -0,0 +1,168 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Button } from '@mui/material';
+import { Download } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import ReportsShell from '../../components/ReportsShell';
+import api from '../../utils/api';
+
+const emptyFunnel = { total: 0, contacted: 0, trialBooked: 0, trialAttended: 0, converted: 0, lost: 0, open: 0, conversionRate: 0 };
+const emptyReport = { summary: emptyFunnel, bySource: [], byStaff: [] };
+
+const FUNNEL_STEPS = [
+    { key: 'total', label: 'leads.funnel.leads', fallback: 'Leads' },
+    { key: 'contacted', label: 'leads.stages.contacted', fallback: 'Contacted' },
+    { key: 'trialBooked', label: 'leads.stages.trial_booked', fallback: 'Trial booked' },
+    { key: 'trialAttended', label: 'leads.stages.trial_attended', fallback: 'Trial attended' },
+    { key: 'converted', label: 'leads.stages.converted', fallback: 'Converted' }
+];
+
+const firstOfMonth = () => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1, 12).toISOString().split('T')[0];
+};
+const today = () => new Date().toISOString().split('T')[0];
+
+const LeadFunnelReportPage = () => {
+    const { t, i18n } = useTranslation();
+    const [filters, setFilters] = useState({ from: firstOfMonth(), to: today() });
+    const [report, setReport] = useState(emptyReport);
+    const [loading, setLoading] = useState(false);
+
+    const isRTL = i18n.dir() === 'rtl';
+    const alignStart = isRTL ? 'text-right' : 'text-left';
+    const alignEnd = isRTL ? 'text-left' : 'text-right';
+
+    const fetchReport = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/reports/lead-funnel', { params: filters });
+            setReport(response.data?.data || emptyReport);
+        } catch (error) {
+            console.error('Failed to load lead funnel report', error);
+            toast.error(error.response?.data?.message || t('leads.loadFailed', 'Failed to load leads'));
+            setReport(emptyReport);
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, t]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    const handleExport = async () => {
+        try {
+            const response = await api.get('/reports/lead-funnel', {
+                params: { ...filters, format: 'excel' },
+                responseType: 'blob'
+            });
+            const url = window.URL.createObjectURL(new Blob([response.data]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `lead-funnel-${filters.from}-${filters.to}.xlsx`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error(t('leads.loadFailed', 'Failed to load leads'));
+        }
+    };
+
+    const { summary } = report;
+    const thClass = 'px-4 py-3 text-xs font-semibold text-gray-400 uppercase tracking-wider';
+
+    const renderTable = (title, rows, labelOf) => (
+        <div className="rounded-xl border border-slate-700 bg-slate-900/40 overflow-x-auto">
+            <p className="text-sm text-slate-300 font-semibold px-4 pt-4">{title}</p>
+            <table className="w-full text-sm mt-2">
+                <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                    <tr>
+                        <th className={`${thClass} ${alignStart}`}></th>
+                        {FUNNEL_STEPS.map((step) => (
+                            <th key={step.key} className={`${thClass} ${alignEnd}`}>{t(step.label, step.fallback)}</th>
+                        ))}
+                        <th className={`${thClass} ${alignEnd}`}>{t('leads.stages.lost', 'Lost')}</th>
+                        <th className={`${thClass} ${alignEnd}`}>{t('leads.funnel.conversionRate', 'Conversion')}</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                    {loading || rows.length === 0 ? (
+                        <tr>
+                            <td colSpan={FUNNEL_STEPS.length + 3} className="py-8 text-center text-slate-400">
+                                {loading ? t('common.loading', 'Loading...') : t('leads.funnel.empty', 'No leads in this period')}
+                            </td>
+                        </tr>
+                    ) : rows.map((row) => (
+                        <tr key={labelOf(row)} className="hover:bg-slate-700/30 transition-colors">
+                            <td className={`px-4 py-3 text-slate-200 font-medium ${alignStart}`}>{labelOf(row)}</td>
+                            {FUNNEL_STEPS.map((step) => (
+                                <td key={step.key} className={`px-4 py-3 font-mono text-slate-300 ${alignEnd}`}>{row[step.key]}</td>
+                            ))}
+                            <td className={`px-4 py-3 font-mono text-rose-400 ${alignEnd}`}>{row.lost}</td>
+                            <td className={`px-4 py-3 font-mono font-bold text-emerald-400 ${alignEnd}`}>{row.conversionRate}%</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    const actions = (
+        <Button variant="outlined" startIcon={<Download size={16} />} onClick={handleExport}
+            sx={{ color: 'white', borderColor: 'rgba(255,255,255,0.2)' }}>
+            Excel
+        </Button>
+    );
+
+    return (
+        <ReportsShell
+            title={t('leads.funnel.title', 'Lead Conversion Funnel')}
+            subtitle={t('leads.funnel.subtitle', 'How leads move from first contact to membership')}
+            actions={actions}
+            centerHeader
+        >
+            <div className="p-4 md:p-6 space-y-5">
+                <div className="flex flex-wrap items-end gap-3">
+                    <div>
+                        <label className="label text-xs mb-1">{t('reports.dateRange', 'Date range')}</label>
+                        <div className="flex items-center gap-2">
+                            <input type="date" className="input py-1.5" value={filters.from}
+                                onChange={(e) => setFilters((prev) => ({ ...prev, from: e.target.value }))} />
+                            <span className="text-gray-400">{t('reports.to', 'to')}</span>
+                            <input type="date" className="input py-1.5" value={filters.to}
+                                onChange={(e) => setFilters((prev) => ({ ...prev, to: e.target.value }))} />
+                        </div>
+                    </div>
+                </div>
+
+                {/* Funnel */}
+                <div className="rounded-xl border border-slate-700 bg-slate-900/40 p-4 space-y-3">
+                    {FUNNEL_STEPS.map((step) => {
+                        const share = summary.total > 0 ? (summary[step.key] / summary.total) * 100 : 0;
+                        return (
+                            <div key={step.key}>
+                                <div className="flex justify-between text-sm">
+                                    <span className="text-slate-200">{t(step.label, step.fallback)}</span>
+                                    <span className="font-mono text-slate-300">{summary[step.key]} ({Math.round(share)}%)</span>
+                                </div>
+                                <div className="h-2 rounded-full bg-slate-800 mt-1">
+                                    <div className="h-2 rounded-full bg-indigo-500" style={{ width: `${share}%` }} />
+                                </div>
+                            </div>
+                        );
+                    })}
+                    <p className="text-xs text-slate-400 pt-1">
+                        {t('leads.stages.lost', 'Lost')}: {summary.lost} · {t('leads.funnel.open', 'Still open')}: {summary.open} · {t('leads.funnel.conversionRate', 'Conversion')}: {summary.conversionRate}%
+                    </p>
+                </div>
+
+                {renderTable(t('leads.funnel.bySource', 'By source'), report.bySource, (row) => t(`leads.sources.${row.source}`, row.source))}
+                {renderTable(t('leads.funnel.byStaff', 'By staff member'), report.byStaff, (row) => row.name || t('leads.unassigned', 'Unassigned'))}
+            </div>
+        </ReportsShell>
+    );
+};
+
+export default LeadFunnelReportPage;
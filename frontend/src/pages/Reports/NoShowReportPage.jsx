@@ -0,0 +1,240 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Button } from '@mui/material';
+import { Download } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import ReportsShell from '../../components/ReportsShell';
+import api from '../../utils/api';
+import { formatCurrency } from '../../utils/numberFormatter';
+import { formatDateTime } from '../../utils/dateFormatter';
+import { useSettingsStore } from '../../store';
+import { usePermissions } from '../../hooks/usePermissions';
+import { PERMISSIONS } from '../../utils/permissions';
+
+const emptyRow = { appointments: 0, noShows: 0, lateCancels: 0, noShowRate: 0, feesCharged: 0, feesWaived: 0, outstanding: 0, sessionsForfeited: 0, coachCompensation: 0 };
+const emptyReport = { summary: emptyRow, byMember: [], byCoach: [] };
+
+const firstOfMonth = () => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1, 12).toISOString().split('T')[0];
+};
+const today = () => new Date().toISOString().split('T')[0];
+
+const NoShowReportPage = () => {
+    const { t, i18n } = useTranslation();
+    const { getSetting } = useSettingsStore();
+    const { can } = usePermissions();
+    const [filters, setFilters] = useState({ from: firstOfMonth(), to: today() });
+    const [report, setReport] = useState(emptyReport);
+    const [charges, setCharges] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    const isRTL = i18n.dir() === 'rtl';
+    const alignStart = isRTL ? 'text-right' : 'text-left';
+    const alignEnd = isRTL ? 'text-left' : 'text-right';
+
+    const currencyConf = useMemo(() => ({
+        code: getSetting('currency_code', 'EGP'),
+        symbol: getSetting('currency_symbol', 'EGP')
+    }), [getSetting]);
+    const money = (value) => formatCurrency(value || 0, i18n.language, currencyConf);
+
+    const fetchReport = useCallback(async () => {
+        setLoading(true);
+        try {
+            const [reportRes, chargesRes] = await Promise.all([
+                api.get('/reports/no-shows', { params: filters }),
+                api.get('/appointments/charges', { params: { status: 'due' } })
+            ]);
+            setReport(reportRes.data?.data || emptyReport);
+            setCharges(chargesRes.data?.data?.charges || []);
+        } catch (error) {
+            console.error('Failed to load no-show report', error);
+            toast.error(error.response?.data?.message || t('appointments.noShowReport.loadFailed', 'Failed to load no-show report'));
+            setReport(emptyReport);
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, t]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    const handleExport = async () => {
+        try {
+            const response = await api.get('/reports/no-shows', {
+                params: { ...filters, format: 'excel' },
+                responseType: 'blob'
+            });
+            const url = window.URL.createObjectURL(new Blob([response.data]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `no-shows-${filters.from}-${filters.to}.xlsx`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error(t('appointments.noShowReport.loadFailed', 'Failed to load no-show report'));
+        }
+    };
+
+    const handleCharge = async (charge, action) => {
+        if (action === 'waive' && !window.confirm(t('appointments.noShowReport.confirmWaive', 'Waive the remaining fee?'))) return;
+        try {
+            await api.post(`/appointments/charges/${charge.id}/${action}`, action === 'pay' ? { method: 'cash' } : {});
+            toast.success(action === 'pay'
+                ? t('appointments.noShowReport.chargePaid', 'Fee collected')
+                : t('appointments.noShowReport.chargeWaived', 'Fee waived'));
+            fetchReport();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('common.error', 'Error'));
+        }
+    };
+
+    const { summary } = report;
+    const thClass = 'px-4 py-3 text-xs font-semibold text-gray-400 uppercase tracking-wider';
+    const columns = [
+        { key: 'appointments', label: t('appointments.noShowReport.appointments', 'Appointments') },
+        { key: 'noShows', label: t('appointments.noShowReport.noShows', 'No-shows') },
+        { key: 'lateCancels', label: t('appointments.noShowReport.lateCancels', 'Late cancellations') },
+        { key: 'noShowRate', label: t('appointments.noShowReport.noShowRate', 'No-show rate'), format: (value) => `${value}%` },
+        { key: 'sessionsForfeited', label: t('appointments.noShowReport.sessionsForfeited', 'Sessions forfeited') },
+        { key: 'feesCharged', label: t('appointments.noShowReport.feesCharged', 'Fees charged'), format: money },
+        { key: 'outstanding', label: t('appointments.noShowReport.outstanding', 'Outstanding'), format: money }
+    ];
+
+    const renderTable = (title, rows, labelOf, extraColumn = null) => (
+        <div className="rounded-xl border border-slate-700 bg-slate-900/40 overflow-x-auto">
+            <p className="text-sm text-slate-300 font-semibold px-4 pt-4">{title}</p>
+            <table className="w-full text-sm mt-2">
+                <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                    <tr>
+                        <th className={`${thClass} ${alignStart}`}></th>
+                        {columns.map((column) => (
+                            <th key={column.key} className={`${thClass} ${alignEnd}`}>{column.label}</th>
+                        ))}
+                        {extraColumn && <th className={`${thClass} ${alignEnd}`}>{extraColumn.label}</th>}
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                    {loading || rows.length === 0 ? (
+                        <tr>
+                            <td colSpan={columns.length + (extraColumn ? 2 : 1)} className="py-8 text-center text-slate-400">
+                                {loading ? t('common.loading', 'Loading...') : t('appointments.noShowReport.empty', 'No no-shows or late cancellations in this period')}
+                            </td>
+                        </tr>
+                    ) : rows.map((row) => (
+                        <tr key={labelOf(row)} className="hover:bg-slate-700/30 transition-colors">
+                            <td className={`px-4 py-3 text-slate-200 font-medium ${alignStart}`}>{labelOf(row)}</td>
+                            {columns.map((column) => (
+                                <td key={column.key} className={`px-4 py-3 font-mono text-slate-300 ${alignEnd}`}>
+                                    {column.format ? column.format(row[column.key]) : row[column.key]}
+                                </td>
+                            ))}
+                            {extraColumn && (
+                                <td className={`px-4 py-3 font-mono text-emerald-400 ${alignEnd}`}>{extraColumn.format(row[extraColumn.key])}</td>
+                            )}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    const actions = (
+        <Button variant="outlined" startIcon={<Download size={16} />} onClick={handleExport}
+            sx={{ color: 'white', borderColor: 'rgba(255,255,255,0.2)' }}>
+            Excel
+        </Button>
+    );
+
+    const cards = [
+        { label: t('appointments.noShowReport.noShows', 'No-shows'), value: summary.noShows, tone: 'text-rose-400' },
+        { label: t('appointments.noShowReport.lateCancels', 'Late cancellations'), value: summary.lateCancels, tone: 'text-amber-400' },
+        { label: t('appointments.noShowReport.noShowRate', 'No-show rate'), value: `${summary.noShowRate}%`, tone: 'text-slate-100' },
+        { label: t('appointments.noShowReport.feesCharged', 'Fees charged'), value: money(summary.feesCharged), tone: 'text-emerald-400' },
+        { label: t('appointments.noShowReport.outstanding', 'Outstanding'), value: money(summary.outstanding), tone: 'text-rose-400' },
+        { label: t('appointments.noShowReport.sessionsForfeited', 'Sessions forfeited'), value: summary.sessionsForfeited, tone: 'text-indigo-400' }
+    ];
+
+    return (
+        <ReportsShell
+            title={t('appointments.noShowReport.title', 'No-Shows & Late Cancellations')}
+            subtitle={t('appointments.noShowReport.subtitle', 'Missed and late-cancelled appointments per member and coach')}
+            actions={actions}
+            centerHeader
+        >
+            <div className="p-4 md:p-6 space-y-5">
+                <div className="flex flex-wrap items-end gap-3">
+                    <div>
+                        <label className="label text-xs mb-1">{t('reports.dateRange', 'Date range')}</label>
+                        <div className="flex items-center gap-2">
+                            <input type="date" className="input py-1.5" value={filters.from}
+                                onChange={(e) => setFilters((prev) => ({ ...prev, from: e.target.value }))} />
+                            <span className="text-gray-400">{t('reports.to', 'to')}</span>
+                            <input type="date" className="input py-1.5" value={filters.to}
+                                onChange={(e) => setFilters((prev) => ({ ...prev, to: e.target.value }))} />
+                        </div>
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+                    {cards.map((card) => (
+                        <div key={card.label} className="rounded-xl border border-slate-700 bg-slate-900/40 p-4">
+                            <p className="text-xs text-slate-400">{card.label}</p>
+                            <p className={`text-xl font-bold font-mono mt-1 ${card.tone}`}>{card.value}</p>
+                        </div>
+                    ))}
+                </div>
+
+                {renderTable(t('appointments.noShowReport.byMember', 'By member'), report.byMember, (row) => `${row.name} (${row.memberCode})`)}
+                {renderTable(t('appointments.noShowReport.byCoach', 'By coach'), report.byCoach, (row) => row.name || `#${row.coachId}`, {
+                    key: 'coachCompensation',
+                    label: t('appointments.noShowReport.coachCompensation', 'Coach compensation'),
+                    format: money
+                })}
+
+                <div className="rounded-xl border border-slate-700 bg-slate-900/40 overflow-x-auto">
+                    <p className="text-sm text-slate-300 font-semibold px-4 pt-4">{t('appointments.noShowReport.outstandingCharges', 'Outstanding fees')}</p>
+                    <table className="w-full text-sm mt-2">
+                        <tbody className="divide-y divide-slate-700/50">
+                            {charges.length === 0 ? (
+                                <tr>
+                                    <td className="py-8 text-center text-slate-400">{t('appointments.noShowReport.noOutstanding', 'Nothing outstanding')}</td>
+                                </tr>
+                            ) : charges.map((charge) => (
+                                <tr key={charge.id} className="hover:bg-slate-700/30 transition-colors">
+                                    <td className={`px-4 py-3 text-slate-200 ${alignStart}`}>
+                                        {charge.member?.firstName} {charge.member?.lastName}
+                                        <span className="block text-xs text-slate-400">
+                                            {t(`appointments.chargeTypes.${charge.type}`, charge.type)} · {charge.appointment?.title} · {formatDateTime(charge.appointment?.start, i18n.language)}
+                                        </span>
+                                    </td>
+                                    <td className={`px-4 py-3 font-mono text-rose-400 ${alignEnd}`}>{money(charge.dueAmount)}</td>
+                                    <td className={`px-4 py-3 ${alignEnd}`}>
+                                        <div className="flex justify-end gap-2">
+                                            {can(PERMISSIONS.PAYMENTS_CREATE) && (
+                                                <button type="button" className="btn-primary text-xs" onClick={() => handleCharge(charge, 'pay')}>
+                                                    {t('appointments.noShowReport.collect', 'Collect')}
+                                                </button>
+                                            )}
+                                            {can(PERMISSIONS.APPOINTMENTS_MANAGE) && (
+                                                <button type="button" className="btn-secondary text-xs" onClick={() => handleCharge(charge, 'waive')}>
+                                                    {t('appointments.noShowReport.waive', 'Waive')}
+                                                </button>
+                                            )}
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </ReportsShell>
+    );
+};
+
+export default NoShowReportPage;
@@ -0,0 +1,182 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Button } from '@mui/material';
+import { Download } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import ReportsShell from '../../components/ReportsShell';
+import api from '../../utils/api';
+import { formatCurrency } from '../../utils/numberFormatter';
+import { useSettingsStore } from '../../store';
+
+const emptyReport = {
+    months: [],
+    categories: [],
+    summary: { payments: 0, refunds: 0, sales: 0, revenue: 0, expenses: 0, profit: 0, margin: null }
+};
+
+const startOfYear = () => `${new Date().getFullYear()}-01-01`;
+const today = () => new Date().toISOString().split('T')[0];
+
+const ProfitLossReportPage = () => {
+    const { t, i18n } = useTranslation();
+    const { getSetting } = useSettingsStore();
+    const [filters, setFilters] = useState({ from: startOfYear(), to: today() });
+    const [report, setReport] = useState(emptyReport);
+    const [loading, setLoading] = useState(false);
+
+    const isRTL = i18n.dir() === 'rtl';
+    const alignStart = isRTL ? 'text-right' : 'text-left';
+    const alignEnd = isRTL ? 'text-left' : 'text-right';
+
+    const currencyConf = useMemo(() => ({
+        code: getSetting('currency_code', 'EGP'),
+        symbol: getSetting('currency_symbol', 'EGP')
+    }), [getSetting]);
+    const money = (value) => formatCurrency(value || 0, i18n.language, currencyConf);
+    const profitClass = (value) => (value < 0 ? 'text-rose-400' : 'text-emerald-400');
+
+    const fetchReport = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/reports/profit-loss', { params: filters });
+            setReport(response.data?.data || emptyReport);
+        } catch (error) {
+            console.error('Failed to load profit & loss report', error);
+            toast.error(error.response?.data?.message || t('expenses.loadFailed', 'Failed to load expenses'));
+            setReport(emptyReport);
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, t]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    const handleExport = async () => {
+        try {
+            const response = await api.get('/reports/profit-loss', {
+                params: { ...filters, format: 'excel' },
+                responseType: 'blob'
+            });
+            const url = window.URL.createObjectURL(new Blob([response.data]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `profit-loss-${filters.from}-${filters.to}.xlsx`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error(t('expenses.loadFailed', 'Failed to load expenses'));
+        }
+    };
+
+    const { summary } = report;
+    const cards = [
+        { label: t('expenses.pnl.revenue', 'Revenue'), value: money(summary.revenue), className: 'text-emerald-400' },
+        { label: t('expenses.pnl.expenses', 'Expenses'), value: money(summary.expenses), className: 'text-rose-400' },
+        { label: t('expenses.pnl.profit', 'Profit'), value: money(summary.profit), className: profitClass(summary.profit) },
+        { label: t('expenses.pnl.margin', 'Margin'), value: summary.margin === null ? '--' : `${summary.margin}%`, className: 'text-white' }
+    ];
+    const thClass = 'px-4 py-3 text-xs font-semibold text-gray-400 uppercase tracking-wider';
+
+    const actions = (
+        <Button variant="outlined" startIcon={<Download size={16} />} onClick={handleExport}
+            sx={{ color: 'white', borderColor: 'rgba(255,255,255,0.2)' }}>
+            Excel
+        </Button>
+    );
+
+    return (
+        <ReportsShell
+            title={t('expenses.pnl.title', 'Profit & Loss')}
+            subtitle={t('expenses.pnl.subtitle', 'Revenue against expenses by month and category')}
+            actions={actions}
+            centerHeader
+        >
+            <div className="p-4 md:p-6 space-y-5">
+                <div className="flex flex-wrap items-end gap-3">
+                    <div>
+                        <label className="label text-xs mb-1">{t('reports.dateRange', 'Date range')}</label>
+                        <div className="flex items-center gap-2">
+                            <input type="date" className="input py-1.5" value={filters.from}
+                                onChange={(e) => setFilters((prev) => ({ ...prev, from: e.target.value }))} />
+                            <span className="text-gray-400">{t('reports.to', 'to')}</span>
+                            <input type="date" className="input py-1.5" value={filters.to}
+                                onChange={(e) => setFilters((prev) => ({ ...prev, to: e.target.value }))} />
+                        </div>
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                    {cards.map((card) => (
+                        <div key={card.label} className="rounded-xl border border-slate-700 bg-slate-900/50 p-4">
+                            <p className="text-xs text-slate-400">{card.label}</p>
+                            <p className={`text-lg font-bold mt-1 ${card.className}`}>{card.value}</p>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="rounded-xl border border-slate-700 bg-slate-900/40 overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                            <tr>
+                                <th className={`${thClass} ${alignStart}`}>{t('expenses.pnl.month', 'Month')}</th>
+                                <th className={`${thClass} ${alignEnd}`}>{t('expenses.pnl.payments', 'Payments')}</th>
+                                <th className={`${thClass} ${alignEnd}`}>{t('expenses.pnl.refunds', 'Refunds')}</th>
+                                <th className={`${thClass} ${alignEnd}`}>{t('expenses.pnl.sales', 'POS sales')}</th>
+                                <th className={`${thClass} ${alignEnd}`}>{t('expenses.pnl.revenue', 'Revenue')}</th>
+                                <th className={`${thClass} ${alignEnd}`}>{t('expenses.pnl.expenses', 'Expenses')}</th>
+                                <th className={`${thClass} ${alignEnd}`}>{t('expenses.pnl.profit', 'Profit')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-700/50">
+                            {loading || report.months.length === 0 ? (
+                                <tr>
+                                    <td colSpan={7} className="py-10 text-center text-slate-400">
+                                        {loading ? t('common.loading', 'Loading...') : t('expenses.pnl.empty', 'No data for this period')}
+                                    </td>
+                                </tr>
+                            ) : report.months.map((month) => (
+                                <tr key={month.month} className="hover:bg-slate-700/30 transition-colors">
+                                    <td className={`px-4 py-3 font-mono text-slate-200 ${alignStart}`}>{month.month}</td>
+                                    <td className={`px-4 py-3 font-mono text-slate-300 ${alignEnd}`}>{money(month.payments)}</td>
+                                    <td className={`px-4 py-3 font-mono text-amber-300 ${alignEnd}`}>{money(month.refunds)}</td>
+                                    <td className={`px-4 py-3 font-mono text-slate-300 ${alignEnd}`}>{money(month.sales)}</td>
+                                    <td className={`px-4 py-3 font-mono text-emerald-400 ${alignEnd}`}>{money(month.revenue)}</td>
+                                    <td className={`px-4 py-3 font-mono text-rose-400 ${alignEnd}`}>{money(month.expenses)}</td>
+                                    <td className={`px-4 py-3 font-mono font-bold ${profitClass(month.profit)} ${alignEnd}`}>{money(month.profit)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                {report.categories.length > 0 && (
+                    <div className="rounded-xl border border-slate-700 bg-slate-900/40 p-4">
+                        <p className="text-sm text-slate-300 font-semibold mb-3">{t('expenses.pnl.byCategory', 'Expenses by category')}</p>
+                        <div className="space-y-2">
+                            {report.categories.map((category) => {
+                                const share = summary.expenses > 0 ? (category.total / summary.expenses) * 100 : 0;
+                                return (
+                                    <div key={category.category}>
+                                        <div className="flex justify-between text-sm">
+                                            <span className="text-slate-200">{t(`expenses.categories.${category.category}`, category.category)}</span>
+                                            <span className="font-mono text-slate-300">{money(category.total)}</span>
+                                        </div>
+                                        <div className="h-1.5 rounded-full bg-slate-800 mt-1">
+                                            <div className="h-1.5 rounded-full bg-rose-500" style={{ width: `${share}%` }} />
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </ReportsShell>
+    );
+};
+
+export default ProfitLossReportPage;
@@ -0,0 +1,165 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Button } from '@mui/material';
+import { Download } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import ReportsShell from '../../components/ReportsShell';
+import api from '../../utils/api';
+import { formatCurrency } from '../../utils/numberFormatter';
+import { useSettingsStore } from '../../store';
+
+const emptyReport = {
+    summary: { redemptions: 0, discountTotal: 0, referralRewards: 0, referralCredit: 0 },
+    promotions: []
+};
+
+const RULE_LABELS = {
+    family: 'Family discount',
+    early_renewal: 'Renewal before expiry'
+};
+
+const startOfMonth = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
+};
+const today = () => new Date().toISOString().split('T')[0];
+
+const PromotionsReportPage = () => {
+    const { t, i18n } = useTranslation();
+    const { getSetting } = useSettingsStore();
+    const [filters, setFilters] = useState({ from: startOfMonth(), to: today() });
+    const [report, setReport] = useState(emptyReport);
+    const [loading, setLoading] = useState(false);
+
+    const isRTL = i18n.dir() === 'rtl';
+    const alignStart = isRTL ? 'text-right' : 'text-left';
+
+    const currencyConf = useMemo(() => ({
+        code: getSetting('currency_code', 'EGP'),
+        symbol: getSetting('currency_symbol', 'EGP')
+    }), [getSetting]);
+    const money = (value) => formatCurrency(value || 0, i18n.language, currencyConf);
+
+    const fetchReport = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/reports/promotions', { params: filters });
+            setReport(response.data?.data || emptyReport);
+        } catch (error) {
+            console.error('Failed to load promotions report', error);
+            toast.error(error.response?.data?.message || t('promotions.loadFailed', 'Failed to load promotions'));
+            setReport(emptyReport);
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, t]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    const handleExport = async () => {
+        try {
+            const response = await api.get('/reports/promotions', {
+                params: { ...filters, format: 'excel' },
+                responseType: 'blob'
+            });
+            const url = window.URL.createObjectURL(new Blob([response.data]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `promotions-${filters.from}-${filters.to}.xlsx`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error(t('promotions.loadFailed', 'Failed to load promotions'));
+        }
+    };
+
+    const { summary } = report;
+    const cards = [
+        { label: t('promotions.redemptions', 'Redemptions'), value: summary.redemptions, className: 'text-white' },
+        { label: t('promotions.discountGiven', 'Discount given'), value: money(summary.discountTotal), className: 'text-rose-400' },
+        { label: t('promotions.referralRewards', 'Referral rewards'), value: summary.referralRewards, className: 'text-white' },
+        { label: t('promotions.referralCreditPaid', 'Referral credit'), value: money(summary.referralCredit), className: 'text-amber-400' }
+    ];
+    const thClass = `px-4 py-3 text-xs font-semibold text-gray-400 uppercase tracking-wider ${alignStart}`;
+
+    const actions = (
+        <Button variant="outlined" startIcon={<Download size={16} />} onClick={handleExport}
+            sx={{ color: 'white', borderColor: 'rgba(255,255,255,0.2)' }}>
+            Excel
+        </Button>
+    );
+
+    return (
+        <ReportsShell
+            title={t('promotions.reportTitle', 'Promotions')}
+            subtitle={t('promotions.reportSubtitle', 'Revenue given away per discount code and rule')}
+            actions={actions}
+            centerHeader
+        >
+            <div className="p-4 md:p-6 space-y-5">
+                <div className="flex flex-wrap items-end gap-3">
+                    <div>
+                        <label className="label text-xs mb-1">{t('reports.dateRange', 'Date range')}</label>
+                        <div className="flex items-center gap-2">
+                            <input type="date" className="input py-1.5" value={filters.from}
+                                onChange={(e) => setFilters((prev) => ({ ...prev, from: e.target.value }))} />
+                            <span className="text-gray-400">{t('reports.to', 'to')}</span>
+                            <input type="date" className="input py-1.5" value={filters.to}
+                                onChange={(e) => setFilters((prev) => ({ ...prev, to: e.target.value }))} />
+                        </div>
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {cards.map((card) => (
+                        <div key={card.label} className="rounded-xl border border-slate-700 bg-slate-900/40 p-4">
+                            <p className="text-xs text-slate-400">{card.label}</p>
+                            <p className={`text-2xl font-bold font-mono ${card.className}`}>{card.value}</p>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="rounded-xl border border-slate-700 bg-slate-900/40 overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                            <tr>
+                                <th className={thClass}>{t('promotions.name', 'Name')}</th>
+                                <th className={thClass}>{t('promotions.code', 'Code')}</th>
+                                <th className={thClass}>{t('promotions.redemptions', 'Redemptions')}</th>
+                                <th className={thClass}>{t('promotions.grossAmount', 'Before discount')}</th>
+                                <th className={thClass}>{t('promotions.discountGiven', 'Discount given')}</th>
+                                <th className={thClass}>{t('promotions.netRevenue', 'Net revenue')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-700/50">
+                            {loading || report.promotions.length === 0 ? (
+                                <tr>
+                                    <td colSpan={6} className="py-8 text-center text-slate-400">
+                                        {loading ? t('common.loading', 'Loading...') : t('promotions.noRedemptions', 'No promotions used in this period')}
+                                    </td>
+                                </tr>
+                            ) : report.promotions.map((row) => (
+                                <tr key={row.promotionId} className="hover:bg-slate-700/30 transition-colors">
+                                    <td className={`px-4 py-3 text-slate-200 ${alignStart}`}>{row.name}</td>
+                                    <td className={`px-4 py-3 font-mono text-slate-300 ${alignStart}`}>
+                                        {row.code || t(`promotions.kinds.${row.ruleType}`, RULE_LABELS[row.ruleType] || row.ruleType)}
+                                    </td>
+                                    <td className={`px-4 py-3 font-mono text-slate-300 ${alignStart}`}>{row.redemptions}</td>
+                                    <td className={`px-4 py-3 font-mono text-slate-300 ${alignStart}`}>{money(row.grossAmount)}</td>
+                                    <td className={`px-4 py-3 font-mono text-rose-400 ${alignStart}`}>{money(row.discountTotal)}</td>
+                                    <td className={`px-4 py-3 font-mono text-white ${alignStart}`}>{money(row.netRevenue)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </ReportsShell>
+    );
+};
+
+export default PromotionsReportPage;
@@ -0,0 +1,183 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Button } from '@mui/material';
+import { Download } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import ReportsShell from '../../components/ReportsShell';
+import api from '../../utils/api';
+import { formatCurrency } from '../../utils/numberFormatter';
+import { useSettingsStore } from '../../store';
+
+const emptyReport = {
+    taxName: 'VAT',
+    registrationNumber: '',
+    summary: { grossAmount: 0, taxableAmount: 0, taxAmount: 0 },
+    rates: [],
+    sources: []
+};
+
+const SOURCE_LABELS = {
+    subscriptions: 'Subscriptions',
+    sessions: 'Sessions',
+    products: 'Products',
+    other: 'Other payments'
+};
+
+const startOfMonth = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
+};
+const today = () => new Date().toISOString().split('T')[0];
+
+const TaxReportPage = () => {
+    const { t, i18n } = useTranslation();
+    const { getSetting } = useSettingsStore();
+    const [filters, setFilters] = useState({ from: startOfMonth(), to: today() });
+    const [report, setReport] = useState(emptyReport);
+    const [loading, setLoading] = useState(false);
+
+    const isRTL = i18n.dir() === 'rtl';
+    const alignStart = isRTL ? 'text-right' : 'text-left';
+
+    const currencyConf = useMemo(() => ({
+        code: getSetting('currency_code', 'EGP'),
+        symbol: getSetting('currency_symbol', 'EGP')
+    }), [getSetting]);
+    const money = (value) => formatCurrency(value || 0, i18n.language, currencyConf);
+
+    const fetchReport = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/reports/tax', { params: filters });
+            setReport(response.data?.data || emptyReport);
+        } catch (error) {
+            console.error('Failed to load tax report', error);
+            toast.error(error.response?.data?.message || t('tax.loadFailed', 'Failed to load tax report'));
+            setReport(emptyReport);
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, t]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    const handleExport = async () => {
+        try {
+            const response = await api.get('/reports/tax', {
+                params: { ...filters, format: 'excel' },
+                responseType: 'blob'
+            });
+            const url = window.URL.createObjectURL(new Blob([response.data]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `tax-${filters.from}-${filters.to}.xlsx`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error(t('tax.loadFailed', 'Failed to load tax report'));
+        }
+    };
+
+    const { summary } = report;
+    const cards = [
+        { label: t('tax.grossAmount', 'Sales incl. tax'), value: money(summary.grossAmount), className: 'text-white' },
+        { label: t('tax.taxableAmount', 'Taxable amount'), value: money(summary.taxableAmount), className: 'text-slate-200' },
+        { label: t('tax.taxAmount', { name: report.taxName, defaultValue: '{{name}} collected' }), value: money(summary.taxAmount), className: 'text-amber-400' }
+    ];
+    const thClass = `px-4 py-3 text-xs font-semibold text-gray-400 uppercase tracking-wider ${alignStart}`;
+
+    const renderTable = (firstHeader, rows, labelOf, keyOf) => (
+        <div className="rounded-xl border border-slate-700 bg-slate-900/40 overflow-x-auto">
+            <table className="w-full text-sm">
+                <thead className="bg-slate-900/70 border-b border-slate-700/50">
+                    <tr>
+                        <th className={thClass}>{firstHeader}</th>
+                        <th className={thClass}>{t('tax.grossAmount', 'Sales incl. tax')}</th>
+                        <th className={thClass}>{t('tax.taxableAmount', 'Taxable amount')}</th>
+                        <th className={thClass}>{report.taxName}</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                    {loading || rows.length === 0 ? (
+                        <tr>
+                            <td colSpan={4} className="py-8 text-center text-slate-400">
+                                {loading ? t('common.loading', 'Loading...') : t('tax.noSales', 'No sales in this period')}
+                            </td>
+                        </tr>
+                    ) : rows.map((row) => (
+                        <tr key={keyOf(row)} className="hover:bg-slate-700/30 transition-colors">
+                            <td className={`px-4 py-3 text-slate-200 ${alignStart}`}>{labelOf(row)}</td>
+                            <td className={`px-4 py-3 font-mono text-slate-300 ${alignStart}`}>{money(row.grossAmount)}</td>
+                            <td className={`px-4 py-3 font-mono text-slate-300 ${alignStart}`}>{money(row.taxableAmount)}</td>
+                            <td className={`px-4 py-3 font-mono text-amber-400 ${alignStart}`}>{money(row.taxAmount)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    const actions = (
+        <Button variant="outlined" startIcon={<Download size={16} />} onClick={handleExport}
+            sx={{ color: 'white', borderColor: 'rgba(255,255,255,0.2)' }}>
+            Excel
+        </Button>
+    );
+
+    return (
+        <ReportsShell
+            title={t('tax.reportTitle', 'Tax Summary')}
+            subtitle={t('tax.reportSubtitle', 'Tax collected per rate and source for filing')}
+            actions={actions}
+            centerHeader
+        >
+            <div className="p-4 md:p-6 space-y-5">
+                <div className="flex flex-wrap items-end justify-between gap-3">
+                    <div>
+                        <label className="label text-xs mb-1">{t('reports.dateRange', 'Date range')}</label>
+                        <div className="flex items-center gap-2">
+                            <input type="date" className="input py-1.5" value={filters.from}
+                                onChange={(e) => setFilters((prev) => ({ ...prev, from: e.target.value }))} />
+                            <span className="text-gray-400">{t('reports.to', 'to')}</span>
+                            <input type="date" className="input py-1.5" value={filters.to}
+                                onChange={(e) => setFilters((prev) => ({ ...prev, to: e.target.value }))} />
+                        </div>
+                    </div>
+                    {report.registrationNumber && (
+                        <p className="text-sm text-slate-400">
+                            {t('tax.registrationNumber', 'Tax registration number')}:{' '}
+                            <span className="font-mono text-slate-200">{report.registrationNumber}</span>
+                        </p>
+                    )}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    {cards.map((card) => (
+                        <div key={card.label} className="rounded-xl border border-slate-700 bg-slate-900/40 p-4">
+                            <p className="text-xs text-slate-400">{card.label}</p>
+                            <p className={`text-2xl font-bold font-mono ${card.className}`}>{card.value}</p>
+                        </div>
+                    ))}
+                </div>
+
+                {renderTable(t('tax.rateColumn', 'Rate'), report.rates, (row) => `${row.rate}%`, (row) => row.rate)}
+                {renderTable(
+                    t('tax.sourceColumn', 'Source'),
+                    report.sources,
+                    (row) => t(`tax.sources.${row.source}`, SOURCE_LABELS[row.source] || row.source),
+                    (row) => row.source
+                )}
+
+                <p className="text-xs text-slate-500">
+                    {t('tax.reportHint', 'Cash basis: payments and POS sales received in the period, less refunds given in the period.')}
+                </p>
+            </div>
+        </ReportsShell>
+    );
+};
+
+export default TaxReportPage;
@@ -14,10 +14,18 @@ import {
     FileText,
     PieChart,
     Target,
-    Clock
+    Clock,
+    Filter,
+    KeyRound,
+    CalendarClock,
+    Tag,
+    Percent,
+    UserX
 } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import { usePermissions } from '../../hooks/usePermissions';
+import { PERMISSIONS } from '../../utils/permissions';
 
 const ReportCard = ({ title, desc, icon: Icon, gradient, to, delay = 0 }) => {
     const { t } = useTranslation();
@@ -65,6 +73,7 @@ const ReportCard = ({ title, desc, icon: Icon, gradient, to, delay = 0 }) => {
 
 const ReportsDashboard = () => {
     const { t } = useTranslation();
+    const { can } = usePermissions();
 
     const reports = [
         {
@@ -129,8 +138,63 @@ const ReportsDashboard = () => {
             icon: Clipboard,
             gradient: "bg-gradient-to-br from-slate-500 to-gray-700",
             to: "/reports/cash-closing"
+        },
+        {
+            title: t('expenses.pnl.title', 'Profit & Loss'),
+            desc: t('expenses.pnl.subtitle', 'Revenue against expenses by month and category'),
+            icon: TrendingUp,
+            gradient: "bg-gradient-to-br from-rose-500 to-pink-600",
+            to: "/reports/profit-loss",
+            permission: PERMISSIONS.EXPENSES_VIEW
+        },
+        {
+            title: t('leads.funnel.title', 'Lead Conversion Funnel'),
+            desc: t('leads.funnel.subtitle', 'How leads move from first contact to membership'),
+            icon: Filter,
+            gradient: "bg-gradient-to-br from-sky-500 to-indigo-600",
+            to: "/reports/lead-funnel",
+            permission: PERMISSIONS.LEADS_VIEW
+        },
+        {
+            title: t('appointments.noShowReport.title', 'No-Shows & Late Cancellations'),
+            desc: t('appointments.noShowReport.subtitle', 'Missed and late-cancelled appointments per member and coach'),
+            icon: UserX,
+            gradient: "bg-gradient-to-br from-rose-500 to-orange-600",
+            to: "/reports/no-shows",
+            permission: PERMISSIONS.APPOINTMENTS_VIEW
+        },
+        {
+            title: t('members.credentials.reportTitle', 'Active Member Cards'),
+            desc: t('members.credentials.reportSubtitle', 'RFID / NFC cards and key fobs currently able to check members in'),
+            icon: KeyRound,
+            gradient: "bg-gradient-to-br from-teal-500 to-cyan-600",
+            to: "/reports/credentials",
+            permission: PERMISSIONS.MEMBERS_VIEW
+        },
+        {
+            title: t('installments.reportTitle', 'Installments'),
+            desc: t('installments.reportSubtitle', 'Overdue and upcoming subscription installments'),
+            icon: CalendarClock,
+            gradient: "bg-gradient-to-br from-amber-500 to-red-600",
+            to: "/reports/installments"
+        },
+        {
+            title: t('promotions.reportTitle', 'Promotions'),
+            desc: t('promotions.reportSubtitle', 'Revenue given away per discount code and rule'),
+            icon: Tag,
+            gradient: "bg-gradient-to-br from-fuchsia-500 to-purple-600",
+            to: "/reports/promotions",
+            permission: PERMISSIONS.REPORTS_VIEW_FINANCIALS
+        },
+        {
+            title: t('tax.reportTitle', 'Tax Summary'),
+            desc: t('tax.reportSubtitle', 'Tax collected per rate and source for filing'),
+            icon: Percent,
+            gradient: "bg-gradient-to-br from-slate-500 to-blue-600",
+            to: "/reports/tax",
+            permission: PERMISSIONS.REPORTS_VIEW_FINANCIALS
         }
-    ];
+    ].filter((report) => !report.permission || can(report.permission));
 
     return (
         <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-indigo-50 dark:from-slate-950 dark:via-slate-900 dark:to-indigo-950/20 p-4 lg:p-8">
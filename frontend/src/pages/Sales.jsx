@@ -3,9 +3,10 @@ import apiClient from '../utils/api';
 import { useTranslation } from 'react-i18next';
 import { usePosStore, useSettingsStore, useAuthStore } from '../store';
 import { toast } from 'react-hot-toast';
-import { ShoppingCart, Trash2, Plus, Minus, Search, CreditCard, Banknote, Package, TrendingUp, DollarSign, AlertCircle, CheckCircle, Printer, Eye, RotateCcw, X } from 'lucide-react';
+import { ShoppingCart, Trash2, Plus, Minus, Search, CreditCard, Banknote, Split, Package, TrendingUp, DollarSign, AlertCircle, CheckCircle, Printer, Eye, RotateCcw, X } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import ThermalReceipt from '../components/receipts/ThermalReceipt';
+import { roundMoney } from '../utils/cashCloseMoney';
 
 const Sales = () => {
     const { t, i18n } = useTranslation();
@@ -23,6 +24,8 @@ const Sales = () => {
     const [receiptIsCopy, setReceiptIsCopy] = useState(false);
     const [hasPrintedReceipt, setHasPrintedReceipt] = useState(false);
     const [autoPrintReceipt, setAutoPrintReceipt] = useState(false);
+    const [paymentMethod, setPaymentMethod] = useState('cash');
+    const [cashTender, setCashTender] = useState('');
 
     const currencyConf = {
         code: getSetting('currency_code', 'EGP'),
@@ -30,6 +33,10 @@ const Sales = () => {
     };
     const gymName = getSetting('gym_name', t('receipt.companyName', 'GYM MANAGEMENT'));
     const gymPhone = getSetting('gym_phone', '');
+    const taxEnabled = getSetting('tax_enabled', false) === true;
+    const taxInclusive = getSetting('tax_prices_inclusive', true) !== false;
+    const defaultTaxRate = Number(getSetting('tax_default_rate', 0)) || 0;
+    const taxName = getSetting('tax_name', 'VAT') || 'VAT';
 
     useEffect(() => {
         fetchProducts();
@@ -107,8 +114,24 @@ const Sales = () => {
         toast.success('Removed from cart');
     };
 
-    const total = cart.reduce((sum, item) => sum + (item.salePrice * item.qty), 0);
+    // Mirrors the server: exclusive pricing adds each product's tax on top of the shelf price
+    const taxRateOf = (item) => (taxEnabled ? (item.taxRate ?? defaultTaxRate) : 0);
+    const lineTotalOf = (item) => {
+        const price = item.salePrice * item.qty;
+        const rate = taxRateOf(item);
+        return taxInclusive || !rate ? roundMoney(price) : roundMoney(price + (price * rate) / 100);
+    };
+    const lineTaxOf = (item) => {
+        const rate = taxRateOf(item);
+        return rate ? roundMoney((lineTotalOf(item) * rate) / (100 + rate)) : 0;
+    };
+    const total = roundMoney(cart.reduce((sum, item) => sum + lineTotalOf(item), 0));
+    const taxTotal = roundMoney(cart.reduce((sum, item) => sum + lineTaxOf(item), 0));
     const totalItems = cart.reduce((sum, item) => sum + item.qty, 0);
+    // Split payment: the cashier enters the cash part, the card takes the rest
+    const cashPart = roundMoney(Math.min(Math.max(Number(cashTender) || 0, 0), total));
+    const cardPart = roundMoney(total - cashPart);
+    const splitValid = paymentMethod !== 'mixed' || (cashPart > 0 && cardPart > 0);
 
     const handleCheckout = async () => {
         if (!cart.length) return;
@@ -118,6 +141,9 @@ const Sales = () => {
         if (!user?.id) {
             return toast.error(t('sales.cashierRequired', 'Login required to complete sale'));
         }
+        if (!splitValid) {
+            return toast.error(t('sales.splitInvalid', 'Enter a cash amount between 0 and the total'));
+        }
         try {
             const response = await apiClient.post('/sales', {
                 items: cart.map(x => ({
@@ -125,7 +151,13 @@ const Sales = () => {
                     qty: x.qty,
                     unitPrice: x.salePrice
                 })),
-                paymentMethod: 'cash',
+                paymentMethod,
+                ...(paymentMethod === 'mixed' && {
+                    tenders: [
+                        { method: 'cash', amount: cashPart },
+                        { method: 'card', amount: cardPart }
+                    ]
+                }),
                 paid: total,
                 total,
                 notes: 'Quick Sale',
@@ -147,6 +179,8 @@ const Sales = () => {
                 toast.success(t('sales.successTitle', 'Sale completed'));
             }
             setCart([]);
+            setPaymentMethod('cash');
+            setCashTender('');
         } catch (e) {
             const message = e.response?.data?.message || e.message || t('sales.failed', 'Sale failed');
             toast.error(message);
@@ -444,12 +478,56 @@ const Sales = () => {
                         <div className="space-y-2">
                             <div className="flex justify-between text-sm">
                                 <span className="text-gray-600 dark:text-gray-400">Subtotal</span>
-                                <span className="font-bold text-gray-900 dark:text-white">{total.toFixed(2)} EGP</span>
+                                <span className="font-bold text-gray-900 dark:text-white">{(total - taxTotal).toFixed(2)} EGP</span>
                             </div>
                             <div className="flex justify-between text-sm">
-                                <span className="text-gray-600 dark:text-gray-400">Tax (0%)</span>
-                                <span className="font-bold text-gray-900 dark:text-white">0.00 EGP</span>
+                                <span className="text-gray-600 dark:text-gray-400">
+                                    {taxEnabled ? taxName : 'Tax'}{taxEnabled && taxInclusive ? ` (${t('receipt.taxIncluded', 'incl.')})` : ''}
+                                </span>
+                                <span className="font-bold text-gray-900 dark:text-white">{taxTotal.toFixed(2)} EGP</span>
+                            </div>
+                        </div>
+
+                        <div className="space-y-2">
+                            <div className="grid grid-cols-3 gap-2">
+                                {[
+                                    { value: 'cash', label: t('sales.methods.cash', 'Cash'), icon: Banknote },
+                                    { value: 'card', label: t('sales.methods.card', 'Card'), icon: CreditCard },
+                                    { value: 'mixed', label: t('sales.methods.mixed', 'Split'), icon: Split }
+                                ].map(({ value, label, icon: Icon }) => (
+                                    <button
+                                        key={value}
+                                        type="button"
+                                        onClick={() => setPaymentMethod(value)}
+                                        className={`flex items-center justify-center gap-1.5 py-2 rounded-xl text-sm font-bold border transition-colors ${paymentMethod === value
+                                                ? 'bg-purple-600 border-purple-600 text-white'
+                                                : 'border-gray-200 dark:border-white/10 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-slate-700'
+                                            }`}
+                                    >
+                                        <Icon size={16} />
+                                        {label}
+                                    </button>
+                                ))}
                             </div>
+                            {paymentMethod === 'mixed' && (
+                                <div className="grid grid-cols-2 gap-2">
+                                    <label className="text-xs text-gray-500 dark:text-gray-400">
+                                        {t('sales.methods.cash', 'Cash')}
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="0.01"
+                                            value={cashTender}
+                                            onChange={(e) => setCashTender(e.target.value)}
+                                            className="input mt-1"
+                                        />
+                                    </label>
+                                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                                        {t('sales.methods.card', 'Card')}
+                                        <p className="mt-1 py-2 font-bold text-base text-gray-900 dark:text-white">{cardPart.toFixed(2)} EGP</p>
+                                    </div>
+                                </div>
+                            )}
                         </div>
 
                         <div className="pt-4 border-t border-gray-200 dark:border-white/10">
@@ -462,8 +540,8 @@ const Sales = () => {
 
                             <button
                                 onClick={handleCheckout}
-                                disabled={!cart.length || !currentShift}
-                                className={`w-full py-4 rounded-2xl font-black text-lg shadow-xl transition-all ${cart.length && currentShift
+                                disabled={!cart.length || !currentShift || !splitValid}
+                                className={`w-full py-4 rounded-2xl font-black text-lg shadow-xl transition-all ${cart.length && currentShift && splitValid
                                         ? 'bg-gradient-to-r from-emerald-600 to-teal-600 hover:from-emerald-700 hover:to-teal-700 text-white shadow-emerald-500/30 hover:scale-[1.02] active:scale-95'
                                         : 'bg-gray-200 dark:bg-gray-700 text-gray-400 cursor-not-allowed'
                                     }`}
@@ -21,17 +21,38 @@ import {
     Key,
     Bell,
     Activity,
+    ShieldCheck,
+    MapPin,
+    KeyRound,
+    Webhook,
+    DoorOpen,
+    MonitorSmartphone,
+    Tag,
+    Percent,
+    CalendarOff,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import api from '../utils/api';
 import { useSettingsStore, useThemeStore, useLicenseStore, usePlanStore, usePosStore } from '../store';
 import AlertsRemindersSettings from '../components/AlertsRemindersSettings';
 import ServicesManager from '../components/settings/ServicesManager';
+import BackupPolicySettings from '../components/settings/BackupPolicySettings';
+import BranchSettings from '../components/settings/BranchSettings';
+import ApiKeySettings from '../components/settings/ApiKeySettings';
+import WebhookSettings from '../components/settings/WebhookSettings';
+import AccessControlSettings from '../components/settings/AccessControlSettings';
+import KioskSettings from '../components/settings/KioskSettings';
+import PromotionsSettings from '../components/settings/PromotionsSettings';
+import TaxSettings from '../components/settings/TaxSettings';
+import ClosuresSettings from '../components/settings/ClosuresSettings';
+import { useFeature, FEATURES } from '../components/FeatureGate';
 
 const Settings = () => {
     const { t, i18n } = useTranslation();
     const { theme, setTheme } = useThemeStore();
     const { settings, fetchSettings, updateSettings, isLoading } = useSettingsStore();
+    const { isEnabled: multiBranchEnabled } = useFeature(FEATURES.MULTI_BRANCH);
+    const { isEnabled: apiAccessEnabled } = useFeature(FEATURES.API_ACCESS);
 
     const [activeTab, setActiveTab] = useState('general');
     const [formData, setFormData] = useState({});
@@ -130,8 +151,8 @@ const Settings = () => {
     const restoreBackup = async (name) => {
         if (!window.confirm(t('backup.restoreWarning'))) return;
 
+        const toastId = toast.loading('Restoring backup...');
         try {
-            const toastId = toast.loading('Restoring backup...');
             await api.post('/backup/restore', { backupName: name });
             toast.success(t('backup.restoreSuccess'), { id: toastId });
 
@@ -140,7 +161,26 @@ const Settings = () => {
                 window.location.reload();
             }, 2000);
         } catch (error) {
-            toast.error('Failed to restore backup');
+            const message = error.response?.data?.message || 'Failed to restore backup';
+            toast.error(message, { id: toastId });
+        }
+    };
+
+    const verifyBackup = async (name) => {
+        const toastId = toast.loading(t('backup.verifying'));
+        try {
+            const response = await api.post(`/backup/verify/${name}`);
+            const report = response.data.data;
+            if (report.ok) {
+                const totalRows = report.tables.reduce((sum, table) => sum + table.expected, 0);
+                toast.success(t('backup.verifyOk', { tables: report.tables.length, rows: totalRows }), { id: toastId });
+            } else {
+                const failedTables = report.tables.filter((table) => !table.ok).map((table) => table.model);
+                toast.error(report.error?.message || t('backup.verifyMismatch', { tables: failedTables.join(', ') }), { id: toastId });
+            }
+            fetchBackups();
+        } catch (error) {
+            toast.error(error.response?.data?.message || t('backup.verifyFailed'), { id: toastId });
         }
     };
 
@@ -242,7 +282,15 @@ const Settings = () => {
         { id: 'branding', label: t('settings.branding'), icon: Globe },
         { id: 'services', label: t('settings.services', 'Services'), icon: Activity },
         { id: 'alerts', label: i18n.language === 'ar' ? 'التنبيهات والتذكير' : 'Alerts & Reminders', icon: Bell },
+        { id: 'promotions', label: t('promotions.tab', 'Promotions'), icon: Tag },
+        { id: 'tax', label: t('tax.tab', 'Tax'), icon: Percent },
+        { id: 'closures', label: t('availability.closuresTab', 'Holidays'), icon: CalendarOff },
+        ...(multiBranchEnabled ? [{ id: 'branches', label: t('branches.title'), icon: MapPin }] : []),
+        { id: 'access', label: t('accessControl.title'), icon: DoorOpen },
+        { id: 'kiosk', label: t('kiosk.tab', 'Kiosk'), icon: MonitorSmartphone },
         { id: 'backup', label: t('settings.backup'), icon: Database },
+        ...(apiAccessEnabled ? [{ id: 'api', label: t('apiKeys.title'), icon: KeyRound }] : []),
+        ...(apiAccessEnabled ? [{ id: 'webhooks', label: t('webhooks.title'), icon: Webhook }] : []),
         { id: 'data', label: t('settings.data', 'Data Management'), icon: Trash2 },
         { id: 'license', label: t('settings.license'), icon: Key },
     ];
@@ -331,6 +379,77 @@ const Settings = () => {
                                     onChange={(e) => setFormData(prev => ({ ...prev, gym_address: e.target.value }))}
                                 />
                             </div>
+
+                            <div>
+                                <label className="label">{t('settings.graceDays', 'Subscription grace period (days)')}</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    className="input"
+                                    value={formData.subscription_grace_days ?? 0}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, subscription_grace_days: Math.max(0, parseInt(e.target.value) || 0) }))}
+                                />
+                                <p className="text-xs text-slate-500 dark:text-dark-400 mt-1">
+                                    {t('settings.graceDaysHint', 'Members can still check in for this many days after their subscription ends')}
+                                </p>
+                            </div>
+
+                            <div>
+                                <label className="label">{t('settings.debtPolicy', 'Check-in with balance due')}</label>
+                                <select
+                                    className="input"
+                                    value={formData.checkin_debt_policy || 'allow'}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, checkin_debt_policy: e.target.value }))}
+                                >
+                                    <option value="allow">{t('settings.debtPolicyAllow', 'Allow')}</option>
+                                    <option value="warn">{t('settings.debtPolicyWarn', 'Warn and require an override')}</option>
+                                    <option value="block">{t('settings.debtPolicyBlock', 'Block')}</option>
+                                </select>
+                                <p className="text-xs text-slate-500 dark:text-dark-400 mt-1">
+                                    {t('settings.debtPolicyHint', 'Overrides need the "Allow check-in with balance due" permission and are recorded in the audit log')}
+                                </p>
+                            </div>
+
+                            <div>
+                                <label className="label">{t('settings.debtThreshold', 'Ignore balances up to')}</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    className="input"
+                                    value={formData.checkin_debt_threshold ?? 0}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, checkin_debt_threshold: Math.max(0, parseFloat(e.target.value) || 0) }))}
+                                />
+                            </div>
+
+                            <div>
+                                <label className="label">{t('settings.cardReplacementFee', 'Card replacement fee')}</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    className="input"
+                                    value={formData.credential_replacement_fee ?? 0}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, credential_replacement_fee: Math.max(0, parseFloat(e.target.value) || 0) }))}
+                                />
+                                <p className="text-xs text-slate-500 dark:text-dark-400 mt-1">
+                                    {t('settings.cardReplacementFeeHint', 'Charged by default when a lost or damaged member card is replaced')}
+                                </p>
+                            </div>
+
+                            <div>
+                                <label className="label">{t('settings.faceThreshold', 'Face match threshold')}</label>
+                                <input
+                                    type="number"
+                                    min="0.1"
+                                    max="1"
+                                    step="0.05"
+                                    className="input"
+                                    value={formData.checkin_face_threshold ?? 0.5}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, checkin_face_threshold: e.target.value }))}
+                                />
+                                <p className="text-xs text-slate-500 dark:text-dark-400 mt-1">
+                                    {t('settings.faceThresholdHint', 'Lower is stricter. 0.5 suits most cameras; raise it if regular members are not recognised')}
+                                </p>
+                            </div>
                         </div>
 
                         <div className="flex justify-end pt-4 border-t border-gray-200 dark:border-dark-700">
@@ -443,6 +562,38 @@ const Settings = () => {
                     <AlertsRemindersSettings />
                 )}
 
+                {activeTab === 'branches' && (
+                    <BranchSettings />
+                )}
+
+                {activeTab === 'api' && (
+                    <ApiKeySettings />
+                )}
+
+                {activeTab === 'webhooks' && (
+                    <WebhookSettings />
+                )}
+
+                {activeTab === 'access' && (
+                    <AccessControlSettings multiBranch={multiBranchEnabled} />
+                )}
+
+                {activeTab === 'promotions' && (
+                    <PromotionsSettings />
+                )}
+
+                {activeTab === 'tax' && (
+                    <TaxSettings />
+                )}
+
+                {activeTab === 'closures' && (
+                    <ClosuresSettings multiBranch={multiBranchEnabled} />
+                )}
+
+                {activeTab === 'kiosk' && (
+                    <KioskSettings multiBranch={multiBranchEnabled} />
+                )}
+
                 {activeTab === 'backup' && (
                     <div className="space-y-6">
                         <div className="flex items-center justify-between mb-4">
@@ -454,6 +605,8 @@ const Settings = () => {
                             </button>
                         </div>
 
+                        <BackupPolicySettings refreshKey={backups.length} />
+
                         {isBackupLoading ? (
                             <div className="flex justify-center py-8">
                                 <Loader2 className="w-8 h-8 animate-spin text-dark-400" />
@@ -477,7 +630,19 @@ const Settings = () => {
                                     <tbody>
                                         {backups.map((backup) => (
                                             <tr key={backup.name}>
-                                                <td className="text-slate-900 dark:text-white font-medium">{backup.name}</td>
+                                                <td className="text-slate-900 dark:text-white font-medium">
+                                                    <div className="flex items-center gap-2">
+                                                        {backup.name}
+                                                        {backup.lastVerification && (
+                                                            <span
+                                                                className={`badge ${backup.lastVerification.ok ? 'badge-success' : 'badge-danger'}`}
+                                                                title={new Date(backup.lastVerification.verifiedAt).toLocaleString()}
+                                                            >
+                                                                {backup.lastVerification.ok ? t('backup.verified') : t('backup.verifyFailedShort')}
+                                                            </span>
+                                                        )}
+                                                    </div>
+                                                </td>
                                                 <td className="text-slate-600 dark:text-dark-300">
                                                     {new Date(backup.createdAt).toLocaleString()}
                                                 </td>
@@ -493,6 +658,13 @@ const Settings = () => {
                                                         >
                                                             <RefreshCw className="w-4 h-4" />
                                                         </button>
+                                                        <button
+                                                            onClick={() => verifyBackup(backup.name)}
+                                                            className="btn-icon hover:bg-emerald-500/20 text-slate-500 dark:text-dark-400 hover:text-emerald-600 dark:hover:text-emerald-400"
+                                                            title={t('backup.verify')}
+                                                        >
+                                                            <ShieldCheck className="w-4 h-4" />
+                                                        </button>
                                                         <button
                                                             onClick={() => downloadBackup(backup.name)}
                                                             className="btn-icon hover:bg-dark-100 dark:hover:bg-dark-700 text-slate-500 dark:text-dark-400 hover:text-slate-900 dark:hover:text-white"
@@ -102,7 +102,7 @@ const Subscriptions = () => {
                 <div className="flex flex-col sm:flex-row gap-4 w-full xl:w-auto">
                     {/* Filter Chips */}
                     <div className="flex items-center gap-1 bg-gray-100 dark:bg-gray-800 p-1.5 rounded-xl overflow-x-auto self-start sm:self-auto">
-                        {['all', 'active', 'expired', 'paused'].map(f => (
+                        {['all', 'active', 'grace', 'scheduled', 'expired', 'paused'].map(f => (
                             <button
                                 key={f}
                                 onClick={() => setFilter(f)}
@@ -162,6 +162,7 @@ const Subscriptions = () => {
                         if (filter === 'paused') return s.isPaused;
                         if (filter === 'active') return s.status === 'active' && !s.isPaused;
                         if (filter === 'expired') return s.status === 'expired';
+                        if (filter === 'grace' || filter === 'scheduled') return s.status === filter;
                         return true;
                     })}
                     onCancel={handleCancel}
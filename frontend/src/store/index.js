@@ -228,6 +228,65 @@ export const useSidebarStore = create(
     )
 );
 
+// ============================================
+// BRANCH STORE
+// ============================================
+// Selected working branch; sent as X-Branch-Id by the API client
+
+export const useBranchStore = create(
+    persist(
+        (set, get) => ({
+            branches: [],
+            branchId: null,
+
+            fetchBranches: async () => {
+                try {
+                    const response = await api.get('/branches');
+                    const branches = response.data.data || [];
+                    const { branchId } = get();
+                    // Drop a selection that is no longer available to this user
+                    const stillValid = branches.some((b) => b.id === branchId);
+                    set({
+                        branches,
+                        branchId: stillValid ? branchId : (branches.length === 1 ? branches[0].id : null)
+                    });
+                } catch (error) {
+                    set({ branches: [] });
+                }
+            },
+
+            setBranchId: (branchId) => set({ branchId: branchId ? Number(branchId) : null }),
+        }),
+        {
+            name: 'branch-storage',
+            partialize: (state) => ({ branchId: state.branchId }),
+        }
+    )
+);
+
+// ============================================
+// KIOSK STORE
+// ============================================
+// Self-service check-in kiosk on this computer; the token is sent as X-Kiosk-Token
+
+export const useKioskStore = create(
+    persist(
+        (set) => ({
+            token: null,
+            kioskName: '',
+            active: false,
+
+            link: (token, kioskName = '') => set({ token, kioskName, active: false }),
+            activate: (token, kioskName = '') => set({ token, kioskName, active: true }),
+            deactivate: () => set({ active: false }),
+            forget: () => set({ token: null, kioskName: '', active: false }),
+        }),
+        {
+            name: 'kiosk-storage',
+        }
+    )
+);
+
 // ============================================
 // LICENSE STORE
 // ============================================
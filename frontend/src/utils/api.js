@@ -74,6 +74,19 @@ api.interceptors.request.use(
                 // Ignore parse errors
             }
         }
+
+        // Working branch (multi-branch installs)
+        const branchData = localStorage.getItem('branch-storage');
+        if (branchData && !config.headers['X-Branch-Id']) {
+            try {
+                const { state } = JSON.parse(branchData);
+                if (state?.branchId) {
+                    config.headers['X-Branch-Id'] = String(state.branchId);
+                }
+            } catch (e) {
+                // Ignore parse errors
+            }
+        }
         return config;
     },
     (error) => {
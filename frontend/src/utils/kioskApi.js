@@ -0,0 +1,38 @@
+/**
+ * ============================================
+ * KIOSK API CLIENT
+ * ============================================
+ *
+ * Calls made by the self-service kiosk. They carry the kiosk token
+ * instead of a staff session, so they skip the staff client's
+ * session-expiry and error-toast handling.
+ */
+
+import axios from 'axios';
+
+const kioskApi = axios.create({
+    baseURL: import.meta.env.VITE_API_BASE_URL || '/api',
+    timeout: 15000,
+    headers: {
+        'Content-Type': 'application/json',
+    },
+});
+
+kioskApi.interceptors.request.use((config) => {
+    if (!config.headers['X-Kiosk-Token']) {
+        const kioskData = localStorage.getItem('kiosk-storage');
+        if (kioskData) {
+            try {
+                const { state } = JSON.parse(kioskData);
+                if (state?.token) {
+                    config.headers['X-Kiosk-Token'] = state.token;
+                }
+            } catch (e) {
+                // Ignore parse errors
+            }
+        }
+    }
+    return config;
+});
+
+export default kioskApi;
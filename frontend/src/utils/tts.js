@@ -58,6 +58,38 @@ export const getBestVoice = (lang = 'ar') => {
     return voices[0];
 };
 
+/**
+ * Speak a short message (kiosk greetings and the like)
+ */
+export const speakText = (text, language = 'ar', settings = {}) => {
+    if (!isTTSSupported() || !text) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+        const utterance = new SpeechSynthesisUtterance(text);
+
+        const voice = getBestVoice(language);
+        if (voice) {
+            utterance.voice = voice;
+        }
+
+        utterance.lang = language === 'ar' ? 'ar-EG' : 'en-US';
+        utterance.rate = settings.rate || 0.9;
+        utterance.pitch = settings.pitch || 1.0;
+        utterance.volume = settings.volume || 1.0;
+
+        utterance.onend = () => resolve();
+        utterance.onerror = (error) => {
+            console.error('[TTS] Error:', error);
+            resolve();
+        };
+
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    });
+};
+
 /**
  * Speak a single notification
  */
@@ -222,6 +254,7 @@ export default {
     isTTSSupported,
     getVoicesForLanguage,
     getBestVoice,
+    speakText,
     speakNotification,
     speakNotifications,
     stopSpeaking,